@@ -0,0 +1,30 @@
+/*
+Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+*/
+CKEDITOR.plugins.setLang( 'a11ychecker', 'en', {
+	addHeaders: 'Use the first row as headers',
+	altText: 'Alternative text',
+	changeHeading: 'Change to Heading %1',
+	changeLinkText: 'Change link text',
+	check: 'Check Accessibility',
+	emptyLink: 'The link has no text, so its purpose is unknown to screen reader users.',
+	headingOrder: 'Heading %1 follows Heading %2, so a heading level is skipped.',
+	imageAlt: 'The image has no alternative text.',
+	imageAltFileName: 'The alternative text of the image is a file name: "%1".',
+	issueCount: 'Issue %1 of %2',
+	layoutTable: 'The table is marked as a layout table. Use tables for tabular data only.',
+	linkText: 'Link text',
+	markDecorative: 'Mark as decorative',
+	next: 'Next issue',
+	noIssues: 'No accessibility issues found',
+	previous: 'Previous issue',
+	removeColors: 'Remove colors',
+	removeLink: 'Remove link',
+	setAlt: 'Set alternative text',
+	tableHeaders: 'The table has no header cells. Add headers to a data table and do not use tables for layout.',
+	textContrast: 'The contrast ratio of the text and its background is %1:1, at least %2:1 is required.',
+	title: 'Accessibility Checker',
+	update: 'Check again',
+	vagueLinkText: 'The link text "%1" does not describe the link target.'
+} );
@@ -0,0 +1,1104 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @fileOverview The Accessibility Checker plugin. Finds the content which does not meet
+ * the [WCAG 2.1](https://www.w3.org/TR/WCAG21/) guidelines, marks it in the editor and offers quick fixes.
+ */
+
+( function() {
+	'use strict';
+
+	var updateDelay = 300,
+		headingRegex = /^h([1-6])$/,
+		fileNameRegex = /^[^\s]+\.(?:png|jpe?g|gif|svg|webp|bmp|tiff?)$/i,
+		// Characters ignored when comparing the link text with config.a11ychecker_vagueLinkTexts.
+		punctuationRegex = /[\s.,:;!?"'()\[\]\u2026\u00ab\u00bb>]+/g,
+		invisibleRegex = /[\u200b\ufeff]/g,
+		hexColorRegex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i,
+		rgbColorRegex = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/i,
+		namedColors = {
+			black: '#000000',
+			white: '#ffffff',
+			gray: '#808080',
+			grey: '#808080',
+			silver: '#c0c0c0',
+			red: '#ff0000',
+			maroon: '#800000',
+			yellow: '#ffff00',
+			olive: '#808000',
+			lime: '#00ff00',
+			green: '#008000',
+			aqua: '#00ffff',
+			teal: '#008080',
+			blue: '#0000ff',
+			navy: '#000080',
+			fuchsia: '#ff00ff',
+			purple: '#800080',
+			orange: '#ffa500'
+		},
+		// This flag prevents appending stylesheet more than once.
+		stylesLoaded = false;
+
+	CKEDITOR.plugins.add( 'a11ychecker', {
+		requires: 'contentoverlay',
+		lang: 'en',
+		icons: 'a11ychecker', // %REMOVE_LINE_CORE%
+		hidpi: true, // %REMOVE_LINE_CORE%
+
+		init: function( editor ) {
+			if ( !stylesLoaded ) {
+				CKEDITOR.document.appendStyleSheet( this.path + 'styles/a11ychecker.css' );
+				stylesLoaded = true;
+			}
+
+			if ( editor.addContentsCss ) {
+				editor.addContentsCss( this.path + 'styles/a11ychecker.css' );
+			}
+
+			/**
+			 * The accessibility checker of this editor instance.
+			 *
+			 * @since 4.13.0
+			 * @readonly
+			 * @member CKEDITOR.editor
+			 * @property {CKEDITOR.plugins.a11ychecker.checker} a11yChecker
+			 */
+			editor.a11yChecker = new CKEDITOR.plugins.a11ychecker.checker( editor );
+
+			editor.addCommand( 'a11ychecker', {
+				modes: { wysiwyg: 1 },
+				readOnly: 1,
+				canUndo: false,
+
+				exec: function( editor ) {
+					var checker = editor.a11yChecker;
+
+					checker[ checker.visible ? 'hide' : 'show' ]();
+				}
+			} );
+
+			if ( editor.ui.addButton ) {
+				editor.ui.addButton( 'A11yChecker', {
+					label: editor.lang.a11ychecker.check,
+					command: 'a11ychecker',
+					toolbar: 'a11ychecker,10'
+				} );
+			}
+		}
+	} );
+
+	/**
+	 * The accessibility checker API.
+	 *
+	 * The content is checked element by element with the {@link #rules rules}. Every rule which finds a problem with
+	 * an element reports an {@link CKEDITOR.plugins.a11ychecker.issue issue} with the message and the list of
+	 * quick fixes. The following rules are available by default:
+	 *
+	 * * `imageAlt` &ndash; Images without the alternative text or with a file name used as the alternative text.
+	 * * `headingOrder` &ndash; Headings which skip a level, e.g. Heading 4 directly after Heading 2.
+	 * * `textContrast` &ndash; Text colors and background colors, e.g. set with the
+	 * [Color Button](https://ckeditor.com/cke4/addon/colorbutton) plugin, with the contrast ratio lower than
+	 * required by the [WCAG 2.1 AA](https://www.w3.org/TR/WCAG21/#contrast-minimum) level.
+	 * * `emptyLink` &ndash; Links without any text.
+	 * * `vagueLinkText` &ndash; Links with the text like "click here", see {@link CKEDITOR.config#a11ychecker_vagueLinkTexts}.
+	 * * `layoutTable` &ndash; Tables without header cells or marked as layout tables.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.a11ychecker
+	 * @singleton
+	 */
+	CKEDITOR.plugins.a11ychecker = {
+		/**
+		 * The rules used by the checker. Rules can be added with {@link #addRule}.
+		 *
+		 * @readonly
+		 * @property {Object.<String, CKEDITOR.plugins.a11ychecker.rule>}
+		 */
+		rules: {},
+
+		/**
+		 * Adds a new rule or replaces an existing one.
+		 *
+		 *		CKEDITOR.plugins.a11ychecker.addRule( 'iframeTitle', {
+		 *			elements: { iframe: 1 },
+		 *			check: function( element, context ) {
+		 *				if ( !element.getAttribute( 'title' ) ) {
+		 *					return {
+		 *						message: 'The frame has no title.',
+		 *						fixes: [ {
+		 *							name: 'setTitle',
+		 *							label: 'Set title',
+		 *							input: 'Title',
+		 *							exec: function( editor, element, value ) {
+		 *								element.setAttribute( 'title', value );
+		 *							}
+		 *						} ]
+		 *					};
+		 *				}
+		 *			}
+		 *		} );
+		 *
+		 * @param {String} name
+		 * @param {CKEDITOR.plugins.a11ychecker.rule} rule
+		 */
+		addRule: function( name, rule ) {
+			this.rules[ name ] = rule;
+		},
+
+		/**
+		 * Checks the content of the editor. The editable is walked with {@link CKEDITOR.dom.walker}, so the issues
+		 * are returned in the document order. Temporary elements added by the editor are skipped.
+		 *
+		 *		var issues = CKEDITOR.plugins.a11ychecker.check( editor );
+		 *
+		 *		for ( var i = 0; i < issues.length; i++ ) {
+		 *			console.log( issues[ i ].rule, issues[ i ].message );
+		 *		}
+		 *
+		 * @param {CKEDITOR.editor} editor
+		 * @returns {CKEDITOR.plugins.a11ychecker.issue[]}
+		 */
+		check: function( editor ) {
+			var editable = editor.editable(),
+				disabledRules = getDisabledRules( editor.config.a11ychecker_disabledRules ),
+				issues = [],
+				context = {
+					editor: editor,
+					lang: editor.lang.a11ychecker
+				},
+				range,
+				walker,
+				element;
+
+			if ( !editable ) {
+				return issues;
+			}
+
+			range = editor.createRange();
+			range.selectNodeContents( editable );
+
+			walker = new CKEDITOR.dom.walker( range );
+			walker.evaluator = function( node ) {
+				return node.type == CKEDITOR.NODE_ELEMENT;
+			};
+
+			while ( ( element = walker.next() ) ) {
+				if ( CKEDITOR.plugins.contentOverlay.isTemporary( element, editable ) ) {
+					continue;
+				}
+
+				for ( var name in this.rules ) {
+					var rule = this.rules[ name ],
+						result;
+
+					if ( disabledRules[ name ] || ( rule.elements && !rule.elements[ element.getName() ] ) ) {
+						continue;
+					}
+
+					result = rule.check( element, context );
+
+					if ( result ) {
+						issues.push( {
+							rule: name,
+							element: element,
+							message: result.message,
+							fixes: result.fixes || []
+						} );
+					}
+				}
+			}
+
+			return issues;
+		},
+
+		/**
+		 * Returns the contrast ratio of two colors as defined by [WCAG 2.1](https://www.w3.org/TR/WCAG21/#dfn-contrast-ratio).
+		 *
+		 *		CKEDITOR.plugins.a11ychecker.getContrastRatio( '#777', '#fff' ); // -> 4.48
+		 *
+		 * @param {String} foreground A hex, `rgb()` or basic named color.
+		 * @param {String} background A hex, `rgb()` or basic named color.
+		 * @returns {Number/null} The ratio rounded to two decimal places or `null` if any of the colors
+		 * could not be parsed.
+		 */
+		getContrastRatio: function( foreground, background ) {
+			var first = parseColor( foreground ),
+				second = parseColor( background ),
+				lighter,
+				darker;
+
+			if ( !first || !second ) {
+				return null;
+			}
+
+			first = getLuminance( first );
+			second = getLuminance( second );
+			lighter = Math.max( first, second );
+			darker = Math.min( first, second );
+
+			return Math.round( ( lighter + 0.05 ) / ( darker + 0.05 ) * 100 ) / 100;
+		}
+	};
+
+	/**
+	 * The definition of the accessibility checker rule, see {@link CKEDITOR.plugins.a11ychecker#addRule}.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.a11ychecker.rule
+	 * @abstract
+	 */
+
+	/**
+	 * The names of the elements checked by the rule. If not set, all elements are checked.
+	 *
+	 * @property {Object} [elements]
+	 */
+
+	/**
+	 * Checks the element.
+	 *
+	 * @method check
+	 * @param {CKEDITOR.dom.element} element
+	 * @param {Object} context The object shared by all rules during a single check. It contains the `editor` and the `lang`
+	 * (the language entries of this plugin) properties and can be used to keep the state between elements.
+	 * @returns {Object/null} `null` if there is no issue, otherwise an object with the `message` and optional `fixes`
+	 * properties (see {@link CKEDITOR.plugins.a11ychecker.issue}).
+	 */
+
+	/**
+	 * An accessibility issue found with {@link CKEDITOR.plugins.a11ychecker#check}.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.a11ychecker.issue
+	 * @abstract
+	 */
+
+	/**
+	 * The name of the rule which reported the issue.
+	 *
+	 * @property {String} rule
+	 */
+
+	/**
+	 * The element with the issue.
+	 *
+	 * @property {CKEDITOR.dom.element} element
+	 */
+
+	/**
+	 * The description of the issue.
+	 *
+	 * @property {String} message
+	 */
+
+	/**
+	 * The quick fixes of the issue. Every fix is an object with the following properties:
+	 *
+	 * * `name` &ndash; The name of the fix.
+	 * * `label` &ndash; The label of the fix button.
+	 * * `input` &ndash; Optional. The label of the text field shown with the fix. The field value is passed
+	 * to the `exec` function.
+	 * * `exec( editor, element, value )` &ndash; The function which fixes the element.
+	 *
+	 * @property {Object[]} fixes
+	 */
+
+	/**
+	 * The accessibility checker panel shown below the toolbar. It lists the issues found in the content one by one,
+	 * with their quick fixes. All issues are also marked with numbered markers drawn over the content, so they
+	 * are never a part of the editor data or undo snapshots.
+	 *
+	 * The issues are updated shortly after every {@link CKEDITOR.editor#change} while the panel is visible.
+	 * The instance is available in the {@link CKEDITOR.editor#a11yChecker} property:
+	 *
+	 *		var checker = editor.a11yChecker;
+	 *
+	 *		checker.show();
+	 *
+	 *		if ( checker.issues.length ) {
+	 *			checker.fix( checker.issues[ checker.current ].fixes[ 0 ].name );
+	 *		}
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.a11ychecker.checker
+	 * @constructor Creates a checker instance.
+	 * @param {CKEDITOR.editor} editor
+	 */
+	function Checker( editor ) {
+		var that = this;
+
+		/**
+		 * @readonly
+		 * @property {CKEDITOR.editor} editor
+		 */
+		this.editor = editor;
+
+		/**
+		 * The issues found in the last {@link #update}.
+		 *
+		 * @readonly
+		 * @property {CKEDITOR.plugins.a11ychecker.issue[]}
+		 */
+		this.issues = [];
+
+		/**
+		 * The index of the current issue in {@link #issues} or `-1` if there are no issues.
+		 *
+		 * @readonly
+		 * @property {Number}
+		 */
+		this.current = -1;
+
+		/**
+		 * Whether the panel is visible.
+		 *
+		 * @readonly
+		 * @property {Boolean}
+		 */
+		this.visible = false;
+
+		this._ = {
+			id: CKEDITOR.tools.getNextId(),
+			buffer: CKEDITOR.tools.eventsBuffer( updateDelay, function() {
+				that.update();
+			} ),
+			// The issue which fixes are currently rendered.
+			renderedIssue: null,
+			overlay: new CKEDITOR.plugins.contentOverlay.overlay( editor, 'cke_a11ychecker_overlay' )
+		};
+
+		this._.overlay.on( 'create', function( evt ) {
+			evt.data.on( 'mousedown', function( evt ) {
+				var index = evt.data.getTarget().data( 'cke-a11ychecker-index' );
+
+				if ( index !== false && index !== null ) {
+					evt.data.preventDefault();
+					that.select( Number( index ) );
+				}
+			} );
+		} );
+
+		editor.on( 'uiSpace', function( evt ) {
+			if ( evt.data.space == 'top' ) {
+				evt.data.html += getPanelHtml( editor, this._.id );
+			}
+		}, this, null, 102 );
+
+		editor.on( 'change', function() {
+			if ( this.visible ) {
+				this._.buffer.input();
+			}
+		}, this );
+
+		editor.on( 'dataReady', function() {
+			if ( this.visible && editor.mode == 'wysiwyg' ) {
+				this.current = -1;
+				this.update();
+			}
+		}, this );
+
+		editor.on( 'mode', function() {
+			if ( this.visible && editor.mode != 'wysiwyg' ) {
+				this.hide();
+			}
+		}, this );
+
+		editor.on( 'readOnly', function() {
+			this._.renderedIssue = null;
+			this.render();
+		}, this );
+
+		editor.on( 'resize', function() {
+			this.renderMarkers();
+		}, this );
+
+		editor.on( 'destroy', function() {
+			this._.buffer.reset();
+			this._.overlay.remove();
+		}, this );
+	}
+
+	Checker.prototype = {
+		/**
+		 * Shows the panel and checks the content.
+		 */
+		show: function() {
+			this.visible = true;
+			this.current = -1;
+			this.update();
+			this.updateCommand();
+		},
+
+		/**
+		 * Hides the panel and the markers and focuses the editor.
+		 */
+		hide: function() {
+			if ( !this.visible ) {
+				return;
+			}
+
+			this._.buffer.reset();
+
+			this.visible = false;
+			this.issues = [];
+			this.current = -1;
+			this.render();
+
+			if ( this.editor.mode == 'wysiwyg' ) {
+				this.editor.focus();
+			}
+
+			this.updateCommand();
+		},
+
+		/**
+		 * @private
+		 */
+		updateCommand: function() {
+			var command = this.editor.getCommand( 'a11ychecker' );
+
+			if ( command && command.state != CKEDITOR.TRISTATE_DISABLED ) {
+				command.setState( this.visible ? CKEDITOR.TRISTATE_ON : CKEDITOR.TRISTATE_OFF );
+			}
+		},
+
+		/**
+		 * Checks the content again. The current issue stays the same if it still exists, otherwise the issue found
+		 * at its position becomes the current one.
+		 *
+		 * @returns {Number} The number of issues.
+		 */
+		update: function() {
+			var editor = this.editor,
+				previous = this.issues[ this.current ],
+				issues = [],
+				current = -1;
+
+			this._.buffer.reset();
+
+			if ( this.visible && editor.mode == 'wysiwyg' ) {
+				issues = CKEDITOR.plugins.a11ychecker.check( editor );
+			}
+
+			if ( issues.length ) {
+				current = Math.min( Math.max( this.current, 0 ), issues.length - 1 );
+
+				for ( var i = 0; previous && i < issues.length; i++ ) {
+					if ( issues[ i ].rule == previous.rule && issues[ i ].element.equals( previous.element ) ) {
+						current = i;
+						break;
+					}
+				}
+			}
+
+			this.issues = issues;
+			this.current = current;
+			this.render();
+
+			return issues.length;
+		},
+
+		/**
+		 * Moves to the next issue. After the last issue, the first one becomes the current one.
+		 */
+		next: function() {
+			this.move( 1 );
+		},
+
+		/**
+		 * Moves to the previous issue. Before the first issue, the last one becomes the current one.
+		 */
+		previous: function() {
+			this.move( -1 );
+		},
+
+		/**
+		 * Makes the issue with the given index the current one and scrolls the content to it.
+		 *
+		 * @param {Number} index
+		 */
+		select: function( index ) {
+			var issue = this.issues[ index ];
+
+			if ( !issue ) {
+				return;
+			}
+
+			this.current = index;
+			this.render();
+
+			issue.element.scrollIntoView();
+		},
+
+		/**
+		 * @private
+		 * @param {Number} step
+		 */
+		move: function( step ) {
+			var length = this.issues.length;
+
+			if ( length ) {
+				this.select( ( this.current + step + length ) % length );
+			}
+		},
+
+		/**
+		 * Applies one of the quick fixes of the current issue and checks the content again.
+		 * The fix is a single undo step.
+		 *
+		 * @param {String} name The name of the fix.
+		 * @param {String} [value] The value of the fix text field. Fixes with the text field are not applied
+		 * without the value.
+		 * @returns {Boolean} Whether the fix was applied.
+		 */
+		fix: function( name, value ) {
+			var editor = this.editor,
+				issue = this.issues[ this.current ],
+				fix = issue && getFix( issue, name );
+
+			if ( !fix || editor.readOnly || issue.element.isReadOnly() && !getWidget( editor, issue.element ) ) {
+				return false;
+			}
+
+			if ( fix.input ) {
+				value = CKEDITOR.tools.trim( value || '' );
+
+				if ( !value ) {
+					return false;
+				}
+			}
+
+			editor.fire( 'saveSnapshot' );
+			fix.exec( editor, issue.element, value );
+			editor.fire( 'saveSnapshot' );
+
+			this._.renderedIssue = null;
+			this.update();
+
+			return true;
+		},
+
+		/**
+		 * Returns the panel element or `null` if it was not rendered.
+		 *
+		 * @returns {CKEDITOR.dom.element/null}
+		 */
+		getElement: function() {
+			var element = CKEDITOR.document.getById( this._.id );
+
+			if ( element && !element.getCustomData( 'a11yChecker' ) ) {
+				element.setCustomData( 'a11yChecker', this );
+				attachListeners( this, element );
+			}
+
+			return element;
+		},
+
+		/**
+		 * Refreshes the panel and the markers.
+		 */
+		render: function() {
+			var editor = this.editor,
+				lang = editor.lang.a11ychecker,
+				element = this.getElement(),
+				issue = this.issues[ this.current ],
+				length = this.issues.length;
+
+			if ( element ) {
+				element.setStyle( 'display', this.visible ? '' : 'none' );
+
+				element.findOne( '.cke_a11ychecker_status' ).setText( length ?
+					lang.issueCount.replace( '%1', this.current + 1 ).replace( '%2', length ) : lang.noIssues );
+				element.findOne( '.cke_a11ychecker_message' ).setText( issue ? issue.message : '' );
+
+				CKEDITOR.tools.array.forEach( element.find( '[data-cke-a11ychecker-action]' ).toArray(), function( button ) {
+					var action = button.data( 'cke-a11ychecker-action' );
+
+					if ( action == 'previous' || action == 'next' ) {
+						button.$.disabled = length < 2;
+					}
+				} );
+
+				// Render the fixes only when the issue changes, so the text typed in the fix field is kept.
+				if ( issue !== this._.renderedIssue ) {
+					this._.renderedIssue = issue;
+					element.findOne( '.cke_a11ychecker_fixes' ).setHtml( issue ? getFixesHtml( this, issue ) : '' );
+				}
+			}
+
+			this.renderMarkers();
+		},
+
+		/**
+		 * Draws the markers of all issues over the content.
+		 *
+		 * @private
+		 */
+		renderMarkers: function() {
+			var overlay = this._.overlay;
+
+			if ( !overlay.reset( this.visible && this.issues.length ) ) {
+				return;
+			}
+
+			CKEDITOR.tools.array.forEach( this.issues, function( issue, index ) {
+				var marker = overlay.draw( issue.element.getClientRect(), {
+					'class': 'cke_a11ychecker_marker' + ( index == this.current ? ' cke_a11ychecker_marker_current' : '' )
+				} );
+
+				marker.append( marker.getDocument().createElement( 'span', {
+					attributes: {
+						'class': 'cke_a11ychecker_badge',
+						title: issue.message,
+						'data-cke-a11ychecker-index': index
+					}
+				} ) ).setText( index + 1 );
+			}, this );
+		}
+	};
+
+	CKEDITOR.plugins.a11ychecker.checker = Checker;
+
+	function getPanelHtml( editor, id ) {
+		var lang = editor.lang.a11ychecker;
+
+		return '<div id="' + id + '" class="cke_a11ychecker" role="region" aria-label="' +
+				CKEDITOR.tools.htmlEncodeAttr( lang.title ) + '" style="display:none">' +
+			'<div class="cke_a11ychecker_row">' +
+				'<span class="cke_a11ychecker_status" role="status" aria-live="polite"></span>' +
+				getButtonHtml( 'action', 'previous', lang.previous, '&#9650;' ) +
+				getButtonHtml( 'action', 'next', lang.next, '&#9660;' ) +
+				getButtonHtml( 'action', 'update', lang.update ) +
+				getButtonHtml( 'action', 'hide', editor.lang.common.close, '&#10005;' ) +
+			'</div>' +
+			'<div class="cke_a11ychecker_message"></div>' +
+			'<div class="cke_a11ychecker_fixes"></div>' +
+		'</div>';
+	}
+
+	// The type is either 'action' for the panel buttons or 'fix' for the quick fix buttons.
+	function getButtonHtml( type, name, label, text, disabled ) {
+		var encode = CKEDITOR.tools.htmlEncodeAttr;
+
+		return '<button type="button" class="cke_a11ychecker_button" data-cke-a11ychecker-' + type + '="' + encode( name ) +
+			'" title="' + encode( label ) + '" aria-label="' + encode( label ) + '"' + ( disabled ? ' disabled' : '' ) + '>' +
+			( text || CKEDITOR.tools.htmlEncode( label ) ) + '</button>';
+	}
+
+	function getFixesHtml( checker, issue ) {
+		var disabled = checker.editor.readOnly,
+			id = checker._.id,
+			html = '';
+
+		CKEDITOR.tools.array.forEach( issue.fixes, function( fix ) {
+			var fieldId = id + '_' + fix.name;
+
+			html += '<span class="cke_a11ychecker_fix">';
+
+			if ( fix.input ) {
+				html += '<input type="text" id="' + fieldId + '" class="cke_a11ychecker_field" data-cke-a11ychecker-field="' +
+					CKEDITOR.tools.htmlEncodeAttr( fix.name ) + '" aria-label="' + CKEDITOR.tools.htmlEncodeAttr( fix.input ) +
+					'" placeholder="' + CKEDITOR.tools.htmlEncodeAttr( fix.input ) + '"' + ( disabled ? ' disabled' : '' ) + '>';
+			}
+
+			html += getButtonHtml( 'fix', fix.name, fix.label, null, disabled ) + '</span>';
+		} );
+
+		return html;
+	}
+
+	function attachListeners( checker, element ) {
+		function getFieldValue( name ) {
+			var field = CKEDITOR.document.getById( checker._.id + '_' + name );
+
+			return field ? field.getValue() : undefined;
+		}
+
+		// The editor is not blurred when the panel is focused, so the floating toolbar of the inline editor stays visible.
+		checker.editor.focusManager.add( element, 1 );
+
+		element.on( 'click', function( evt ) {
+			var button = evt.data.getTarget().getAscendant( 'button', true ),
+				action = button && button.data( 'cke-a11ychecker-action' ),
+				fix = button && button.data( 'cke-a11ychecker-fix' );
+
+			if ( !button || button.$.disabled ) {
+				return;
+			}
+
+			if ( action ) {
+				checker[ action ]();
+			} else if ( fix ) {
+				checker.fix( fix, getFieldValue( fix ) );
+			}
+		} );
+
+		element.on( 'keydown', function( evt ) {
+			var keystroke = evt.data.getKeystroke(),
+				field = evt.data.getTarget().data( 'cke-a11ychecker-field' );
+
+			if ( keystroke == 27 ) {
+				checker.hide();
+			} else if ( field && keystroke == 13 ) {
+				checker.fix( field, getFieldValue( field ) );
+			} else {
+				return;
+			}
+
+			evt.data.preventDefault();
+		} );
+	}
+
+	function getFix( issue, name ) {
+		for ( var i = 0; i < issue.fixes.length; i++ ) {
+			if ( issue.fixes[ i ].name == name ) {
+				return issue.fixes[ i ];
+			}
+		}
+
+		return null;
+	}
+
+	function getDisabledRules( config ) {
+		var rules = {};
+
+		if ( typeof config == 'string' ) {
+			config = config.split( /\s*,\s*/ );
+		}
+
+		CKEDITOR.tools.array.forEach( config || [], function( name ) {
+			rules[ name ] = 1;
+		} );
+
+		return rules;
+	}
+
+	function getWidget( editor, element ) {
+		var widget = editor.widgets && editor.widgets.getByElement( element );
+
+		return widget && widget.wrapper.contains( element ) ? widget : null;
+	}
+
+	function getText( element ) {
+		return CKEDITOR.tools.trim( element.getText().replace( invisibleRegex, '' ) );
+	}
+
+	function parseColor( color ) {
+		var match;
+
+		color = CKEDITOR.tools.trim( String( color || '' ) ).toLowerCase();
+		color = namedColors[ color ] || color;
+
+		if ( ( match = color.match( hexColorRegex ) ) ) {
+			match = match[ 1 ].length == 3 ? match[ 1 ].replace( /(.)/g, '$1$1' ) : match[ 1 ];
+
+			return [
+				parseInt( match.substr( 0, 2 ), 16 ),
+				parseInt( match.substr( 2, 2 ), 16 ),
+				parseInt( match.substr( 4, 2 ), 16 )
+			];
+		}
+
+		// Transparent colors are ignored, as the color below them is not known.
+		if ( ( match = color.match( rgbColorRegex ) ) && ( match[ 4 ] === undefined || match[ 4 ] === '' || Number( match[ 4 ] ) == 1 ) ) {
+			return [ Number( match[ 1 ] ), Number( match[ 2 ] ), Number( match[ 3 ] ) ];
+		}
+
+		return null;
+	}
+
+	// https://www.w3.org/TR/WCAG21/#dfn-relative-luminance
+	function getLuminance( rgb ) {
+		var channels = CKEDITOR.tools.array.map( rgb, function( value ) {
+			value = value / 255;
+
+			return value <= 0.03928 ? value / 12.92 : Math.pow( ( value + 0.055 ) / 1.055, 2.4 );
+		} );
+
+		return 0.2126 * channels[ 0 ] + 0.7152 * channels[ 1 ] + 0.0722 * channels[ 2 ];
+	}
+
+	// Returns the color set with the inline style on the element or its closest ancestor, falling back to
+	// the computed style of the editable.
+	function getInheritedColor( element, editable, property, defaultColor ) {
+		var color;
+
+		while ( element && !element.equals( editable ) ) {
+			color = element.getStyle( property );
+
+			if ( color && parseColor( color ) ) {
+				return color;
+			}
+
+			element = element.getParent();
+		}
+
+		color = editable.getComputedStyle( property );
+
+		return parseColor( color ) ? color : defaultColor;
+	}
+
+	function isLargeText( element ) {
+		var size = element.getComputedStyle( 'font-size' ) || element.getStyle( 'font-size' ),
+			weight = element.getComputedStyle( 'font-weight' ),
+			pixels = parseFloat( size );
+
+		if ( !pixels || !/px$/.test( size ) ) {
+			return false;
+		}
+
+		// 18pt or 14pt bold, https://www.w3.org/TR/WCAG21/#dfn-large-scale.
+		return pixels >= 24 || pixels >= 18.66 && ( weight == 'bold' || Number( weight ) >= 700 );
+	}
+
+	function setImageAlt( editor, element, alt ) {
+		var widget = getWidget( editor, element );
+
+		if ( widget && widget.data && widget.data.alt !== undefined ) {
+			widget.setData( 'alt', alt );
+		} else {
+			element.setAttribute( 'alt', alt );
+		}
+	}
+
+	function getHeaderRow( table ) {
+		var rows = table.$.rows;
+
+		return rows.length ? new CKEDITOR.dom.element( rows[ 0 ] ) : null;
+	}
+
+	function hasHeaderCells( table ) {
+		var rows = table.$.rows,
+			cells,
+			i,
+			j;
+
+		for ( i = 0; i < rows.length; i++ ) {
+			cells = rows[ i ].cells;
+
+			for ( j = 0; j < cells.length; j++ ) {
+				if ( cells[ j ].nodeName.toLowerCase() == 'th' ) {
+					return true;
+				}
+			}
+		}
+
+		return false;
+	}
+
+	CKEDITOR.plugins.a11ychecker.addRule( 'imageAlt', {
+		elements: { img: 1 },
+
+		check: function( element, context ) {
+			var alt = element.getAttribute( 'alt' ),
+				lang = context.lang;
+
+			if ( alt !== null && !fileNameRegex.test( CKEDITOR.tools.trim( alt ) ) ) {
+				return null;
+			}
+
+			return {
+				message: alt === null ? lang.imageAlt : lang.imageAltFileName.replace( '%1', alt ),
+				fixes: [ {
+					name: 'setAlt',
+					label: lang.setAlt,
+					input: lang.altText,
+					exec: setImageAlt
+				}, {
+					name: 'markDecorative',
+					label: lang.markDecorative,
+					exec: function( editor, element ) {
+						setImageAlt( editor, element, '' );
+					}
+				} ]
+			};
+		}
+	} );
+
+	CKEDITOR.plugins.a11ychecker.addRule( 'headingOrder', {
+		elements: { h1: 1, h2: 1, h3: 1, h4: 1, h5: 1, h6: 1 },
+
+		check: function( element, context ) {
+			var level = Number( element.getName().match( headingRegex )[ 1 ] ),
+				previous = context.headingLevel,
+				expected = previous + 1;
+
+			context.headingLevel = level;
+
+			// The first heading may have any level, as the content is usually a part of a bigger page.
+			if ( !previous || level <= expected ) {
+				return null;
+			}
+
+			return {
+				message: context.lang.headingOrder.replace( '%1', level ).replace( '%2', previous ),
+				fixes: [ {
+					name: 'changeLevel',
+					label: context.lang.changeHeading.replace( '%1', expected ),
+					exec: function( editor, element ) {
+						element.renameNode( 'h' + expected );
+					}
+				} ]
+			};
+		}
+	} );
+
+	CKEDITOR.plugins.a11ychecker.addRule( 'textContrast', {
+		check: function( element, context ) {
+			var editable = context.editor.editable(),
+				minimum,
+				ratio;
+
+			if ( !element.getStyle( 'color' ) && !element.getStyle( 'background-color' ) || !getText( element ) ) {
+				return null;
+			}
+
+			ratio = CKEDITOR.plugins.a11ychecker.getContrastRatio(
+				getInheritedColor( element, editable, 'color', '#000000' ),
+				getInheritedColor( element, editable, 'background-color', '#ffffff' ) );
+			minimum = isLargeText( element ) ? 3 : 4.5;
+
+			if ( ratio === null || ratio >= minimum ) {
+				return null;
+			}
+
+			return {
+				message: context.lang.textContrast.replace( '%1', ratio ).replace( '%2', minimum ),
+				fixes: [ {
+					name: 'removeColors',
+					label: context.lang.removeColors,
+					exec: function( editor, element ) {
+						element.removeStyle( 'color' );
+						element.removeStyle( 'background-color' );
+
+						// Remove the span added by the Color Button plugin.
+						if ( element.is( 'span' ) && !element.hasAttributes() ) {
+							element.remove( true );
+						}
+					}
+				} ]
+			};
+		}
+	} );
+
+	CKEDITOR.plugins.a11ychecker.addRule( 'emptyLink', {
+		elements: { a: 1 },
+
+		check: function( element, context ) {
+			var images = element.find( 'img' ).toArray();
+
+			if ( !element.hasAttribute( 'href' ) || getText( element ) || element.getAttribute( 'aria-label' ) ||
+				element.getAttribute( 'title' ) ) {
+				return null;
+			}
+
+			for ( var i = 0; i < images.length; i++ ) {
+				if ( images[ i ].getAttribute( 'alt' ) ) {
+					return null;
+				}
+			}
+
+			return {
+				message: context.lang.emptyLink,
+				fixes: [ {
+					name: 'removeLink',
+					label: context.lang.removeLink,
+					exec: function( editor, element ) {
+						element.remove( true );
+					}
+				} ]
+			};
+		}
+	} );
+
+	CKEDITOR.plugins.a11ychecker.addRule( 'vagueLinkText', {
+		elements: { a: 1 },
+
+		check: function( element, context ) {
+			var text = getText( element ),
+				vagueTexts = context.editor.config.a11ychecker_vagueLinkTexts,
+				normalized = text.toLowerCase().replace( punctuationRegex, ' ' );
+
+			normalized = CKEDITOR.tools.trim( normalized );
+
+			if ( !element.hasAttribute( 'href' ) || !normalized || CKEDITOR.tools.indexOf( vagueTexts, normalized ) == -1 ) {
+				return null;
+			}
+
+			return {
+				message: context.lang.vagueLinkText.replace( '%1', text ),
+				fixes: [ {
+					name: 'changeText',
+					label: context.lang.changeLinkText,
+					input: context.lang.linkText,
+					exec: function( editor, element, value ) {
+						element.setText( value );
+					}
+				} ]
+			};
+		}
+	} );
+
+	CKEDITOR.plugins.a11ychecker.addRule( 'layoutTable', {
+		elements: { table: 1 },
+
+		check: function( element, context ) {
+			var role = element.getAttribute( 'role' );
+
+			if ( role == 'presentation' || role == 'none' ) {
+				return {
+					message: context.lang.layoutTable
+				};
+			}
+
+			if ( hasHeaderCells( element ) || !getHeaderRow( element ) ) {
+				return null;
+			}
+
+			return {
+				message: context.lang.tableHeaders,
+				fixes: [ {
+					name: 'addHeaders',
+					label: context.lang.addHeaders,
+					exec: function( editor, element ) {
+						var row = getHeaderRow( element ),
+							cells = row.getChildren().toArray();
+
+						CKEDITOR.tools.array.forEach( cells, function( cell ) {
+							if ( cell.type == CKEDITOR.NODE_ELEMENT && cell.is( 'td' ) ) {
+								cell.renameNode( 'th' );
+								cell.setAttribute( 'scope', 'col' );
+							}
+						} );
+					}
+				} ]
+			};
+		}
+	} );
+} )();
+
+/**
+ * The list of link texts which do not describe the link target. The link text is compared case insensitively,
+ * ignoring whitespace and punctuation at its start and end.
+ *
+ *		config.a11ychecker_vagueLinkTexts = [ 'click here', 'here', 'more' ];
+ *
+ * @since 4.13.0
+ * @cfg {String[]} [a11ychecker_vagueLinkTexts=[ 'click here', 'click', 'here', 'more', 'read more', 'learn more', 'link', 'this link', 'this' ]]
+ * @member CKEDITOR.config
+ */
+CKEDITOR.config.a11ychecker_vagueLinkTexts = [ 'click here', 'click', 'here', 'more', 'read more', 'learn more', 'link', 'this link', 'this' ];
+
+/**
+ * The names of the {@link CKEDITOR.plugins.a11ychecker#rules accessibility checker rules} which should not be used,
+ * as an array or a comma-separated string.
+ *
+ *		config.a11ychecker_disabledRules = 'layoutTable,headingOrder';
+ *
+ * @since 4.13.0
+ * @cfg {String/String[]} [a11ychecker_disabledRules=[]]
+ * @member CKEDITOR.config
+ */
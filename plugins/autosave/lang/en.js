@@ -0,0 +1,9 @@
+/*
+Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+*/
+CKEDITOR.plugins.setLang( 'autosave', 'en', {
+	draftFound: 'Unsaved changes from %1 were found.',
+	restore: 'Restore',
+	discard: 'Discard'
+} );
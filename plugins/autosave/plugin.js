@@ -0,0 +1,737 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @fileOverview The Autosave plugin. Saves drafts of the editor data while the user types, so the work
+ * can be recovered after the browser tab was closed or crashed.
+ *
+ * Drafts are saved in a storage (see {@link CKEDITOR.plugins.autosave.storage}) shortly after the content changes.
+ * When the editor is loaded and there is a draft which differs from the loaded data, the user is offered to restore
+ * or discard it in a notification which shows what the draft changes.
+ */
+
+( function() {
+	'use strict';
+
+	var KEY_PREFIX = 'ckeditor-autosave:',
+		// Limits of the diff preview shown in the notification.
+		PREVIEW_CONTEXT = 3,
+		PREVIEW_LENGTH = 40,
+		// Above this number of compared word pairs the changed parts of drafts are shown without finding common words.
+		MAX_DIFF_SIZE = 250000,
+		blockElements = CKEDITOR.tools.extend( { br: 1 }, CKEDITOR.dtd.$block, CKEDITOR.dtd.$listItem, CKEDITOR.dtd.$tableContent ),
+		// This flag prevents appending stylesheet more than once.
+		stylesLoaded = false;
+
+	CKEDITOR.plugins.add( 'autosave', {
+		requires: 'notification',
+		lang: 'en',
+
+		init: function( editor ) {
+			var plugin = this,
+				config = editor.config,
+				win = CKEDITOR.document.getWindow(),
+				state;
+
+			if ( !stylesLoaded ) {
+				CKEDITOR.document.appendStyleSheet( this.path + 'styles/autosave.css' );
+				stylesLoaded = true;
+			}
+
+			state = editor._.autosave = {
+				storage: getStorage( config.autosave_storage ),
+				key: config.autosave_key || KEY_PREFIX + win.$.location.pathname + '#' + editor.name,
+				// Nothing is saved until the stored draft is checked, so it is not overwritten before it is offered to the user.
+				ready: false,
+				timeout: null,
+				notification: null,
+				// The draft offered in the notification. Changes made meanwhile are still saved, replacing it in the storage,
+				// so it is kept in memory to be restored.
+				offeredDraft: null,
+				offeredDraftReplaced: false
+			};
+
+			editor.on( 'instanceReady', function() {
+				plugin.load( editor, function( draft ) {
+					state.ready = true;
+
+					if ( !draft || draft.data == editor.getData() ) {
+						return;
+					}
+
+					if ( config.autosave_dataTimestamp && draft.timestamp <= config.autosave_dataTimestamp ) {
+						plugin.remove( editor );
+						return;
+					}
+
+					if ( editor.fire( 'autosaveDraftFound', { draft: draft } ) !== false ) {
+						showNotification( editor, plugin, draft );
+					}
+				} );
+			} );
+
+			editor.on( 'change', function() {
+				if ( !state.ready ) {
+					return;
+				}
+
+				if ( state.offeredDraft ) {
+					state.offeredDraftReplaced = true;
+				}
+
+				clearTimeout( state.timeout );
+				state.timeout = CKEDITOR.tools.setTimeout( function() {
+					state.timeout = null;
+					plugin.save( editor );
+				}, config.autosave_delay !== undefined ? config.autosave_delay : 1000 );
+			} );
+
+			// The content was saved by the application, so the draft is no longer needed.
+			editor.on( 'save', function() {
+				clearTimeout( state.timeout );
+				state.timeout = null;
+				plugin.remove( editor );
+			} );
+
+			function flush() {
+				if ( state.timeout ) {
+					clearTimeout( state.timeout );
+					state.timeout = null;
+					plugin.save( editor );
+				}
+			}
+
+			win.on( 'beforeunload', flush );
+
+			editor.on( 'beforeDestroy', function() {
+				flush();
+				win.removeListener( 'beforeunload', flush );
+			} );
+		},
+
+		/**
+		 * Saves the current editor data as a draft right away.
+		 *
+		 * Fires the {@link CKEDITOR.editor#autosave} event when the draft is saved.
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.autosave
+		 * @param {CKEDITOR.editor} editor
+		 * @param {Function} [callback] A function called with `true` when the draft was saved and `false` otherwise.
+		 */
+		save: function( editor, callback ) {
+			var draft = {
+				data: editor.getData(),
+				timestamp: ( new Date() ).getTime()
+			};
+
+			editor._.autosave.storage.save( editor._.autosave.key, draft, function( success ) {
+				if ( success ) {
+					editor.fire( 'autosave', { draft: draft } );
+				}
+
+				callback && callback( success );
+			} );
+		},
+
+		/**
+		 * Loads the draft of this editor from the storage.
+		 *
+		 *		editor.plugins.autosave.load( editor, function( draft ) {
+		 *			if ( draft ) {
+		 *				console.log( 'The draft was saved at ' + new Date( draft.timestamp ) );
+		 *			}
+		 *		} );
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.autosave
+		 * @param {CKEDITOR.editor} editor
+		 * @param {Function} callback A function called with the {@link CKEDITOR.plugins.autosave.draft draft} or `null`
+		 * if there is no draft.
+		 */
+		load: function( editor, callback ) {
+			editor._.autosave.storage.load( editor._.autosave.key, function( draft ) {
+				callback( draft && typeof draft.data == 'string' ? draft : null );
+			} );
+		},
+
+		/**
+		 * Removes the draft of this editor from the storage. The draft is removed automatically when
+		 * the content is saved with the [Save](https://ckeditor.com/cke4/addon/save) plugin, i.e. on
+		 * the {@link CKEDITOR.editor#save} event, so applications saving the content differently should call this
+		 * method once the content was saved.
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.autosave
+		 * @param {CKEDITOR.editor} editor
+		 * @param {Function} [callback] A function called with `true` when the draft was removed and `false` otherwise.
+		 */
+		remove: function( editor, callback ) {
+			editor._.autosave.storage.remove( editor._.autosave.key, function( success ) {
+				callback && callback( success );
+			} );
+		},
+
+		/**
+		 * Replaces the editor data with the draft.
+		 *
+		 * Fires the {@link CKEDITOR.editor#autosaveDraftRestore} event.
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.autosave
+		 * @param {CKEDITOR.editor} editor
+		 * @param {CKEDITOR.plugins.autosave.draft} draft
+		 * @param {Function} [callback] A function called when the data was set.
+		 */
+		restore: function( editor, draft, callback ) {
+			hideNotification( editor );
+
+			editor.setData( draft.data, {
+				callback: function() {
+					editor.fire( 'autosaveDraftRestore', { draft: draft } );
+					callback && callback();
+				}
+			} );
+		}
+	} );
+
+	/**
+	 * The Autosave plugin API.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.autosave
+	 * @singleton
+	 */
+	CKEDITOR.plugins.autosave = {
+		/**
+		 * The storage keeping drafts in the [`localStorage`](https://developer.mozilla.org/en-US/docs/Web/API/Window/localStorage).
+		 * This is the default storage.
+		 *
+		 * @property {CKEDITOR.plugins.autosave.storage}
+		 */
+		localStorage: {
+			load: function( key, callback ) {
+				var draft = null;
+
+				try {
+					draft = JSON.parse( window.localStorage.getItem( key ) );
+				} catch ( e ) {}
+
+				callback( draft );
+			},
+
+			save: function( key, draft, callback ) {
+				callback( tryStorage( function() {
+					window.localStorage.setItem( key, JSON.stringify( draft ) );
+				} ) );
+			},
+
+			remove: function( key, callback ) {
+				callback( tryStorage( function() {
+					window.localStorage.removeItem( key );
+				} ) );
+			}
+		},
+
+		/**
+		 * The storage keeping drafts in the [IndexedDB](https://developer.mozilla.org/en-US/docs/Web/API/IndexedDB_API)
+		 * database named `ckeditor-autosave`. Unlike the {@link #localStorage} one, it is not limited to a few megabytes,
+		 * so it is better suited for long documents.
+		 *
+		 * @property {CKEDITOR.plugins.autosave.storage}
+		 */
+		indexedDB: {
+			load: function( key, callback ) {
+				transaction( 'readonly', function( store ) {
+					return store.get( key );
+				}, function( request ) {
+					callback( request ? request.result || null : null );
+				} );
+			},
+
+			save: function( key, draft, callback ) {
+				transaction( 'readwrite', function( store ) {
+					return store.put( draft, key );
+				}, function( request ) {
+					callback( !!request );
+				} );
+			},
+
+			remove: function( key, callback ) {
+				transaction( 'readwrite', function( store ) {
+					return store[ 'delete' ]( key );
+				}, function( request ) {
+					callback( !!request );
+				} );
+			}
+		}
+	};
+
+	/**
+	 * An abstract storage of drafts. A storage can be set with the {@link CKEDITOR.config#autosave_storage}
+	 * option. All methods are asynchronous, so drafts can also be kept on a server:
+	 *
+	 *		config.autosave_storage = {
+	 *			load: function( key, callback ) {
+	 *				CKEDITOR.ajax.load( '/drafts/' + encodeURIComponent( key ), function( response ) {
+	 *					callback( response ? JSON.parse( response ) : null );
+	 *				} );
+	 *			},
+	 *
+	 *			save: function( key, draft, callback ) {
+	 *				CKEDITOR.ajax.post( '/drafts/' + encodeURIComponent( key ), JSON.stringify( draft ), 'application/json', function( response ) {
+	 *					callback( response !== null );
+	 *				} );
+	 *			},
+	 *
+	 *			remove: function( key, callback ) {
+	 *				CKEDITOR.ajax.post( '/drafts/' + encodeURIComponent( key ) + '/remove', '', null, function( response ) {
+	 *					callback( response !== null );
+	 *				} );
+	 *			}
+	 *		};
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.autosave.storage
+	 * @abstract
+	 */
+
+	/**
+	 * Loads a draft.
+	 *
+	 * @method load
+	 * @param {String} key The key of the draft, see {@link CKEDITOR.config#autosave_key}.
+	 * @param {Function} callback A function which must be called with the {@link CKEDITOR.plugins.autosave.draft draft}
+	 * or `null` if there is no draft or it could not be loaded.
+	 */
+
+	/**
+	 * Saves a draft, replacing the previous draft with the same key.
+	 *
+	 * @method save
+	 * @param {String} key The key of the draft.
+	 * @param {CKEDITOR.plugins.autosave.draft} draft
+	 * @param {Function} callback A function which must be called with `true` if the draft was saved and `false` otherwise.
+	 */
+
+	/**
+	 * Removes a draft.
+	 *
+	 * @method remove
+	 * @param {String} key The key of the draft.
+	 * @param {Function} callback A function which must be called with `true` if the draft was removed and `false` otherwise.
+	 */
+
+	/**
+	 * A draft of the editor data.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.autosave.draft
+	 * @abstract
+	 */
+
+	/**
+	 * The editor data.
+	 *
+	 * @property {String} data
+	 */
+
+	/**
+	 * The time when the draft was saved, in milliseconds since the Unix epoch.
+	 *
+	 * @property {Number} timestamp
+	 */
+
+	function getStorage( storage ) {
+		if ( storage && typeof storage == 'object' ) {
+			return storage;
+		}
+
+		return CKEDITOR.plugins.autosave[ storage == 'indexedDB' ? 'indexedDB' : 'localStorage' ];
+	}
+
+	// Calls the function and returns `false` if it threw, e.g. when the storage is disabled or full.
+	function tryStorage( fn ) {
+		try {
+			fn();
+			return true;
+		} catch ( e ) {
+			return false;
+		}
+	}
+
+	// The opened database, `null` if it could not be opened, or `undefined` before it is opened.
+	var database,
+		databaseCallbacks = null;
+
+	// Opens the database once and calls back with `null` if IndexedDB is not available.
+	function openDatabase( callback ) {
+		var request;
+
+		if ( database !== undefined ) {
+			return callback( database );
+		}
+
+		if ( databaseCallbacks ) {
+			databaseCallbacks.push( callback );
+			return;
+		}
+
+		databaseCallbacks = [ callback ];
+
+		function done( db ) {
+			var callbacks = databaseCallbacks;
+
+			database = db;
+			databaseCallbacks = null;
+
+			CKEDITOR.tools.array.forEach( callbacks, function( callback ) {
+				callback( db );
+			} );
+		}
+
+		try {
+			request = window.indexedDB.open( 'ckeditor-autosave', 1 );
+		} catch ( e ) {
+			return done( null );
+		}
+
+		request.onupgradeneeded = function() {
+			request.result.createObjectStore( 'drafts' );
+		};
+
+		request.onsuccess = function() {
+			done( request.result );
+		};
+
+		request.onerror = function() {
+			done( null );
+		};
+	}
+
+	// Runs a request on the store of drafts. Calls back with the finished request or `null` if it failed.
+	function transaction( mode, createRequest, callback ) {
+		openDatabase( function( db ) {
+			var request;
+
+			if ( !db ) {
+				return callback( null );
+			}
+
+			try {
+				request = createRequest( db.transaction( 'drafts', mode ).objectStore( 'drafts' ) );
+			} catch ( e ) {
+				return callback( null );
+			}
+
+			request.onsuccess = function() {
+				callback( request );
+			};
+
+			request.onerror = function() {
+				callback( null );
+			};
+		} );
+	}
+
+	function showNotification( editor, plugin, draft ) {
+		var lang = editor.lang.autosave,
+			state = editor._.autosave,
+			notification,
+			element;
+
+		state.offeredDraft = draft;
+		state.offeredDraftReplaced = false;
+
+		notification = state.notification = new CKEDITOR.plugins.notification( editor, {
+			message: '<span class="cke_autosave_message">' +
+					CKEDITOR.tools.htmlEncode( lang.draftFound.replace( '%1', new Date( draft.timestamp ).toLocaleString() ) ) +
+				'</span>' +
+				'<span class="cke_autosave_preview">' + getPreview( editor.getData(), draft.data ) + '</span>' +
+				'<span class="cke_autosave_buttons">' +
+					'<a class="cke_autosave_restore" href="javascript:void(0)" role="button">' + lang.restore + '</a>' +
+					'<a class="cke_autosave_discard" href="javascript:void(0)" role="button">' + lang.discard + '</a>' +
+				'</span>',
+			type: 'warning'
+		} );
+
+		element = notification.element;
+
+		element.findOne( '.cke_autosave_restore' ).on( 'click', function( evt ) {
+			evt.data.preventDefault();
+			plugin.restore( editor, state.offeredDraft );
+		} );
+
+		element.findOne( '.cke_autosave_discard' ).on( 'click', function( evt ) {
+			evt.data.preventDefault();
+			hideNotification( editor );
+
+			// The changes saved over the draft must be kept.
+			if ( !state.offeredDraftReplaced ) {
+				plugin.remove( editor );
+			}
+		} );
+
+		// Closing the notification leaves the draft in the storage until the next change is saved.
+		editor.on( 'notificationHide', function( evt ) {
+			if ( evt.data.notification == notification ) {
+				evt.removeListener();
+				state.notification = state.offeredDraft = null;
+			}
+		} );
+
+		notification.show();
+	}
+
+	function hideNotification( editor ) {
+		var notification = editor._.autosave.notification;
+
+		if ( notification ) {
+			notification.hide();
+		}
+	}
+
+	// Returns HTML showing words removed (`<del>`) and added (`<ins>`) by the draft, with a few words of context.
+	function getPreview( data, draftData ) {
+		var oldWords = getWords( data ),
+			newWords = getWords( draftData ),
+			parts = diffWords( oldWords, newWords ),
+			html = [],
+			length = 0;
+
+		CKEDITOR.tools.array.forEach( parts, function( part, index ) {
+			var words = part.words,
+				isFirst = index === 0,
+				isLast = index == parts.length - 1;
+
+			if ( length >= PREVIEW_LENGTH ) {
+				return;
+			}
+
+			// Show only the context of the changes.
+			if ( part.type == 'equal' ) {
+				if ( isFirst && !isLast && words.length > PREVIEW_CONTEXT ) {
+					words = [ '\u2026' ].concat( words.slice( -PREVIEW_CONTEXT ) );
+				} else if ( isLast && !isFirst && words.length > PREVIEW_CONTEXT ) {
+					words = words.slice( 0, PREVIEW_CONTEXT ).concat( '\u2026' );
+				} else if ( !isFirst && !isLast && words.length > PREVIEW_CONTEXT * 2 ) {
+					words = words.slice( 0, PREVIEW_CONTEXT ).concat( '\u2026', words.slice( -PREVIEW_CONTEXT ) );
+				}
+			}
+
+			words = words.slice( 0, PREVIEW_LENGTH - length );
+			length += words.length;
+
+			words = CKEDITOR.tools.htmlEncode( words.join( ' ' ) );
+			html.push( part.type == 'equal' ? words : '<' + part.type + '>' + words + '</' + part.type + '>' );
+		} );
+
+		if ( length >= PREVIEW_LENGTH ) {
+			html.push( '\u2026' );
+		}
+
+		return html.join( ' ' );
+	}
+
+	// Returns words of the text content of the HTML.
+	function getWords( html ) {
+		var text = [];
+
+		function collect( node ) {
+			CKEDITOR.tools.array.forEach( node.children, function( child ) {
+				if ( child.type == CKEDITOR.NODE_TEXT ) {
+					text.push( CKEDITOR.tools.htmlDecode( child.value ) );
+				} else if ( child.type == CKEDITOR.NODE_ELEMENT && child.name != 'script' && child.name != 'style' ) {
+					blockElements[ child.name ] && text.push( ' ' );
+					collect( child );
+					blockElements[ child.name ] && text.push( ' ' );
+				}
+			} );
+		}
+
+		collect( CKEDITOR.htmlParser.fragment.fromHtml( html ) );
+
+		text = CKEDITOR.tools.trim( text.join( '' ).replace( /\s+/g, ' ' ) );
+
+		return text ? text.split( ' ' ) : [];
+	}
+
+	// Returns the list of `equal`, `del` and `ins` parts changing old words into new words.
+	function diffWords( oldWords, newWords ) {
+		var parts = [],
+			prefix = 0,
+			suffix = 0,
+			oldMiddle,
+			newMiddle;
+
+		while ( prefix < oldWords.length && prefix < newWords.length && oldWords[ prefix ] === newWords[ prefix ] ) {
+			prefix++;
+		}
+
+		while ( suffix < oldWords.length - prefix && suffix < newWords.length - prefix &&
+			oldWords[ oldWords.length - 1 - suffix ] === newWords[ newWords.length - 1 - suffix ] ) {
+			suffix++;
+		}
+
+		oldMiddle = oldWords.slice( prefix, oldWords.length - suffix );
+		newMiddle = newWords.slice( prefix, newWords.length - suffix );
+
+		addPart( parts, 'equal', oldWords.slice( 0, prefix ) );
+
+		if ( oldMiddle.length * newMiddle.length > MAX_DIFF_SIZE ) {
+			addPart( parts, 'del', oldMiddle );
+			addPart( parts, 'ins', newMiddle );
+		} else {
+			diffMiddle( parts, oldMiddle, newMiddle );
+		}
+
+		addPart( parts, 'equal', oldWords.slice( oldWords.length - suffix ) );
+
+		return parts;
+	}
+
+	// Finds the longest common subsequence of words and turns it into parts.
+	function diffMiddle( parts, oldWords, newWords ) {
+		var lengths = [],
+			i,
+			j;
+
+		for ( i = oldWords.length; i >= 0; i-- ) {
+			lengths[ i ] = [];
+
+			for ( j = newWords.length; j >= 0; j-- ) {
+				if ( i == oldWords.length || j == newWords.length ) {
+					lengths[ i ][ j ] = 0;
+				} else if ( oldWords[ i ] === newWords[ j ] ) {
+					lengths[ i ][ j ] = lengths[ i + 1 ][ j + 1 ] + 1;
+				} else {
+					lengths[ i ][ j ] = Math.max( lengths[ i + 1 ][ j ], lengths[ i ][ j + 1 ] );
+				}
+			}
+		}
+
+		i = 0;
+		j = 0;
+
+		while ( i < oldWords.length || j < newWords.length ) {
+			if ( i < oldWords.length && j < newWords.length && oldWords[ i ] === newWords[ j ] ) {
+				addPart( parts, 'equal', [ oldWords[ i ] ] );
+				i++;
+				j++;
+			} else if ( i < oldWords.length && ( j == newWords.length || lengths[ i + 1 ][ j ] >= lengths[ i ][ j + 1 ] ) ) {
+				addPart( parts, 'del', [ oldWords[ i ] ] );
+				i++;
+			} else {
+				addPart( parts, 'ins', [ newWords[ j ] ] );
+				j++;
+			}
+		}
+	}
+
+	// Adds words to the parts, merging them with the last part of the same type.
+	function addPart( parts, type, words ) {
+		var last = parts[ parts.length - 1 ];
+
+		if ( !words.length ) {
+			return;
+		}
+
+		if ( last && last.type == type ) {
+			last.words = last.words.concat( words );
+		} else {
+			parts.push( { type: type, words: words } );
+		}
+	}
+} )();
+
+/**
+ * The storage of drafts. Available storages are:
+ *
+ * * `'localStorage'` &ndash; {@link CKEDITOR.plugins.autosave#localStorage},
+ * * `'indexedDB'` &ndash; {@link CKEDITOR.plugins.autosave#indexedDB},
+ * * an object implementing the {@link CKEDITOR.plugins.autosave.storage} interface, for example to keep drafts on a server.
+ *
+ *		config.autosave_storage = 'indexedDB';
+ *
+ * @since 4.13.0
+ * @cfg {String/CKEDITOR.plugins.autosave.storage} [autosave_storage='localStorage']
+ * @member CKEDITOR.config
+ */
+
+/**
+ * The key identifying the draft of this editor in the storage. By default it is built from the path of the page
+ * and the {@link CKEDITOR.editor#name editor name}, so it should be set when the same page is used to edit
+ * different documents:
+ *
+ *		config.autosave_key = 'article-' + articleId;
+ *
+ * @since 4.13.0
+ * @cfg {String} [autosave_key]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * The time in milliseconds after the last change when the draft is saved.
+ *
+ *		config.autosave_delay = 5000;
+ *
+ * @since 4.13.0
+ * @cfg {Number} [autosave_delay=1000]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * The time when the data loaded into the editor was saved, in milliseconds since the Unix epoch.
+ * Drafts saved before that time are outdated, so they are removed instead of being offered to the user.
+ * By default every draft which differs from the loaded data is offered.
+ *
+ *		config.autosave_dataTimestamp = article.modificationDate.getTime();
+ *
+ * @since 4.13.0
+ * @cfg {Number} [autosave_dataTimestamp=0]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * Fired when a draft was saved.
+ *
+ * @since 4.13.0
+ * @event autosave
+ * @member CKEDITOR.editor
+ * @param {CKEDITOR.editor} editor This editor instance.
+ * @param data
+ * @param {CKEDITOR.plugins.autosave.draft} data.draft
+ */
+
+/**
+ * Fired when the editor is loaded and a draft differing from the loaded data is found. Cancel the event to hide
+ * the notification offering to restore the draft, e.g. to offer it in a different way:
+ *
+ *		editor.on( 'autosaveDraftFound', function( evt ) {
+ *			if ( confirm( 'Restore the unsaved changes?' ) ) {
+ *				editor.plugins.autosave.restore( editor, evt.data.draft );
+ *			}
+ *
+ *			evt.cancel();
+ *		} );
+ *
+ * @since 4.13.0
+ * @event autosaveDraftFound
+ * @member CKEDITOR.editor
+ * @param {CKEDITOR.editor} editor This editor instance.
+ * @param data
+ * @param {CKEDITOR.plugins.autosave.draft} data.draft
+ */
+
+/**
+ * Fired when a draft was restored.
+ *
+ * @since 4.13.0
+ * @event autosaveDraftRestore
+ * @member CKEDITOR.editor
+ * @param {CKEDITOR.editor} editor This editor instance.
+ * @param data
+ * @param {CKEDITOR.plugins.autosave.draft} data.draft
+ */
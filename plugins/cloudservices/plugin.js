@@ -9,7 +9,36 @@
 	CKEDITOR.plugins.add( 'cloudservices', {
 		requires: 'filetools,ajax',
 		onLoad: function() {
-			var FileLoader = CKEDITOR.fileTools.fileLoader;
+			var FileLoader = CKEDITOR.fileTools.fileLoader,
+				XhrUploadAdapter = CKEDITOR.fileTools.xhrUploadAdapter;
+
+			/**
+			 * A dedicated {@link CKEDITOR.fileTools.uploadAdapter upload adapter} for
+			 * [CKEditor Cloud Services](https://ckeditor.com/ckeditor-cloud-services/). It sends the file with the security token
+			 * (see {@link CKEDITOR.config#cloudServices_tokenUrl}) and keeps the parsed response in
+			 * the `response` property of {@link CKEDITOR.fileTools.fileLoader#responseData}.
+			 *
+			 * It is used by {@link CKEDITOR.plugins.cloudservices.cloudServicesLoader}, but it may be used by any file loader:
+			 *
+			 *		var loader = editor.uploadRepository.create( file );
+			 *
+			 *		loader.uploadAdapter = CKEDITOR.plugins.cloudservices.cloudServicesUploadAdapter;
+			 *		loader.upload( editor.config.cloudServices_uploadUrl );
+			 *
+			 * Note that this type is defined in the {@link CKEDITOR.pluginDefinition#onLoad plugin.onLoad} method, like
+			 * {@link CKEDITOR.plugins.cloudservices.cloudServicesLoader}.
+			 *
+			 * @since 4.13.0
+			 * @class CKEDITOR.plugins.cloudservices.cloudServicesUploadAdapter
+			 * @extends CKEDITOR.fileTools.xhrUploadAdapter
+			 * @constructor
+			 * @param {CKEDITOR.fileTools.fileLoader} loader The file loader which uploads the file.
+			 */
+			function CloudServicesUploadAdapter( loader ) {
+				XhrUploadAdapter.call( this, loader );
+			}
+
+			CloudServicesUploadAdapter.prototype = CKEDITOR.tools.extend( {}, XhrUploadAdapter.prototype );
 
 			/**
 			 * A dedicated uploader type for [CKEditor Cloud Services](https://ckeditor.com/ckeditor-cloud-services/).
@@ -46,6 +75,12 @@
 
 			CloudServicesLoader.prototype = CKEDITOR.tools.extend( {}, FileLoader.prototype );
 
+			/**
+			 * @property {Function} [uploadAdapter=CKEDITOR.plugins.cloudservices.cloudServicesUploadAdapter]
+			 * @inheritdoc
+			 */
+			CloudServicesLoader.prototype.uploadAdapter = CloudServicesUploadAdapter;
+
 			/**
 			 * @inheritdoc
 			 * @param {String} [url] The upload URL. If not provided, {@link CKEDITOR.config#cloudServices_uploadUrl} will be used.
@@ -72,6 +107,7 @@
 			*/
 
 			CKEDITOR.plugins.cloudservices.cloudServicesLoader = CloudServicesLoader;
+			CKEDITOR.plugins.cloudservices.cloudServicesUploadAdapter = CloudServicesUploadAdapter;
 		},
 
 		beforeInit: function( editor ) {
@@ -112,7 +148,7 @@
 					reqData = evt.data.requestData,
 					token = fileLoader.customToken || tokenFetcher.token;
 
-				if ( fileLoader instanceof CKEDITOR.plugins.cloudservices.cloudServicesLoader ) {
+				if ( isCloudServicesUpload( fileLoader ) ) {
 					// Cloud Services expect file to be put as a "file" property.
 					reqData.file = reqData.upload;
 					delete reqData.upload;
@@ -132,7 +168,7 @@
 					xhr = fileLoader.xhr,
 					response;
 
-				if ( fileLoader instanceof CKEDITOR.plugins.cloudservices.cloudServicesLoader ) {
+				if ( isCloudServicesUpload( fileLoader ) ) {
 					evt.stop();
 
 					try {
@@ -148,10 +184,19 @@
 	} );
 
 	CKEDITOR.plugins.cloudservices = {
-		// Note this type is loaded on runtime.
-		cloudServicesLoader: null
+		// Note these types are loaded on runtime.
+		cloudServicesLoader: null,
+		cloudServicesUploadAdapter: null
 	};
 
+	// Checks whether the file is uploaded to Cloud Services.
+	//
+	// @param {CKEDITOR.fileTools.fileLoader} fileLoader
+	// @returns {Boolean}
+	function isCloudServicesUpload( fileLoader ) {
+		return !!fileLoader && fileLoader.adapter instanceof CKEDITOR.plugins.cloudservices.cloudServicesUploadAdapter;
+	}
+
 	/**
 	 * The endpoint URL for [CKEditor Cloud Services](https://ckeditor.com/ckeditor-cloud-services) uploads.
 	 * This option must be set for Easy Image to work correctly.
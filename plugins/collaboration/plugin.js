@@ -0,0 +1,1818 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @fileOverview The Collaboration plugin. Allows real-time collaborative editing of the same content
+ * by many editors connected through a server.
+ *
+ * The editable content is described by a tree model (see {@link CKEDITOR.plugins.collaboration.operations}).
+ * Local changes are found by comparing the model with the editable DOM after every
+ * {@link CKEDITOR.editor#change} and sent to the server as fine-grained operations, e.g. "insert text
+ * at the given offset of the given text node". Operations of other users are transformed against
+ * the local ones which were not confirmed by the server yet (operational transformation) and applied to
+ * the editable, preserving the local selection with {@link CKEDITOR.dom.selection#createBookmarks}.
+ *
+ * The server orders the operations, transforms the ones created concurrently and broadcasts them.
+ * The communication goes through a {@link CKEDITOR.plugins.collaboration.transport transport}, so
+ * the server can run in the same window ({@link CKEDITOR.plugins.collaboration.localServer}), e.g. for
+ * testing, or on a remote machine ({@link CKEDITOR.plugins.collaboration.webSocketTransport}).
+ *
+ * Known limitations:
+ *
+ * * The undo stack is reset when changes of other users are applied, because undo images
+ * are snapshots of the whole content and restoring them would revert these changes.
+ * * The content is not synchronized while the editor is not in the WYSIWYG mode. Changes made in
+ * other modes are sent when switching back.
+ */
+
+( function() {
+	'use strict';
+
+	var NODE_ELEMENT = CKEDITOR.NODE_ELEMENT,
+		NODE_TEXT = CKEDITOR.NODE_TEXT,
+		NODE_COMMENT = CKEDITOR.NODE_COMMENT,
+		FILLING_CHAR_SEQUENCE = CKEDITOR.dom.selection.FILLING_CHAR_SEQUENCE,
+		COLORS = [ '#1a73e8', '#d93025', '#188038', '#e37400', '#9334e6', '#007b83', '#c5221f', '#5f6368' ],
+		// This flag prevents appending stylesheet more than once.
+		stylesLoaded = false;
+
+	CKEDITOR.plugins.add( 'collaboration', {
+		requires: 'contentoverlay,undo',
+
+		init: function( editor ) {
+			if ( !stylesLoaded ) {
+				CKEDITOR.document.appendStyleSheet( this.path + 'styles/collaboration.css' );
+				stylesLoaded = true;
+			}
+
+			if ( editor.addContentsCss ) {
+				editor.addContentsCss( this.path + 'styles/collaboration.css' );
+			}
+
+			/**
+			 * The collaboration session of this editor instance.
+			 *
+			 * @since 4.13.0
+			 * @readonly
+			 * @member CKEDITOR.editor
+			 * @property {CKEDITOR.plugins.collaboration.session} collaboration
+			 */
+			var session = editor.collaboration = new Session( editor );
+
+			editor.on( 'instanceReady', function() {
+				var transport = editor.config.collaboration_transport;
+
+				if ( transport ) {
+					session.connect( transport, editor.config.collaboration_user );
+				}
+			} );
+
+			editor.on( 'destroy', function() {
+				session.disconnect();
+			} );
+		}
+	} );
+
+	/**
+	 * Functions operating on the content model. They do not depend on the editor, so they can also be used by a server.
+	 *
+	 * The model is an array of nodes, where each node is a plain object:
+	 *
+	 * * `{ type: CKEDITOR.NODE_ELEMENT, name: 'p', attributes: { ... }, children: [ ... ] }`,
+	 * * `{ type: CKEDITOR.NODE_TEXT, value: 'Foo' }`,
+	 * * `{ type: CKEDITOR.NODE_COMMENT, value: 'Foo' }`.
+	 *
+	 * Nodes are addressed with paths, which are arrays of child indexes starting from the root.
+	 * The following operations are supported:
+	 *
+	 * * `{ type: 'insertNode', path: [ 0, 1 ], node: { ... } }` &ndash; inserts the node, so it gets the given path,
+	 * * `{ type: 'removeNode', path: [ 0, 1 ] }` &ndash; removes the node with the given path,
+	 * * `{ type: 'insertText', path: [ 0, 1 ], offset: 2, text: 'foo' }` &ndash; inserts text into a text node,
+	 * * `{ type: 'removeText', path: [ 0, 1 ], offset: 2, text: 'foo' }` &ndash; removes text from a text node,
+	 * * `{ type: 'setAttribute', path: [ 0 ], key: 'title', value: 'Foo', oldValue: null }` &ndash; sets
+	 * or removes (for the `null` value) an attribute of an element.
+	 *
+	 * Positions, e.g. of the selection boundaries, are objects like `{ path: [ 0, 1 ], offset: 2 }`, where
+	 * the offset is a character index for a text node or a child index for an element.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.collaboration.operations
+	 * @singleton
+	 */
+	var operations = {
+		/**
+		 * Returns operations which change the `oldNodes` model into the `newNodes` model.
+		 *
+		 * @param {Object[]} oldNodes
+		 * @param {Object[]} newNodes
+		 * @returns {Object[]}
+		 */
+		diff: function( oldNodes, newNodes ) {
+			var ops = [];
+
+			diffChildren( oldNodes, newNodes, [], ops );
+
+			return ops;
+		},
+
+		/**
+		 * Applies the operation to the model.
+		 *
+		 * @param {Object[]} nodes The model which is modified.
+		 * @param {Object} op
+		 */
+		apply: function( nodes, op ) {
+			var siblings = getModelChildren( nodes, op.path.slice( 0, -1 ) ),
+				index = op.path[ op.path.length - 1 ],
+				node = siblings[ index ];
+
+			switch ( op.type ) {
+				case 'insertNode':
+					siblings.splice( index, 0, clone( op.node ) );
+					break;
+
+				case 'removeNode':
+					siblings.splice( index, 1 );
+					break;
+
+				case 'insertText':
+					node.value = node.value.slice( 0, op.offset ) + op.text + node.value.slice( op.offset );
+					break;
+
+				case 'removeText':
+					node.value = node.value.slice( 0, op.offset ) + node.value.slice( op.offset + op.text.length );
+					break;
+
+				case 'setAttribute':
+					if ( op.value === null ) {
+						delete node.attributes[ op.key ];
+					} else {
+						node.attributes[ op.key ] = op.value;
+					}
+			}
+		},
+
+		/**
+		 * Transforms the operation `a` against the operation `b`, so it can be applied after `b`
+		 * with the same effect, which is applying `b` after `a`.
+		 *
+		 * @param {Object} a
+		 * @param {Object} b
+		 * @param {Boolean} aWins Whether `a` goes first if both operations insert at the same position
+		 * or set the same attribute, in which case `a` overrides `b`.
+		 * @returns {Object[]} Zero (if `a` has no effect anymore), one or two operations.
+		 */
+		transform: function( a, b, aWins ) {
+			var parentLength = b.path.length - 1,
+				index = b.path[ parentLength ];
+
+			a = clone( a );
+
+			switch ( b.type ) {
+				case 'insertNode':
+					if ( isInside( a.path, b.path, parentLength ) && a.path[ parentLength ] >= index &&
+						!( aWins && a.type == 'insertNode' && pathEquals( a.path, b.path ) ) ) {
+						a.path[ parentLength ]++;
+					}
+					break;
+
+				case 'removeNode':
+					if ( isInside( a.path, b.path, parentLength ) ) {
+						if ( a.path[ parentLength ] > index ) {
+							a.path[ parentLength ]--;
+						} else if ( a.path[ parentLength ] == index && !( a.type == 'insertNode' && a.path.length == b.path.length ) ) {
+							// The node modified by `a` is removed.
+							return [];
+						}
+					}
+					break;
+
+				case 'insertText':
+					if ( pathEquals( a.path, b.path ) ) {
+						return transformByInsertText( a, b, aWins );
+					}
+					break;
+
+				case 'removeText':
+					if ( pathEquals( a.path, b.path ) ) {
+						return transformByRemoveText( a, b );
+					}
+					break;
+
+				case 'setAttribute':
+					if ( a.type == 'setAttribute' && a.key == b.key && pathEquals( a.path, b.path ) ) {
+						if ( !aWins ) {
+							return [];
+						}
+
+						a.oldValue = b.value;
+					}
+			}
+
+			return [ a ];
+		},
+
+		/**
+		 * Transforms two lists of concurrent operations against each other.
+		 *
+		 * @param {Object[]} a
+		 * @param {Object[]} b
+		 * @param {Boolean} aWins See {@link #transform}.
+		 * @returns {Array} An array of two lists: `a` which can be applied after `b` and `b` which can be applied after `a`.
+		 */
+		transformLists: function( a, b, aWins ) {
+			var first, rest;
+
+			if ( !a.length || !b.length ) {
+				return [ a, b ];
+			}
+
+			if ( a.length == 1 && b.length == 1 ) {
+				return [ this.transform( a[ 0 ], b[ 0 ], aWins ), this.transform( b[ 0 ], a[ 0 ], !aWins ) ];
+			}
+
+			if ( a.length > 1 ) {
+				first = this.transformLists( a.slice( 0, 1 ), b, aWins );
+				rest = this.transformLists( a.slice( 1 ), first[ 1 ], aWins );
+
+				return [ first[ 0 ].concat( rest[ 0 ] ), rest[ 1 ] ];
+			}
+
+			first = this.transformLists( a, b.slice( 0, 1 ), aWins );
+			rest = this.transformLists( first[ 0 ], b.slice( 1 ), aWins );
+
+			return [ rest[ 0 ], first[ 1 ].concat( rest[ 1 ] ) ];
+		},
+
+		/**
+		 * Returns the position after applying the operation. Positions at the place of an insertion
+		 * are moved after the inserted content.
+		 *
+		 * @param {Object} position
+		 * @param {Object} op
+		 * @returns {Object} A new position.
+		 */
+		transformPosition: function( position, op ) {
+			var parentLength = op.path.length - 1,
+				index = op.path[ parentLength ],
+				path = position.path.slice(),
+				offset = position.offset,
+				length;
+
+			switch ( op.type ) {
+				case 'insertNode':
+					if ( isInside( path, op.path, parentLength ) && path[ parentLength ] >= index ) {
+						path[ parentLength ]++;
+					} else if ( pathEquals( path, op.path.slice( 0, -1 ) ) && offset >= index ) {
+						offset++;
+					}
+					break;
+
+				case 'removeNode':
+					if ( isInside( path, op.path, parentLength ) ) {
+						if ( path[ parentLength ] > index ) {
+							path[ parentLength ]--;
+						} else if ( path[ parentLength ] == index ) {
+							// The position was in the removed node, move it to its place.
+							path = op.path.slice( 0, -1 );
+							offset = index;
+						}
+					} else if ( pathEquals( path, op.path.slice( 0, -1 ) ) && offset > index ) {
+						offset--;
+					}
+					break;
+
+				case 'insertText':
+					if ( pathEquals( path, op.path ) && offset >= op.offset ) {
+						offset += op.text.length;
+					}
+					break;
+
+				case 'removeText':
+					length = op.text.length;
+
+					if ( pathEquals( path, op.path ) && offset > op.offset ) {
+						offset = Math.max( op.offset, offset - length );
+					}
+			}
+
+			return {
+				path: path,
+				offset: offset
+			};
+		}
+	};
+
+	function transformByInsertText( a, b, aWins ) {
+		var length = b.text.length,
+			splitAt;
+
+		if ( a.type == 'insertText' ) {
+			if ( a.offset > b.offset || ( a.offset == b.offset && !aWins ) ) {
+				a.offset += length;
+			}
+		} else if ( a.type == 'removeText' ) {
+			if ( b.offset <= a.offset ) {
+				a.offset += length;
+			} else if ( b.offset < a.offset + a.text.length ) {
+				// Text was inserted into the removed one, so it is removed in two parts.
+				splitAt = b.offset - a.offset;
+
+				return [
+					{ type: 'removeText', path: a.path, offset: a.offset, text: a.text.slice( 0, splitAt ) },
+					{ type: 'removeText', path: a.path, offset: a.offset + length, text: a.text.slice( splitAt ) }
+				];
+			}
+		}
+
+		return [ a ];
+	}
+
+	function transformByRemoveText( a, b ) {
+		var bEnd = b.offset + b.text.length,
+			start,
+			end;
+
+		if ( a.type == 'insertText' ) {
+			if ( a.offset >= bEnd ) {
+				a.offset -= b.text.length;
+			} else if ( a.offset > b.offset ) {
+				a.offset = b.offset;
+			}
+		} else if ( a.type == 'removeText' ) {
+			// Do not remove the text which was already removed.
+			start = Math.max( a.offset, b.offset );
+			end = Math.min( a.offset + a.text.length, bEnd );
+
+			if ( start < end ) {
+				a.text = a.text.slice( 0, start - a.offset ) + a.text.slice( end - a.offset );
+			}
+
+			if ( a.offset >= bEnd ) {
+				a.offset -= b.text.length;
+			} else if ( a.offset > b.offset ) {
+				a.offset = b.offset;
+			}
+
+			if ( !a.text ) {
+				return [];
+			}
+		}
+
+		return [ a ];
+	}
+
+	function diffChildren( oldNodes, newNodes, path, ops ) {
+		var start = 0,
+			oldEnd = oldNodes.length,
+			newEnd = newNodes.length,
+			i;
+
+		while ( start < oldEnd && start < newEnd && isEqual( oldNodes[ start ], newNodes[ start ] ) ) {
+			start++;
+		}
+
+		while ( oldEnd > start && newEnd > start && isEqual( oldNodes[ oldEnd - 1 ], newNodes[ newEnd - 1 ] ) ) {
+			oldEnd--;
+			newEnd--;
+		}
+
+		// Update the similar nodes in place, so concurrent changes inside them are not lost,
+		// e.g. when a paragraph is split by pressing Enter.
+		while ( start < oldEnd && start < newEnd && isSimilar( oldNodes[ start ], newNodes[ start ] ) ) {
+			diffNode( oldNodes[ start ], newNodes[ start ], path.concat( start ), ops );
+			start++;
+		}
+
+		for ( i = start; i < oldEnd; i++ ) {
+			ops.push( { type: 'removeNode', path: path.concat( start ) } );
+		}
+
+		for ( i = start; i < newEnd; i++ ) {
+			ops.push( { type: 'insertNode', path: path.concat( i ), node: clone( newNodes[ i ] ) } );
+		}
+	}
+
+	function diffNode( oldNode, newNode, path, ops ) {
+		var oldValue = oldNode.value,
+			newValue = newNode.value,
+			prefix = 0,
+			suffix = 0,
+			key;
+
+		if ( oldNode.type != NODE_ELEMENT ) {
+			while ( prefix < oldValue.length && prefix < newValue.length && oldValue.charAt( prefix ) == newValue.charAt( prefix ) ) {
+				prefix++;
+			}
+
+			while ( suffix < oldValue.length - prefix && suffix < newValue.length - prefix &&
+				oldValue.charAt( oldValue.length - suffix - 1 ) == newValue.charAt( newValue.length - suffix - 1 ) ) {
+				suffix++;
+			}
+
+			// Insert first, so the text node does not get empty in the meantime.
+			if ( prefix + suffix < newValue.length ) {
+				ops.push( { type: 'insertText', path: path, offset: prefix, text: newValue.slice( prefix, newValue.length - suffix ) } );
+			}
+
+			if ( prefix + suffix < oldValue.length ) {
+				ops.push( {
+					type: 'removeText',
+					path: path,
+					offset: newValue.length - suffix,
+					text: oldValue.slice( prefix, oldValue.length - suffix )
+				} );
+			}
+
+			return;
+		}
+
+		for ( key in oldNode.attributes ) {
+			if ( !newNode.attributes.hasOwnProperty( key ) ) {
+				ops.push( { type: 'setAttribute', path: path, key: key, value: null, oldValue: oldNode.attributes[ key ] } );
+			}
+		}
+
+		for ( key in newNode.attributes ) {
+			if ( newNode.attributes[ key ] !== oldNode.attributes[ key ] ) {
+				ops.push( {
+					type: 'setAttribute',
+					path: path,
+					key: key,
+					value: newNode.attributes[ key ],
+					oldValue: oldNode.attributes.hasOwnProperty( key ) ? oldNode.attributes[ key ] : null
+				} );
+			}
+		}
+
+		diffChildren( oldNode.children, newNode.children, path, ops );
+	}
+
+	// Comments are compared as a whole, so they are not similar unless equal.
+	function isSimilar( a, b ) {
+		return a.type == b.type && ( a.type == NODE_ELEMENT ? a.name == b.name : a.type == NODE_TEXT );
+	}
+
+	function isEqual( a, b ) {
+		var key;
+
+		if ( a.type != b.type ) {
+			return false;
+		}
+
+		if ( a.type != NODE_ELEMENT ) {
+			return a.value === b.value;
+		}
+
+		if ( a.name != b.name || a.children.length != b.children.length ) {
+			return false;
+		}
+
+		for ( key in a.attributes ) {
+			if ( a.attributes[ key ] !== b.attributes[ key ] ) {
+				return false;
+			}
+		}
+
+		for ( key in b.attributes ) {
+			if ( !a.attributes.hasOwnProperty( key ) ) {
+				return false;
+			}
+		}
+
+		for ( key = 0; key < a.children.length; key++ ) {
+			if ( !isEqual( a.children[ key ], b.children[ key ] ) ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	function getModelChildren( nodes, path ) {
+		for ( var i = 0; i < path.length; i++ ) {
+			nodes = nodes[ path[ i ] ].children;
+		}
+
+		return nodes;
+	}
+
+	// Checks whether the path goes through a child of the parent of the `reference` path.
+	function isInside( path, reference, parentLength ) {
+		return path.length > parentLength && pathEquals( path.slice( 0, parentLength ), reference.slice( 0, parentLength ) );
+	}
+
+	function pathEquals( a, b ) {
+		if ( a.length != b.length ) {
+			return false;
+		}
+
+		for ( var i = 0; i < a.length; i++ ) {
+			if ( a[ i ] !== b[ i ] ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	function clone( object ) {
+		return JSON.parse( JSON.stringify( object ) );
+	}
+
+	// Mapping between the model and the DOM.
+	//
+	// Bookmarks and temporary elements are not a part of the model. Text nodes split by selection bookmarks
+	// while applying remote operations (the "joints") are treated as a single text node. So are text nodes
+	// around the selection filling char sequence, which Webkit inserts at the caret. The sequence itself is ignored.
+
+	// Returns model children of the element as objects with the node type and DOM nodes.
+	function getItems( element, joints ) {
+		var items = [],
+			last = null,
+			join = false,
+			// Empty text nodes waiting for the following text node.
+			empty = [],
+			child;
+
+		for ( child = element.getFirst(); child; child = child.getNext() ) {
+			if ( isJoint( child, joints ) ) {
+				join = true;
+				continue;
+			}
+
+			if ( !isModelNode( child ) ) {
+				continue;
+			}
+
+			if ( child.type != NODE_TEXT ) {
+				flushEmpty();
+				items.push( last = { type: child.type, nodes: [ child ] } );
+			} else if ( last && last.type == NODE_TEXT && ( join || isJoinable( child ) || isJoinable( last.nodes[ last.nodes.length - 1 ] ) ) ) {
+				last.nodes.push( child );
+			} else if ( !getText( child ) ) {
+				empty.push( child );
+			} else {
+				items.push( last = { type: NODE_TEXT, nodes: empty.concat( child ) } );
+				empty = [];
+			}
+
+			join = false;
+		}
+
+		flushEmpty();
+
+		return items;
+
+		// Empty text nodes which are not next to other text nodes are a part of the model, unless they contain
+		// only the filling char sequence.
+		function flushEmpty() {
+			if ( CKEDITOR.tools.array.filter( empty, isJoinable ).length < empty.length ) {
+				items.push( { type: NODE_TEXT, nodes: empty } );
+			}
+
+			empty = [];
+		}
+	}
+
+	function isModelNode( node ) {
+		if ( node.type == NODE_ELEMENT ) {
+			return !node.data( 'cke-bookmark' ) && !node.data( 'cke-temp' );
+		}
+
+		return node.type == NODE_TEXT || node.type == NODE_COMMENT;
+	}
+
+	function isJoint( node, joints ) {
+		for ( var i = 0; i < joints.length; i++ ) {
+			if ( joints[ i ].equals( node ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	// Text nodes with the filling char sequence and empty ones are joined with adjacent text nodes.
+	function isJoinable( textNode ) {
+		return !getText( textNode ) || !!getFillerLength( textNode.getText() );
+	}
+
+	function getFillerLength( text ) {
+		return text.indexOf( FILLING_CHAR_SEQUENCE ) === 0 ? FILLING_CHAR_SEQUENCE.length : 0;
+	}
+
+	function getText( textNode ) {
+		var text = textNode.getText();
+
+		return text.slice( getFillerLength( text ) );
+	}
+
+	// Merges adjacent text nodes, so the DOM structure matches the model again. Nodes with the filling
+	// char sequence are not merged, because the selection keeps a reference to them. Range boundaries are updated.
+	// Returns `true` if any nodes were merged.
+	function normalizeText( element, ranges ) {
+		var merged = false,
+			child,
+			next;
+
+		for ( child = element.getFirst(); child; child = child.getNext() ) {
+			if ( child.type == NODE_ELEMENT && isModelNode( child ) ) {
+				merged = normalizeText( child, ranges ) || merged;
+			} else if ( child.type == NODE_TEXT && !getFillerLength( child.getText() ) ) {
+				while ( ( next = child.getNext() ) && next.type == NODE_TEXT && !getFillerLength( next.getText() ) ) {
+					mergeText( child, next, ranges );
+					merged = true;
+				}
+			}
+		}
+
+		return merged;
+	}
+
+	// Merges the `next` text node into the `previous` one, updating range boundaries.
+	function mergeText( previous, next, ranges ) {
+		var length = previous.getLength(),
+			parent = next.getParent(),
+			index = next.getIndex();
+
+		CKEDITOR.tools.array.forEach( ranges, function( range ) {
+			CKEDITOR.tools.array.forEach( [ 'start', 'end' ], function( boundary ) {
+				var container = range[ boundary + 'Container' ],
+					offset = range[ boundary + 'Offset' ];
+
+				if ( container.equals( next ) ) {
+					container = previous;
+					offset += length;
+				} else if ( container.equals( parent ) && offset == index ) {
+					container = previous;
+					offset = length;
+				} else if ( container.equals( parent ) && offset > index ) {
+					offset--;
+				}
+
+				range[ boundary + 'Container' ] = container;
+				range[ boundary + 'Offset' ] = offset;
+			} );
+		} );
+
+		previous.setText( previous.getText() + next.getText() );
+		next.remove();
+	}
+
+	function getModel( element, joints ) {
+		return CKEDITOR.tools.array.map( getItems( element, joints ), function( item ) {
+			var node = item.nodes[ 0 ],
+				attributes = {},
+				i;
+
+			if ( item.type == NODE_TEXT ) {
+				return {
+					type: NODE_TEXT,
+					value: CKEDITOR.tools.array.map( item.nodes, getText ).join( '' )
+				};
+			}
+
+			if ( item.type == NODE_COMMENT ) {
+				return {
+					type: NODE_COMMENT,
+					value: node.$.nodeValue
+				};
+			}
+
+			for ( i = 0; i < node.$.attributes.length; i++ ) {
+				attributes[ node.$.attributes[ i ].name ] = node.$.attributes[ i ].value;
+			}
+
+			return {
+				type: NODE_ELEMENT,
+				name: node.getName(),
+				attributes: attributes,
+				children: getModel( node, joints )
+			};
+		} );
+	}
+
+	function createDomNode( model, doc ) {
+		var element, key, i;
+
+		if ( model.type == NODE_TEXT ) {
+			return doc.createText( model.value );
+		}
+
+		if ( model.type == NODE_COMMENT ) {
+			return new CKEDITOR.dom.comment( model.value, doc );
+		}
+
+		element = doc.createElement( model.name );
+
+		for ( key in model.attributes ) {
+			element.setAttribute( key, model.attributes[ key ] );
+		}
+
+		for ( i = 0; i < model.children.length; i++ ) {
+			element.append( createDomNode( model.children[ i ], doc ) );
+		}
+
+		return element;
+	}
+
+	function getDomElement( root, path, joints ) {
+		var element = root,
+			item;
+
+		for ( var i = 0; i < path.length; i++ ) {
+			item = getItems( element, joints )[ path[ i ] ];
+
+			if ( !item || item.type != NODE_ELEMENT ) {
+				return null;
+			}
+
+			element = item.nodes[ 0 ];
+		}
+
+		return element;
+	}
+
+	function applyToDom( root, op, joints ) {
+		var parent = getDomElement( root, op.path.slice( 0, -1 ), joints ),
+			items = getItems( parent, joints ),
+			item = items[ op.path[ op.path.length - 1 ] ],
+			node;
+
+		switch ( op.type ) {
+			case 'insertNode':
+				node = createDomNode( op.node, root.getDocument() );
+
+				if ( item ) {
+					node.insertBefore( item.nodes[ 0 ] );
+				} else {
+					parent.append( node );
+				}
+				break;
+
+			case 'removeNode':
+				CKEDITOR.tools.array.forEach( item.nodes, function( node ) {
+					node.remove();
+				} );
+				break;
+
+			case 'insertText':
+				spliceText( item.nodes, op.offset, 0, op.text );
+				break;
+
+			case 'removeText':
+				spliceText( item.nodes, op.offset, op.text.length, '' );
+				break;
+
+			case 'setAttribute':
+				node = item.nodes[ 0 ];
+
+				if ( op.value === null ) {
+					node.removeAttribute( op.key );
+				} else {
+					node.setAttribute( op.key, op.value );
+				}
+		}
+	}
+
+	// Removes and inserts text at the model offset of a text split into many DOM nodes.
+	function spliceText( nodes, offset, removeLength, text ) {
+		var i, value, start, length, count;
+
+		for ( i = 0; i < nodes.length; i++ ) {
+			value = nodes[ i ].getText();
+			start = getFillerLength( value );
+			length = value.length - start;
+
+			if ( offset <= length && ( removeLength || text ) ) {
+				count = Math.min( removeLength, length - offset );
+				nodes[ i ].setText( value.slice( 0, start + offset ) + text + value.slice( start + offset + count ) );
+
+				removeLength -= count;
+				text = '';
+				offset = 0;
+			} else {
+				offset -= length;
+			}
+		}
+	}
+
+	// Converts a DOM position to a model position. Returns `null` for positions outside of the model.
+	function getPosition( root, container, offset ) {
+		var path = [],
+			node = container,
+			found,
+			i;
+
+		// Prefer text positions, as text nodes in the DOM may be split.
+		if ( container.type == NODE_ELEMENT && offset > 0 && container.getChild( offset - 1 ).type == NODE_TEXT ) {
+			node = container = container.getChild( offset - 1 );
+			offset = container.getLength();
+		}
+
+		if ( container.type == NODE_TEXT ) {
+			found = findItem( getItems( container.getParent(), [] ), container );
+
+			if ( found ) {
+				for ( i = 0; !found.item.nodes[ i ].equals( container ); i++ ) {
+					found.offset += getText( found.item.nodes[ i ] ).length;
+				}
+
+				offset = found.offset + Math.max( 0, offset - getFillerLength( container.getText() ) );
+			} else {
+				// A text node which is not a part of the model, e.g. the filling char sequence in an empty element.
+				offset = container.getIndex();
+				node = container = container.getParent();
+			}
+		}
+
+		if ( container.type == NODE_ELEMENT ) {
+			offset = CKEDITOR.tools.array.filter( getItems( container, [] ), function( item ) {
+				return item.nodes[ 0 ].getIndex() < offset;
+			} ).length;
+		}
+
+		while ( !node.equals( root ) ) {
+			found = node.getParent() && isModelNode( node ) && findItem( getItems( node.getParent(), [] ), node );
+
+			if ( !found ) {
+				return null;
+			}
+
+			path.unshift( found.index );
+			node = node.getParent();
+		}
+
+		return {
+			path: path,
+			offset: offset
+		};
+	}
+
+	function findItem( items, node ) {
+		for ( var i = 0; i < items.length; i++ ) {
+			for ( var j = 0; j < items[ i ].nodes.length; j++ ) {
+				if ( items[ i ].nodes[ j ].equals( node ) ) {
+					return {
+						index: i,
+						item: items[ i ],
+						offset: 0
+					};
+				}
+			}
+		}
+
+		return null;
+	}
+
+	// Converts a model position to a DOM position. Returns `null` if the position is not valid.
+	function getDomPosition( root, position ) {
+		var element = getDomElement( root, position.path, [] ),
+			offset = position.offset,
+			item,
+			items,
+			i,
+			length;
+
+		if ( !element ) {
+			item = getItems( getDomElement( root, position.path.slice( 0, -1 ), [] ) || root, [] )[ position.path[ position.path.length - 1 ] ];
+
+			if ( !position.path.length || !item || item.type != NODE_TEXT ) {
+				return null;
+			}
+
+			for ( i = 0; i < item.nodes.length; i++ ) {
+				length = getText( item.nodes[ i ] ).length;
+
+				if ( offset <= length || i == item.nodes.length - 1 ) {
+					return {
+						container: item.nodes[ i ],
+						offset: Math.min( offset, length ) + getFillerLength( item.nodes[ i ].getText() )
+					};
+				}
+
+				offset -= length;
+			}
+		}
+
+		items = getItems( element, [] );
+
+		return {
+			container: element,
+			offset: items[ offset ] ? items[ offset ].nodes[ 0 ].getIndex() : element.getChildCount()
+		};
+	}
+
+	function isInteriorOfText( container, offset ) {
+		return container.type == NODE_TEXT && offset > 0 && offset < container.getLength();
+	}
+
+	/**
+	 * The collaboration session of an editor. Available as {@link CKEDITOR.editor#collaboration}.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.collaboration.session
+	 * @constructor Creates a session instance.
+	 * @param {CKEDITOR.editor} editor
+	 */
+	function Session( editor ) {
+		/**
+		 * The editor instance.
+		 *
+		 * @readonly
+		 * @property {CKEDITOR.editor}
+		 */
+		this.editor = editor;
+
+		/**
+		 * The transport used by the session or `null` if not connected.
+		 *
+		 * @readonly
+		 * @property {CKEDITOR.plugins.collaboration.transport}
+		 */
+		this.transport = null;
+
+		/**
+		 * The ID of this client assigned by the server.
+		 *
+		 * @readonly
+		 * @property {String}
+		 */
+		this.clientId = null;
+
+		/**
+		 * The number of operation batches accepted by the server and known by this client.
+		 *
+		 * @readonly
+		 * @property {Number}
+		 */
+		this.revision = 0;
+
+		/**
+		 * Other users connected to the server, by client ID. Each user is an object with
+		 * the `user` (as passed to {@link #connect}), `color` and `selection` properties.
+		 *
+		 * @readonly
+		 * @property {Object}
+		 */
+		this.users = {};
+
+		/**
+		 * The content model, as last synchronized with the editable.
+		 * See {@link CKEDITOR.plugins.collaboration.operations}.
+		 *
+		 * @readonly
+		 * @property {Object[]}
+		 */
+		this.model = null;
+
+		this._ = {
+			// Operations sent to the server and not acknowledged yet.
+			inflight: [],
+			awaitingAck: false,
+			// Operations waiting for the acknowledgement of the inflight ones.
+			buffer: [],
+			// Incoming messages waiting for the WYSIWYG mode.
+			queue: [],
+			ready: false,
+			lastSelection: null,
+			colorIndex: 0,
+			listeners: [],
+			overlay: new CKEDITOR.plugins.contentOverlay.overlay( editor, 'cke_collaboration_overlay' )
+		};
+
+		this._.selectionBuffer = CKEDITOR.tools.eventsBuffer( 100, this.sendSelection, this );
+	}
+
+	Session.prototype = {
+		/**
+		 * Connects to the server.
+		 *
+		 *		var server = new CKEDITOR.plugins.collaboration.localServer();
+		 *
+		 *		editor.collaboration.connect( server.createTransport(), { name: 'Alice' } );
+		 *
+		 * @param {CKEDITOR.plugins.collaboration.transport} transport
+		 * @param {Object} [user] The user data broadcasted to other users, e.g. `{ name: 'Alice' }`.
+		 */
+		connect: function( transport, user ) {
+			var that = this,
+				editor = this.editor,
+				listen = function( name, listener ) {
+					that._.listeners.push( editor.on( name, listener, that ) );
+				};
+
+			this.disconnect();
+
+			this.transport = transport;
+			this._.ready = editor.mode == 'wysiwyg' && !!editor.editable();
+			this.model = this._.ready ? this.getEditableModel() : null;
+
+			listen( 'change', this.sync );
+			listen( 'selectionCheck', function() {
+				this._.selectionBuffer.input();
+			} );
+			listen( 'beforeModeUnload', function() {
+				this.sync();
+				this._.ready = false;
+			} );
+			listen( 'contentDomUnload', function() {
+				this._.ready = false;
+			} );
+			listen( 'dataReady', function() {
+				if ( editor.mode == 'wysiwyg' && editor.editable() ) {
+					this._.ready = true;
+					this.sync();
+					this.flushQueue();
+				}
+			} );
+
+			transport.connect( function( message ) {
+				that.receive( message );
+			} );
+
+			transport.send( {
+				type: 'connect',
+				user: user || {},
+				document: this.model
+			} );
+		},
+
+		/**
+		 * Disconnects from the server and removes carets of other users.
+		 */
+		disconnect: function() {
+			if ( !this.transport ) {
+				return;
+			}
+
+			CKEDITOR.tools.array.forEach( this._.listeners, function( listener ) {
+				listener.removeListener();
+			} );
+
+			this._.selectionBuffer.reset();
+			this.transport.disconnect();
+
+			this.transport = null;
+			this.clientId = null;
+			this.users = {};
+			this._.listeners = [];
+			this._.queue = [];
+			this._.inflight = [];
+			this._.buffer = [];
+			this._.awaitingAck = false;
+			this._.lastSelection = null;
+
+			this.renderSelections();
+		},
+
+		/**
+		 * Whether the session is connected and initialized by the server.
+		 *
+		 * @returns {Boolean}
+		 */
+		isConnected: function() {
+			return !!this.clientId;
+		},
+
+		/**
+		 * Returns the model of the current editable content.
+		 *
+		 * @returns {Object[]}
+		 */
+		getEditableModel: function() {
+			return getModel( this.editor.editable(), [] );
+		},
+
+		/**
+		 * Sends changes made in the editable since the last synchronization. It is called automatically
+		 * on {@link CKEDITOR.editor#change}.
+		 */
+		sync: function() {
+			if ( !this.isConnected() || !this._.ready ) {
+				return;
+			}
+
+			var editor = this.editor,
+				selection = editor.focusManager.hasFocus && editor.getSelection(),
+				ranges = selection ? selection.getRanges() : [],
+				model,
+				ops;
+
+			if ( normalizeText( editor.editable(), ranges ) && ranges.length ) {
+				selection.selectRanges( ranges );
+			}
+
+			model = this.getEditableModel();
+			ops = operations.diff( this.model, model );
+
+			if ( !ops.length ) {
+				return;
+			}
+
+			this.model = model;
+			this.transformSelections( ops );
+
+			if ( this._.awaitingAck ) {
+				this._.buffer = this._.buffer.concat( ops );
+			} else {
+				this.sendOperations( ops );
+			}
+
+			this.renderSelections();
+		},
+
+		/**
+		 * Handles a message from the server.
+		 *
+		 * @param {Object} message
+		 */
+		receive: function( message ) {
+			if ( !this._.ready && message.type != 'join' && message.type != 'leave' ) {
+				this._.queue.push( message );
+				return;
+			}
+
+			switch ( message.type ) {
+				case 'init':
+					this.init( message );
+					break;
+
+				case 'ack':
+					this.revision = message.revision;
+					this._.awaitingAck = false;
+					this._.inflight = [];
+
+					if ( this._.buffer.length ) {
+						this.sendOperations( this._.buffer );
+						this._.buffer = [];
+					}
+
+					this.sendSelection();
+					break;
+
+				case 'operations':
+					this.sync();
+					this.revision = message.revision;
+					this.applyRemote( message.operations );
+					break;
+
+				case 'selection':
+					if ( this.users[ message.clientId ] ) {
+						this.users[ message.clientId ].selection = this.transformRemoteSelection( message.selection );
+						this.renderSelections();
+					}
+					break;
+
+				case 'join':
+					this.addUser( message.clientId, message.user, null );
+					break;
+
+				case 'leave':
+					delete this.users[ message.clientId ];
+					this.renderSelections();
+			}
+		},
+
+		/**
+		 * Sends the local selection to other users, if it changed. It is called automatically when the selection changes.
+		 */
+		sendSelection: function() {
+			var editor = this.editor,
+				selection = editor.getSelection(),
+				ranges = selection ? selection.getRanges() : [],
+				root = editor.editable(),
+				data;
+
+			// The selection is sent only when the server knows all local operations, so it has the same meaning for all users.
+			if ( !this.isConnected() || !this._.ready || this._.awaitingAck ) {
+				return;
+			}
+
+			this.sync();
+
+			if ( this._.awaitingAck ) {
+				return;
+			}
+
+			data = {
+				ranges: CKEDITOR.tools.array.filter( CKEDITOR.tools.array.map( ranges, function( range ) {
+					var start = getPosition( root, range.startContainer, range.startOffset ),
+						end = getPosition( root, range.endContainer, range.endOffset );
+
+					return start && end ? { start: start, end: end } : null;
+				} ), function( range ) {
+					return !!range;
+				} )
+			};
+
+			if ( JSON.stringify( data ) === this._.lastSelection ) {
+				return;
+			}
+
+			this._.lastSelection = JSON.stringify( data );
+			this.transport.send( {
+				type: 'selection',
+				revision: this.revision,
+				selection: data
+			} );
+		},
+
+		/**
+		 * Draws carets and selections of other users in the editable.
+		 */
+		renderSelections: function() {
+			if ( !this._.overlay.reset( this._.ready ) ) {
+				return;
+			}
+
+			for ( var clientId in this.users ) {
+				this.renderSelection( this.users[ clientId ] );
+			}
+		},
+
+		renderSelection: function( data ) {
+			var editor = this.editor,
+				overlay = this._.overlay,
+				root = editor.editable(),
+				isInline = root.isInline(),
+				ranges = data.selection ? data.selection.ranges : [],
+				i;
+
+			function draw( className, rect ) {
+				return overlay.draw( rect, {
+					'class': className
+				}, {
+					'background-color': data.color
+				} );
+			}
+
+			for ( i = 0; i < ranges.length; i++ ) {
+				var start = getDomPosition( root, ranges[ i ].start ),
+					end = getDomPosition( root, ranges[ i ].end ),
+					range = editor.createRange(),
+					rects;
+
+				if ( !start || !end ) {
+					continue;
+				}
+
+				range.setStart( start.container, start.offset );
+				range.setEnd( end.container, end.offset );
+
+				if ( !range.collapsed ) {
+					CKEDITOR.tools.array.forEach( range.getClientRects( isInline ), function( rect ) {
+						draw( 'cke_collaboration_selection', rect );
+					} );
+				}
+
+				range.collapse();
+				rects = range.getClientRects( isInline );
+
+				if ( rects.length ) {
+					draw( 'cke_collaboration_caret', {
+						top: rects[ 0 ].top,
+						left: rects[ 0 ].left,
+						width: 2,
+						height: rects[ 0 ].height
+					} ).setHtml( '<span class="cke_collaboration_label" style="background-color:' + data.color + '">' +
+						CKEDITOR.tools.htmlEncode( data.user.name || '' ) + '</span>' );
+				}
+			}
+		},
+
+		// Loads the server document.
+		init: function( message ) {
+			var that = this;
+
+			this.clientId = message.clientId;
+			this.revision = message.revision;
+			this.users = {};
+
+			CKEDITOR.tools.array.forEach( message.users, function( data ) {
+				that.addUser( data.clientId, data.user, data.selection );
+			} );
+
+			// Discard local changes made before the initialization.
+			normalizeText( this.editor.editable(), [] );
+			this.model = this.getEditableModel();
+			this.applyRemote( operations.diff( this.model, message.document ) );
+		},
+
+		addUser: function( clientId, user, selection ) {
+			this.users[ clientId ] = {
+				user: user,
+				color: COLORS[ this._.colorIndex++ % COLORS.length ],
+				selection: selection
+			};
+
+			this.renderSelections();
+		},
+
+		sendOperations: function( ops ) {
+			this._.inflight = ops;
+			this._.awaitingAck = true;
+
+			this.transport.send( {
+				type: 'operations',
+				revision: this.revision,
+				operations: ops
+			} );
+		},
+
+		flushQueue: function() {
+			var queue = this._.queue;
+
+			this._.queue = [];
+
+			while ( queue.length && this._.ready ) {
+				this.receive( queue.shift() );
+			}
+
+			this._.queue = queue.concat( this._.queue );
+		},
+
+		// Applies operations of other users. Local operations not confirmed by the server
+		// are transformed, so they can be applied after the remote ones.
+		applyRemote: function( ops ) {
+			var editor = this.editor,
+				editable = editor.editable(),
+				selection = editor.focusManager.hasFocus && editor.getSelection(),
+				ranges = selection ? selection.getRanges() : [],
+				bookmarks = null,
+				joints = [],
+				result,
+				i;
+
+			result = operations.transformLists( this._.inflight, ops, false );
+			this._.inflight = result[ 0 ];
+			ops = result[ 1 ];
+
+			result = operations.transformLists( this._.buffer, ops, false );
+			this._.buffer = result[ 0 ];
+			ops = result[ 1 ];
+
+			if ( !ops.length ) {
+				return;
+			}
+
+			if ( ranges.length ) {
+				bookmarks = this.createBookmarks( selection, ranges, joints );
+			}
+
+			for ( i = 0; i < ops.length; i++ ) {
+				applyToDom( editable, ops[ i ], joints );
+				operations.apply( this.model, ops[ i ] );
+			}
+
+			if ( bookmarks ) {
+				this.restoreSelection( selection, bookmarks );
+			}
+
+			this.transformSelections( ops );
+
+			editor.resetUndo();
+			editor.fire( 'change' );
+
+			this.renderSelections();
+		},
+
+		// Creates selection bookmarks and collects the bookmark nodes which split text nodes.
+		createBookmarks: function( selection, ranges, joints ) {
+			var splits = [],
+				bookmarks,
+				i;
+
+			for ( i = 0; i < ranges.length; i++ ) {
+				splits.push( [
+					isInteriorOfText( ranges[ i ].startContainer, ranges[ i ].startOffset ),
+					!ranges[ i ].collapsed && isInteriorOfText( ranges[ i ].endContainer, ranges[ i ].endOffset )
+				] );
+			}
+
+			bookmarks = selection.createBookmarks();
+
+			for ( i = 0; i < bookmarks.length; i++ ) {
+				if ( splits[ i ][ 0 ] ) {
+					joints.push( bookmarks[ i ].startNode );
+				}
+
+				if ( splits[ i ][ 1 ] ) {
+					joints.push( bookmarks[ i ].endNode );
+				}
+			}
+
+			return bookmarks;
+		},
+
+		// Restores the selection and merges text nodes which were split by bookmarks.
+		restoreSelection: function( selection, bookmarks ) {
+			var ranges;
+
+			selection.selectBookmarks( bookmarks );
+			ranges = selection.getRanges();
+
+			if ( normalizeText( this.editor.editable(), ranges ) ) {
+				selection.selectRanges( ranges );
+			}
+		},
+
+		transformSelections: function( ops ) {
+			for ( var clientId in this.users ) {
+				this.users[ clientId ].selection = transformSelection( this.users[ clientId ].selection, ops );
+			}
+		},
+
+		// Selections of other users are relative to the server document, which does not contain
+		// local operations not confirmed yet.
+		transformRemoteSelection: function( selection ) {
+			return transformSelection( transformSelection( selection, this._.inflight ), this._.buffer );
+		}
+	};
+
+	function transformSelection( selection, ops ) {
+		if ( !selection ) {
+			return selection;
+		}
+
+		return {
+			ranges: CKEDITOR.tools.array.map( selection.ranges, function( range ) {
+				for ( var i = 0; i < ops.length; i++ ) {
+					range = {
+						start: operations.transformPosition( range.start, ops[ i ] ),
+						end: operations.transformPosition( range.end, ops[ i ] )
+					};
+				}
+
+				return range;
+			} )
+		};
+	}
+
+	/**
+	 * The interface of transports used by {@link CKEDITOR.plugins.collaboration.session}.
+	 * Messages are plain objects which can be serialized to JSON.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.collaboration.transport
+	 * @abstract
+	 */
+
+	/**
+	 * Opens the connection.
+	 *
+	 * @method connect
+	 * @param {Function} onMessage The function called with each message received from the server.
+	 */
+
+	/**
+	 * Sends the message to the server.
+	 *
+	 * @method send
+	 * @param {Object} message
+	 */
+
+	/**
+	 * Closes the connection.
+	 *
+	 * @method disconnect
+	 */
+
+	/**
+	 * A collaboration server running in the same window, e.g. for testing or for editors placed on the same page.
+	 * It keeps the document and the history of operations in memory.
+	 *
+	 *		var server = new CKEDITOR.plugins.collaboration.localServer();
+	 *
+	 *		CKEDITOR.replace( 'editor1', { collaboration_transport: server.createTransport() } );
+	 *		CKEDITOR.replace( 'editor2', { collaboration_transport: server.createTransport() } );
+	 *
+	 * The same protocol can be implemented by a remote server used with
+	 * {@link CKEDITOR.plugins.collaboration.webSocketTransport}.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.collaboration.localServer
+	 * @constructor Creates a server instance.
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.autoFlush=true] Whether messages are delivered to clients asynchronously.
+	 * If set to `false`, messages are delivered only when {@link #flush} is called, which allows to simulate
+	 * network latency and concurrent changes.
+	 */
+	function LocalServer( options ) {
+		/**
+		 * The current document model or `null` if no client connected yet.
+		 *
+		 * @readonly
+		 * @property {Object[]}
+		 */
+		this.document = null;
+
+		/**
+		 * Accepted operation batches, as `{ clientId, operations }` objects. The length is the current revision.
+		 *
+		 * @readonly
+		 * @property {Object[]}
+		 */
+		this.history = [];
+
+		this.autoFlush = !options || options.autoFlush !== false;
+
+		this._ = {
+			clients: {},
+			queue: [],
+			nextId: 1,
+			timeout: null
+		};
+	}
+
+	LocalServer.prototype = {
+		/**
+		 * Creates a transport for a new client.
+		 *
+		 * @returns {CKEDITOR.plugins.collaboration.transport}
+		 */
+		createTransport: function() {
+			return new LocalTransport( this );
+		},
+
+		/**
+		 * Delivers queued messages to clients.
+		 */
+		flush: function() {
+			var message;
+
+			if ( this._.timeout ) {
+				clearTimeout( this._.timeout );
+				this._.timeout = null;
+			}
+
+			while ( ( message = this._.queue.shift() ) ) {
+				if ( this._.clients[ message.clientId ] ) {
+					this._.clients[ message.clientId ].onMessage( clone( message.data ) );
+				}
+			}
+		},
+
+		register: function( client ) {
+			var clientId = 'client' + this._.nextId++;
+
+			this._.clients[ clientId ] = {
+				onMessage: client.onMessage,
+				user: null,
+				selection: null,
+				connected: false
+			};
+
+			return clientId;
+		},
+
+		unregister: function( clientId ) {
+			var client = this._.clients[ clientId ];
+
+			delete this._.clients[ clientId ];
+
+			if ( client && client.connected ) {
+				this.broadcast( clientId, { type: 'leave', clientId: clientId } );
+			}
+		},
+
+		receive: function( clientId, message ) {
+			var client = this._.clients[ clientId ],
+				users = [],
+				ops,
+				i,
+				id;
+
+			if ( !client ) {
+				return;
+			}
+
+			switch ( message.type ) {
+				case 'connect':
+					if ( this.document === null ) {
+						this.document = message.document || [];
+					}
+
+					for ( id in this._.clients ) {
+						if ( id != clientId && this._.clients[ id ].connected ) {
+							users.push( { clientId: id, user: this._.clients[ id ].user, selection: this._.clients[ id ].selection } );
+						}
+					}
+
+					client.user = message.user;
+					client.connected = true;
+
+					this.send( clientId, {
+						type: 'init',
+						clientId: clientId,
+						revision: this.history.length,
+						document: this.document,
+						users: users
+					} );
+					this.broadcast( clientId, { type: 'join', clientId: clientId, user: message.user } );
+					break;
+
+				case 'operations':
+					ops = message.operations;
+
+					for ( i = message.revision; i < this.history.length; i++ ) {
+						ops = operations.transformLists( ops, this.history[ i ].operations, false )[ 0 ];
+					}
+
+					for ( i = 0; i < ops.length; i++ ) {
+						operations.apply( this.document, ops[ i ] );
+					}
+
+					this.history.push( { clientId: clientId, operations: ops } );
+
+					for ( id in this._.clients ) {
+						this._.clients[ id ].selection = transformSelection( this._.clients[ id ].selection, ops );
+					}
+
+					this.send( clientId, { type: 'ack', revision: this.history.length } );
+					this.broadcast( clientId, {
+						type: 'operations',
+						clientId: clientId,
+						revision: this.history.length,
+						operations: ops
+					} );
+					break;
+
+				case 'selection':
+					client.selection = message.selection;
+
+					for ( i = message.revision; i < this.history.length; i++ ) {
+						client.selection = transformSelection( client.selection, this.history[ i ].operations );
+					}
+
+					this.broadcast( clientId, {
+						type: 'selection',
+						clientId: clientId,
+						selection: client.selection
+					} );
+			}
+		},
+
+		send: function( clientId, data ) {
+			var that = this;
+
+			this._.queue.push( { clientId: clientId, data: data } );
+
+			if ( this.autoFlush && !this._.timeout ) {
+				this._.timeout = CKEDITOR.tools.setTimeout( function() {
+					that._.timeout = null;
+					that.flush();
+				} );
+			}
+		},
+
+		broadcast: function( senderId, data ) {
+			for ( var id in this._.clients ) {
+				if ( id != senderId && this._.clients[ id ].connected ) {
+					this.send( id, data );
+				}
+			}
+		}
+	};
+
+	// The transport connecting a session with the local server.
+	function LocalTransport( server ) {
+		this.server = server;
+		this.clientId = null;
+	}
+
+	LocalTransport.prototype = {
+		connect: function( onMessage ) {
+			this.clientId = this.server.register( { onMessage: onMessage } );
+		},
+
+		send: function( message ) {
+			this.server.receive( this.clientId, clone( message ) );
+		},
+
+		disconnect: function() {
+			this.server.unregister( this.clientId );
+			this.clientId = null;
+		}
+	};
+
+	/**
+	 * A transport sending messages as JSON through a WebSocket connection. The server should implement
+	 * the same protocol as {@link CKEDITOR.plugins.collaboration.localServer}.
+	 *
+	 *		config.collaboration_transport = new CKEDITOR.plugins.collaboration.webSocketTransport( 'wss://example.com/collaboration' );
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.collaboration.webSocketTransport
+	 * @extends CKEDITOR.plugins.collaboration.transport
+	 * @constructor Creates a transport instance.
+	 * @param {String} url The WebSocket server URL.
+	 */
+	function WebSocketTransport( url ) {
+		/**
+		 * The WebSocket server URL.
+		 *
+		 * @readonly
+		 * @property {String}
+		 */
+		this.url = url;
+
+		this.socket = null;
+		this.pending = [];
+	}
+
+	WebSocketTransport.prototype = {
+		connect: function( onMessage ) {
+			var that = this,
+				socket = this.socket = new WebSocket( this.url );
+
+			socket.onopen = function() {
+				while ( that.pending.length ) {
+					socket.send( that.pending.shift() );
+				}
+			};
+
+			socket.onmessage = function( evt ) {
+				onMessage( JSON.parse( evt.data ) );
+			};
+		},
+
+		send: function( message ) {
+			message = JSON.stringify( message );
+
+			if ( this.socket.readyState === 1 ) {
+				this.socket.send( message );
+			} else {
+				this.pending.push( message );
+			}
+		},
+
+		disconnect: function() {
+			this.socket.close();
+			this.socket = null;
+			this.pending = [];
+		}
+	};
+
+	/**
+	 * The Collaboration plugin.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.collaboration
+	 * @singleton
+	 */
+	CKEDITOR.plugins.collaboration = {
+		/**
+		 * See {@link CKEDITOR.plugins.collaboration.operations}.
+		 *
+		 * @property {Object}
+		 */
+		operations: operations,
+
+		/**
+		 * See {@link CKEDITOR.plugins.collaboration.session}.
+		 *
+		 * @property {Function}
+		 */
+		session: Session,
+
+		/**
+		 * See {@link CKEDITOR.plugins.collaboration.localServer}.
+		 *
+		 * @property {Function}
+		 */
+		localServer: LocalServer,
+
+		/**
+		 * See {@link CKEDITOR.plugins.collaboration.webSocketTransport}.
+		 *
+		 * @property {Function}
+		 */
+		webSocketTransport: WebSocketTransport
+	};
+} )();
+
+/**
+ * The transport used to connect the editor to the collaboration server when the editor is ready.
+ * If not set, the session can be started manually with {@link CKEDITOR.plugins.collaboration.session#connect}.
+ *
+ *		var server = new CKEDITOR.plugins.collaboration.localServer();
+ *		config.collaboration_transport = server.createTransport();
+ *
+ * @since 4.13.0
+ * @cfg {CKEDITOR.plugins.collaboration.transport} [collaboration_transport=null]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * The data of the local user, shown to other users next to the caret.
+ *
+ *		config.collaboration_user = { name: 'Alice' };
+ *
+ * @since 4.13.0
+ * @cfg {Object} [collaboration_user={}]
+ * @member CKEDITOR.config
+ */
@@ -0,0 +1,13 @@
+/*
+Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+*/
+CKEDITOR.plugins.setLang( 'comments', 'en', {
+	add: 'Comment',
+	title: 'Comments',
+	input: 'Comment text',
+	submit: 'Comment',
+	resolve: 'Resolve',
+	remove: 'Delete',
+	anonymous: 'Anonymous'
+} );
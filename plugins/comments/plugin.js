@@ -0,0 +1,742 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @fileOverview The Comments plugin. Allows attaching threaded comments to ranges of content.
+ *
+ * A comment thread is anchored in the content with `<span data-comment-id="...">` elements wrapping
+ * the commented content, so the anchors are a part of the editor data, undo snapshots and the clipboard.
+ * Thread contents (comments, authors, dates) are kept outside of the content and are meant to be persisted
+ * by the application which listens to the {@link CKEDITOR.editor#commentAdd}, {@link CKEDITOR.editor#commentThreadRemove},
+ * {@link CKEDITOR.editor#commentThreadRestore} and {@link CKEDITOR.editor#commentThreadResolve} events and loads
+ * the threads back with {@link CKEDITOR.plugins.comments#load}.
+ */
+
+( function() {
+	'use strict';
+
+	var ATTR_ID = 'data-comment-id',
+		// This flag prevents appending stylesheet more than once.
+		stylesLoaded = false;
+
+	CKEDITOR.plugins.add( 'comments', {
+		requires: 'balloonpanel',
+		lang: 'en',
+		icons: 'comment', // %REMOVE_LINE_CORE%
+		hidpi: true, // %REMOVE_LINE_CORE%
+
+		init: function( editor ) {
+			var plugin = this;
+
+			if ( !stylesLoaded ) {
+				CKEDITOR.document.appendStyleSheet( this.path + 'styles/comments.css' );
+				stylesLoaded = true;
+			}
+
+			if ( editor.addContentsCss ) {
+				editor.addContentsCss( this.path + 'styles/comments.css' );
+			}
+
+			editor._.comments = {
+				threads: {},
+				// Removed threads are kept, so undoing the removal can restore them together with their anchors.
+				removed: {}
+			};
+
+			editor.addCommand( 'addComment', {
+				allowedContent: 'span[!' + ATTR_ID + ']',
+				requiredContent: 'span[' + ATTR_ID + ']',
+				contextSensitive: true,
+				// Snapshots are saved once the comment is submitted.
+				canUndo: false,
+
+				exec: function( editor ) {
+					var range = editor.getSelection().getRanges()[ 0 ];
+
+					if ( !range || range.collapsed ) {
+						return false;
+					}
+
+					editor._.comments.balloon.showNewThread( range );
+				},
+
+				refresh: function( editor ) {
+					var range = editor.getSelection().getRanges()[ 0 ];
+
+					this.setState( range && !range.collapsed ? CKEDITOR.TRISTATE_OFF : CKEDITOR.TRISTATE_DISABLED );
+				}
+			} );
+
+			if ( editor.ui.addButton ) {
+				if ( editor.ui.addToolbarGroup ) {
+					editor.ui.addToolbarGroup( 'comments', 'editing' );
+				}
+
+				editor.ui.addButton( 'Comment', {
+					label: editor.lang.comments.add,
+					command: 'addComment',
+					toolbar: 'comments,10'
+				} );
+			}
+
+			editor._.comments.balloon = new ThreadBalloon( editor, plugin );
+
+			editor.on( 'selectionChange', function( evt ) {
+				var anchor = evt.data.path.contains( isAnchor, true );
+
+				if ( anchor ) {
+					editor._.comments.balloon.showThread( anchor.getAttribute( ATTR_ID ) );
+				} else {
+					editor._.comments.balloon.hide();
+				}
+			} );
+
+			editor.on( 'contentDomUnload', function() {
+				editor._.comments.balloon.hide();
+			} );
+
+			// Anchors of a thread which is still anchored in the content are not duplicated on paste.
+			// This way copying commented content does not copy the comment, while cutting and pasting moves it.
+			editor.on( 'paste', function( evt ) {
+				var data = evt.data,
+					fragment,
+					writer,
+					unwrap;
+
+				if ( data.dataValue.indexOf( ATTR_ID ) == -1 ) {
+					return;
+				}
+
+				fragment = CKEDITOR.htmlParser.fragment.fromHtml( data.dataValue );
+				unwrap = [];
+
+				fragment.forEach( function( element ) {
+					var id = element.attributes[ ATTR_ID ];
+
+					if ( id && !canAnchorPasted( editor, id ) ) {
+						unwrap.push( element );
+					}
+				}, CKEDITOR.NODE_ELEMENT );
+
+				if ( unwrap.length ) {
+					CKEDITOR.tools.array.forEach( unwrap, function( element ) {
+						element.replaceWithChildren();
+					} );
+
+					writer = new CKEDITOR.htmlParser.basicWriter();
+					fragment.writeHtml( writer );
+					data.dataValue = writer.getHtml();
+				}
+			}, null, null, 999 );
+
+			// Comment anchors are not formatting, so they are kept by the Remove Format command.
+			if ( editor.addRemoveFormatFilter ) {
+				editor.addRemoveFormatFilter( function( element ) {
+					return !isAnchor( element );
+				} );
+			}
+		},
+
+		afterInit: function( editor ) {
+			CKEDITOR.tools.array.forEach( [ 'undo', 'redo' ], function( name ) {
+				var command = editor.getCommand( name );
+
+				if ( command ) {
+					command.on( name == 'undo' ? 'afterUndo' : 'afterRedo', function() {
+						restoreThreads( editor );
+					} );
+				}
+			} );
+		},
+
+		/**
+		 * Adds a new comment thread anchored to the given range.
+		 *
+		 *		var range = editor.getSelection().getRanges()[ 0 ];
+		 *		editor.plugins.comments.add( editor, range, 'Please rephrase this sentence.' );
+		 *
+		 * Fires the {@link CKEDITOR.editor#commentAdd} event.
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.comments
+		 * @param {CKEDITOR.editor} editor
+		 * @param {CKEDITOR.dom.range} range The commented range. It must not be collapsed.
+		 * @param {String/Object} comment The content of the first comment or an object with
+		 * the `content` and optional `author` properties.
+		 * @returns {CKEDITOR.plugins.comments.thread/null} The created thread or `null` if the range is collapsed.
+		 */
+		add: function( editor, range, comment ) {
+			if ( range.collapsed ) {
+				return null;
+			}
+
+			var thread = {
+					id: CKEDITOR.tools.getUniqueId(),
+					comments: [],
+					resolved: false
+				},
+				style = new CKEDITOR.style( {
+					element: 'span',
+					attributes: createAttribute( thread.id )
+				} ),
+				selected = isSelected( editor, range );
+
+			editor.fire( 'saveSnapshot' );
+
+			// Applying the style moves the range to the styled content.
+			style.applyToRange( range, editor );
+
+			if ( selected ) {
+				range.select();
+			}
+
+			editor._.comments.threads[ thread.id ] = thread;
+
+			editor.fire( 'saveSnapshot' );
+
+			this.reply( editor, thread.id, comment );
+
+			return thread;
+		},
+
+		/**
+		 * Adds a comment to an existing thread.
+		 *
+		 * Fires the {@link CKEDITOR.editor#commentAdd} event.
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.comments
+		 * @param {CKEDITOR.editor} editor
+		 * @param {String} threadId
+		 * @param {String/Object} comment See {@link #add}.
+		 * @returns {CKEDITOR.plugins.comments.comment/null} The added comment or `null` if there is no such thread.
+		 */
+		reply: function( editor, threadId, comment ) {
+			var thread = this.getThread( editor, threadId );
+
+			if ( !thread ) {
+				return null;
+			}
+
+			if ( typeof comment == 'string' ) {
+				comment = {
+					content: comment
+				};
+			}
+
+			comment = {
+				id: CKEDITOR.tools.getUniqueId(),
+				author: comment.author || editor.config.comments_author || editor.lang.comments.anonymous,
+				content: comment.content,
+				timestamp: new Date().getTime()
+			};
+
+			thread.comments.push( comment );
+
+			editor.fire( 'commentAdd', {
+				thread: thread,
+				comment: comment
+			} );
+
+			return comment;
+		},
+
+		/**
+		 * Removes the thread together with its anchors in the content. If the removal is undone,
+		 * the thread is restored and the {@link CKEDITOR.editor#commentThreadRestore} event is fired.
+		 *
+		 * Fires the {@link CKEDITOR.editor#commentThreadRemove} event.
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.comments
+		 * @param {CKEDITOR.editor} editor
+		 * @param {String} threadId
+		 * @returns {Boolean} `false` if there is no such thread.
+		 */
+		remove: function( editor, threadId ) {
+			var thread = this.getThread( editor, threadId );
+
+			if ( !thread ) {
+				return false;
+			}
+
+			removeAnchors( editor, threadId );
+			delete editor._.comments.threads[ threadId ];
+			editor._.comments.removed[ threadId ] = thread;
+
+			editor.fire( 'commentThreadRemove', {
+				thread: thread
+			} );
+
+			return true;
+		},
+
+		/**
+		 * Marks the thread as resolved and removes its anchors from the content. The thread
+		 * is still available with {@link #getThread}.
+		 *
+		 * Fires the {@link CKEDITOR.editor#commentThreadResolve} event.
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.comments
+		 * @param {CKEDITOR.editor} editor
+		 * @param {String} threadId
+		 * @returns {Boolean} `false` if there is no such thread or it is already resolved.
+		 */
+		resolve: function( editor, threadId ) {
+			var thread = this.getThread( editor, threadId );
+
+			if ( !thread || thread.resolved ) {
+				return false;
+			}
+
+			removeAnchors( editor, threadId );
+			thread.resolved = true;
+
+			editor.fire( 'commentThreadResolve', {
+				thread: thread
+			} );
+
+			return true;
+		},
+
+		/**
+		 * Returns the thread with the given ID.
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.comments
+		 * @param {CKEDITOR.editor} editor
+		 * @param {String} threadId
+		 * @returns {CKEDITOR.plugins.comments.thread/null}
+		 */
+		getThread: function( editor, threadId ) {
+			return editor._.comments.threads[ threadId ] || null;
+		},
+
+		/**
+		 * Returns threads anchored in the editor content, in the document order.
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.comments
+		 * @param {CKEDITOR.editor} editor
+		 * @returns {CKEDITOR.plugins.comments.thread[]}
+		 */
+		getThreads: function( editor ) {
+			var editable = editor.editable(),
+				threads = [],
+				found = {};
+
+			if ( !editable ) {
+				return threads;
+			}
+
+			CKEDITOR.tools.array.forEach( editable.find( '[' + ATTR_ID + ']' ).toArray(), function( anchor ) {
+				var id = anchor.getAttribute( ATTR_ID ),
+					thread = editor._.comments.threads[ id ];
+
+				if ( thread && !found[ id ] ) {
+					found[ id ] = true;
+					threads.push( thread );
+				}
+			} );
+
+			return threads;
+		},
+
+		/**
+		 * Returns elements anchoring the thread in the content.
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.comments
+		 * @param {CKEDITOR.editor} editor
+		 * @param {String} threadId
+		 * @returns {CKEDITOR.dom.element[]}
+		 */
+		getAnchors: function( editor, threadId ) {
+			var editable = editor.editable();
+
+			return editable ? editable.find( '[' + ATTR_ID + '="' + threadId + '"]' ).toArray() : [];
+		},
+
+		/**
+		 * Loads threads persisted by the application, for example together with the editor data.
+		 * Threads with the same IDs are replaced. No events are fired.
+		 *
+		 *		editor.setData( article.content, function() {
+		 *			editor.plugins.comments.load( editor, article.threads );
+		 *		} );
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.comments
+		 * @param {CKEDITOR.editor} editor
+		 * @param {CKEDITOR.plugins.comments.thread[]} threads
+		 */
+		load: function( editor, threads ) {
+			CKEDITOR.tools.array.forEach( threads, function( thread ) {
+				editor._.comments.threads[ thread.id ] = {
+					id: thread.id,
+					comments: CKEDITOR.tools.array.map( thread.comments || [], CKEDITOR.tools.clone ),
+					resolved: !!thread.resolved
+				};
+
+				delete editor._.comments.removed[ thread.id ];
+			} );
+		}
+	} );
+
+	function createAttribute( id ) {
+		var attributes = {};
+
+		attributes[ ATTR_ID ] = id;
+
+		return attributes;
+	}
+
+	function isSelected( editor, range ) {
+		var selection = editor.getSelection(),
+			selected = selection && selection.getRanges()[ 0 ];
+
+		return !!selected && selected.startContainer.equals( range.startContainer ) &&
+			selected.startOffset == range.startOffset &&
+			selected.endContainer.equals( range.endContainer ) &&
+			selected.endOffset == range.endOffset;
+	}
+
+	function isAnchor( element ) {
+		return element.hasAttribute( ATTR_ID );
+	}
+
+	function removeAnchors( editor, threadId ) {
+		var anchors = editor.plugins.comments.getAnchors( editor, threadId );
+
+		if ( !anchors.length ) {
+			return;
+		}
+
+		editor.fire( 'saveSnapshot' );
+
+		CKEDITOR.tools.array.forEach( anchors, function( anchor ) {
+			anchor.remove( true );
+		} );
+
+		editor.fire( 'saveSnapshot' );
+	}
+
+	// Restores removed threads whose anchors were brought back by undo or redo.
+	function restoreThreads( editor ) {
+		var comments = editor._.comments;
+
+		CKEDITOR.tools.array.forEach( editor.editable().find( '[' + ATTR_ID + ']' ).toArray(), function( anchor ) {
+			var id = anchor.getAttribute( ATTR_ID ),
+				thread = comments.removed[ id ];
+
+			if ( thread ) {
+				delete comments.removed[ id ];
+				comments.threads[ id ] = thread;
+
+				editor.fire( 'commentThreadRestore', {
+					thread: thread
+				} );
+			}
+		} );
+	}
+
+	// Pasted anchors are kept only for a known, unresolved thread which is no longer anchored in the content.
+	function canAnchorPasted( editor, id ) {
+		var thread = editor._.comments.threads[ id ];
+
+		return !!thread && !thread.resolved && !editor.plugins.comments.getAnchors( editor, id ).length;
+	}
+
+	// The balloon panel presenting a comment thread or a form of a new thread.
+	function ThreadBalloon( editor, plugin ) {
+		this.editor = editor;
+		this.plugin = plugin;
+		this.threadId = null;
+		this.bookmark = null;
+		this.panel = null;
+	}
+
+	ThreadBalloon.prototype = {
+		templates: {
+			main: new CKEDITOR.template(
+				'<div class="cke_comments_thread">' +
+					'<ul class="cke_comments_list"></ul>' +
+					'<textarea class="cke_comments_input" rows="3" aria-label="{inputLabel}"></textarea>' +
+					'<div class="cke_comments_actions">' +
+						'<a class="cke_comments_button" href="javascript:void(0)" role="button" data-cke-comments-action="submit">{submit}</a>' +
+						'<a class="cke_comments_button" href="javascript:void(0)" role="button" data-cke-comments-action="resolve">{resolve}</a>' +
+						'<a class="cke_comments_button" href="javascript:void(0)" role="button" data-cke-comments-action="remove">{remove}</a>' +
+					'</div>' +
+				'</div>' ),
+
+			comment: new CKEDITOR.template(
+				'<li class="cke_comments_comment">' +
+					'<p class="cke_comments_author">{author} <span class="cke_comments_date">{date}</span></p>' +
+					'<p class="cke_comments_content">{content}</p>' +
+				'</li>' )
+		},
+
+		// Creates the panel on first use.
+		getPanel: function() {
+			if ( this.panel ) {
+				return this.panel;
+			}
+
+			var that = this,
+				lang = this.editor.lang.comments,
+				panel = this.panel = new CKEDITOR.ui.balloonPanel( this.editor, {
+					title: lang.title,
+					width: 300,
+					content: this.templates.main.output( {
+						inputLabel: lang.input,
+						submit: lang.submit,
+						resolve: lang.resolve,
+						remove: lang.remove
+					} )
+				} );
+
+			CKEDITOR.tools.array.forEach( panel.parts.content.find( 'a,textarea' ).toArray(), function( element ) {
+				panel.registerFocusable( element );
+			} );
+
+			panel.parts.content.on( 'click', function( evt ) {
+				var action = evt.data.getTarget().getAttribute( 'data-cke-comments-action' );
+
+				if ( action ) {
+					evt.data.preventDefault();
+					that[ action ]();
+				}
+			} );
+
+			return panel;
+		},
+
+		// Shows the thread anchored at the selection.
+		showThread: function( threadId ) {
+			var plugin = this.plugin,
+				thread = plugin.getThread( this.editor, threadId ),
+				anchors = plugin.getAnchors( this.editor, threadId ),
+				panel;
+
+			if ( !thread || !anchors.length ) {
+				return;
+			}
+
+			panel = this.getPanel();
+			this.threadId = threadId;
+			this.bookmark = null;
+
+			this.renderComments( thread.comments );
+			this.setButtonsVisible( true );
+
+			panel.attach( anchors[ 0 ], { focusElement: false } );
+		},
+
+		// Shows the form of a new thread for the range.
+		showNewThread: function( range ) {
+			var panel = this.getPanel();
+
+			this.threadId = null;
+			this.bookmark = range.createBookmark2();
+
+			this.renderComments( [] );
+			this.setButtonsVisible( false );
+
+			panel.attach( this.editor.getSelection(), { focusElement: this.getInput() } );
+		},
+
+		hide: function() {
+			if ( this.panel && this.panel.rect.visible ) {
+				this.panel.hide();
+			}
+		},
+
+		getInput: function() {
+			return this.getPanel().parts.content.findOne( 'textarea' );
+		},
+
+		renderComments: function( comments ) {
+			var template = this.templates.comment;
+
+			this.getPanel().parts.content.findOne( 'ul' ).setHtml( CKEDITOR.tools.array.map( comments, function( comment ) {
+				return template.output( {
+					author: CKEDITOR.tools.htmlEncode( comment.author ),
+					date: new Date( comment.timestamp ).toLocaleString(),
+					content: CKEDITOR.tools.htmlEncode( comment.content )
+				} );
+			} ).join( '' ) );
+
+			this.getInput().setValue( '' );
+		},
+
+		// Resolve and Remove buttons are not available for the new thread.
+		setButtonsVisible: function( visible ) {
+			CKEDITOR.tools.array.forEach( this.getPanel().parts.content.find( '[data-cke-comments-action]' ).toArray(), function( button ) {
+				if ( button.getAttribute( 'data-cke-comments-action' ) != 'submit' ) {
+					button.setStyle( 'display', visible ? '' : 'none' );
+				}
+			} );
+		},
+
+		submit: function() {
+			var editor = this.editor,
+				content = CKEDITOR.tools.trim( this.getInput().getValue() ),
+				range;
+
+			if ( !content ) {
+				return;
+			}
+
+			if ( this.threadId ) {
+				this.plugin.reply( editor, this.threadId, content );
+				this.showThread( this.threadId );
+				return;
+			}
+
+			range = editor.createRange();
+			range.moveToBookmark( this.bookmark );
+			this.hide();
+			this.plugin.add( editor, range, content );
+		},
+
+		resolve: function() {
+			this.hide();
+			this.plugin.resolve( this.editor, this.threadId );
+		},
+
+		remove: function() {
+			this.hide();
+			this.plugin.remove( this.editor, this.threadId );
+		}
+	};
+
+	/**
+	 * The Comments plugin.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.comments
+	 */
+
+	/**
+	 * A comment thread.
+	 *
+	 * @class CKEDITOR.plugins.comments.thread
+	 * @abstract
+	 */
+
+	/**
+	 * The unique ID of the thread, also used by its anchors in the content.
+	 *
+	 * @property {String} id
+	 */
+
+	/**
+	 * The comments in the thread, in the order of adding.
+	 *
+	 * @property {CKEDITOR.plugins.comments.comment[]} comments
+	 */
+
+	/**
+	 * Whether the thread is resolved.
+	 *
+	 * @property {Boolean} resolved
+	 */
+
+	/**
+	 * A single comment in a thread.
+	 *
+	 * @class CKEDITOR.plugins.comments.comment
+	 * @abstract
+	 */
+
+	/**
+	 * The unique ID of the comment.
+	 *
+	 * @property {String} id
+	 */
+
+	/**
+	 * The name of the comment author.
+	 *
+	 * @property {String} author
+	 */
+
+	/**
+	 * The comment text.
+	 *
+	 * @property {String} content
+	 */
+
+	/**
+	 * The creation time in milliseconds since the Unix epoch.
+	 *
+	 * @property {Number} timestamp
+	 */
+} )();
+
+/**
+ * The name of the author of comments added in this editor instance.
+ * If not set, a localized "Anonymous" label is used.
+ *
+ *		config.comments_author = 'John Smith';
+ *
+ * @since 4.13.0
+ * @cfg {String} [comments_author='']
+ * @member CKEDITOR.config
+ */
+
+/**
+ * Fired when a comment is added, either as the first comment of a new thread or as a reply.
+ *
+ *		editor.on( 'commentAdd', function( evt ) {
+ *			backend.saveComment( evt.data.thread.id, evt.data.comment );
+ *		} );
+ *
+ * @since 4.13.0
+ * @event commentAdd
+ * @member CKEDITOR.editor
+ * @param {CKEDITOR.editor} editor This editor instance.
+ * @param data
+ * @param {CKEDITOR.plugins.comments.thread} data.thread
+ * @param {CKEDITOR.plugins.comments.comment} data.comment
+ */
+
+/**
+ * Fired when a comment thread is removed.
+ *
+ * @since 4.13.0
+ * @event commentThreadRemove
+ * @member CKEDITOR.editor
+ * @param {CKEDITOR.editor} editor This editor instance.
+ * @param data
+ * @param {CKEDITOR.plugins.comments.thread} data.thread
+ */
+
+/**
+ * Fired when a removed comment thread is restored, because its removal was undone.
+ *
+ *		editor.on( 'commentThreadRestore', function( evt ) {
+ *			backend.saveThread( evt.data.thread );
+ *		} );
+ *
+ * @since 4.13.0
+ * @event commentThreadRestore
+ * @member CKEDITOR.editor
+ * @param {CKEDITOR.editor} editor This editor instance.
+ * @param data
+ * @param {CKEDITOR.plugins.comments.thread} data.thread
+ */
+
+/**
+ * Fired when a comment thread is resolved.
+ *
+ * @since 4.13.0
+ * @event commentThreadResolve
+ * @member CKEDITOR.editor
+ * @param {CKEDITOR.editor} editor This editor instance.
+ * @param data
+ * @param {CKEDITOR.plugins.comments.thread} data.thread
+ */
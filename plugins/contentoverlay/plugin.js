@@ -0,0 +1,217 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @fileOverview The Content Overlay plugin. Provides the layer drawn over the editor content, used by plugins
+ * which mark parts of the content, e.g. for highlights, underlines or carets.
+ */
+
+'use strict';
+
+( function() {
+	// This flag prevents appending stylesheet more than once.
+	var stylesLoaded = false;
+
+	CKEDITOR.plugins.add( 'contentoverlay', {
+		init: function( editor ) {
+			if ( !stylesLoaded ) {
+				CKEDITOR.document.appendStyleSheet( this.path + 'styles/contentoverlay.css' );
+				stylesLoaded = true;
+			}
+
+			if ( editor.addContentsCss ) {
+				editor.addContentsCss( this.path + 'styles/contentoverlay.css' );
+			}
+		}
+	} );
+
+	/**
+	 * A global namespace for methods exposed by the [Content Overlay](https://ckeditor.com/cke4/addon/contentoverlay) plugin.
+	 *
+	 * @singleton
+	 * @class
+	 * @since 4.13.0
+	 */
+	CKEDITOR.plugins.contentOverlay = {
+		/**
+		 * Checks whether the element is a temporary element added by the editor or the widget internals, e.g.
+		 * a bookmark, the fake selection container or a drag handler, so it is not a part of the content.
+		 *
+		 * Without the `root` only the element itself is checked. With the `root` the ancestors of the element
+		 * up to the `root` are checked too.
+		 *
+		 * @param {CKEDITOR.dom.element} element
+		 * @param {CKEDITOR.dom.element} [root]
+		 * @returns {Boolean}
+		 */
+		isTemporary: function( element, root ) {
+			while ( element && element.type == CKEDITOR.NODE_ELEMENT && !( root && element.equals( root ) ) ) {
+				if ( element.data( 'cke-temp' ) || element.data( 'cke-bookmark' ) || element.data( 'cke-hidden-sel' ) ||
+					element.hasAttribute( 'data-cke-widget-drag-handler' ) || element.hasClass( 'cke_widget_drag_handler_container' ) ) {
+					return true;
+				}
+
+				if ( !root ) {
+					return false;
+				}
+
+				element = element.getParent();
+			}
+
+			return false;
+		}
+	};
+
+	/**
+	 * The layer drawn over the content of the editor. It is placed in the main document for the inline editor
+	 * and in the editor document, next to the `<body>` element, for the classic editor, so it is never a part of the content.
+	 *
+	 * ```javascript
+	 *	var overlay = new CKEDITOR.plugins.contentOverlay.overlay( editor, 'my_overlay' ),
+	 *		range = editor.getSelection().getRanges()[ 0 ];
+	 *
+	 *	if ( overlay.reset( true ) ) {
+	 *		CKEDITOR.tools.array.forEach( range.getClientRects(), function( rect ) {
+	 *			overlay.draw( rect, { 'class': 'my_highlight' } );
+	 *		} );
+	 *	}
+	 * ```
+	 *
+	 * @class CKEDITOR.plugins.contentOverlay.overlay
+	 * @mixins CKEDITOR.event
+	 * @since 4.13.0
+	 * @constructor Creates an overlay instance.
+	 * @param {CKEDITOR.editor} editor The editor instance.
+	 * @param {String} className The class of the overlay element.
+	 */
+	function Overlay( editor, className ) {
+		/**
+		 * The editor instance.
+		 *
+		 * @readonly
+		 * @property {CKEDITOR.editor}
+		 */
+		this.editor = editor;
+
+		/**
+		 * The class of the overlay element.
+		 *
+		 * @readonly
+		 * @property {String}
+		 */
+		this.className = className;
+
+		/**
+		 * The overlay element or `null` if it is not created.
+		 *
+		 * @readonly
+		 * @property {CKEDITOR.dom.element/null}
+		 */
+		this.element = null;
+
+		this._ = {
+			scroll: null
+		};
+	}
+
+	Overlay.prototype = {
+		/**
+		 * Returns the overlay element, creating it if needed. Without the `create` parameter the element is removed.
+		 * The element is recreated when the editor document changes, e.g. after switching the editing mode.
+		 *
+		 * @param {Boolean} [create]
+		 * @returns {CKEDITOR.dom.element/null}
+		 */
+		getElement: function( create ) {
+			var editor = this.editor,
+				editable = editor.editable(),
+				element = this.element,
+				doc = editable && ( editable.isInline() ? CKEDITOR.document : editor.document );
+
+			if ( element && ( !create || !element.getParent() || !element.getDocument().equals( doc ) ) ) {
+				element.remove();
+				element = this.element = null;
+			}
+
+			if ( !element && create && doc ) {
+				element = this.element = CKEDITOR.dom.element.createFromHtml( '<div class="cke_contentoverlay ' +
+					this.className + '" data-cke-temp="1" contenteditable="false"></div>', doc );
+
+				element.appendTo( editable.isInline() ? doc.getBody() : doc.getDocumentElement() );
+
+				this.fire( 'create', element );
+			}
+
+			return element;
+		},
+
+		/**
+		 * Clears the overlay before drawing. Without the `show` parameter the overlay element is removed.
+		 *
+		 * @param {Boolean} [show]
+		 * @returns {CKEDITOR.dom.element/null} The empty overlay element or `null` if nothing can be drawn.
+		 */
+		reset: function( show ) {
+			var editor = this.editor,
+				element = this.getElement( show );
+
+			if ( element ) {
+				element.setHtml( '' );
+				this._.scroll = ( editor.editable().isInline() ? CKEDITOR.document.getWindow() : editor.window ).getScrollPosition();
+			}
+
+			return element;
+		},
+
+		/**
+		 * Draws an element over the given client rectangle of the content. It should be called after {@link #reset}.
+		 *
+		 * @param {Object} rect The position relative to the viewport, e.g. returned by {@link CKEDITOR.dom.range#getClientRects}.
+		 * @param {Number} rect.top
+		 * @param {Number} rect.left
+		 * @param {Number} rect.width
+		 * @param {Number} [rect.height] Without the height it is set by the stylesheet, e.g. for underlines.
+		 * @param {Object} [attributes] The attributes of the drawn element.
+		 * @param {Object} [styles] Additional styles of the drawn element.
+		 * @returns {CKEDITOR.dom.element} The drawn element.
+		 */
+		draw: function( rect, attributes, styles ) {
+			var scroll = this._.scroll,
+				position = {
+					top: rect.top + scroll.y + 'px',
+					left: rect.left + scroll.x + 'px',
+					width: rect.width + 'px'
+				};
+
+			if ( rect.height !== undefined ) {
+				position.height = rect.height + 'px';
+			}
+
+			return this.element.append( this.element.getDocument().createElement( 'span', {
+				attributes: attributes || {},
+				styles: CKEDITOR.tools.extend( position, styles || {}, true )
+			} ) );
+		},
+
+		/**
+		 * Removes the overlay element.
+		 */
+		remove: function() {
+			this.getElement();
+		}
+	};
+
+	CKEDITOR.event.implementOn( Overlay.prototype );
+
+	CKEDITOR.plugins.contentOverlay.overlay = Overlay;
+} )();
+
+/**
+ * Fired when the overlay element is created and appended to the document.
+ *
+ * @event create
+ * @member CKEDITOR.plugins.contentOverlay.overlay
+ * @param {CKEDITOR.dom.element} data The overlay element.
+ */
@@ -358,15 +358,19 @@
 	}
 
 	function xhrUploadErrorHandler( evt ) {
-		var response = {};
-
-		try {
-			response = JSON.parse( evt.sender.xhr.response ) || {};
-		} catch ( e ) {}
+		var loader = evt.sender,
+			response = {};
+
+		// Custom upload adapters may not use XHR, then the error is described by the loader message only.
+		if ( loader.xhr ) {
+			try {
+				response = JSON.parse( loader.xhr.response ) || {};
+			} catch ( e ) {}
+		}
 
 		// `this` is a reference to ui.dialog.fileButton.
 		this.enable();
-		alert( response.error ? response.error.message : evt.sender.message ); // jshint ignore:line
+		alert( response.error ? response.error.message : loader.message ); // jshint ignore:line
 	}
 
 	// Updates the target element with the url of uploaded/selected file.
@@ -623,8 +627,10 @@
  *
  * Available values:
  *
- *	* `'xhr'` &ndash; XMLHttpRequest is used to upload the file. Using this option allows to set additional XHR headers with
- * the {@link CKEDITOR.config#fileTools_requestHeaders} option.
+ *	* `'xhr'` &ndash; The file is uploaded with the [File Tools](https://ckeditor.com/cke4/addon/filetools) plugin, using
+ * XMLHttpRequest by default. Using this option allows to set additional XHR headers with
+ * the {@link CKEDITOR.config#fileTools_requestHeaders} option or to upload the file in a different way with
+ * the {@link CKEDITOR.config#fileTools_uploadAdapter custom upload adapter}.
  *	* `'form'` &ndash; The file is uploaded by submitting a traditional `<form>` element. **Note: That was the only option available until CKEditor 4.9.0.**
  *
  * Example:
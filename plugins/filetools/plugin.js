@@ -25,7 +25,8 @@
 			editor.uploadRepository = new UploadRepository( editor );
 
 			/**
-			 * Event fired when the {@link CKEDITOR.fileTools.fileLoader file loader} should send XHR. If the event is not
+			 * Event fired when the {@link CKEDITOR.fileTools.fileLoader file loader} should send XHR using
+			 * the default {@link CKEDITOR.fileTools.xhrUploadAdapter upload adapter}. If the event is not
 			 * {@link CKEDITOR.eventInfo#stop stopped} or {@link CKEDITOR.eventInfo#cancel canceled}, the default request
 			 * will be sent. Refer to the {@glink guide/dev_file_upload Uploading Dropped or Pasted Files} article for more information.
 			 *
@@ -35,6 +36,8 @@
 			 * @param data
 			 * @param {CKEDITOR.fileTools.fileLoader} data.fileLoader A file loader instance.
 			 * @param {Object} data.requestData An object containing all data to be sent to the server.
+			 * @param {Blob} [data.chunk] The part of the file to be sent if the file is uploaded in chunks
+			 * by {@link CKEDITOR.fileTools.chunkedUploadAdapter} (since 4.13.0).
 			 */
 			editor.on( 'fileUploadRequest', function( evt ) {
 				var fileLoader = evt.data.fileLoader;
@@ -42,7 +45,7 @@
 				fileLoader.xhr.open( 'POST', fileLoader.uploadUrl, true );
 
 				// Adding file to event's data by default - allows overwriting it by user's event listeners. (https://dev.ckeditor.com/ticket/13518)
-				evt.data.requestData.upload = { file: fileLoader.file, name: fileLoader.fileName };
+				evt.data.requestData.upload = { file: evt.data.chunk || fileLoader.file, name: fileLoader.fileName };
 			}, null, null, 5 );
 
 			editor.on( 'fileUploadRequest', function( evt ) {
@@ -232,6 +235,8 @@
 	 * Default request and response formats will work with CKFinder 2.4.3 and above. If you need a custom request
 	 * or response handling you need to overwrite the default behavior using the {@link CKEDITOR.editor#fileUploadRequest} and
 	 * {@link CKEDITOR.editor#fileUploadResponse} events. For more information see their documentation.
+	 * To upload the file in a different way, for example using the Fetch API or directly to a cloud storage, use
+	 * a custom {@link CKEDITOR.fileTools.uploadAdapter upload adapter}.
 	 *
 	 * To create a `FileLoader` instance, use the {@link CKEDITOR.fileTools.uploadRepository} class.
 	 *
@@ -434,12 +439,36 @@
 	 */
 
 	/**
-	 * Native `XMLHttpRequest` reference used to upload the file.
+	 * Native `XMLHttpRequest` reference used to upload the file by the default
+	 * {@link CKEDITOR.fileTools.xhrUploadAdapter upload adapter}.
 	 *
 	 * @readonly
 	 * @property {XMLHttpRequest} xhr
 	 */
 
+	/**
+	 * The type of the {@link CKEDITOR.fileTools.uploadAdapter upload adapter} used by the {@link #upload} method.
+	 * If it is not set, {@link CKEDITOR.config#fileTools_uploadAdapter} is used. If neither is set, the file is
+	 * uploaded with {@link CKEDITOR.fileTools.xhrUploadAdapter XMLHttpRequest}.
+	 *
+	 *		var loader = editor.uploadRepository.create( file );
+	 *
+	 *		loader.uploadAdapter = FetchUploadAdapter;
+	 *		loader.upload( 'http://upload.url/' );
+	 *
+	 * @since 4.13.0
+	 * @property {Function} [uploadAdapter]
+	 */
+
+	/**
+	 * The {@link CKEDITOR.fileTools.uploadAdapter upload adapter} instance which uploads the file.
+	 * It is created by the {@link #upload} method.
+	 *
+	 * @since 4.13.0
+	 * @readonly
+	 * @property {CKEDITOR.fileTools.uploadAdapter} adapter
+	 */
+
 	/**
 	 * If `FileLoader` was created using {@link CKEDITOR.fileTools.uploadRepository},
 	 * it gets an identifier which is stored in this property.
@@ -541,7 +570,7 @@
 		},
 
 		/**
-		 * Uploads a file to the server.
+		 * Uploads a file to the server using the {@link #uploadAdapter upload adapter}.
 		 *
 		 * The order of the {@link #status statuses} for a successful upload is:
 		 *
@@ -554,7 +583,10 @@
 	 	 * the {@link CKEDITOR.editor#fileUploadRequest} event.
 		 */
 		upload: function( url, additionalRequestParameters ) {
-			var requestData = additionalRequestParameters || {};
+			var requestData = additionalRequestParameters || {},
+				loader = this,
+				status = this.status,
+				Adapter, adapter;
 
 			if ( !url ) {
 				this.message = this.lang.filetools.noUrlError;
@@ -562,119 +594,94 @@
 			} else {
 				this.uploadUrl = url;
 
-				this.xhr = new XMLHttpRequest();
-				this.attachRequestListeners();
+				Adapter = this.uploadAdapter || this.editor.config.fileTools_uploadAdapter || XhrUploadAdapter;
+				adapter = this.adapter = new Adapter( this );
 
-				if ( this.editor.fire( 'fileUploadRequest', { fileLoader: this, requestData: requestData } ) ) {
+				// The status is changed first, so the adapter may report the abort
+				// of the upload by calling this method too.
+				this.abort = function() {
+					loader.changeStatus( 'abort' );
+					adapter.abort();
+				};
+
+				// The adapter could finish the upload synchronously.
+				if ( adapter.start( url, requestData ) !== false && this.status == status ) {
 					this.changeStatus( 'uploading' );
 				}
 			}
 		},
 
 		/**
-		 * Attaches listeners to the XML HTTP request object.
+		 * Updates the upload progress. This method is called by the {@link #adapter upload adapter}.
 		 *
-		 * @private
-		 * @param {XMLHttpRequest} xhr XML HTTP request object.
+		 * @since 4.13.0
+		 * @param {Number} uploaded The number of uploaded bytes.
+		 * @param {Number} [total] The total size of upload data in bytes. It sets {@link #uploadTotal}
+		 * if it is not known yet.
 		 */
-		attachRequestListeners: function() {
-			var loader = this,
-				xhr = this.xhr;
-
-			loader.abort = function() {
-				xhr.abort();
-				onAbort();
-			};
+		handleUploadProgress: function( uploaded, total ) {
+			if ( isUploadFinished( this ) ) {
+				return;
+			}
 
-			xhr.onerror = onError;
-			xhr.onabort = onAbort;
+			if ( total && !this.uploadTotal ) {
+				this.uploadTotal = total;
+			}
 
-			// https://dev.ckeditor.com/ticket/13533 - When xhr.upload is present attach onprogress, onerror and onabort functions to get actual upload
-			// information.
-			if ( xhr.upload ) {
-				xhr.upload.onprogress = function( evt ) {
-					if ( evt.lengthComputable ) {
-						// Set uploadTotal with correct data.
-						if ( !loader.uploadTotal ) {
-							loader.uploadTotal = evt.total;
-						}
-						loader.uploaded = evt.loaded;
-						loader.update();
-					}
-				};
+			this.uploaded = uploaded;
+			this.update();
+		},
 
-				xhr.upload.onerror = onError;
-				xhr.upload.onabort = onAbort;
+		/**
+		 * Finishes the upload with the response from the server. This method is called by
+		 * the {@link #adapter upload adapter}.
+		 *
+		 * The `message`, `fileName` and `url` properties of the response are copied to the loader and
+		 * the whole response is available as {@link #responseData}.
+		 *
+		 * @since 4.13.0
+		 * @param {Object} data The response data.
+		 * @param {String} [data.url] The URL to the uploaded file.
+		 * @param {String} [data.fileName] The file name on the server.
+		 * @param {String} [data.message] The message from the server.
+		 * @param {Boolean} [success=true] Whether the server accepted the file. If `false`, the {@link #status}
+		 * is changed to `error`.
+		 */
+		handleUploadResponse: function( data, success ) {
+			// Values to copy from the response to FileLoader.
+			var valuesToCopy = [ 'message', 'fileName', 'url' ];
 
-			} else {
-				// https://dev.ckeditor.com/ticket/13533 - If xhr.upload is not supported - fire update event anyway and set uploadTotal to file size.
-				loader.uploadTotal = loader.total;
-				loader.update();
+			if ( isUploadFinished( this ) ) {
+				return;
 			}
 
-			xhr.onload = function() {
-				// https://dev.ckeditor.com/ticket/13433 - Call update at the end of the upload. When xhr.upload object is not supported there will be
-				// no update events fired during the whole process.
-				loader.update();
-
-				// https://dev.ckeditor.com/ticket/13433 - Check if loader was not aborted during last update.
-				if ( loader.status == 'abort' ) {
-					return;
+			for ( var i = 0; i < valuesToCopy.length; i++ ) {
+				var key = valuesToCopy[ i ];
+				if ( typeof data[ key ] === 'string' ) {
+					this[ key ] = data[ key ];
 				}
+			}
 
-				loader.uploaded = loader.uploadTotal;
-
-				if ( xhr.status < 200 || xhr.status > 299 ) {
-					loader.message = loader.lang.filetools[ 'httpError' + xhr.status ];
-					if ( !loader.message ) {
-						loader.message = loader.lang.filetools.httpError.replace( '%1', xhr.status );
-					}
-					loader.changeStatus( 'error' );
-				} else {
-					var data = {
-							fileLoader: loader
-						},
-						// Values to copy from event to FileLoader.
-						valuesToCopy = [ 'message', 'fileName', 'url' ],
-						success = loader.editor.fire( 'fileUploadResponse', data );
-
-					for ( var i = 0; i < valuesToCopy.length; i++ ) {
-						var key = valuesToCopy[ i ];
-						if ( typeof data[ key ] === 'string' ) {
-							loader[ key ] = data[ key ];
-						}
-					}
-
-					// The whole response is also hold for use by uploadwidgets (https://dev.ckeditor.com/ticket/13519).
-					loader.responseData = data;
-					// But without reference to the loader itself.
-					delete loader.responseData.fileLoader;
+			// The whole response is also hold for use by uploadwidgets (https://dev.ckeditor.com/ticket/13519).
+			this.responseData = data;
 
-					if ( success === false ) {
-						loader.changeStatus( 'error' );
-					} else {
-						loader.changeStatus( 'uploaded' );
-					}
-				}
-			};
-
-			function onError() {
-				// Prevent changing status twice, when XHR.error and XHR.upload.onerror could be called together.
-				if ( loader.status == 'error' ) {
-					return;
-				}
+			this.changeStatus( success === false ? 'error' : 'uploaded' );
+		},
 
-				loader.message = loader.lang.filetools.networkError;
-				loader.changeStatus( 'error' );
+		/**
+		 * Finishes the upload with an error, for example a network error. This method is called by
+		 * the {@link #adapter upload adapter}.
+		 *
+		 * @since 4.13.0
+		 * @param {String} message The error message.
+		 */
+		handleUploadError: function( message ) {
+			if ( isUploadFinished( this ) ) {
+				return;
 			}
 
-			function onAbort() {
-				// Prevent changing status twice, when XHR.onabort and XHR.upload.onabort could be called together.
-				if ( loader.status == 'abort' ) {
-					return;
-				}
-				loader.changeStatus( 'abort' );
-			}
+			this.message = message;
+			this.changeStatus( 'error' );
 		},
 
 		/**
@@ -760,9 +767,476 @@
 		 */
 	};
 
+	/**
+	 * The default {@link CKEDITOR.fileTools.uploadAdapter upload adapter} which sends the file using `XMLHttpRequest`.
+	 *
+	 * The request and the response can be customized with the {@link CKEDITOR.editor#fileUploadRequest} and
+	 * {@link CKEDITOR.editor#fileUploadResponse} events.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.fileTools.xhrUploadAdapter
+	 * @implements CKEDITOR.fileTools.uploadAdapter
+	 * @constructor Creates an adapter for a single upload.
+	 * @param {CKEDITOR.fileTools.fileLoader} loader The file loader which uploads the file.
+	 */
+	function XhrUploadAdapter( loader ) {
+		/**
+		 * The file loader which uploads the file.
+		 *
+		 * @readonly
+		 * @property {CKEDITOR.fileTools.fileLoader}
+		 */
+		this.loader = loader;
+
+		/**
+		 * Native `XMLHttpRequest` reference used to upload the file. It is also available
+		 * as {@link CKEDITOR.fileTools.fileLoader#xhr}.
+		 *
+		 * @readonly
+		 * @property {XMLHttpRequest} xhr
+		 */
+		this.xhr = null;
+	}
+
+	XhrUploadAdapter.prototype = {
+		/**
+		 * Sends the file by firing the {@link CKEDITOR.editor#fileUploadRequest} event.
+		 *
+		 * @param {String} url The upload URL.
+		 * @param {Object} requestData Additional data to be sent to the server.
+		 * @returns {Boolean} `false` if the request was canceled.
+		 */
+		start: function( url, requestData ) {
+			var loader = this.loader;
+
+			this.xhr = loader.xhr = new XMLHttpRequest();
+			this.attachRequestListeners();
+
+			return loader.editor.fire( 'fileUploadRequest', { fileLoader: loader, requestData: requestData } ) !== false;
+		},
+
+		/**
+		 * Aborts the request.
+		 */
+		abort: function() {
+			this.xhr.abort();
+		},
+
+		/**
+		 * Attaches listeners to the XML HTTP request object.
+		 *
+		 * @private
+		 */
+		attachRequestListeners: function() {
+			var loader = this.loader,
+				xhr = this.xhr;
+
+			xhr.onerror = onError;
+			xhr.onabort = onAbort;
+
+			// https://dev.ckeditor.com/ticket/13533 - When xhr.upload is present attach onprogress, onerror and onabort functions to get actual upload
+			// information.
+			if ( xhr.upload ) {
+				xhr.upload.onprogress = function( evt ) {
+					if ( evt.lengthComputable ) {
+						loader.handleUploadProgress( evt.loaded, evt.total );
+					}
+				};
+
+				xhr.upload.onerror = onError;
+				xhr.upload.onabort = onAbort;
+
+			} else {
+				// https://dev.ckeditor.com/ticket/13533 - If xhr.upload is not supported - fire update event anyway and set uploadTotal to file size.
+				loader.handleUploadProgress( 0, loader.total );
+			}
+
+			xhr.onload = function() {
+				// https://dev.ckeditor.com/ticket/13433 - Call update at the end of the upload. When xhr.upload object is not supported there will be
+				// no update events fired during the whole process.
+				loader.update();
+
+				// https://dev.ckeditor.com/ticket/13433 - Check if loader was not aborted during last update.
+				if ( loader.status == 'abort' ) {
+					return;
+				}
+
+				loader.uploaded = loader.uploadTotal;
+
+				if ( xhr.status < 200 || xhr.status > 299 ) {
+					loader.handleUploadError( getHttpErrorMessage( loader, xhr.status ) );
+				} else {
+					handleResponse( loader );
+				}
+			};
+
+			// Errors are reported once, even if XHR.error and XHR.upload.onerror are called together.
+			function onError() {
+				loader.handleUploadError( loader.lang.filetools.networkError );
+			}
+
+			// The loader ignores the abort if it was aborted already, e.g. when XHR.onabort
+			// and XHR.upload.onabort are called together.
+			function onAbort() {
+				loader.abort();
+			}
+		}
+	};
+
+	/**
+	 * The {@link CKEDITOR.fileTools.uploadAdapter upload adapter} which sends large files in chunks, so an upload
+	 * interrupted by a flaky connection does not need to be started from scratch.
+	 *
+	 * Every chunk is sent with a separate `XMLHttpRequest`, for which the {@link CKEDITOR.editor#fileUploadRequest} event
+	 * is fired with the chunk in the `chunk` property of the event data. Apart from the `upload` field containing
+	 * the chunk, the request data contains:
+	 *
+	 * * `chunkOffset` &ndash; The position of the chunk in the file in bytes.
+	 * * `totalSize` &ndash; The size of the whole file in bytes.
+	 * * `uploadId` &ndash; The identifier of the upload returned by the server for the previous chunks.
+	 *
+	 * The server should respond to every chunk but the last one with a JSON object containing the `uploadId`
+	 * and the `offset` of the next chunk to be sent, which is the number of bytes received so far:
+	 *
+	 *		{ "uploadId": "a1b2c3", "offset": 1048576 }
+	 *
+	 * The response to the last chunk is handled with the {@link CKEDITOR.editor#fileUploadResponse} event, so by default
+	 * it has the same format as for the {@link CKEDITOR.fileTools.xhrUploadAdapter regular upload}.
+	 *
+	 * A chunk which failed because of a network error or a server error (`5xx` status) is sent again up to
+	 * {@link CKEDITOR.config#fileTools_chunkRetries} times, with the delay doubled after each attempt
+	 * (see {@link CKEDITOR.config#fileTools_chunkRetryDelay}). The upload identifier and the offset are also stored
+	 * in the [`localStorage`](https://developer.mozilla.org/en-US/docs/Web/API/Window/localStorage), so if the upload
+	 * of the same file to the same URL is started again, e.g. after the page was reloaded, it is resumed from the last
+	 * chunk received by the server.
+	 *
+	 *		config.fileTools_uploadAdapter = CKEDITOR.fileTools.chunkedUploadAdapter;
+	 *		config.fileTools_chunkSize = 5 * 1024 * 1024;
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.fileTools.chunkedUploadAdapter
+	 * @implements CKEDITOR.fileTools.uploadAdapter
+	 * @constructor Creates an adapter for a single upload.
+	 * @param {CKEDITOR.fileTools.fileLoader} loader The file loader which uploads the file.
+	 */
+	function ChunkedUploadAdapter( loader ) {
+		var config = loader.editor.config;
+
+		/**
+		 * The file loader which uploads the file.
+		 *
+		 * @readonly
+		 * @property {CKEDITOR.fileTools.fileLoader}
+		 */
+		this.loader = loader;
+
+		/**
+		 * Native `XMLHttpRequest` reference used to upload the current chunk. It is also available
+		 * as {@link CKEDITOR.fileTools.fileLoader#xhr}.
+		 *
+		 * @readonly
+		 * @property {XMLHttpRequest} xhr
+		 */
+		this.xhr = null;
+
+		/**
+		 * The identifier of the upload returned by the server.
+		 *
+		 * @readonly
+		 * @property {String} uploadId
+		 */
+		this.uploadId = null;
+
+		/**
+		 * The position of the current chunk in the file in bytes.
+		 *
+		 * @readonly
+		 * @property {Number} offset
+		 */
+		this.offset = 0;
+
+		/**
+		 * The size of chunks in bytes, see {@link CKEDITOR.config#fileTools_chunkSize}.
+		 *
+		 * @property {Number} chunkSize
+		 */
+		this.chunkSize = config.fileTools_chunkSize || 1048576;
+
+		/**
+		 * The number of attempts to send a chunk again, see {@link CKEDITOR.config#fileTools_chunkRetries}.
+		 *
+		 * @property {Number} maxRetries
+		 */
+		this.maxRetries = typeof config.fileTools_chunkRetries == 'number' ? config.fileTools_chunkRetries : 3;
+
+		/**
+		 * The delay of the first attempt to send a chunk again in milliseconds,
+		 * see {@link CKEDITOR.config#fileTools_chunkRetryDelay}.
+		 *
+		 * @property {Number} retryDelay
+		 */
+		this.retryDelay = typeof config.fileTools_chunkRetryDelay == 'number' ? config.fileTools_chunkRetryDelay : 1000;
+
+		this._ = {
+			retries: 0
+		};
+	}
+
+	ChunkedUploadAdapter.prototype = {
+		/**
+		 * Starts sending chunks. If the upload of the file was interrupted before, it is resumed.
+		 *
+		 * @param {String} url The upload URL.
+		 * @param {Object} requestData Additional data to be sent to the server with every chunk.
+		 * @returns {Boolean} `false` if the request of the first chunk was canceled.
+		 */
+		start: function( url, requestData ) {
+			var file = this.loader.file,
+				stored;
+
+			this._.requestData = requestData;
+			this._.storageKey = 'ckeditor-upload:' + url + ':' + this.loader.fileName + ':' + file.size + ':' +
+				( file.lastModified || '' );
+
+			stored = loadUploadState( this._.storageKey );
+
+			if ( stored && typeof stored.offset == 'number' && stored.offset < file.size ) {
+				this.uploadId = stored.uploadId;
+				this.offset = stored.offset;
+			}
+
+			return this.sendChunk();
+		},
+
+		/**
+		 * Aborts the upload and forgets it, so it will not be resumed.
+		 */
+		abort: function() {
+			clearTimeout( this._.timeout );
+			removeUploadState( this._.storageKey );
+
+			if ( this.xhr ) {
+				this.xhr.abort();
+			}
+		},
+
+		/**
+		 * Sends the chunk starting at the {@link #offset}.
+		 *
+		 * @private
+		 * @returns {Boolean} `false` if the request was canceled.
+		 */
+		sendChunk: function() {
+			var loader = this.loader,
+				total = loader.file.size,
+				end = Math.min( this.offset + this.chunkSize, total ),
+				requestData = CKEDITOR.tools.extend( {}, this._.requestData );
+
+			requestData.chunkOffset = this.offset;
+			requestData.totalSize = total;
+
+			if ( this.uploadId ) {
+				requestData.uploadId = this.uploadId;
+			}
+
+			this.xhr = loader.xhr = new XMLHttpRequest();
+			this.attachRequestListeners( end );
+
+			// The progress of the resumed upload starts at the offset.
+			loader.handleUploadProgress( this.offset, total );
+
+			return loader.editor.fire( 'fileUploadRequest', {
+				fileLoader: loader,
+				requestData: requestData,
+				chunk: loader.file.slice( this.offset, end )
+			} ) !== false;
+		},
+
+		/**
+		 * Attaches listeners to the XML HTTP request object of the chunk.
+		 *
+		 * @private
+		 * @param {Number} end The position of the end of the chunk in the file.
+		 */
+		attachRequestListeners: function( end ) {
+			var adapter = this,
+				loader = this.loader,
+				xhr = this.xhr,
+				start = this.offset,
+				total = loader.file.size;
+
+			xhr.onerror = onError;
+			xhr.onabort = onAbort;
+
+			if ( xhr.upload ) {
+				xhr.upload.onprogress = function( evt ) {
+					if ( evt.lengthComputable ) {
+						// The request is a bit larger than the chunk, because of the form data.
+						loader.handleUploadProgress( start + Math.round( ( end - start ) * evt.loaded / evt.total ), total );
+					}
+				};
+
+				xhr.upload.onerror = onError;
+				xhr.upload.onabort = onAbort;
+			}
+
+			xhr.onload = function() {
+				var status = xhr.status;
+
+				if ( loader.status == 'abort' || xhr != adapter.xhr ) {
+					return;
+				}
+
+				// Network and server errors may be temporary.
+				if ( status === 0 || status > 499 ) {
+					adapter.retry( getHttpErrorMessage( loader, status ) );
+				} else if ( status < 200 || status > 299 ) {
+					removeUploadState( adapter._.storageKey );
+					loader.handleUploadError( getHttpErrorMessage( loader, status ) );
+				} else if ( end >= total ) {
+					removeUploadState( adapter._.storageKey );
+					loader.uploaded = total;
+					handleResponse( loader );
+				} else {
+					adapter.handleChunkResponse( xhr.responseText );
+				}
+			};
+
+			// Errors are reported once, even if XHR.error and XHR.upload.onerror are called together.
+			function onError() {
+				if ( xhr == adapter.xhr ) {
+					adapter.retry( loader.lang.filetools.networkError );
+				}
+			}
+
+			function onAbort() {
+				loader.abort();
+			}
+		},
+
+		/**
+		 * Sends the next chunk at the offset returned by the server and stores the state of the upload.
+		 *
+		 * @private
+		 * @param {String} responseText The response to the chunk.
+		 */
+		handleChunkResponse: function( responseText ) {
+			var response;
+
+			try {
+				response = JSON.parse( responseText );
+			} catch ( e ) {}
+
+			if ( !response || typeof response.offset != 'number' ) {
+				removeUploadState( this._.storageKey );
+				this.loader.handleUploadError( this.loader.lang.filetools.responseError );
+				return;
+			}
+
+			this.uploadId = response.uploadId || this.uploadId;
+			this.offset = response.offset;
+			this._.retries = 0;
+
+			saveUploadState( this._.storageKey, { uploadId: this.uploadId, offset: this.offset } );
+
+			this.sendChunk();
+		},
+
+		/**
+		 * Sends the current chunk again after a delay or, if there are no attempts left, finishes the upload with an error.
+		 * The upload state is kept, so the upload may still be resumed later.
+		 *
+		 * @private
+		 * @param {String} message The error message.
+		 */
+		retry: function( message ) {
+			var adapter = this,
+				retries = this._.retries;
+
+			// Ignore the requests which failed before.
+			this.xhr = null;
+
+			if ( retries >= this.maxRetries ) {
+				this.loader.handleUploadError( message );
+				return;
+			}
+
+			this._.retries += 1;
+
+			this._.timeout = setTimeout( function() {
+				if ( !isUploadFinished( adapter.loader ) ) {
+					adapter.sendChunk();
+				}
+			}, this.retryDelay * Math.pow( 2, retries ) );
+		}
+	};
+
+	// Returns the message of the HTTP error.
+	//
+	// @param {CKEDITOR.fileTools.fileLoader} loader
+	// @param {Number} status The HTTP status.
+	// @returns {String}
+	function getHttpErrorMessage( loader, status ) {
+		return loader.lang.filetools[ 'httpError' + status ] || loader.lang.filetools.httpError.replace( '%1', status );
+	}
+
+	// Finishes the upload with the response of the loader's XHR, handled by the fileUploadResponse event.
+	//
+	// @param {CKEDITOR.fileTools.fileLoader} loader
+	function handleResponse( loader ) {
+		var data = {
+				fileLoader: loader
+			},
+			success = loader.editor.fire( 'fileUploadResponse', data );
+
+		// The response is kept without reference to the loader itself.
+		delete data.fileLoader;
+
+		loader.handleUploadResponse( data, success !== false );
+	}
+
+	// Returns the stored state of the interrupted upload or null.
+	//
+	// @param {String} key
+	// @returns {Object/null}
+	function loadUploadState( key ) {
+		try {
+			return JSON.parse( window.localStorage.getItem( key ) );
+		} catch ( e ) {
+			return null;
+		}
+	}
+
+	// Stores the state of the upload, ignoring the errors when the storage is disabled or full.
+	//
+	// @param {String} key
+	// @param {Object} state
+	function saveUploadState( key, state ) {
+		try {
+			window.localStorage.setItem( key, JSON.stringify( state ) );
+		} catch ( e ) {}
+	}
+
+	// Removes the stored state of the finished or aborted upload.
+	//
+	// @param {String} key
+	function removeUploadState( key ) {
+		try {
+			window.localStorage.removeItem( key );
+		} catch ( e ) {}
+	}
+
 	CKEDITOR.event.implementOn( UploadRepository.prototype );
 	CKEDITOR.event.implementOn( FileLoader.prototype );
 
+	// Checks whether the upload is finished, so the reports of the upload adapter should be ignored.
+	//
+	// @param {CKEDITOR.fileTools.fileLoader} loader
+	// @returns {Boolean}
+	function isUploadFinished( loader ) {
+		return !!loader.status.match( /^(?:uploaded|error|abort)$/ );
+	}
+
 	var base64HeaderRegExp = /^data:(\S*?);base64,/;
 
 	// Transforms Base64 string data into file and creates name for that file based on the mime type.
@@ -813,6 +1287,8 @@
 	CKEDITOR.tools.extend( CKEDITOR.fileTools, {
 		uploadRepository: UploadRepository,
 		fileLoader: FileLoader,
+		xhrUploadAdapter: XhrUploadAdapter,
+		chunkedUploadAdapter: ChunkedUploadAdapter,
 
 		/**
 		 * Gets the upload URL from the {@link CKEDITOR.config configuration}. Because of backward compatibility
@@ -887,6 +1363,76 @@
 	} );
 } )();
 
+/**
+ * Interface of upload adapters. An upload adapter sends the file of the {@link CKEDITOR.fileTools.fileLoader file loader}
+ * to the server and reports the progress and the response back to the loader. It allows uploading files in any way,
+ * for example using the Fetch API, in chunks or directly to a cloud storage, without changing the file loader.
+ *
+ * An adapter is a constructor function. Its instance is created by the {@link CKEDITOR.fileTools.fileLoader#upload}
+ * method for a single upload and gets the file loader as an argument. The adapter reports the state of the upload with the
+ * following methods of the loader:
+ *
+ * * {@link CKEDITOR.fileTools.fileLoader#handleUploadProgress} &ndash; the upload progress,
+ * * {@link CKEDITOR.fileTools.fileLoader#handleUploadResponse} &ndash; the response of the server,
+ * * {@link CKEDITOR.fileTools.fileLoader#handleUploadError} &ndash; an error,
+ * * {@link CKEDITOR.fileTools.fileLoader#method-abort} &ndash; the upload was aborted, e.g. by the browser.
+ *
+ * The default adapter is {@link CKEDITOR.fileTools.xhrUploadAdapter}. Another one can be set for all uploads with
+ * the {@link CKEDITOR.config#fileTools_uploadAdapter} option or for a single loader with
+ * the {@link CKEDITOR.fileTools.fileLoader#uploadAdapter} property.
+ *
+ *		function FetchUploadAdapter( loader ) {
+ *			this.loader = loader;
+ *		}
+ *
+ *		FetchUploadAdapter.prototype = {
+ *			start: function( url ) {
+ *				var loader = this.loader,
+ *					formData = new FormData();
+ *
+ *				this.controller = new AbortController();
+ *				formData.append( 'upload', loader.file, loader.fileName );
+ *
+ *				fetch( url, { method: 'POST', body: formData, signal: this.controller.signal } )
+ *					.then( function( response ) {
+ *						return response.json();
+ *					} )
+ *					.then( function( response ) {
+ *						loader.handleUploadResponse( response, !!response.url );
+ *					}, function( error ) {
+ *						loader.handleUploadError( error.message );
+ *					} );
+ *			},
+ *
+ *			abort: function() {
+ *				this.controller.abort();
+ *			}
+ *		};
+ *
+ *		config.fileTools_uploadAdapter = FetchUploadAdapter;
+ *
+ * @since 4.13.0
+ * @class CKEDITOR.fileTools.uploadAdapter
+ * @abstract
+ */
+
+/**
+ * Starts the upload.
+ *
+ * @method start
+ * @param {String} url The upload URL.
+ * @param {Object} requestData Additional data to be sent to the server, see
+ * {@link CKEDITOR.fileTools.fileLoader#upload}.
+ * @returns {Boolean} `false` if the upload was not started.
+ */
+
+/**
+ * Aborts the upload. It is called when the upload is aborted using
+ * the {@link CKEDITOR.fileTools.fileLoader#method-abort} method.
+ *
+ * @method abort
+ */
+
 /**
  * The URL where files should be uploaded.
  *
@@ -929,3 +1475,48 @@
  * @cfg {Object} [fileTools_requestHeaders]
  * @member CKEDITOR.config
  */
+
+/**
+ * The size of chunks in bytes in which files are sent by {@link CKEDITOR.fileTools.chunkedUploadAdapter}.
+ *
+ *		// Send 5 MB chunks.
+ *		config.fileTools_chunkSize = 5 * 1024 * 1024;
+ *
+ * @since 4.13.0
+ * @cfg {Number} [fileTools_chunkSize=1048576]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * The number of attempts to send a chunk again by {@link CKEDITOR.fileTools.chunkedUploadAdapter} after a network
+ * or server error. If all attempts fail, the upload fails, but it can be resumed by uploading the same file again.
+ *
+ *		config.fileTools_chunkRetries = 5;
+ *
+ * @since 4.13.0
+ * @cfg {Number} [fileTools_chunkRetries=3]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * The delay in milliseconds before the first attempt to send a chunk again by
+ * {@link CKEDITOR.fileTools.chunkedUploadAdapter}. The delay is doubled after each attempt.
+ *
+ *		config.fileTools_chunkRetryDelay = 500;
+ *
+ * @since 4.13.0
+ * @cfg {Number} [fileTools_chunkRetryDelay=1000]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * The {@link CKEDITOR.fileTools.uploadAdapter upload adapter} used to upload files, unless
+ * a {@link CKEDITOR.fileTools.fileLoader#uploadAdapter file loader} specifies its own one.
+ * By default files are uploaded with {@link CKEDITOR.fileTools.xhrUploadAdapter XMLHttpRequest}.
+ *
+ *		config.fileTools_uploadAdapter = FetchUploadAdapter;
+ *
+ * @since 4.13.0
+ * @cfg {Function} [fileTools_uploadAdapter=CKEDITOR.fileTools.xhrUploadAdapter]
+ * @member CKEDITOR.config
+ */
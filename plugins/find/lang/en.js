@@ -6,10 +6,17 @@ CKEDITOR.plugins.setLang( 'find', 'en', {
 	find: 'Find',
 	findOptions: 'Find Options',
 	findWhat: 'Find what:',
+	inSelection: 'In selection',
+	invalidRegex: 'Invalid regular expression',
 	matchCase: 'Match case',
+	matchCount: '%1 of %2',
 	matchCyclic: 'Match cyclic',
 	matchWord: 'Match whole word',
+	next: 'Next match',
+	noMatches: 'No results',
 	notFoundMsg: 'The specified text was not found.',
+	previous: 'Previous match',
+	regex: 'Regular expression',
 	replace: 'Replace',
 	replaceAll: 'Replace All',
 	replaceSuccessMsg: '%1 occurrence(s) replaced.',
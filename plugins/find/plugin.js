@@ -3,41 +3,1154 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
-CKEDITOR.plugins.add( 'find', {
-	requires: 'dialog',
-	// jscs:disable maximumLineLength
-	lang: 'af,ar,az,bg,bn,bs,ca,cs,cy,da,de,de-ch,el,en,en-au,en-ca,en-gb,eo,es,es-mx,et,eu,fa,fi,fo,fr,fr-ca,gl,gu,he,hi,hr,hu,id,is,it,ja,ka,km,ko,ku,lt,lv,mk,mn,ms,nb,nl,no,oc,pl,pt,pt-br,ro,ru,si,sk,sl,sq,sr,sr-latn,sv,th,tr,tt,ug,uk,vi,zh,zh-cn', // %REMOVE_LINE_CORE%
-	// jscs:enable maximumLineLength
-	icons: 'find,find-rtl,replace', // %REMOVE_LINE_CORE%
-	hidpi: true, // %REMOVE_LINE_CORE%
-	init: function( editor ) {
-		var findCommand = editor.addCommand( 'find', new CKEDITOR.dialogCommand( 'find' ) ),
-			replaceCommand = editor.addCommand( 'replace', new CKEDITOR.dialogCommand( 'find', {
-				tabId: 'replace'
-			} ) );
-
-		findCommand.canUndo = false;
-		findCommand.readOnly = 1;
-
-		replaceCommand.canUndo = false;
-
-		if ( editor.ui.addButton ) {
-			editor.ui.addButton( 'Find', {
-				label: editor.lang.find.find,
-				command: 'find',
-				toolbar: 'find,10'
+( function() {
+	'use strict';
+
+	var OPTIONS = [ 'matchCase', 'matchWord', 'regex', 'inSelection' ],
+		// Elements which break the text into separate blocks, so a match never crosses them.
+		boundaryElements = CKEDITOR.tools.extend( {}, CKEDITOR.dtd.$empty, CKEDITOR.dtd.$nonEditable ),
+		// Elements which content is not a text visible to the reader.
+		ignoredElements = { script: 1, style: 1, noscript: 1, template: 1 },
+		wordSeparatorRegex = /[.,"'?!;: \u0085\u00a0\u1680\u280e\u2028\u2029\u202f\u205f\u3000]/,
+		specialCharsRegex = /[.*+?^${}()|[\]\\\/-]/g,
+		replacementTokenRegex = /\$(\$|&|\d\d?)/g,
+		updateDelay = 100,
+		// This flag prevents appending stylesheet more than once.
+		stylesLoaded = false;
+
+	CKEDITOR.plugins.add( 'find', {
+		requires: 'contentoverlay,dialog',
+		// jscs:disable maximumLineLength
+		lang: 'af,ar,az,bg,bn,bs,ca,cs,cy,da,de,de-ch,el,en,en-au,en-ca,en-gb,eo,es,es-mx,et,eu,fa,fi,fo,fr,fr-ca,gl,gu,he,hi,hr,hu,id,is,it,ja,ka,km,ko,ku,lt,lv,mk,mn,ms,nb,nl,no,oc,pl,pt,pt-br,ro,ru,si,sk,sl,sq,sr,sr-latn,sv,th,tr,tt,ug,uk,vi,zh,zh-cn', // %REMOVE_LINE_CORE%
+		// jscs:enable maximumLineLength
+		icons: 'find,find-rtl,replace', // %REMOVE_LINE_CORE%
+		hidpi: true, // %REMOVE_LINE_CORE%
+		init: function( editor ) {
+			var findCommand, replaceCommand;
+
+			if ( editor.config.find_useBar ) {
+				if ( !stylesLoaded ) {
+					CKEDITOR.document.appendStyleSheet( this.path + 'styles/findbar.css' );
+					stylesLoaded = true;
+				}
+
+				if ( editor.addContentsCss ) {
+					editor.addContentsCss( this.path + 'styles/findbar.css' );
+				}
+
+				/**
+				 * The find bar of this editor instance. Available only when {@link CKEDITOR.config#find_useBar}
+				 * is set to `true`.
+				 *
+				 * @since 4.13.0
+				 * @readonly
+				 * @member CKEDITOR.editor
+				 * @property {CKEDITOR.plugins.find.findBar} findBar
+				 */
+				editor.findBar = new CKEDITOR.plugins.find.findBar( editor );
+
+				findCommand = editor.addCommand( 'find', createBarCommand( 'find' ) );
+				replaceCommand = editor.addCommand( 'replace', createBarCommand( 'replace' ) );
+			} else {
+				findCommand = editor.addCommand( 'find', new CKEDITOR.dialogCommand( 'find' ) );
+				replaceCommand = editor.addCommand( 'replace', new CKEDITOR.dialogCommand( 'find', {
+					tabId: 'replace'
+				} ) );
+			}
+
+			findCommand.canUndo = false;
+			findCommand.readOnly = 1;
+
+			replaceCommand.canUndo = false;
+
+			if ( editor.ui.addButton ) {
+				editor.ui.addButton( 'Find', {
+					label: editor.lang.find.find,
+					command: 'find',
+					toolbar: 'find,10'
+				} );
+
+				editor.ui.addButton( 'Replace', {
+					label: editor.lang.find.replace,
+					command: 'replace',
+					toolbar: 'find,20'
+				} );
+			}
+
+			CKEDITOR.dialog.add( 'find', this.path + 'dialogs/find.js' );
+		}
+	} );
+
+	function createBarCommand( mode ) {
+		return {
+			exec: function( editor ) {
+				editor.findBar.show( mode );
+			}
+		};
+	}
+
+	/**
+	 * The search API used by the {@link CKEDITOR.plugins.find.findBar find bar}.
+	 *
+	 * The text of the editable is searched block by block. Block elements and elements like `<br>` and `<img>`
+	 * separate blocks, so a match never spans more than one block, but it may span many inline elements,
+	 * e.g. `foo` is found in `f<strong>o</strong>o`.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.find
+	 * @singleton
+	 */
+	CKEDITOR.plugins.find = {
+		/**
+		 * Creates a global regular expression searching for the given query.
+		 *
+		 *		CKEDITOR.plugins.find.createPattern( 'a.b' ); // -> /a\.b/gi
+		 *		CKEDITOR.plugins.find.createPattern( 'a.b', { regex: true, matchCase: true } ); // -> /a.b/g
+		 *
+		 * @param {String} query
+		 * @param {Object} [options]
+		 * @param {Boolean} [options.matchCase=false] Whether the search is case sensitive.
+		 * @param {Boolean} [options.regex=false] Whether the query is a regular expression. Otherwise
+		 * it is searched for literally.
+		 * @returns {RegExp}
+		 * @throws {SyntaxError} If the query is an invalid regular expression.
+		 */
+		createPattern: function( query, options ) {
+			options = options || {};
+
+			return new RegExp( options.regex ? query : query.replace( specialCharsRegex, '\\$&' ),
+				options.matchCase ? 'g' : 'gi' );
+		},
+
+		/**
+		 * Finds all matches of the pattern in the text of the given element.
+		 *
+		 *		var pattern = CKEDITOR.plugins.find.createPattern( 'foo' ),
+		 *			matches = CKEDITOR.plugins.find.findAll( editor.editable(), pattern, { matchWord: true } );
+		 *
+		 *		editor.getSelection().selectRanges( [ matches[ 0 ].range ] );
+		 *
+		 * Empty matches, e.g. of the `a*` regular expression, are skipped.
+		 *
+		 * @param {CKEDITOR.dom.element} root The element to search in, usually the editable.
+		 * @param {RegExp} pattern A global regular expression, see {@link #createPattern}.
+		 * @param {Object} [options]
+		 * @param {Boolean} [options.matchWord=false] Whether only the matches surrounded by word separators are found.
+		 * @param {Object} [options.scope] The part of the text to search in, given as text offsets
+		 * (see {@link #getOffset}) in the `start` and `end` properties.
+		 * @returns {CKEDITOR.plugins.find.match[]}
+		 */
+		findAll: function( root, pattern, options ) {
+			var index = getTextIndex( root ),
+				scope = options && options.scope,
+				matchWord = options && options.matchWord,
+				matches = [];
+
+			CKEDITOR.tools.array.forEach( index.blocks, function( block ) {
+				var text = block.text,
+					groups,
+					start,
+					end;
+
+				pattern.lastIndex = 0;
+
+				while ( ( groups = pattern.exec( text ) ) ) {
+					if ( !groups[ 0 ] ) {
+						pattern.lastIndex += 1;
+						continue;
+					}
+
+					start = groups.index;
+					end = start + groups[ 0 ].length;
+
+					if ( matchWord && !( isWordSeparator( text.charAt( start - 1 ) ) && isWordSeparator( text.charAt( end ) ) ) ) {
+						continue;
+					}
+
+					if ( scope && ( block.offset + start < scope.start || block.offset + end > scope.end ) ) {
+						continue;
+					}
+
+					matches.push( {
+						start: block.offset + start,
+						end: block.offset + end,
+						groups: groups,
+						range: createRange( root, block, start, end )
+					} );
+				}
 			} );
 
-			editor.ui.addButton( 'Replace', {
-				label: editor.lang.find.replace,
-				command: 'replace',
-				toolbar: 'find,20'
+			return matches;
+		},
+
+		/**
+		 * Returns the text offset of the given DOM position in the element. Text offsets are used to
+		 * describe matches and the search scope independently of the DOM nodes, which change
+		 * when the content is replaced.
+		 *
+		 *		var range = editor.getSelection().getRanges()[ 0 ],
+		 *			offset = CKEDITOR.plugins.find.getOffset( editor.editable(), range.startContainer, range.startOffset );
+		 *
+		 * @param {CKEDITOR.dom.element} root
+		 * @param {CKEDITOR.dom.node} container
+		 * @param {Number} offset
+		 * @returns {Number}
+		 */
+		getOffset: function( root, container, offset ) {
+			return getIndexOffset( getTextIndex( root ), container, offset );
+		},
+
+		/**
+		 * Returns the replacement string for the regular expression match. Like in
+		 * [`String.prototype.replace()`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/replace),
+		 * `$1` to `$99` are replaced with the captured groups, `$&` with the whole match and `$$` with the dollar sign.
+		 *
+		 *		var groups = /(\w+) (\w+)/.exec( 'John Smith' );
+		 *		CKEDITOR.plugins.find.expandReplacement( '$2, $1', groups ); // -> 'Smith, John'
+		 *
+		 * @param {String} replacement
+		 * @param {Array} groups The result of `RegExp.prototype.exec()`.
+		 * @returns {String}
+		 */
+		expandReplacement: function( replacement, groups ) {
+			return replacement.replace( replacementTokenRegex, function( token, name ) {
+				var number = Number( name ),
+					first = Number( name.charAt( 0 ) );
+
+				if ( name == '$' ) {
+					return '$';
+				}
+
+				if ( name == '&' ) {
+					return groups[ 0 ];
+				}
+
+				if ( number > 0 && number < groups.length ) {
+					return groups[ number ] || '';
+				}
+
+				// Like in the native method, `$10` is the first group followed by `0` if there are less than ten groups.
+				if ( name.length == 2 && first > 0 && first < groups.length ) {
+					return ( groups[ first ] || '' ) + name.charAt( 1 );
+				}
+
+				return token;
 			} );
 		}
+	};
+
+	/**
+	 * A match found with {@link CKEDITOR.plugins.find#findAll}.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.find.match
+	 * @abstract
+	 */
+
+	/**
+	 * The text offset of the beginning of the match.
+	 *
+	 * @property {Number} start
+	 */
+
+	/**
+	 * The text offset of the end of the match.
+	 *
+	 * @property {Number} end
+	 */
+
+	/**
+	 * The result of `RegExp.prototype.exec()` with the matched text and captured groups.
+	 *
+	 * @property {Array} groups
+	 */
+
+	/**
+	 * The range containing the match.
+	 *
+	 * @property {CKEDITOR.dom.range} range
+	 */
+
+	/**
+	 * The non-modal find bar shown below the toolbar when {@link CKEDITOR.config#find_useBar} is set to `true`.
+	 *
+	 * Matches are updated while typing in the bar and while editing the content. All of them are highlighted,
+	 * the current one with a different color. The highlights are drawn over the content, so they are never
+	 * a part of the editor data or undo snapshots.
+	 *
+	 * The instance is available in the {@link CKEDITOR.editor#findBar} property. The bar can also be controlled
+	 * with its API:
+	 *
+	 *		var findBar = editor.findBar;
+	 *
+	 *		findBar.show( 'replace' );
+	 *		findBar.setOption( 'regex', true );
+	 *		findBar.search( '(\\w+)@example\\.com' );
+	 *		findBar.replaceAll( '$1@example.org' );
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.find.findBar
+	 * @constructor Creates a find bar instance.
+	 * @param {CKEDITOR.editor} editor
+	 */
+	function FindBar( editor ) {
+		var that = this;
+
+		/**
+		 * @readonly
+		 * @property {CKEDITOR.editor} editor
+		 */
+		this.editor = editor;
+
+		/**
+		 * The searched text or regular expression.
+		 *
+		 * @readonly
+		 * @property {String}
+		 */
+		this.query = '';
+
+		/**
+		 * The replacement text. If the {@link #options regex option} is enabled, it may refer to captured groups
+		 * (see {@link CKEDITOR.plugins.find#expandReplacement}).
+		 *
+		 * @readonly
+		 * @property {String}
+		 */
+		this.replacement = '';
+
+		/**
+		 * The search options. Use {@link #setOption} to change them.
+		 *
+		 * * `matchCase` &ndash; Whether the search is case sensitive.
+		 * * `matchWord` &ndash; Whether only whole words are found.
+		 * * `regex` &ndash; Whether the query is a regular expression.
+		 * * `inSelection` &ndash; Whether only the content selected when the option was enabled is searched.
+		 *
+		 * @readonly
+		 * @property {Object}
+		 */
+		this.options = {
+			matchCase: false,
+			matchWord: false,
+			regex: false,
+			inSelection: false
+		};
+
+		/**
+		 * The matches found in the last {@link #update}.
+		 *
+		 * @readonly
+		 * @property {CKEDITOR.plugins.find.match[]}
+		 */
+		this.matches = [];
+
+		/**
+		 * The index of the current match in {@link #matches} or `-1` if nothing was found.
+		 *
+		 * @readonly
+		 * @property {Number}
+		 */
+		this.current = -1;
+
+		/**
+		 * Whether the query is an invalid regular expression.
+		 *
+		 * @readonly
+		 * @property {Boolean}
+		 */
+		this.error = false;
+
+		/**
+		 * Whether the bar is visible.
+		 *
+		 * @readonly
+		 * @property {Boolean}
+		 */
+		this.visible = false;
+
+		/**
+		 * The mode of the bar, `'find'` or `'replace'`. The replace fields are shown only in the `'replace'` mode.
+		 *
+		 * @readonly
+		 * @property {String}
+		 */
+		this.mode = 'find';
+
+		this._ = {
+			id: CKEDITOR.tools.getNextId(),
+			buffer: CKEDITOR.tools.eventsBuffer( updateDelay, function() {
+				that.update();
+			} ),
+			// The text offset from which the current match is looked for.
+			origin: 0,
+			// The last selection in the editor, used as the scope.
+			range: null,
+			scope: null,
+			message: null,
+			overlay: new CKEDITOR.plugins.contentOverlay.overlay( editor, 'cke_find_overlay' )
+		};
+
+		editor.on( 'uiSpace', function( evt ) {
+			if ( evt.data.space == 'top' ) {
+				evt.data.html += getBarHtml( editor, this._.id );
+			}
+		}, this, null, 101 );
+
+		editor.on( 'selectionChange', function( evt ) {
+			var range = this.visible && evt.data.selection.getRanges()[ 0 ];
+
+			if ( range ) {
+				this._.range = range.clone();
+			}
+		}, this );
+
+		editor.on( 'change', function() {
+			if ( this.visible ) {
+				this._.buffer.input();
+			}
+		}, this );
+
+		editor.on( 'dataReady', function() {
+			if ( this.visible && editor.mode == 'wysiwyg' ) {
+				this._.scope = null;
+				this.update();
+			}
+		}, this );
+
+		editor.on( 'mode', function() {
+			if ( this.visible && editor.mode != 'wysiwyg' ) {
+				this.hide();
+			}
+		}, this );
+
+		editor.on( 'readOnly', function() {
+			this.render();
+		}, this );
+
+		editor.on( 'resize', function() {
+			this.renderHighlights();
+		}, this );
+
+		editor.on( 'destroy', function() {
+			this._.buffer.reset();
+			this._.overlay.remove();
+		}, this );
+	}
+
+	FindBar.prototype = {
+		/**
+		 * Shows the bar and focuses the find field. If a text within a single block is selected in the editor,
+		 * it is used as the query.
+		 *
+		 * @param {String} [mode='find'] `'replace'` to show the replace fields.
+		 */
+		show: function( mode ) {
+			var editor = this.editor,
+				selection = editor.getSelection(),
+				range = selection && selection.getRanges()[ 0 ],
+				selectedText = selection && selection.getSelectedText(),
+				input;
+
+			this.mode = mode == 'replace' ? 'replace' : 'find';
+			this.visible = true;
+			this._.range = range ? range.clone() : null;
+			this._.origin = range ? CKEDITOR.plugins.find.getOffset( editor.editable(), range.startContainer, range.startOffset ) : 0;
+
+			if ( selectedText && !/[\r\n]/.test( selectedText ) && !this.options.inSelection ) {
+				this.query = this.options.regex ? selectedText.replace( specialCharsRegex, '\\$&' ) : selectedText;
+			}
+
+			if ( this.options.inSelection ) {
+				this._.scope = this.getScope();
+			}
+
+			this._.message = null;
+			this.update();
+
+			input = this.getField( 'query' );
+
+			if ( input ) {
+				input.focus();
+				input.$.select();
+			}
+		},
+
+		/**
+		 * Hides the bar, selects the current match in the editor and focuses the editor.
+		 */
+		hide: function() {
+			var editor = this.editor,
+				match;
+
+			if ( !this.visible ) {
+				return;
+			}
+
+			this._.buffer.reset();
+
+			if ( editor.mode == 'wysiwyg' ) {
+				this.update();
+				match = this.matches[ this.current ];
+			}
+
+			this.visible = false;
+			this.matches = [];
+			this.current = -1;
+			this.render();
+
+			if ( editor.mode == 'wysiwyg' ) {
+				if ( match ) {
+					editor.getSelection().selectRanges( [ match.range ] );
+				}
+
+				editor.focus();
+			}
+		},
+
+		/**
+		 * Searches for the given query and sets the current match to the first one after the selection
+		 * or after the previous current match.
+		 *
+		 * @param {String} query
+		 * @returns {Number} The number of matches.
+		 */
+		search: function( query ) {
+			this.query = query;
+			this._.message = null;
+
+			return this.update();
+		},
+
+		/**
+		 * Changes one of the search {@link #options} and updates the matches.
+		 *
+		 * Enabling the `inSelection` option limits the search to the content selected in the editor at that time.
+		 * If the selection is collapsed, the whole content is searched.
+		 *
+		 * @param {String} name
+		 * @param {Boolean} value
+		 * @returns {Number} The number of matches.
+		 */
+		setOption: function( name, value ) {
+			if ( CKEDITOR.tools.indexOf( OPTIONS, name ) == -1 ) {
+				return this.matches.length;
+			}
+
+			this.options[ name ] = !!value;
+
+			if ( name == 'inSelection' ) {
+				this._.scope = value ? this.getScope() : null;
+			}
+
+			this._.message = null;
+
+			return this.update();
+		},
+
+		/**
+		 * Finds the matches again, e.g. after the content was changed. It is done automatically
+		 * shortly after every {@link CKEDITOR.editor#change}.
+		 *
+		 * @returns {Number} The number of matches.
+		 */
+		update: function() {
+			var editor = this.editor,
+				editable = editor.editable(),
+				pattern = null,
+				matches = [];
+
+			this._.buffer.reset();
+			this.error = false;
+
+			if ( this.visible && this.query && editable && editor.mode == 'wysiwyg' ) {
+				try {
+					pattern = CKEDITOR.plugins.find.createPattern( this.query, this.options );
+				} catch ( e ) {
+					this.error = true;
+				}
+
+				if ( pattern ) {
+					matches = CKEDITOR.plugins.find.findAll( editable, pattern, {
+						matchWord: this.options.matchWord,
+						scope: this._.scope
+					} );
+				}
+			}
+
+			this.matches = matches;
+			this.current = getNearestMatch( matches, this._.origin );
+			this.render();
+
+			return matches.length;
+		},
+
+		/**
+		 * Moves to the next match. After the last match, the first one becomes the current one.
+		 */
+		next: function() {
+			this.move( 1 );
+		},
+
+		/**
+		 * Moves to the previous match. Before the first match, the last one becomes the current one.
+		 */
+		previous: function() {
+			this.move( -1 );
+		},
+
+		/**
+		 * @private
+		 * @param {Number} step
+		 */
+		move: function( step ) {
+			var length = this.matches.length,
+				match;
+
+			if ( !length ) {
+				return;
+			}
+
+			this.current = ( this.current + step + length ) % length;
+			match = this.matches[ this.current ];
+			this._.origin = match.start;
+			this._.message = null;
+			this.render();
+			scrollToMatch( match );
+		},
+
+		/**
+		 * Replaces the current match and moves to the next one.
+		 *
+		 * @param {String} [replacement=this.replacement]
+		 * @returns {Boolean} Whether the match was replaced. Matches in read-only content are not replaced.
+		 */
+		replace: function( replacement ) {
+			var editor = this.editor,
+				match,
+				text;
+
+			if ( typeof replacement == 'string' ) {
+				this.replacement = replacement;
+			}
+
+			this.update();
+			match = this.matches[ this.current ];
+
+			if ( !match || editor.readOnly || isReadOnly( match ) ) {
+				return false;
+			}
+
+			text = this.getReplacement( match );
+
+			editor.fire( 'saveSnapshot' );
+			replaceMatch( editor, match, text );
+			editor.fire( 'saveSnapshot' );
+
+			this.adjustScope( match, text );
+			this._.origin = match.start + text.length;
+			this.update();
+			scrollToMatch( this.matches[ this.current ] );
+
+			return true;
+		},
+
+		/**
+		 * Replaces all matches in the content, or in the scope if the `inSelection` option is enabled.
+		 * All replacements are a single undo step.
+		 *
+		 * @param {String} [replacement=this.replacement]
+		 * @returns {Number} The number of replaced matches.
+		 */
+		replaceAll: function( replacement ) {
+			var editor = this.editor,
+				count = 0,
+				matches,
+				match,
+				text,
+				i;
+
+			if ( typeof replacement == 'string' ) {
+				this.replacement = replacement;
+			}
+
+			this.update();
+			matches = this.matches;
+
+			if ( !matches.length || editor.readOnly ) {
+				return 0;
+			}
+
+			editor.fire( 'saveSnapshot' );
+
+			// Start from the end, so the ranges of the remaining matches stay valid.
+			for ( i = matches.length - 1; i >= 0; i-- ) {
+				match = matches[ i ];
+
+				if ( isReadOnly( match ) ) {
+					continue;
+				}
+
+				text = this.getReplacement( match );
+				replaceMatch( editor, match, text );
+				this.adjustScope( match, text );
+				count += 1;
+			}
+
+			editor.fire( 'saveSnapshot' );
+
+			this.update();
+			this._.message = editor.lang.find.replaceSuccessMsg.replace( '%1', count );
+			this.render();
+
+			return count;
+		},
+
+		/**
+		 * @private
+		 * @param {CKEDITOR.plugins.find.match} match
+		 * @returns {String}
+		 */
+		getReplacement: function( match ) {
+			return this.options.regex ? CKEDITOR.plugins.find.expandReplacement( this.replacement, match.groups ) : this.replacement;
+		},
+
+		/**
+		 * Returns the text offsets of the last selection in the editor or `null` if it is collapsed.
+		 *
+		 * @private
+		 * @returns {Object/null}
+		 */
+		getScope: function() {
+			var range = this._.range,
+				editable = this.editor.editable(),
+				find = CKEDITOR.plugins.find;
+
+			if ( !range || range.collapsed || !editable ) {
+				return null;
+			}
+
+			return {
+				start: find.getOffset( editable, range.startContainer, range.startOffset ),
+				end: find.getOffset( editable, range.endContainer, range.endOffset )
+			};
+		},
+
+		/**
+		 * Moves the end of the scope after the replaced match.
+		 *
+		 * @private
+		 * @param {CKEDITOR.plugins.find.match} match
+		 * @param {String} text
+		 */
+		adjustScope: function( match, text ) {
+			var scope = this._.scope;
+
+			if ( scope && match.end <= scope.end ) {
+				scope.end += text.length - ( match.end - match.start );
+			}
+		},
+
+		/**
+		 * Returns the bar element or `null` if it was not rendered.
+		 *
+		 * @returns {CKEDITOR.dom.element/null}
+		 */
+		getElement: function() {
+			var element = CKEDITOR.document.getById( this._.id );
+
+			if ( element && !element.getCustomData( 'findBar' ) ) {
+				element.setCustomData( 'findBar', this );
+				attachListeners( this, element );
+			}
+
+			return element;
+		},
+
+		/**
+		 * Returns one of the bar fields: `'query'` or `'replacement'`.
+		 *
+		 * @private
+		 * @param {String} name
+		 * @returns {CKEDITOR.dom.element/null}
+		 */
+		getField: function( name ) {
+			return this.getElement() && CKEDITOR.document.getById( this._.id + '_' + name );
+		},
+
+		/**
+		 * Refreshes the bar fields, the number of matches and the highlights.
+		 */
+		render: function() {
+			var editor = this.editor,
+				lang = editor.lang.find,
+				element = this.getElement(),
+				query = this.getField( 'query' ),
+				replacement = this.getField( 'replacement' ),
+				length = this.matches.length,
+				status;
+
+			if ( element ) {
+				element.setStyle( 'display', this.visible ? '' : 'none' );
+				element.findOne( '.cke_find_bar_replace' ).setStyle( 'display',
+					this.mode == 'replace' && !editor.readOnly ? '' : 'none' );
+
+				if ( query.getValue() !== this.query ) {
+					query.setValue( this.query );
+				}
+
+				if ( replacement.getValue() !== this.replacement ) {
+					replacement.setValue( this.replacement );
+				}
+
+				query[ this.error ? 'addClass' : 'removeClass' ]( 'cke_find_bar_error' );
+				query.setAttribute( 'aria-invalid', this.error ? 'true' : 'false' );
+
+				if ( this._.message ) {
+					status = this._.message;
+				} else if ( this.error ) {
+					status = lang.invalidRegex;
+				} else if ( this.query ) {
+					status = length ? lang.matchCount.replace( '%1', this.current + 1 ).replace( '%2', length ) : lang.noMatches;
+				} else {
+					status = '';
+				}
+
+				element.findOne( '.cke_find_bar_status' ).setText( status );
+
+				CKEDITOR.tools.array.forEach( element.find( '[data-cke-find-option]' ).toArray(), function( checkbox ) {
+					checkbox.$.checked = this.options[ checkbox.data( 'cke-find-option' ) ];
+				}, this );
+
+				CKEDITOR.tools.array.forEach( element.find( '[data-cke-find-action]' ).toArray(), function( button ) {
+					var action = button.data( 'cke-find-action' );
+
+					if ( action != 'hide' ) {
+						button.$.disabled = !length;
+					}
+				} );
+			}
+
+			this.renderHighlights();
+		},
+
+		/**
+		 * Draws the highlights of all matches over the content.
+		 *
+		 * @private
+		 */
+		renderHighlights: function() {
+			var overlay = this._.overlay,
+				isInline;
+
+			if ( !overlay.reset( this.visible && this.matches.length ) ) {
+				return;
+			}
+
+			isInline = this.editor.editable().isInline();
+
+			CKEDITOR.tools.array.forEach( this.matches, function( match, index ) {
+				var className = 'cke_find_match' + ( index == this.current ? ' cke_find_match_current' : '' );
+
+				CKEDITOR.tools.array.forEach( match.range.getClientRects( isInline ), function( rect ) {
+					overlay.draw( rect, {
+						'class': className
+					} );
+				} );
+			}, this );
+		}
+	};
+
+	CKEDITOR.plugins.find.findBar = FindBar;
+
+	function getBarHtml( editor, id ) {
+		var lang = editor.lang.find,
+			encode = CKEDITOR.tools.htmlEncodeAttr;
+
+		function field( name, label ) {
+			return '<input type="text" id="' + id + '_' + name + '" class="cke_find_bar_field" data-cke-find-field="' + name +
+				'" aria-label="' + encode( label ) + '" placeholder="' + encode( label ) + '">';
+		}
+
+		function button( action, label, text ) {
+			return '<button type="button" class="cke_find_bar_button cke_find_bar_' + action + '" data-cke-find-action="' + action +
+				'" title="' + encode( label ) + '" aria-label="' + encode( label ) + '">' + ( text || CKEDITOR.tools.htmlEncode( label ) ) +
+				'</button>';
+		}
+
+		function option( name ) {
+			return '<label class="cke_find_bar_option"><input type="checkbox" data-cke-find-option="' + name + '">' +
+				CKEDITOR.tools.htmlEncode( lang[ name ] ) + '</label>';
+		}
+
+		return '<div id="' + id + '" class="cke_find_bar" role="search" aria-label="' + encode( lang.title ) + '" style="display:none">' +
+			'<div class="cke_find_bar_row">' +
+				field( 'query', lang.find ) +
+				'<span class="cke_find_bar_status" role="status" aria-live="polite"></span>' +
+				button( 'previous', lang.previous, '&#9650;' ) +
+				button( 'next', lang.next, '&#9660;' ) +
+				option( 'matchCase' ) +
+				option( 'matchWord' ) +
+				option( 'regex' ) +
+				option( 'inSelection' ) +
+				button( 'hide', editor.lang.common.close, '&#10005;' ) +
+			'</div>' +
+			'<div class="cke_find_bar_row cke_find_bar_replace">' +
+				field( 'replacement', lang.replaceWith ) +
+				button( 'replace', lang.replace ) +
+				button( 'replaceAll', lang.replaceAll ) +
+			'</div>' +
+		'</div>';
+	}
+
+	function attachListeners( bar, element ) {
+		function onInput( evt ) {
+			var target = evt.data.getTarget(),
+				name = target.data( 'cke-find-field' ),
+				value = target.getValue();
+
+			if ( name && bar[ name ] !== value ) {
+				bar[ name ] = value;
+
+				if ( name == 'query' ) {
+					bar._.message = null;
+					bar._.buffer.input();
+				}
+			}
+		}
+
+		// The editor is not blurred when the bar is focused, so the floating toolbar of the inline editor stays visible.
+		bar.editor.focusManager.add( element, 1 );
+
+		element.on( 'input', onInput );
+		element.on( 'keyup', onInput );
+
+		element.on( 'click', function( evt ) {
+			var target = evt.data.getTarget(),
+				option = target.data( 'cke-find-option' ),
+				action = target.getAscendant( function( el ) {
+					return el.type == CKEDITOR.NODE_ELEMENT && el.hasAttribute( 'data-cke-find-action' );
+				}, true );
+
+			if ( option ) {
+				bar.setOption( option, target.$.checked );
+			} else if ( action && !action.$.disabled ) {
+				bar[ action.data( 'cke-find-action' ) ]();
+			}
+		} );
+
+		element.on( 'keydown', function( evt ) {
+			var keystroke = evt.data.getKeystroke(),
+				field = evt.data.getTarget().data( 'cke-find-field' );
+
+			if ( keystroke == 27 ) {
+				bar.hide();
+			} else if ( field == 'query' && ( keystroke == 13 || keystroke == CKEDITOR.SHIFT + 13 ) ) {
+				// Apply the query typed a moment ago before moving to the next match.
+				bar.update();
+
+				bar[ keystroke == 13 ? 'next' : 'previous' ]();
+			} else if ( field == 'replacement' && keystroke == 13 ) {
+				bar.replace();
+			} else {
+				return;
+			}
+
+			evt.data.preventDefault();
+		} );
+	}
+
+	function getNearestMatch( matches, origin ) {
+		var i;
+
+		for ( i = 0; i < matches.length; i++ ) {
+			if ( matches[ i ].start >= origin ) {
+				return i;
+			}
+		}
+
+		return matches.length ? 0 : -1;
+	}
+
+	function scrollToMatch( match ) {
+		var element = match && match.range.startContainer;
+
+		if ( !element ) {
+			return;
+		}
+
+		if ( element.type != CKEDITOR.NODE_ELEMENT ) {
+			element = element.getParent();
+		}
+
+		element.scrollIntoView();
+	}
 
-		CKEDITOR.dialog.add( 'find', this.path + 'dialogs/find.js' );
+	function isReadOnly( match ) {
+		return match.range.startContainer.isReadOnly() || match.range.endContainer.isReadOnly();
 	}
-} );
+
+	function replaceMatch( editor, match, text ) {
+		var range = match.range;
+
+		range.deleteContents();
+
+		if ( text ) {
+			range.insertNode( editor.document.createText( text ) );
+		}
+	}
+
+	function isWordSeparator( character ) {
+		var code;
+
+		if ( !character ) {
+			return true;
+		}
+
+		code = character.charCodeAt( 0 );
+
+		return ( code >= 9 && code <= 0xd ) || ( code >= 0x2000 && code <= 0x200a ) || wordSeparatorRegex.test( character );
+	}
+
+	// Collects the text of the element into blocks. Every block knows its text offset and the text nodes it consists of.
+	function getTextIndex( root ) {
+		var index = {
+			blocks: [],
+			length: 0,
+			current: null
+		};
+
+		collectText( root, index );
+		closeBlock( index );
+
+		return index;
+	}
+
+	function collectText( element, index ) {
+		var children = element.getChildren(),
+			count = children.count(),
+			child,
+			isBoundary,
+			i;
+
+		for ( i = 0; i < count; i++ ) {
+			child = children.getItem( i );
+
+			if ( child.type == CKEDITOR.NODE_TEXT ) {
+				addText( index, child );
+			} else if ( child.type == CKEDITOR.NODE_ELEMENT && !ignoredElements[ child.getName() ] &&
+				!child.data( 'cke-bookmark' ) && !child.data( 'cke-temp' ) && !child.data( 'cke-hidden-sel' ) ) {
+				isBoundary = child.isBlockBoundary( boundaryElements );
+
+				isBoundary && closeBlock( index );
+				collectText( child, index );
+				isBoundary && closeBlock( index );
+			}
+		}
+	}
+
+	function addText( index, node ) {
+		var block = index.current,
+			text = node.getText();
+
+		if ( !text ) {
+			return;
+		}
+
+		if ( !block ) {
+			block = index.current = {
+				offset: index.length,
+				text: '',
+				nodes: []
+			};
+		}
+
+		block.nodes.push( {
+			node: node,
+			start: block.text.length
+		} );
+
+		block.text += text;
+	}
+
+	// Blocks are separated with one character in text offsets, so the matches touching the end of one block
+	// and the beginning of the next block have different offsets.
+	function closeBlock( index ) {
+		var block = index.current;
+
+		if ( block ) {
+			index.blocks.push( block );
+			index.length += block.text.length + 1;
+			index.current = null;
+		}
+	}
+
+	function getIndexOffset( index, container, offset ) {
+		var blocks = index.blocks,
+			reference = container,
+			isAtEnd = false,
+			entry,
+			position,
+			i,
+			j;
+
+		if ( container.type == CKEDITOR.NODE_TEXT ) {
+			for ( i = 0; i < blocks.length; i++ ) {
+				for ( j = 0; j < blocks[ i ].nodes.length; j++ ) {
+					entry = blocks[ i ].nodes[ j ];
+
+					if ( entry.node.equals( container ) ) {
+						return blocks[ i ].offset + entry.start + offset;
+					}
+				}
+			}
+		} else {
+			reference = container.getChild( offset );
+
+			if ( !reference ) {
+				reference = container;
+				isAtEnd = true;
+			}
+		}
+
+		// The position is not in a text node, so it is before the first text node following it.
+		for ( i = 0; i < blocks.length; i++ ) {
+			for ( j = 0; j < blocks[ i ].nodes.length; j++ ) {
+				entry = blocks[ i ].nodes[ j ];
+				position = entry.node.getPosition( reference );
+
+				if ( isAtEnd ? ( position & CKEDITOR.POSITION_FOLLOWING && !( position & CKEDITOR.POSITION_IS_CONTAINED ) ) :
+					( position == CKEDITOR.POSITION_IDENTICAL || position & ( CKEDITOR.POSITION_FOLLOWING | CKEDITOR.POSITION_IS_CONTAINED ) ) ) {
+					return blocks[ i ].offset + entry.start;
+				}
+			}
+		}
+
+		return index.length;
+	}
+
+	function createRange( root, block, start, end ) {
+		var range = new CKEDITOR.dom.range( root ),
+			nodes = block.nodes,
+			i;
+
+		for ( i = nodes.length - 1; i >= 0; i-- ) {
+			if ( nodes[ i ].start <= start ) {
+				range.setStart( nodes[ i ].node, start - nodes[ i ].start );
+				break;
+			}
+		}
+
+		for ( i = 0; i < nodes.length; i++ ) {
+			if ( nodes[ i ].start + nodes[ i ].node.getLength() >= end ) {
+				range.setEnd( nodes[ i ].node, end - nodes[ i ].start );
+				break;
+			}
+		}
+
+		return range;
+	}
+} )();
 
 /**
  * Defines the style to be used to highlight results with the find dialog.
@@ -52,3 +1165,15 @@ CKEDITOR.plugins.add( 'find', {
  * @member CKEDITOR.config
  */
 CKEDITOR.config.find_highlight = { element: 'span', styles: { 'background-color': '#004', color: '#fff' } };
+
+/**
+ * Whether the Find and Replace commands show the non-modal {@link CKEDITOR.plugins.find.findBar find bar}
+ * below the toolbar instead of the dialog. The find bar supports regular expressions with the replacement
+ * referring to captured groups, searching in the selection only and shows the number of matches while typing.
+ *
+ *		config.find_useBar = true;
+ *
+ * @since 4.13.0
+ * @cfg {Boolean} [find_useBar=false]
+ * @member CKEDITOR.config
+ */
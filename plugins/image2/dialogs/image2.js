@@ -66,7 +66,10 @@ CKEDITOR.dialog.add( 'image2', function( editor ) {
 		lockRatio, userDefinedLock,
 
 		// Global variables referring to dialog fields and elements.
-		lockButton, resetButton, widthField, heightField,
+		lockButton, resetButton, widthField, heightField, srcsetField, renditionsElement,
+
+		// Global variable holding the alternative sources of the image (see widget.data.sources).
+		sources,
 
 		natural;
 
@@ -137,6 +140,10 @@ CKEDITOR.dialog.add( 'image2', function( editor ) {
 
 		// Remember that src is different than default.
 		if ( value !== widget.data.src ) {
+			// Renditions of the previous image do not match the new one.
+			if ( !srcChanged )
+				toggleRenditions( false );
+
 			// Update dimensions of the image once it's preloaded.
 			preLoader( value, function( image, width, height ) {
 				// Re-enable width and height fields.
@@ -172,6 +179,9 @@ CKEDITOR.dialog.add( 'image2', function( editor ) {
 			// Re-enable width and height fields.
 			toggleDimensions( true );
 
+			// Restore the renditions of the image.
+			toggleRenditions( true );
+
 			// Restore width field with cached width.
 			widthField.setValue( domWidth );
 
@@ -343,6 +353,51 @@ CKEDITOR.dialog.add( 'image2', function( editor ) {
 		heightField[ method ]();
 	}
 
+	// Restores the renditions of the edited image or removes them.
+	// Does nothing when the responsive images are disallowed.
+	function toggleRenditions( restore ) {
+		if ( !srcsetField )
+			return;
+
+		sources = restore ? widget.data.sources || [] : [];
+
+		// Changing the field value renders the renditions.
+		srcsetField.setValue( restore ? widget.data.srcset || '' : '' );
+	}
+
+	// Lists the renditions of the image from the "srcset" field and the alternative sources.
+	function renderRenditions() {
+		var renditions = helpers.getRenditions( { srcset: srcsetField.getValue(), sources: sources } ),
+			encode = CKEDITOR.tools.htmlEncode,
+			html;
+
+		if ( !renditions.length ) {
+			html = '<p>' + encode( lang.noRenditions ) + '</p>';
+		} else {
+			html = '<table class="cke_image2_renditions" style="width:100%">' +
+				'<caption style="text-align:left">' + encode( lang.renditions ) + '</caption>' +
+				'<tr>' +
+					'<th scope="col" style="text-align:left">' + encode( commonLang.url ) + '</th>' +
+					'<th scope="col" style="text-align:left">' + encode( lang.renditionSize ) + '</th>' +
+					'<th scope="col" style="text-align:left">' + encode( lang.renditionFormat ) + '</th>' +
+				'</tr>';
+
+			CKEDITOR.tools.array.forEach( renditions, function( rendition ) {
+				var format = CKEDITOR.tools.trim( rendition.type + ' ' + rendition.media ) || lang.renditionDefault;
+
+				html += '<tr>' +
+					'<td style="word-break:break-all">' + encode( rendition.url ) + '</td>' +
+					'<td>' + encode( rendition.descriptor || '1x' ) + '</td>' +
+					'<td>' + encode( format ) + '</td>' +
+				'</tr>';
+			} );
+
+			html += '</table>';
+		}
+
+		renditionsElement.setHtml( html );
+	}
+
 	var srcBoxChildren = [
 			{
 				id: 'src',
@@ -489,6 +544,53 @@ CKEDITOR.dialog.add( 'image2', function( editor ) {
 							}
 						]
 					},
+					{
+						type: 'vbox',
+						id: 'responsive',
+						requiredContent: features.responsive.requiredContent,
+						children: [
+							{
+								id: 'srcset',
+								type: 'text',
+								label: lang.srcset,
+								onKeyUp: renderRenditions,
+								onChange: renderRenditions,
+								onLoad: function() {
+									srcsetField = this;
+								},
+								setup: function( widget ) {
+									sources = widget.data.sources || [];
+									this.setValue( widget.data.srcset || '' );
+								},
+								commit: function( widget ) {
+									widget.setData( {
+										srcset: this.getValue(),
+										sources: sources
+									} );
+								}
+							},
+							{
+								id: 'sizes',
+								type: 'text',
+								label: lang.sizes,
+								setup: function( widget ) {
+									this.setValue( widget.data.sizes || '' );
+								},
+								commit: function( widget ) {
+									widget.setData( 'sizes', this.getValue() );
+								}
+							},
+							{
+								id: 'renditions',
+								type: 'html',
+								html: '<div></div>',
+								onLoad: function() {
+									renditionsElement = this.getElement();
+								},
+								setup: renderRenditions
+							}
+						]
+					},
 					{
 						type: 'hbox',
 						id: 'alignment',
@@ -0,0 +1,421 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @fileOverview The image editing dialog of the Enhanced Image plugin. The image is rotated, flipped,
+ * cropped and resized using {@link CKEDITOR.plugins.image2.transformation} and then uploaded
+ * (see {@link CKEDITOR.plugins.image2#uploadEditedImage}).
+ */
+
+'use strict';
+
+CKEDITOR.dialog.add( 'image2edit', function( editor ) {
+	var lang = editor.lang.image2,
+		commonLang = editor.lang.common,
+
+		helpers = CKEDITOR.plugins.image2,
+
+		// The maximum size of the preview.
+		previewMaxWidth = 360,
+		previewMaxHeight = 240,
+
+		// Fields reflecting the transformation.
+		fields = [ 'cropX', 'cropY', 'cropWidth', 'cropHeight', 'width', 'height', 'focalX', 'focalY' ],
+
+		// Global variables referring to the dialog's context.
+		dialog, widget, image, transformation,
+
+		// Global variables referring to the preview.
+		previewCanvas, hintElement, previewScale, dragStart, dragListeners;
+
+	// Loads the image to be drawn on the canvas.
+	function loadImage( src, callback ) {
+		var loaded = new Image();
+
+		// Images from other domains can be drawn on the canvas and saved
+		// only if their server allows it.
+		if ( src.substring( 0, 5 ) != 'data:' )
+			loaded.crossOrigin = 'anonymous';
+
+		loaded.onload = function() {
+			callback( loaded );
+		};
+
+		loaded.onerror = function() {
+			callback( null );
+		};
+
+		loaded.src = src;
+	}
+
+	// Sets the fields and the preview according to the transformation.
+	function update() {
+		var crop = transformation.crop,
+			focalPoint = transformation.focalPoint,
+			values = {
+				cropX: crop.x,
+				cropY: crop.y,
+				cropWidth: crop.width,
+				cropHeight: crop.height,
+				width: transformation.width,
+				height: transformation.height,
+				focalX: focalPoint ? focalPoint.x : '',
+				focalY: focalPoint ? focalPoint.y : ''
+			};
+
+		CKEDITOR.tools.array.forEach( fields, function( id ) {
+			dialog.getContentElement( 'edit', id ).setValue( String( values[ id ] ), true );
+		} );
+
+		drawPreview();
+	}
+
+	// Draws the whole rotated and flipped image with the crop area and the focal point marked.
+	//
+	// @param {Object} [crop] The crop area to be marked instead of the current one, e.g. while dragging.
+	function drawPreview( crop ) {
+		var size = transformation.getRotatedSize(),
+			preview = new helpers.transformation( transformation.naturalWidth, transformation.naturalHeight ),
+			focalPoint = !crop && transformation.focalPoint,
+			context, x, y, width, height;
+
+		previewScale = Math.min( 1, previewMaxWidth / size.width, previewMaxHeight / size.height );
+		crop = crop || transformation.crop;
+
+		preview.rotate( transformation.rotation );
+
+		if ( transformation.flipHorizontal )
+			preview.flip();
+
+		if ( transformation.flipVertical )
+			preview.flip( true );
+
+		preview.resize( size.width * previewScale );
+		preview.draw( image, previewCanvas.$ );
+
+		x = crop.x * previewScale;
+		y = crop.y * previewScale;
+		width = crop.width * previewScale;
+		height = crop.height * previewScale;
+
+		context = previewCanvas.$.getContext( '2d' );
+
+		// Dim the parts of the image which are cut off.
+		context.fillStyle = 'rgba(0,0,0,0.5)';
+		context.fillRect( 0, 0, preview.width, y );
+		context.fillRect( 0, y + height, preview.width, preview.height - y - height );
+		context.fillRect( 0, y, x, height );
+		context.fillRect( x + width, y, preview.width - x - width, height );
+
+		context.strokeStyle = '#fff';
+		context.strokeRect( x + 0.5, y + 0.5, width - 1, height - 1 );
+
+		if ( focalPoint ) {
+			context.beginPath();
+			context.arc( x + width * focalPoint.x / 100, y + height * focalPoint.y / 100, 6, 0, 2 * Math.PI );
+			context.lineWidth = 3;
+			context.strokeStyle = '#000';
+			context.stroke();
+			context.lineWidth = 1;
+			context.strokeStyle = '#fff';
+			context.stroke();
+		}
+	}
+
+	// Returns the position of the mouse in pixels of the rotated image.
+	function getImagePoint( evt ) {
+		var rect = previewCanvas.getClientRect(),
+			size = transformation.getRotatedSize();
+
+		return {
+			x: Math.min( Math.max( ( evt.data.$.clientX - rect.left ) / previewScale, 0 ), size.width ),
+			y: Math.min( Math.max( ( evt.data.$.clientY - rect.top ) / previewScale, 0 ), size.height )
+		};
+	}
+
+	// Returns the crop area between the dragging start point and the given one.
+	function getDraggedCrop( point ) {
+		return {
+			x: Math.min( dragStart.x, point.x ),
+			y: Math.min( dragStart.y, point.y ),
+			width: Math.abs( point.x - dragStart.x ),
+			height: Math.abs( point.y - dragStart.y )
+		};
+	}
+
+	function onPreviewMouseDown( evt ) {
+		if ( !transformation || evt.data.$.button !== 0 )
+			return;
+
+		evt.data.preventDefault();
+
+		dragStart = getImagePoint( evt );
+
+		// Listen on the whole document, so the mouse may be released outside of the preview.
+		dragListeners = [
+			CKEDITOR.document.on( 'mousemove', onDrag ),
+			CKEDITOR.document.on( 'mouseup', onDragEnd )
+		];
+	}
+
+	function onDrag( evt ) {
+		drawPreview( getDraggedCrop( getImagePoint( evt ) ) );
+	}
+
+	// Crops the image to the dragged area or, if the mouse has not been moved, sets the focal point.
+	function onDragEnd( evt ) {
+		var point = getImagePoint( evt ),
+			crop = getDraggedCrop( point ),
+			current = transformation.crop;
+
+		stopDragging();
+
+		if ( ( crop.width + crop.height ) * previewScale > 4 ) {
+			transformation.setCrop( crop );
+		} else if ( point.x >= current.x && point.x <= current.x + current.width &&
+			point.y >= current.y && point.y <= current.y + current.height ) {
+			transformation.setFocalPoint( {
+				x: ( point.x - current.x ) * 100 / current.width,
+				y: ( point.y - current.y ) * 100 / current.height
+			} );
+		}
+
+		update();
+	}
+
+	function stopDragging() {
+		CKEDITOR.tools.array.forEach( dragListeners || [], function( listener ) {
+			listener.removeListener();
+		} );
+
+		dragListeners = dragStart = null;
+	}
+
+	// Returns the numeric value of the field or null if it is not a number.
+	function getNumber( id ) {
+		var value = parseFloat( dialog.getValueOf( 'edit', id ) );
+
+		return isNaN( value ) ? null : value;
+	}
+
+	function onChangeCrop() {
+		if ( !transformation )
+			return;
+
+		transformation.setCrop( {
+			x: getNumber( 'cropX' ) || 0,
+			y: getNumber( 'cropY' ) || 0,
+			width: getNumber( 'cropWidth' ) || 1,
+			height: getNumber( 'cropHeight' ) || 1
+		} );
+
+		update();
+	}
+
+	function onChangeSize() {
+		var value = getNumber( this.id );
+
+		if ( !transformation )
+			return;
+
+		if ( value > 0 )
+			transformation.resize( this.id == 'width' ? value : null, value );
+
+		update();
+	}
+
+	function onChangeFocalPoint() {
+		var x = getNumber( 'focalX' ),
+			y = getNumber( 'focalY' );
+
+		if ( !transformation )
+			return;
+
+		transformation.setFocalPoint( x === null && y === null ? null : { x: x || 0, y: y || 0 } );
+
+		update();
+	}
+
+	// Returns a function transforming the image with the given method.
+	function transform( method, argument ) {
+		return function() {
+			if ( !transformation )
+				return;
+
+			transformation[ method ]( argument );
+
+			update();
+		};
+	}
+
+	function reset() {
+		if ( !image )
+			return;
+
+		transformation = new helpers.transformation( image.naturalWidth, image.naturalHeight );
+		transformation.setFocalPoint( widget.data.focalPoint );
+
+		update();
+	}
+
+	// Returns the ratio of the displayed size of the image to its natural size
+	// or null if the image has no dimensions set.
+	function getDisplayScale() {
+		var width = parseInt( widget.data.width, 10 ),
+			height = parseInt( widget.data.height, 10 );
+
+		if ( width )
+			return width / image.naturalWidth;
+
+		return height ? height / image.naturalHeight : null;
+	}
+
+	function textField( id, label, onChange ) {
+		return {
+			id: id,
+			type: 'text',
+			width: '60px',
+			label: label,
+			onChange: onChange
+		};
+	}
+
+	function button( id, label, onClick ) {
+		return {
+			id: id,
+			type: 'button',
+			label: label,
+			onClick: onClick
+		};
+	}
+
+	return {
+		title: lang.editImage,
+		minWidth: previewMaxWidth,
+		minHeight: 380,
+		onShow: function() {
+			var shownWidget = this.widget;
+
+			dialog = this;
+			widget = shownWidget;
+			image = transformation = null;
+
+			this.disableButton( 'ok' );
+			hintElement.setText( lang.loadingImage );
+			previewCanvas.$.width = previewCanvas.$.height = 1;
+
+			// The resolved URL of the image, as the image could be loaded in the document with a different base.
+			loadImage( widget.parts.image.$.src, function( loaded ) {
+				// The dialog could be closed or shown for another image meanwhile.
+				if ( widget != shownWidget )
+					return;
+
+				if ( !loaded ) {
+					hintElement.setText( lang.loadError );
+					return;
+				}
+
+				image = loaded;
+				hintElement.setText( lang.editHint );
+				dialog.enableButton( 'ok' );
+
+				reset();
+			} );
+		},
+		onHide: function() {
+			stopDragging();
+
+			widget = image = transformation = null;
+		},
+		onOk: function() {
+			var data, scale, canvas;
+
+			if ( !transformation )
+				return;
+
+			data = { focalPoint: transformation.focalPoint };
+
+			// Only the focal point could have been changed, so the image does not need to be uploaded.
+			if ( !transformation.isChanged() ) {
+				widget.setData( data );
+				return;
+			}
+
+			// Keep the displayed size proportional to the size of the image.
+			scale = getDisplayScale();
+
+			if ( scale ) {
+				data.width = String( Math.round( transformation.width * scale ) );
+				data.height = String( Math.round( transformation.height * scale ) );
+			}
+
+			canvas = CKEDITOR.document.createElement( 'canvas' ).$;
+
+			try {
+				transformation.draw( image, canvas );
+				helpers.uploadEditedImage( widget, canvas, data );
+			} catch ( e ) {
+				// The canvas cannot be saved if it was tainted by an image from another domain.
+				alert( lang.loadError ); // jshint ignore:line
+				return false;
+			}
+		},
+		contents: [
+			{
+				id: 'edit',
+				label: lang.editImage,
+				elements: [
+					{
+						id: 'preview',
+						type: 'html',
+						html: '<div style="width:' + previewMaxWidth + 'px;height:' + previewMaxHeight + 'px;text-align:center">' +
+							'<canvas width="1" height="1" style="cursor:crosshair"></canvas>' +
+						'</div>',
+						onLoad: function() {
+							previewCanvas = this.getElement().findOne( 'canvas' );
+							previewCanvas.on( 'mousedown', onPreviewMouseDown );
+						}
+					},
+					{
+						id: 'hint',
+						type: 'html',
+						html: '<p style="white-space:normal"></p>',
+						onLoad: function() {
+							hintElement = this.getElement();
+						}
+					},
+					{
+						type: 'hbox',
+						children: [
+							button( 'rotateLeft', lang.rotateLeft, transform( 'rotate', -90 ) ),
+							button( 'rotateRight', lang.rotateRight, transform( 'rotate', 90 ) ),
+							button( 'flipHorizontal', lang.flipHorizontal, transform( 'flip', false ) ),
+							button( 'flipVertical', lang.flipVertical, transform( 'flip', true ) ),
+							button( 'reset', lang.resetEdit, reset )
+						]
+					},
+					{
+						type: 'hbox',
+						children: [
+							textField( 'cropX', lang.cropX, onChangeCrop ),
+							textField( 'cropY', lang.cropY, onChangeCrop ),
+							textField( 'cropWidth', lang.cropWidth, onChangeCrop ),
+							textField( 'cropHeight', lang.cropHeight, onChangeCrop )
+						]
+					},
+					{
+						type: 'hbox',
+						children: [
+							textField( 'width', commonLang.width, onChangeSize ),
+							textField( 'height', commonLang.height, onChangeSize ),
+							textField( 'focalX', lang.focalX, onChangeFocalPoint ),
+							textField( 'focalY', lang.focalY, onChangeFocalPoint )
+						]
+					}
+				]
+			}
+		]
+	};
+} );
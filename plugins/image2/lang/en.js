@@ -17,5 +17,27 @@ CKEDITOR.plugins.setLang( 'image2', 'en', {
 	title: 'Image Properties',
 	uploadTab: 'Upload',
 	urlMissing: 'Image source URL is missing.',
-	altMissing: 'Alternative text is missing.'
+	altMissing: 'Alternative text is missing.',
+	srcset: 'Image Renditions (srcset)',
+	sizes: 'Display Sizes (sizes)',
+	renditions: 'Available Renditions',
+	renditionSize: 'Size',
+	renditionFormat: 'Format',
+	renditionDefault: 'Default',
+	noRenditions: 'The image has no renditions.',
+	editImage: 'Edit Image',
+	editHint: 'Drag over the image to crop it. Click the image to set its focal point.',
+	loadingImage: 'Loading the image...',
+	loadError: 'The image cannot be edited. Images from other domains can be edited only if their server allows it.',
+	rotateLeft: 'Rotate Left',
+	rotateRight: 'Rotate Right',
+	flipHorizontal: 'Flip Horizontally',
+	flipVertical: 'Flip Vertically',
+	resetEdit: 'Reset',
+	cropX: 'Crop Left',
+	cropY: 'Crop Top',
+	cropWidth: 'Crop Width',
+	cropHeight: 'Crop Height',
+	focalX: 'Focal Point X (%)',
+	focalY: 'Focal Point Y (%)'
 } );
@@ -21,7 +21,7 @@
 		lang: 'af,ar,az,bg,bn,bs,ca,cs,cy,da,de,de-ch,el,en,en-au,en-ca,en-gb,eo,es,es-mx,et,eu,fa,fi,fo,fr,fr-ca,gl,gu,he,hi,hr,hu,id,is,it,ja,ka,km,ko,ku,lt,lv,mk,mn,ms,nb,nl,no,oc,pl,pt,pt-br,ro,ru,si,sk,sl,sq,sr,sr-latn,sv,th,tr,tt,ug,uk,vi,zh,zh-cn', // %REMOVE_LINE_CORE%
 		// jscs:enable maximumLineLength
 		requires: 'widget,dialog',
-		icons: 'image',
+		icons: 'image,imageedit',
 		hidpi: true,
 
 		onLoad: function() {
@@ -117,6 +117,12 @@
 			}
 
 			CKEDITOR.dialog.add( 'image2', this.path + 'dialogs/image2.js' );
+
+			// The edited image is uploaded, so editing needs the upload.
+			if ( isImageEditingSupported( editor ) ) {
+				addImageEditing( editor );
+				CKEDITOR.dialog.add( 'image2edit', this.path + 'dialogs/image2edit.js' );
+			}
 		},
 
 		afterInit: function( editor ) {
@@ -364,6 +370,12 @@
 				if ( editor.filter.checkFeature( features.dimension ) )
 					setDimensions( this );
 
+				if ( editor.filter.checkFeature( features.responsive ) )
+					setResponsiveAttributes( this );
+
+				if ( editor.filter.checkFeature( features.focalPoint ) )
+					setFocalPointAttribute( this );
+
 				// Cache current data.
 				this.oldData = CKEDITOR.tools.extend( {}, this.data );
 			},
@@ -377,6 +389,9 @@
 						alt: image.getAttribute( 'alt' ) || '',
 						width: image.getAttribute( 'width' ) || '',
 						height: image.getAttribute( 'height' ) || '',
+						srcset: image.getAttribute( 'srcset' ) || '',
+						sizes: image.getAttribute( 'sizes' ) || '',
+						focalPoint: parseFocalPoint( image.getAttribute( 'data-focal-point' ) ),
 
 						// Lock ratio is on by default (https://dev.ckeditor.com/ticket/10833).
 						lock: this.ready ? helpers.checkHasNaturalRatio( image ) : true
@@ -448,6 +463,9 @@
 				this.on( 'contextMenu', function( evt ) {
 					evt.data.image = CKEDITOR.TRISTATE_OFF;
 
+					if ( editor.getCommand( 'imageEdit' ) )
+						evt.data.imageEdit = CKEDITOR.TRISTATE_OFF;
+
 					// Integrate context menu items for link.
 					// Note that widget may be wrapped in a link, which
 					// does not belong to that widget (https://dev.ckeditor.com/ticket/11814).
@@ -801,6 +819,157 @@
 			return dimensions;
 		},
 
+		/**
+		 * Parses the `srcset` attribute into the list of image candidates.
+		 *
+		 *		CKEDITOR.plugins.image2.parseSrcset( 'small.jpg 400w, large.jpg 800w' );
+		 *		// -> [ { url: 'small.jpg', descriptor: '400w' }, { url: 'large.jpg', descriptor: '800w' } ]
+		 *
+		 * @since 4.13.0
+		 * @param {String} srcset
+		 * @returns {Object[]} The candidates with the `url` and `descriptor` (e.g. `'400w'`, `'2x'` or an empty string) properties.
+		 */
+		parseSrcset: function( srcset ) {
+			var candidates = [],
+				regex = /[\s,]*(\S+)/g,
+				match, url, descriptor, end;
+
+			srcset = srcset || '';
+
+			while ( ( match = regex.exec( srcset ) ) ) {
+				url = match[ 1 ];
+				descriptor = '';
+
+				// The URL directly followed by a comma has no descriptor.
+				if ( url.charAt( url.length - 1 ) == ',' ) {
+					url = url.replace( /,+$/, '' );
+				} else {
+					end = srcset.indexOf( ',', regex.lastIndex );
+					end = end == -1 ? srcset.length : end;
+
+					descriptor = CKEDITOR.tools.trim( srcset.substring( regex.lastIndex, end ) );
+					regex.lastIndex = end;
+				}
+
+				candidates.push( { url: url, descriptor: descriptor } );
+			}
+
+			return candidates;
+		},
+
+		/**
+		 * Returns all renditions of the image described by the widget data: the candidates of the image `srcset`
+		 * and the ones of the alternative `<picture>` sources.
+		 *
+		 * @since 4.13.0
+		 * @param {Object} data The data of the image widget.
+		 * @param {String} [data.srcset] The `srcset` attribute of the image.
+		 * @param {Object[]} [data.sources] The attributes of the `<source>` elements.
+		 * @returns {Object[]} The renditions with the `url` and `descriptor` properties (see {@link #parseSrcset})
+		 * and the `type` and `media` properties of the source (empty for the image `srcset`).
+		 */
+		getRenditions: function( data ) {
+			var renditions = [],
+				sets = [ { srcset: data.srcset } ].concat( data.sources || [] );
+
+			CKEDITOR.tools.array.forEach( sets, function( set ) {
+				CKEDITOR.tools.array.forEach( CKEDITOR.plugins.image2.parseSrcset( set.srcset ), function( candidate ) {
+					candidate.type = set.type || '';
+					candidate.media = set.media || '';
+
+					renditions.push( candidate );
+				} );
+			} );
+
+			return renditions;
+		},
+
+		/**
+		 * Replaces the image of the widget with the edited one and uploads it using the
+		 * {@link CKEDITOR.fileTools.uploadRepository upload repository}. It is used by the image editing dialog.
+		 *
+		 * Until the upload is finished, the widget shows the edited image stored in a data URL. Then it gets
+		 * the URL returned by the server. If the upload fails or is aborted, the original image is restored.
+		 * Replacing the image makes a single undo step.
+		 *
+		 * The upload requires the [Upload Widget](https://ckeditor.com/cke4/addon/uploadwidget) plugin and
+		 * the {@link CKEDITOR.config#imageUploadUrl upload URL for images}.
+		 *
+		 * @since 4.13.0
+		 * @param {CKEDITOR.plugins.widget} widget The image widget.
+		 * @param {HTMLCanvasElement} canvas The canvas with the edited image (see {@link CKEDITOR.plugins.image2.transformation#draw}).
+		 * @param {Object} [data] The widget data set along with the edited image, e.g. its dimensions or the focal point.
+		 */
+		uploadEditedImage: function( widget, canvas, data ) {
+			var editor = widget.editor,
+				image = widget.parts.image,
+				type = getEditedImageType( widget.data.src ),
+				fileName = getEditedImageFileName( widget.data.src, type ),
+				preview = canvas.toDataURL( type );
+
+			canvasToBlob( canvas, type, function( file ) {
+				var editable = editor.editable(),
+					original,
+					loader;
+
+				// The image could be removed while the file was being created.
+				widget = editable && editable.contains( image ) && editor.widgets.getByElement( image );
+
+				if ( !widget )
+					return;
+
+				original = {
+					src: widget.data.src,
+					width: widget.data.width,
+					height: widget.data.height,
+					srcset: widget.data.srcset,
+					sizes: widget.data.sizes,
+					sources: widget.data.sources,
+					focalPoint: widget.data.focalPoint
+				};
+
+				loader = editor.uploadRepository.create( file, fileName );
+
+				editor.fire( 'saveSnapshot' );
+
+				// Renditions of the original image do not match the edited one.
+				widget.setData( CKEDITOR.tools.extend( { src: preview, srcset: '', sizes: '', sources: [] }, data, true ) );
+				image.data( 'cke-upload-id', loader.id );
+
+				editor.fire( 'saveSnapshot' );
+
+				CKEDITOR.fileTools.bindNotifications( editor, loader );
+
+				loader.on( 'update', function( evt ) {
+					var editable = editor.editable(),
+						image = editable && editable.findOne( 'img[data-cke-upload-id="' + loader.id + '"]' ),
+						widget = image && editor.widgets.getByElement( image );
+
+					// Stop the upload if the image was removed, e.g. undone.
+					if ( !widget ) {
+						evt.removeListener();
+						loader.abort();
+						return;
+					}
+
+					if ( !loader.isFinished() )
+						return;
+
+					evt.removeListener();
+
+					// Replace the uploading image in the undo snapshot rather than make a new step.
+					editor.fire( 'lockSnapshot' );
+
+					image.data( 'cke-upload-id', false );
+					widget.setData( loader.status == 'uploaded' ? { src: loader.url } : original );
+
+					editor.fire( 'unlockSnapshot' );
+				} );
+
+				loader.upload( CKEDITOR.fileTools.getUploadUrl( editor.config, 'image' ) );
+			} );
+		},
+
 		/**
 		 * Returns an attribute getter function. Default getter comes from the Link plugin
 		 * and is documented by {@link CKEDITOR.plugins.link#getLinkAttributes}.
@@ -847,6 +1016,286 @@
 		}
 	};
 
+	/**
+	 * The image transformation made in the image editing dialog: rotation, flip, crop, resize and the focal point.
+	 *
+	 * All coordinates of the crop area are expressed in pixels of the rotated and flipped image, so they match
+	 * what the user sees. The focal point is expressed in percents of the resulting image.
+	 *
+	 *		var transformation = new CKEDITOR.plugins.image2.transformation( 800, 600 );
+	 *
+	 *		transformation.rotate( 90 );
+	 *		transformation.setCrop( { x: 0, y: 100, width: 600, height: 400 } );
+	 *		transformation.resize( 300 );
+	 *
+	 *		transformation.draw( image, canvas );
+	 *
+	 * @class CKEDITOR.plugins.image2.transformation
+	 * @since 4.13.0
+	 * @constructor Creates a transformation of an image which leaves the image unchanged.
+	 * @param {Number} width The natural width of the image.
+	 * @param {Number} height The natural height of the image.
+	 */
+	function Transformation( width, height ) {
+		/**
+		 * The natural width of the image.
+		 *
+		 * @readonly
+		 * @property {Number}
+		 */
+		this.naturalWidth = width;
+
+		/**
+		 * The natural height of the image.
+		 *
+		 * @readonly
+		 * @property {Number}
+		 */
+		this.naturalHeight = height;
+
+		/**
+		 * The clockwise rotation of the image in degrees: `0`, `90`, `180` or `270`.
+		 *
+		 * @readonly
+		 * @property {Number}
+		 */
+		this.rotation = 0;
+
+		/**
+		 * Whether the rotated image is flipped horizontally.
+		 *
+		 * @readonly
+		 * @property {Boolean}
+		 */
+		this.flipHorizontal = false;
+
+		/**
+		 * Whether the rotated image is flipped vertically.
+		 *
+		 * @readonly
+		 * @property {Boolean}
+		 */
+		this.flipVertical = false;
+
+		/**
+		 * The area of the rotated and flipped image which is kept, with the `x`, `y`, `width` and `height` properties.
+		 *
+		 * @readonly
+		 * @property {Object}
+		 */
+		this.crop = { x: 0, y: 0, width: width, height: height };
+
+		/**
+		 * The width of the resulting image.
+		 *
+		 * @readonly
+		 * @property {Number}
+		 */
+		this.width = width;
+
+		/**
+		 * The height of the resulting image.
+		 *
+		 * @readonly
+		 * @property {Number}
+		 */
+		this.height = height;
+
+		/**
+		 * The focal point of the resulting image with the `x` and `y` properties in percents, or `null`.
+		 *
+		 * @readonly
+		 * @property {Object/null}
+		 */
+		this.focalPoint = null;
+	}
+
+	Transformation.prototype = {
+		/**
+		 * Rotates the image.
+		 *
+		 * @param {Number} angle The clockwise angle in degrees, a multiple of `90`. Negative values rotate
+		 * the image counterclockwise.
+		 */
+		rotate: function( angle ) {
+			var turns = ( ( Math.round( angle / 90 ) % 4 ) + 4 ) % 4,
+				size, crop, focalPoint, flip;
+
+			for ( ; turns > 0; turns-- ) {
+				size = this.getRotatedSize();
+				crop = this.crop;
+				focalPoint = this.focalPoint;
+
+				this.crop = {
+					x: size.height - crop.y - crop.height,
+					y: crop.x,
+					width: crop.height,
+					height: crop.width
+				};
+
+				if ( focalPoint ) {
+					this.focalPoint = { x: 100 - focalPoint.y, y: focalPoint.x };
+				}
+
+				size = this.width;
+				this.width = this.height;
+				this.height = size;
+
+				// The image is flipped after the rotation, so rotating a flipped image changes the direction of the flip.
+				flip = this.flipHorizontal;
+				this.flipHorizontal = this.flipVertical;
+				this.flipVertical = flip;
+
+				this.rotation = ( this.rotation + 90 ) % 360;
+			}
+		},
+
+		/**
+		 * Flips the rotated image.
+		 *
+		 * @param {Boolean} [vertical] Whether to flip the image vertically instead of horizontally.
+		 */
+		flip: function( vertical ) {
+			var size = this.getRotatedSize(),
+				crop = this.crop,
+				focalPoint = this.focalPoint;
+
+			if ( vertical ) {
+				this.flipVertical = !this.flipVertical;
+				crop.y = size.height - crop.y - crop.height;
+			} else {
+				this.flipHorizontal = !this.flipHorizontal;
+				crop.x = size.width - crop.x - crop.width;
+			}
+
+			if ( focalPoint ) {
+				this.focalPoint = vertical ? { x: focalPoint.x, y: 100 - focalPoint.y } : { x: 100 - focalPoint.x, y: focalPoint.y };
+			}
+		},
+
+		/**
+		 * Sets the crop area. The area is limited to the image and the resulting image is scaled
+		 * in the same way as before. The focal point stays at the same place of the image if it is
+		 * inside the new area.
+		 *
+		 * @param {Object} crop The area with the `x`, `y`, `width` and `height` properties in pixels of the rotated image.
+		 */
+		setCrop: function( crop ) {
+			var size = this.getRotatedSize(),
+				scale = this.width / this.crop.width,
+				focalPoint = this.focalPoint,
+				x = clamp( Math.round( crop.x ), 0, size.width - 1 ),
+				y = clamp( Math.round( crop.y ), 0, size.height - 1 ),
+				newCrop = {
+					x: x,
+					y: y,
+					width: clamp( Math.round( crop.width ), 1, size.width - x ),
+					height: clamp( Math.round( crop.height ), 1, size.height - y )
+				};
+
+			if ( focalPoint ) {
+				this.setFocalPoint( {
+					x: ( this.crop.x + this.crop.width * focalPoint.x / 100 - newCrop.x ) * 100 / newCrop.width,
+					y: ( this.crop.y + this.crop.height * focalPoint.y / 100 - newCrop.y ) * 100 / newCrop.height
+				} );
+			}
+
+			this.crop = newCrop;
+			this.width = Math.max( 1, Math.round( newCrop.width * scale ) );
+			this.height = Math.max( 1, Math.round( newCrop.height * scale ) );
+		},
+
+		/**
+		 * Sets the size of the resulting image. The aspect ratio of the crop area is always kept, so only
+		 * one dimension should be given.
+		 *
+		 * @param {Number/null} width The new width.
+		 * @param {Number} [height] The new height, used when the width is not given.
+		 */
+		resize: function( width, height ) {
+			var crop = this.crop;
+
+			if ( width ) {
+				this.width = Math.max( 1, Math.round( width ) );
+				this.height = Math.max( 1, Math.round( this.width * crop.height / crop.width ) );
+			} else if ( height ) {
+				this.height = Math.max( 1, Math.round( height ) );
+				this.width = Math.max( 1, Math.round( this.height * crop.width / crop.height ) );
+			}
+		},
+
+		/**
+		 * Sets the focal point of the resulting image. The coordinates are limited to the image and rounded
+		 * to one decimal place.
+		 *
+		 * @param {Object/null} focalPoint The focal point with the `x` and `y` properties in percents or `null` to remove it.
+		 */
+		setFocalPoint: function( focalPoint ) {
+			this.focalPoint = focalPoint ? {
+				x: Math.round( clamp( focalPoint.x, 0, 100 ) * 10 ) / 10,
+				y: Math.round( clamp( focalPoint.y, 0, 100 ) * 10 ) / 10
+			} : null;
+		},
+
+		/**
+		 * Returns the size of the whole image after the rotation.
+		 *
+		 * @returns {Object} The size with the `width` and `height` properties.
+		 */
+		getRotatedSize: function() {
+			var swap = this.rotation % 180;
+
+			return {
+				width: swap ? this.naturalHeight : this.naturalWidth,
+				height: swap ? this.naturalWidth : this.naturalHeight
+			};
+		},
+
+		/**
+		 * Checks whether the transformation changes the image. The focal point does not change the image.
+		 *
+		 * @returns {Boolean}
+		 */
+		isChanged: function() {
+			var size = this.getRotatedSize(),
+				crop = this.crop;
+
+			return !!( this.rotation || this.flipHorizontal || this.flipVertical || crop.x || crop.y ||
+				crop.width != size.width || crop.height != size.height ||
+				this.width != crop.width || this.height != crop.height );
+		},
+
+		/**
+		 * Draws the transformed image on the canvas. The canvas is resized to the size of the resulting image.
+		 *
+		 * @param {HTMLImageElement/HTMLCanvasElement} image The loaded image.
+		 * @param {HTMLCanvasElement} canvas
+		 */
+		draw: function( image, canvas ) {
+			var size = this.getRotatedSize(),
+				crop = this.crop,
+				context;
+
+			canvas.width = this.width;
+			canvas.height = this.height;
+
+			context = canvas.getContext( '2d' );
+
+			// Map the crop area of the rotated image to the canvas...
+			context.scale( this.width / crop.width, this.height / crop.height );
+			context.translate( -crop.x, -crop.y );
+
+			// ...and then rotate and flip the image around its center.
+			context.translate( size.width / 2, size.height / 2 );
+			context.scale( this.flipHorizontal ? -1 : 1, this.flipVertical ? -1 : 1 );
+			context.rotate( this.rotation * Math.PI / 180 );
+
+			context.drawImage( image, -this.naturalWidth / 2, -this.naturalHeight / 2 );
+		}
+	};
+
+	CKEDITOR.plugins.image2.transformation = Transformation;
+
 	function setWrapperAlign( widget, alignClasses ) {
 		var wrapper = widget.wrapper,
 			align = widget.data.align,
@@ -939,25 +1388,39 @@
 				// If there's a centering wrapper, save it in data.
 				data.align = 'center';
 
-				// Image can be wrapped in link <a><img/></a>.
-				image = el.getFirst( 'img' ) || el.getFirst( 'a' ).getFirst( 'img' );
+				// Image can be wrapped in link <a><img/></a> and in <picture>.
+				image = getImage( el.getFirst( { img: 1, picture: 1, a: 1 } ) );
 			}
 
 			// No center wrapper has been found.
 			else if ( name == 'figure' && el.hasClass( captionedClass ) ) {
 				image = el.find( function( child ) {
 					return child.name === 'img' &&
-						CKEDITOR.tools.array.indexOf( [ 'figure', 'a' ], child.parent.name ) !== -1;
+						CKEDITOR.tools.array.indexOf( [ 'figure', 'a', 'picture' ], child.parent.name ) !== -1;
 				}, true )[ 0 ];
 
 				// Upcast linked image like <a><img/></a>.
 			} else if ( isLinkedOrStandaloneImage( el ) ) {
-				image = el.name == 'a' ? el.children[ 0 ] : el;
+				image = getImage( el );
 			}
 
 			if ( !image )
 				return;
 
+			// Alternative sources of <picture> are kept in the widget data and restored in downcast,
+			// so in the editor the widget has the same structure as without them.
+			if ( image.parent.name == 'picture' ) {
+				var picture = image.parent;
+
+				data.sources = getPictureSources( picture );
+
+				image.remove();
+				picture.replaceWith( image );
+
+				if ( el == picture )
+					el = image;
+			}
+
 			// If there's an image, then cool, we got a widget.
 			// Now just remove dimension attributes expressed with %.
 			for ( var d in dimensions ) {
@@ -1028,10 +1491,53 @@
 					attrs.style = CKEDITOR.tools.writeCssText( styles );
 			}
 
-			return el;
+			return downcastResponsiveImage( el, this.data );
 		};
 	}
 
+	// Sets the default sizes of the image and wraps it with <picture> if the widget has alternative sources.
+	//
+	// @param {CKEDITOR.htmlParser.element} el The downcasted widget element.
+	// @param {Object} data The widget data.
+	// @returns {CKEDITOR.htmlParser.element} The downcasted widget element.
+	function downcastResponsiveImage( el, data ) {
+		var image = el.name == 'img' ? el : el.find( 'img', true )[ 0 ],
+			sources = data.sources || [],
+			sizes,
+			picture;
+
+		if ( !image )
+			return el;
+
+		sizes = image.attributes.sizes || getDefaultSizes( data.width );
+
+		// Without the sizes the browser assumes that the image takes the whole viewport width,
+		// so it would pick a larger rendition than needed.
+		if ( image.attributes.srcset && !image.attributes.sizes )
+			image.attributes.sizes = sizes;
+
+		if ( !sources.length )
+			return el;
+
+		picture = image.wrapWith( new CKEDITOR.htmlParser.element( 'picture' ) );
+
+		CKEDITOR.tools.array.forEach( sources, function( source, index ) {
+			picture.add( new CKEDITOR.htmlParser.element( 'source', CKEDITOR.tools.extend( { sizes: sizes }, source, true ) ), index );
+		} );
+
+		return el == image ? picture : el;
+	}
+
+	// Returns the sizes attribute for the image displayed with the given width.
+	//
+	// @param {String} width
+	// @returns {String}
+	function getDefaultSizes( width ) {
+		width = parseInt( width, 10 );
+
+		return width ? '(max-width: ' + width + 'px) 100vw, ' + width + 'px' : '100vw';
+	}
+
 	// Returns a function that checks if an element is a centering wrapper.
 	//
 	// @param {CKEDITOR.editor} editor
@@ -1039,7 +1545,7 @@
 	function centerWrapperChecker( editor ) {
 		var captionedClass = editor.config.image2_captionedClass,
 			alignClasses = editor.config.image2_alignClasses,
-			validChildren = { figure: 1, a: 1, img: 1 };
+			validChildren = { figure: 1, a: 1, img: 1, picture: 1 };
 
 		return function( el ) {
 			// Wrapper must be either <div> or <p>.
@@ -1097,18 +1603,196 @@
 		};
 	}
 
-	// Checks whether element is <img/> or <a><img/></a>.
+	// Checks whether element is <img/>, <picture><img/></picture> or one of them wrapped with a link.
 	//
 	// @param {CKEDITOR.htmlParser.element}
 	function isLinkedOrStandaloneImage( el ) {
-		if ( el.name == 'img' )
-			return true;
+		if ( el.name == 'img' || el.name == 'picture' )
+			return !!getImage( el );
 		else if ( el.name == 'a' )
-			return el.children.length == 1 && el.getFirst( 'img' );
+			return el.children.length == 1 && !!getImage( el );
 
 		return false;
 	}
 
+	// Returns <img/> out of <img/>, <picture><img/></picture> or one of them wrapped with a link.
+	//
+	// @param {CKEDITOR.htmlParser.element} el
+	// @returns {CKEDITOR.htmlParser.element/null}
+	function getImage( el ) {
+		if ( el && el.name == 'a' )
+			el = el.getFirst( { img: 1, picture: 1 } );
+
+		if ( el && el.name == 'picture' )
+			el = el.getFirst( 'img' );
+
+		return el && el.name == 'img' ? el : null;
+	}
+
+	// Returns the attributes of <source> elements of <picture>.
+	//
+	// @param {CKEDITOR.htmlParser.element} picture
+	// @returns {Object[]}
+	function getPictureSources( picture ) {
+		var sources = [];
+
+		CKEDITOR.tools.array.forEach( picture.children, function( child ) {
+			var source = {};
+
+			if ( child.name != 'source' || !child.attributes.srcset )
+				return;
+
+			for ( var name in { srcset: 1, type: 1, media: 1, sizes: 1 } ) {
+				if ( child.attributes[ name ] )
+					source[ name ] = child.attributes[ name ];
+			}
+
+			sources.push( source );
+		} );
+
+		return sources;
+	}
+
+	// Sets srcset and sizes of the widget image according to current widget data.
+	//
+	// @param {CKEDITOR.plugins.widget} widget
+	function setResponsiveAttributes( widget ) {
+		var data = widget.data,
+			attributes = { srcset: data.srcset, sizes: data.sizes },
+			image = widget.parts.image;
+
+		for ( var a in attributes ) {
+			if ( attributes[ a ] )
+				image.setAttribute( a, attributes[ a ] );
+			else
+				image.removeAttribute( a );
+		}
+	}
+
+	// Sets data-focal-point of the widget image according to current widget data.
+	//
+	// @param {CKEDITOR.plugins.widget} widget
+	function setFocalPointAttribute( widget ) {
+		var focalPoint = widget.data.focalPoint,
+			image = widget.parts.image;
+
+		if ( focalPoint )
+			image.setAttribute( 'data-focal-point', focalPoint.x + '% ' + focalPoint.y + '%' );
+		else
+			image.removeAttribute( 'data-focal-point' );
+	}
+
+	// Parses the value of data-focal-point attribute, e.g. "25% 40%".
+	//
+	// @param {String/null} value
+	// @returns {Object/null} The focal point with x and y in percents.
+	function parseFocalPoint( value ) {
+		var match = value && value.match( /^\s*(\d+(?:\.\d+)?)%\s+(\d+(?:\.\d+)?)%\s*$/ );
+
+		return match ? { x: Number( match[ 1 ] ), y: Number( match[ 2 ] ) } : null;
+	}
+
+	// Limits the value to the given range.
+	//
+	// @param {Number} value
+	// @param {Number} min
+	// @param {Number} max
+	// @returns {Number}
+	function clamp( value, min, max ) {
+		return Math.min( Math.max( value, min ), max );
+	}
+
+	// Checks whether images can be edited: the edited image is drawn on the canvas
+	// and then uploaded using the Upload Widget plugin.
+	//
+	// @param {CKEDITOR.editor} editor
+	// @returns {Boolean}
+	function isImageEditingSupported( editor ) {
+		return !!( editor.plugins.uploadwidget && CKEDITOR.fileTools.isFileUploadSupported &&
+			CKEDITOR.fileTools.getUploadUrl( editor.config, 'image' ) &&
+			document.createElement( 'canvas' ).getContext );
+	}
+
+	// Adds the command, button and context menu item opening the image editing dialog
+	// for the focused image widget.
+	//
+	// @param {CKEDITOR.editor} editor
+	function addImageEditing( editor ) {
+		var lang = editor.lang.image2;
+
+		editor.addCommand( 'imageEdit', {
+			requiredContent: 'img[src,alt]',
+			contextSensitive: true,
+			startDisabled: true,
+
+			exec: function( editor ) {
+				var widget = getFocusedWidget( editor );
+
+				if ( !widget )
+					return false;
+
+				editor.openDialog( 'image2edit', function( dialog ) {
+					dialog.widget = widget;
+				} );
+			},
+
+			refresh: function( editor ) {
+				this.setState( getFocusedWidget( editor ) ? CKEDITOR.TRISTATE_OFF : CKEDITOR.TRISTATE_DISABLED );
+			}
+		} );
+
+		editor.ui.addButton && editor.ui.addButton( 'ImageEdit', {
+			label: lang.editImage,
+			command: 'imageEdit',
+			toolbar: 'insert,11'
+		} );
+
+		if ( editor.contextMenu ) {
+			editor.addMenuItem( 'imageEdit', {
+				label: lang.editImage,
+				command: 'imageEdit',
+				group: 'image',
+				order: 1
+			} );
+		}
+	}
+
+	// Returns the type of the edited image. Images with transparency are kept in PNG,
+	// other ones are saved as JPEG.
+	//
+	// @param {String} src
+	// @returns {String}
+	function getEditedImageType( src ) {
+		return /^data:image\/(png|gif)|\.(png|gif|svg)(?:[?#]|$)/i.test( src ) ? 'image/png' : 'image/jpeg';
+	}
+
+	// Returns the file name of the edited image based on the name of the original one.
+	//
+	// @param {String} src
+	// @param {String} type
+	// @returns {String}
+	function getEditedImageFileName( src, type ) {
+		var name = src.substring( 0, 5 ) == 'data:' ? '' : src.replace( /[?#].*$/, '' ).replace( /^.*\//, '' );
+
+		return ( name.replace( /\.[^.]*$/, '' ) || 'image' ) + ( type == 'image/png' ? '.png' : '.jpg' );
+	}
+
+	// Passes the content of the canvas as a Blob to the callback. Browsers which cannot
+	// make a Blob out of the canvas get the data URL, which is converted by the file loader.
+	//
+	// @param {HTMLCanvasElement} canvas
+	// @param {String} type
+	// @param {Function} callback
+	function canvasToBlob( canvas, type, callback ) {
+		if ( canvas.toBlob ) {
+			canvas.toBlob( callback, type );
+		} else if ( canvas.msToBlob && type == 'image/png' ) {
+			callback( canvas.msToBlob() );
+		} else {
+			callback( canvas.toDataURL( type ) );
+		}
+	}
+
 	// Sets width and height of the widget image according to current widget data.
 	//
 	// @param {CKEDITOR.plugins.widget} widget
@@ -1581,12 +2265,17 @@
 					match: centerWrapperChecker( editor )
 				},
 				img: {
-					attributes: '!src,alt,width,height'
+					attributes: '!src,alt,width,height,srcset,sizes,data-focal-point'
 				},
 				figure: {
 					classes: '!' + editor.config.image2_captionedClass
 				},
-				figcaption: true
+				figcaption: true,
+				// Responsive image with alternative sources.
+				picture: true,
+				source: {
+					attributes: '!srcset,type,media,sizes'
+				}
 			};
 
 		if ( alignClasses ) {
@@ -1628,6 +2317,12 @@
 				},
 				caption: {
 					requiredContent: 'figcaption'
+				},
+				responsive: {
+					requiredContent: 'img[srcset,sizes]'
+				},
+				focalPoint: {
+					requiredContent: 'img[data-focal-point]'
 				}
 			};
 
@@ -342,6 +342,10 @@
 				var loadMethod = widgetDef.loadMethod || 'loadAndUpload',
 					loader = editor.uploadRepository.create( file, fileName, widgetDef.loaderType );
 
+				if ( widgetDef.uploadAdapter ) {
+					loader.uploadAdapter = widgetDef.uploadAdapter;
+				}
+
 				loader[ loadMethod ]( widgetDef.uploadUrl, widgetDef.additionalRequestParameters );
 
 				return loader;
@@ -456,6 +460,14 @@
 			 * @property {Function} [loaderType=CKEDITOR.fileTools.fileLoader]
 			 */
 
+			/**
+			 * The {@link CKEDITOR.fileTools.uploadAdapter upload adapter} type used to upload files. If not set,
+			 * {@link CKEDITOR.config#fileTools_uploadAdapter} is used.
+			 *
+			 * @since 4.13.0
+			 * @property {Function} [uploadAdapter]
+			 */
+
 			/**
 			 * Fired when upload was initiated and before the response is fetched.
 			 *
@@ -186,6 +186,10 @@
 					}
 
 					listArray[ i ].parent = new CKEDITOR.dom.element( listRoot.getName(), listRoot.getDocument() );
+
+					// Sublists of a to-do list are to-do lists too.
+					if ( CKEDITOR.plugins.list.isTodoList( listRoot ) )
+						listArray[ i ].parent.addClass( 'todo-list' );
 				}
 			}
 
@@ -0,0 +1,18 @@
+/*
+Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+*/
+CKEDITOR.plugins.setLang( 'lint', 'en', {
+	bannedWord: 'Avoid the word "%1".',
+	check: 'Check Content',
+	error: 'Error',
+	info: 'Suggestion',
+	inlineStyles: 'Avoid inline styles on the %1 element, use the predefined styles instead.',
+	noResults: 'No problems found',
+	requiredHeading: 'The "%1" heading is missing.',
+	sentenceLength: 'This sentence has %1 words, use at most %2.',
+	summary: 'Errors: %1, warnings: %2, suggestions: %3',
+	title: 'Content Linter',
+	update: 'Check again',
+	warning: 'Warning'
+} );
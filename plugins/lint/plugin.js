@@ -0,0 +1,1099 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @fileOverview The Content Linter plugin. Checks the content with pluggable rules, underlines the problems
+ * in the editor and lists them in a panel.
+ */
+
+( function() {
+	'use strict';
+
+	var updateDelay = 300,
+		severities = [ 'error', 'warning', 'info' ],
+		invisibleRegex = /[\u200b\ufeff]/g,
+		// A sentence ends with a full stop, a question mark or an exclamation mark, or with the end of a block.
+		sentenceRegex = /[^.!?\s][^.!?]*(?:[.!?]+|$)/g,
+		// This flag prevents appending stylesheet more than once.
+		stylesLoaded = false;
+
+	CKEDITOR.plugins.add( 'lint', {
+		requires: 'contentoverlay',
+		lang: 'en',
+		icons: 'lint', // %REMOVE_LINE_CORE%
+		hidpi: true, // %REMOVE_LINE_CORE%
+
+		init: function( editor ) {
+			if ( !stylesLoaded ) {
+				CKEDITOR.document.appendStyleSheet( this.path + 'styles/lint.css' );
+				stylesLoaded = true;
+			}
+
+			if ( editor.addContentsCss ) {
+				editor.addContentsCss( this.path + 'styles/lint.css' );
+			}
+
+			/**
+			 * The content linter of this editor instance.
+			 *
+			 * @since 4.13.0
+			 * @readonly
+			 * @member CKEDITOR.editor
+			 * @property {CKEDITOR.plugins.lint.linter} lint
+			 */
+			editor.lint = new CKEDITOR.plugins.lint.linter( editor );
+
+			editor.addCommand( 'lint', {
+				modes: { wysiwyg: 1 },
+				readOnly: 1,
+				canUndo: false,
+
+				exec: function( editor ) {
+					var linter = editor.lint;
+
+					linter[ linter.visible ? 'hide' : 'show' ]();
+				}
+			} );
+
+			if ( editor.ui.addButton ) {
+				editor.ui.addButton( 'Lint', {
+					label: editor.lang.lint.check,
+					command: 'lint',
+					toolbar: 'lint,10'
+				} );
+			}
+
+			if ( editor.config.lint_autoStart ) {
+				editor.on( 'instanceReady', function() {
+					if ( editor.mode == 'wysiwyg' ) {
+						editor.lint.show();
+					}
+				} );
+			}
+		}
+	} );
+
+	/**
+	 * The content linter API.
+	 *
+	 * Rules are functions checking either the editable DOM or the {@link CKEDITOR.htmlParser.fragment} built from it.
+	 * Every problem is reported as a {@link CKEDITOR.plugins.lint.result result} with a range and a severity.
+	 * The following rules are available by default:
+	 *
+	 * * `bannedWords` &ndash; The words listed in {@link CKEDITOR.config#lint_bannedWords}.
+	 * * `maxSentenceLength` &ndash; Sentences longer than {@link CKEDITOR.config#lint_maxSentenceLength} words.
+	 * * `noInlineStyles` &ndash; Elements with the `style` attribute.
+	 * * `requiredHeadings` &ndash; The headings listed in {@link CKEDITOR.config#lint_requiredHeadings} which
+	 * are missing in the content.
+	 *
+	 * Rules can be disabled with {@link CKEDITOR.config#lint_disabledRules}.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.lint
+	 * @singleton
+	 */
+	CKEDITOR.plugins.lint = {
+		/**
+		 * The rules used by all editor instances. Rules of a single editor can be added
+		 * with {@link CKEDITOR.plugins.lint.linter#addRule}.
+		 *
+		 * @readonly
+		 * @property {Object.<String, CKEDITOR.plugins.lint.rule>}
+		 */
+		rules: {},
+
+		/**
+		 * Adds a new rule or replaces an existing one.
+		 *
+		 *		CKEDITOR.plugins.lint.addRule( 'noUnderline', {
+		 *			severity: 'info',
+		 *			check: function( root, context ) {
+		 *				var elements = root.find( 'u' );
+		 *
+		 *				for ( var i = 0; i < elements.count(); i++ ) {
+		 *					context.report( elements.getItem( i ), 'Underlined text looks like a link.' );
+		 *				}
+		 *			}
+		 *		} );
+		 *
+		 *		CKEDITOR.plugins.lint.addRule( 'noFonts', {
+		 *			type: 'fragment',
+		 *			check: function( fragment, context ) {
+		 *				fragment.forEach( function( element ) {
+		 *					if ( element.name == 'font' ) {
+		 *						context.report( element, 'Do not use the font element.', { severity: 'error' } );
+		 *					}
+		 *				}, CKEDITOR.NODE_ELEMENT );
+		 *			}
+		 *		} );
+		 *
+		 * @param {String} name
+		 * @param {CKEDITOR.plugins.lint.rule} rule
+		 */
+		addRule: function( name, rule ) {
+			this.rules[ name ] = rule;
+
+			for ( var editorName in CKEDITOR.instances ) {
+				if ( CKEDITOR.instances[ editorName ].lint ) {
+					CKEDITOR.instances[ editorName ].lint._.cache = [];
+				}
+			}
+		},
+
+		/**
+		 * Returns the text nodes of the element in the document order, skipping the temporary elements
+		 * added by the editor.
+		 *
+		 * @param {CKEDITOR.dom.element} root
+		 * @returns {CKEDITOR.dom.text[]}
+		 */
+		getTextNodes: function( root ) {
+			var range = new CKEDITOR.dom.range( root.getDocument() ),
+				nodes = [],
+				walker,
+				node;
+
+			range.selectNodeContents( root );
+
+			walker = new CKEDITOR.dom.walker( range );
+			walker.evaluator = function( node ) {
+				return node.type == CKEDITOR.NODE_TEXT;
+			};
+
+			while ( ( node = walker.next() ) ) {
+				if ( !CKEDITOR.plugins.contentOverlay.isTemporary( node.getParent(), root ) ) {
+					nodes.push( node );
+				}
+			}
+
+			return nodes;
+		}
+	};
+
+	/**
+	 * The definition of the linter rule, see {@link CKEDITOR.plugins.lint#addRule}.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.lint.rule
+	 * @abstract
+	 */
+
+	/**
+	 * The type of the checked content:
+	 *
+	 * * `'dom'` &ndash; The rule gets the {@link CKEDITOR.dom.element} and reports DOM nodes or ranges.
+	 * * `'fragment'` &ndash; The rule gets the {@link CKEDITOR.htmlParser.fragment} built from the DOM and
+	 * reports {@link CKEDITOR.htmlParser.node parser nodes}, which are mapped back to the DOM.
+	 *
+	 * @property {String} [type='dom']
+	 */
+
+	/**
+	 * The part of the content checked at once:
+	 *
+	 * * `'block'` &ndash; The rule is called for every top-level block of the editable separately.
+	 * After a change only the changed blocks are checked again.
+	 * * `'document'` &ndash; The rule is called once for the whole editable, after every change.
+	 *
+	 * @property {String} [scope='block']
+	 */
+
+	/**
+	 * The default severity of the results reported by the rule: `'error'`, `'warning'` or `'info'`.
+	 *
+	 * @property {String} [severity='warning']
+	 */
+
+	/**
+	 * Checks the content.
+	 *
+	 * The `context` object contains the `editor`, the `lang` (the language entries of this plugin) and the `report` function.
+	 * The `report( target, message, [options] )` function adds a result, where:
+	 *
+	 * * `target` &ndash; A {@link CKEDITOR.dom.range}, a DOM node, a parser node or `null` for the problems
+	 * without a position in the content.
+	 * * `message` &ndash; The description of the problem.
+	 * * `options.start`, `options.end` &ndash; Optional offsets in the text of the reported text node.
+	 * For parser text nodes, the offsets refer to the decoded text.
+	 * * `options.severity` &ndash; Optional severity overriding the {@link #severity default one}.
+	 *
+	 * @method check
+	 * @param {CKEDITOR.dom.element/CKEDITOR.htmlParser.fragment} root The block, the editable or the fragment.
+	 * In a fragment of a block, the block is the only child of the fragment.
+	 * @param {Object} context
+	 */
+
+	/**
+	 * A problem found by the {@link CKEDITOR.plugins.lint.linter linter}.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.lint.result
+	 * @abstract
+	 */
+
+	/**
+	 * The name of the rule which reported the problem.
+	 *
+	 * @property {String} rule
+	 */
+
+	/**
+	 * The severity of the problem: `'error'`, `'warning'` or `'info'`.
+	 *
+	 * @property {String} severity
+	 */
+
+	/**
+	 * The description of the problem.
+	 *
+	 * @property {String} message
+	 */
+
+	/**
+	 * The range of the content with the problem or `null` if the problem concerns the whole content.
+	 *
+	 * @property {CKEDITOR.dom.range/null} range
+	 */
+
+	/**
+	 * The content linter. It checks the content with all enabled rules and, while the panel is visible,
+	 * checks it again shortly after every {@link CKEDITOR.editor#change}. The rules of the `'block'` scope
+	 * are run only for the blocks changed since the previous check.
+	 *
+	 * The results are underlined in the content and listed in the panel shown below the toolbar.
+	 * The instance is available in the {@link CKEDITOR.editor#lint} property:
+	 *
+	 *		editor.lint.addRule( 'noExclamations', {
+	 *			check: function( root, context ) {
+	 *				var nodes = CKEDITOR.plugins.lint.getTextNodes( root );
+	 *
+	 *				for ( var i = 0; i < nodes.length; i++ ) {
+	 *					var index = nodes[ i ].getText().indexOf( '!' );
+	 *
+	 *					if ( index != -1 ) {
+	 *						context.report( nodes[ i ], 'Avoid exclamation marks.', { start: index, end: index + 1 } );
+	 *					}
+	 *				}
+	 *			}
+	 *		} );
+	 *
+	 *		editor.on( 'lint', function( evt ) {
+	 *			console.log( evt.data.results.length + ' problems found.' );
+	 *		} );
+	 *
+	 *		editor.lint.show();
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.lint.linter
+	 * @constructor Creates a linter instance.
+	 * @param {CKEDITOR.editor} editor
+	 */
+	function Linter( editor ) {
+		var that = this;
+
+		/**
+		 * @readonly
+		 * @property {CKEDITOR.editor} editor
+		 */
+		this.editor = editor;
+
+		/**
+		 * The results of the last {@link #update}, in the document order. The results without a range are listed last.
+		 *
+		 * @readonly
+		 * @property {CKEDITOR.plugins.lint.result[]}
+		 */
+		this.results = [];
+
+		/**
+		 * Whether the panel and the markers are visible.
+		 *
+		 * @readonly
+		 * @property {Boolean}
+		 */
+		this.visible = false;
+
+		this._ = {
+			id: CKEDITOR.tools.getNextId(),
+			buffer: CKEDITOR.tools.eventsBuffer( updateDelay, function() {
+				that.update();
+			} ),
+			// The rules added to this instance only.
+			rules: {},
+			// The results of the block rules for every top-level block, reused while the block does not change.
+			cache: [],
+			overlay: new CKEDITOR.plugins.contentOverlay.overlay( editor, 'cke_lint_overlay' )
+		};
+
+		editor.on( 'uiSpace', function( evt ) {
+			if ( evt.data.space == 'top' ) {
+				evt.data.html += getPanelHtml( editor, this._.id );
+			}
+		}, this, null, 103 );
+
+		editor.on( 'change', function() {
+			if ( this.visible ) {
+				this._.buffer.input();
+			}
+		}, this );
+
+		editor.on( 'dataReady', function() {
+			if ( this.visible && editor.mode == 'wysiwyg' ) {
+				this.run();
+			}
+		}, this );
+
+		editor.on( 'mode', function() {
+			if ( this.visible && editor.mode != 'wysiwyg' ) {
+				this.hide();
+			}
+		}, this );
+
+		editor.on( 'resize', function() {
+			this.renderMarkers();
+		}, this );
+
+		editor.on( 'destroy', function() {
+			this._.buffer.reset();
+			this._.cache = [];
+			this._.overlay.remove();
+		}, this );
+	}
+
+	Linter.prototype = {
+		/**
+		 * Adds a rule used only by this editor instance. It takes precedence over the rule with the same name
+		 * added with {@link CKEDITOR.plugins.lint#addRule}.
+		 *
+		 * @param {String} name
+		 * @param {CKEDITOR.plugins.lint.rule} rule
+		 */
+		addRule: function( name, rule ) {
+			this._.rules[ name ] = rule;
+			this._.cache = [];
+		},
+
+		/**
+		 * Shows the panel and checks the content.
+		 */
+		show: function() {
+			this.visible = true;
+			this.run();
+			this.updateCommand();
+		},
+
+		/**
+		 * Hides the panel and the markers.
+		 */
+		hide: function() {
+			if ( !this.visible ) {
+				return;
+			}
+
+			this._.buffer.reset();
+
+			this.visible = false;
+			this.render();
+
+			if ( this.editor.mode == 'wysiwyg' ) {
+				this.editor.focus();
+			}
+
+			this.updateCommand();
+		},
+
+		/**
+		 * @private
+		 */
+		updateCommand: function() {
+			var command = this.editor.getCommand( 'lint' );
+
+			if ( command && command.state != CKEDITOR.TRISTATE_DISABLED ) {
+				command.setState( this.visible ? CKEDITOR.TRISTATE_ON : CKEDITOR.TRISTATE_OFF );
+			}
+		},
+
+		/**
+		 * Checks the whole content with all rules, discarding the results kept for unchanged blocks.
+		 *
+		 * @returns {CKEDITOR.plugins.lint.result[]}
+		 */
+		run: function() {
+			this._.cache = [];
+
+			return this.update();
+		},
+
+		/**
+		 * Checks the content. The block rules are run only for the blocks which changed since the previous check.
+		 * Fires the {@link CKEDITOR.editor#lint} event. The linter does not need to be {@link #visible} to check the content.
+		 *
+		 * @returns {CKEDITOR.plugins.lint.result[]}
+		 */
+		update: function() {
+			var editor = this.editor,
+				editable = editor.editable(),
+				rules = this.getRules(),
+				results = [],
+				cache = [],
+				blocks;
+
+			this._.buffer.reset();
+
+			if ( editable && editor.mode == 'wysiwyg' ) {
+				blocks = getBlocks( editable );
+
+				CKEDITOR.tools.array.forEach( blocks, function( block ) {
+					var html = block.getOuterHtml(),
+						entry = this.getCacheEntry( block, html );
+
+					if ( !entry ) {
+						entry = {
+							block: block,
+							html: html,
+							results: checkRoot( editor, rules, 'block', block )
+						};
+					}
+
+					cache.push( entry );
+					results = results.concat( entry.results );
+				}, this );
+
+				results = sortResults( results.concat( checkRoot( editor, rules, 'document', editable ) ) );
+			}
+
+			// Blocks are not cached when the editable contains text outside of blocks (e.g. with ENTER_BR),
+			// as the editable is checked as a whole then.
+			this._.cache = blocks && blocks.length == 1 && blocks[ 0 ].equals( editable ) ? [] : cache;
+			this.results = results;
+			this.render();
+
+			editor.fire( 'lint', { results: results } );
+
+			return results;
+		},
+
+		/**
+		 * Returns all rules enabled in this editor instance.
+		 *
+		 * @returns {Object.<String, CKEDITOR.plugins.lint.rule>}
+		 */
+		getRules: function() {
+			var all = CKEDITOR.tools.extend( {}, CKEDITOR.plugins.lint.rules, this._.rules, true ),
+				disabled = getDisabledRules( this.editor.config.lint_disabledRules ),
+				rules = {};
+
+			for ( var name in all ) {
+				if ( !disabled[ name ] ) {
+					rules[ name ] = all[ name ];
+				}
+			}
+
+			return rules;
+		},
+
+		/**
+		 * @private
+		 * @param {CKEDITOR.dom.element} block
+		 * @param {String} html
+		 * @returns {Object/null}
+		 */
+		getCacheEntry: function( block, html ) {
+			var cache = this._.cache;
+
+			for ( var i = 0; i < cache.length; i++ ) {
+				if ( cache[ i ].block.equals( block ) ) {
+					return cache[ i ].html == html && areRangesInside( cache[ i ].results, block ) ? cache[ i ] : null;
+				}
+			}
+
+			return null;
+		},
+
+		/**
+		 * Selects the content of the result and scrolls it into view.
+		 *
+		 * @param {Number} index The index of the result in {@link #results}.
+		 */
+		select: function( index ) {
+			var editor = this.editor,
+				result = this.results[ index ];
+
+			if ( !result || !result.range || editor.mode != 'wysiwyg' ) {
+				return;
+			}
+
+			editor.focus();
+			editor.getSelection().selectRanges( [ result.range.clone() ] );
+			editor.getSelection().scrollIntoView();
+		},
+
+		/**
+		 * Returns the panel element or `null` if it was not rendered.
+		 *
+		 * @returns {CKEDITOR.dom.element/null}
+		 */
+		getElement: function() {
+			var element = CKEDITOR.document.getById( this._.id );
+
+			if ( element && !element.getCustomData( 'lint' ) ) {
+				element.setCustomData( 'lint', this );
+				attachListeners( this, element );
+			}
+
+			return element;
+		},
+
+		/**
+		 * Refreshes the panel and the markers.
+		 */
+		render: function() {
+			var lang = this.editor.lang.lint,
+				element = this.getElement(),
+				counts = { error: 0, warning: 0, info: 0 },
+				html = '';
+
+			if ( element ) {
+				element.setStyle( 'display', this.visible ? '' : 'none' );
+
+				CKEDITOR.tools.array.forEach( this.visible ? this.results : [], function( result, index ) {
+					counts[ result.severity ] += 1;
+					html += getResultHtml( lang, result, index );
+				} );
+
+				element.findOne( '.cke_lint_status' ).setText( this.visible && this.results.length ?
+					lang.summary.replace( '%1', counts.error ).replace( '%2', counts.warning ).replace( '%3', counts.info ) :
+					lang.noResults );
+				element.findOne( '.cke_lint_results' ).setHtml( html );
+			}
+
+			this.renderMarkers();
+		},
+
+		/**
+		 * Underlines the ranges of all results.
+		 *
+		 * @private
+		 */
+		renderMarkers: function() {
+			var overlay = this._.overlay;
+
+			if ( !overlay.reset( this.visible && this.results.length ) ) {
+				return;
+			}
+
+			CKEDITOR.tools.array.forEach( this.results, function( result ) {
+				if ( !result.range ) {
+					return;
+				}
+
+				CKEDITOR.tools.array.forEach( result.range.getClientRects(), function( rect ) {
+					if ( !rect.width ) {
+						return;
+					}
+
+					overlay.draw( { top: rect.bottom - 2, left: rect.left, width: rect.width }, {
+						'class': 'cke_lint_marker cke_lint_marker_' + result.severity
+					} );
+				} );
+			} );
+		}
+	};
+
+	CKEDITOR.plugins.lint.linter = Linter;
+
+	// Runs the rules of the given scope for the root element.
+	function checkRoot( editor, rules, scope, root ) {
+		var results = [],
+			fragment,
+			name;
+
+		for ( name in rules ) {
+			var rule = rules[ name ];
+
+			if ( ( rule.scope || 'block' ) != scope ) {
+				continue;
+			}
+
+			if ( rule.type == 'fragment' ) {
+				fragment = fragment || createFragment( root, scope == 'block' );
+				rule.check( fragment.fragment, getContext( editor, name, rule, results, fragment ) );
+			} else {
+				rule.check( root, getContext( editor, name, rule, results ) );
+			}
+		}
+
+		return results;
+	}
+
+	function getContext( editor, name, rule, results, fragment ) {
+		return {
+			editor: editor,
+			lang: editor.lang.lint,
+
+			report: function( target, message, options ) {
+				options = options || {};
+
+				if ( fragment && target ) {
+					target = fragment.domNodes[ CKEDITOR.tools.indexOf( fragment.nodes, target ) ] || null;
+				}
+
+				results.push( {
+					rule: name,
+					severity: options.severity || rule.severity || 'warning',
+					message: message,
+					range: target ? getRange( editor, target, options ) : null
+				} );
+			}
+		};
+	}
+
+	function getRange( editor, target, options ) {
+		var range;
+
+		if ( target instanceof CKEDITOR.dom.range ) {
+			return target;
+		}
+
+		range = editor.createRange();
+
+		if ( target.type == CKEDITOR.NODE_TEXT ) {
+			range.setStart( target, Math.min( options.start || 0, target.getLength() ) );
+			range.setEnd( target, Math.min( options.end === undefined ? target.getLength() : options.end, target.getLength() ) );
+		} else {
+			range.setStartBefore( target );
+			range.setEndAfter( target );
+		}
+
+		return range;
+	}
+
+	// Builds the parser fragment from the DOM, so every parser node has its DOM counterpart.
+	function createFragment( root, includeRoot ) {
+		var fragment = new CKEDITOR.htmlParser.fragment(),
+			nodes = [],
+			domNodes = [];
+
+		function convert( domNode, parent ) {
+			var node,
+				attributes,
+				i;
+
+			if ( domNode.type == CKEDITOR.NODE_TEXT ) {
+				node = new CKEDITOR.htmlParser.text( CKEDITOR.tools.htmlEncode( domNode.getText() ) );
+			} else if ( domNode.type == CKEDITOR.NODE_ELEMENT && !CKEDITOR.plugins.contentOverlay.isTemporary( domNode ) ) {
+				attributes = {};
+
+				for ( i = 0; i < domNode.$.attributes.length; i++ ) {
+					var attribute = domNode.$.attributes[ i ];
+
+					if ( attribute.specified ) {
+						attributes[ attribute.nodeName.toLowerCase() ] = domNode.getAttribute( attribute.nodeName );
+					}
+				}
+
+				node = new CKEDITOR.htmlParser.element( domNode.getName(), attributes );
+
+				for ( i = 0; i < domNode.getChildCount(); i++ ) {
+					convert( domNode.getChild( i ), node );
+				}
+			} else {
+				return;
+			}
+
+			nodes.push( node );
+			domNodes.push( domNode );
+			parent.add( node );
+		}
+
+		if ( includeRoot ) {
+			convert( root, fragment );
+		} else {
+			for ( var i = 0; i < root.getChildCount(); i++ ) {
+				convert( root.getChild( i ), fragment );
+			}
+		}
+
+		return {
+			fragment: fragment,
+			nodes: nodes,
+			domNodes: domNodes
+		};
+	}
+
+	// Returns the top-level blocks of the editable or the editable itself, if it contains text outside of blocks.
+	function getBlocks( editable ) {
+		var blocks = [],
+			children = editable.getChildren();
+
+		for ( var i = 0; i < children.count(); i++ ) {
+			var child = children.getItem( i );
+
+			if ( child.type == CKEDITOR.NODE_TEXT && CKEDITOR.tools.trim( child.getText().replace( invisibleRegex, '' ) ) ||
+				child.type == CKEDITOR.NODE_ELEMENT && !child.isBlockBoundary() && !CKEDITOR.plugins.contentOverlay.isTemporary( child ) ) {
+				return [ editable ];
+			}
+
+			if ( child.type == CKEDITOR.NODE_ELEMENT && !CKEDITOR.plugins.contentOverlay.isTemporary( child ) ) {
+				blocks.push( child );
+			}
+		}
+
+		return blocks;
+	}
+
+	function areRangesInside( results, block ) {
+		for ( var i = 0; i < results.length; i++ ) {
+			var container = results[ i ].range && results[ i ].range.startContainer;
+
+			if ( container && !block.equals( container ) && !block.contains( container ) ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	function sortResults( results ) {
+		CKEDITOR.tools.array.forEach( results, function( result, index ) {
+			result._index = index;
+		} );
+
+		results.sort( function( first, second ) {
+			var order = compareRanges( first.range, second.range );
+
+			return order || first._index - second._index;
+		} );
+
+		CKEDITOR.tools.array.forEach( results, function( result ) {
+			delete result._index;
+		} );
+
+		return results;
+	}
+
+	function compareRanges( first, second ) {
+		var position;
+
+		if ( !first || !second ) {
+			return first ? -1 : second ? 1 : 0;
+		}
+
+		if ( first.startContainer.equals( second.startContainer ) ) {
+			return first.startOffset - second.startOffset;
+		}
+
+		position = first.startContainer.getPosition( second.startContainer );
+
+		if ( position & CKEDITOR.POSITION_PRECEDING ) {
+			return -1;
+		}
+
+		return position & CKEDITOR.POSITION_FOLLOWING ? 1 : 0;
+	}
+
+	function getPanelHtml( editor, id ) {
+		var lang = editor.lang.lint;
+
+		return '<div id="' + id + '" class="cke_lint" role="region" aria-label="' +
+				CKEDITOR.tools.htmlEncodeAttr( lang.title ) + '" style="display:none">' +
+			'<div class="cke_lint_row">' +
+				'<span class="cke_lint_status" role="status" aria-live="polite"></span>' +
+				getButtonHtml( 'update', lang.update ) +
+				getButtonHtml( 'hide', editor.lang.common.close, '&#10005;' ) +
+			'</div>' +
+			'<ul class="cke_lint_results"></ul>' +
+		'</div>';
+	}
+
+	function getButtonHtml( action, label, text ) {
+		var encode = CKEDITOR.tools.htmlEncodeAttr;
+
+		return '<button type="button" class="cke_lint_button" data-cke-lint-action="' + action + '" title="' + encode( label ) +
+			'" aria-label="' + encode( label ) + '">' + ( text || CKEDITOR.tools.htmlEncode( label ) ) + '</button>';
+	}
+
+	function getResultHtml( lang, result, index ) {
+		var severity = CKEDITOR.tools.indexOf( severities, result.severity ) != -1 ? result.severity : 'warning';
+
+		return '<li class="cke_lint_result cke_lint_result_' + severity + '">' +
+			'<button type="button" class="cke_lint_result_button" data-cke-lint-index="' + index + '"' +
+				( result.range ? '' : ' disabled' ) + '>' +
+				'<span class="cke_lint_severity">' + CKEDITOR.tools.htmlEncode( lang[ severity ] ) + '</span> ' +
+				CKEDITOR.tools.htmlEncode( result.message ) +
+			'</button>' +
+		'</li>';
+	}
+
+	function attachListeners( linter, element ) {
+		// The editor is not blurred when the panel is focused, so the floating toolbar of the inline editor stays visible.
+		linter.editor.focusManager.add( element, 1 );
+
+		element.on( 'click', function( evt ) {
+			var button = evt.data.getTarget().getAscendant( 'button', true ),
+				action = button && button.data( 'cke-lint-action' ),
+				index = button && button.data( 'cke-lint-index' );
+
+			if ( !button || button.$.disabled ) {
+				return;
+			}
+
+			if ( action == 'update' ) {
+				linter.run();
+			} else if ( action == 'hide' ) {
+				linter.hide();
+			} else if ( index !== false && index !== null ) {
+				linter.select( Number( index ) );
+			}
+		} );
+
+		element.on( 'keydown', function( evt ) {
+			if ( evt.data.getKeystroke() == 27 ) {
+				linter.hide();
+				evt.data.preventDefault();
+			}
+		} );
+	}
+
+	function getDisabledRules( config ) {
+		var rules = {};
+
+		if ( typeof config == 'string' ) {
+			config = config.split( /\s*,\s*/ );
+		}
+
+		CKEDITOR.tools.array.forEach( config || [], function( name ) {
+			rules[ name ] = 1;
+		} );
+
+		return rules;
+	}
+
+	// Splits the text nodes into groups of the nodes from the same block, e.g. a paragraph or a list item.
+	function getTextGroups( root ) {
+		var groups = [],
+			group,
+			block;
+
+		CKEDITOR.tools.array.forEach( CKEDITOR.plugins.lint.getTextNodes( root ), function( node ) {
+			var path = new CKEDITOR.dom.elementPath( node.getParent(), root ),
+				nodeBlock = path.block || path.blockLimit;
+
+			if ( !group || !nodeBlock.equals( block ) ) {
+				group = [];
+				groups.push( group );
+				block = nodeBlock;
+			}
+
+			group.push( node );
+		} );
+
+		return groups;
+	}
+
+	// Returns the range of the text between the given offsets in the joined text of the nodes.
+	function getTextRange( editor, nodes, start, end ) {
+		var range = editor.createRange(),
+			offset = 0;
+
+		for ( var i = 0; i < nodes.length; i++ ) {
+			var length = nodes[ i ].getLength();
+
+			if ( start >= offset && start < offset + length ) {
+				range.setStart( nodes[ i ], start - offset );
+			}
+
+			if ( end > offset && end <= offset + length ) {
+				range.setEnd( nodes[ i ], end - offset );
+				break;
+			}
+
+			offset += length;
+		}
+
+		return range;
+	}
+
+	function escapeRegex( text ) {
+		return text.replace( /[.*+?^${}()|[\]\\]/g, '\\$&' );
+	}
+
+	function normalizeText( text ) {
+		return CKEDITOR.tools.trim( text.replace( invisibleRegex, '' ).replace( /\s+/g, ' ' ) ).toLowerCase();
+	}
+
+	CKEDITOR.plugins.lint.addRule( 'bannedWords', {
+		severity: 'error',
+
+		check: function( root, context ) {
+			var words = context.editor.config.lint_bannedWords,
+				regex;
+
+			if ( !words || !words.length ) {
+				return;
+			}
+
+			// Words are matched as a whole and case-insensitively. Letters with diacritics are a part of the word.
+			regex = new RegExp( '(^|[^\\w\\u00c0-\\u024f])(' + CKEDITOR.tools.array.map( words, escapeRegex ).join( '|' ) +
+				')(?=$|[^\\w\\u00c0-\\u024f])', 'gi' );
+
+			CKEDITOR.tools.array.forEach( CKEDITOR.plugins.lint.getTextNodes( root ), function( node ) {
+				var text = node.getText(),
+					match,
+					start;
+
+				regex.lastIndex = 0;
+
+				while ( ( match = regex.exec( text ) ) ) {
+					start = match.index + match[ 1 ].length;
+
+					context.report( node, context.lang.bannedWord.replace( '%1', match[ 2 ] ), {
+						start: start,
+						end: start + match[ 2 ].length
+					} );
+
+					// The separator before the next word may be the character which ended this word.
+					regex.lastIndex = start + match[ 2 ].length;
+				}
+			} );
+		}
+	} );
+
+	CKEDITOR.plugins.lint.addRule( 'maxSentenceLength', {
+		check: function( root, context ) {
+			var max = context.editor.config.lint_maxSentenceLength;
+
+			if ( !max ) {
+				return;
+			}
+
+			CKEDITOR.tools.array.forEach( getTextGroups( root ), function( nodes ) {
+				var text = CKEDITOR.tools.array.map( nodes, function( node ) {
+						return node.getText();
+					} ).join( '' ),
+					match,
+					words;
+
+				sentenceRegex.lastIndex = 0;
+
+				while ( ( match = sentenceRegex.exec( text ) ) ) {
+					words = match[ 0 ].replace( invisibleRegex, '' ).match( /\S+/g );
+
+					if ( words && words.length > max ) {
+						context.report( getTextRange( context.editor, nodes, match.index, match.index + CKEDITOR.tools.rtrim( match[ 0 ] ).length ),
+							context.lang.sentenceLength.replace( '%1', words.length ).replace( '%2', max ) );
+					}
+
+					// Do not loop forever on the empty match at the end of the text.
+					if ( !match[ 0 ].length ) {
+						sentenceRegex.lastIndex++;
+					}
+				}
+			} );
+		}
+	} );
+
+	CKEDITOR.plugins.lint.addRule( 'noInlineStyles', {
+		type: 'fragment',
+
+		check: function( fragment, context ) {
+			fragment.forEach( function( element ) {
+				if ( element.attributes.style ) {
+					context.report( element, context.lang.inlineStyles.replace( '%1', element.name ) );
+				}
+			}, CKEDITOR.NODE_ELEMENT );
+		}
+	} );
+
+	CKEDITOR.plugins.lint.addRule( 'requiredHeadings', {
+		scope: 'document',
+		severity: 'error',
+
+		check: function( root, context ) {
+			var required = context.editor.config.lint_requiredHeadings,
+				headings = root.find( 'h1,h2,h3,h4,h5,h6' ).toArray(),
+				texts = {};
+
+			if ( !required || !required.length ) {
+				return;
+			}
+
+			CKEDITOR.tools.array.forEach( headings, function( heading ) {
+				texts[ normalizeText( heading.getText() ) ] = 1;
+			} );
+
+			CKEDITOR.tools.array.forEach( required, function( text ) {
+				if ( !texts[ normalizeText( text ) ] ) {
+					context.report( null, context.lang.requiredHeading.replace( '%1', text ) );
+				}
+			} );
+		}
+	} );
+} )();
+
+/**
+ * Fired after the {@link CKEDITOR.plugins.lint.linter linter} checked the content.
+ *
+ * @since 4.13.0
+ * @event lint
+ * @member CKEDITOR.editor
+ * @param {CKEDITOR.editor} editor This editor instance.
+ * @param data
+ * @param {CKEDITOR.plugins.lint.result[]} data.results The results of the check.
+ */
+
+/**
+ * The words which should not be used in the content, reported by the `bannedWords` rule of the
+ * [Content Linter](https://ckeditor.com/cke4/addon/lint) plugin. Words are matched as a whole and case-insensitively.
+ *
+ *		config.lint_bannedWords = [ 'obviously', 'simply', 'just' ];
+ *
+ * @since 4.13.0
+ * @cfg {String[]} [lint_bannedWords=[]]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * The maximum number of words in a sentence, checked by the `maxSentenceLength` rule of the
+ * [Content Linter](https://ckeditor.com/cke4/addon/lint) plugin. Set to `0` to disable the check.
+ *
+ *		config.lint_maxSentenceLength = 30;
+ *
+ * @since 4.13.0
+ * @cfg {Number} [lint_maxSentenceLength=0]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * The texts of the headings which must be present in the content, checked by the `requiredHeadings` rule of the
+ * [Content Linter](https://ckeditor.com/cke4/addon/lint) plugin. Heading texts are compared case-insensitively.
+ *
+ *		config.lint_requiredHeadings = [ 'Summary', 'Next steps' ];
+ *
+ * @since 4.13.0
+ * @cfg {String[]} [lint_requiredHeadings=[]]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * The names of the [Content Linter](https://ckeditor.com/cke4/addon/lint) rules which should not be used,
+ * as an array or a comma-separated string.
+ *
+ *		config.lint_disabledRules = 'noInlineStyles';
+ *
+ * @since 4.13.0
+ * @cfg {String/String[]} [lint_disabledRules=[]]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * Whether the [Content Linter](https://ckeditor.com/cke4/addon/lint) panel should be shown when the editor is ready.
+ *
+ *		config.lint_autoStart = true;
+ *
+ * @since 4.13.0
+ * @cfg {Boolean} [lint_autoStart=false]
+ * @member CKEDITOR.config
+ */
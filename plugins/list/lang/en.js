@@ -4,5 +4,6 @@ For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
 */
 CKEDITOR.plugins.setLang( 'list', 'en', {
 	bulletedlist: 'Insert/Remove Bulleted List',
-	numberedlist: 'Insert/Remove Numbered List'
+	numberedlist: 'Insert/Remove Numbered List',
+	todolist: 'Insert/Remove To-do List'
 } );
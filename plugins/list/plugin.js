@@ -4,11 +4,14 @@
  */
 
 /**
- * @fileOverview Insert and remove numbered and bulleted lists.
+ * @fileOverview Insert and remove numbered, bulleted and to-do lists.
  */
 
 ( function() {
-	var listNodeNames = { ol: 1, ul: 1 };
+	var listNodeNames = { ol: 1, ul: 1 },
+		todoListClass = 'todo-list',
+		// This flag prevents appending stylesheet more than once.
+		stylesLoaded = false;
 
 	var whitespaces = CKEDITOR.dom.walker.whitespaces(),
 		bookmarks = CKEDITOR.dom.walker.bookmark(),
@@ -37,6 +40,99 @@
 		style && el.setAttribute( 'style', style.replace( /([^;])$/, '$1;' ) + ( el.getAttribute( 'style' ) || '' ) );
 	}
 
+	function isTodoList( element ) {
+		return element.is( 'ul' ) && element.hasClass( todoListClass );
+	}
+
+	// Whether the list element is the one produced by the given list command. A to-do list
+	// is a `<ul>` element too, but it is not treated as a bulleted list (and vice versa).
+	function isListOfType( list, command ) {
+		return list.is( command.type ) && ( command.className ? list.hasClass( command.className ) : !isTodoList( list ) );
+	}
+
+	function isSameListType( list, other ) {
+		return list.getName() == other.getName() && isTodoList( list ) == isTodoList( other );
+	}
+
+	// Returns the to-do list item containing the given node or null.
+	function getTodoItem( node ) {
+		var item = node && node.getAscendant( 'li', true ),
+			list = item && item.getParent();
+
+		return list && list.type == CKEDITOR.NODE_ELEMENT && isTodoList( list ) ? item : null;
+	}
+
+	function isTodoItemChecked( item ) {
+		return item.getAttribute( 'data-checked' ) == 'true';
+	}
+
+	function setTodoItemChecked( item, checked ) {
+		if ( checked ) {
+			item.setAttribute( 'data-checked', 'true' );
+		} else {
+			item.removeAttribute( 'data-checked' );
+		}
+	}
+
+	// Checks all given items, unless all of them are already checked, in which case they are unchecked.
+	function toggleTodoItems( items ) {
+		var checked = false;
+
+		for ( var i = 0; i < items.length; i++ ) {
+			if ( !isTodoItemChecked( items[ i ] ) ) {
+				checked = true;
+				break;
+			}
+		}
+
+		for ( i = 0; i < items.length; i++ )
+			setTodoItemChecked( items[ i ], checked );
+	}
+
+	function getSelectedTodoItems( editor ) {
+		var selection = editor.getSelection(),
+			ranges = selection ? selection.getRanges() : [],
+			items = [],
+			walker, node, i;
+
+		function addItem( item ) {
+			if ( !item )
+				return;
+
+			for ( var j = 0; j < items.length; j++ ) {
+				if ( items[ j ].equals( item ) )
+					return;
+			}
+
+			items.push( item );
+		}
+
+		for ( i = 0; i < ranges.length; i++ ) {
+			addItem( getTodoItem( ranges[ i ].startContainer ) );
+
+			walker = new CKEDITOR.dom.walker( ranges[ i ] );
+			while ( ( node = walker.next() ) )
+				addItem( getTodoItem( node ) );
+		}
+
+		return items;
+	}
+
+	// Whether the mouse event happened over the checkbox, which is drawn in the start padding of the list item.
+	function isCheckboxEvent( item, nativeEvent ) {
+		var rect = item.$.getBoundingClientRect(),
+			rtl = item.getComputedStyle( 'direction' ) == 'rtl',
+			padding = parseInt( item.getComputedStyle( rtl ? 'padding-right' : 'padding-left' ), 10 ) || 0;
+
+		return rtl ? nativeEvent.clientX >= rect.right - padding : nativeEvent.clientX <= rect.left + padding;
+	}
+
+	function isEmptyTodoItem( item ) {
+		return !CKEDITOR.tools.trim( item.getText().replace( /\u200b/g, '' ) ) && !item.getFirst( function( node ) {
+			return node.type == CKEDITOR.NODE_ELEMENT && !node.is( 'br' );
+		} );
+	}
+
 	CKEDITOR.plugins.list = {
 		/**
 		 * Convert a DOM list tree into a data structure that is easier to
@@ -123,7 +219,7 @@
 				orgDir = item.element.getDirection( 1 );
 
 				if ( item.indent == indentLevel ) {
-					if ( !rootNode || listArray[ currentIndex ].parent.getName() != rootNode.getName() ) {
+					if ( !rootNode || !isSameListType( listArray[ currentIndex ].parent, rootNode ) ) {
 						rootNode = listArray[ currentIndex ].parent.clone( false, 1 );
 						dir && rootNode.setAttribute( 'dir', dir );
 						retval.append( rootNode );
@@ -289,7 +385,20 @@
 			}
 
 			return { listNode: retval, nextIndex: currentIndex };
-		}
+		},
+
+		/**
+		 * Checks whether the given element is a to-do list, that is a `<ul>` element
+		 * with the `todo-list` class.
+		 *
+		 *		CKEDITOR.plugins.list.isTodoList( CKEDITOR.dom.element.createFromHtml( '<ul class="todo-list"></ul>' ) ); // true
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.list
+		 * @param {CKEDITOR.dom.element} element
+		 * @returns {Boolean}
+		 */
+		isTodoList: isTodoList
 	};
 
 	function changeListType( editor, groupObj, database, listsCreated ) {
@@ -319,21 +428,26 @@
 			listNode = listArray[ listIndex ].parent;
 
 			// Switch to new list node for this particular item.
-			if ( !listNode.is( this.type ) ) {
+			if ( !isListOfType( listNode, this ) ) {
 				newListNode = doc.createElement( this.type );
 				// Copy all attributes, except from 'start' and 'type'.
 				listNode.copyAttributes( newListNode, { start: 1, type: 1 } );
 				// The list-style-type property should be ignored.
 				newListNode.removeStyle( 'list-style-type' );
+				newListNode.removeClass( todoListClass );
+				this.className && newListNode.addClass( this.className );
 				listArray[ listIndex ].parent = newListNode;
 			}
+
+			// The checked state makes sense only for to-do list items.
+			!this.className && listArray[ listIndex ].element.removeAttribute( 'data-checked' );
 		}
 
 		var newList = CKEDITOR.plugins.list.arrayToList( listArray, database, null, editor.config.enterMode );
 		var child,
 			length = newList.listNode.getChildCount();
 		for ( i = 0; i < length && ( child = newList.listNode.getChild( i ) ); i++ ) {
-			if ( child.getName() == this.type )
+			if ( child.type == CKEDITOR.NODE_ELEMENT && isListOfType( child, this ) )
 				listsCreated.push( child );
 		}
 		newList.listNode.replace( groupObj.root );
@@ -402,6 +516,7 @@
 		var insertAnchor = listContents[ listContents.length - 1 ].getNext(),
 			listNode = doc.createElement( this.type );
 
+		this.className && listNode.addClass( this.className );
 		listsCreated.push( listNode );
 
 		var contentBlock, listItem;
@@ -513,12 +628,20 @@
 		);
 	}
 
-	function listCommand( name, type ) {
+	function listCommand( name, type, className ) {
 		this.name = name;
 		this.type = type;
+		this.className = className;
 		this.context = type;
-		this.allowedContent = type + ' li';
-		this.requiredContent = type;
+
+		if ( className ) {
+			// The class is required, so the to-do list does not allow plain lists of the same type.
+			this.allowedContent = type + '(!' + className + '); li[data-checked]';
+			this.requiredContent = type + '(' + className + ')';
+		} else {
+			this.allowedContent = type + ' li';
+			this.requiredContent = type;
+		}
 	}
 
 	var elementType = CKEDITOR.dom.walker.nodeType( CKEDITOR.NODE_ELEMENT );
@@ -561,7 +684,7 @@
 				else {
 					var range = ranges.length == 1 && ranges[ 0 ],
 						enclosedNode = range && range.getEnclosedNode();
-					if ( enclosedNode && enclosedNode.is && this.type == enclosedNode.getName() )
+					if ( enclosedNode && enclosedNode.is && isListOfType( enclosedNode, this ) )
 						this.setState( CKEDITOR.TRISTATE_ON );
 				}
 			}
@@ -706,7 +829,7 @@
 			// 1. Only a single type of list activate.
 			// 2. Do not show list outside of block limit.
 			if ( list && limit.contains( list ) )
-				this.setState( list.is( this.type ) ? CKEDITOR.TRISTATE_ON : CKEDITOR.TRISTATE_OFF );
+				this.setState( isListOfType( list, this ) ? CKEDITOR.TRISTATE_ON : CKEDITOR.TRISTATE_OFF );
 			else
 				this.setState( CKEDITOR.TRISTATE_OFF );
 		}
@@ -717,7 +840,7 @@
 
 		function mergeSibling( rtl ) {
 			var sibling = listNode[ rtl ? 'getPrevious' : 'getNext' ]( nonEmpty );
-			if ( sibling && sibling.type == CKEDITOR.NODE_ELEMENT && sibling.is( listNode.getName() ) ) {
+			if ( sibling && sibling.type == CKEDITOR.NODE_ELEMENT && isSameListType( sibling, listNode ) ) {
 				// Move children order by merge direction.(https://dev.ckeditor.com/ticket/3820)
 				mergeChildren( listNode, sibling, null, !rtl );
 
@@ -843,16 +966,47 @@
 		// jscs:disable maximumLineLength
 		lang: 'af,ar,az,bg,bn,bs,ca,cs,cy,da,de,de-ch,el,en,en-au,en-ca,en-gb,eo,es,es-mx,et,eu,fa,fi,fo,fr,fr-ca,gl,gu,he,hi,hr,hu,id,is,it,ja,ka,km,ko,ku,lt,lv,mk,mn,ms,nb,nl,no,oc,pl,pt,pt-br,ro,ru,si,sk,sl,sq,sr,sr-latn,sv,th,tr,tt,ug,uk,vi,zh,zh-cn', // %REMOVE_LINE_CORE%
 		// jscs:enable maximumLineLength
-		icons: 'bulletedlist,bulletedlist-rtl,numberedlist,numberedlist-rtl', // %REMOVE_LINE_CORE%
+		icons: 'bulletedlist,bulletedlist-rtl,numberedlist,numberedlist-rtl,todolist,todolist-rtl', // %REMOVE_LINE_CORE%
 		hidpi: true, // %REMOVE_LINE_CORE%
 		requires: 'indentlist',
 		init: function( editor ) {
 			if ( editor.blockless )
 				return;
 
+			var stylesPath = this.path + 'styles/todolist.css';
+
 			// Register commands.
 			editor.addCommand( 'numberedlist', new listCommand( 'numberedlist', 'ol' ) );
 			editor.addCommand( 'bulletedlist', new listCommand( 'bulletedlist', 'ul' ) );
+			editor.addCommand( 'todolist', new listCommand( 'todolist', 'ul', todoListClass ) );
+			editor.addCommand( 'toggleTodoItem', {
+				contextSensitive: true,
+				startDisabled: true,
+				requiredContent: 'ul(' + todoListClass + ')',
+
+				exec: function( editor, data ) {
+					var items = data && data.item ? [ data.item ] : getSelectedTodoItems( editor );
+
+					if ( !items.length )
+						return false;
+
+					toggleTodoItems( items );
+				},
+
+				refresh: function( editor, path ) {
+					var item = getTodoItem( path.lastElement );
+
+					if ( !item )
+						this.setState( CKEDITOR.TRISTATE_DISABLED );
+					else
+						this.setState( isTodoItemChecked( item ) ? CKEDITOR.TRISTATE_ON : CKEDITOR.TRISTATE_OFF );
+				}
+			} );
+
+			// The checkboxes are drawn with CSS. Inline editors get the styles in the host page once their editable is created.
+			if ( editor.addContentsCss ) {
+				editor.addContentsCss( stylesPath );
+			}
 
 			// Register the toolbar button.
 			if ( editor.ui.addButton ) {
@@ -868,14 +1022,85 @@
 					directional: true,
 					toolbar: 'list,20'
 				} );
+				editor.ui.addButton( 'TodoList', {
+					label: editor.lang.list.todolist,
+					command: 'todolist',
+					directional: true,
+					toolbar: 'list,30'
+				} );
 			}
 
+			// Toggle the to-do list item when its checkbox is clicked.
+			editor.on( 'contentDom', function() {
+				var editable = editor.editable();
+
+				// The styles are not added to the host page of other editors, as they would style its own to-do lists.
+				if ( editable.isInline() && !stylesLoaded ) {
+					CKEDITOR.document.appendStyleSheet( stylesPath );
+					stylesLoaded = true;
+				}
+
+				editable.attachListener( editable, 'mousedown', function( evt ) {
+					var target = evt.data.getTarget(),
+						item = target.type == CKEDITOR.NODE_ELEMENT && target.is( 'li' ) && getTodoItem( target );
+
+					if ( !item || editor.readOnly || !isCheckboxEvent( item, evt.data.$ ) )
+						return;
+
+					// Do not move the selection to the list item.
+					evt.data.preventDefault();
+
+					editor.fire( 'saveSnapshot' );
+					toggleTodoItems( [ item ] );
+					editor.fire( 'saveSnapshot' );
+				} );
+			} );
+
+			// A list item created by splitting a to-do list item with the Enter key starts unchecked.
+			editor.on( 'afterCommandExec', function( evt ) {
+				if ( evt.data.name != 'enter' || editor.mode != 'wysiwyg' )
+					return;
+
+				var selection = editor.getSelection(),
+					range = selection && selection.getRanges()[ 0 ],
+					item = range && getTodoItem( range.startContainer ),
+					previous = item && item.getPrevious( nonEmpty );
+
+				if ( !item )
+					return;
+
+				if ( previous && previous.type == CKEDITOR.NODE_ELEMENT && previous.is( 'li' ) ) {
+					// When splitting at the start of an item, the new empty item is inserted before the caret.
+					if ( isEmptyTodoItem( previous ) )
+						setTodoItemChecked( previous, false );
+					else
+						setTodoItemChecked( item, false );
+				}
+			// Run before the undo manager records the snapshot.
+			}, null, null, 5 );
+
 			// Handled backspace/del key to join list items. (https://dev.ckeditor.com/ticket/8248,https://dev.ckeditor.com/ticket/9080)
 			editor.on( 'key', function( evt ) {
 				// Use getKey directly in order to ignore modifiers.
 				// Justification: https://dev.ckeditor.com/ticket/11861#comment:13
 				var key = evt.data.domEvent.getKey(), li;
 
+				// Space at the start of a to-do list item toggles its checked state.
+				if ( editor.mode == 'wysiwyg' && !editor.readOnly && evt.data.keyCode == 32 ) {
+					var selection = editor.getSelection(),
+						spaceRange = selection && selection.getRanges()[ 0 ],
+						item = spaceRange && spaceRange.collapsed && getTodoItem( spaceRange.startContainer );
+
+					if ( item && spaceRange.checkBoundaryOfElement( item, CKEDITOR.START ) ) {
+						editor.fire( 'saveSnapshot' );
+						toggleTodoItems( [ item ] );
+						editor.fire( 'saveSnapshot' );
+						evt.cancel();
+					}
+
+					return;
+				}
+
 				// DEl/BACKSPACE
 				if ( editor.mode == 'wysiwyg' && key in { 8: 1, 46: 1 } ) {
 					var sel = editor.getSelection(),
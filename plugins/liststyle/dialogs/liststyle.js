@@ -164,12 +164,85 @@
 					var editor = this.getParentEditor(),
 						element = getListElement( editor, 'ol' );
 
+					element && this.commitContent( element );
+				}
+			};
+		} else if ( startupPage == 'todoListStyle' ) {
+			return {
+				title: lang.todoTitle,
+				minWidth: 300,
+				minHeight: 50,
+				contents: [ {
+					id: 'info',
+					accessKey: 'I',
+					elements: [ {
+						type: 'select',
+						label: lang.todoItems,
+						id: 'state',
+						align: 'center',
+						style: 'width:150px',
+						items: [
+							[ lang.notset, '' ],
+							[ lang.todoChecked, 'checked' ],
+							[ lang.todoUnchecked, 'unchecked' ]
+						],
+						setup: function( element ) {
+							var items = getTodoItems( element ),
+								checkedCount = 0;
+
+							for ( var i = 0; i < items.length; i++ ) {
+								if ( items[ i ].getAttribute( 'data-checked' ) == 'true' )
+									checkedCount++;
+							}
+
+							// Mixed state is shown as not set, so the items are left untouched.
+							this.setValue( items.length && checkedCount == items.length ? 'checked' : !checkedCount ? 'unchecked' : '' );
+						},
+						commit: function( element ) {
+							var value = this.getValue(),
+								items = getTodoItems( element );
+
+							if ( !value )
+								return;
+
+							for ( var i = 0; i < items.length; i++ ) {
+								if ( value == 'checked' )
+									items[ i ].setAttribute( 'data-checked', 'true' );
+								else
+									items[ i ].removeAttribute( 'data-checked' );
+							}
+						}
+					} ]
+				} ],
+				onShow: function() {
+					var editor = this.getParentEditor(),
+						element = getListElement( editor, 'ul' );
+
+					element && this.setupContent( element );
+				},
+				onOk: function() {
+					var editor = this.getParentEditor(),
+						element = getListElement( editor, 'ul' );
+
 					element && this.commitContent( element );
 				}
 			};
 		}
 	}
 
+	// Returns the direct items of the to-do list.
+	function getTodoItems( element ) {
+		var children = element.getChildren(),
+			items = [];
+
+		for ( var i = 0; i < children.count(); i++ ) {
+			if ( listItem( children.getItem( i ) ) )
+				items.push( children.getItem( i ) );
+		}
+
+		return items;
+	}
+
 	CKEDITOR.dialog.add( 'numberedListStyle', function( editor ) {
 		return listStyle( editor, 'numberedListStyle' );
 	} );
@@ -177,4 +250,8 @@
 	CKEDITOR.dialog.add( 'bulletedListStyle', function( editor ) {
 		return listStyle( editor, 'bulletedListStyle' );
 	} );
+
+	CKEDITOR.dialog.add( 'todoListStyle', function( editor ) {
+		return listStyle( editor, 'todoListStyle' );
+	} );
 } )();
@@ -14,6 +14,10 @@ CKEDITOR.plugins.setLang( 'liststyle', 'en', {
 	numberedTitle: 'Numbered List Properties',
 	square: 'Square',
 	start: 'Start',
+	todoChecked: 'All checked',
+	todoItems: 'Items',
+	todoTitle: 'To-do List Properties',
+	todoUnchecked: 'All unchecked',
 	type: 'Type',
 	upperAlpha: 'Upper Alpha (A, B, C, D, E, etc.)',
 	upperRoman: 'Upper Roman (I, II, III, IV, V, etc.)',
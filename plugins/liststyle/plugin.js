@@ -37,6 +37,14 @@
 			editor.addFeature( cmd );
 			CKEDITOR.dialog.add( 'bulletedListStyle', this.path + 'dialogs/liststyle.js' );
 
+			def = new CKEDITOR.dialogCommand( 'todoListStyle', {
+				requiredContent: 'ul(todo-list)',
+				allowedContent: 'ul(!todo-list); li[data-checked]'
+			} );
+			cmd = editor.addCommand( 'todoListStyle', def );
+			editor.addFeature( cmd );
+			CKEDITOR.dialog.add( 'todoListStyle', this.path + 'dialogs/liststyle.js' );
+
 			//Register map group;
 			editor.addMenuGroup( 'list', 108 );
 
@@ -50,6 +58,11 @@
 					label: editor.lang.liststyle.bulletedTitle,
 					group: 'list',
 					command: 'bulletedListStyle'
+				},
+				todolist: {
+					label: editor.lang.liststyle.todoTitle,
+					group: 'list',
+					command: 'todoListStyle'
 				}
 			} );
 
@@ -61,6 +74,8 @@
 					var name = element.getName();
 					if ( name == 'ol' )
 						return { numberedlist: CKEDITOR.TRISTATE_OFF };
+					else if ( name == 'ul' && element.hasClass( 'todo-list' ) )
+						return { todolist: CKEDITOR.TRISTATE_OFF };
 					else if ( name == 'ul' )
 						return { bulletedlist: CKEDITOR.TRISTATE_OFF };
 
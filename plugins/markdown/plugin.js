@@ -0,0 +1,1182 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @fileOverview The "Markdown" plugin. Makes the editor load and output
+ * [CommonMark](https://commonmark.org/) (with GitHub Flavored Markdown tables and
+ * strikethrough) instead of HTML.
+ */
+
+( function() {
+	'use strict';
+
+	var tools = CKEDITOR.tools,
+		dtd = CKEDITOR.dtd;
+
+	// Content which can be represented in Markdown and thus survives the round trip.
+	var allowedContent = 'p br hr blockquote h1 h2 h3 h4 h5 h6 strong em s code; ' +
+		'a[!href,title]; img[!src,alt,title]; ul li; ol[start]; pre; code(language-*); ' +
+		'table thead tbody tr; th td{text-align}';
+
+	var blankRegex = /^\s*$/,
+		atxHeadingRegex = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+		setextUnderlineRegex = /^ {0,3}(=+|-+)[ \t]*$/,
+		thematicBreakRegex = /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/,
+		fenceOpenRegex = /^( {0,3})(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/,
+		blockquoteRegex = /^ {0,3}> ?/,
+		listItemRegex = /^( {0,3})([*+-]|\d{1,9}[.)])( +|$)(.*)$/,
+		indentedCodeRegex = /^ {4}/,
+		htmlBlockRegex = /^ {0,3}<\/?([a-zA-Z][a-zA-Z0-9-]*)(?:\s|\/?>|$)/,
+		tableDelimiterRegex = /^ {0,3}\|?(?:\s*:?-+:?\s*\|)*\s*:?-+:?\s*\|?\s*$/,
+		linkDefinitionRegex = /^ {0,3}\[([^\]]+)\]:\s*<?([^\s>]+)>?(?:\s+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?\s*$/,
+		escapableRegex = /[!"#$%&'()*+,\-.\/:;<=>?@\[\\\]\^_`{|}~]/,
+		punctuationRegex = /[!-\/:-@\[-`{-~\u2000-\u206F\u2E00-\u2E7F]/,
+		autolinkRegex = /^<([a-zA-Z][a-zA-Z0-9+.\-]{1,31}:[^<>\s]*)>/,
+		emailAutolinkRegex = /^<([a-zA-Z0-9.!#$%&'*+\/=?\^_`{|}~\-]+@[a-zA-Z0-9](?:[a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?)*)>/,
+		inlineHtmlRegex = /^(?:<!--[\s\S]*?-->|<\/?[a-zA-Z][a-zA-Z0-9\-]*(?:\s+[a-zA-Z_:][\w.:\-]*(?:\s*=\s*(?:[^\s"'=<>`]+|'[^']*'|"[^"]*"))?)*\s*\/?>)/,
+		entityRegex = /^&(?:#[xX][0-9a-fA-F]{1,6}|#\d{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});/;
+
+	CKEDITOR.plugins.add( 'markdown', {
+		requires: 'entities',
+
+		// Adapt the editor configuration to the Markdown environment.
+		beforeInit: function( editor ) {
+			var filter = editor.filter;
+
+			CKEDITOR.tools.extend( editor.config, {
+				// Markdown output is plain text, so entities are decoded by the writer anyway.
+				entities: false,
+				// Empty paragraphs have no representation in Markdown.
+				fillEmptyBlocks: false
+			}, true );
+
+			// Restrict the content to what can be represented in Markdown unless the integrator
+			// took the responsibility by setting config.allowedContent on its own. Marking the
+			// filter as custom makes it ignore the content allowed by other features.
+			if ( !filter.disabled && !filter.customConfig ) {
+				filter.customConfig = true;
+				filter.allow( allowedContent, 'markdown', true );
+			}
+		},
+
+		init: function( editor ) {
+			var processor = editor.markdownDataProcessor = new CKEDITOR.markdownDataProcessor( editor );
+
+			function onSetData( evt ) {
+				evt.data.dataValue = processor.toHtml( evt.data.dataValue );
+			}
+
+			// Skip the first "setData" call from inline creator, to allow content of
+			// HTML to be loaded from the page element.
+			if ( editor.elementMode == CKEDITOR.ELEMENT_MODE_INLINE ) {
+				editor.once( 'contentDom', function() {
+					editor.on( 'setData', onSetData );
+				} );
+			} else {
+				editor.on( 'setData', onSetData );
+			}
+
+			// Run late, so listeners operating on HTML still get it.
+			editor.on( 'getData', function( evt ) {
+				evt.data.dataValue = processor.toDataFormat( evt.data.dataValue );
+			}, null, null, 999 );
+		}
+	} );
+
+	/**
+	 * Represents the Markdown data processor which translates
+	 * [CommonMark](https://spec.commonmark.org/) into HTML and the HTML produced by the editor back into
+	 * Markdown. Apart from the CommonMark syntax, tables and strikethrough known from
+	 * [GitHub Flavored Markdown](https://github.github.com/gfm/) are supported.
+	 *
+	 * The processor is created by the Markdown plugin and exposed as
+	 * {@link CKEDITOR.editor#markdownDataProcessor}. Unlike the {@link CKEDITOR.htmlDataProcessor} it does not replace
+	 * {@link CKEDITOR.editor#dataProcessor} because the latter also processes the pasted and inserted HTML. Instead, it
+	 * translates the data passed to {@link CKEDITOR.editor#setData} and returned by {@link CKEDITOR.editor#getData}.
+	 * The HTML produced by {@link #toHtml} is then processed by the editor like any other input data.
+	 *
+	 *		var processor = new CKEDITOR.markdownDataProcessor();
+	 *
+	 *		processor.toHtml( 'This is **an example**.' ); // '<p>This is <strong>an example</strong>.</p>'
+	 *		processor.toDataFormat( '<p>This is <em>an example</em>.</p>' ); // 'This is *an example*.'
+	 *
+	 * Fenced code blocks are represented as `<pre><code class="language-*">` which is the format understood by
+	 * the {@link CKEDITOR.plugins.codesnippet Code Snippet} plugin.
+	 *
+	 * @since 4.13.0
+	 * @class
+	 * @extends CKEDITOR.dataProcessor
+	 * @constructor Creates a markdownDataProcessor class instance.
+	 * @param {CKEDITOR.editor} [editor]
+	 */
+	CKEDITOR.markdownDataProcessor = function( editor ) {
+		/**
+		 * The editor instance this processor belongs to.
+		 *
+		 * @readonly
+		 * @property {CKEDITOR.editor/null}
+		 */
+		this.editor = editor || null;
+	};
+
+	CKEDITOR.markdownDataProcessor.prototype = {
+		/**
+		 * Transforms Markdown into HTML.
+		 *
+		 * @param {String} data The Markdown source.
+		 * @returns {String} The HTML.
+		 */
+		toHtml: function( data ) {
+			var lines = expandTabs( String( data || '' ).replace( /\r\n?/g, '\n' ) ).split( '\n' ),
+				references = {},
+				blocks = parseBlocks( lines, references );
+
+			return renderBlocks( blocks, references, false );
+		},
+
+		/**
+		 * Transforms HTML into Markdown. Elements which cannot be represented in Markdown are replaced
+		 * with their contents.
+		 *
+		 * @param {String} html The HTML.
+		 * @returns {String} The Markdown source.
+		 */
+		toDataFormat: function( html ) {
+			var fragment = CKEDITOR.htmlParser.fragment.fromHtml( html || '' );
+
+			return writeBlocks( fragment.children, '\n\n' );
+		}
+	};
+
+	/**
+	 * The list of content rules which can be represented in Markdown. Unless {@link CKEDITOR.config#allowedContent}
+	 * is set, the {@link CKEDITOR.editor#filter editor filter} is restricted to these rules.
+	 *
+	 * @since 4.13.0
+	 * @readonly
+	 * @static
+	 * @property {String} allowedContent
+	 * @member CKEDITOR.markdownDataProcessor
+	 */
+	CKEDITOR.markdownDataProcessor.allowedContent = allowedContent;
+
+	// Markdown -> HTML. ----------------------------------------------------------------------------------------------------
+
+	// Expands tabs used for the indentation, leaving the content of fenced code blocks intact.
+	function expandTabs( text ) {
+		var fence = null;
+
+		return tools.array.map( text.split( '\n' ), function( line ) {
+			var match = line.match( /^[ \t>]*(?:(?:[*+\-]|\d{1,9}[.)])[ \t]+)?(`{3,}|~{3,})/ );
+
+			if ( fence ) {
+				if ( match && match[ 1 ].charAt( 0 ) == fence.charAt( 0 ) && match[ 1 ].length >= fence.length ) {
+					fence = null;
+				}
+
+				return line;
+			}
+
+			if ( match ) {
+				fence = match[ 1 ];
+			}
+
+			return line.replace( /^[ \t>]+/, function( indentation ) {
+				return indentation.replace( /\t/g, '    ' );
+			} );
+		} ).join( '\n' );
+	}
+
+	function isBlank( line ) {
+		return blankRegex.test( line );
+	}
+
+	function countIndentation( line ) {
+		return line.match( /^ */ )[ 0 ].length;
+	}
+
+	function normalizeLabel( label ) {
+		return tools.trim( label ).replace( /\s+/g, ' ' ).toLowerCase();
+	}
+
+	// Whether the line starts a block which can interrupt a paragraph.
+	function startsBlock( line ) {
+		return atxHeadingRegex.test( line ) || thematicBreakRegex.test( line ) || fenceOpenRegex.test( line ) ||
+			blockquoteRegex.test( line ) || isHtmlBlockStart( line ) || ( listItemRegex.test( line ) && !isBlank( line.match( listItemRegex )[ 4 ] ) );
+	}
+
+	function isHtmlBlockStart( line ) {
+		var match = line.match( htmlBlockRegex );
+
+		return !!match && ( match[ 1 ].toLowerCase() in dtd.$block || match[ 1 ].toLowerCase() in dtd.$listItem ||
+			match[ 1 ].toLowerCase() in dtd.$tableContent );
+	}
+
+	function splitTableRow( line ) {
+		var row = tools.trim( line ).replace( /^\|/, '' ).replace( /(^|[^\\])\|$/, '$1' ),
+			cells = [],
+			current = '',
+			i;
+
+		for ( i = 0; i < row.length; i++ ) {
+			if ( row.charAt( i ) == '\\' && row.charAt( i + 1 ) == '|' ) {
+				current += '|';
+				i++;
+			} else if ( row.charAt( i ) == '|' ) {
+				cells.push( tools.trim( current ) );
+				current = '';
+			} else {
+				current += row.charAt( i );
+			}
+		}
+
+		cells.push( tools.trim( current ) );
+
+		return cells;
+	}
+
+	function parseTableAlignment( line ) {
+		return tools.array.map( splitTableRow( line ), function( cell ) {
+			var left = cell.charAt( 0 ) == ':',
+				right = cell.charAt( cell.length - 1 ) == ':';
+
+			return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+		} );
+	}
+
+	function matchListItem( line ) {
+		var match = line.match( listItemRegex );
+
+		if ( !match ) {
+			return null;
+		}
+
+		var marker = match[ 2 ],
+			padding = match[ 3 ].length,
+			content = match[ 4 ];
+
+		// Content starting with 5+ spaces is an indented code block, so only one space belongs to the marker.
+		if ( padding > 4 ) {
+			content = match[ 3 ].slice( 1 ) + content;
+			padding = 1;
+		} else if ( !padding ) {
+			padding = 1;
+		}
+
+		return {
+			ordered: /\d/.test( marker ),
+			start: parseInt( marker, 10 ),
+			// The bullet char or the delimiter of an ordered list. Changing it starts a new list.
+			type: marker.charAt( marker.length - 1 ),
+			contentIndent: match[ 1 ].length + marker.length + padding,
+			content: content
+		};
+	}
+
+	// Splits lines into a tree of blocks. Inline content is left as raw text, so it can be parsed once
+	// all the link reference definitions are known.
+	function parseBlocks( lines, references ) {
+		var blocks = [],
+			sawBlank = false,
+			i = 0,
+			line, match, block;
+
+		function push( block ) {
+			block.blankBefore = sawBlank;
+			sawBlank = false;
+			blocks.push( block );
+		}
+
+		while ( i < lines.length ) {
+			line = lines[ i ];
+
+			if ( isBlank( line ) ) {
+				sawBlank = true;
+				i++;
+			} else if ( ( match = line.match( fenceOpenRegex ) ) ) {
+				i = parseFencedCode( lines, i, match, push );
+			} else if ( ( match = line.match( atxHeadingRegex ) ) ) {
+				push( { type: 'heading', level: match[ 1 ].length, text: match[ 2 ] || '' } );
+				i++;
+			} else if ( thematicBreakRegex.test( line ) ) {
+				push( { type: 'hr' } );
+				i++;
+			} else if ( blockquoteRegex.test( line ) ) {
+				i = parseBlockquote( lines, i, references, push );
+			} else if ( matchListItem( line ) ) {
+				i = parseList( lines, i, references, push );
+			} else if ( indentedCodeRegex.test( line ) ) {
+				i = parseIndentedCode( lines, i, push );
+			} else if ( isHtmlBlockStart( line ) ) {
+				block = [];
+
+				while ( i < lines.length && !isBlank( lines[ i ] ) ) {
+					block.push( lines[ i++ ] );
+				}
+
+				push( { type: 'html', value: block.join( '\n' ) } );
+			} else if ( i + 1 < lines.length && line.indexOf( '|' ) != -1 && tableDelimiterRegex.test( lines[ i + 1 ] ) &&
+				splitTableRow( line ).length == splitTableRow( lines[ i + 1 ] ).length ) {
+				i = parseTable( lines, i, push );
+			} else {
+				i = parseParagraph( lines, i, references, push );
+			}
+		}
+
+		return blocks;
+	}
+
+	function parseFencedCode( lines, i, match, push ) {
+		var indent = match[ 1 ].length,
+			fence = match[ 2 ],
+			closingRegex = new RegExp( '^ {0,3}' + ( fence.charAt( 0 ) == '`' ? '`' : '~' ) + '{' + fence.length + ',}[ \\t]*$' ),
+			code = [];
+
+		for ( i++; i < lines.length && !closingRegex.test( lines[ i ] ); i++ ) {
+			// Remove the indentation of the opening fence from the content lines.
+			code.push( lines[ i ].replace( new RegExp( '^ {0,' + indent + '}' ), '' ) );
+		}
+
+		push( { type: 'code', language: match[ 3 ], text: code.join( '\n' ) } );
+
+		// Skip the closing fence.
+		return i + 1;
+	}
+
+	function parseIndentedCode( lines, i, push ) {
+		var code = [];
+
+		while ( i < lines.length && ( indentedCodeRegex.test( lines[ i ] ) || isBlank( lines[ i ] ) ) ) {
+			code.push( lines[ i++ ].replace( /^ {1,4}/, '' ) );
+		}
+
+		// Trailing blank lines do not belong to the code.
+		while ( code.length && isBlank( code[ code.length - 1 ] ) ) {
+			code.pop();
+			i--;
+		}
+
+		push( { type: 'code', language: '', text: code.join( '\n' ) } );
+
+		return i;
+	}
+
+	function parseBlockquote( lines, i, references, push ) {
+		var quoted = [],
+			line;
+
+		while ( i < lines.length ) {
+			line = lines[ i ];
+
+			if ( blockquoteRegex.test( line ) ) {
+				quoted.push( line.replace( blockquoteRegex, '' ) );
+			}
+			// Lazy continuation of the quoted paragraph.
+			else if ( !isBlank( line ) && quoted.length && !isBlank( quoted[ quoted.length - 1 ] ) && !startsBlock( line ) ) {
+				quoted.push( line );
+			} else {
+				break;
+			}
+
+			i++;
+		}
+
+		push( { type: 'blockquote', children: parseBlocks( quoted, references ) } );
+
+		return i;
+	}
+
+	function parseList( lines, i, references, push ) {
+		var first = matchListItem( lines[ i ] ),
+			list = { type: 'list', ordered: first.ordered, start: first.start, tight: true, items: [] },
+			item, itemLines, line, children, j;
+
+		while ( i < lines.length && ( item = matchListItem( lines[ i ] ) ) && item.type == first.type ) {
+			itemLines = [ item.content ];
+
+			for ( i++; i < lines.length; i++ ) {
+				line = lines[ i ];
+
+				if ( isBlank( line ) ) {
+					itemLines.push( '' );
+				} else if ( countIndentation( line ) >= item.contentIndent ) {
+					itemLines.push( line.slice( item.contentIndent ) );
+				}
+				// Lazy continuation of the paragraph.
+				else if ( !isBlank( itemLines[ itemLines.length - 1 ] ) && !startsBlock( line ) && !matchListItem( line ) ) {
+					itemLines.push( line );
+				} else {
+					break;
+				}
+			}
+
+			// Blank lines between items make the list loose.
+			if ( isBlank( itemLines[ itemLines.length - 1 ] ) && i < lines.length && ( item = matchListItem( lines[ i ] ) ) &&
+				item.type == first.type ) {
+				list.tight = false;
+			}
+
+			children = parseBlocks( itemLines, references );
+
+			// So do blank lines between the blocks of a single item.
+			for ( j = 1; j < children.length; j++ ) {
+				if ( children[ j ].blankBefore ) {
+					list.tight = false;
+				}
+			}
+
+			list.items.push( children );
+		}
+
+		push( list );
+
+		return i;
+	}
+
+	function parseTable( lines, i, push ) {
+		var table = {
+				type: 'table',
+				head: splitTableRow( lines[ i ] ),
+				align: parseTableAlignment( lines[ i + 1 ] ),
+				rows: []
+			};
+
+		for ( i += 2; i < lines.length && !isBlank( lines[ i ] ) && !startsBlock( lines[ i ] ); i++ ) {
+			table.rows.push( splitTableRow( lines[ i ] ) );
+		}
+
+		push( table );
+
+		return i;
+	}
+
+	function parseParagraph( lines, i, references, push ) {
+		var paragraph = [ lines[ i ] ],
+			line, match;
+
+		for ( i++; i < lines.length; i++ ) {
+			line = lines[ i ];
+
+			if ( ( match = line.match( setextUnderlineRegex ) ) ) {
+				push( {
+					type: 'heading',
+					level: match[ 1 ].charAt( 0 ) == '=' ? 1 : 2,
+					text: tools.trim( paragraph.join( '\n' ) )
+				} );
+
+				return i + 1;
+			}
+
+			if ( isBlank( line ) || startsBlock( line ) ) {
+				break;
+			}
+
+			paragraph.push( line );
+		}
+
+		// Leading link reference definitions are not a part of the paragraph.
+		while ( paragraph.length && ( match = paragraph[ 0 ].match( linkDefinitionRegex ) ) ) {
+			var label = normalizeLabel( match[ 1 ] );
+
+			if ( !( label in references ) ) {
+				references[ label ] = {
+					href: match[ 2 ],
+					title: match[ 3 ] || match[ 4 ] || match[ 5 ] || ''
+				};
+			}
+
+			paragraph.shift();
+		}
+
+		if ( paragraph.length ) {
+			push( { type: 'paragraph', text: tools.trim( paragraph.join( '\n' ) ) } );
+		}
+
+		return i;
+	}
+
+	function renderBlocks( blocks, references, tight ) {
+		return tools.array.map( blocks, function( block ) {
+			return renderBlock( block, references, tight );
+		} ).join( '' );
+	}
+
+	function renderBlock( block, references, tight ) {
+		switch ( block.type ) {
+			case 'paragraph':
+				return tight ? parseInline( block.text, references ) : '<p>' + parseInline( block.text, references ) + '</p>';
+
+			case 'heading':
+				return '<h' + block.level + '>' + parseInline( block.text, references ) + '</h' + block.level + '>';
+
+			case 'hr':
+				return '<hr />';
+
+			case 'code':
+				return '<pre><code' + ( block.language ? ' class="language-' + tools.htmlEncodeAttr( block.language ) + '"' : '' ) + '>' +
+					tools.htmlEncode( block.text ) + '</code></pre>';
+
+			case 'blockquote':
+				return '<blockquote>' + renderBlocks( block.children, references, false ) + '</blockquote>';
+
+			case 'html':
+				return block.value;
+
+			case 'list':
+				return renderList( block, references );
+
+			case 'table':
+				return renderTable( block, references );
+		}
+
+		return '';
+	}
+
+	function renderList( list, references ) {
+		var name = list.ordered ? 'ol' : 'ul',
+			html = '<' + name + ( list.ordered && list.start !== 1 ? ' start="' + list.start + '"' : '' ) + '>';
+
+		tools.array.forEach( list.items, function( item ) {
+			html += '<li>' + renderBlocks( item, references, list.tight ) + '</li>';
+		} );
+
+		return html + '</' + name + '>';
+	}
+
+	function renderTable( table, references ) {
+		function renderRow( cells, cellName ) {
+			var html = '<tr>',
+				i;
+
+			// The number of cells in the header row decides about the number of columns.
+			for ( i = 0; i < table.head.length; i++ ) {
+				html += '<' + cellName + ( table.align[ i ] ? ' style="text-align:' + table.align[ i ] + '"' : '' ) + '>' +
+					parseInline( cells[ i ] || '', references ) + '</' + cellName + '>';
+			}
+
+			return html + '</tr>';
+		}
+
+		var html = '<table><thead>' + renderRow( table.head, 'th' ) + '</thead>';
+
+		if ( table.rows.length ) {
+			html += '<tbody>' + tools.array.map( table.rows, function( row ) {
+				return renderRow( row, 'td' );
+			} ).join( '' ) + '</tbody>';
+		}
+
+		return html + '</table>';
+	}
+
+	// Parses the inline content of a block into HTML.
+	function parseInline( text, references ) {
+		var tokens = [],
+			textBuffer = '',
+			i = 0,
+			length = text.length,
+			ch, match, rest, run, link;
+
+		function flushText() {
+			if ( textBuffer ) {
+				tokens.push( { type: 'html', value: tools.htmlEncode( textBuffer ) } );
+				textBuffer = '';
+			}
+		}
+
+		function pushHtml( html ) {
+			flushText();
+			tokens.push( { type: 'html', value: html } );
+		}
+
+		while ( i < length ) {
+			ch = text.charAt( i );
+			rest = text.slice( i );
+
+			if ( ch == '\\' && i + 1 < length && escapableRegex.test( text.charAt( i + 1 ) ) ) {
+				textBuffer += text.charAt( i + 1 );
+				i += 2;
+			} else if ( ch == '\\' && text.charAt( i + 1 ) == '\n' ) {
+				pushHtml( '<br />' );
+				i += 2;
+			} else if ( ch == '\n' ) {
+				// Two or more trailing spaces form a hard line break.
+				if ( /  +$/.test( textBuffer ) ) {
+					textBuffer = textBuffer.replace( / +$/, '' );
+					pushHtml( '<br />' );
+				} else {
+					textBuffer = textBuffer.replace( / +$/, '' ) + '\n';
+				}
+
+				i++;
+
+				while ( text.charAt( i ) == ' ' ) {
+					i++;
+				}
+			} else if ( ch == '`' ) {
+				run = rest.match( /^`+/ )[ 0 ];
+				match = findCodeSpanEnd( text, i + run.length, run.length );
+
+				if ( match == -1 ) {
+					textBuffer += run;
+				} else {
+					pushHtml( '<code>' + tools.htmlEncode( normalizeCodeSpan( text.slice( i + run.length, match ) ) ) + '</code>' );
+					i = match;
+				}
+
+				i += run.length;
+			} else if ( ch == '*' || ch == '_' || ch == '~' ) {
+				run = rest.match( ch == '*' ? /^\*+/ : ch == '_' ? /^_+/ : /^~+/ )[ 0 ];
+				flushText();
+				tokens.push( createDelimiter( text, i, run ) );
+				i += run.length;
+			} else if ( ( ch == '[' || ( ch == '!' && text.charAt( i + 1 ) == '[' ) ) && ( link = parseLink( text, i, references ) ) ) {
+				pushHtml( link.html );
+				i = link.end;
+			} else if ( ch == '<' && ( match = rest.match( autolinkRegex ) ) ) {
+				pushHtml( '<a href="' + tools.htmlEncodeAttr( match[ 1 ] ) + '">' + tools.htmlEncode( match[ 1 ] ) + '</a>' );
+				i += match[ 0 ].length;
+			} else if ( ch == '<' && ( match = rest.match( emailAutolinkRegex ) ) ) {
+				pushHtml( '<a href="mailto:' + tools.htmlEncodeAttr( match[ 1 ] ) + '">' + tools.htmlEncode( match[ 1 ] ) + '</a>' );
+				i += match[ 0 ].length;
+			} else if ( ch == '<' && ( match = rest.match( inlineHtmlRegex ) ) ) {
+				pushHtml( match[ 0 ] );
+				i += match[ 0 ].length;
+			} else if ( ch == '&' && ( match = rest.match( entityRegex ) ) ) {
+				pushHtml( match[ 0 ] );
+				i += match[ 0 ].length;
+			} else {
+				textBuffer += ch;
+				i++;
+			}
+		}
+
+		flushText();
+
+		return processEmphasis( tokens );
+	}
+
+	function findCodeSpanEnd( text, from, length ) {
+		var regex = /`+/g,
+			match;
+
+		regex.lastIndex = from;
+
+		while ( ( match = regex.exec( text ) ) ) {
+			if ( match[ 0 ].length == length ) {
+				return match.index;
+			}
+		}
+
+		return -1;
+	}
+
+	function normalizeCodeSpan( code ) {
+		code = code.replace( /\n/g, ' ' );
+
+		// Strip a single space from both sides if the content is not made of spaces only.
+		if ( /^ [\s\S]* $/.test( code ) && !/^ +$/.test( code ) ) {
+			code = code.slice( 1, -1 );
+		}
+
+		return code;
+	}
+
+	// Creates a delimiter run token and checks if it is left/right flanking, see
+	// https://spec.commonmark.org/0.29/#left-flanking-delimiter-run.
+	function createDelimiter( text, index, run ) {
+		var before = index > 0 ? text.charAt( index - 1 ) : ' ',
+			after = index + run.length < text.length ? text.charAt( index + run.length ) : ' ',
+			beforeWhitespace = /\s/.test( before ),
+			afterWhitespace = /\s/.test( after ),
+			beforePunctuation = punctuationRegex.test( before ),
+			afterPunctuation = punctuationRegex.test( after ),
+			leftFlanking = !afterWhitespace && ( !afterPunctuation || beforeWhitespace || beforePunctuation ),
+			rightFlanking = !beforeWhitespace && ( !beforePunctuation || afterWhitespace || afterPunctuation ),
+			ch = run.charAt( 0 );
+
+		return {
+			type: 'delimiter',
+			character: ch,
+			length: run.length,
+			originalLength: run.length,
+			canOpen: ch == '_' ? leftFlanking && ( !rightFlanking || beforePunctuation ) : leftFlanking,
+			canClose: ch == '_' ? rightFlanking && ( !leftFlanking || afterPunctuation ) : rightFlanking
+		};
+	}
+
+	// Matches delimiter runs into emphasis, strong emphasis and strikethrough. Unmatched delimiters become text.
+	function processEmphasis( tokens ) {
+		var closer, opener, used, tagName, wrapped, i, j;
+
+		for ( i = 0; i < tokens.length; i++ ) {
+			closer = tokens[ i ];
+
+			if ( closer.type != 'delimiter' || !closer.canClose ) {
+				continue;
+			}
+
+			for ( j = i - 1; j >= 0; j-- ) {
+				opener = tokens[ j ];
+
+				if ( opener.type != 'delimiter' || opener.character != closer.character || !opener.canOpen ) {
+					continue;
+				}
+
+				if ( closer.character == '~' ) {
+					if ( opener.length < 2 || closer.length < 2 ) {
+						continue;
+					}
+				}
+				// The "rule of 3", see https://spec.commonmark.org/0.29/#can-open-emphasis (point 9).
+				else if ( ( opener.canClose || closer.canOpen ) && ( opener.originalLength + closer.originalLength ) % 3 === 0 &&
+					( opener.originalLength % 3 !== 0 || closer.originalLength % 3 !== 0 ) ) {
+					continue;
+				}
+
+				used = opener.length >= 2 && closer.length >= 2 ? 2 : 1;
+				tagName = closer.character == '~' ? 's' : used == 2 ? 'strong' : 'em';
+				wrapped = {
+					type: 'html',
+					value: '<' + tagName + '>' + joinTokens( tokens.slice( j + 1, i ) ) + '</' + tagName + '>'
+				};
+
+				opener.length -= used;
+				closer.length -= used;
+
+				tokens.splice( j + 1, i - j - 1, wrapped );
+				i = j + 2;
+
+				if ( !opener.length ) {
+					tokens.splice( j, 1 );
+					i--;
+				}
+
+				if ( !closer.length ) {
+					tokens.splice( i, 1 );
+				}
+
+				// Revisit the token at the closer position: either the rest of the closer or the token following it.
+				i--;
+				break;
+			}
+		}
+
+		return joinTokens( tokens );
+	}
+
+	function joinTokens( tokens ) {
+		return tools.array.reduce( tokens, function( html, token ) {
+			return html + ( token.type == 'delimiter' ? tools.repeat( token.character, token.length ) : token.value );
+		}, '' );
+	}
+
+	// Parses links and images starting at the given index. Returns `null` if there is no link there.
+	function parseLink( text, index, references ) {
+		var isImage = text.charAt( index ) == '!',
+			labelStart = index + ( isImage ? 2 : 1 ),
+			labelEnd = findClosingBracket( text, labelStart ),
+			label, destination, reference, match;
+
+		if ( labelEnd == -1 ) {
+			return null;
+		}
+
+		label = text.slice( labelStart, labelEnd );
+
+		// Inline link: [label](destination "title").
+		match = text.slice( labelEnd + 1 ).match( /^\(\s*(?:<([^<>\n]*)>|((?:[^\s()\\]|\\.|\([^\s()]*\))*))(?:\s+(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|\(((?:[^()\\]|\\.)*)\)))?\s*\)/ );
+
+		if ( match ) {
+			destination = {
+				href: unescapeText( match[ 1 ] !== undefined ? match[ 1 ] : match[ 2 ] ),
+				title: unescapeText( match[ 3 ] || match[ 4 ] || match[ 5 ] || '' )
+			};
+
+			return {
+				html: renderLink( isImage, label, destination, references ),
+				end: labelEnd + 1 + match[ 0 ].length
+			};
+		}
+
+		// Full reference link: [label][reference].
+		match = text.slice( labelEnd + 1 ).match( /^\[([^\]]*)\]/ );
+		reference = match && match[ 1 ] ? match[ 1 ] : label;
+		destination = references[ normalizeLabel( reference ) ];
+
+		if ( !destination ) {
+			return null;
+		}
+
+		return {
+			html: renderLink( isImage, label, destination, references ),
+			end: labelEnd + 1 + ( match ? match[ 0 ].length : 0 )
+		};
+	}
+
+	function findClosingBracket( text, from ) {
+		var depth = 0,
+			i;
+
+		for ( i = from; i < text.length; i++ ) {
+			if ( text.charAt( i ) == '\\' ) {
+				i++;
+			} else if ( text.charAt( i ) == '[' ) {
+				depth++;
+			} else if ( text.charAt( i ) == ']' ) {
+				if ( !depth ) {
+					return i;
+				}
+
+				depth--;
+			}
+		}
+
+		return -1;
+	}
+
+	function unescapeText( text ) {
+		return text.replace( /\\([!"#$%&'()*+,\-.\/:;<=>?@\[\\\]\^_`{|}~])/g, '$1' );
+	}
+
+	function renderLink( isImage, label, destination, references ) {
+		var title = destination.title ? ' title="' + tools.htmlEncodeAttr( destination.title ) + '"' : '',
+			content = parseInline( label, references );
+
+		if ( isImage ) {
+			// The alternative text is the plain text content of the label.
+			return '<img alt="' + tools.htmlEncodeAttr( tools.htmlDecode( content.replace( /<[^>]*>/g, '' ) ) ) + '" src="' +
+				tools.htmlEncodeAttr( destination.href ) + '"' + title + ' />';
+		}
+
+		return '<a href="' + tools.htmlEncodeAttr( destination.href ) + '"' + title + '>' + content + '</a>';
+	}
+
+	// HTML -> Markdown. ----------------------------------------------------------------------------------------------------
+
+	var blockElements = tools.extend( { table: 1, ul: 1, ol: 1, pre: 1, hr: 1, blockquote: 1, figure: 1 }, dtd.$block, dtd.$listItem ),
+		emphasisMarkers = { strong: '**', b: '**', em: '*', i: '*', s: '~~', del: '~~', strike: '~~' },
+		headingRegex = /^h([1-6])$/;
+
+	function isBlockNode( node ) {
+		return node.type == CKEDITOR.NODE_ELEMENT && node.name in blockElements;
+	}
+
+	function getElementChildren( element, names ) {
+		return tools.array.filter( element.children, function( child ) {
+			return child.type == CKEDITOR.NODE_ELEMENT && ( !names || child.name in names );
+		} );
+	}
+
+	// Writes a list of nodes as Markdown blocks. Runs of inline nodes are written as paragraphs.
+	function writeBlocks( nodes, separator ) {
+		var blocks = [],
+			inlineRun = [];
+
+		function flushInline() {
+			var paragraph = writeParagraph( inlineRun );
+
+			paragraph && blocks.push( paragraph );
+			inlineRun = [];
+		}
+
+		tools.array.forEach( nodes, function( node ) {
+			if ( isBlockNode( node ) ) {
+				flushInline();
+
+				var block = writeBlock( node );
+
+				block && blocks.push( block );
+			} else {
+				inlineRun.push( node );
+			}
+		} );
+
+		flushInline();
+
+		return blocks.join( separator );
+	}
+
+	function writeBlock( element ) {
+		var name = element.name,
+			match;
+
+		if ( ( match = name.match( headingRegex ) ) ) {
+			return tools.repeat( '#', Number( match[ 1 ] ) ) + ' ' + tools.trim( writeInline( element.children ).replace( /\\?\r/g, ' ' ) );
+		}
+
+		switch ( name ) {
+			case 'hr':
+				return '---';
+
+			case 'pre':
+				return writeCodeBlock( element );
+
+			case 'blockquote':
+				return prefixLines( writeBlocks( element.children, '\n\n' ), '> ', '> ' );
+
+			case 'ul':
+			case 'ol':
+				return writeList( element );
+
+			case 'table':
+				return writeTable( element );
+
+			case 'p':
+				return writeParagraph( element.children );
+		}
+
+		// Containers (e.g. div), possibly with blocks inside.
+		return writeBlocks( element.children, '\n\n' );
+	}
+
+	function writeParagraph( nodes ) {
+		var text = tools.trim( writeInline( nodes ).replace( / *\r */g, '\n' ) );
+
+		// Escape characters which would start a block at the beginning of a line.
+		return text.replace( /^(#{1,6}|>|\+|-+|=+)(?=\s|$)/gm, '\\$1' ).replace( /^(\d+)([.)])(?=\s|$)/gm, '$1\\$2' );
+	}
+
+	// Whitespace is collapsed like in the rendered HTML. Hard line breaks are marked with "\r", so they survive it.
+	function writeInline( nodes ) {
+		var output = '',
+			marker, content, i;
+
+		for ( i = 0; i < nodes.length; i++ ) {
+			marker = getEmphasisMarker( nodes[ i ] );
+
+			if ( !marker ) {
+				output += writeInlineNode( nodes[ i ] );
+				continue;
+			}
+
+			// Adjacent elements of the same type are written together, as their glued markers
+			// would be parsed differently, e.g. "**a****b**".
+			content = writeInline( nodes[ i ].children );
+
+			while ( i + 1 < nodes.length && getEmphasisMarker( nodes[ i + 1 ] ) == marker ) {
+				content += writeInline( nodes[ ++i ].children );
+			}
+
+			output += wrapInline( content, marker );
+		}
+
+		return output.replace( /[ \t\n]+/g, ' ' );
+	}
+
+	function getEmphasisMarker( node ) {
+		return node.type == CKEDITOR.NODE_ELEMENT && emphasisMarkers.hasOwnProperty( node.name ) ? emphasisMarkers[ node.name ] : null;
+	}
+
+	function writeInlineNode( node ) {
+		if ( node.type == CKEDITOR.NODE_TEXT ) {
+			return escapeText( decode( node.value ) );
+		}
+
+		if ( node.type != CKEDITOR.NODE_ELEMENT ) {
+			return '';
+		}
+
+		var attributes = node.attributes,
+			content;
+
+		switch ( node.name ) {
+			case 'br':
+				// The bogus line break at the end of a block.
+				return node.next ? '\\\r' : '';
+
+			case 'code':
+				return writeCodeSpan( getText( node ) );
+
+			case 'img':
+				return '![' + escapeText( attributes.alt || '' ) + '](' + writeDestination( attributes.src || '', attributes.title ) + ')';
+
+			case 'a':
+				content = writeInline( node.children );
+
+				if ( !attributes.href ) {
+					return content;
+				}
+
+				// Use autolinks for URLs which are their own label.
+				if ( !attributes.title && content == escapeText( attributes.href ) && autolinkRegex.test( '<' + attributes.href + '>' ) ) {
+					return '<' + attributes.href + '>';
+				}
+
+				return '[' + content + '](' + writeDestination( attributes.href, attributes.title ) + ')';
+		}
+
+		return writeInline( node.children );
+	}
+
+	// Moves the whitespace out of emphasis markers, so they stay flanking.
+	function wrapInline( content, marker ) {
+		var match = content.match( /^(\s*)([\s\S]*?)(\s*)$/ );
+
+		if ( !match[ 2 ] ) {
+			return content;
+		}
+
+		return match[ 1 ] + marker + match[ 2 ] + marker + match[ 3 ];
+	}
+
+	function writeCodeSpan( code ) {
+		var longestRun = tools.array.reduce( code.match( /`+/g ) || [], function( longest, run ) {
+				return Math.max( longest, run.length );
+			}, 0 ),
+			fence = tools.repeat( '`', longestRun + 1 ),
+			padding = /^`|`$/.test( code ) ? ' ' : '';
+
+		return fence + padding + code.replace( /\n/g, ' ' ) + padding + fence;
+	}
+
+	function writeDestination( url, title ) {
+		url = decode( url );
+
+		var destination = /[\s()<>]/.test( url ) ? '<' + url.replace( /[<>]/g, encodeURIComponent ) + '>' : url;
+
+		return destination + ( title ? ' "' + decode( title ).replace( /"/g, '\\"' ) + '"' : '' );
+	}
+
+	function writeCodeBlock( pre ) {
+		var children = getElementChildren( pre ),
+			code = children.length == 1 && children[ 0 ].name == 'code' ? children[ 0 ] : null,
+			language = code && ( code.attributes[ 'class' ] || '' ).match( /(?:^|\s)language-(\S+)/ ),
+			text = getText( code || pre ).replace( /\n$/, '' ),
+			longestRun = tools.array.reduce( text.match( /^`{3,}/gm ) || [], function( longest, run ) {
+				return Math.max( longest, run.length );
+			}, 2 ),
+			fence = tools.repeat( '`', longestRun + 1 );
+
+		return fence + ( language ? language[ 1 ] : '' ) + '\n' + text + '\n' + fence;
+	}
+
+	function writeList( list ) {
+		var ordered = list.name == 'ol',
+			number = ordered && parseInt( list.attributes.start, 10 ) || 1,
+			items = getElementChildren( list, { li: 1 } ),
+			loose = tools.array.some( items, function( item ) {
+				return getElementChildren( item, { p: 1 } ).length > 0;
+			} );
+
+		return tools.array.map( items, function( item ) {
+			var marker = ordered ? ( number++ ) + '.' : '-',
+				content = writeBlocks( item.children, loose ? '\n\n' : '\n' );
+
+			if ( !content ) {
+				return marker;
+			}
+
+			return marker + ' ' + prefixLines( content, '', tools.repeat( ' ', marker.length + 1 ) );
+		} ).join( loose ? '\n\n' : '\n' );
+	}
+
+	function writeTable( table ) {
+		var rows = [],
+			header, columnCount, align;
+
+		( function collectRows( element ) {
+			tools.array.forEach( getElementChildren( element ), function( child ) {
+				if ( child.name == 'tr' ) {
+					rows.push( child );
+				} else if ( child.name in { thead: 1, tbody: 1, tfoot: 1 } ) {
+					collectRows( child );
+				}
+			} );
+		} )( table );
+
+		if ( !rows.length ) {
+			return '';
+		}
+
+		rows = tools.array.map( rows, writeTableRow );
+		columnCount = tools.array.reduce( rows, function( max, row ) {
+			return Math.max( max, row.length );
+		}, 0 );
+
+		header = rows.shift();
+		align = header.align;
+
+		function formatRow( cells ) {
+			var padded = cells.slice();
+
+			while ( padded.length < columnCount ) {
+				padded.push( '' );
+			}
+
+			return '| ' + padded.join( ' | ' ) + ' |';
+		}
+
+		var delimiter = [],
+			i;
+
+		for ( i = 0; i < columnCount; i++ ) {
+			delimiter.push( align[ i ] == 'center' ? ':---:' : align[ i ] == 'right' ? '---:' : align[ i ] == 'left' ? ':---' : '---' );
+		}
+
+		return tools.array.map( [ header, delimiter ].concat( rows ), formatRow ).join( '\n' );
+	}
+
+	function writeTableRow( row ) {
+		var cells = [];
+
+		cells.align = [];
+
+		tools.array.forEach( getElementChildren( row, { td: 1, th: 1 } ), function( cell ) {
+			var span = parseInt( cell.attributes.colspan, 10 ) || 1,
+				style = tools.parseCssText( cell.attributes.style || '' ),
+				content = writeInline( cell.children ).replace( /\|/g, '\\|' );
+
+			cells.push( tools.trim( content.replace( /\\\r/g, '<br>' ) ) );
+			cells.align.push( style[ 'text-align' ] || cell.attributes.align );
+
+			// Markdown does not support merged cells, so the spanned columns are left empty.
+			while ( --span ) {
+				cells.push( '' );
+				cells.align.push( null );
+			}
+		} );
+
+		return cells;
+	}
+
+	function prefixLines( text, firstPrefix, prefix ) {
+		return tools.array.map( text.split( '\n' ), function( line, index ) {
+			var linePrefix = index ? prefix : firstPrefix;
+
+			return line ? linePrefix + line : linePrefix.replace( / +$/, '' );
+		} ).join( '\n' );
+	}
+
+	function getText( node ) {
+		if ( node.type == CKEDITOR.NODE_TEXT ) {
+			return decode( node.value );
+		}
+
+		if ( node.name == 'br' ) {
+			return '\n';
+		}
+
+		return tools.array.reduce( node.children || [], function( text, child ) {
+			return text + getText( child );
+		}, '' );
+	}
+
+	function decode( text ) {
+		return tools.htmlDecode( text ).replace( /\u00a0/g, ' ' );
+	}
+
+	function escapeText( text ) {
+		return text.replace( /[\\`*_\[\]<~]/g, '\\$&' ).replace( /&(?=#?\w+;)/g, '\\&' );
+	}
+
+	/**
+	 * The Markdown data processor used by the editor. Available when the Markdown plugin is loaded.
+	 *
+	 * @since 4.13.0
+	 * @readonly
+	 * @property {CKEDITOR.markdownDataProcessor} markdownDataProcessor
+	 * @member CKEDITOR.editor
+	 */
+} )();
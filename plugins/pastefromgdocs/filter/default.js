@@ -0,0 +1,504 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals CKEDITOR */
+
+( function() {
+	'use strict';
+
+	var tools = CKEDITOR.tools,
+		filter,
+		// Styles set by Google Docs on every piece of text, which do not need to be kept.
+		defaultStyles = {
+			'font-family': /^["']?arial["']?(,|$)/i,
+			'font-size': /^11pt$/,
+			'color': /^#000000$/,
+			'background-color': /^transparent$/
+		},
+		fontStyles = [ 'font-family', 'font-size', 'color', 'background-color' ],
+		// The color of links in Google Docs.
+		linkColor = '#1155cc',
+		alignments = { center: 1, right: 1, justify: 1 },
+		orderedListStyles = {
+			'decimal': 1,
+			'lower-alpha': 1,
+			'upper-alpha': 1,
+			'lower-latin': 1,
+			'upper-latin': 1,
+			'lower-roman': 1,
+			'upper-roman': 1
+		},
+		unorderedListStyles = { disc: 1, circle: 1, square: 1 },
+		lists = { ul: 1, ol: 1 };
+
+	/**
+	 * The Paste from Google Docs plugin helpers.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.pastefromgdocs
+	 * @singleton
+	 */
+	CKEDITOR.plugins.pastefromgdocs = {
+		/**
+		 * Converts the HTML copied from Google Docs into clean HTML:
+		 *
+		 * * inline styles of text are converted into semantic elements (like `<strong>` or `<em>`) when they are
+		 * allowed by the {@link CKEDITOR.editor#filter editor filter}; styles equal to the Google Docs defaults are removed,
+		 * * lists, which Google Docs nests incorrectly or does not nest at all, are rebuilt,
+		 * * tables are freed from the wrapping elements, column definitions and presentational styles.
+		 *
+		 * The result is not filtered by the Advanced Content Filter. This happens when it is inserted into the editor.
+		 *
+		 * @param {String} html The HTML copied from Google Docs.
+		 * @param {CKEDITOR.editor} editor
+		 * @returns {String}
+		 */
+		cleanup: function( html, editor ) {
+			var fragment = CKEDITOR.htmlParser.fragment.fromHtml( preserveSpaces( html ) ),
+				writer = new CKEDITOR.htmlParser.basicWriter();
+
+			filter = new CKEDITOR.htmlParser.filter( {
+				root: function( element ) {
+					element.filterChildren( filter );
+
+					fixLists( element );
+				},
+
+				elementNames: [
+					[ /^(meta|style|script|link|title)$/, '' ]
+				],
+
+				elements: {
+					b: function( element ) {
+						// The wrapper of the whole copied content.
+						if ( /^docs-internal-guid-/.test( element.attributes.id ) ) {
+							delete element.name;
+						}
+					},
+
+					span: function( element ) {
+						transformSpan( element, editor );
+					},
+
+					p: cleanBlock,
+					h1: cleanBlock,
+					h2: cleanBlock,
+					h3: cleanBlock,
+					h4: cleanBlock,
+					h5: cleanBlock,
+					h6: cleanBlock,
+
+					a: function( element ) {
+						delete element.attributes.style;
+					},
+
+					img: function( element ) {
+						delete element.attributes.style;
+					},
+
+					br: function( element ) {
+						// Added by Chrome at the end of the copied content.
+						if ( element.attributes[ 'class' ] == 'Apple-interchange-newline' ) {
+							return false;
+						}
+					},
+
+					div: function( element ) {
+						// Tables are wrapped with aligned divs.
+						if ( element.getFirst( 'table' ) ) {
+							delete element.name;
+						}
+					},
+
+					table: function( element ) {
+						var hasBorders = !!element.find( function( node ) {
+							return ( node.name == 'td' || node.name == 'th' ) && /border[\w\-]*:\s*solid/i.test( node.attributes.style || '' );
+						}, true ).length;
+
+						element.attributes = hasBorders ? { border: '1' } : {};
+					},
+
+					colgroup: function() {
+						return false;
+					},
+
+					tr: function( element ) {
+						delete element.attributes.style;
+					},
+
+					td: cleanCell,
+					th: cleanCell,
+
+					ul: cleanList,
+					ol: cleanList,
+
+					li: function( element ) {
+						var styles = tools.parseCssText( element.attributes.style, true ),
+							level = element.attributes[ 'aria-level' ];
+
+						element.attributes = {};
+
+						if ( level ) {
+							element.attributes[ 'cke-list-level' ] = level;
+						}
+
+						if ( styles[ 'list-style-type' ] ) {
+							element.attributes[ 'cke-list-style' ] = styles[ 'list-style-type' ];
+						}
+
+						unwrapParagraphs( element );
+					}
+				},
+
+				attributes: {
+					dir: function( value ) {
+						return value == 'ltr' ? false : value;
+					},
+
+					id: function( value ) {
+						// Ids of headings used by the Google Docs outline.
+						return /^h\./.test( value ) ? false : value;
+					},
+
+					role: function() {
+						return false;
+					},
+
+					'aria-level': function() {
+						return false;
+					}
+				}
+			} );
+
+			filter.applyTo( fragment );
+
+			fragment.writeHtml( writer );
+
+			return writer.getHtml();
+		}
+	};
+
+	// Replaces the styles of a span with semantic elements and the styles worth keeping, wrapping each
+	// style with a separate span (like Paste from Word does), so the Advanced Content Filter can handle them one by one.
+	function transformSpan( element, editor ) {
+		var styles = tools.parseCssText( element.attributes.style, true ),
+			isInLink = !!element.getAscendant( 'a' ),
+			isInHeading = !!element.getAscendant( function( parent ) {
+				return /^h[1-6]$/.test( parent.name );
+			} ),
+			removeFontStyles = editor.config.pasteFromGoogleDocs_removeFontStyles,
+			decoration = styles[ 'text-decoration' ] || '',
+			verticalAlign = styles[ 'vertical-align' ],
+			wrappers = [],
+			fontWrappers = [],
+			innermost,
+			children,
+			i;
+
+		function addWrapper( name, style, value ) {
+			if ( editor.filter.check( name ) ) {
+				wrappers.push( { name: name } );
+			} else {
+				wrappers.push( { name: 'span', styles: style + ':' + value } );
+			}
+		}
+
+		if ( isInLink ) {
+			decoration = decoration.replace( 'underline', '' );
+
+			if ( styles.color == linkColor ) {
+				delete styles.color;
+			}
+		}
+
+		if ( styles[ 'font-weight' ] == 'bold' || parseInt( styles[ 'font-weight' ], 10 ) >= 600 ) {
+			addWrapper( 'strong', 'font-weight', 'bold' );
+		}
+
+		if ( styles[ 'font-style' ] == 'italic' ) {
+			addWrapper( 'em', 'font-style', 'italic' );
+		}
+
+		if ( decoration.indexOf( 'underline' ) != -1 ) {
+			addWrapper( 'u', 'text-decoration', 'underline' );
+		}
+
+		if ( decoration.indexOf( 'line-through' ) != -1 ) {
+			addWrapper( 's', 'text-decoration', 'line-through' );
+		}
+
+		if ( verticalAlign == 'super' || verticalAlign == 'sub' ) {
+			addWrapper( verticalAlign == 'super' ? 'sup' : 'sub', 'vertical-align', verticalAlign );
+			// Superscripts and subscripts are made smaller with the font size.
+			delete styles[ 'font-size' ];
+		}
+
+		if ( isInHeading ) {
+			delete styles[ 'font-size' ];
+		}
+
+		// Font styles wrap the semantic elements, always in the same order, so the result is stable.
+		for ( i = 0; i < fontStyles.length; i++ ) {
+			var name = fontStyles[ i ],
+				value = styles[ name ];
+
+			if ( value && !removeFontStyles && !defaultStyles[ name ].test( value ) ) {
+				fontWrappers.push( { name: 'span', styles: name + ':' + value } );
+			}
+		}
+
+		wrappers = fontWrappers.concat( wrappers );
+
+		if ( !wrappers.length ) {
+			delete element.name;
+			return;
+		}
+
+		children = element.children;
+		element.children = [];
+
+		element.name = wrappers[ 0 ].name;
+		element.attributes = wrappers[ 0 ].styles ? { style: wrappers[ 0 ].styles } : {};
+		innermost = element;
+
+		for ( i = 1; i < wrappers.length; i++ ) {
+			var wrapper = new CKEDITOR.htmlParser.element( wrappers[ i ].name, wrappers[ i ].styles ? { style: wrappers[ i ].styles } : {} );
+
+			innermost.add( wrapper );
+			innermost = wrapper;
+		}
+
+		for ( i = 0; i < children.length; i++ ) {
+			innermost.add( children[ i ] );
+		}
+	}
+
+	// Google Docs keeps sequences of spaces in text with `white-space: pre-wrap`. They would be collapsed
+	// by the parser, so they are replaced with non-breaking spaces before parsing. Whitespace between tags is left untouched.
+	function preserveSpaces( html ) {
+		return html.replace( />([^<]*\S[^<]*)</g, function( match, text ) {
+			return '>' + text.replace( / {2}/g, ' &nbsp;' ) + '<';
+		} );
+	}
+
+	// Keeps only the alignment of paragraphs and headings.
+	function cleanBlock( element ) {
+		var align = tools.parseCssText( element.attributes.style, true )[ 'text-align' ];
+
+		if ( align && alignments[ align ] ) {
+			element.attributes.style = 'text-align:' + align;
+		} else {
+			delete element.attributes.style;
+		}
+	}
+
+	// Keeps the background color and the vertical alignment of table cells. Table cells with a single
+	// paragraph are unwrapped, like the cells created in the editor.
+	function cleanCell( element ) {
+		var styles = tools.parseCssText( element.attributes.style, true ),
+			newStyles = {},
+			children = tools.array.filter( element.children, function( child ) {
+				return child.type != CKEDITOR.NODE_TEXT || tools.trim( child.value );
+			} ),
+			align;
+
+		if ( styles[ 'background-color' ] && !defaultStyles[ 'background-color' ].test( styles[ 'background-color' ] ) ) {
+			newStyles[ 'background-color' ] = styles[ 'background-color' ];
+		}
+
+		if ( styles[ 'vertical-align' ] && styles[ 'vertical-align' ] != 'top' ) {
+			newStyles[ 'vertical-align' ] = styles[ 'vertical-align' ];
+		}
+
+		if ( children.length == 1 && children[ 0 ].name == 'p' ) {
+			align = tools.parseCssText( children[ 0 ].attributes.style, true )[ 'text-align' ];
+
+			if ( align && alignments[ align ] ) {
+				newStyles[ 'text-align' ] = align;
+			}
+
+			children[ 0 ].replaceWithChildren();
+		}
+
+		element.attributes = {};
+
+		if ( !tools.isEmpty( newStyles ) ) {
+			element.attributes.style = tools.writeCssText( newStyles );
+		}
+	}
+
+	function cleanList( element ) {
+		var start = element.attributes.start;
+
+		element.attributes = start && start != '1' ? { start: start } : {};
+	}
+
+	// List items contain paragraphs. Separate consecutive paragraphs with line breaks.
+	function unwrapParagraphs( element ) {
+		var paragraphs = tools.array.filter( element.children, function( child ) {
+			return child.name == 'p';
+		} );
+
+		tools.array.forEach( paragraphs, function( paragraph, index ) {
+			if ( index > 0 ) {
+				new CKEDITOR.htmlParser.element( 'br' ).insertBefore( paragraph );
+			}
+
+			paragraph.replaceWithChildren();
+		} );
+	}
+
+	// Google Docs puts nested lists directly in the parent list instead of the list item, and sometimes
+	// does not nest them at all, marking the level of list items with the `aria-level` attribute only.
+	// Every top-level list, together with the following lists continuing it, is flattened and rebuilt.
+	function fixLists( root ) {
+		var topLists = [];
+
+		root.forEach( function( element ) {
+			if ( lists[ element.name ] && !element.getAscendant( lists ) ) {
+				topLists.push( element );
+			}
+		}, CKEDITOR.NODE_ELEMENT );
+
+		tools.array.forEach( topLists, function( list ) {
+			var items = [],
+				next;
+
+			// The list might have been merged with the previous one.
+			if ( !list.parent ) {
+				return;
+			}
+
+			flattenList( list, 1, items );
+
+			// Lists directly following each other are a single list split by Google Docs, when any of them is nested.
+			while ( ( next = getNextList( list ) ) && next.children.length &&
+				( getLevel( next.getFirst( 'li' ), 1 ) > 1 || items.length && items[ items.length - 1 ].level > 1 ) ) {
+				flattenList( next, 1, items );
+				next.remove();
+			}
+
+			rebuildList( list, items );
+		} );
+	}
+
+	// Returns the list following the given one, skipping whitespace.
+	function getNextList( list ) {
+		var next = list.next;
+
+		while ( next && next.type == CKEDITOR.NODE_TEXT && !tools.trim( next.value ) ) {
+			next = next.next;
+		}
+
+		return next && lists[ next.name ] ? next : null;
+	}
+
+	function getLevel( item, depth ) {
+		return item && parseInt( item.attributes[ 'cke-list-level' ], 10 ) || depth;
+	}
+
+	// Flat lists contain items of any type, so the type is taken from the list style when possible.
+	function getType( item, listName ) {
+		var listStyle = item.attributes[ 'cke-list-style' ];
+
+		if ( orderedListStyles[ listStyle ] ) {
+			return 'ol';
+		}
+
+		return unorderedListStyles[ listStyle ] ? 'ul' : listName;
+	}
+
+	// Collects list items with their levels, removing them and nested lists from the tree.
+	function flattenList( list, depth, items ) {
+		var children = list.children.slice();
+
+		tools.array.forEach( children, function( child ) {
+			var nested;
+
+			child.remove();
+
+			if ( lists[ child.name ] ) {
+				flattenList( child, depth + 1, items );
+				return;
+			}
+
+			if ( child.type == CKEDITOR.NODE_TEXT && !tools.trim( child.value ) ) {
+				return;
+			}
+
+			if ( child.name != 'li' ) {
+				var item = new CKEDITOR.htmlParser.element( 'li' );
+				item.add( child );
+				child = item;
+			}
+
+			nested = tools.array.filter( child.children, function( node ) {
+				return !!lists[ node.name ];
+			} );
+
+			items.push( {
+				item: child,
+				level: getLevel( child, depth ),
+				type: getType( child, list.name )
+			} );
+
+			tools.array.forEach( nested, function( nestedList ) {
+				nestedList.remove();
+				flattenList( nestedList, depth + 1, items );
+			} );
+		} );
+	}
+
+	function rebuildList( list, items ) {
+		var stack = [],
+			top;
+
+		if ( !items.length ) {
+			list.remove();
+			return;
+		}
+
+		list.name = items[ 0 ].type;
+		stack.push( { level: items[ 0 ].level, list: list } );
+
+		tools.array.forEach( items, function( entry ) {
+			var item = entry.item,
+				listStyle = item.attributes[ 'cke-list-style' ],
+				parentItem,
+				newList;
+
+			while ( stack.length > 1 && entry.level < stack[ stack.length - 1 ].level ) {
+				stack.pop();
+			}
+
+			top = stack[ stack.length - 1 ];
+
+			if ( entry.level > top.level ) {
+				parentItem = top.list.children[ top.list.children.length - 1 ];
+
+				newList = new CKEDITOR.htmlParser.element( entry.type );
+				parentItem.add( newList );
+
+				top = { level: entry.level, list: newList };
+				stack.push( top );
+			} else if ( entry.type != top.list.name ) {
+				// A list of a different type on the same level.
+				newList = new CKEDITOR.htmlParser.element( entry.type );
+				newList.insertAfter( top.list );
+
+				top.list = newList;
+			}
+
+			if ( top.list.name == 'ol' && listStyle != 'decimal' && orderedListStyles[ listStyle ] && !top.list.attributes.style ) {
+				top.list.attributes.style = 'list-style-type:' + listStyle;
+			}
+
+			delete item.attributes[ 'cke-list-level' ];
+			delete item.attributes[ 'cke-list-style' ];
+
+			top.list.add( item );
+		} );
+	}
+} )();
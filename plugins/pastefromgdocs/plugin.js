@@ -0,0 +1,133 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @fileOverview The Paste from Google Docs plugin. Cleans up the content pasted from Google Docs.
+ *
+ * The cleanup rules are loaded on demand from the file set in {@link CKEDITOR.config#pasteFromGoogleDocsCleanupFile}
+ * when the first Google Docs content is pasted.
+ */
+
+( function() {
+	'use strict';
+
+	var gdocsRegexp = /id=(?:\"|\')?docs-internal-guid-/;
+
+	CKEDITOR.plugins.add( 'pastefromgdocs', {
+		requires: 'clipboard',
+
+		init: function( editor ) {
+			var path = this.path;
+
+			// Listen with the same priority as Paste from Word (3), so the clean up is done before the content
+			// type sniffing (priority = 6).
+			editor.on( 'paste', function( evt ) {
+				var data = evt.data,
+					dataTransferHtml = CKEDITOR.plugins.clipboard.isCustomDataTypesSupported && data.dataTransfer ?
+						data.dataTransfer.getData( 'text/html', true ) : null,
+					// Some commands fire paste event without setting dataTransfer property. In such case
+					// dataValue should be used.
+					gdocsHtml = dataTransferHtml || data.dataValue,
+					gdocsEvtData = { dataValue: gdocsHtml };
+
+				if ( !gdocsHtml || !gdocsRegexp.test( gdocsHtml ) ) {
+					return;
+				}
+
+				if ( editor.fire( 'pasteFromGoogleDocs', gdocsEvtData ) === false ) {
+					return;
+				}
+
+				// Like in Paste from Word, the paste filter is not applied to the cleaned up data. It is still filtered
+				// with the editor filter when inserted.
+				data.dontFilter = true;
+
+				// If filter rules aren't loaded then cancel 'paste' event,
+				// load them and when they'll get loaded fire new paste event
+				// for which data will be filtered in second execution of
+				// this listener.
+				var isLazyLoad = loadFilterRules( editor, path, function() {
+					if ( isLazyLoad ) {
+						editor.fire( 'paste', data );
+						return;
+					}
+
+					gdocsEvtData.dataValue = CKEDITOR.plugins.pastefromgdocs.cleanup( gdocsEvtData.dataValue, editor );
+
+					editor.fire( 'afterPasteFromGoogleDocs', gdocsEvtData );
+
+					data.dataValue = gdocsEvtData.dataValue;
+
+					if ( editor.config.forcePasteAsPlainText === true ) {
+						data.type = 'text';
+					}
+				} );
+
+				isLazyLoad && evt.cancel();
+			}, null, null, 3 );
+		}
+	} );
+
+	function loadFilterRules( editor, path, callback ) {
+		var isLoaded = CKEDITOR.plugins.pastefromgdocs && CKEDITOR.plugins.pastefromgdocs.cleanup;
+
+		if ( isLoaded ) {
+			callback();
+		} else {
+			// Load with busy indicator.
+			CKEDITOR.scriptLoader.load( CKEDITOR.getUrl( editor.config.pasteFromGoogleDocsCleanupFile || ( path + 'filter/default.js' ) ),
+				callback, null, true );
+		}
+
+		return !isLoaded;
+	}
+} )();
+
+/**
+ * The file that provides the Google Docs cleanup function for pasting operations.
+ * See {@link CKEDITOR.plugins.pastefromgdocs#cleanup}.
+ *
+ * **Note:** This is a global configuration shared by all editor instances present
+ * on the page.
+ *
+ *		CKEDITOR.config.pasteFromGoogleDocsCleanupFile = '/ckeditor/plugins/pastefromgdocs/filter/custom.js';
+ *
+ * @since 4.13.0
+ * @cfg {String} [pasteFromGoogleDocsCleanupFile=<plugin path> + 'filter/default.js']
+ * @member CKEDITOR.config
+ */
+
+/**
+ * Whether to remove font styles (font family, font size, text color and background color) from the content
+ * pasted from Google Docs. By default only the styles equal to the Google Docs defaults are removed.
+ *
+ *		config.pasteFromGoogleDocs_removeFontStyles = true;
+ *
+ * @since 4.13.0
+ * @cfg {Boolean} [pasteFromGoogleDocs_removeFontStyles=false]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * Fired when the pasted content was recognized as Google Docs content.
+ *
+ * This event is cancellable. If canceled, it will prevent the Paste from Google Docs processing.
+ *
+ * @since 4.13.0
+ * @event pasteFromGoogleDocs
+ * @param data
+ * @param {String} data.dataValue Pasted content. Changes to this property will affect the pasted content.
+ * @member CKEDITOR.editor
+ */
+
+/**
+ * Fired after the Paste from Google Docs filters have been applied.
+ *
+ * @since 4.13.0
+ * @event afterPasteFromGoogleDocs
+ * @param data
+ * @param {String} data.dataValue Pasted content after processing. Changes to this property will affect the pasted content.
+ * @member CKEDITOR.editor
+ */
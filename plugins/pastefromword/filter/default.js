@@ -29,7 +29,22 @@
 			'v:group'
 		],
 		links = {},
-		inComment = 0;
+		inComment = 0,
+		// Elements removed together with their content by the spreadsheet and LibreOffice filters.
+		officeInvalidTags = /^(meta|link|style|title|script|xml|o:p)$/,
+		alignments = { left: 1, center: 1, right: 1, justify: 1 },
+		verticalAlignments = { top: 1, middle: 1, bottom: 1 },
+		defaultTextColors = /^(black|windowtext|auto|#000000)$/i,
+		transparentColors = /^(transparent|none|auto|initial)$/i,
+		listTypes = {
+			a: 'lower-alpha',
+			A: 'upper-alpha',
+			i: 'lower-roman',
+			I: 'upper-roman',
+			disc: 'disc',
+			circle: 'circle',
+			square: 'square'
+		};
 
 	/**
 	 * Set of Paste from Word plugin helpers.
@@ -2496,6 +2511,229 @@
 
 	Heuristics = CKEDITOR.plugins.pastefromword.heuristics;
 
+	/**
+	 * Namespace containing the cleanup of the content pasted from spreadsheets: Microsoft Excel and LibreOffice Calc.
+	 * The content copied from Excel is cleaned up here only when {@link CKEDITOR.config#pasteFromWord_excelFilter} is enabled.
+	 *
+	 * @private
+	 * @since 4.13.0
+	 * @member CKEDITOR.plugins.pastefromword
+	 */
+	CKEDITOR.plugins.pastefromword.spreadsheet = {
+		/**
+		 * Cleans up the table copied from a spreadsheet. Cell spans, column widths, alignment, background colors and
+		 * basic text formatting are kept, while row heights, borders of individual cells and spreadsheet-specific
+		 * attributes are removed. Font families, font sizes and colors are kept, unless
+		 * {@link CKEDITOR.config#pasteFromWordRemoveFontStyles} is set to `true`.
+		 *
+		 * Cell values are kept as displayed in the spreadsheet, so formatted numbers, dates or percentages are pasted
+		 * as text instead of the raw values stored by the spreadsheet.
+		 *
+		 * @param {String} html The HTML copied from a spreadsheet.
+		 * @param {CKEDITOR.editor} editor
+		 * @returns {String}
+		 * @member CKEDITOR.plugins.pastefromword.spreadsheet
+		 */
+		cleanup: function( html, editor ) {
+			var styleSheet = parseStyleSheet( html ),
+				fragment = CKEDITOR.htmlParser.fragment.fromHtml( getBodyHtml( html ) ),
+				writer = new CKEDITOR.htmlParser.basicWriter(),
+				removeFontStyles = editor.config.pasteFromWordRemoveFontStyles === true,
+				options = {
+					keepFonts: !removeFontStyles,
+					keepColors: !removeFontStyles,
+					// The default vertical alignment of spreadsheet cells.
+					verticalAlign: 'bottom'
+				},
+				spreadsheetFilter;
+
+			spreadsheetFilter = new CKEDITOR.htmlParser.filter( {
+				elementNames: [
+					[ officeInvalidTags, '' ]
+				],
+				elements: {
+					table: function( element ) {
+						cleanTable( element, spreadsheetFilter, styleSheet );
+					},
+
+					col: remove,
+					colgroup: remove,
+
+					tr: clearAttributes,
+
+					td: function( element ) {
+						cleanCell( element, styleSheet, options );
+					},
+
+					th: function( element ) {
+						cleanCell( element, styleSheet, options );
+					},
+
+					span: function( element ) {
+						cleanInlineElement( element, styleSheet, options );
+					},
+
+					font: function( element ) {
+						cleanInlineElement( element, styleSheet, options );
+					},
+
+					br: clearAttributes,
+
+					a: cleanLink
+				},
+				comment: remove
+			} );
+
+			spreadsheetFilter.applyTo( fragment );
+
+			fragment.writeHtml( writer );
+
+			return writer.getHtml();
+		}
+	};
+
+	/**
+	 * Namespace containing the cleanup of the content pasted from LibreOffice Writer.
+	 *
+	 * @private
+	 * @since 4.13.0
+	 * @member CKEDITOR.plugins.pastefromword
+	 */
+	CKEDITOR.plugins.pastefromword.libreOffice = {
+		/**
+		 * Cleans up the content copied from LibreOffice Writer. Headings, lists, tables, links, alignment and text
+		 * formatting are kept, while the LibreOffice-specific classes, bookmarks, paragraph spacing and table cell paddings
+		 * are removed.
+		 *
+		 * Font families, font sizes and colors are kept, unless {@link CKEDITOR.config#pasteFromWordRemoveFontStyles}
+		 * is set to `true`.
+		 *
+		 * @param {String} html The HTML copied from LibreOffice Writer.
+		 * @param {CKEDITOR.editor} editor
+		 * @returns {String}
+		 * @member CKEDITOR.plugins.pastefromword.libreOffice
+		 */
+		cleanup: function( html, editor ) {
+			var fragment = CKEDITOR.htmlParser.fragment.fromHtml( getBodyHtml( html ) ),
+				writer = new CKEDITOR.htmlParser.basicWriter(),
+				removeFontStyles = editor.config.pasteFromWordRemoveFontStyles === true,
+				options = {
+					keepFonts: !removeFontStyles,
+					keepColors: !removeFontStyles,
+					// The default vertical alignment of LibreOffice Writer table cells.
+					verticalAlign: 'top'
+				},
+				writerFilter;
+
+			writerFilter = new CKEDITOR.htmlParser.filter( {
+				elementNames: [
+					[ officeInvalidTags, '' ]
+				],
+				elements: {
+					// Fields, like page numbers or dates, are kept as text.
+					sdfield: function( element ) {
+						delete element.name;
+					},
+
+					p: cleanBlock,
+					h1: cleanBlock,
+					h2: cleanBlock,
+					h3: cleanBlock,
+					h4: cleanBlock,
+					h5: cleanBlock,
+					h6: cleanBlock,
+
+					table: function( element ) {
+						cleanTable( element, writerFilter, {} );
+					},
+
+					col: remove,
+					colgroup: remove,
+					thead: clearAttributes,
+					tbody: clearAttributes,
+
+					tr: function( element ) {
+						// LibreOffice sets the vertical alignment of the whole row.
+						var verticalAlign = element.attributes.valign;
+
+						element.attributes = {};
+
+						if ( verticalAlign ) {
+							tools.array.forEach( element.children, function( cell ) {
+								if ( cell.attributes && !cell.attributes.valign ) {
+									cell.attributes.valign = verticalAlign;
+								}
+							} );
+						}
+					},
+
+					td: function( element ) {
+						cleanCell( element, {}, options );
+					},
+
+					th: function( element ) {
+						cleanCell( element, {}, options );
+					},
+
+					ul: cleanList,
+					ol: cleanList,
+
+					li: function( element ) {
+						element.attributes = {};
+
+						unwrapParagraphs( element );
+					},
+
+					span: function( element ) {
+						applyWrappers( element, getTextWrappers( getStyles( element, {} ), options ) );
+					},
+
+					font: function( element ) {
+						applyWrappers( element, getTextWrappers( getStyles( element, {} ), options ) );
+					},
+
+					a: function( element ) {
+						// Bookmarks added by LibreOffice, like `__DdeLink__1_123` or `__RefHeading___Toc1_123`.
+						if ( !element.attributes.href && /^_/.test( element.attributes.name || '' ) ) {
+							delete element.name;
+							return;
+						}
+
+						cleanLink( element );
+					},
+
+					img: function( element ) {
+						var attributes = element.attributes;
+
+						element.attributes = {};
+
+						tools.array.forEach( [ 'src', 'alt', 'width', 'height' ], function( name ) {
+							if ( attributes[ name ] ) {
+								element.attributes[ name ] = attributes[ name ];
+							}
+						} );
+					},
+
+					br: clearAttributes
+				},
+				attributes: {
+					'class': remove,
+					lang: remove,
+					dir: function( value ) {
+						return value == 'ltr' ? false : value;
+					}
+				},
+				comment: remove
+			} );
+
+			writerFilter.applyTo( fragment );
+
+			fragment.writeHtml( writer );
+
+			return writer.getHtml();
+		}
+	};
+
 	// Expose this function since it's useful in other places.
 	List.setListSymbol.removeRedundancies = function( style, level ) {
 		// 'disc' and 'decimal' are the default styles in some cases - remove redundancy.
@@ -2569,6 +2807,458 @@
 		}
 	}
 
+	// Returns the content of the body, with the columns of tables wrapped with `colgroup` elements,
+	// as the parser does not allow `col` elements directly in tables.
+	function getBodyHtml( html ) {
+		var body = html.match( /<body[^>]*>([\s\S]*)<\/body>/i );
+
+		return ( body ? body[ 1 ] : html ).replace( /(<table[^>]*>\s*)((?:<col\b[^>]*>\s*)+)/gi, '$1<colgroup>$2</colgroup>' );
+	}
+
+	// Parses the style sheets of the pasted content into an object with selectors as keys, like
+	// `{ '.xl65': { 'text-align': 'center' } }`. Spreadsheets use simple selectors only: tag names and classes.
+	function parseStyleSheet( html ) {
+		var styleSheet = {},
+			styleTags = /<style[^>]*>([\s\S]*?)<\/style>/gi,
+			rules = /([^{}]+)\{([^{}]*)\}/g,
+			styleTag,
+			rule;
+
+		while ( ( styleTag = styleTags.exec( html ) ) ) {
+			var css = styleTag[ 1 ].replace( /<!--|-->|\/\*[\s\S]*?\*\//g, '' );
+
+			while ( ( rule = rules.exec( css ) ) ) {
+				var styles = parseStyles( rule[ 2 ] );
+
+				tools.array.forEach( rule[ 1 ].split( ',' ), function( selector ) {
+					selector = tools.trim( selector ).toLowerCase();
+
+					styleSheet[ selector ] = tools.extend( styleSheet[ selector ] || {}, styles, true );
+				} );
+			}
+		}
+
+		return styleSheet;
+	}
+
+	// Parses the style text. Quoted values, like Excel number formats, may contain semicolons which need to be removed first.
+	function parseStyles( styleText ) {
+		styleText = ( styleText || '' ).replace( /&quot;/g, '"' ).replace( /"[^"]*"/g, function( value ) {
+			return value.replace( /;/g, '' );
+		} );
+
+		return tools.parseCssText( styleText, true );
+	}
+
+	// Returns the styles of an element, including the styles set for its tag name and classes in the style sheet.
+	function getStyles( element, styleSheet ) {
+		var attributes = element.attributes,
+			styles = tools.extend( {}, styleSheet[ element.name ] ),
+			classes = attributes[ 'class' ] ? tools.trim( attributes[ 'class' ] ).toLowerCase().split( /\s+/ ) : [];
+
+		tools.array.forEach( classes, function( className ) {
+			tools.extend( styles, styleSheet[ '.' + className ], styleSheet[ element.name + '.' + className ], true );
+		} );
+
+		// Attributes of the `font` element have lower priority than styles.
+		if ( element.name == 'font' ) {
+			if ( attributes.face ) {
+				styles[ 'font-family' ] = attributes.face.replace( /\s*,\s*/g, ',' );
+			}
+
+			if ( attributes.color ) {
+				styles.color = tools.normalizeHex( attributes.color );
+			}
+		}
+
+		return tools.extend( styles, parseStyles( attributes.style ), true );
+	}
+
+	// Converts the text styles into a list of wrapping elements: spans with the font styles (one style per span, like
+	// in style stacks) and semantic elements for the basic styles.
+	function getTextWrappers( styles, options ) {
+		var wrappers = [],
+			weight = styles[ 'font-weight' ],
+			decoration = styles[ 'text-decoration' ] || '',
+			color = styles.color,
+			background = getBackgroundColor( styles );
+
+		function addSpan( name, value ) {
+			wrappers.push( { name: 'span', attributes: { style: name + ':' + value } } );
+		}
+
+		if ( options.keepFonts ) {
+			styles[ 'font-family' ] && addSpan( 'font-family', styles[ 'font-family' ] );
+			styles[ 'font-size' ] && addSpan( 'font-size', styles[ 'font-size' ] );
+		}
+
+		if ( options.keepColors ) {
+			color && !defaultTextColors.test( color ) && addSpan( 'color', color );
+			background && addSpan( 'background-color', background );
+		}
+
+		if ( weight == 'bold' || parseInt( weight, 10 ) >= 600 ) {
+			wrappers.push( { name: 'strong', attributes: {} } );
+		}
+
+		if ( styles[ 'font-style' ] == 'italic' ) {
+			wrappers.push( { name: 'em', attributes: {} } );
+		}
+
+		if ( decoration.indexOf( 'underline' ) != -1 ) {
+			wrappers.push( { name: 'u', attributes: {} } );
+		}
+
+		if ( decoration.indexOf( 'line-through' ) != -1 ) {
+			wrappers.push( { name: 's', attributes: {} } );
+		}
+
+		return wrappers;
+	}
+
+	// Replaces the element with nested wrappers, or unwraps it if there are no wrappers. If `wrapChildren` is set,
+	// the element is kept and its children are wrapped instead.
+	function applyWrappers( element, wrappers, wrapChildren ) {
+		var children = element.children.slice(),
+			innermost = element;
+
+		if ( !wrapChildren ) {
+			if ( !wrappers.length ) {
+				delete element.name;
+				return;
+			}
+
+			element.name = wrappers[ 0 ].name;
+			element.attributes = wrappers[ 0 ].attributes;
+			wrappers = wrappers.slice( 1 );
+		}
+
+		if ( !wrappers.length || !children.length ) {
+			return;
+		}
+
+		tools.array.forEach( children, function( child ) {
+			child.remove();
+		} );
+
+		tools.array.forEach( wrappers, function( wrapper ) {
+			var wrapperElement = new CKEDITOR.htmlParser.element( wrapper.name, tools.clone( wrapper.attributes ) );
+
+			innermost.add( wrapperElement );
+			innermost = wrapperElement;
+		} );
+
+		tools.array.forEach( children, function( child ) {
+			innermost.add( child );
+		} );
+	}
+
+	function getBackgroundColor( styles ) {
+		var color = styles[ 'background-color' ] || ( styles.background && tools.style.parse.background( styles.background ).color );
+
+		return color && !transparentColors.test( color ) ? color : null;
+	}
+
+	// Returns the first valid alignment, if it is different than the default one.
+	function getAlignment() {
+		for ( var i = 0; i < arguments.length; i++ ) {
+			var align = ( arguments[ i ] || '' ).toLowerCase();
+
+			if ( align in alignments ) {
+				return align == 'left' ? null : align;
+			}
+		}
+
+		return null;
+	}
+
+	// Converts the width from an attribute or a style into pixels or percents.
+	function getWidth( value ) {
+		value = tools.trim( String( value || '' ) );
+
+		if ( /^\d+(\.\d+)?$/.test( value ) ) {
+			return Number( value ) ? value + 'px' : null;
+		}
+
+		if ( /^\d+(\.\d+)?(%|\*)$/.test( value ) ) {
+			return value;
+		}
+
+		if ( /^\d*(\.\d+)?[a-z]+$/.test( value ) ) {
+			return CKEDITOR.tools.convertToPx( value ) + 'px';
+		}
+
+		return null;
+	}
+
+	// Sums the widths with the same unit.
+	function sumWidths( widths ) {
+		var unit = widths.length && widths[ 0 ] && widths[ 0 ].replace( /^[\d\.]+/, '' ),
+			sum = 0;
+
+		for ( var i = 0; i < widths.length; i++ ) {
+			if ( !widths[ i ] || widths[ i ].replace( /^[\d\.]+/, '' ) !== unit ) {
+				return null;
+			}
+
+			sum += parseFloat( widths[ i ] );
+		}
+
+		return unit ? Math.round( sum * 100 ) / 100 + unit : null;
+	}
+
+	// Returns the widths of all table columns, set with the `col` and `colgroup` elements.
+	function getColumnWidths( table ) {
+		var widths = [],
+			relativeSum;
+
+		function addColumns( column ) {
+			var span = parseInt( column.attributes.span, 10 ) || 1,
+				width = getWidth( column.attributes.width || parseStyles( column.attributes.style ).width );
+
+			for ( var i = 0; i < span; i++ ) {
+				widths.push( width );
+			}
+		}
+
+		tools.array.forEach( table.children, function( child ) {
+			if ( child.name == 'col' ) {
+				addColumns( child );
+			} else if ( child.name == 'colgroup' ) {
+				if ( child.getFirst( 'col' ) ) {
+					tools.array.forEach( child.children, function( column ) {
+						column.name == 'col' && addColumns( column );
+					} );
+				} else {
+					addColumns( child );
+				}
+			}
+		} );
+
+		// Relative widths (like `128*`) used by LibreOffice are converted into percents.
+		relativeSum = sumWidths( widths );
+
+		if ( relativeSum && /\*$/.test( relativeSum ) ) {
+			widths = tools.array.map( widths, function( width ) {
+				return Math.round( parseFloat( width ) / parseFloat( relativeSum ) * 10000 ) / 100 + '%';
+			} );
+		}
+
+		return widths;
+	}
+
+	// Sets the column widths on the cells of the first row, like the Table Resize plugin does.
+	function setColumnWidths( table, widths ) {
+		var row = table.find( 'tr', true )[ 0 ],
+			column = 0;
+
+		if ( !row || !widths.length ) {
+			return;
+		}
+
+		tools.array.forEach( row.children, function( cell ) {
+			if ( cell.name != 'td' && cell.name != 'th' ) {
+				return;
+			}
+
+			var colspan = parseInt( cell.attributes.colspan, 10 ) || 1,
+				width = sumWidths( widths.slice( column, column + colspan ) );
+
+			column += colspan;
+
+			if ( width && !parseStyles( cell.attributes.style ).width ) {
+				Style.setStyle( cell, 'width', width );
+			}
+		} );
+	}
+
+	function hasBorder( styles ) {
+		for ( var name in styles ) {
+			if ( /^border(-(top|right|bottom|left))?$/.test( name ) && !/none|hidden/i.test( styles[ name ] ) &&
+				!/^0([a-z]+)?(\s|$)/i.test( styles[ name ] ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	// Keeps the border, the width and the alignment of a table. Column widths are moved to the cells of the first row.
+	function cleanTable( element, filter, styleSheet ) {
+		var attributes = element.attributes,
+			columnWidths = getColumnWidths( element ),
+			width = getWidth( attributes.width || getStyles( element, styleSheet ).width ) || sumWidths( columnWidths ),
+			align = getAlignment( attributes.align ),
+			hasBorders = parseInt( attributes.border, 10 ) > 0 || !!element.find( function( node ) {
+				return ( node.name == 'td' || node.name == 'th' ) && hasBorder( getStyles( node, styleSheet ) );
+			}, true ).length;
+
+		element.attributes = {};
+
+		if ( hasBorders ) {
+			element.attributes.border = '1';
+		}
+
+		if ( align && align != 'justify' ) {
+			element.attributes.align = align;
+		}
+
+		if ( width && !/\*$/.test( width ) ) {
+			element.attributes.style = 'width:' + width;
+		}
+
+		element.filterChildren( filter );
+
+		setColumnWidths( element, columnWidths );
+	}
+
+	// Keeps the spans, the width, the alignment, the background color and the text formatting of a table cell.
+	function cleanCell( element, styleSheet, options ) {
+		var attributes = element.attributes,
+			styles = getStyles( element, styleSheet ),
+			cellStyles = {},
+			textAlign = getAlignment( styles[ 'text-align' ], attributes.align ),
+			verticalAlign = ( styles[ 'vertical-align' ] || attributes.valign || '' ).toLowerCase(),
+			background = getBackgroundColor( styles ) || ( attributes.bgcolor && tools.normalizeHex( attributes.bgcolor ) ),
+			width = getWidth( attributes.width || styles.width ),
+			children = tools.array.filter( element.children, function( child ) {
+				return child.type != CKEDITOR.NODE_TEXT || tools.trim( child.value );
+			} ),
+			paragraph = children.length == 1 && children[ 0 ].name == 'p' && children[ 0 ],
+			textStyles = tools.extend( {}, styles );
+
+		// The background color is kept on the cell.
+		delete textStyles.background;
+		delete textStyles[ 'background-color' ];
+
+		element.attributes = {};
+
+		tools.array.forEach( [ 'colspan', 'rowspan' ], function( name ) {
+			if ( parseInt( attributes[ name ], 10 ) > 1 ) {
+				element.attributes[ name ] = attributes[ name ];
+			}
+		} );
+
+		// Cells with a single paragraph are unwrapped, like the cells created in the editor.
+		if ( paragraph ) {
+			textAlign = textAlign || getAlignment( parseStyles( paragraph.attributes.style )[ 'text-align' ], paragraph.attributes.align );
+			paragraph.replaceWithChildren();
+		}
+
+		if ( width && !/\*$/.test( width ) ) {
+			cellStyles.width = width;
+		}
+
+		if ( textAlign ) {
+			cellStyles[ 'text-align' ] = textAlign;
+		}
+
+		if ( verticalAlign in verticalAlignments && verticalAlign != options.verticalAlign ) {
+			cellStyles[ 'vertical-align' ] = verticalAlign;
+		}
+
+		if ( background && !transparentColors.test( background ) ) {
+			cellStyles[ 'background-color' ] = background;
+		}
+
+		if ( !tools.isEmpty( cellStyles ) ) {
+			element.attributes.style = tools.writeCssText( cellStyles );
+		}
+
+		// Empty cells contain only a line break used as a placeholder, so there is no text to format.
+		if ( tools.array.filter( children, function( child ) {
+			return child.name != 'br';
+		} ).length ) {
+			applyWrappers( element, getTextWrappers( textStyles, options ), true );
+		}
+	}
+
+	// Keeps the text formatting of an inline element, except for the font styles already inherited from the cell
+	// or the parent elements, as spreadsheets repeat the fonts of a cell for each formatted part of its text.
+	function cleanInlineElement( element, styleSheet, options ) {
+		var styles = getStyles( element, styleSheet ),
+			inheritedStyles = {},
+			parent = element.parent;
+
+		// The wrapping spans are already filtered, so each of them contains a single style.
+		for ( ; parent && parent.name && parent.name != 'td' && parent.name != 'th'; parent = parent.parent ) {
+			if ( parent.name == 'span' ) {
+				tools.extend( inheritedStyles, parseStyles( parent.attributes.style ) );
+			}
+		}
+
+		tools.array.forEach( [ 'font-family', 'font-size', 'color' ], function( name ) {
+			if ( styles[ name ] && styles[ name ] == inheritedStyles[ name ] ) {
+				delete styles[ name ];
+			}
+		} );
+
+		applyWrappers( element, getTextWrappers( styles, options ) );
+	}
+
+	// Keeps only the alignment and the direction of paragraphs and headings.
+	function cleanBlock( element ) {
+		var attributes = element.attributes,
+			align = getAlignment( parseStyles( attributes.style )[ 'text-align' ], attributes.align );
+
+		element.attributes = {};
+
+		if ( align ) {
+			element.attributes.style = 'text-align:' + align;
+		}
+
+		if ( attributes.dir ) {
+			element.attributes.dir = attributes.dir;
+		}
+	}
+
+	// Keeps the start and the type of a list. The type set with an attribute is converted into a style.
+	function cleanList( element ) {
+		var attributes = element.attributes,
+			listStyle = listTypes[ attributes.type ] || parseStyles( attributes.style )[ 'list-style-type' ];
+
+		element.attributes = {};
+
+		if ( attributes.start && attributes.start != '1' ) {
+			element.attributes.start = attributes.start;
+		}
+
+		if ( listStyle && listStyle != ( element.name == 'ol' ? 'decimal' : 'disc' ) ) {
+			element.attributes.style = 'list-style-type:' + listStyle;
+		}
+	}
+
+	// List items contain paragraphs. Consecutive paragraphs are separated with line breaks.
+	function unwrapParagraphs( element ) {
+		var paragraphs = tools.array.filter( element.children, function( child ) {
+			return child.name == 'p';
+		} );
+
+		tools.array.forEach( paragraphs, function( paragraph, index ) {
+			if ( index > 0 ) {
+				new CKEDITOR.htmlParser.element( 'br' ).insertBefore( paragraph );
+			}
+
+			paragraph.replaceWithChildren();
+		} );
+	}
+
+	function cleanLink( element ) {
+		var attributes = element.attributes;
+
+		element.attributes = {};
+
+		tools.array.forEach( [ 'href', 'name', 'target', 'title' ], function( name ) {
+			if ( attributes[ name ] ) {
+				element.attributes[ name ] = attributes[ name ];
+			}
+		} );
+	}
+
+	function clearAttributes( element ) {
+		element.attributes = {};
+	}
+
 	CKEDITOR.plugins.pastefromword.createAttributeStack = createAttributeStack;
 
 	/**
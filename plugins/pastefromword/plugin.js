@@ -69,10 +69,11 @@
 					// Some commands fire paste event without setting dataTransfer property. In such case
 					// dataValue should be used.
 					mswordHtml = dataTransferHtml || data.dataValue,
-					pfwEvtData = { dataValue: mswordHtml, dataTransfer: { 'text/rtf': dataTransferRtf } },
 					officeMetaRegexp = /<meta\s*name=(?:\"|\')?generator(?:\"|\')?\s*content=(?:\"|\')?microsoft/gi,
 					wordRegexp = /(class=\"?Mso|style=(?:\"|\')[^\"]*?\bmso\-|w:WordDocument|<o:\w+>|<\/font>)/,
-					isOfficeContent = officeMetaRegexp.test( mswordHtml ) || wordRegexp.test( mswordHtml );
+					source = getContentSource( mswordHtml ),
+					pfwEvtData = { dataValue: mswordHtml, dataTransfer: { 'text/rtf': dataTransferRtf }, source: source },
+					isOfficeContent = source != 'word' || officeMetaRegexp.test( mswordHtml ) || wordRegexp.test( mswordHtml );
 
 				if ( !mswordHtml || !( forceFromWord || isOfficeContent ) ) {
 					return;
@@ -96,7 +97,7 @@
 						editor.fire( 'paste', data );
 					} else if ( !editor.config.pasteFromWordPromptCleanup || ( forceFromWord || confirm( editor.lang.pastefromword.confirmCleanup ) ) ) {
 
-						pfwEvtData.dataValue = CKEDITOR.cleanWord( pfwEvtData.dataValue, editor );
+						pfwEvtData.dataValue = cleanup( pfwEvtData.dataValue, pfwEvtData.source, editor );
 
 						editor.fire( 'afterPasteFromWord', pfwEvtData );
 
@@ -172,6 +173,43 @@
 
 	} );
 
+	// Recognizes the application which the content was copied from. Content from Microsoft Word and other
+	// applications is reported as `'word'`.
+	function getContentSource( html ) {
+		if ( !html ) {
+			return 'word';
+		}
+
+		if ( /<meta\s*name=(?:\"|\')?generator(?:\"|\')?\s*content=(?:\"|\')?(?:libreoffice|openoffice)/i.test( html ) ) {
+			// Calc describes columns with `colgroup` elements and stores cell values in `sdval` and `sdnum` attributes.
+			return /\ssd(?:val|num)=|<colgroup[^>]*\swidth=/i.test( html ) ? 'libreOfficeCalc' : 'libreOfficeWriter';
+		}
+
+		if ( /<meta\s*name=(?:\"|\')?generator(?:\"|\')?\s*content=(?:\"|\')?microsoft excel|xmlns:x=(?:\"|\')?urn:schemas-microsoft-com:office:excel/i.test( html ) ) {
+			return 'excel';
+		}
+
+		return 'word';
+	}
+
+	// Spreadsheets and LibreOffice Writer have their own filters. Excel content is cleaned up with the Word filter
+	// unless the spreadsheet filter is enabled, as it drops the styles of individual cells. A custom cleanup file may provide
+	// only the Word filter, which is used for all the content then.
+	function cleanup( html, source, editor ) {
+		var pastefromword = CKEDITOR.plugins.pastefromword,
+			isSpreadsheet = source == 'libreOfficeCalc' || source == 'excel' && editor.config.pasteFromWord_excelFilter;
+
+		if ( isSpreadsheet && pastefromword && pastefromword.spreadsheet ) {
+			return pastefromword.spreadsheet.cleanup( html, editor );
+		}
+
+		if ( source == 'libreOfficeWriter' && pastefromword && pastefromword.libreOffice ) {
+			return pastefromword.libreOffice.cleanup( html, editor );
+		}
+
+		return CKEDITOR.cleanWord( html, editor );
+	}
+
 	function loadFilterRules( editor, path, callback ) {
 		var isLoaded = CKEDITOR.cleanWord;
 
@@ -244,15 +282,39 @@
  * @member CKEDITOR.config
  */
 
+/**
+ * Whether the content copied from Microsoft Excel is cleaned up with the spreadsheet filter, which is also used
+ * for LibreOffice Calc, instead of the Word filter.
+ *
+ * The spreadsheet filter keeps cell spans, column widths, alignments, cell backgrounds and basic text formatting,
+ * and pastes cell values as displayed in the spreadsheet. Unlike the Word filter, it does not keep the styles of
+ * individual cells like borders, heights and white space handling: the table gets a single `border` attribute instead.
+ *
+ *		// Clean up Excel tables with the spreadsheet filter.
+ *		config.pasteFromWord_excelFilter = true;
+ *
+ * @since 4.13.0
+ * @cfg {Boolean} [pasteFromWord_excelFilter=false]
+ * @member CKEDITOR.config
+ */
+
 /**
  * Fired when the pasted content was recognized as Microsoft Word content.
  *
+ * Since 4.13.0 the content copied from Microsoft Excel, LibreOffice Writer and LibreOffice Calc
+ * is also recognized. LibreOffice content is cleaned up with dedicated filters, and so is Excel content
+ * when {@link CKEDITOR.config#pasteFromWord_excelFilter} is enabled.
+ *
  * This event is cancellable. If canceled, it will prevent Paste from Word processing.
  *
  * @since 4.6.0
  * @event pasteFromWord
  * @param data
  * @param {String} data.dataValue Pasted content. Changes to this property will affect the pasted content.
+ * @param {String} data.source The application which the content was copied from: `'word'`, `'excel'`,
+ * `'libreOfficeWriter'` or `'libreOfficeCalc'`. The content of other applications recognized as Microsoft Word
+ * content is reported as `'word'`. Changes to this property will affect the filter used to clean up the content.
+ * This property was added in 4.13.0.
  * @member CKEDITOR.editor
  */
 
@@ -0,0 +1,192 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+( function() {
+	'use strict';
+
+	CKEDITOR.dialog.add( 'revisionHistory', function( editor ) {
+		var lang = editor.lang.revisionhistory,
+			history = editor.revisionHistory,
+			// Identifies the latest preview request, so the results of older requests are ignored.
+			previewRequest = 0;
+
+		function getField( dialog, id ) {
+			return dialog.getContentElement( 'info', id );
+		}
+
+		function getLabel( version ) {
+			var date = new Date( version.timestamp ).toLocaleString();
+
+			return version.name == date ? date : version.name + ' (' + date + ')';
+		}
+
+		// Reloads the list of versions and selects the version with the given ID or the newest version.
+		function refresh( dialog, selectedId ) {
+			history.list( function( versions ) {
+				var versionField = getField( dialog, 'version' ),
+					compareField = getField( dialog, 'compare' ),
+					compareId = compareField.getValue(),
+					ids = {};
+
+				versionField.clear();
+				compareField.clear();
+				compareField.add( lang.current, '' );
+
+				CKEDITOR.tools.array.forEach( versions, function( version ) {
+					var label = getLabel( version );
+
+					versionField.add( label, version.id );
+					compareField.add( label, version.id );
+					ids[ version.id ] = 1;
+				} );
+
+				if ( versions.length ) {
+					versionField.setValue( ids[ selectedId ] ? selectedId : versions[ 0 ].id, true );
+				}
+
+				compareField.setValue( ids[ compareId ] ? compareId : '', true );
+
+				getField( dialog, 'restore' )[ versions.length ? 'enable' : 'disable' ]();
+				getField( dialog, 'remove' )[ versions.length ? 'enable' : 'disable' ]();
+
+				updatePreview( dialog );
+			} );
+		}
+
+		function updatePreview( dialog ) {
+			var id = getField( dialog, 'version' ).getValue(),
+				request = ++previewRequest;
+
+			if ( !id ) {
+				return writePreview( dialog, '<p class="cke_revisionhistory_empty">' + CKEDITOR.tools.htmlEncode( lang.noVersions ) + '</p>' );
+			}
+
+			history.compare( id, getField( dialog, 'compare' ).getValue() || null, function( html ) {
+				if ( request == previewRequest ) {
+					writePreview( dialog, html || '' );
+				}
+			} );
+		}
+
+		// The preview is rendered in a frame with the contents styles, so it looks like the editor content.
+		function writePreview( dialog, html ) {
+			var frame = getField( dialog, 'preview' ).getElement(),
+				config = editor.config,
+				dir = config.contentsLangDirection == 'ui' ? editor.lang.dir : config.contentsLangDirection;
+
+			frame.getFrameDocument().write( '<!DOCTYPE html>' +
+				'<html dir="' + dir + '" lang="' + ( config.contentsLanguage || editor.langCode ) + '">' +
+				'<head>' +
+					CKEDITOR.tools.buildStyleHtml( config.contentsCss ) +
+					CKEDITOR.tools.buildStyleHtml( editor.plugins.revisionhistory.path + 'styles/revisionhistory.css' ) +
+				'</head>' +
+				'<body class="cke_editable cke_revisionhistory_diff">' + html + '</body>' +
+				'</html>' );
+		}
+
+		return {
+			title: lang.title,
+			minWidth: 500,
+			minHeight: 380,
+			buttons: [
+				// Close button only.
+				CKEDITOR.dialog.cancelButton( editor, {
+					label: editor.lang.common.close
+				} )
+			],
+			contents: [ {
+				id: 'info',
+				label: lang.title,
+				elements: [ {
+					type: 'hbox',
+					widths: [ '75%', '25%' ],
+					children: [ {
+						type: 'text',
+						id: 'name',
+						label: lang.name
+					}, {
+						type: 'button',
+						id: 'save',
+						label: lang.save,
+						style: 'margin-top:18px',
+						onClick: function() {
+							var dialog = this.getDialog(),
+								nameField = getField( dialog, 'name' );
+
+							history.save( nameField.getValue(), function( version ) {
+								if ( !version ) {
+									return alert( lang.saveError ); // jshint ignore:line
+								}
+
+								nameField.setValue( '' );
+								refresh( dialog, version.id );
+							} );
+						}
+					} ]
+				}, {
+					type: 'hbox',
+					widths: [ '50%', '50%' ],
+					children: [ {
+						type: 'select',
+						id: 'version',
+						label: lang.version,
+						items: [],
+						style: 'width:100%',
+						onChange: function() {
+							updatePreview( this.getDialog() );
+						}
+					}, {
+						type: 'select',
+						id: 'compare',
+						label: lang.compare,
+						items: [],
+						style: 'width:100%',
+						onChange: function() {
+							updatePreview( this.getDialog() );
+						}
+					} ]
+				}, {
+					type: 'html',
+					id: 'preview',
+					html: '<iframe class="cke_revisionhistory_preview" frameborder="0" title="' +
+						CKEDITOR.tools.htmlEncodeAttr( lang.changes ) + '"></iframe>'
+				}, {
+					type: 'hbox',
+					widths: [ '50%', '50%' ],
+					children: [ {
+						type: 'button',
+						id: 'restore',
+						label: lang.restore,
+						onClick: function() {
+							var dialog = this.getDialog(),
+								id = getField( dialog, 'version' ).getValue();
+
+							dialog.hide();
+							history.restore( id );
+						}
+					}, {
+						type: 'button',
+						id: 'remove',
+						label: lang.remove,
+						align: 'right',
+						onClick: function() {
+							var dialog = this.getDialog();
+
+							if ( confirm( lang.removeConfirm ) ) { // jshint ignore:line
+								history.remove( getField( dialog, 'version' ).getValue(), function() {
+									refresh( dialog );
+								} );
+							}
+						}
+					} ]
+				} ]
+			} ],
+
+			onShow: function() {
+				refresh( this );
+			}
+		};
+	} );
+} )();
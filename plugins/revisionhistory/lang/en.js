@@ -0,0 +1,18 @@
+/*
+Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+*/
+CKEDITOR.plugins.setLang( 'revisionhistory', 'en', {
+	title: 'Revision History',
+	name: 'Version name',
+	save: 'Save Version',
+	saveError: 'The version could not be saved.',
+	version: 'Version',
+	compare: 'Compare with',
+	current: 'Current content',
+	changes: 'Changes',
+	noVersions: 'No versions have been saved yet.',
+	restore: 'Restore Version',
+	remove: 'Delete Version',
+	removeConfirm: 'Are you sure you want to delete the selected version?'
+} );
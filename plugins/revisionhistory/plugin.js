@@ -0,0 +1,676 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @fileOverview The Revision History plugin. Keeps named versions of the editor data in a storage
+ * (see {@link CKEDITOR.plugins.revisionhistory.storage}), shows the changes between any two versions
+ * and restores versions.
+ *
+ * Unlike the undo snapshots, versions are not limited by the {@link CKEDITOR.config#undoStackSize}
+ * and, depending on the storage, survive reloading the page.
+ */
+
+( function() {
+	'use strict';
+
+	var KEY_PREFIX = 'ckeditor-revisions:',
+		// Above this number of compared token pairs the changed parts are shown without finding common tokens.
+		MAX_DIFF_SIZE = 250000,
+		// Matches comments, tags, whitespace and words of the HTML.
+		tokenRegex = /<!--[\s\S]*?-->|<[^>]*>|\s+|[^<\s]+|</g,
+		// Tags which are content on their own, so they are highlighted like words.
+		objectTagRegex = /^<(img|iframe|embed|object|video|audio|hr)\b/i,
+		tagNameRegex = /^<(\/?)([a-z][^\s\/>]*)/i,
+		// This flag prevents appending stylesheet more than once.
+		stylesLoaded = false;
+
+	CKEDITOR.plugins.add( 'revisionhistory', {
+		requires: 'dialog',
+		lang: 'en',
+		icons: 'revisionhistory', // %REMOVE_LINE_CORE%
+		hidpi: true, // %REMOVE_LINE_CORE%
+
+		init: function( editor ) {
+			if ( !stylesLoaded ) {
+				CKEDITOR.document.appendStyleSheet( this.path + 'styles/revisionhistory.css' );
+				stylesLoaded = true;
+			}
+
+			/**
+			 * The revision history of this editor instance.
+			 *
+			 * @since 4.13.0
+			 * @readonly
+			 * @member CKEDITOR.editor
+			 * @property {CKEDITOR.plugins.revisionhistory.history} revisionHistory
+			 */
+			editor.revisionHistory = new CKEDITOR.plugins.revisionhistory.history( editor );
+
+			editor.addCommand( 'revisionHistory', new CKEDITOR.dialogCommand( 'revisionHistory', {
+				canUndo: false
+			} ) );
+
+			CKEDITOR.dialog.add( 'revisionHistory', this.path + 'dialogs/revisionhistory.js' );
+
+			if ( editor.ui.addButton ) {
+				editor.ui.addButton( 'RevisionHistory', {
+					label: editor.lang.revisionhistory.title,
+					command: 'revisionHistory',
+					toolbar: 'undo,30'
+				} );
+			}
+		}
+	} );
+
+	/**
+	 * The Revision History plugin API.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.revisionhistory
+	 * @singleton
+	 */
+	CKEDITOR.plugins.revisionhistory = {
+		/**
+		 * The storage keeping versions in the [`localStorage`](https://developer.mozilla.org/en-US/docs/Web/API/Window/localStorage).
+		 * This is the default storage. All versions of an editor are kept in a single item.
+		 *
+		 * @property {CKEDITOR.plugins.revisionhistory.storage}
+		 */
+		localStorage: {
+			list: function( key, callback ) {
+				callback( readVersions( key ) );
+			},
+
+			load: function( key, id, callback ) {
+				var versions = readVersions( key );
+
+				callback( versions[ indexOfVersion( versions, id ) ] || null );
+			},
+
+			save: function( key, version, callback ) {
+				var versions = readVersions( key ),
+					index = indexOfVersion( versions, version.id );
+
+				if ( index == -1 ) {
+					versions.push( version );
+				} else {
+					versions[ index ] = version;
+				}
+
+				callback( writeVersions( key, versions ) );
+			},
+
+			remove: function( key, id, callback ) {
+				var versions = readVersions( key ),
+					index = indexOfVersion( versions, id );
+
+				if ( index != -1 ) {
+					versions.splice( index, 1 );
+				}
+
+				callback( writeVersions( key, versions ) );
+			}
+		},
+
+		/**
+		 * Returns HTML of the new data in which the changes from the old data are marked. Inserted text is wrapped
+		 * with the `<ins class="cke_revisionhistory_ins">` element and removed text with the
+		 * `<del class="cke_revisionhistory_del">` element.
+		 *
+		 * The result keeps the structure of the new data. Removed elements are shown with their removed text,
+		 * but removed tags which do not form whole elements, e.g. when two paragraphs were merged, are dropped.
+		 *
+		 *		CKEDITOR.plugins.revisionhistory.diff( '<p>Hello world</p>', '<p>Hello <b>new</b> world</p>' );
+		 *		// -> '<p>Hello <b><ins class="cke_revisionhistory_ins">new</ins></b> world</p>'
+		 *
+		 * @param {String} oldData
+		 * @param {String} newData
+		 * @returns {String}
+		 */
+		diff: function( oldData, newData ) {
+			var html = [];
+
+			CKEDITOR.tools.array.forEach( diffTokens( tokenize( oldData ), tokenize( newData ) ), function( part ) {
+				html.push( part.type == 'equal' ? part.tokens.join( '' ) : markTokens( part.type, part.tokens ) );
+			} );
+
+			return html.join( '' );
+		}
+	};
+
+	/**
+	 * The revision history of the editor. It is available as {@link CKEDITOR.editor#revisionHistory}.
+	 *
+	 *		editor.revisionHistory.save( 'Before review', function( version ) {
+	 *			if ( version ) {
+	 *				console.log( 'Saved version ' + version.id );
+	 *			}
+	 *		} );
+	 *
+	 * Versions are kept in the storage set with the {@link CKEDITOR.config#revisionHistory_storage} option under
+	 * the {@link CKEDITOR.config#revisionHistory_key} key. All methods are asynchronous, because the storage may keep
+	 * the versions on a server.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.revisionhistory.history
+	 * @constructor Creates a revision history instance.
+	 * @param {CKEDITOR.editor} editor
+	 */
+	function History( editor ) {
+		var config = editor.config;
+
+		/**
+		 * The editor instance.
+		 *
+		 * @readonly
+		 * @property {CKEDITOR.editor}
+		 */
+		this.editor = editor;
+
+		/**
+		 * The storage of versions.
+		 *
+		 * @readonly
+		 * @property {CKEDITOR.plugins.revisionhistory.storage}
+		 */
+		this.storage = getStorage( config.revisionHistory_storage );
+
+		/**
+		 * The key of the versions of this editor in the {@link #storage}.
+		 *
+		 * @readonly
+		 * @property {String}
+		 */
+		this.key = config.revisionHistory_key || KEY_PREFIX + window.location.pathname + '#' + editor.name;
+	}
+
+	History.prototype = {
+		/**
+		 * Saves the current editor data as a new version.
+		 *
+		 * Fires the {@link CKEDITOR.editor#revisionSave} event when the version is saved.
+		 *
+		 * @param {String} [name] The name of the version. Defaults to the time when it was saved.
+		 * @param {Function} [callback] A function called with the saved {@link CKEDITOR.plugins.revisionhistory.version version}
+		 * or `null` if it could not be saved.
+		 */
+		save: function( name, callback ) {
+			var editor = this.editor,
+				timestamp = ( new Date() ).getTime(),
+				version = {
+					id: timestamp.toString( 36 ) + Math.random().toString( 36 ).slice( 2, 6 ),
+					name: CKEDITOR.tools.trim( name || '' ) || new Date( timestamp ).toLocaleString(),
+					data: editor.getData(),
+					timestamp: timestamp
+				};
+
+			this.storage.save( this.key, version, function( success ) {
+				if ( success ) {
+					editor.fire( 'revisionSave', { version: version } );
+				}
+
+				callback && callback( success ? version : null );
+			} );
+		},
+
+		/**
+		 * Lists saved versions, starting from the newest one. Depending on the storage, the listed versions may
+		 * have no {@link CKEDITOR.plugins.revisionhistory.version#data data}, use {@link #load} to get it.
+		 *
+		 * @param {Function} callback A function called with the array of {@link CKEDITOR.plugins.revisionhistory.version versions}.
+		 */
+		list: function( callback ) {
+			this.storage.list( this.key, function( versions ) {
+				versions = CKEDITOR.tools.array.filter( versions || [], function( version ) {
+					return version && version.id !== undefined;
+				} );
+
+				versions.sort( function( a, b ) {
+					return b.timestamp - a.timestamp;
+				} );
+
+				callback( versions );
+			} );
+		},
+
+		/**
+		 * Loads a version.
+		 *
+		 * @param {String} id The ID of the version.
+		 * @param {Function} callback A function called with the {@link CKEDITOR.plugins.revisionhistory.version version}
+		 * or `null` if it does not exist.
+		 */
+		load: function( id, callback ) {
+			this.storage.load( this.key, id, function( version ) {
+				callback( version && typeof version.data == 'string' ? version : null );
+			} );
+		},
+
+		/**
+		 * Removes a version.
+		 *
+		 * @param {String} id The ID of the version.
+		 * @param {Function} [callback] A function called with `true` when the version was removed and `false` otherwise.
+		 */
+		remove: function( id, callback ) {
+			this.storage.remove( this.key, id, function( success ) {
+				callback && callback( success );
+			} );
+		},
+
+		/**
+		 * Replaces the editor data with a version. Restoring is a single step which can be undone.
+		 *
+		 * Fires the {@link CKEDITOR.editor#revisionRestore} event.
+		 *
+		 * @param {String} id The ID of the version.
+		 * @param {Function} [callback] A function called with the restored {@link CKEDITOR.plugins.revisionhistory.version version}
+		 * when the data was set or with `null` if the version does not exist or the editor is read-only.
+		 */
+		restore: function( id, callback ) {
+			var editor = this.editor;
+
+			this.load( id, function( version ) {
+				if ( !version || editor.readOnly ) {
+					return callback && callback( null );
+				}
+
+				// Setting the data saves undo snapshots before and after the change.
+				editor.setData( version.data, {
+					callback: function() {
+						editor.fire( 'revisionRestore', { version: version } );
+						callback && callback( version );
+					}
+				} );
+			} );
+		},
+
+		/**
+		 * Returns HTML of the changes between two versions, see {@link CKEDITOR.plugins.revisionhistory#diff}.
+		 *
+		 *		// Changes made since the version was saved.
+		 *		editor.revisionHistory.compare( versionId, null, function( html ) {
+		 *			preview.setHtml( html );
+		 *		} );
+		 *
+		 * @param {String/null} oldId The ID of the old version or `null` for the current editor data.
+		 * @param {String/null} newId The ID of the new version or `null` for the current editor data.
+		 * @param {Function} callback A function called with the HTML or `null` if any of the versions does not exist.
+		 */
+		compare: function( oldId, newId, callback ) {
+			var that = this;
+
+			this.getData( oldId, function( oldData ) {
+				that.getData( newId, function( newData ) {
+					callback( oldData === null || newData === null ? null : CKEDITOR.plugins.revisionhistory.diff( oldData, newData ) );
+				} );
+			} );
+		},
+
+		/**
+		 * Returns the data of a version.
+		 *
+		 * @param {String/null} id The ID of the version or `null` for the current editor data.
+		 * @param {Function} callback A function called with the data or `null` if the version does not exist.
+		 */
+		getData: function( id, callback ) {
+			if ( id === null ) {
+				return callback( this.editor.getData() );
+			}
+
+			this.load( id, function( version ) {
+				callback( version && version.data );
+			} );
+		}
+	};
+
+	CKEDITOR.plugins.revisionhistory.history = History;
+
+	/**
+	 * An abstract storage of versions. A storage can be set with the {@link CKEDITOR.config#revisionHistory_storage}
+	 * option. All methods are asynchronous, so versions can also be kept on a server:
+	 *
+	 *		config.revisionHistory_storage = {
+	 *			list: function( key, callback ) {
+	 *				CKEDITOR.ajax.load( '/versions/' + encodeURIComponent( key ), function( response ) {
+	 *					callback( response ? JSON.parse( response ) : [] );
+	 *				} );
+	 *			},
+	 *
+	 *			load: function( key, id, callback ) {
+	 *				CKEDITOR.ajax.load( '/versions/' + encodeURIComponent( key ) + '/' + id, function( response ) {
+	 *					callback( response ? JSON.parse( response ) : null );
+	 *				} );
+	 *			},
+	 *
+	 *			save: function( key, version, callback ) {
+	 *				CKEDITOR.ajax.post( '/versions/' + encodeURIComponent( key ), JSON.stringify( version ), 'application/json', function( response ) {
+	 *					callback( response !== null );
+	 *				} );
+	 *			},
+	 *
+	 *			remove: function( key, id, callback ) {
+	 *				CKEDITOR.ajax.post( '/versions/' + encodeURIComponent( key ) + '/' + id + '/remove', '', null, function( response ) {
+	 *					callback( response !== null );
+	 *				} );
+	 *			}
+	 *		};
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.revisionhistory.storage
+	 * @abstract
+	 */
+
+	/**
+	 * Lists versions. The listed versions do not need to have the {@link CKEDITOR.plugins.revisionhistory.version#data data}.
+	 *
+	 * @method list
+	 * @param {String} key The key of the versions, see {@link CKEDITOR.config#revisionHistory_key}.
+	 * @param {Function} callback A function which must be called with the array of
+	 * {@link CKEDITOR.plugins.revisionhistory.version versions}.
+	 */
+
+	/**
+	 * Loads a version.
+	 *
+	 * @method load
+	 * @param {String} key The key of the versions.
+	 * @param {String} id The ID of the version.
+	 * @param {Function} callback A function which must be called with the {@link CKEDITOR.plugins.revisionhistory.version version}
+	 * or `null` if it does not exist or could not be loaded.
+	 */
+
+	/**
+	 * Saves a version, replacing the version with the same ID.
+	 *
+	 * @method save
+	 * @param {String} key The key of the versions.
+	 * @param {CKEDITOR.plugins.revisionhistory.version} version
+	 * @param {Function} callback A function which must be called with `true` if the version was saved and `false` otherwise.
+	 */
+
+	/**
+	 * Removes a version.
+	 *
+	 * @method remove
+	 * @param {String} key The key of the versions.
+	 * @param {String} id The ID of the version.
+	 * @param {Function} callback A function which must be called with `true` if the version was removed and `false` otherwise.
+	 */
+
+	/**
+	 * A version of the editor data.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.revisionhistory.version
+	 * @abstract
+	 */
+
+	/**
+	 * The unique ID of the version.
+	 *
+	 * @property {String} id
+	 */
+
+	/**
+	 * The name of the version.
+	 *
+	 * @property {String} name
+	 */
+
+	/**
+	 * The editor data.
+	 *
+	 * @property {String} data
+	 */
+
+	/**
+	 * The time when the version was saved, in milliseconds since the Unix epoch.
+	 *
+	 * @property {Number} timestamp
+	 */
+
+	function getStorage( storage ) {
+		if ( storage && typeof storage == 'object' ) {
+			return storage;
+		}
+
+		return CKEDITOR.plugins.revisionhistory.localStorage;
+	}
+
+	function readVersions( key ) {
+		var versions = null;
+
+		try {
+			versions = JSON.parse( window.localStorage.getItem( key ) );
+		} catch ( e ) {}
+
+		return CKEDITOR.tools.isArray( versions ) ? versions : [];
+	}
+
+	// Returns `false` if the versions could not be written, e.g. when the storage is disabled or full.
+	function writeVersions( key, versions ) {
+		try {
+			if ( versions.length ) {
+				window.localStorage.setItem( key, JSON.stringify( versions ) );
+			} else {
+				window.localStorage.removeItem( key );
+			}
+
+			return true;
+		} catch ( e ) {
+			return false;
+		}
+	}
+
+	function indexOfVersion( versions, id ) {
+		return CKEDITOR.tools.getIndex( versions, function( version ) {
+			return version && version.id === id;
+		} );
+	}
+
+	function tokenize( html ) {
+		return html.match( tokenRegex ) || [];
+	}
+
+	function isTag( token ) {
+		return token.charAt( 0 ) == '<' && token.length > 1 && !objectTagRegex.test( token );
+	}
+
+	// Wraps the text of the changed tokens with `ins` or `del` elements. Tags of inserted tokens are kept. Tags of removed
+	// tokens are kept only if they form whole elements, so the result has the structure of the new data.
+	function markTokens( type, tokens ) {
+		var keepTags = type == 'ins' || isBalanced( tokens ),
+			html = [],
+			text = [];
+
+		function flush() {
+			var value = text.join( '' );
+
+			// Whitespace is not marked, so no elements appear e.g. between table rows.
+			if ( value && CKEDITOR.tools.trim( value ) ) {
+				value = '<' + type + ' class="cke_revisionhistory_' + type + '">' + value + '</' + type + '>';
+			}
+
+			html.push( value );
+			text = [];
+		}
+
+		CKEDITOR.tools.array.forEach( tokens, function( token ) {
+			if ( !isTag( token ) ) {
+				text.push( token );
+				return;
+			}
+
+			flush();
+
+			if ( keepTags ) {
+				html.push( token );
+			}
+		} );
+
+		flush();
+
+		return html.join( '' );
+	}
+
+	// Checks whether every element opened in the tokens is closed in them and the other way round.
+	function isBalanced( tokens ) {
+		var open = [],
+			i,
+			match;
+
+		for ( i = 0; i < tokens.length; i++ ) {
+			match = isTag( tokens[ i ] ) && tokens[ i ].match( tagNameRegex );
+
+			if ( !match || CKEDITOR.dtd.$empty[ match[ 2 ] ] || tokens[ i ].slice( -2 ) == '/>' ) {
+				continue;
+			}
+
+			if ( !match[ 1 ] ) {
+				open.push( match[ 2 ] );
+			} else if ( open.pop() != match[ 2 ] ) {
+				return false;
+			}
+		}
+
+		return !open.length;
+	}
+
+	// Returns the list of `equal`, `del` and `ins` parts changing old tokens into new tokens.
+	function diffTokens( oldTokens, newTokens ) {
+		var parts = [],
+			prefix = 0,
+			suffix = 0,
+			oldMiddle,
+			newMiddle;
+
+		while ( prefix < oldTokens.length && prefix < newTokens.length && oldTokens[ prefix ] === newTokens[ prefix ] ) {
+			prefix++;
+		}
+
+		while ( suffix < oldTokens.length - prefix && suffix < newTokens.length - prefix &&
+			oldTokens[ oldTokens.length - 1 - suffix ] === newTokens[ newTokens.length - 1 - suffix ] ) {
+			suffix++;
+		}
+
+		oldMiddle = oldTokens.slice( prefix, oldTokens.length - suffix );
+		newMiddle = newTokens.slice( prefix, newTokens.length - suffix );
+
+		addPart( parts, 'equal', oldTokens.slice( 0, prefix ) );
+
+		if ( oldMiddle.length * newMiddle.length > MAX_DIFF_SIZE ) {
+			addPart( parts, 'del', oldMiddle );
+			addPart( parts, 'ins', newMiddle );
+		} else {
+			diffMiddle( parts, oldMiddle, newMiddle );
+		}
+
+		addPart( parts, 'equal', oldTokens.slice( oldTokens.length - suffix ) );
+
+		return parts;
+	}
+
+	// Finds the longest common subsequence of tokens and turns it into parts.
+	function diffMiddle( parts, oldTokens, newTokens ) {
+		var lengths = [],
+			i,
+			j;
+
+		for ( i = oldTokens.length; i >= 0; i-- ) {
+			lengths[ i ] = [];
+
+			for ( j = newTokens.length; j >= 0; j-- ) {
+				if ( i == oldTokens.length || j == newTokens.length ) {
+					lengths[ i ][ j ] = 0;
+				} else if ( oldTokens[ i ] === newTokens[ j ] ) {
+					lengths[ i ][ j ] = lengths[ i + 1 ][ j + 1 ] + 1;
+				} else {
+					lengths[ i ][ j ] = Math.max( lengths[ i + 1 ][ j ], lengths[ i ][ j + 1 ] );
+				}
+			}
+		}
+
+		i = 0;
+		j = 0;
+
+		while ( i < oldTokens.length || j < newTokens.length ) {
+			if ( i < oldTokens.length && j < newTokens.length && oldTokens[ i ] === newTokens[ j ] ) {
+				addPart( parts, 'equal', [ oldTokens[ i ] ] );
+				i++;
+				j++;
+			} else if ( i < oldTokens.length && ( j == newTokens.length || lengths[ i + 1 ][ j ] >= lengths[ i ][ j + 1 ] ) ) {
+				addPart( parts, 'del', [ oldTokens[ i ] ] );
+				i++;
+			} else {
+				addPart( parts, 'ins', [ newTokens[ j ] ] );
+				j++;
+			}
+		}
+	}
+
+	// Adds tokens to the parts, merging them with the last part of the same type.
+	function addPart( parts, type, tokens ) {
+		var last = parts[ parts.length - 1 ];
+
+		if ( !tokens.length ) {
+			return;
+		}
+
+		if ( last && last.type == type ) {
+			last.tokens = last.tokens.concat( tokens );
+		} else {
+			parts.push( { type: type, tokens: tokens } );
+		}
+	}
+} )();
+
+/**
+ * The storage of versions. Available storages are:
+ *
+ * * `'localStorage'` &ndash; {@link CKEDITOR.plugins.revisionhistory#localStorage},
+ * * an object implementing the {@link CKEDITOR.plugins.revisionhistory.storage} interface, for example to keep versions
+ * on a server.
+ *
+ *		config.revisionHistory_storage = myServerStorage;
+ *
+ * @since 4.13.0
+ * @cfg {String/CKEDITOR.plugins.revisionhistory.storage} [revisionHistory_storage='localStorage']
+ * @member CKEDITOR.config
+ */
+
+/**
+ * The key identifying the versions of this editor in the storage. By default it is built from the path of the page
+ * and the {@link CKEDITOR.editor#name editor name}, so it should be set when the same page is used to edit
+ * different documents:
+ *
+ *		config.revisionHistory_key = 'article-' + articleId;
+ *
+ * @since 4.13.0
+ * @cfg {String} [revisionHistory_key]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * Fired when a version was saved.
+ *
+ * @since 4.13.0
+ * @event revisionSave
+ * @member CKEDITOR.editor
+ * @param {CKEDITOR.editor} editor This editor instance.
+ * @param data
+ * @param {CKEDITOR.plugins.revisionhistory.version} data.version
+ */
+
+/**
+ * Fired when a version was restored.
+ *
+ * @since 4.13.0
+ * @event revisionRestore
+ * @member CKEDITOR.editor
+ * @param {CKEDITOR.editor} editor This editor instance.
+ * @param data
+ * @param {CKEDITOR.plugins.revisionhistory.version} data.version
+ */
@@ -3,5 +3,9 @@ Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
 For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
 */
 CKEDITOR.plugins.setLang( 'sourcearea', 'en', {
-	toolbar: 'Source'
+	toolbar: 'Source',
+	format: 'Format Source',
+	fold: 'Fold',
+	unfold: 'Unfold',
+	violations: 'The highlighted source (%1) is not allowed in the editor and will be removed. Switch the mode again to continue anyway.'
 } );
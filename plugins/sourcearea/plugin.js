@@ -9,28 +9,38 @@
  */
 
 ( function() {
+	var stylesLoaded = false;
+
 	CKEDITOR.plugins.add( 'sourcearea', {
 		// jscs:disable maximumLineLength
 		lang: 'af,ar,az,bg,bn,bs,ca,cs,cy,da,de,de-ch,el,en,en-au,en-ca,en-gb,eo,es,es-mx,et,eu,fa,fi,fo,fr,fr-ca,gl,gu,he,hi,hr,hu,id,is,it,ja,ka,km,ko,ku,lt,lv,mk,mn,ms,nb,nl,no,oc,pl,pt,pt-br,ro,ru,si,sk,sl,sq,sr,sr-latn,sv,th,tr,tt,ug,uk,vi,zh,zh-cn', // %REMOVE_LINE_CORE%
 		// jscs:enable maximumLineLength
-		icons: 'source,source-rtl', // %REMOVE_LINE_CORE%
+		icons: 'source,source-rtl,sourceformat', // %REMOVE_LINE_CORE%
 		hidpi: true, // %REMOVE_LINE_CORE%
 		init: function( editor ) {
 			// Source mode in inline editors is only available through the "sourcedialog" plugin.
 			if ( editor.elementMode == CKEDITOR.ELEMENT_MODE_INLINE )
 				return;
 
-			var sourcearea = CKEDITOR.plugins.sourcearea;
+			var sourcearea = CKEDITOR.plugins.sourcearea,
+				highlight = isHighlighted( editor );
+
+			if ( highlight && !stylesLoaded ) {
+				CKEDITOR.document.appendStyleSheet( this.path + 'styles/sourcearea.css' );
+				stylesLoaded = true;
+			}
 
 			editor.addMode( 'source', function( callback ) {
 				var contentsSpace = editor.ui.space( 'contents' ),
-					textarea = contentsSpace.getDocument().createElement( 'textarea' );
+					textarea = contentsSpace.getDocument().createElement( 'textarea' ),
+					container;
 
 				textarea.setStyles(
-					CKEDITOR.tools.extend( {
+					CKEDITOR.tools.extend( highlight ? {} : {
 						// IE7 has overflow the <textarea> from wrapping table cell.
 						width: CKEDITOR.env.ie7Compat ? '99%' : '100%',
-						height: '100%',
+						height: '100%'
+					}, {
 						resize: 'none',
 						outline: 'none',
 						'text-align': 'left'
@@ -43,10 +53,31 @@
 
 				textarea.addClass( 'cke_source' ).addClass( 'cke_reset' ).addClass( 'cke_enable_context_menu' );
 
-				editor.ui.space( 'contents' ).append( textarea );
+				if ( highlight ) {
+					// The highlighted source is drawn below the textarea, so lines must not wrap.
+					textarea.setAttributes( {
+						wrap: 'off',
+						spellcheck: 'false'
+					} );
+
+					container = contentsSpace.getDocument().createElement( 'div', {
+						attributes: {
+							'class': 'cke_source_container'
+						}
+					} );
+
+					container.append( textarea );
+					contentsSpace.append( container );
+				} else {
+					contentsSpace.append( textarea );
+				}
 
 				var editable = editor.editable( new sourceEditable( editor, textarea ) );
 
+				if ( highlight ) {
+					editable.highlighter = new sourcearea.highlighter( editable );
+				}
+
 				// Fill the textarea with the current editor data.
 				editable.setData( editor.getData( 1 ) );
 
@@ -66,6 +97,7 @@
 			} );
 
 			editor.addCommand( 'source', sourcearea.commands.source );
+			editor.addCommand( 'sourceFormat', sourcearea.commands.sourceFormat );
 
 			if ( editor.ui.addButton ) {
 				editor.ui.addButton( 'Source', {
@@ -73,6 +105,14 @@
 					command: 'source',
 					toolbar: 'mode,10'
 				} );
+
+				if ( editor.config.sourceAreaHighlight ) {
+					editor.ui.addButton( 'SourceFormat', {
+						label: editor.lang.sourcearea.format,
+						command: 'sourceFormat',
+						toolbar: 'mode,20'
+					} );
+				}
 			}
 
 			editor.on( 'mode', function() {
@@ -100,17 +140,27 @@
 		}
 	} );
 
+	// Highlighting relies on the `caret-color` CSS property, which is not supported by IE and Edge.
+	function isHighlighted( editor ) {
+		return !!editor.config.sourceAreaHighlight && !CKEDITOR.env.ie;
+	}
+
 	var sourceEditable = CKEDITOR.tools.createClass( {
 		base: CKEDITOR.editable,
 		proto: {
 			setData: function( data ) {
 				this.setValue( data );
+
+				if ( this.highlighter ) {
+					this.highlighter.reset();
+				}
+
 				this.status = 'ready';
 				this.editor.fire( 'dataReady' );
 			},
 
 			getData: function() {
-				return this.getValue();
+				return this.highlighter ? this.highlighter.getData() : this.getValue();
 			},
 
 			// Insertions are not supported in source editable.
@@ -124,9 +174,15 @@
 			},
 
 			detach: function() {
+				var container = this.highlighter && this.getParent();
+
 				sourceEditable.baseProto.detach.call( this );
 				this.clearCustomData();
 				this.remove();
+
+				if ( container ) {
+					container.remove();
+				}
 			}
 		}
 	} );
@@ -139,17 +195,960 @@ CKEDITOR.plugins.sourcearea = {
 			editorFocus: false,
 			readOnly: 1,
 			exec: function( editor ) {
+				var highlighter = editor.editable().highlighter;
+
 				if ( editor.mode == 'wysiwyg' )
 					editor.fire( 'saveSnapshot' );
+				// Stop once to let the user fix the source which would be removed by the content filter.
+				else if ( highlighter && !highlighter.checkViolations() )
+					return false;
 				editor.getCommand( 'source' ).setState( CKEDITOR.TRISTATE_DISABLED );
 				editor.setMode( editor.mode == 'source' ? 'wysiwyg' : 'source' );
 			},
 
+			canUndo: false
+		},
+
+		sourceFormat: {
+			modes: { source: 1 },
+			editorFocus: false,
+			exec: function( editor ) {
+				var editable = editor.editable();
+
+				if ( editable.highlighter ) {
+					editable.highlighter.format();
+				} else {
+					editable.setValue( CKEDITOR.plugins.sourcearea.format( editor, editable.getValue() ) );
+				}
+			},
+
 			canUndo: false
 		}
 	}
 };
 
+( function() {
+	'use strict';
+
+	// Folded source is replaced with a single character from the Unicode Private Use Area.
+	var markersRange = [ 0xE000, 0xF8FF ],
+		markerRegex = /[\ue000-\uf8ff]/g,
+		rawTextElements = { script: 1, style: 1, textarea: 1, title: 1 },
+		tagRegex = /<(\/?)([a-zA-Z][^\s\/>]*)/g,
+		attributeRegex = /(\s*)([^\s"'>\/=]+)(?:(\s*=\s*)(?:"([^"]*)"?|'([^']*)'?|([^\s>]*)))?/g,
+		entityRegex = /&(?:#\d+|#x[\da-f]+|[a-z][\da-z]*);/gi,
+		tokenClasses = {
+			comment: 'cke_source_comment',
+			cdata: 'cke_source_comment',
+			declaration: 'cke_source_declaration',
+			entity: 'cke_source_entity'
+		};
+
+	/**
+	 * The highlighted source editing area, created for the {@link CKEDITOR.plugins.sourcearea source editable}
+	 * when the {@link CKEDITOR.config#sourceAreaHighlight} option is enabled. It draws the syntax highlighted source
+	 * with the line numbers below the transparent `<textarea>` element, which is still used for editing, so the
+	 * native caret, selection and undo of the source mode are kept.
+	 *
+	 * Besides highlighting, it:
+	 *
+	 * * matches the start and the end tag at the caret,
+	 * * folds the contents of elements spanning multiple lines,
+	 * * indents a new line created with the <kbd>Enter</kbd> key,
+	 * * formats the source with the rules of the {@link CKEDITOR.htmlWriter HTML writer},
+	 * * highlights the source which is not allowed by the {@link CKEDITOR.editor#filter content filter}.
+	 *
+	 * The instance is available as the `highlighter` property of the source editable:
+	 *
+	 *		editor.editable().highlighter.fold( 1 );
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.sourcearea.highlighter
+	 * @constructor Creates a highlighter instance.
+	 * @param {CKEDITOR.editable} editable The source editable.
+	 */
+	function Highlighter( editable ) {
+		var that = this,
+			editor = editable.editor,
+			doc = editable.getDocument(),
+			fontStyles = {};
+
+		/**
+		 * @readonly
+		 * @property {CKEDITOR.editor} editor
+		 */
+		this.editor = editor;
+
+		/**
+		 * @readonly
+		 * @property {CKEDITOR.editable} editable
+		 */
+		this.editable = editable;
+
+		/**
+		 * The tokens of the source displayed in the textarea, as returned by {@link CKEDITOR.plugins.sourcearea#tokenize}.
+		 *
+		 * @readonly
+		 * @property {Object[]}
+		 */
+		this.tokens = [];
+
+		/**
+		 * The parts of the displayed source which are not allowed by the content filter,
+		 * as returned by {@link CKEDITOR.plugins.sourcearea#findViolations}.
+		 *
+		 * @readonly
+		 * @property {Object[]}
+		 */
+		this.violations = [];
+
+		/**
+		 * The folded source, stored by the characters which replace it in the textarea.
+		 *
+		 * @readonly
+		 * @property {Object}
+		 */
+		this.folds = {};
+
+		this._ = {
+			gutter: doc.createElement( 'div', {
+				attributes: {
+					'class': 'cke_source_gutter',
+					'aria-hidden': 'true'
+				}
+			} ),
+			layer: doc.createElement( 'pre', {
+				attributes: {
+					'class': 'cke_source_layer',
+					'aria-hidden': 'true'
+				}
+			} ),
+			// Indexes of the matching tokens.
+			pairs: {},
+			// Offsets where the lines of the source start.
+			lines: [ 0 ],
+			// Indexes of the tokens which can be folded, by the line index.
+			foldable: {},
+			// Lines containing the folded source.
+			folded: {},
+			// Index of the tag token at the caret.
+			match: -1,
+			// The data for which the content filter violations were reported.
+			confirmed: null
+		};
+
+		// Both layers must use exactly the same font as the textarea defined by the skin.
+		CKEDITOR.tools.array.forEach( [ 'font-family', 'font-size', 'line-height' ], function( name ) {
+			fontStyles[ name ] = editable.getComputedStyle( name );
+		} );
+
+		this._.gutter.setStyles( fontStyles );
+		this._.layer.setStyles( CKEDITOR.tools.extend( fontStyles,
+			CKEDITOR.tools.cssVendorPrefix( 'tab-size', editor.config.sourceAreaTabSize || 4 ) ) );
+
+		this._.gutter.insertBefore( editable );
+		this._.layer.insertBefore( editable );
+
+		editable.attachListener( editable, 'input', function() {
+			that.update();
+		} );
+
+		editable.attachListener( editable, 'scroll', function() {
+			that.updateLayout();
+		} );
+
+		CKEDITOR.tools.array.forEach( [ 'keyup', 'mouseup', 'focus' ], function( name ) {
+			editable.attachListener( editable, name, function() {
+				that.updateMatch();
+			} );
+		} );
+
+		editable.attachListener( editable, 'keydown', function( evt ) {
+			if ( evt.data.getKeystroke() == 13 && !editor.readOnly ) {
+				that.insertLine();
+				evt.data.preventDefault();
+			}
+		} );
+
+		editable.attachListener( this._.gutter, 'mousedown', function( evt ) {
+			var target = evt.data.getTarget(),
+				action = target.type == CKEDITOR.NODE_ELEMENT && target.data( 'cke-source-toggle' );
+
+			if ( action ) {
+				evt.data.preventDefault();
+				editable.focus();
+				that[ action ]( Number( target.getParent().data( 'cke-source-line' ) ) );
+			}
+		} );
+
+		editable.attachListener( editor, 'resize', function() {
+			that.updateLayout();
+		} );
+	}
+
+	Highlighter.prototype = {
+		/**
+		 * Returns the source with the folded parts expanded.
+		 *
+		 * @returns {String}
+		 */
+		getData: function() {
+			return expandFolds( this.editable.getValue(), this.folds );
+		},
+
+		/**
+		 * Forgets the folded source and redraws the highlighted source. Called when the data of the editable is set.
+		 */
+		reset: function() {
+			this.folds = {};
+			this._.confirmed = null;
+			this.update();
+		},
+
+		/**
+		 * Tokenizes the source displayed in the textarea and redraws it.
+		 */
+		update: function() {
+			var value = this.editable.getValue(),
+				lines = getLines( value ),
+				foldable = {},
+				folded = {},
+				tokens, pairs, index, line;
+
+			tokens = this.tokens = CKEDITOR.plugins.sourcearea.tokenize( value );
+			pairs = this._.pairs = getPairs( tokens );
+			this.violations = getViolations( this.editor, tokens );
+
+			for ( index in pairs ) {
+				index = Number( index );
+				line = getLine( lines, tokens[ index ].start );
+
+				if ( !tokens[ index ].closing && !( line in foldable ) && getLine( lines, tokens[ pairs[ index ] ].start ) > line ) {
+					foldable[ line ] = index;
+				}
+			}
+
+			for ( index = 0; index < value.length; index++ ) {
+				if ( this.folds.hasOwnProperty( value.charAt( index ) ) ) {
+					folded[ getLine( lines, index ) ] = true;
+				}
+			}
+
+			this._.lines = lines;
+			this._.foldable = foldable;
+			this._.folded = folded;
+			this._.match = getTagAt( tokens, this.editable.$ );
+
+			this.render();
+		},
+
+		/**
+		 * Redraws the highlighted source and the line numbers.
+		 */
+		render: function() {
+			var lang = this.editor.lang.sourcearea,
+				lines = this._.lines,
+				html = '',
+				action, i;
+
+			this._.layer.setHtml( renderRanges( this.editable.getValue(), this.getRanges() ) + '\n' );
+
+			for ( i = 0; i < lines.length; i++ ) {
+				action = this._.folded[ i ] ? 'unfold' : ( i in this._.foldable ) ? 'fold' : null;
+
+				html += '<div class="cke_source_line" data-cke-source-line="' + ( i + 1 ) + '">' +
+					( action ? '<span class="cke_source_toggle cke_source_toggle_' + action + '" data-cke-source-toggle="' + action +
+						'" title="' + lang[ action ] + '"></span>' : '' ) +
+					( i + 1 ) + '</div>';
+			}
+
+			this._.gutter.setHtml( html );
+			this.updateLayout();
+		},
+
+		/**
+		 * Returns the ranges of the source to be highlighted. Every range is an object with
+		 * the `start` and `end` offsets and the `className` used for the highlighted text.
+		 *
+		 * @returns {Object[]}
+		 */
+		getRanges: function() {
+			var tokens = this.tokens,
+				pairs = this._.pairs,
+				match = this._.match,
+				value = this.editable.getValue(),
+				ranges = [],
+				i;
+
+			function add( start, end, className ) {
+				ranges.push( { start: start, end: end, className: className } );
+			}
+
+			CKEDITOR.tools.array.forEach( tokens, function( token ) {
+				if ( token.type == 'tag' ) {
+					add( token.start, token.end, 'cke_source_tag' );
+
+					CKEDITOR.tools.array.forEach( token.attributes, function( attribute ) {
+						add( attribute.start, attribute.start + attribute.name.length, 'cke_source_attribute' );
+
+						if ( attribute.valueStart != -1 ) {
+							add( attribute.valueStart, attribute.end, 'cke_source_value' );
+						}
+					} );
+				} else if ( tokenClasses[ token.type ] ) {
+					add( token.start, token.end, tokenClasses[ token.type ] );
+				}
+			} );
+
+			CKEDITOR.tools.array.forEach( this.violations, function( violation ) {
+				add( violation.start, violation.end, 'cke_source_violation' );
+
+				if ( !violation.attribute && violation.index in pairs ) {
+					add( tokens[ pairs[ violation.index ] ].start, tokens[ pairs[ violation.index ] ].end, 'cke_source_violation' );
+				}
+			} );
+
+			if ( match != -1 ) {
+				if ( match in pairs ) {
+					add( tokens[ match ].start, tokens[ match ].end, 'cke_source_match' );
+					add( tokens[ pairs[ match ] ].start, tokens[ pairs[ match ] ].end, 'cke_source_match' );
+				} else if ( tokens[ match ].closing || !( tokens[ match ].selfClosing || CKEDITOR.dtd.$empty[ tokens[ match ].name ] ) ) {
+					add( tokens[ match ].start, tokens[ match ].end, 'cke_source_mismatch' );
+				}
+			}
+
+			for ( i = 0; i < value.length; i++ ) {
+				if ( this.folds.hasOwnProperty( value.charAt( i ) ) ) {
+					add( i, i + 1, 'cke_source_fold' );
+				}
+			}
+
+			return ranges;
+		},
+
+		/**
+		 * Updates the matching tags after the caret was moved.
+		 */
+		updateMatch: function() {
+			var match = getTagAt( this.tokens, this.editable.$ );
+
+			if ( match != this._.match ) {
+				this._.match = match;
+				this.render();
+			}
+		},
+
+		/**
+		 * Aligns the highlighted source and the line numbers with the textarea.
+		 */
+		updateLayout: function() {
+			var textarea = this.editable.$,
+				layer = this._.layer,
+				gutter = this._.gutter;
+
+			// The client size of the textarea does not include its scrollbars.
+			layer.setStyles( {
+				width: textarea.clientWidth + 'px',
+				height: textarea.clientHeight + 'px'
+			} );
+			gutter.setStyle( 'height', textarea.clientHeight + 'px' );
+
+			layer.$.scrollTop = gutter.$.scrollTop = textarea.scrollTop;
+			layer.$.scrollLeft = textarea.scrollLeft;
+		},
+
+		/**
+		 * Folds the contents of the first element which starts in the given line and ends in one of the following lines.
+		 *
+		 * @param {Number} line The line number, starting from `1`.
+		 * @returns {Boolean} Whether anything was folded.
+		 */
+		fold: function( line ) {
+			var index = this._.foldable[ line - 1 ],
+				marker, start, end;
+
+			if ( index === undefined ) {
+				return false;
+			}
+
+			marker = getFreeMarker( this.getData(), this.folds );
+			start = this.tokens[ index ].end;
+			end = this.tokens[ this._.pairs[ index ] ].start;
+
+			if ( !marker ) {
+				return false;
+			}
+
+			this.folds[ marker ] = this.editable.getValue().substring( start, end );
+			replaceText( this.editable, start, end, marker );
+			this.update();
+
+			return true;
+		},
+
+		/**
+		 * Expands the folded source in the given line.
+		 *
+		 * @param {Number} line The line number, starting from `1`.
+		 * @returns {Boolean} Whether anything was expanded.
+		 */
+		unfold: function( line ) {
+			var lines = this._.lines,
+				value = this.editable.getValue(),
+				start = lines[ line - 1 ],
+				end = line < lines.length ? lines[ line ] : value.length,
+				unfolded = false,
+				i;
+
+			for ( i = end - 1; i >= start; i-- ) {
+				if ( this.folds.hasOwnProperty( value.charAt( i ) ) ) {
+					replaceText( this.editable, i, i + 1, this.folds[ value.charAt( i ) ], i );
+					unfolded = true;
+				}
+			}
+
+			if ( unfolded ) {
+				this.update();
+			}
+
+			return unfolded;
+		},
+
+		/**
+		 * Expands all the folded source.
+		 */
+		unfoldAll: function() {
+			var value = this.editable.getValue(),
+				data = this.getData();
+
+			if ( data != value ) {
+				replaceText( this.editable, 0, value.length, data, 0 );
+				this.update();
+			}
+		},
+
+		/**
+		 * Formats the source with {@link CKEDITOR.plugins.sourcearea#format}. The folded source is expanded.
+		 */
+		format: function() {
+			var value = this.editable.getValue();
+
+			replaceText( this.editable, 0, value.length, CKEDITOR.plugins.sourcearea.format( this.editor, this.getData() ), 0 );
+			this.update();
+		},
+
+		/**
+		 * Inserts a new line at the caret, indented like the current line. The new line is indented one level deeper
+		 * if the current line ends with a start tag, and the end tag following the caret is moved to a separate line.
+		 */
+		insertLine: function() {
+			var textarea = this.editable.$,
+				value = textarea.value,
+				start = textarea.selectionStart,
+				end = textarea.selectionEnd,
+				before = value.substring( value.lastIndexOf( '\n', start - 1 ) + 1, start ),
+				indentation = before.match( /^[ \t]*/ )[ 0 ],
+				startTag = before.match( /<([a-zA-Z][^\s\/>]*)[^<>]*>\s*$/ ),
+				endTag, text, caret;
+
+			if ( startTag && !before.match( /\/>\s*$/ ) && !CKEDITOR.dtd.$empty[ startTag[ 1 ].toLowerCase() ] ) {
+				text = '\n' + indentation + ( this.editor.config.dataIndentationChars || '\t' );
+				caret = start + text.length;
+				endTag = value.substring( end ).match( /^[ \t]*<\/([^\s>]+)/ );
+
+				if ( endTag && endTag[ 1 ].toLowerCase() == startTag[ 1 ].toLowerCase() ) {
+					text += '\n' + indentation;
+				}
+			} else {
+				text = '\n' + indentation;
+			}
+
+			replaceText( this.editable, start, end, text, caret );
+			this.update();
+		},
+
+		/**
+		 * Checks the source before leaving the source mode. When some parts of it would be removed by
+		 * the content filter, they are shown to the user with a notification and the mode should not be switched.
+		 * Checking the same source again succeeds, so the user can switch the mode anyway.
+		 *
+		 * @returns {Boolean} Whether the mode can be switched.
+		 */
+		checkViolations: function() {
+			var data = this.getData(),
+				count;
+
+			if ( data === this._.confirmed ) {
+				return true;
+			}
+
+			count = CKEDITOR.plugins.sourcearea.findViolations( this.editor, data ).length;
+
+			if ( !count ) {
+				return true;
+			}
+
+			this._.confirmed = data;
+			this.unfoldAll();
+			this.editor.showNotification( this.editor.lang.sourcearea.violations.replace( '%1', count ), 'warning' );
+
+			return false;
+		}
+	};
+
+	CKEDITOR.tools.extend( CKEDITOR.plugins.sourcearea, {
+		highlighter: Highlighter,
+
+		/**
+		 * Splits the HTML source into tokens. Every token has the `type` and the `start` and `end` offsets
+		 * in the source. The type is one of `'tag'`, `'text'`, `'entity'`, `'comment'`, `'cdata'` or `'declaration'`.
+		 *
+		 * The tag tokens also have the lowercase `name` of the element, the `closing` and `selfClosing` flags and
+		 * the `attributes` array. Every attribute has the lowercase `name`, the `value`, the `start` and `end` offsets
+		 * and the `valueStart` offset, which is `-1` for the attributes without a value.
+		 *
+		 *		CKEDITOR.plugins.sourcearea.tokenize( '<p>Foo</p>' );
+		 *		// [ { type: 'tag', name: 'p', start: 0, end: 3, ... }, { type: 'text', start: 3, end: 6 }, ... ]
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.sourcearea
+		 * @param {String} html
+		 * @returns {Object[]}
+		 */
+		tokenize: function( html ) {
+			var tokens = [],
+				lowerHtml = html.toLowerCase(),
+				length = html.length,
+				index = 0,
+				end, match, token;
+
+			while ( index < length ) {
+				if ( html.charAt( index ) != '<' ) {
+					end = html.indexOf( '<', index );
+					end = end == -1 ? length : end;
+					addText( tokens, html, index, end );
+				} else if ( html.substr( index, 4 ) == '<!--' ) {
+					end = indexAfter( html, '-->', index + 4 );
+					tokens.push( { type: 'comment', start: index, end: end } );
+				} else if ( html.substr( index, 9 ) == '<![CDATA[' ) {
+					end = indexAfter( html, ']]>', index + 9 );
+					tokens.push( { type: 'cdata', start: index, end: end } );
+				} else if ( /[!?]/.test( html.charAt( index + 1 ) ) ) {
+					end = indexAfter( html, '>', index );
+					tokens.push( { type: 'declaration', start: index, end: end } );
+				} else {
+					tagRegex.lastIndex = index;
+					match = tagRegex.exec( html );
+
+					if ( !match || match.index != index ) {
+						// A less-than sign which does not start a tag.
+						end = index + 1;
+						tokens.push( { type: 'text', start: index, end: end } );
+					} else {
+						token = parseTag( html, match );
+						tokens.push( token );
+						end = token.end;
+
+						// The contents of elements like <script> are not HTML.
+						if ( !token.closing && !token.selfClosing && rawTextElements[ token.name ] ) {
+							end = lowerHtml.indexOf( '</' + token.name, token.end );
+							end = end == -1 ? length : end;
+
+							if ( end > token.end ) {
+								tokens.push( { type: 'text', start: token.end, end: end } );
+							}
+						}
+					}
+				}
+
+				index = end;
+			}
+
+			return tokens;
+		},
+
+		/**
+		 * Formats the HTML source with the {@link CKEDITOR.editor#dataProcessor data processor} writer, so the same
+		 * rules as for the editor data are used, for example the {@link CKEDITOR.config#dataIndentationChars indentation}
+		 * and the {@link CKEDITOR.htmlWriter#setRules formatting rules} of the HTML writer. The source is not filtered.
+		 *
+		 *		CKEDITOR.plugins.sourcearea.format( editor, '<ul><li>Foo</li></ul>' );
+		 *		// '<ul>\n\t<li>Foo</li>\n</ul>\n'
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.sourcearea
+		 * @param {CKEDITOR.editor} editor
+		 * @param {String} html
+		 * @returns {String}
+		 */
+		format: function( editor, html ) {
+			var writer = editor.dataProcessor.writer;
+
+			writer.reset();
+			CKEDITOR.htmlParser.fragment.fromHtml( html ).writeHtml( writer );
+
+			return writer.getHtml( true );
+		},
+
+		/**
+		 * Finds the parts of the HTML source which are not allowed by the {@link CKEDITOR.editor#filter content filter}
+		 * and would be removed when the source is loaded into the editor. Every violation has the `start` and `end`
+		 * offsets in the source, the name of the `element` and the name of the `attribute` (`null` when the whole
+		 * element is not allowed). The `style` and `class` attributes are reported when any of their styles or classes
+		 * is not allowed.
+		 *
+		 *		// With config.allowedContent = 'p';
+		 *		CKEDITOR.plugins.sourcearea.findViolations( editor, '<p class="foo">Foo</p>' );
+		 *		// [ { start: 3, end: 14, element: 'p', attribute: 'class', index: 0 } ]
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.sourcearea
+		 * @param {CKEDITOR.editor} editor
+		 * @param {String} html
+		 * @returns {Object[]}
+		 */
+		findViolations: function( editor, html ) {
+			return getViolations( editor, CKEDITOR.plugins.sourcearea.tokenize( html ) );
+		}
+	} );
+
+	function parseTag( html, match ) {
+		var token = {
+				type: 'tag',
+				start: match.index,
+				end: html.length,
+				name: match[ 2 ].toLowerCase(),
+				closing: !!match[ 1 ],
+				selfClosing: false,
+				attributes: []
+			},
+			index = match.index + match[ 0 ].length,
+			character, attribute;
+
+		while ( index < html.length ) {
+			character = html.charAt( index );
+
+			if ( character == '>' ) {
+				token.end = index + 1;
+				break;
+			}
+
+			attributeRegex.lastIndex = index;
+			attribute = attributeRegex.exec( html );
+
+			if ( attribute && attribute.index == index ) {
+				token.attributes.push( createAttribute( attribute ) );
+				index += attribute[ 0 ].length;
+			} else {
+				if ( character == '/' && html.charAt( index + 1 ) == '>' ) {
+					token.selfClosing = true;
+				}
+
+				index++;
+			}
+		}
+
+		return token;
+	}
+
+	function createAttribute( match ) {
+		var start = match.index + match[ 1 ].length,
+			end = match.index + match[ 0 ].length;
+
+		return {
+			name: match[ 2 ].toLowerCase(),
+			value: match[ 4 ] || match[ 5 ] || match[ 6 ] || '',
+			start: start,
+			end: end,
+			valueStart: match[ 3 ] ? start + match[ 2 ].length + match[ 3 ].length : -1
+		};
+	}
+
+	// Adds the text tokens with the character references split out.
+	function addText( tokens, html, start, end ) {
+		var text = html.substring( start, end ),
+			offset = 0,
+			match;
+
+		entityRegex.lastIndex = 0;
+
+		while ( ( match = entityRegex.exec( text ) ) ) {
+			if ( match.index > offset ) {
+				tokens.push( { type: 'text', start: start + offset, end: start + match.index } );
+			}
+
+			offset = match.index + match[ 0 ].length;
+			tokens.push( { type: 'entity', start: start + match.index, end: start + offset } );
+		}
+
+		if ( offset < text.length ) {
+			tokens.push( { type: 'text', start: start + offset, end: end } );
+		}
+	}
+
+	function indexAfter( html, search, from ) {
+		var index = html.indexOf( search, from );
+
+		return index == -1 ? html.length : index + search.length;
+	}
+
+	// Returns the indexes of the start and end tags matching each other.
+	function getPairs( tokens ) {
+		var pairs = {},
+			open = [],
+			i, j, token;
+
+		for ( i = 0; i < tokens.length; i++ ) {
+			token = tokens[ i ];
+
+			if ( token.type != 'tag' ) {
+				continue;
+			}
+
+			if ( !token.closing ) {
+				if ( !token.selfClosing && !CKEDITOR.dtd.$empty[ token.name ] ) {
+					open.push( i );
+				}
+
+				continue;
+			}
+
+			for ( j = open.length - 1; j >= 0; j-- ) {
+				if ( tokens[ open[ j ] ].name == token.name ) {
+					pairs[ open[ j ] ] = i;
+					pairs[ i ] = open[ j ];
+					// The elements which were not closed are skipped.
+					open.length = j;
+					break;
+				}
+			}
+		}
+
+		return pairs;
+	}
+
+	function getViolations( editor, tokens ) {
+		var filter = editor.filter,
+			violations = [];
+
+		if ( !filter || filter.disabled ) {
+			return violations;
+		}
+
+		CKEDITOR.tools.array.forEach( tokens, function( token, index ) {
+			if ( token.type != 'tag' || token.closing ) {
+				return;
+			}
+
+			if ( !filter.check( token.name ) ) {
+				violations.push( { start: token.start, end: token.end, element: token.name, attribute: null, index: index } );
+				return;
+			}
+
+			CKEDITOR.tools.array.forEach( token.attributes, function( attribute ) {
+				var tests;
+
+				if ( attribute.name.indexOf( 'data-cke-' ) === 0 ) {
+					return;
+				}
+
+				tests = getAttributeTests( token.name, attribute );
+
+				for ( var i = 0; i < tests.length; i++ ) {
+					if ( !filter.check( tests[ i ] ) ) {
+						violations.push( {
+							start: attribute.start,
+							end: attribute.end,
+							element: token.name,
+							attribute: attribute.name,
+							index: index
+						} );
+						return;
+					}
+				}
+			} );
+		} );
+
+		return violations;
+	}
+
+	function getAttributeTests( name, attribute ) {
+		var tests = [],
+			property, classes, i;
+
+		if ( attribute.name == 'style' ) {
+			property = CKEDITOR.tools.parseCssText( attribute.value );
+
+			for ( i in property ) {
+				tests.push( name + '{' + i + '}' );
+			}
+		} else if ( attribute.name == 'class' ) {
+			classes = attribute.value.split( /\s+/ );
+
+			for ( i = 0; i < classes.length; i++ ) {
+				if ( classes[ i ] ) {
+					tests.push( name + '(' + classes[ i ] + ')' );
+				}
+			}
+		} else {
+			tests.push( name + '[' + attribute.name + ']' );
+		}
+
+		return tests;
+	}
+
+	// Returns the index of the tag token at the collapsed selection of the textarea.
+	function getTagAt( tokens, textarea ) {
+		var offset = textarea.selectionStart,
+			low = 0,
+			high = tokens.length - 1,
+			middle, i;
+
+		if ( offset != textarea.selectionEnd ) {
+			return -1;
+		}
+
+		while ( low <= high ) {
+			middle = ( low + high ) >> 1;
+
+			if ( tokens[ middle ].start <= offset ) {
+				low = middle + 1;
+			} else {
+				high = middle - 1;
+			}
+		}
+
+		// The caret right after a tag also matches it.
+		for ( i = high; i >= 0 && i >= high - 1; i-- ) {
+			if ( tokens[ i ].type == 'tag' && tokens[ i ].end >= offset ) {
+				return i;
+			}
+		}
+
+		return -1;
+	}
+
+	function getLines( value ) {
+		var lines = [ 0 ],
+			index = -1;
+
+		while ( ( index = value.indexOf( '\n', index + 1 ) ) != -1 ) {
+			lines.push( index + 1 );
+		}
+
+		return lines;
+	}
+
+	// Returns the index of the line containing the offset.
+	function getLine( lines, offset ) {
+		var low = 0,
+			high = lines.length - 1,
+			middle;
+
+		while ( low < high ) {
+			middle = ( low + high + 1 ) >> 1;
+
+			if ( lines[ middle ] <= offset ) {
+				low = middle;
+			} else {
+				high = middle - 1;
+			}
+		}
+
+		return low;
+	}
+
+	// Renders the text with the spans for all the overlapping ranges.
+	function renderRanges( text, ranges ) {
+		var points = [ 0, text.length ],
+			active = [],
+			html = '',
+			next = 0,
+			i, start, end, classes;
+
+		CKEDITOR.tools.array.forEach( ranges, function( range ) {
+			points.push( range.start, range.end );
+		} );
+
+		points.sort( function( a, b ) {
+			return a - b;
+		} );
+
+		ranges.sort( function( a, b ) {
+			return a.start - b.start;
+		} );
+
+		for ( i = 0; i < points.length - 1; i++ ) {
+			start = points[ i ];
+			end = points[ i + 1 ];
+
+			if ( start == end ) {
+				continue;
+			}
+
+			while ( next < ranges.length && ranges[ next ].start <= start ) {
+				active.push( ranges[ next++ ] );
+			}
+
+			// Every range ends at one of the points, so the remaining ones span the whole part.
+			active = CKEDITOR.tools.array.filter( active, function( range ) {
+				return range.end > start;
+			} );
+
+			classes = CKEDITOR.tools.array.map( active, function( range ) {
+				return range.className;
+			} );
+
+			html += classes.length ?
+				'<span class="' + classes.join( ' ' ) + '">' + CKEDITOR.tools.htmlEncode( text.substring( start, end ) ) + '</span>' :
+				CKEDITOR.tools.htmlEncode( text.substring( start, end ) );
+		}
+
+		return html;
+	}
+
+	function expandFolds( text, folds ) {
+		return text.replace( markerRegex, function( marker ) {
+			return folds.hasOwnProperty( marker ) ? expandFolds( folds[ marker ], folds ) : marker;
+		} );
+	}
+
+	function getFreeMarker( data, folds ) {
+		var marker;
+
+		for ( var code = markersRange[ 0 ]; code <= markersRange[ 1 ]; code++ ) {
+			marker = String.fromCharCode( code );
+
+			if ( !folds.hasOwnProperty( marker ) && data.indexOf( marker ) == -1 ) {
+				return marker;
+			}
+		}
+
+		return null;
+	}
+
+	// Replaces the text of the textarea with the native command when possible, so it can be undone natively.
+	function replaceText( textarea, start, end, text, caret ) {
+		var element = textarea.$,
+			replaced = false;
+
+		element.setSelectionRange( start, end );
+
+		if ( textarea.equals( textarea.getDocument().getActive() ) ) {
+			try {
+				replaced = textarea.getDocument().$.execCommand( 'insertText', false, text );
+			} catch ( e ) {}
+		}
+
+		if ( !replaced ) {
+			element.value = element.value.substring( 0, start ) + text + element.value.substring( end );
+		}
+
+		caret = caret === undefined ? start + text.length : caret;
+		element.setSelectionRange( caret, caret );
+	}
+} )();
+
 /**
  * Controls the `tab-size` CSS property of the source editing area. Use it to set the width
  * of the tab character in the source view. Enter an integer to denote the number of spaces
@@ -166,3 +1165,19 @@ CKEDITOR.plugins.sourcearea = {
  * @member CKEDITOR.config
  * @see CKEDITOR.config#dataIndentationChars
  */
+
+/**
+ * Enables the highlighted source editing area with the syntax highlighting, the line numbers, folding the contents
+ * of elements, matching tags, indenting new lines and highlighting the source which is not allowed by the
+ * {@link CKEDITOR.editor#filter content filter}. It also adds the "Format Source" button, which formats the source
+ * with the rules of the {@link CKEDITOR.htmlWriter HTML writer}.
+ *
+ * The highlighting is not available in Internet Explorer and Edge, where the plain `<textarea>` element is used.
+ * See {@link CKEDITOR.plugins.sourcearea.highlighter} for more details.
+ *
+ *		config.sourceAreaHighlight = true;
+ *
+ * @since 4.13.0
+ * @cfg {Boolean} [sourceAreaHighlight=false]
+ * @member CKEDITOR.config
+ */
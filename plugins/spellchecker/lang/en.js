@@ -0,0 +1,10 @@
+/*
+Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+*/
+CKEDITOR.plugins.setLang( 'spellchecker', 'en', {
+	addWord: 'Add to Dictionary',
+	ignoreAll: 'Ignore All',
+	noSuggestions: 'No suggestions',
+	toggle: 'Check Spelling As You Type'
+} );
@@ -0,0 +1,915 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @fileOverview The Spell Checker plugin. Checks the spelling and grammar with a pluggable
+ * {@link CKEDITOR.plugins.spellchecker.adapter adapter}, underlines the problems and offers
+ * the suggestions in the context menu.
+ */
+
+( function() {
+	'use strict';
+
+	var updateDelay = 500,
+		invisibleRegex = /[\u200b\ufeff]/g,
+		// This flag prevents appending stylesheet more than once.
+		stylesLoaded = false;
+
+	CKEDITOR.plugins.add( 'spellchecker', {
+		requires: 'ajax,contentoverlay,contextmenu',
+		lang: 'en',
+		icons: 'spellchecker', // %REMOVE_LINE_CORE%
+		hidpi: true, // %REMOVE_LINE_CORE%
+
+		init: function( editor ) {
+			var lang = editor.lang.spellchecker,
+				checker;
+
+			if ( !stylesLoaded ) {
+				CKEDITOR.document.appendStyleSheet( this.path + 'styles/spellchecker.css' );
+				stylesLoaded = true;
+			}
+
+			if ( editor.addContentsCss ) {
+				editor.addContentsCss( this.path + 'styles/spellchecker.css' );
+			}
+
+			/**
+			 * The spell checker of this editor instance.
+			 *
+			 * @since 4.13.0
+			 * @readonly
+			 * @member CKEDITOR.editor
+			 * @property {CKEDITOR.plugins.spellchecker.checker} spellChecker
+			 */
+			checker = editor.spellChecker = new CKEDITOR.plugins.spellchecker.checker( editor );
+
+			editor.addCommand( 'spellchecker', {
+				modes: { wysiwyg: 1 },
+				readOnly: 1,
+				canUndo: false,
+
+				exec: function() {
+					checker[ checker.enabled ? 'disable' : 'enable' ]();
+				}
+			} );
+
+			editor.addCommand( 'spellcheckerAddWord', {
+				modes: { wysiwyg: 1 },
+				readOnly: 1,
+				canUndo: false,
+
+				exec: function( editor, data ) {
+					var word = getWord( checker, data );
+
+					if ( !word ) {
+						return false;
+					}
+
+					checker.addWord( word );
+				}
+			} );
+
+			editor.addCommand( 'spellcheckerIgnoreAll', {
+				modes: { wysiwyg: 1 },
+				readOnly: 1,
+				canUndo: false,
+
+				exec: function( editor, data ) {
+					var word = getWord( checker, data );
+
+					if ( !word ) {
+						return false;
+					}
+
+					checker.ignoreAll( word );
+				}
+			} );
+
+			if ( editor.ui.addButton ) {
+				editor.ui.addButton( 'SpellChecker', {
+					label: lang.toggle,
+					command: 'spellchecker',
+					toolbar: 'spellchecker,10'
+				} );
+			}
+
+			editor.addMenuGroup( 'spellcheckerSuggestions', -2 );
+			editor.addMenuGroup( 'spellchecker', -1 );
+
+			editor.addMenuItems( {
+				spellcheckerMessage: {
+					label: '',
+					group: 'spellcheckerSuggestions',
+					order: 0
+				},
+				spellcheckerNoSuggestions: {
+					label: lang.noSuggestions,
+					group: 'spellcheckerSuggestions',
+					order: 1
+				},
+				spellcheckerAddWord: {
+					label: lang.addWord,
+					group: 'spellchecker',
+					order: 1,
+					onClick: function() {
+						editor.execCommand( 'spellcheckerAddWord', this.spellcheckerProblem );
+					}
+				},
+				spellcheckerIgnoreAll: {
+					label: lang.ignoreAll,
+					group: 'spellchecker',
+					order: 2,
+					onClick: function() {
+						editor.execCommand( 'spellcheckerIgnoreAll', this.spellcheckerProblem );
+					}
+				}
+			} );
+
+			editor.contextMenu.addListener( function() {
+				var problem = checker.enabled && checker.getProblem(),
+					items = {},
+					max = editor.config.spellchecker_maxSuggestions,
+					suggestions;
+
+				if ( !problem ) {
+					return null;
+				}
+
+				suggestions = problem.suggestions.slice( 0, max === undefined ? 5 : max );
+
+				// The items are recreated every time, as their labels depend on the problem.
+				CKEDITOR.tools.array.forEach( suggestions, function( suggestion, index ) {
+					var name = 'spellcheckerSuggestion' + index;
+
+					editor.addMenuItem( name, {
+						label: suggestion,
+						group: 'spellcheckerSuggestions',
+						order: index + 2,
+						onClick: function() {
+							checker.replace( problem, suggestion );
+						}
+					} );
+
+					items[ name ] = editor.readOnly ? CKEDITOR.TRISTATE_DISABLED : CKEDITOR.TRISTATE_OFF;
+				} );
+
+				if ( problem.message ) {
+					editor.getMenuItem( 'spellcheckerMessage' ).label = problem.message;
+					items.spellcheckerMessage = CKEDITOR.TRISTATE_DISABLED;
+				}
+
+				if ( !suggestions.length ) {
+					items.spellcheckerNoSuggestions = CKEDITOR.TRISTATE_DISABLED;
+				}
+
+				editor.getMenuItem( 'spellcheckerAddWord' ).spellcheckerProblem = problem;
+				editor.getMenuItem( 'spellcheckerIgnoreAll' ).spellcheckerProblem = problem;
+
+				if ( problem.type == 'spelling' ) {
+					items.spellcheckerAddWord = CKEDITOR.TRISTATE_OFF;
+				}
+
+				items.spellcheckerIgnoreAll = CKEDITOR.TRISTATE_OFF;
+
+				return items;
+			} );
+
+			editor.on( 'instanceReady', function() {
+				if ( editor.config.spellchecker_autoStart !== false ) {
+					checker.enable();
+				}
+			} );
+		}
+	} );
+
+	/**
+	 * The spell checker API.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.spellchecker
+	 * @singleton
+	 */
+	CKEDITOR.plugins.spellchecker = {};
+
+	/**
+	 * The interface of the spell checker adapter, which connects the plugin with the spell checking engine,
+	 * e.g. Hunspell compiled to WebAssembly or a local HTTP service. It is set with {@link CKEDITOR.config#spellchecker_adapter}.
+	 *
+	 *		config.spellchecker_adapter = {
+	 *			check: function( texts, language, callback ) {
+	 *				callback( CKEDITOR.tools.array.map( texts, function( text ) {
+	 *					var problems = [],
+	 *						regex = /\w+/g,
+	 *						match;
+	 *
+	 *					while ( ( match = regex.exec( text ) ) ) {
+	 *						if ( !hunspell.spell( match[ 0 ] ) ) {
+	 *							problems.push( {
+	 *								start: match.index,
+	 *								end: match.index + match[ 0 ].length,
+	 *								suggestions: hunspell.suggest( match[ 0 ] )
+	 *							} );
+	 *						}
+	 *					}
+	 *
+	 *					return problems;
+	 *				} ) );
+	 *			},
+	 *
+	 *			addWord: function( word, language ) {
+	 *				hunspell.addWord( word );
+	 *			}
+	 *		};
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.spellchecker.adapter
+	 * @abstract
+	 */
+
+	/**
+	 * Checks the texts. Every text is the content of a single block, e.g. a paragraph or a table cell.
+	 *
+	 * @method check
+	 * @param {String[]} texts
+	 * @param {String} language The language of the content, see {@link CKEDITOR.config#spellchecker_language}.
+	 * @param {Function} callback The function called with the array containing the problems of every text, in the
+	 * order of the texts, or `null` if the texts could not be checked. Every problem is an object with the following properties:
+	 *
+	 * * `start`, `end` &ndash; The offsets of the problem in the text.
+	 * * `type` &ndash; Optional. Either `'spelling'` (default) or `'grammar'`.
+	 * * `suggestions` &ndash; Optional. An array of the replacements.
+	 * * `message` &ndash; Optional. The description of the problem shown in the context menu, e.g. for grammar problems.
+	 */
+
+	/**
+	 * Optional. Called when the user adds a word to the dictionary, so the adapter can store it.
+	 *
+	 * @method addWord
+	 * @param {String} word
+	 * @param {String} language
+	 */
+
+	/**
+	 * The adapter sending the texts to an HTTP service. It is used when {@link CKEDITOR.config#spellchecker_adapter}
+	 * is a URL. The texts are sent with a `POST` request as JSON:
+	 *
+	 *		{ "language": "en", "texts": [ "Teh first paragraph.", "The second one." ] }
+	 *
+	 * and the service responds with the problems of every text:
+	 *
+	 *		{ "results": [ [ { "start": 0, "end": 3, "suggestions": [ "The", "Tech" ] } ], [] ] }
+	 *
+	 * The words added to the dictionary are sent as `{ "language": "en", "addWord": "CKEditor" }`.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.spellchecker.httpAdapter
+	 * @extends CKEDITOR.plugins.spellchecker.adapter
+	 * @constructor Creates an adapter instance.
+	 * @param {String} url The URL of the service.
+	 */
+	function HttpAdapter( url ) {
+		/**
+		 * The URL of the service.
+		 *
+		 * @readonly
+		 * @property {String}
+		 */
+		this.url = url;
+	}
+
+	HttpAdapter.prototype = {
+		check: function( texts, language, callback ) {
+			this.post( { language: language, texts: texts }, function( response ) {
+				callback( response && CKEDITOR.tools.array.isArray( response.results ) ? response.results : null );
+			} );
+		},
+
+		addWord: function( word, language ) {
+			this.post( { language: language, addWord: word } );
+		},
+
+		/**
+		 * @private
+		 * @param {Object} data
+		 * @param {Function} [callback]
+		 */
+		post: function( data, callback ) {
+			CKEDITOR.ajax.post( this.url, JSON.stringify( data ), 'application/json', function( response ) {
+				if ( !callback ) {
+					return;
+				}
+
+				try {
+					response = response ? JSON.parse( response ) : null;
+				} catch ( e ) {
+					response = null;
+				}
+
+				callback( response );
+			} );
+		}
+	};
+
+	CKEDITOR.plugins.spellchecker.httpAdapter = HttpAdapter;
+
+	/**
+	 * A spelling or grammar problem found by the {@link CKEDITOR.plugins.spellchecker.checker checker}.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.spellchecker.problem
+	 * @abstract
+	 */
+
+	/**
+	 * Either `'spelling'` or `'grammar'`.
+	 *
+	 * @property {String} type
+	 */
+
+	/**
+	 * The misspelled word or the text with the grammar problem.
+	 *
+	 * @property {String} word
+	 */
+
+	/**
+	 * The suggested replacements.
+	 *
+	 * @property {String[]} suggestions
+	 */
+
+	/**
+	 * The description of the problem, if provided by the adapter.
+	 *
+	 * @property {String} [message]
+	 */
+
+	/**
+	 * The range of the problem in the content.
+	 *
+	 * @property {CKEDITOR.dom.range} range
+	 */
+
+	/**
+	 * The spell checker. It sends the text of every block to the {@link CKEDITOR.plugins.spellchecker.adapter adapter},
+	 * underlines the problems and checks the changed blocks again shortly after every {@link CKEDITOR.editor#change}.
+	 * The results are cached by the text of the block, so the unchanged blocks are not sent to the adapter again.
+	 *
+	 * The underlines are drawn over the content, so they are never a part of the editor data or undo snapshots.
+	 * The instance is available in the {@link CKEDITOR.editor#spellChecker} property:
+	 *
+	 *		editor.spellChecker.addWord( 'CKEditor' );
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.spellchecker.checker
+	 * @constructor Creates a checker instance.
+	 * @param {CKEDITOR.editor} editor
+	 */
+	function Checker( editor ) {
+		var that = this,
+			dictionary = editor.config.spellchecker_dictionary;
+
+		/**
+		 * @readonly
+		 * @property {CKEDITOR.editor} editor
+		 */
+		this.editor = editor;
+
+		/**
+		 * Whether the spelling is checked.
+		 *
+		 * @readonly
+		 * @property {Boolean}
+		 */
+		this.enabled = false;
+
+		/**
+		 * The problems found in the content, in the document order.
+		 *
+		 * @readonly
+		 * @property {CKEDITOR.plugins.spellchecker.problem[]}
+		 */
+		this.problems = [];
+
+		/**
+		 * The words added to the dictionary, including {@link CKEDITOR.config#spellchecker_dictionary}.
+		 * Words added in lowercase are accepted with any capitalization.
+		 *
+		 * @readonly
+		 * @property {Object.<String, Boolean>}
+		 */
+		this.dictionary = {};
+
+		/**
+		 * The words and texts ignored until the editor is destroyed.
+		 *
+		 * @readonly
+		 * @property {Object.<String, Boolean>}
+		 */
+		this.ignored = {};
+
+		this._ = {
+			buffer: CKEDITOR.tools.eventsBuffer( updateDelay, function() {
+				that.update();
+			} ),
+			// The problems of the checked texts.
+			cache: {},
+			// The texts sent to the adapter, but not checked yet.
+			pending: {},
+			overlay: new CKEDITOR.plugins.contentOverlay.overlay( editor, 'cke_spellchecker_overlay' )
+		};
+
+		CKEDITOR.tools.array.forEach( dictionary || [], function( word ) {
+			this.dictionary[ word ] = true;
+		}, this );
+
+		editor.on( 'change', function() {
+			if ( this.enabled ) {
+				this._.buffer.input();
+			}
+		}, this );
+
+		editor.on( 'dataReady', function() {
+			if ( this.enabled && editor.mode == 'wysiwyg' ) {
+				this.update();
+			}
+		}, this );
+
+		editor.on( 'mode', function() {
+			this.update();
+		}, this );
+
+		editor.on( 'resize', function() {
+			this.renderMarkers();
+		}, this );
+
+		editor.on( 'destroy', function() {
+			this._.buffer.reset();
+			this.enabled = false;
+			this._.overlay.remove();
+		}, this );
+	}
+
+	Checker.prototype = {
+		/**
+		 * Starts checking the content.
+		 */
+		enable: function() {
+			this.enabled = true;
+			this.update();
+			this.updateCommand();
+		},
+
+		/**
+		 * Stops checking the content and removes the underlines.
+		 */
+		disable: function() {
+			this.enabled = false;
+			this.update();
+			this.updateCommand();
+		},
+
+		/**
+		 * @private
+		 */
+		updateCommand: function() {
+			var command = this.editor.getCommand( 'spellchecker' );
+
+			if ( command && command.state != CKEDITOR.TRISTATE_DISABLED ) {
+				command.setState( this.enabled ? CKEDITOR.TRISTATE_ON : CKEDITOR.TRISTATE_OFF );
+			}
+		},
+
+		/**
+		 * Returns the adapter set in {@link CKEDITOR.config#spellchecker_adapter}.
+		 *
+		 * @returns {CKEDITOR.plugins.spellchecker.adapter/null}
+		 */
+		getAdapter: function() {
+			var adapter = this.editor.config.spellchecker_adapter;
+
+			if ( typeof adapter == 'string' ) {
+				adapter = this.editor.config.spellchecker_adapter = new HttpAdapter( adapter );
+			}
+
+			return adapter || null;
+		},
+
+		/**
+		 * Returns the language of the content passed to the adapter.
+		 *
+		 * @returns {String}
+		 */
+		getLanguage: function() {
+			var config = this.editor.config;
+
+			return config.spellchecker_language || config.contentsLanguage || this.editor.langCode;
+		},
+
+		/**
+		 * Updates the problems. The texts which were not checked yet are sent to the adapter and the problems
+		 * are updated again when the adapter responds.
+		 */
+		update: function() {
+			var that = this,
+				editor = this.editor,
+				editable = editor.editable(),
+				adapter = this.getAdapter(),
+				cache = this._.cache,
+				pending = this._.pending,
+				groups = [],
+				texts = [],
+				used = {};
+
+			this._.buffer.reset();
+
+			if ( this.enabled && adapter && editable && editor.mode == 'wysiwyg' ) {
+				groups = getTextGroups( editable );
+			}
+
+			this.problems = [];
+
+			CKEDITOR.tools.array.forEach( groups, function( group ) {
+				used[ group.text ] = true;
+
+				if ( cache.hasOwnProperty( group.text ) ) {
+					this.problems = this.problems.concat( getProblems( this, group, cache[ group.text ] ) );
+				} else if ( !pending.hasOwnProperty( group.text ) && CKEDITOR.tools.array.indexOf( texts, group.text ) == -1 ) {
+					texts.push( group.text );
+				}
+			}, this );
+
+			// The results of the removed texts are not needed anymore.
+			for ( var text in cache ) {
+				if ( !used[ text ] ) {
+					delete cache[ text ];
+				}
+			}
+
+			this.renderMarkers();
+
+			if ( !texts.length ) {
+				return;
+			}
+
+			CKEDITOR.tools.array.forEach( texts, function( text ) {
+				pending[ text ] = true;
+			} );
+
+			adapter.check( texts, this.getLanguage(), function( results ) {
+				CKEDITOR.tools.array.forEach( texts, function( text, index ) {
+					delete pending[ text ];
+
+					if ( results ) {
+						cache[ text ] = results[ index ] || [];
+					}
+				} );
+
+				if ( results && that.enabled ) {
+					that.update();
+				}
+			} );
+		},
+
+		/**
+		 * Returns the problem at the start of the selection.
+		 *
+		 * @param {CKEDITOR.dom.range} [range] The range to use instead of the selection.
+		 * @returns {CKEDITOR.plugins.spellchecker.problem/null}
+		 */
+		getProblem: function( range ) {
+			var selection = !range && this.editor.getSelection(),
+				points = [],
+				container,
+				offset;
+
+			range = range || selection && selection.getRanges()[ 0 ];
+
+			if ( !range ) {
+				return null;
+			}
+
+			container = range.startContainer;
+			offset = range.startOffset;
+
+			// The caret between nodes may be at the end of the previous text node or at the start of the next one.
+			if ( container.type == CKEDITOR.NODE_ELEMENT ) {
+				var previous = getTextSibling( container.getChild( offset - 1 ), 'getPrevious' ),
+					next = getTextSibling( container.getChild( offset ), 'getNext' );
+
+				previous && points.push( [ previous, previous.getLength() ] );
+				next && points.push( [ next, 0 ] );
+			} else {
+				points.push( [ container, offset ] );
+			}
+
+			for ( var i = 0; i < this.problems.length; i++ ) {
+				var segments = this.problems[ i ]._.segments;
+
+				for ( var j = 0; j < segments.length; j++ ) {
+					for ( var k = 0; k < points.length; k++ ) {
+						if ( segments[ j ].node.equals( points[ k ][ 0 ] ) && points[ k ][ 1 ] >= segments[ j ].start &&
+							points[ k ][ 1 ] <= segments[ j ].end ) {
+							return this.problems[ i ];
+						}
+					}
+				}
+			}
+
+			return null;
+		},
+
+		/**
+		 * Replaces the text of the problem. The replacement is a single undo step.
+		 *
+		 * @param {CKEDITOR.plugins.spellchecker.problem} problem
+		 * @param {String} text
+		 * @returns {Boolean} Whether the text was replaced.
+		 */
+		replace: function( problem, text ) {
+			var editor = this.editor,
+				range = problem.range.clone(),
+				textNode;
+
+			if ( editor.readOnly || CKEDITOR.tools.array.indexOf( this.problems, problem ) == -1 ) {
+				return false;
+			}
+
+			editor.fire( 'saveSnapshot' );
+
+			textNode = new CKEDITOR.dom.text( text, editor.document );
+			range.deleteContents();
+			range.insertNode( textNode );
+			range.setStartAfter( textNode );
+			range.collapse( true );
+			range.select();
+
+			editor.fire( 'saveSnapshot' );
+
+			this.update();
+
+			return true;
+		},
+
+		/**
+		 * Adds the word to the dictionary and passes it to the {@link CKEDITOR.plugins.spellchecker.adapter#addWord adapter}.
+		 *
+		 * @param {String} word
+		 */
+		addWord: function( word ) {
+			var adapter = this.getAdapter();
+
+			this.dictionary[ word ] = true;
+
+			if ( adapter && adapter.addWord ) {
+				adapter.addWord( word, this.getLanguage() );
+			}
+
+			this.update();
+		},
+
+		/**
+		 * Ignores all occurrences of the word or the text with the grammar problem in this editor.
+		 *
+		 * @param {String} word
+		 */
+		ignoreAll: function( word ) {
+			this.ignored[ word ] = true;
+			this.update();
+		},
+
+		/**
+		 * Whether the word is added to the {@link #dictionary} or {@link #ignored}.
+		 *
+		 * @param {String} word
+		 * @returns {Boolean}
+		 */
+		isAccepted: function( word ) {
+			return !!( this.ignored[ word ] || this.dictionary[ word ] || this.dictionary[ word.toLowerCase() ] );
+		},
+
+		/**
+		 * Underlines all problems.
+		 *
+		 * @private
+		 */
+		renderMarkers: function() {
+			var overlay = this._.overlay;
+
+			if ( !overlay.reset( this.problems.length ) ) {
+				return;
+			}
+
+			CKEDITOR.tools.array.forEach( this.problems, function( problem ) {
+				CKEDITOR.tools.array.forEach( problem.range.getClientRects(), function( rect ) {
+					if ( !rect.width ) {
+						return;
+					}
+
+					overlay.draw( { top: rect.bottom - 2, left: rect.left, width: rect.width }, {
+						'class': 'cke_spellchecker_marker cke_spellchecker_marker_' + problem.type
+					} );
+				} );
+			} );
+		}
+	};
+
+	CKEDITOR.plugins.spellchecker.checker = Checker;
+
+	// Returns the closest non-empty text node, starting from the given node, if there are only empty text nodes between them.
+	function getTextSibling( node, method ) {
+		while ( node && node.type == CKEDITOR.NODE_TEXT && !node.getLength() ) {
+			node = node[ method ]();
+		}
+
+		return node && node.type == CKEDITOR.NODE_TEXT ? node : null;
+	}
+
+	function getWord( checker, data ) {
+		var problem = data && data.word ? data : checker.getProblem();
+
+		return problem ? problem.word : null;
+	}
+
+	// Creates the problems of the text group from the adapter results.
+	function getProblems( checker, group, results ) {
+		var problems = [];
+
+		CKEDITOR.tools.array.forEach( results, function( result ) {
+			var word = group.text.substring( result.start, result.end ),
+				segments;
+
+			if ( !word || result.end > group.text.length || checker.isAccepted( word ) ) {
+				return;
+			}
+
+			segments = getSegments( group.nodes, result.start, result.end );
+
+			problems.push( {
+				type: result.type == 'grammar' ? 'grammar' : 'spelling',
+				word: word,
+				suggestions: result.suggestions || [],
+				message: result.message,
+				range: getRange( checker.editor, segments ),
+				_: {
+					segments: segments
+				}
+			} );
+		} );
+
+		return problems;
+	}
+
+	// Returns the parts of the text nodes between the given offsets in the joined text of the nodes.
+	function getSegments( nodes, start, end ) {
+		var segments = [],
+			offset = 0;
+
+		for ( var i = 0; i < nodes.length && offset < end; i++ ) {
+			var length = nodes[ i ].getLength();
+
+			if ( offset + length > start ) {
+				segments.push( {
+					node: nodes[ i ],
+					start: Math.max( start - offset, 0 ),
+					end: Math.min( end - offset, length )
+				} );
+			}
+
+			offset += length;
+		}
+
+		return segments;
+	}
+
+	function getRange( editor, segments ) {
+		var range = editor.createRange(),
+			last = segments[ segments.length - 1 ];
+
+		range.setStart( segments[ 0 ].node, segments[ 0 ].start );
+		range.setEnd( last.node, last.end );
+
+		return range;
+	}
+
+	// Splits the text nodes of the editable into groups of the nodes from the same block, e.g. a paragraph or a table cell.
+	function getTextGroups( editable ) {
+		var range = new CKEDITOR.dom.range( editable ),
+			groups = [],
+			group,
+			block,
+			walker,
+			node;
+
+		range.selectNodeContents( editable );
+
+		walker = new CKEDITOR.dom.walker( range );
+		walker.evaluator = function( node ) {
+			return node.type == CKEDITOR.NODE_TEXT;
+		};
+
+		while ( ( node = walker.next() ) ) {
+			var path,
+				nodeBlock;
+
+			if ( isIgnored( node.getParent(), editable ) ) {
+				continue;
+			}
+
+			path = new CKEDITOR.dom.elementPath( node.getParent(), editable );
+			nodeBlock = path.block || path.blockLimit;
+
+			if ( !group || !nodeBlock.equals( block ) ) {
+				group = {
+					nodes: [],
+					text: ''
+				};
+				groups.push( group );
+				block = nodeBlock;
+			}
+
+			group.nodes.push( node );
+			group.text += node.getText();
+		}
+
+		return CKEDITOR.tools.array.filter( groups, function( group ) {
+			return CKEDITOR.tools.trim( group.text.replace( invisibleRegex, '' ) );
+		} );
+	}
+
+	// Temporary elements added by the editor and non-editable parts of the content, e.g. widgets, are not checked.
+	function isIgnored( element, editable ) {
+		if ( CKEDITOR.plugins.contentOverlay.isTemporary( element, editable ) ) {
+			return true;
+		}
+
+		while ( element && !element.equals( editable ) ) {
+			if ( element.getAttribute( 'contenteditable' ) == 'false' ) {
+				return true;
+			}
+
+			element = element.getParent();
+		}
+
+		return false;
+	}
+} )();
+
+/**
+ * The {@link CKEDITOR.plugins.spellchecker.adapter adapter} checking the spelling for the
+ * [Spell Checker](https://ckeditor.com/cke4/addon/spellchecker) plugin or the URL of the service
+ * used by the {@link CKEDITOR.plugins.spellchecker.httpAdapter HTTP adapter}. Without the adapter, the content is not checked.
+ *
+ *		config.spellchecker_adapter = 'http://localhost:8080/spellcheck';
+ *
+ * @since 4.13.0
+ * @cfg {CKEDITOR.plugins.spellchecker.adapter/String} [spellchecker_adapter=null]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * The language passed to the {@link CKEDITOR.config#spellchecker_adapter adapter}. Defaults to
+ * {@link CKEDITOR.config#contentsLanguage} or the editor UI language.
+ *
+ *		config.spellchecker_language = 'en_GB';
+ *
+ * @since 4.13.0
+ * @cfg {String} [spellchecker_language='']
+ * @member CKEDITOR.config
+ */
+
+/**
+ * The words accepted by the [Spell Checker](https://ckeditor.com/cke4/addon/spellchecker), in addition to the words
+ * known by the {@link CKEDITOR.config#spellchecker_adapter adapter}. Words written in lowercase are accepted with
+ * any capitalization.
+ *
+ *		config.spellchecker_dictionary = [ 'CKEditor', 'wysiwyg' ];
+ *
+ * @since 4.13.0
+ * @cfg {String[]} [spellchecker_dictionary=[]]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * The maximum number of suggestions shown in the context menu by the [Spell Checker](https://ckeditor.com/cke4/addon/spellchecker).
+ *
+ *		config.spellchecker_maxSuggestions = 3;
+ *
+ * @since 4.13.0
+ * @cfg {Number} [spellchecker_maxSuggestions=5]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * Whether the [Spell Checker](https://ckeditor.com/cke4/addon/spellchecker) starts checking the content
+ * when the editor is ready. When disabled, checking is started with the "Spell Checker" button.
+ *
+ *		config.spellchecker_autoStart = false;
+ *
+ * @since 4.13.0
+ * @cfg {Boolean} [spellchecker_autoStart=true]
+ * @member CKEDITOR.config
+ */
@@ -0,0 +1,691 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @fileOverview The Split View plugin. Shows the source of the content next to the WYSIWYG editing area
+ * and keeps both panes synchronized.
+ */
+
+( function() {
+	'use strict';
+
+	var caretDelay = 100,
+		// Marks the caret position in the data while it is mapped between the panes.
+		caretMarker = '\ue000',
+		fillingCharRegex = new RegExp( CKEDITOR.dom.selection.FILLING_CHAR_SEQUENCE, 'g' ),
+		// The caret cannot be placed in the contents of these elements in the WYSIWYG pane.
+		rawTextElements = { script: 1, style: 1 },
+		// This flag prevents appending stylesheet more than once.
+		stylesLoaded = false;
+
+	CKEDITOR.plugins.add( 'splitview', {
+		requires: 'sourcearea',
+		lang: 'en',
+		icons: 'splitview', // %REMOVE_LINE_CORE%
+		hidpi: true, // %REMOVE_LINE_CORE%
+
+		init: function( editor ) {
+			// Like the source mode, the split view is only available in the classic editor.
+			if ( editor.elementMode == CKEDITOR.ELEMENT_MODE_INLINE ) {
+				return;
+			}
+
+			if ( !stylesLoaded ) {
+				CKEDITOR.document.appendStyleSheet( this.path + 'styles/splitview.css' );
+				stylesLoaded = true;
+			}
+
+			/**
+			 * The split view of this editor instance.
+			 *
+			 * @since 4.13.0
+			 * @readonly
+			 * @member CKEDITOR.editor
+			 * @property {CKEDITOR.plugins.splitview.splitView} splitView
+			 */
+			editor.splitView = new CKEDITOR.plugins.splitview.splitView( editor );
+
+			editor.addCommand( 'splitView', {
+				modes: { wysiwyg: 1 },
+				readOnly: 1,
+				editorFocus: false,
+				canUndo: false,
+
+				exec: function( editor ) {
+					var splitView = editor.splitView;
+
+					splitView[ splitView.visible ? 'hide' : 'show' ]();
+				}
+			} );
+
+			if ( editor.ui.addButton ) {
+				editor.ui.addButton( 'SplitView', {
+					label: editor.lang.splitview.toolbar,
+					command: 'splitView',
+					toolbar: 'mode,30'
+				} );
+			}
+
+			if ( editor.config.splitView_autoStart ) {
+				editor.on( 'instanceReady', function() {
+					if ( editor.mode == 'wysiwyg' ) {
+						editor.splitView.show();
+					}
+				} );
+			}
+		}
+	} );
+
+	/**
+	 * The split view shows the source of the content in a pane next to the WYSIWYG editing area.
+	 *
+	 * The changes made in either pane are synchronized with the other one after a short
+	 * {@link CKEDITOR.config#splitView_syncDelay delay}, using the same {@link CKEDITOR.editor#dataProcessor data processor}
+	 * as switching between the `wysiwyg` and the `source` {@link CKEDITOR.editor#mode modes}, so the changes
+	 * made in the source can be undone in the editor. The caret position is mapped between the panes, so the caret
+	 * placed in one of them is shown at the same place of the content in the other one.
+	 *
+	 * The pane is shown in the `wysiwyg` mode only and it is hidden while the editor is in the `source` mode.
+	 *
+	 *		editor.splitView.show();
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.splitview.splitView
+	 * @constructor Creates a split view instance.
+	 * @param {CKEDITOR.editor} editor
+	 */
+	function SplitView( editor ) {
+		var that = this,
+			syncDelay = editor.config.splitView_syncDelay;
+
+		syncDelay = typeof syncDelay == 'number' ? syncDelay : 500;
+
+		/**
+		 * @readonly
+		 * @property {CKEDITOR.editor} editor
+		 */
+		this.editor = editor;
+
+		/**
+		 * Whether the split view is turned on. The source pane is only shown in the `wysiwyg` mode.
+		 *
+		 * @readonly
+		 * @property {Boolean}
+		 */
+		this.visible = false;
+
+		this._ = {
+			element: null,
+			// The source which is the same in both panes.
+			synced: null,
+			// Whether the WYSIWYG pane was changed after the source pane was refreshed.
+			stale: false,
+			// Prevents synchronizing the changes made by the split view itself.
+			locked: false,
+			applyBuffer: debounce( syncDelay, function() {
+				that.apply();
+				that.selectInWysiwyg();
+			} ),
+			refreshBuffer: debounce( syncDelay, function() {
+				that.refresh();
+			} ),
+			sourceCaretBuffer: CKEDITOR.tools.eventsBuffer( caretDelay, function() {
+				// The caret is mapped when the changes in the source are applied.
+				if ( that.isActive() && that._.element.getValue() === that._.synced ) {
+					that.selectInWysiwyg();
+				}
+			} ),
+			wysiwygCaretBuffer: CKEDITOR.tools.eventsBuffer( caretDelay, function() {
+				that.selectInSource();
+			} )
+		};
+
+		editor.on( 'change', function() {
+			if ( that.isActive() && !that._.locked ) {
+				that._.stale = true;
+				that._.refreshBuffer.input();
+			}
+		} );
+
+		// Covers editor#setData() and undo, which replace the whole content.
+		editor.on( 'dataReady', function() {
+			if ( that.isActive() && !that._.locked ) {
+				that._.stale = true;
+				that.refresh();
+			}
+		} );
+
+		// The data must include the changes made in the source pane which were not applied yet.
+		editor.on( 'beforeGetData', function() {
+			if ( !that._.locked ) {
+				that.apply();
+			}
+		} );
+
+		editor.on( 'beforeSetMode', function() {
+			that.apply();
+		} );
+
+		editor.on( 'mode', function() {
+			that.update();
+		} );
+
+		editor.on( 'readOnly', function() {
+			if ( that._.element ) {
+				that._.element[ editor.readOnly ? 'setAttribute' : 'removeAttribute' ]( 'readonly', 'readonly' );
+			}
+		} );
+
+		editor.on( 'contentDom', function() {
+			var editable = editor.editable();
+
+			CKEDITOR.tools.array.forEach( [ 'keyup', 'mouseup' ], function( name ) {
+				editable.attachListener( editable, name, function() {
+					if ( that.isActive() ) {
+						that._.wysiwygCaretBuffer.input();
+					}
+				} );
+			} );
+		} );
+
+		editor.on( 'destroy', function() {
+			CKEDITOR.tools.array.forEach( [ 'applyBuffer', 'refreshBuffer', 'sourceCaretBuffer', 'wysiwygCaretBuffer' ], function( name ) {
+				that._[ name ].reset();
+			} );
+
+			if ( that._.element ) {
+				that._.element.removeAllListeners();
+				that._.element.remove();
+			}
+		} );
+	}
+
+	SplitView.prototype = {
+		/**
+		 * Shows the source pane next to the WYSIWYG editing area.
+		 */
+		show: function() {
+			this.visible = true;
+			this.update();
+		},
+
+		/**
+		 * Hides the source pane. The changes made in the source which were not synchronized yet are applied first.
+		 */
+		hide: function() {
+			this.apply();
+			this.visible = false;
+			this.update();
+		},
+
+		/**
+		 * Whether the source pane is currently shown.
+		 *
+		 * @returns {Boolean}
+		 */
+		isActive: function() {
+			return this.visible && this.editor.mode == 'wysiwyg' && !!this._.element && !!this._.element.getParent();
+		},
+
+		/**
+		 * Shows or hides the source pane depending on the {@link #visible} state and the editor mode.
+		 */
+		update: function() {
+			var editor = this.editor,
+				contents = editor.ui.space( 'contents' ),
+				active = this.visible && editor.mode == 'wysiwyg';
+
+			if ( !contents ) {
+				return;
+			}
+
+			contents[ active ? 'addClass' : 'removeClass' ]( 'cke_splitview_contents' );
+
+			if ( active ) {
+				contents.append( this.getElement() );
+				this._.stale = true;
+				this.refresh();
+			} else if ( this._.element ) {
+				this._.element.remove();
+			}
+
+			if ( editor.mode == 'wysiwyg' ) {
+				editor.getCommand( 'splitView' ).setState( this.visible ? CKEDITOR.TRISTATE_ON : CKEDITOR.TRISTATE_OFF );
+			}
+		},
+
+		/**
+		 * Returns the `<textarea>` element of the source pane, creating it if needed.
+		 *
+		 * @returns {CKEDITOR.dom.element}
+		 */
+		getElement: function() {
+			var editor = this.editor,
+				element = this._.element,
+				that = this;
+
+			if ( element ) {
+				return element;
+			}
+
+			element = this._.element = CKEDITOR.dom.element.createFromHtml( '<textarea class="cke_source cke_reset cke_enable_context_menu cke_splitview_source"' +
+				' dir="ltr" spellcheck="false" aria-label="' + CKEDITOR.tools.htmlEncodeAttr( editor.lang.splitview.source ) + '"></textarea>' );
+
+			element.setStyles( CKEDITOR.tools.cssVendorPrefix( 'tab-size', editor.config.sourceAreaTabSize || 4 ) );
+
+			if ( editor.readOnly ) {
+				element.setAttribute( 'readonly', 'readonly' );
+			}
+
+			// The editor is not blurred when the source pane is focused.
+			editor.focusManager.add( element );
+
+			element.on( 'input', function() {
+				that._.applyBuffer.input();
+			} );
+
+			CKEDITOR.tools.array.forEach( [ 'keyup', 'mouseup' ], function( name ) {
+				element.on( name, function() {
+					that._.sourceCaretBuffer.input();
+				} );
+			} );
+
+			element.on( 'blur', function() {
+				that.apply();
+				that.refresh();
+			} );
+
+			return element;
+		},
+
+		/**
+		 * Applies the source from the source pane to the WYSIWYG editing area. Does nothing if the source
+		 * was not changed since the last synchronization.
+		 */
+		apply: function() {
+			var editor = this.editor,
+				value;
+
+			this._.applyBuffer.reset();
+
+			if ( !this.isActive() || ( value = this._.element.getValue() ) === this._.synced ) {
+				return;
+			}
+
+			this._.locked = true;
+
+			try {
+				editor.fire( 'saveSnapshot' );
+
+				// Loading the data into the framed editing area recreates the whole document asynchronously,
+				// so outside of the full page mode the processed data is set like a snapshot.
+				if ( editor.config.fullPage ) {
+					editor.setData( value );
+				} else {
+					editor.editable().setData( editor.dataProcessor.toHtml( value ), true );
+				}
+
+				editor.fire( 'saveSnapshot' );
+			} finally {
+				this._.locked = false;
+			}
+
+			this._.synced = value;
+			this._.stale = false;
+		},
+
+		/**
+		 * Refreshes the source pane with the current editor data. The source is not refreshed while the source pane
+		 * is focused, so the source edited by the user is not overwritten.
+		 */
+		refresh: function() {
+			var element = this._.element,
+				data;
+
+			this._.refreshBuffer.reset();
+
+			if ( !this.isActive() || !this._.stale || element.equals( CKEDITOR.document.getActive() ) ) {
+				return;
+			}
+
+			this._.locked = true;
+
+			try {
+				data = this.editor.getData();
+			} finally {
+				this._.locked = false;
+			}
+
+			element.setValue( data );
+			this._.synced = data;
+			this._.stale = false;
+		},
+
+		/**
+		 * Returns the offset in the source pane matching the start of the range in the WYSIWYG editing area.
+		 *
+		 *		var offset = editor.splitView.getSourceOffset( editor.getSelection().getRanges()[ 0 ] );
+		 *
+		 * @param {CKEDITOR.dom.range} [range] The range to map, the first range of the editor selection by default.
+		 * @returns {Number/null} The offset in the source or `null` if the range cannot be mapped.
+		 */
+		getSourceOffset: function( range ) {
+			var editor = this.editor,
+				editable = editor.editable(),
+				selection, clone, data;
+
+			if ( !range ) {
+				selection = editor.getSelection();
+				range = selection && selection.getRanges()[ 0 ];
+			}
+
+			if ( !range || !( editable.equals( range.startContainer ) || editable.contains( range.startContainer ) ) ) {
+				return null;
+			}
+
+			// The marker is inserted into a copy of the content, so the editing area is not touched.
+			clone = editable.clone( true );
+			insertMarker( getByPath( clone, getPath( range.startContainer, editable ) ), range.startOffset );
+
+			this._.locked = true;
+
+			try {
+				data = editor.dataProcessor.toDataFormat( clone.getHtml().replace( fillingCharRegex, '' ) );
+			} finally {
+				this._.locked = false;
+			}
+
+			return data.indexOf( caretMarker ) == -1 ? null : data.indexOf( caretMarker );
+		},
+
+		/**
+		 * Returns the collapsed range in the WYSIWYG editing area matching the offset in the source pane.
+		 * The offsets inside tags and between them are mapped to the beginning of the following text.
+		 *
+		 *		var range = editor.splitView.getRange( 42 );
+		 *
+		 * @param {Number} offset The offset in the source.
+		 * @returns {CKEDITOR.dom.range/null} The range or `null` if the offset cannot be mapped.
+		 */
+		getRange: function( offset ) {
+			var editor = this.editor,
+				editable = editor.editable(),
+				source = this.getElement().getValue(),
+				container, marker, path, node, child, range, i;
+
+			offset = getTextOffset( source, offset );
+
+			if ( offset === null ) {
+				return null;
+			}
+
+			container = new CKEDITOR.dom.element( 'div', editable.getDocument() );
+			container.setHtml( editor.dataProcessor.toHtml( source.substring( 0, offset ) + caretMarker + source.substring( offset ) ) );
+
+			marker = findMarker( container );
+
+			if ( !marker ) {
+				return null;
+			}
+
+			path = getPath( marker, container );
+			node = editable;
+
+			// The content can differ from the processed source, e.g. because of widgets, so the path is followed
+			// as long as possible.
+			for ( i = 0; i < path.length; i++ ) {
+				child = node.type == CKEDITOR.NODE_ELEMENT && node.getChild( path[ i ] );
+
+				if ( !child ) {
+					break;
+				}
+
+				node = child;
+			}
+
+			range = editor.createRange();
+
+			if ( i == path.length && node.type == CKEDITOR.NODE_TEXT ) {
+				range.setStart( node, Math.min( marker.getText().indexOf( caretMarker ), node.getLength() ) );
+				range.collapse( true );
+			} else {
+				range.moveToElementEditablePosition( node.type == CKEDITOR.NODE_TEXT ? node.getParent() : node );
+			}
+
+			return range;
+		},
+
+		/**
+		 * Moves the caret of the source pane to the place matching the selection in the WYSIWYG editing area.
+		 */
+		selectInSource: function() {
+			var element = this._.element,
+				offset;
+
+			if ( !this.isActive() || element.equals( CKEDITOR.document.getActive() ) ) {
+				return;
+			}
+
+			if ( this._.stale ) {
+				this.refresh();
+			}
+
+			offset = this.getSourceOffset();
+
+			if ( offset !== null ) {
+				element.$.setSelectionRange( offset, offset );
+				scrollToOffset( element, offset );
+			}
+		},
+
+		/**
+		 * Moves the selection of the WYSIWYG editing area to the place matching the caret in the source pane.
+		 * The changes made in the source are applied first.
+		 */
+		selectInWysiwyg: function() {
+			var editor = this.editor,
+				element = this._.element,
+				range, focused;
+
+			if ( !this.isActive() ) {
+				return;
+			}
+
+			this.apply();
+			range = this.getRange( element.$.selectionStart );
+
+			if ( !range ) {
+				return;
+			}
+
+			focused = CKEDITOR.document.getActive();
+			editor.getSelection().selectRanges( [ range ] );
+
+			// Selecting in the editing area must not move the focus out of the source pane.
+			if ( focused && !focused.equals( CKEDITOR.document.getActive() ) ) {
+				focused.focus();
+			}
+
+			scrollToRange( editor, range );
+		}
+	};
+
+	/**
+	 * The Split View plugin API.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.splitview
+	 * @singleton
+	 */
+	CKEDITOR.plugins.splitview = {
+		/**
+		 * @property {Function} splitView The {@link CKEDITOR.plugins.splitview.splitView} class.
+		 */
+		splitView: SplitView
+	};
+
+	// Unlike CKEDITOR.tools.eventsBuffer, calls the callback only after the input stops for the given time.
+	function debounce( delay, callback ) {
+		var timeout = null;
+
+		return {
+			input: function() {
+				clearTimeout( timeout );
+				timeout = setTimeout( callback, delay );
+			},
+
+			reset: function() {
+				clearTimeout( timeout );
+				timeout = null;
+			}
+		};
+	}
+
+	// Returns the child indexes leading from the root to the node.
+	function getPath( node, root ) {
+		var path = [];
+
+		while ( node && !node.equals( root ) ) {
+			path.unshift( node.getIndex() );
+			node = node.getParent();
+		}
+
+		return path;
+	}
+
+	function getByPath( root, path ) {
+		for ( var i = 0; i < path.length; i++ ) {
+			root = root.getChild( path[ i ] );
+		}
+
+		return root;
+	}
+
+	function insertMarker( container, offset ) {
+		var text, child;
+
+		if ( container.type == CKEDITOR.NODE_TEXT ) {
+			text = container.getText();
+			container.setText( text.substring( 0, offset ) + caretMarker + text.substring( offset ) );
+			return;
+		}
+
+		text = new CKEDITOR.dom.text( caretMarker, container.getDocument() );
+		child = container.getChild( offset );
+
+		if ( child ) {
+			text.insertBefore( child );
+		} else {
+			container.append( text );
+		}
+	}
+
+	// Returns the text node containing the marker.
+	function findMarker( node ) {
+		var child, found;
+
+		if ( node.type == CKEDITOR.NODE_TEXT ) {
+			return node.getText().indexOf( caretMarker ) != -1 ? node : null;
+		}
+
+		for ( child = node.getFirst(); child; child = child.getNext() ) {
+			if ( child.type != CKEDITOR.NODE_COMMENT && ( found = findMarker( child ) ) ) {
+				return found;
+			}
+		}
+
+		return null;
+	}
+
+	// Moves the offset out of tags, comments and character references, as well as from the whitespace
+	// between tags, to the nearest text which is displayed in the WYSIWYG editing area.
+	function getTextOffset( source, offset ) {
+		var tokens = CKEDITOR.plugins.sourcearea.tokenize( source ),
+			last = null,
+			i, token, text, start;
+
+		for ( i = 0; i < tokens.length; i++ ) {
+			token = tokens[ i ];
+
+			if ( !isText( tokens, i ) ) {
+				continue;
+			}
+
+			text = source.substring( token.start, token.end );
+			start = token.start + ( token.type == 'entity' ? 0 : text.search( /\S/ ) );
+
+			if ( token.type == 'text' && start < token.start ) {
+				continue;
+			}
+
+			if ( token.end >= offset ) {
+				if ( token.type == 'entity' ) {
+					return offset > token.start ? token.end : token.start;
+				}
+
+				return Math.max( offset, start );
+			}
+
+			last = token.type == 'entity' ? token.end : token.start + CKEDITOR.tools.rtrim( text ).length;
+		}
+
+		return last;
+	}
+
+	function isText( tokens, index ) {
+		var previous = tokens[ index - 1 ];
+
+		if ( tokens[ index ].type == 'entity' ) {
+			return true;
+		}
+
+		return tokens[ index ].type == 'text' &&
+			!( previous && previous.type == 'tag' && !previous.closing && rawTextElements[ previous.name ] );
+	}
+
+	function scrollToOffset( element, offset ) {
+		var textarea = element.$,
+			value = element.getValue(),
+			lineHeight = textarea.scrollHeight / value.split( '\n' ).length,
+			top = ( value.substring( 0, offset ).split( '\n' ).length - 1 ) * lineHeight;
+
+		if ( top < textarea.scrollTop || top + lineHeight > textarea.scrollTop + textarea.clientHeight ) {
+			textarea.scrollTop = Math.max( 0, top - textarea.clientHeight / 2 );
+		}
+	}
+
+	function scrollToRange( editor, range ) {
+		var element = range.startContainer.type == CKEDITOR.NODE_TEXT ? range.startContainer.getParent() : range.startContainer,
+			win = editor.window,
+			top = element.getDocumentPosition().y,
+			height = win.getViewPaneSize().height,
+			scroll = win.getScrollPosition();
+
+		if ( top < scroll.y || top > scroll.y + height ) {
+			win.$.scrollTo( scroll.x, Math.max( 0, top - height / 2 ) );
+		}
+	}
+} )();
+
+/**
+ * Whether the split view should be turned on when the editor is ready.
+ *
+ *		config.splitView_autoStart = true;
+ *
+ * @since 4.13.0
+ * @cfg {Boolean} [splitView_autoStart=false]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * The delay in milliseconds after which the changes made in one pane of the split view are synchronized
+ * with the other one.
+ *
+ *		config.splitView_syncDelay = 1000;
+ *
+ * @since 4.13.0
+ * @cfg {Number} [splitView_syncDelay=500]
+ * @member CKEDITOR.config
+ */
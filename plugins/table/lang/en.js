@@ -3,6 +3,20 @@ Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
 For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
 */
 CKEDITOR.plugins.setLang( 'table', 'en', {
+	accessibility: {
+		title: 'Accessibility',
+		association: 'Header cells association',
+		associationKeep: 'Do not change',
+		associationScope: 'Scope',
+		associationHeaders: 'Scope and headers attributes',
+		rowHeaders: 'Row header columns',
+		invalidRowHeaders: 'Number of row header columns must be a whole number.',
+		describedBy: 'Described by (element IDs)',
+		noIssues: 'No accessibility issues found.',
+		noHeaders: 'The table has no header cells.',
+		ambiguousHeader: 'It is not clear which cells the merged header cell "%1" applies to. Use the headers attributes association.',
+		missingDescription: 'The element "%1" describing the table does not exist.'
+	},
 	border: 'Border size',
 	caption: 'Caption',
 	cell: {
@@ -41,7 +55,12 @@ CKEDITOR.plugins.setLang( 'table', 'en', {
 		menu: 'Column',
 		insertBefore: 'Insert Column Before',
 		insertAfter: 'Insert Column After',
-		deleteColumn: 'Delete Columns'
+		deleteColumn: 'Delete Columns',
+		moveLeft: 'Move Columns Left',
+		moveRight: 'Move Columns Right',
+		duplicate: 'Duplicate Columns',
+		sortAscending: 'Sort Ascending',
+		sortDescending: 'Sort Descending'
 	},
 	columns: 'Columns',
 	deleteTable: 'Delete Table',
@@ -63,7 +82,10 @@ CKEDITOR.plugins.setLang( 'table', 'en', {
 		menu: 'Row',
 		insertBefore: 'Insert Row Before',
 		insertAfter: 'Insert Row After',
-		deleteRow: 'Delete Rows'
+		deleteRow: 'Delete Rows',
+		moveUp: 'Move Rows Up',
+		moveDown: 'Move Rows Down',
+		duplicate: 'Duplicate Rows'
 	},
 	rows: 'Rows',
 	summary: 'Summary',
@@ -1211,11 +1211,26 @@
 				'columnInsertBefore',
 				'columnInsertAfter',
 				'cellInsertBefore',
-				'cellInsertAfter'
+				'cellInsertAfter',
+				'rowMoveUp',
+				'rowMoveDown',
+				'columnMoveLeft',
+				'columnMoveRight',
+				'columnSortAscending',
+				'columnSortDescending'
 			], function( editor, data ) {
 				fakeSelectCells( editor, data.selectedCells );
 			} );
 
+			customizeTableCommand( editor, [
+				'rowDuplicate',
+				'columnDuplicate'
+			], function( editor, data ) {
+				if ( data.commandData.cells && data.commandData.cells.length ) {
+					fakeSelectCells( editor, data.commandData.cells );
+				}
+			} );
+
 			customizeTableCommand( editor, [
 				'cellMerge',
 				'cellMergeRight',
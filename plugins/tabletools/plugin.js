@@ -764,6 +764,792 @@
 		return newCell;
 	}
 
+	// Returns the rows and columns covered by the cells, as indexes in the table map.
+	function getCellsBounds( map, cells ) {
+		var bounds = {
+			startRow: Infinity,
+			endRow: -1,
+			startColumn: Infinity,
+			endColumn: -1
+		};
+
+		for ( var i = 0; i < cells.length; i++ ) {
+			var cell = cells[ i ].$,
+				rowIndex = cell.parentNode.rowIndex,
+				colIndex = CKEDITOR.tools.indexOf( map[ rowIndex ], cell );
+
+			bounds.startRow = Math.min( bounds.startRow, rowIndex );
+			bounds.endRow = Math.min( Math.max( bounds.endRow, rowIndex + cell.rowSpan - 1 ), map.length - 1 );
+			bounds.startColumn = Math.min( bounds.startColumn, colIndex );
+			bounds.endColumn = Math.max( bounds.endColumn, colIndex + cell.colSpan - 1 );
+		}
+
+		return bounds;
+	}
+
+	// Returns the first and the last row (or column) of the cell in the table map.
+	function getCellSpan( map, cell, isColumn ) {
+		var first;
+
+		if ( isColumn ) {
+			for ( var r = 0; r < map.length; r++ ) {
+				if ( ( first = CKEDITOR.tools.indexOf( map[ r ], cell ) ) != -1 ) {
+					return [ first, first + cell.colSpan - 1 ];
+				}
+			}
+		}
+
+		first = cell.parentNode.rowIndex;
+
+		return [ first, Math.min( first + cell.rowSpan - 1, map.length - 1 ) ];
+	}
+
+	// Extends the range of rows (or columns) until no cell crosses its boundaries. If `allowCovering` is set,
+	// the cells covering the whole range (e.g. a cell with a row span from the row above to the row below) do not
+	// extend it.
+	//
+	// Such a range can be moved, duplicated or sorted as a whole without breaking the cell spans.
+	function getSpanClosure( map, start, end, isColumn, allowCovering ) {
+		var changed = true,
+			span, cell, r, c;
+
+		while ( changed ) {
+			changed = false;
+
+			for ( r = 0; r < map.length; r++ ) {
+				for ( c = 0; c < map[ r ].length; c++ ) {
+					cell = map[ r ][ c ];
+
+					if ( !cell || ( isColumn ? c : r ) < start || ( isColumn ? c : r ) > end ) {
+						continue;
+					}
+
+					span = getCellSpan( map, cell, isColumn );
+
+					if ( ( span[ 0 ] >= start && span[ 1 ] <= end ) || ( allowCovering && span[ 0 ] <= start && span[ 1 ] >= end ) ) {
+						continue;
+					}
+
+					start = Math.min( start, span[ 0 ] );
+					end = Math.max( end, span[ 1 ] );
+					changed = true;
+				}
+			}
+		}
+
+		return {
+			start: start,
+			end: end
+		};
+	}
+
+	function getMapWidth( map ) {
+		var width = 0;
+
+		for ( var i = 0; i < map.length; i++ ) {
+			width = Math.max( width, map[ i ].length );
+		}
+
+		return width;
+	}
+
+	// Returns the cells of the table row which start in the given range of columns, in the document order.
+	function getRowCells( map, rowIndex, row, start, end ) {
+		var cells = [];
+
+		for ( var c = start; c <= end; c++ ) {
+			var cell = map[ rowIndex ][ c ];
+
+			if ( cell && cell.parentNode == row && CKEDITOR.tools.indexOf( cells, cell ) == -1 ) {
+				cells.push( cell );
+			}
+		}
+
+		return cells;
+	}
+
+	function getRows( rows, range ) {
+		var result = [];
+
+		for ( var i = range.start; i <= range.end; i++ ) {
+			result.push( rows[ i ] );
+		}
+
+		return result;
+	}
+
+	// Moves the selected rows, together with the rows joined with them with row spans, above the previous
+	// or below the next rows. Rows are never moved to another table section (e.g. from `tbody` to `thead`).
+	function moveRows( selection, isUp, isDetect ) {
+		var cells = getSelectedCells( selection );
+
+		if ( !cells.length ) {
+			return false;
+		}
+
+		var table = cells[ 0 ].getAscendant( 'table' ),
+			rows = table.$.rows,
+			map = CKEDITOR.tools.buildTableMap( table ),
+			bounds = getCellsBounds( map, getSelectedCells( selection, table ) ),
+			block = getSpanClosure( map, bounds.startRow, bounds.endRow ),
+			sibling, section, moved, reference, i;
+
+		if ( isUp ? block.start === 0 : block.end >= map.length - 1 ) {
+			return false;
+		}
+
+		sibling = isUp ? getSpanClosure( map, block.start - 1, block.start - 1 ) : getSpanClosure( map, block.end + 1, block.end + 1 );
+		section = rows[ block.start ].parentNode;
+
+		// Sections are continuous in the table rows collection, so it is enough to check both ends.
+		if ( rows[ Math.min( block.start, sibling.start ) ].parentNode != section ||
+			rows[ Math.max( block.end, sibling.end ) ].parentNode != section ) {
+			return false;
+		}
+
+		if ( isDetect ) {
+			return true;
+		}
+
+		// The rows collection is live, so the rows and the reference row are collected before moving anything.
+		moved = getRows( rows, isUp ? block : sibling );
+		reference = rows[ isUp ? sibling.start : block.start ];
+
+		for ( i = 0; i < moved.length; i++ ) {
+			section.insertBefore( moved[ i ], reference );
+		}
+
+		return true;
+	}
+
+	// Moves the selected columns, together with the columns joined with them with column spans, before the previous
+	// or after the next columns.
+	function moveColumns( selection, isLeft, isDetect ) {
+		var cells = getSelectedCells( selection );
+
+		if ( !cells.length ) {
+			return false;
+		}
+
+		var table = cells[ 0 ].getAscendant( 'table' ),
+			rows = table.$.rows,
+			map = CKEDITOR.tools.buildTableMap( table ),
+			bounds = getCellsBounds( map, getSelectedCells( selection, table ) ),
+			block = getSpanClosure( map, bounds.startColumn, bounds.endColumn, true ),
+			sibling, left, right;
+
+		if ( isLeft ? block.start === 0 : block.end >= getMapWidth( map ) - 1 ) {
+			return false;
+		}
+
+		if ( isDetect ) {
+			return true;
+		}
+
+		sibling = isLeft ? getSpanClosure( map, block.start - 1, block.start - 1, true ) :
+			getSpanClosure( map, block.end + 1, block.end + 1, true );
+		left = isLeft ? sibling : block;
+		right = isLeft ? block : sibling;
+
+		// Cells of both ranges starting in the same row are next to each other, so it is enough to move the right ones
+		// before the left ones. Rows without cells of one of the ranges are covered by row spans and stay untouched.
+		for ( var i = 0; i < rows.length; i++ ) {
+			var leftCells = getRowCells( map, i, rows[ i ], left.start, left.end ),
+				rightCells = getRowCells( map, i, rows[ i ], right.start, right.end );
+
+			if ( leftCells.length && rightCells.length ) {
+				for ( var j = 0; j < rightCells.length; j++ ) {
+					rows[ i ].insertBefore( rightCells[ j ], leftCells[ 0 ] );
+				}
+			}
+		}
+
+		return true;
+	}
+
+	// Inserts copies of the selected rows below them. Cells spanning over all the selected rows
+	// are extended instead of being copied. Returns the copies of the selected cells.
+	function duplicateRows( selection ) {
+		var cells = getSelectedCells( selection );
+
+		if ( !cells.length ) {
+			return [];
+		}
+
+		var table = cells[ 0 ].getAscendant( 'table' ),
+			rows = table.$.rows,
+			map = CKEDITOR.tools.buildTableMap( table ),
+			bounds = getCellsBounds( map, getSelectedCells( selection, table ) ),
+			block = getSpanClosure( map, bounds.startRow, bounds.endRow, false, true ),
+			count = block.end - block.start + 1,
+			lastRow = new CKEDITOR.dom.element( rows[ block.end ] ),
+			extended = [],
+			copies = [],
+			newRows = [],
+			i, j, cell, span, newRow;
+
+		for ( i = block.start; i <= block.end; i++ ) {
+			newRow = new CKEDITOR.dom.element( rows[ i ] ).clone();
+
+			for ( j = 0; j < map[ i ].length; j++ ) {
+				cell = map[ i ][ j ];
+				span = getCellSpan( map, cell );
+
+				if ( span[ 0 ] < block.start || span[ 1 ] > block.end ) {
+					if ( CKEDITOR.tools.indexOf( extended, cell ) == -1 ) {
+						extended.push( cell );
+						cell.rowSpan += count;
+					}
+				} else if ( cell.parentNode == rows[ i ] && !cell.getAttribute( 'data-cke-duplicated' ) ) {
+					// Mark the cell, so it is not copied again for the next column it spans.
+					cell.setAttribute( 'data-cke-duplicated', 1 );
+					newRow.append( copyCell( cell, cells, copies ) );
+				}
+			}
+
+			newRows.push( newRow );
+		}
+
+		for ( i = newRows.length - 1; i >= 0; i-- ) {
+			newRows[ i ].insertAfter( lastRow );
+		}
+
+		clearDuplicatedMarkers( table );
+
+		return copies;
+	}
+
+	// Inserts copies of the selected columns after them. Cells spanning over all the selected columns
+	// are extended instead of being copied. Returns the copies of the selected cells.
+	function duplicateColumns( selection ) {
+		var cells = getSelectedCells( selection );
+
+		if ( !cells.length ) {
+			return [];
+		}
+
+		var table = cells[ 0 ].getAscendant( 'table' ),
+			rows = table.$.rows,
+			map = CKEDITOR.tools.buildTableMap( table ),
+			bounds = getCellsBounds( map, getSelectedCells( selection, table ) ),
+			block = getSpanClosure( map, bounds.startColumn, bounds.endColumn, true, true ),
+			count = block.end - block.start + 1,
+			extended = [],
+			copies = [],
+			i, j, cell, span, rowCells, last;
+
+		for ( i = 0; i < rows.length; i++ ) {
+			for ( j = block.start; j <= block.end; j++ ) {
+				cell = map[ i ][ j ];
+
+				if ( !cell ) {
+					continue;
+				}
+
+				span = getCellSpan( map, cell, true );
+
+				if ( ( span[ 0 ] < block.start || span[ 1 ] > block.end ) && CKEDITOR.tools.indexOf( extended, cell ) == -1 ) {
+					extended.push( cell );
+					cell.colSpan += count;
+				}
+			}
+
+			rowCells = CKEDITOR.tools.array.filter( getRowCells( map, i, rows[ i ], block.start, block.end ), function( cell ) {
+				return CKEDITOR.tools.indexOf( extended, cell ) == -1;
+			} );
+			last = rowCells.length && new CKEDITOR.dom.element( rowCells[ rowCells.length - 1 ] );
+
+			for ( j = rowCells.length - 1; j >= 0; j-- ) {
+				copyCell( rowCells[ j ], cells, copies ).insertAfter( last );
+			}
+		}
+
+		return copies;
+	}
+
+	function copyCell( cell, selectedCells, copies ) {
+		var copy = new CKEDITOR.dom.element( cell ).clone( true );
+
+		copy.removeAttribute( 'data-cke-duplicated' );
+
+		for ( var i = 0; i < selectedCells.length; i++ ) {
+			if ( selectedCells[ i ].$ == cell ) {
+				copies.push( copy );
+			}
+		}
+
+		return copy;
+	}
+
+	function clearDuplicatedMarkers( table ) {
+		var cells = table.find( '[data-cke-duplicated]' );
+
+		for ( var i = 0; i < cells.count(); i++ ) {
+			cells.getItem( i ).removeAttribute( 'data-cke-duplicated' );
+		}
+	}
+
+	var numberRegex = /[-+]?(?:\d+(?:\.\d*)?|\.\d+)(?:e[-+]?\d+)?/i,
+		// Numbers with optional currency symbols or units like `%` treated as numbers when the type is detected.
+		numericValueRegex = /^[^\w.\-+]*[-+]?(?:\d+(?:\.\d*)?|\.\d+)(?:e[-+]?\d+)?[^\w]*$/i;
+
+	var sortTypes = {
+		text: {
+			parse: function( text ) {
+				return text ? text.toLowerCase() : null;
+			},
+
+			compare: function( a, b ) {
+				return a.localeCompare( b );
+			}
+		},
+
+		number: {
+			parse: function( text ) {
+				var match = text.replace( /\s|,(?=\d{3}(?!\d))/g, '' ).match( numberRegex );
+
+				return match ? parseFloat( match[ 0 ] ) : null;
+			},
+
+			compare: function( a, b ) {
+				return a - b;
+			}
+		},
+
+		date: {
+			parse: function( text ) {
+				var time = text ? Date.parse( text ) : NaN;
+
+				return isNaN( time ) ? null : time;
+			},
+
+			compare: function( a, b ) {
+				return a - b;
+			}
+		}
+	};
+
+	// Detects the type of values: numbers, dates or, if the values are mixed, text.
+	function detectSortType( values ) {
+		var isNumber = true,
+			isDate = true,
+			hasValue = false;
+
+		for ( var i = 0; i < values.length; i++ ) {
+			var value = values[ i ].replace( /\s|,(?=\d{3}(?!\d))/g, '' );
+
+			if ( !value ) {
+				continue;
+			}
+
+			hasValue = true;
+			isNumber = isNumber && numericValueRegex.test( value );
+			isDate = isDate && /\d/.test( value ) && sortTypes.date.parse( values[ i ] ) !== null;
+		}
+
+		return !hasValue ? 'text' : isNumber ? 'number' : isDate ? 'date' : 'text';
+	}
+
+	// Returns the text of the cell without the selection bookmarks and filling characters.
+	function getCellText( cell ) {
+		var clone = new CKEDITOR.dom.element( cell ).clone( true ),
+			bookmarks = clone.find( 'span[data-cke-bookmark]' );
+
+		for ( var i = 0; i < bookmarks.count(); i++ ) {
+			bookmarks.getItem( i ).remove();
+		}
+
+		return clone.getText().replace( /\u200b/g, '' ).replace( /^\s+|\s+$/g, '' );
+	}
+
+	// Sorts the rows of the table body sections by the values of the column. Header and footer rows are not sorted.
+	// Rows joined with row spans are sorted together, by the value in their first row. Empty values and values
+	// which are not valid numbers or dates are always placed at the end.
+	function sortRows( table, column, options ) {
+		var map = CKEDITOR.tools.buildTableMap( table ),
+			rows = table.$.rows,
+			bodies = table.$.tBodies,
+			descending = options.order == 'desc';
+
+		for ( var b = 0; b < bodies.length; b++ ) {
+			var body = bodies[ b ],
+				bodyRows = body.rows,
+				blocks = [],
+				texts = [],
+				type, start, end, block, i;
+
+			if ( !bodyRows.length ) {
+				continue;
+			}
+
+			start = bodyRows[ 0 ].rowIndex;
+			end = bodyRows[ bodyRows.length - 1 ].rowIndex;
+
+			for ( i = start; i <= end; i = block.end + 1 ) {
+				block = getSpanClosure( map, i, i );
+				block.end = Math.min( block.end, end );
+				block.index = blocks.length;
+				block.rows = getRows( rows, block );
+				blocks.push( block );
+				texts.push( map[ block.start ][ column ] ? getCellText( map[ block.start ][ column ] ) : '' );
+			}
+
+			type = sortTypes[ options.type ] ? options.type : detectSortType( texts );
+
+			for ( i = 0; i < blocks.length; i++ ) {
+				blocks[ i ].value = sortTypes[ type ].parse( texts[ i ] );
+			}
+
+			blocks.sort( function( a, b ) {
+				var result;
+
+				if ( a.value === null || b.value === null ) {
+					result = a.value === null ? ( b.value === null ? 0 : 1 ) : -1;
+				} else {
+					result = sortTypes[ type ].compare( a.value, b.value ) * ( descending ? -1 : 1 );
+				}
+
+				// Keep the original order of equal values, as `Array.prototype.sort` is not stable in all browsers.
+				return result || a.index - b.index;
+			} );
+
+			for ( i = 0; i < blocks.length; i++ ) {
+				for ( var j = 0; j < blocks[ i ].rows.length; j++ ) {
+					body.appendChild( blocks[ i ].rows[ j ] );
+				}
+			}
+		}
+	}
+
+	// Executes the operation moving the selected cells and restores the selection afterwards.
+	function preserveSelection( editor, fn ) {
+		var selection = editor.getSelection(),
+			bookmarks = selection.createBookmarks();
+
+		fn( selection );
+
+		selection.selectBookmarks( bookmarks );
+	}
+
+	// Sorts the table of the selection by the column of the first selected cell.
+	function sortColumn( selection, data, isDescending ) {
+		var cells = getSelectedCells( selection );
+
+		if ( !cells.length ) {
+			return false;
+		}
+
+		var table = cells[ 0 ].getAscendant( 'table' ),
+			map = CKEDITOR.tools.buildTableMap( table ),
+			column = typeof data.column == 'number' ? data.column : getCellsBounds( map, [ cells[ 0 ] ] ).startColumn;
+
+		sortRows( table, column, {
+			order: isDescending ? 'desc' : 'asc',
+			type: data.type
+		} );
+
+		return true;
+	}
+
+	function isHeaderCell( cell ) {
+		return cell.nodeName.toLowerCase() == 'th';
+	}
+
+	function isBodyRow( row ) {
+		return !( row.parentNode.nodeName.toLowerCase() in { thead: 1, tfoot: 1 } );
+	}
+
+	// Returns the cells of the table (without the cells of nested tables) in the document order.
+	function getTableCells( table ) {
+		var cells = [],
+			rows = table.$.rows;
+
+		for ( var i = 0; i < rows.length; i++ ) {
+			for ( var j = 0; j < rows[ i ].cells.length; j++ ) {
+				cells.push( rows[ i ].cells[ j ] );
+			}
+		}
+
+		return cells;
+	}
+
+	// Header cells in the table head and in rows consisting of header cells only are column headers,
+	// other header cells are row headers.
+	function getHeaderScope( cell ) {
+		var row = cell.parentNode,
+			isColumnHeader = !isBodyRow( row );
+
+		if ( !isColumnHeader ) {
+			isColumnHeader = true;
+
+			for ( var i = 0; i < row.cells.length; i++ ) {
+				isColumnHeader = isColumnHeader && isHeaderCell( row.cells[ i ] );
+			}
+		}
+
+		if ( isColumnHeader ) {
+			return cell.colSpan > 1 ? 'colgroup' : 'col';
+		}
+
+		return cell.rowSpan > 1 ? 'rowgroup' : 'row';
+	}
+
+	function isColumnScope( cell ) {
+		return CKEDITOR.tools.indexOf( [ 'col', 'colgroup' ], cell.getAttribute( 'scope' ) ) != -1;
+	}
+
+	function isRowScope( cell ) {
+		return CKEDITOR.tools.indexOf( [ 'row', 'rowgroup' ], cell.getAttribute( 'scope' ) ) != -1;
+	}
+
+	function addHeader( headers, header ) {
+		if ( CKEDITOR.tools.indexOf( headers, header.id ) == -1 ) {
+			headers.push( header.id );
+		}
+	}
+
+	function getUniqueHeaderId( doc ) {
+		var i = 0;
+
+		while ( doc.getElementById( 'table-header-' + ( ++i ) ) ) {}
+
+		return 'table-header-' + i;
+	}
+
+	/**
+	 * Accessibility helpers of the table, used by the "Accessibility" tab of the table dialog.
+	 * All methods work with the {@link CKEDITOR.tools#buildTableMap table map}, so they take
+	 * row and column spans into account.
+	 *
+	 * @since 4.13.0
+	 * @singleton
+	 * @class CKEDITOR.plugins.tabletools.accessibility
+	 */
+	var accessibility = {
+		/**
+		 * Returns the number of leading columns in which all cells of the body rows are header cells.
+		 *
+		 * @param {CKEDITOR.dom.element} table
+		 * @returns {Number}
+		 */
+		getRowHeaders: function( table ) {
+			var map = CKEDITOR.tools.buildTableMap( table ),
+				rows = table.$.rows,
+				count = Infinity,
+				hasBodyRows = false;
+
+			for ( var i = 0; i < map.length; i++ ) {
+				if ( !isBodyRow( rows[ i ] ) ) {
+					continue;
+				}
+
+				hasBodyRows = true;
+
+				for ( var j = 0; j < Math.min( count, map[ i ].length ); j++ ) {
+					if ( !map[ i ][ j ] || !isHeaderCell( map[ i ][ j ] ) ) {
+						count = j;
+					}
+				}
+
+				count = Math.min( count, map[ i ].length );
+			}
+
+			return hasBodyRows ? count : 0;
+		},
+
+		/**
+		 * Makes the cells in the given number of leading columns of the body rows row headers (`th` elements with the `scope`
+		 * attribute). Row headers in the following columns are changed back to data cells.
+		 *
+		 *		// Make the first column of the table body a column of row headers.
+		 *		CKEDITOR.plugins.tabletools.accessibility.setRowHeaders( table, 1 );
+		 *
+		 * @param {CKEDITOR.dom.element} table
+		 * @param {Number} count
+		 */
+		setRowHeaders: function( table, count ) {
+			var map = CKEDITOR.tools.buildTableMap( table ),
+				rows = table.$.rows,
+				cell;
+
+			for ( var i = 0; i < map.length; i++ ) {
+				if ( !isBodyRow( rows[ i ] ) ) {
+					continue;
+				}
+
+				for ( var j = 0; j < map[ i ].length; j++ ) {
+					// Handle every cell only once: in the row and the column where it starts.
+					if ( !map[ i ][ j ] || map[ i ][ j ].parentNode != rows[ i ] || ( j && map[ i ][ j - 1 ] == map[ i ][ j ] ) ) {
+						continue;
+					}
+
+					cell = new CKEDITOR.dom.element( map[ i ][ j ] );
+
+					if ( j < count && !cell.is( 'th' ) ) {
+						cell.renameNode( 'th' );
+						cell.setAttribute( 'scope', cell.$.rowSpan > 1 ? 'rowgroup' : 'row' );
+					} else if ( j >= count && cell.is( 'th' ) && isRowScope( cell ) ) {
+						cell.renameNode( 'td' );
+						cell.removeAttribute( 'scope' );
+					}
+				}
+			}
+		},
+
+		/**
+		 * Sets the `scope` attribute of all header cells of the table based on their position. Header cells
+		 * in the table head and in the rows consisting of header cells only get the `col` (or `colgroup` if merged)
+		 * scope, other header cells get the `row` (or `rowgroup` if merged) scope.
+		 *
+		 * @param {CKEDITOR.dom.element} table
+		 */
+		setScopes: function( table ) {
+			var cells = getTableCells( table );
+
+			for ( var i = 0; i < cells.length; i++ ) {
+				if ( isHeaderCell( cells[ i ] ) ) {
+					cells[ i ].setAttribute( 'scope', getHeaderScope( cells[ i ] ) );
+				}
+			}
+		},
+
+		/**
+		 * Explicitly associates data cells with their header cells. Sets the {@link #setScopes scopes} of
+		 * header cells, gives them IDs and lists the IDs of the column headers above and the row headers before
+		 * every data cell in its `headers` attribute.
+		 *
+		 * This is recommended for complex tables with multiple levels of headers or merged headers.
+		 *
+		 * @param {CKEDITOR.dom.element} table
+		 */
+		setHeaders: function( table ) {
+			var map = CKEDITOR.tools.buildTableMap( table ),
+				doc = table.getDocument().$,
+				cells = getTableCells( table ),
+				bounds, headers, header, i, r, c;
+
+			this.setScopes( table );
+
+			for ( i = 0; i < cells.length; i++ ) {
+				if ( isHeaderCell( cells[ i ] ) && !cells[ i ].id ) {
+					cells[ i ].id = getUniqueHeaderId( doc );
+				}
+			}
+
+			for ( i = 0; i < cells.length; i++ ) {
+				if ( isHeaderCell( cells[ i ] ) ) {
+					continue;
+				}
+
+				bounds = getCellsBounds( map, [ new CKEDITOR.dom.element( cells[ i ] ) ] );
+				headers = [];
+
+				for ( c = bounds.startColumn; c <= bounds.endColumn; c++ ) {
+					for ( r = 0; r < bounds.startRow; r++ ) {
+						header = map[ r ][ c ];
+
+						if ( header && isHeaderCell( header ) && isColumnScope( header ) ) {
+							addHeader( headers, header );
+						}
+					}
+				}
+
+				for ( r = bounds.startRow; r <= bounds.endRow; r++ ) {
+					for ( c = 0; c < bounds.startColumn; c++ ) {
+						header = map[ r ][ c ];
+
+						if ( header && isHeaderCell( header ) && isRowScope( header ) ) {
+							addHeader( headers, header );
+						}
+					}
+				}
+
+				if ( headers.length ) {
+					cells[ i ].setAttribute( 'headers', headers.join( ' ' ) );
+				} else {
+					cells[ i ].removeAttribute( 'headers' );
+				}
+			}
+		},
+
+		/**
+		 * Removes the `headers` attribute from all cells of the table.
+		 *
+		 * @param {CKEDITOR.dom.element} table
+		 */
+		removeHeaders: function( table ) {
+			var cells = getTableCells( table );
+
+			for ( var i = 0; i < cells.length; i++ ) {
+				cells[ i ].removeAttribute( 'headers' );
+			}
+		},
+
+		/**
+		 * Checks the table for accessibility issues. The following issue types are reported:
+		 *
+		 * * `noHeaders` &ndash; The table has no header cells.
+		 * * `ambiguousHeader` &ndash; A merged header cell which spans both multiple rows and columns, or which spans
+		 * multiple rows or columns without a matching `rowgroup` or `colgroup` scope and is not referenced by
+		 * any `headers` attribute.
+		 * * `missingDescription` &ndash; The element referenced with the `aria-describedby` attribute does not exist.
+		 *
+		 *		var issues = CKEDITOR.plugins.tabletools.accessibility.validate( table );
+		 *
+		 *		if ( issues.length ) {
+		 *			console.log( issues[ 0 ].type, issues[ 0 ].element );
+		 *		}
+		 *
+		 * @param {CKEDITOR.dom.element} table
+		 * @returns {Object[]} The list of issues with the `type` and the `element` properties.
+		 */
+		validate: function( table ) {
+			var cells = getTableCells( table ),
+				issues = [],
+				referenced = {},
+				headerCells = [],
+				describedBy = table.getAttribute( 'aria-describedby' ),
+				doc = table.getDocument(),
+				cell, scope, i;
+
+			for ( i = 0; i < cells.length; i++ ) {
+				if ( isHeaderCell( cells[ i ] ) ) {
+					headerCells.push( cells[ i ] );
+				} else {
+					CKEDITOR.tools.array.forEach( ( cells[ i ].getAttribute( 'headers' ) || '' ).split( /\s+/ ), function( id ) {
+						referenced[ id ] = 1;
+					} );
+				}
+			}
+
+			if ( !headerCells.length ) {
+				issues.push( { type: 'noHeaders', element: table } );
+			}
+
+			for ( i = 0; i < headerCells.length; i++ ) {
+				cell = headerCells[ i ];
+				scope = cell.getAttribute( 'scope' );
+
+				// A header merged in one direction should either be a group header in this direction, or a header
+				// of the other direction. Otherwise data cells have to point to it explicitly.
+				if ( cell.rowSpan > 1 && cell.colSpan > 1 ||
+					!( cell.id && referenced[ cell.id ] ) && (
+						cell.colSpan > 1 && scope != 'colgroup' && !isRowScope( cell ) ||
+						cell.rowSpan > 1 && scope != 'rowgroup' && !isColumnScope( cell ) ) ) {
+					issues.push( { type: 'ambiguousHeader', element: new CKEDITOR.dom.element( cell ) } );
+				}
+			}
+
+			CKEDITOR.tools.array.forEach( describedBy ? CKEDITOR.tools.trim( describedBy ).split( /\s+/ ) : [], function( id ) {
+				if ( !doc.getById( id ) ) {
+					issues.push( { type: 'missingDescription', element: table, id: id } );
+				}
+			} );
+
+			return issues;
+		}
+	};
+
 	CKEDITOR.plugins.tabletools = {
 		requires: 'table,dialog,contextmenu',
 
@@ -787,6 +1573,9 @@
 				editor.addFeature( cmd );
 			}
 
+			// Attributes set in the "Accessibility" tab of the table dialog.
+			editor.filter.allow( 'table[aria-describedby];th[id,scope];td[headers]', 'tableAccessibility' );
+
 			addCmd( 'cellProperties', new CKEDITOR.dialogCommand( 'cellProperties', createDef( {
 				allowedContent: 'td th{width,height,border-color,background-color,white-space,vertical-align,text-align}[colspan,rowspan]',
 				requiredContent: requiredContent,
@@ -982,6 +1771,82 @@
 				}
 			} ) );
 
+			addCmd( 'rowMoveUp', createDef( {
+				requiredContent: 'table',
+				exec: function( editor ) {
+					preserveSelection( editor, function( selection ) {
+						moveRows( selection, true );
+					} );
+				}
+			} ) );
+
+			addCmd( 'rowMoveDown', createDef( {
+				requiredContent: 'table',
+				exec: function( editor ) {
+					preserveSelection( editor, function( selection ) {
+						moveRows( selection );
+					} );
+				}
+			} ) );
+
+			addCmd( 'rowDuplicate', createDef( {
+				requiredContent: 'table',
+				exec: function( editor, data ) {
+					data.cells = duplicateRows( editor.getSelection() );
+
+					if ( data.cells.length ) {
+						placeCursorInCell( data.cells[ 0 ] );
+					}
+				}
+			} ) );
+
+			addCmd( 'columnMoveLeft', createDef( {
+				requiredContent: 'table',
+				exec: function( editor ) {
+					preserveSelection( editor, function( selection ) {
+						moveColumns( selection, true );
+					} );
+				}
+			} ) );
+
+			addCmd( 'columnMoveRight', createDef( {
+				requiredContent: 'table',
+				exec: function( editor ) {
+					preserveSelection( editor, function( selection ) {
+						moveColumns( selection );
+					} );
+				}
+			} ) );
+
+			addCmd( 'columnDuplicate', createDef( {
+				requiredContent: 'table',
+				exec: function( editor, data ) {
+					data.cells = duplicateColumns( editor.getSelection() );
+
+					if ( data.cells.length ) {
+						placeCursorInCell( data.cells[ 0 ] );
+					}
+				}
+			} ) );
+
+			addCmd( 'columnSortAscending', createDef( {
+				requiredContent: 'table',
+				exec: function( editor, data ) {
+					preserveSelection( editor, function( selection ) {
+						sortColumn( selection, data );
+					} );
+				}
+			} ) );
+
+			addCmd( 'columnSortDescending', createDef( {
+				requiredContent: 'table',
+				exec: function( editor, data ) {
+					preserveSelection( editor, function( selection ) {
+						sortColumn( selection, data, true );
+					} );
+				}
+			} ) );
+
 			// If the "menu" plugin is loaded, register the menu items.
 			if ( editor.addMenuItems ) {
 				editor.addMenuItems( {
@@ -1079,10 +1944,15 @@
 						group: 'tablerow',
 						order: 1,
 						getItems: function() {
+							var selection = editor.getSelection();
+
 							return {
 								tablerow_insertBefore: CKEDITOR.TRISTATE_OFF,
 								tablerow_insertAfter: CKEDITOR.TRISTATE_OFF,
-								tablerow_delete: CKEDITOR.TRISTATE_OFF
+								tablerow_delete: CKEDITOR.TRISTATE_OFF,
+								tablerow_moveUp: moveRows( selection, true, true ) ? CKEDITOR.TRISTATE_OFF : CKEDITOR.TRISTATE_DISABLED,
+								tablerow_moveDown: moveRows( selection, false, true ) ? CKEDITOR.TRISTATE_OFF : CKEDITOR.TRISTATE_DISABLED,
+								tablerow_duplicate: CKEDITOR.TRISTATE_OFF
 							};
 						}
 					},
@@ -1108,15 +1978,43 @@
 						order: 15
 					},
 
+					tablerow_moveUp: {
+						label: lang.row.moveUp,
+						group: 'tablerow',
+						command: 'rowMoveUp',
+						order: 20
+					},
+
+					tablerow_moveDown: {
+						label: lang.row.moveDown,
+						group: 'tablerow',
+						command: 'rowMoveDown',
+						order: 25
+					},
+
+					tablerow_duplicate: {
+						label: lang.row.duplicate,
+						group: 'tablerow',
+						command: 'rowDuplicate',
+						order: 30
+					},
+
 					tablecolumn: {
 						label: lang.column.menu,
 						group: 'tablecolumn',
 						order: 1,
 						getItems: function() {
+							var selection = editor.getSelection();
+
 							return {
 								tablecolumn_insertBefore: CKEDITOR.TRISTATE_OFF,
 								tablecolumn_insertAfter: CKEDITOR.TRISTATE_OFF,
-								tablecolumn_delete: CKEDITOR.TRISTATE_OFF
+								tablecolumn_delete: CKEDITOR.TRISTATE_OFF,
+								tablecolumn_moveLeft: moveColumns( selection, true, true ) ? CKEDITOR.TRISTATE_OFF : CKEDITOR.TRISTATE_DISABLED,
+								tablecolumn_moveRight: moveColumns( selection, false, true ) ? CKEDITOR.TRISTATE_OFF : CKEDITOR.TRISTATE_DISABLED,
+								tablecolumn_duplicate: CKEDITOR.TRISTATE_OFF,
+								tablecolumn_sortAscending: CKEDITOR.TRISTATE_OFF,
+								tablecolumn_sortDescending: CKEDITOR.TRISTATE_OFF
 							};
 						}
 					},
@@ -1140,6 +2038,41 @@
 						group: 'tablecolumn',
 						command: 'columnDelete',
 						order: 15
+					},
+
+					tablecolumn_moveLeft: {
+						label: lang.column.moveLeft,
+						group: 'tablecolumn',
+						command: 'columnMoveLeft',
+						order: 20
+					},
+
+					tablecolumn_moveRight: {
+						label: lang.column.moveRight,
+						group: 'tablecolumn',
+						command: 'columnMoveRight',
+						order: 25
+					},
+
+					tablecolumn_duplicate: {
+						label: lang.column.duplicate,
+						group: 'tablecolumn',
+						command: 'columnDuplicate',
+						order: 30
+					},
+
+					tablecolumn_sortAscending: {
+						label: lang.column.sortAscending,
+						group: 'tablecolumn',
+						command: 'columnSortAscending',
+						order: 35
+					},
+
+					tablecolumn_sortDescending: {
+						label: lang.column.sortDescending,
+						group: 'tablecolumn',
+						command: 'columnSortDescending',
+						order: 40
 					}
 				} );
 			}
@@ -1166,9 +2099,169 @@
 		insertRow: insertRow,
 		insertColumn: insertColumn,
 
-		getSelectedCells: getSelectedCells
+		getSelectedCells: getSelectedCells,
+
+		/**
+		 * Sorts the rows of the table body sections (`tbody`) by the values of the given column.
+		 * Rows of the table header and footer are not sorted and rows joined with row spans are moved together.
+		 *
+		 *		// Sort the first table in the editor by the dates in its third column, the newest first.
+		 *		CKEDITOR.plugins.tabletools.sortRows( editor.editable().findOne( 'table' ), 2, {
+		 *			order: 'desc',
+		 *			type: 'date'
+		 *		} );
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.tabletools
+		 * @param {CKEDITOR.dom.element} table
+		 * @param {Number} column The index of the column in the {@link CKEDITOR.tools#buildTableMap table map}.
+		 * @param {Object} [options]
+		 * @param {String} [options.order='asc'] The sort order: `'asc'` or `'desc'`.
+		 * @param {String} [options.type] The type of values: `'text'`, `'number'` or `'date'`. If not set,
+		 * it is detected from the column values.
+		 */
+		sortRows: function( table, column, options ) {
+			sortRows( table, column, options || {} );
+		},
+
+		accessibility: accessibility
 	};
 	CKEDITOR.plugins.add( 'tabletools', CKEDITOR.plugins.tabletools );
+
+	// Adds the "Accessibility" tab to the table dialogs.
+	CKEDITOR.on( 'dialogDefinition', function( evt ) {
+		var dialogName = evt.data.name,
+			editor = evt.editor;
+
+		if ( ( dialogName != 'table' && dialogName != 'tableProperties' ) || !editor.plugins.tabletools ) {
+			return;
+		}
+
+		var definition = evt.data.definition;
+
+		definition.addContents( createAccessibilityTab( editor ), 'advanced' );
+
+		// Header cells are changed after the table is created or updated by the dialog, so the changes
+		// are not overwritten by the "Headers" field.
+		definition.onOk = CKEDITOR.tools.override( definition.onOk, function( onOk ) {
+			return function() {
+				var result = onOk.apply( this, arguments ),
+					table = this._.accessibilityTable;
+
+				if ( table ) {
+					commitAccessibility( editor, this, table );
+					delete this._.accessibilityTable;
+				}
+
+				return result;
+			};
+		} );
+	} );
+
+	function createAccessibilityTab( editor ) {
+		var lang = editor.lang.table.accessibility;
+
+		return {
+			id: 'accessibility',
+			label: lang.title,
+			requiredContent: 'th[scope]',
+			elements: [ {
+				type: 'select',
+				id: 'selAssociation',
+				label: lang.association,
+				'default': '',
+				items: [
+					[ lang.associationKeep, '' ],
+					[ lang.associationScope, 'scope' ],
+					[ lang.associationHeaders, 'headers' ]
+				],
+				setup: function( table ) {
+					var cells = table.find( 'td[headers]' );
+
+					this.setValue( cells.count() ? 'headers' : '' );
+				},
+				commit: function( data, table ) {
+					// Remember the table, so it can be updated after the dialog changes it.
+					this.getDialog()._.accessibilityTable = table;
+				}
+			}, {
+				type: 'text',
+				id: 'txtRowHeaders',
+				label: lang.rowHeaders,
+				'default': '0',
+				validate: CKEDITOR.dialog.validate.integer( lang.invalidRowHeaders ),
+				setup: function( table ) {
+					var count = String( accessibility.getRowHeaders( table ) );
+
+					this.getDialog().rowHeaders = count;
+					this.setValue( count );
+				}
+			}, {
+				type: 'text',
+				id: 'txtDescribedBy',
+				label: lang.describedBy,
+				requiredContent: 'table[aria-describedby]',
+				setup: function( table ) {
+					this.setValue( table.getAttribute( 'aria-describedby' ) || '' );
+				},
+				commit: function( data, table ) {
+					var value = CKEDITOR.tools.trim( this.getValue() );
+
+					if ( value ) {
+						table.setAttribute( 'aria-describedby', value );
+					} else {
+						table.removeAttribute( 'aria-describedby' );
+					}
+				}
+			}, {
+				type: 'html',
+				id: 'issues',
+				html: '<div class="cke_table_accessibility_issues" role="status"></div>',
+				setup: function( table ) {
+					var issues = accessibility.validate( table ),
+						html = '';
+
+					for ( var i = 0; i < issues.length; i++ ) {
+						html += '<li>' + CKEDITOR.tools.htmlEncode( getIssueMessage( lang, issues[ i ] ) ) + '</li>';
+					}
+
+					this.getElement().setHtml( issues.length ? '<ul>' + html + '</ul>' : CKEDITOR.tools.htmlEncode( lang.noIssues ) );
+				}
+			} ]
+		};
+	}
+
+	function getIssueMessage( lang, issue ) {
+		switch ( issue.type ) {
+			case 'noHeaders':
+				return lang.noHeaders;
+			case 'ambiguousHeader':
+				return lang.ambiguousHeader.replace( '%1', CKEDITOR.tools.trim( issue.element.getText() ) );
+			case 'missingDescription':
+				return lang.missingDescription.replace( '%1', issue.id );
+		}
+	}
+
+	function commitAccessibility( editor, dialog, table ) {
+		var association = dialog.getValueOf( 'accessibility', 'selAssociation' ),
+			rowHeaders = dialog.getValueOf( 'accessibility', 'txtRowHeaders' ),
+			selection = editor.getSelection(),
+			bookmarks = selection && selection.createBookmarks();
+
+		// Row headers are updated only if changed, so the "First column" headers set on the "Table Properties" tab are kept.
+		if ( rowHeaders != ( dialog.rowHeaders || '0' ) ) {
+			accessibility.setRowHeaders( table, parseInt( rowHeaders, 10 ) || 0 );
+		}
+
+		if ( association == 'scope' ) {
+			accessibility.removeHeaders( table );
+			accessibility.setScopes( table );
+		} else if ( association == 'headers' ) {
+			accessibility.setHeaders( table );
+		}
+
+		bookmarks && selection.selectBookmarks( bookmarks );
+	}
 } )();
 
 /**
@@ -0,0 +1,17 @@
+/*
+Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+*/
+CKEDITOR.plugins.setLang( 'trackchanges', 'en', {
+	trackChanges: 'Track Changes',
+	accept: 'Accept Suggestion',
+	reject: 'Reject Suggestion',
+	acceptAll: 'Accept All Suggestions',
+	rejectAll: 'Reject All Suggestions',
+	acceptButton: 'Accept',
+	rejectButton: 'Reject',
+	title: 'Suggestion',
+	insertion: 'Inserted',
+	deletion: 'Deleted',
+	anonymous: 'Anonymous'
+} );
@@ -0,0 +1,1161 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @fileOverview The Track Changes plugin. In the suggestion mode, insertions and deletions are not applied
+ * to the content directly but recorded as suggestions, which can later be accepted or rejected.
+ *
+ * Suggestions are stored in the content as `<ins>` and `<del>` elements marked with
+ * the `data-suggestion-id`, `data-suggestion-author` and `data-suggestion-timestamp` attributes.
+ *
+ * The following changes are tracked:
+ *
+ * * typing and deleting characters with the *Backspace* and *Delete* keys,
+ * * {@link CKEDITOR.editable#insertHtml}, {@link CKEDITOR.editable#insertHtmlIntoRange} (and therefore
+ * {@link CKEDITOR.editor#insertHtml}, {@link CKEDITOR.editor#insertText} and pasting),
+ * * {@link CKEDITOR.editable#insertElement} for inline elements,
+ * * {@link CKEDITOR.editable#extractHtmlFromRange} (used e.g. by cutting and dragging content).
+ *
+ * Structural changes, like splitting and merging blocks or changing the formatting, are not tracked.
+ */
+
+( function() {
+	'use strict';
+
+	var ATTR_ID = 'data-suggestion-id',
+		ATTR_AUTHOR = 'data-suggestion-author',
+		ATTR_TIMESTAMP = 'data-suggestion-timestamp',
+		suggestionElements = { ins: 1, del: 1 },
+		elementTypes = { ins: 'insertion', del: 'deletion' },
+		isBogus = CKEDITOR.dom.walker.bogus(),
+		isBookmark = CKEDITOR.dom.walker.bookmark(),
+		// This flag prevents appending stylesheet more than once.
+		stylesLoaded = false;
+
+	CKEDITOR.plugins.add( 'trackchanges', {
+		requires: 'balloonpanel',
+		lang: 'en',
+		icons: 'trackchanges,acceptsuggestion,rejectsuggestion,acceptallsuggestions,rejectallsuggestions', // %REMOVE_LINE_CORE%
+		hidpi: true, // %REMOVE_LINE_CORE%
+
+		init: function( editor ) {
+			var plugin = CKEDITOR.plugins.trackchanges,
+				lang = editor.lang.trackchanges,
+				commands = plugin.commands,
+				tracker;
+
+			if ( !stylesLoaded ) {
+				CKEDITOR.document.appendStyleSheet( this.path + 'styles/trackchanges.css' );
+				stylesLoaded = true;
+			}
+
+			if ( editor.addContentsCss ) {
+				editor.addContentsCss( this.path + 'styles/trackchanges.css' );
+			}
+
+			/**
+			 * The suggestion tracker of this editor instance.
+			 *
+			 * @since 4.13.0
+			 * @readonly
+			 * @property {CKEDITOR.plugins.trackchanges.tracker} trackChanges
+			 * @member CKEDITOR.editor
+			 */
+			tracker = editor.trackChanges = new plugin.tracker( editor );
+
+			editor.addCommand( 'trackChanges', commands.trackChanges );
+			editor.addCommand( 'acceptSuggestion', commands.acceptSuggestion );
+			editor.addCommand( 'rejectSuggestion', commands.rejectSuggestion );
+			editor.addCommand( 'acceptAllSuggestions', commands.acceptAllSuggestions );
+			editor.addCommand( 'rejectAllSuggestions', commands.rejectAllSuggestions );
+
+			if ( editor.ui.addButton ) {
+				if ( editor.ui.addToolbarGroup ) {
+					editor.ui.addToolbarGroup( 'review', 'editing' );
+				}
+
+				editor.ui.addButton( 'TrackChanges', {
+					label: lang.trackChanges,
+					command: 'trackChanges',
+					toolbar: 'review,10'
+				} );
+
+				editor.ui.addButton( 'AcceptSuggestion', {
+					label: lang.accept,
+					command: 'acceptSuggestion',
+					toolbar: 'review,20'
+				} );
+
+				editor.ui.addButton( 'RejectSuggestion', {
+					label: lang.reject,
+					command: 'rejectSuggestion',
+					toolbar: 'review,30'
+				} );
+
+				editor.ui.addButton( 'AcceptAllSuggestions', {
+					label: lang.acceptAll,
+					command: 'acceptAllSuggestions',
+					toolbar: 'review,40'
+				} );
+
+				editor.ui.addButton( 'RejectAllSuggestions', {
+					label: lang.rejectAll,
+					command: 'rejectAllSuggestions',
+					toolbar: 'review,50'
+				} );
+			}
+
+			editor.on( 'contentDom', function() {
+				var editable = editor.editable();
+
+				overrideEditableMethods( tracker, editable );
+
+				editable.attachListener( editable, 'keypress', function( evt ) {
+					var nativeEvent = evt.data.$,
+						charCode = nativeEvent.charCode;
+
+					if ( !tracker.isTracking() || !charCode || charCode < 32 ||
+						nativeEvent.ctrlKey || nativeEvent.metaKey || nativeEvent.altKey ) {
+						return;
+					}
+
+					if ( typeCharacter( tracker, String.fromCharCode( charCode ) ) ) {
+						evt.data.preventDefault();
+						editor.undoManager && editor.undoManager.type( charCode );
+					}
+				} );
+			} );
+
+			// Intercept deleting before any other plugin, so the content is marked rather than removed.
+			editor.on( 'key', function( evt ) {
+				var keyCode = evt.data.domEvent.getKey();
+
+				if ( ( keyCode != 8 && keyCode != 46 ) || editor.mode != 'wysiwyg' || !tracker.isTracking() ) {
+					return;
+				}
+
+				deleteCharacter( tracker, keyCode == 46 );
+				editor.undoManager && editor.undoManager.type( keyCode );
+
+				evt.cancel();
+			}, null, null, 1 );
+
+			// Removing the suggestion element would silently accept the insertion or reject the deletion.
+			if ( editor.addRemoveFormatFilter ) {
+				editor.addRemoveFormatFilter( function( element ) {
+					return !isSuggestion( element );
+				} );
+			}
+
+			editor.on( 'instanceReady', function() {
+				if ( editor.config.trackChanges_onStartup ) {
+					tracker.enable();
+				}
+			} );
+
+			initBalloon( editor );
+		}
+	} );
+
+	/**
+	 * Records changes made in the editor as suggestions and manages existing suggestions.
+	 * An instance of this class is available as {@link CKEDITOR.editor#trackChanges}.
+	 *
+	 *		editor.trackChanges.enable();
+	 *
+	 *		// Later on...
+	 *		var suggestions = editor.trackChanges.getSuggestions();
+	 *		editor.trackChanges.accept( suggestions[ 0 ].id );
+	 *
+	 * @class CKEDITOR.plugins.trackchanges.tracker
+	 * @since 4.13.0
+	 * @constructor Creates a tracker instance.
+	 * @param {CKEDITOR.editor} editor The editor instance.
+	 */
+	function Tracker( editor ) {
+		/**
+		 * The editor instance.
+		 *
+		 * @readonly
+		 * @property {CKEDITOR.editor}
+		 */
+		this.editor = editor;
+
+		/**
+		 * Whether the suggestion mode is enabled. Use {@link #enable} and {@link #disable} to change it.
+		 *
+		 * @readonly
+		 * @property {Boolean}
+		 */
+		this.enabled = false;
+
+		/**
+		 * The name of the author recorded in new suggestions. Defaults to {@link CKEDITOR.config#trackChanges_author}.
+		 *
+		 * @property {String}
+		 */
+		this.author = editor.config.trackChanges_author || editor.lang.trackchanges.anonymous;
+	}
+
+	Tracker.prototype = {
+		/**
+		 * Turns the suggestion mode on.
+		 */
+		enable: function() {
+			this.enabled = true;
+			this.editor.getCommand( 'trackChanges' ).setState( CKEDITOR.TRISTATE_ON );
+		},
+
+		/**
+		 * Turns the suggestion mode off. Existing suggestions stay in the content.
+		 */
+		disable: function() {
+			this.enabled = false;
+			this.editor.getCommand( 'trackChanges' ).setState( CKEDITOR.TRISTATE_OFF );
+		},
+
+		/**
+		 * Checks whether changes are being recorded at the moment, that is whether the suggestion mode
+		 * is enabled and the editor is not {@link CKEDITOR.editor#readOnly read-only}.
+		 *
+		 * @returns {Boolean}
+		 */
+		isTracking: function() {
+			return this.enabled && !this.editor.readOnly;
+		},
+
+		/**
+		 * Marks the content of the range as an insertion suggestion. Content which is already suggested
+		 * as an insertion by the same author is left untouched.
+		 *
+		 * After the call the range spans over the marked content.
+		 *
+		 * @param {CKEDITOR.dom.range} range
+		 * @returns {String/null} The ID of the suggestion or `null` if there was nothing to mark.
+		 */
+		markInsertion: function( range ) {
+			var that = this,
+				leaves = getLeaves( range ),
+				wrappers;
+
+			if ( !leaves.length ) {
+				return null;
+			}
+
+			wrappers = wrapLeaves( CKEDITOR.tools.array.filter( leaves, function( leaf ) {
+				var insertion = getSuggestionElement( leaf, 'insertion' );
+
+				return !( insertion && that.isOwn( insertion ) ) && !getSuggestionElement( leaf, 'deletion' );
+			} ), 'ins', this._createAttributes() );
+
+			CKEDITOR.tools.array.forEach( wrappers, mergeWithSiblings );
+
+			range.setStartBefore( getSuggestionElement( leaves[ 0 ], 'insertion' ) || leaves[ 0 ] );
+			range.setEndAfter( getSuggestionElement( leaves[ leaves.length - 1 ], 'insertion' ) || leaves[ leaves.length - 1 ] );
+
+			return getSuggestionId( leaves[ 0 ] );
+		},
+
+		/**
+		 * Marks the content of the range as a deletion suggestion. Content which was suggested as an insertion
+		 * by the same author is removed instead and content which is already suggested for deletion
+		 * is left untouched.
+		 *
+		 * After the call the range spans over the marked content.
+		 *
+		 * @param {CKEDITOR.dom.range} range
+		 * @returns {String/null} The ID of the suggestion or `null` if no content was marked.
+		 */
+		markDeletion: function( range ) {
+			var that = this,
+				leaves = getLeaves( range ),
+				toRemove = [],
+				toWrap = [],
+				first,
+				last,
+				bookmark;
+
+			if ( !leaves.length ) {
+				return null;
+			}
+
+			CKEDITOR.tools.array.forEach( leaves, function( leaf ) {
+				var insertion = getSuggestionElement( leaf, 'insertion' );
+
+				if ( getSuggestionElement( leaf, 'deletion' ) ) {
+					return;
+				}
+
+				( insertion && that.isOwn( insertion ) ? toRemove : toWrap ).push( leaf );
+			} );
+
+			CKEDITOR.tools.array.forEach( wrapLeaves( toWrap, 'del', this._createAttributes() ), mergeWithSiblings );
+
+			first = leaves[ 0 ];
+			last = leaves[ leaves.length - 1 ];
+
+			range.setStartBefore( getSuggestionElement( first, 'deletion' ) || first );
+			range.setEndAfter( getSuggestionElement( last, 'deletion' ) || last );
+
+			// Removing nodes changes the range boundaries, so hold them with a bookmark.
+			bookmark = range.createBookmark();
+			CKEDITOR.tools.array.forEach( toRemove, removeNode );
+			range.moveToBookmark( bookmark );
+
+			return toWrap.length ? getSuggestionId( toWrap[ 0 ] ) : null;
+		},
+
+		/**
+		 * Returns all suggestions in the editor content in the document order.
+		 *
+		 * @returns {CKEDITOR.plugins.trackchanges.suggestion[]}
+		 */
+		getSuggestions: function() {
+			var editable = this.editor.editable(),
+				suggestions = [],
+				byId = {};
+
+			if ( !editable ) {
+				return suggestions;
+			}
+
+			CKEDITOR.tools.array.forEach( editable.find( 'ins[' + ATTR_ID + '],del[' + ATTR_ID + ']' ).toArray(), function( element ) {
+				var id = element.getAttribute( ATTR_ID );
+
+				if ( !byId[ id ] ) {
+					byId[ id ] = createSuggestion( element );
+					suggestions.push( byId[ id ] );
+				}
+
+				byId[ id ].elements.push( element );
+			} );
+
+			return suggestions;
+		},
+
+		/**
+		 * Returns the suggestion with the given ID.
+		 *
+		 * @param {String} id
+		 * @returns {CKEDITOR.plugins.trackchanges.suggestion/null}
+		 */
+		getSuggestion: function( id ) {
+			return CKEDITOR.tools.array.filter( this.getSuggestions(), function( suggestion ) {
+				return suggestion.id == id;
+			} )[ 0 ] || null;
+		},
+
+		/**
+		 * Returns the suggestion containing the given node.
+		 *
+		 * @param {CKEDITOR.dom.node} node
+		 * @returns {CKEDITOR.plugins.trackchanges.suggestion/null}
+		 */
+		getSuggestionFromNode: function( node ) {
+			var element = node && getSuggestionElement( node );
+
+			return element ? this.getSuggestion( element.getAttribute( ATTR_ID ) ) : null;
+		},
+
+		/**
+		 * Checks whether the given suggestion element was created by the current {@link #author}.
+		 *
+		 * @param {CKEDITOR.dom.element} element
+		 * @returns {Boolean}
+		 */
+		isOwn: function( element ) {
+			return element.getAttribute( ATTR_AUTHOR ) == this.author;
+		},
+
+		/**
+		 * Accepts the suggestion: the inserted content is kept and the deleted content is removed.
+		 *
+		 * @param {String} id The ID of the suggestion.
+		 * @returns {Boolean} `false` if there is no such suggestion.
+		 */
+		accept: function( id ) {
+			return resolveSuggestion( this, this.getSuggestion( id ), true );
+		},
+
+		/**
+		 * Rejects the suggestion: the inserted content is removed and the deleted content is restored.
+		 *
+		 * @param {String} id The ID of the suggestion.
+		 * @returns {Boolean} `false` if there is no such suggestion.
+		 */
+		reject: function( id ) {
+			return resolveSuggestion( this, this.getSuggestion( id ), false );
+		},
+
+		/**
+		 * Accepts all suggestions in the content.
+		 *
+		 * @returns {Number} The number of accepted suggestions.
+		 */
+		acceptAll: function() {
+			var that = this,
+				suggestions = this.getSuggestions();
+
+			CKEDITOR.tools.array.forEach( suggestions, function( suggestion ) {
+				resolveSuggestion( that, suggestion, true );
+			} );
+
+			return suggestions.length;
+		},
+
+		/**
+		 * Rejects all suggestions in the content.
+		 *
+		 * @returns {Number} The number of rejected suggestions.
+		 */
+		rejectAll: function() {
+			var that = this,
+				suggestions = this.getSuggestions();
+
+			CKEDITOR.tools.array.forEach( suggestions, function( suggestion ) {
+				resolveSuggestion( that, suggestion, false );
+			} );
+
+			return suggestions.length;
+		},
+
+		/**
+		 * Creates attributes for a new suggestion element.
+		 *
+		 * @private
+		 * @returns {Object}
+		 */
+		_createAttributes: function() {
+			var attributes = {};
+
+			attributes[ ATTR_ID ] = CKEDITOR.tools.getUniqueId();
+			attributes[ ATTR_AUTHOR ] = this.author;
+			attributes[ ATTR_TIMESTAMP ] = String( new Date().getTime() );
+
+			return attributes;
+		}
+	};
+
+	/**
+	 * The Track Changes plugin namespace.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.trackchanges
+	 * @singleton
+	 */
+	CKEDITOR.plugins.trackchanges = {
+		/**
+		 * See {@link CKEDITOR.plugins.trackchanges.tracker}.
+		 *
+		 * @property {Function}
+		 */
+		tracker: Tracker,
+
+		/**
+		 * Checks whether the node is a suggestion element.
+		 *
+		 * @param {CKEDITOR.dom.node} node
+		 * @param {String} [type] `'insertion'` or `'deletion'`. If omitted, both types are matched.
+		 * @returns {Boolean}
+		 */
+		isSuggestion: isSuggestion,
+
+		/**
+		 * Definitions of commands added by the plugin.
+		 *
+		 * @property {Object}
+		 */
+		commands: {
+			trackChanges: {
+				allowedContent: 'ins del[!' + ATTR_ID + ',' + ATTR_AUTHOR + ',' + ATTR_TIMESTAMP + ']',
+				requiredContent: 'ins[' + ATTR_ID + ']',
+				canUndo: false,
+				contextSensitive: true,
+
+				exec: function( editor ) {
+					var tracker = editor.trackChanges;
+
+					tracker[ tracker.enabled ? 'disable' : 'enable' ]();
+				},
+
+				refresh: function( editor ) {
+					this.setState( editor.trackChanges.enabled ? CKEDITOR.TRISTATE_ON : CKEDITOR.TRISTATE_OFF );
+				}
+			},
+
+			acceptSuggestion: createResolveCommand( true ),
+
+			rejectSuggestion: createResolveCommand( false ),
+
+			acceptAllSuggestions: {
+				requiredContent: 'ins[' + ATTR_ID + ']',
+
+				exec: function( editor ) {
+					return editor.trackChanges.acceptAll() > 0;
+				}
+			},
+
+			rejectAllSuggestions: {
+				requiredContent: 'ins[' + ATTR_ID + ']',
+
+				exec: function( editor ) {
+					return editor.trackChanges.rejectAll() > 0;
+				}
+			}
+		}
+	};
+
+	function createResolveCommand( accept ) {
+		return {
+			requiredContent: 'ins[' + ATTR_ID + ']',
+			contextSensitive: true,
+			startDisabled: true,
+
+			// Resolves the suggestion with the `data.id` ID or the one containing the selection.
+			exec: function( editor, data ) {
+				var tracker = editor.trackChanges,
+					id = data && data.id,
+					suggestion;
+
+				if ( !id ) {
+					suggestion = tracker.getSuggestionFromNode( editor.elementPath().lastElement );
+					id = suggestion && suggestion.id;
+				}
+
+				return id ? tracker[ accept ? 'accept' : 'reject' ]( id ) : false;
+			},
+
+			refresh: function( editor, path ) {
+				this.setState( getSuggestionElement( path.lastElement ) ? CKEDITOR.TRISTATE_OFF : CKEDITOR.TRISTATE_DISABLED );
+			}
+		};
+	}
+
+	function isSuggestion( node, type ) {
+		return node.type == CKEDITOR.NODE_ELEMENT && node.is( suggestionElements ) && node.hasAttribute( ATTR_ID ) &&
+			( !type || elementTypes[ node.getName() ] == type );
+	}
+
+	// Returns the closest suggestion element of the given type containing the node (or the node itself).
+	function getSuggestionElement( node, type ) {
+		return node.getAscendant( function( ancestor ) {
+			return isSuggestion( ancestor, type );
+		}, true );
+	}
+
+	function getSuggestionId( node ) {
+		var element = getSuggestionElement( node );
+
+		return element ? element.getAttribute( ATTR_ID ) : null;
+	}
+
+	function createSuggestion( element ) {
+		/**
+		 * A suggestion found in the editor content.
+		 *
+		 * @class CKEDITOR.plugins.trackchanges.suggestion
+		 * @abstract
+		 */
+		return {
+			/**
+			 * The unique ID of the suggestion.
+			 *
+			 * @property {String} id
+			 */
+			id: element.getAttribute( ATTR_ID ),
+
+			/**
+			 * Either `'insertion'` or `'deletion'`.
+			 *
+			 * @property {String} type
+			 */
+			type: elementTypes[ element.getName() ],
+
+			/**
+			 * The name of the suggestion author.
+			 *
+			 * @property {String} author
+			 */
+			author: element.getAttribute( ATTR_AUTHOR ),
+
+			/**
+			 * The time of the last change in the suggestion, in milliseconds since the Unix epoch.
+			 *
+			 * @property {Number} timestamp
+			 */
+			timestamp: Number( element.getAttribute( ATTR_TIMESTAMP ) ) || 0,
+
+			/**
+			 * The `<ins>` or `<del>` elements making up the suggestion.
+			 *
+			 * @property {CKEDITOR.dom.element[]} elements
+			 */
+			elements: []
+		};
+	}
+
+	// Checks whether the node is not an empty text node (filling characters of the selection do not count)
+	// or a bookmark.
+	function isContent( node ) {
+		return !( node.type == CKEDITOR.NODE_TEXT && isEmptyText( node ) ) && !isBookmark( node );
+	}
+
+	function isEmptyText( text ) {
+		return !text.getText().replace( /\u200b/g, '' );
+	}
+
+	// Splits the range boundaries and returns the text nodes and inline empty elements (like images)
+	// which are fully contained by the range.
+	function getLeaves( range ) {
+		var leaves = [],
+			walker,
+			node;
+
+		range.trim();
+
+		walker = new CKEDITOR.dom.walker( range );
+		walker.evaluator = function( node ) {
+			if ( node.type == CKEDITOR.NODE_TEXT ) {
+				return !isEmptyText( node ) && !isBookmark( node.getParent() );
+			}
+
+			return node.type == CKEDITOR.NODE_ELEMENT && node.is( CKEDITOR.dtd.$empty ) && !!CKEDITOR.dtd.ins[ node.getName() ] &&
+				!isBogus( node );
+		};
+
+		while ( ( node = walker.next() ) ) {
+			if ( !node.isReadOnly() ) {
+				leaves.push( node );
+			}
+		}
+
+		return leaves;
+	}
+
+	// Wraps the leaves with suggestion elements. Adjacent leaves share a wrapper.
+	function wrapLeaves( leaves, name, attributes ) {
+		var wrappers = [],
+			current = null;
+
+		CKEDITOR.tools.array.forEach( leaves, function( leaf ) {
+			var previous = leaf.getPrevious( isContent );
+
+			if ( !current || !previous || !previous.equals( current ) ) {
+				current = leaf.getDocument().createElement( name, { attributes: attributes } );
+				current.insertBefore( leaf );
+				wrappers.push( current );
+			}
+
+			current.append( leaf );
+		} );
+
+		return wrappers;
+	}
+
+	// Merges the suggestion element with its siblings of the same type and author, keeping the ID
+	// of the sibling and the timestamp of the element. Returns the resulting element.
+	function mergeWithSiblings( element ) {
+		var timestamp = element.getAttribute( ATTR_TIMESTAMP ),
+			previous = element.getPrevious( isContent ),
+			next;
+
+		if ( isMergeable( previous ) ) {
+			element.moveChildren( previous );
+			element.remove();
+			element = previous;
+		}
+
+		next = element.getNext( isContent );
+
+		if ( isMergeable( next ) ) {
+			next.moveChildren( element );
+			next.remove();
+		}
+
+		element.setAttribute( ATTR_TIMESTAMP, timestamp );
+
+		return element;
+
+		function isMergeable( sibling ) {
+			return sibling && isSuggestion( sibling ) && sibling.getName() == element.getName() &&
+				sibling.getAttribute( ATTR_AUTHOR ) == element.getAttribute( ATTR_AUTHOR );
+		}
+	}
+
+	// Removes the node together with inline ancestors left empty. Bookmarks are moved out of
+	// the removed ancestors, so they stay in place.
+	function removeNode( node ) {
+		var parent = node.getParent(),
+			grandParent;
+
+		node.remove();
+
+		while ( parent && parent.is( CKEDITOR.dtd.$removeEmpty ) && !parent.getFirst( isContent ) ) {
+			grandParent = parent.getParent();
+
+			while ( parent.getFirst() ) {
+				parent.getFirst().insertBefore( parent );
+			}
+
+			parent.remove();
+			parent = grandParent;
+		}
+	}
+
+	function resolveSuggestion( tracker, suggestion, accept ) {
+		if ( !suggestion ) {
+			return false;
+		}
+
+		var editor = tracker.editor,
+			editable = editor.editable(),
+			selection = editor.getSelection(),
+			keepContent = ( suggestion.type == 'insertion' ) === accept,
+			range = selection && selection.getRanges()[ 0 ],
+			bookmark;
+
+		// The selection anchored in the removed content is moved to its position.
+		if ( !keepContent && range && CKEDITOR.tools.array.some( suggestion.elements, function( element ) {
+			return element.contains( range.startContainer ) || element.equals( range.startContainer );
+		} ) ) {
+			range.moveToPosition( suggestion.elements[ 0 ], CKEDITOR.POSITION_BEFORE_START );
+			bookmark = range.createBookmark();
+		}
+
+		CKEDITOR.tools.array.forEach( suggestion.elements, function( element ) {
+			var block;
+
+			if ( keepContent ) {
+				element.remove( true );
+				return;
+			}
+
+			block = new CKEDITOR.dom.elementPath( element, editable ).block;
+			removeNode( element );
+
+			if ( block && isEmptyBlock( block ) ) {
+				removeBlock( block );
+			}
+		} );
+
+		if ( bookmark ) {
+			range.moveToBookmark( bookmark );
+			range.select();
+		}
+
+		return true;
+	}
+
+	function isEmptyBlock( block ) {
+		return !CKEDITOR.tools.trim( block.getText() ).replace( /\u00a0|\u200b/g, '' ) &&
+			!block.findOne( 'img,hr,table,iframe,embed,object,input,video,audio' );
+	}
+
+	// Removes the paragraph emptied while resolving a suggestion. Table cells, list items and the only
+	// block in its container are filled instead, so the structure stays intact.
+	function removeBlock( block ) {
+		if ( !block.is( CKEDITOR.dtd.$tableContent ) && !block.is( CKEDITOR.dtd.$listItem ) &&
+			( block.getPrevious( isContent ) || block.getNext( isContent ) ) ) {
+			block.remove();
+			return;
+		}
+
+		block.setHtml( '' );
+		block.appendBogus( true );
+	}
+
+	function getSelectionRange( editor ) {
+		var selection = editor.getSelection();
+
+		return selection && selection.getRanges()[ 0 ];
+	}
+
+	// Suggests the selected content for deletion and moves the range out of deletion suggestions,
+	// so the range is ready to insert new content.
+	function prepareInsertion( tracker, range ) {
+		var deletion;
+
+		if ( !range.collapsed ) {
+			tracker.markDeletion( range );
+			range.collapse();
+		}
+
+		if ( ( deletion = getSuggestionElement( range.startContainer, 'deletion' ) ) ) {
+			range.moveToPosition( deletion, CKEDITOR.POSITION_AFTER_END );
+		}
+	}
+
+	// Moves the collapsed range anchored between nodes to the end of the preceding text node
+	// (or the start of the following one), so the selection does not need a filling character.
+	function moveIntoText( range ) {
+		var container = range.startContainer,
+			offset = range.startOffset,
+			previous,
+			next;
+
+		if ( container.type != CKEDITOR.NODE_ELEMENT ) {
+			return;
+		}
+
+		previous = offset ? container.getChild( offset - 1 ) : null;
+		next = container.getChild( offset );
+
+		if ( previous && !isContent( previous ) ) {
+			previous = previous.getPrevious( isContent );
+		}
+
+		if ( next && !isContent( next ) ) {
+			next = next.getNext( isContent );
+		}
+
+		if ( previous && previous.type == CKEDITOR.NODE_TEXT ) {
+			range.setStart( previous, previous.getLength() );
+		} else if ( next && next.type == CKEDITOR.NODE_TEXT ) {
+			range.setStart( next, 0 );
+		}
+
+		range.collapse( true );
+	}
+
+	// Returns the node directly preceding the collapsed range.
+	function getPreviousNode( range ) {
+		var container = range.startContainer,
+			offset = range.startOffset;
+
+		if ( container.type == CKEDITOR.NODE_TEXT ) {
+			return offset ? null : container.getPrevious( isContent );
+		}
+
+		container = offset ? container.getChild( offset - 1 ) : null;
+
+		return container && !isContent( container ) ? container.getPrevious( isContent ) : container;
+	}
+
+	function typeCharacter( tracker, character ) {
+		var range = getSelectionRange( tracker.editor ),
+			insertion,
+			previous,
+			text,
+			offset,
+			data;
+
+		if ( !range ) {
+			return false;
+		}
+
+		prepareInsertion( tracker, range );
+		moveIntoText( range );
+
+		insertion = getSuggestionElement( range.startContainer, 'insertion' );
+		previous = getPreviousNode( range );
+
+		if ( insertion && tracker.isOwn( insertion ) ) {
+			if ( range.startContainer.type == CKEDITOR.NODE_TEXT ) {
+				text = range.startContainer;
+				offset = range.startOffset;
+			} else {
+				text = new CKEDITOR.dom.text( '', range.document );
+				range.insertNode( text );
+				offset = 0;
+			}
+		} else if ( previous && isSuggestion( previous, 'insertion' ) && tracker.isOwn( previous ) ) {
+			insertion = previous;
+			text = insertion.getLast();
+
+			if ( !text || text.type != CKEDITOR.NODE_TEXT ) {
+				text = new CKEDITOR.dom.text( '', range.document );
+				insertion.append( text );
+			}
+
+			offset = text.getLength();
+		} else {
+			insertion = range.document.createElement( 'ins', { attributes: tracker._createAttributes() } );
+			text = new CKEDITOR.dom.text( '', range.document );
+			insertion.append( text );
+			range.insertNode( insertion );
+			insertion = mergeWithSiblings( insertion );
+			offset = 0;
+		}
+
+		data = text.getText();
+
+		// Keep a typed space visible like browsers do: use a non-breaking space and turn it back into
+		// a normal one once followed by another character.
+		if ( character == ' ' ) {
+			character = '\u00a0';
+		} else if ( offset && data.charAt( offset - 1 ) == '\u00a0' && offset > 1 && !/\s/.test( data.charAt( offset - 2 ) ) ) {
+			text.$.replaceData( offset - 1, 1, ' ' );
+		}
+
+		text.$.insertData( offset, character );
+		insertion.setAttribute( ATTR_TIMESTAMP, String( new Date().getTime() ) );
+
+		range.setStart( text, offset + 1 );
+		range.collapse( true );
+		range.select();
+
+		return true;
+	}
+
+	// Returns a range containing a single character (or an inline empty element) before or after
+	// the collapsed range within the same block, skipping content suggested for deletion.
+	function getCharacterRange( editor, range, isForward ) {
+		var container = range.startContainer,
+			offset = range.startOffset,
+			path = range.startPath(),
+			walkerRange = editor.createRange(),
+			characterRange = editor.createRange(),
+			walker,
+			node;
+
+		if ( container.type == CKEDITOR.NODE_TEXT ) {
+			if ( !getSuggestionElement( container, 'deletion' ) && ( isForward ? offset < container.getLength() : offset > 0 ) ) {
+				characterRange.setStart( container, isForward ? offset : offset - 1 );
+				characterRange.setEnd( container, isForward ? offset + 1 : offset );
+				return characterRange;
+			}
+
+			// The rest of the text node is not searched.
+			offset = container.getIndex() + ( isForward ? 1 : 0 );
+			container = container.getParent();
+		}
+
+		walkerRange.selectNodeContents( path.block || path.blockLimit );
+
+		if ( isForward ) {
+			walkerRange.setStart( container, offset );
+		} else {
+			walkerRange.setEnd( container, offset );
+		}
+
+		walker = new CKEDITOR.dom.walker( walkerRange );
+		walker.evaluator = function( node ) {
+			return ( node.type == CKEDITOR.NODE_TEXT ? !isEmptyText( node ) : node.is( CKEDITOR.dtd.$empty ) && !isBogus( node ) ) &&
+				!isBookmark( node ) && !node.isReadOnly() && !getSuggestionElement( node, 'deletion' );
+		};
+
+		node = isForward ? walker.next() : walker.previous();
+
+		if ( !node ) {
+			return null;
+		}
+
+		if ( node.type == CKEDITOR.NODE_TEXT ) {
+			offset = isForward ? 0 : node.getLength() - 1;
+			characterRange.setStart( node, offset );
+			characterRange.setEnd( node, offset + 1 );
+		} else {
+			characterRange.setStartBefore( node );
+			characterRange.setEndAfter( node );
+		}
+
+		return characterRange;
+	}
+
+	function deleteCharacter( tracker, isForward ) {
+		var editor = tracker.editor,
+			range = getSelectionRange( editor );
+
+		if ( range && range.collapsed ) {
+			range = getCharacterRange( editor, range, isForward );
+		}
+
+		// Merging blocks is not tracked, so at the block boundary nothing happens.
+		if ( !range ) {
+			return;
+		}
+
+		tracker.markDeletion( range );
+		range.collapse( !isForward );
+		moveIntoText( range );
+		range.select();
+	}
+
+	// Makes the editable content changing methods record suggestions while tracking.
+	function overrideEditableMethods( tracker, editable ) {
+		if ( editable.getCustomData( 'trackChanges' ) ) {
+			return;
+		}
+
+		editable.setCustomData( 'trackChanges', true );
+
+		editable.insertHtml = CKEDITOR.tools.override( editable.insertHtml, function( originalInsertHtml ) {
+			return function( data, mode, range ) {
+				if ( !tracker.isTracking() ) {
+					return originalInsertHtml.call( this, data, mode, range );
+				}
+
+				var editor = this.editor;
+
+				range = range || getSelectionRange( editor );
+
+				// The content is modified before and after the original insertion, so snapshots are taken here.
+				editor.fire( 'saveSnapshot' );
+				editor.fire( 'lockSnapshot', { dontUpdate: true } );
+
+				trackInsertion( tracker, range, function() {
+					originalInsertHtml.call( editable, data, mode, range );
+					return getSelectionRange( editor );
+				} );
+
+				editor.fire( 'unlockSnapshot' );
+				editor.fire( 'saveSnapshot' );
+			};
+		} );
+
+		editable.insertHtmlIntoRange = CKEDITOR.tools.override( editable.insertHtmlIntoRange, function( originalInsertHtmlIntoRange ) {
+			return function( data, range, mode ) {
+				if ( !tracker.isTracking() ) {
+					return originalInsertHtmlIntoRange.call( this, data, range, mode );
+				}
+
+				trackInsertion( tracker, range, function() {
+					originalInsertHtmlIntoRange.call( editable, data, range, mode );
+					return range;
+				} );
+			};
+		} );
+
+		editable.insertElement = CKEDITOR.tools.override( editable.insertElement, function( originalInsertElement ) {
+			return function( element, range ) {
+				// Block elements can not be wrapped with the suggestion element.
+				if ( tracker.isTracking() && CKEDITOR.dtd.ins[ element.getName() ] ) {
+					range = range || getSelectionRange( this.editor );
+					prepareInsertion( tracker, range );
+
+					var insertion = element.getDocument().createElement( 'ins', { attributes: tracker._createAttributes() } );
+					insertion.append( element );
+					element = insertion;
+				}
+
+				return originalInsertElement.call( this, element, range );
+			};
+		} );
+
+		editable.extractHtmlFromRange = CKEDITOR.tools.override( editable.extractHtmlFromRange, function( originalExtractHtmlFromRange ) {
+			return function( range, removeEmptyBlock ) {
+				if ( !tracker.isTracking() ) {
+					return originalExtractHtmlFromRange.call( this, range, removeEmptyBlock );
+				}
+
+				var extractedFragment = this.getHtmlFromRange( range );
+
+				if ( !range.collapsed ) {
+					tracker.markDeletion( range );
+					range.collapse( true );
+				}
+
+				return extractedFragment;
+			};
+		} );
+	}
+
+	// Runs the insertion and marks the inserted content. The `insert` function returns the range
+	// collapsed at the end of the inserted content.
+	function trackInsertion( tracker, range, insert ) {
+		var startBookmark,
+			endBookmark,
+			insertedRange = tracker.editor.createRange();
+
+		prepareInsertion( tracker, range );
+		startBookmark = range.createBookmark();
+
+		range = insert();
+		endBookmark = range.createBookmark();
+
+		insertedRange.setStartAfter( startBookmark.startNode );
+		insertedRange.setEndBefore( endBookmark.startNode );
+		tracker.markInsertion( insertedRange );
+
+		startBookmark.startNode.remove();
+		range.moveToBookmark( endBookmark );
+		range.select();
+	}
+
+	function initBalloon( editor ) {
+		var tracker = editor.trackChanges,
+			lang = editor.lang.trackchanges,
+			template = new CKEDITOR.template(
+				'<div class="cke_suggestion">' +
+					'<p class="cke_suggestion_author"></p>' +
+					'<p class="cke_suggestion_details"></p>' +
+					'<a class="cke_suggestion_button cke_suggestion_accept" href="javascript:void(0)" role="button" ' +
+						'data-cke-suggestion-action="accept">{accept}</a>' +
+					'<a class="cke_suggestion_button cke_suggestion_reject" href="javascript:void(0)" role="button" ' +
+						'data-cke-suggestion-action="reject">{reject}</a>' +
+				'</div>' ),
+			panel,
+			suggestionId;
+
+		function createPanel() {
+			panel = new CKEDITOR.ui.balloonPanel( editor, {
+				title: lang.title,
+				width: 280,
+				content: template.output( {
+					accept: lang.acceptButton,
+					reject: lang.rejectButton
+				} )
+			} );
+
+			CKEDITOR.tools.array.forEach( panel.parts.content.find( 'a' ).toArray(), function( button ) {
+				panel.registerFocusable( button );
+			} );
+
+			panel.parts.content.on( 'click', function( evt ) {
+				var action = evt.data.getTarget().getAttribute( 'data-cke-suggestion-action' );
+
+				if ( action ) {
+					evt.data.preventDefault();
+					panel.hide();
+					editor.execCommand( action + 'Suggestion', { id: suggestionId } );
+				}
+			} );
+		}
+
+		editor.on( 'selectionChange', function( evt ) {
+			var element = evt.data.path.lastElement,
+				suggestion = tracker.getSuggestionFromNode( element );
+
+			if ( !suggestion ) {
+				panel && panel.hide();
+				return;
+			}
+
+			!panel && createPanel();
+			suggestionId = suggestion.id;
+
+			panel.parts.content.findOne( '.cke_suggestion_author' ).setText( suggestion.author );
+			panel.parts.content.findOne( '.cke_suggestion_details' ).setText(
+				lang[ suggestion.type ] + ( suggestion.timestamp ? ', ' + new Date( suggestion.timestamp ).toLocaleString() : '' ) );
+
+			panel.attach( getSuggestionElement( element ), { focusElement: false } );
+		} );
+
+		editor.on( 'contentDomUnload', function() {
+			panel && panel.hide();
+		} );
+	}
+} )();
+
+/**
+ * The name of the author recorded in suggestions made in this editor instance.
+ * If not set, a localized "Anonymous" label is used.
+ *
+ *		config.trackChanges_author = 'John Smith';
+ *
+ * @since 4.13.0
+ * @cfg {String} [trackChanges_author='']
+ * @member CKEDITOR.config
+ */
+
+/**
+ * Whether the suggestion mode should be enabled when the editor is ready.
+ *
+ *		config.trackChanges_onStartup = true;
+ *
+ * @since 4.13.0
+ * @cfg {Boolean} [trackChanges_onStartup=false]
+ * @member CKEDITOR.config
+ */
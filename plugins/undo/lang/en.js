@@ -4,5 +4,7 @@ For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
 */
 CKEDITOR.plugins.setLang( 'undo', 'en', {
 	redo: 'Redo',
-	undo: 'Undo'
+	undo: 'Undo',
+	typing: 'Typing',
+	deleting: 'Deleting'
 } );
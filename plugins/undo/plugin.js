@@ -63,8 +63,11 @@
 
 			function recordCommand( event ) {
 				// If the command hasn't been marked to not support undo.
-				if ( undoManager.enabled && event.data.command.canUndo !== false )
-					undoManager.save();
+				if ( undoManager.enabled && event.data.command.canUndo !== false ) {
+					// The snapshot saved after the command is labelled with the command, so the step can be listed.
+					if ( undoManager.save() && event.name == 'afterCommandExec' )
+						undoManager.currentImage.label = getCommandLabel( editor, event.data.name );
+				}
 			}
 
 			// We'll save snapshots before and after executing a command.
@@ -236,6 +239,16 @@
 		 */
 		this.limit = editor.config.undoStackSize || 20;
 
+		/**
+		 * The maximum size of snapshots in the stack in bytes. Configurable via {@link CKEDITOR.config#undoStackMemoryLimit}.
+		 * `0` means that the size is not limited.
+		 *
+		 * @since 4.13.0
+		 * @readonly
+		 * @property {Number} [memoryLimit=0]
+		 */
+		this.memoryLimit = editor.config.undoStackMemoryLimit || 0;
+
 		/**
 		 * The maximum number of characters typed/deleted in one undo step.
 		 *
@@ -244,6 +257,25 @@
 		 */
 		this.strokesLimit = 25;
 
+		/**
+		 * The minimum length of the snapshot content (in characters) from which snapshots are stored
+		 * as differences against the previous snapshot instead of the full content. Shorter snapshots
+		 * are always stored in full, because comparing them costs more than it saves.
+		 *
+		 * @since 4.13.0
+		 * @property {Number} [diffThreshold=10000]
+		 */
+		this.diffThreshold = 10000;
+
+		/**
+		 * Every how many snapshots stored as differences the full content is stored again (a keyframe).
+		 * It limits the number of differences which need to be applied to restore a snapshot.
+		 *
+		 * @since 4.13.0
+		 * @property {Number} [keyframeInterval=10]
+		 */
+		this.keyframeInterval = 10;
+
 		/**
 		 * Array of filter rules.
 		 *
@@ -402,15 +434,30 @@
 			// Drop future snapshots.
 			snapshots.splice( this.index + 1, snapshots.length - this.index - 1 );
 
-			// If we have reached the limit, remove the oldest one.
-			if ( snapshots.length == this.limit )
-				snapshots.shift();
+			// Label the steps made by typing.
+			if ( this.typing && !image.label ) {
+				image.label = editor.lang.undo[ this.previousKeyGroup == UndoManager.keyGroups.FUNCTIONAL ? 'deleting' : 'typing' ];
+			}
+
+			var previousImage = snapshots[ this.index ];
+
+			if ( previousImage ) {
+				diffImage( this, image, previousImage );
+			}
 
 			// Add the new image, updating the current index.
 			this.index = snapshots.push( image ) - 1;
 
 			this.currentImage = image;
 
+			// The previous image can be restored from its difference now, so its content is no longer needed.
+			if ( previousImage ) {
+				releaseContents( previousImage );
+			}
+
+			// If we have reached the limits, remove the oldest snapshots.
+			trimStack( this );
+
 			if ( autoFireChange !== false )
 				this.refreshState();
 			return true;
@@ -437,7 +484,7 @@
 			// by selectionChange listener).
 			this.locked = { level: 999 };
 
-			this.editor.loadSnapshot( image.contents );
+			this.editor.loadSnapshot( image.getContents() );
 
 			if ( image.bookmarks )
 				sel.selectBookmarks( image.bookmarks );
@@ -573,6 +620,13 @@
 			while ( i > 0 && this.currentImage.equalsContent( snapshots[ i - 1 ] ) )
 				i -= 1;
 
+			// The step is still the one which produced the replaced snapshots.
+			if ( !newImage.label && snapshots[ i ] )
+				newImage.label = snapshots[ i ].label;
+
+			if ( i > 0 )
+				diffImage( this, newImage, snapshots[ i - 1 ] );
+
 			snapshots.splice( i, this.index - i + 1, newImage );
 			this.index = i;
 			this.currentImage = newImage;
@@ -595,6 +649,12 @@
 
 			if ( lastImage.equalsContent( newSnapshot ) ) {
 				if ( !lastImage.equalsSelection( newSnapshot ) ) {
+					if ( !newSnapshot.label )
+						newSnapshot.label = lastImage.label;
+
+					// The content is the same, so is the difference against the previous snapshot.
+					copyDiff( lastImage, newSnapshot );
+
 					snapshots[ snapshots.length - 1 ] = newSnapshot;
 					this.currentImage = newSnapshot;
 					return true;
@@ -698,6 +758,166 @@
 		 */
 		addFilterRule: function( rule ) {
 			this._filterRules.push( rule );
+		},
+
+		/**
+		 * Returns the approximate size of all snapshots in the stack in bytes.
+		 *
+		 * @since 4.13.0
+		 * @returns {Number}
+		 */
+		getSize: function() {
+			return CKEDITOR.tools.array.reduce( this.snapshots, function( size, image ) {
+				return size + image.getSize();
+			}, 0 );
+		},
+
+		/**
+		 * Returns the steps of the undo stack, from the oldest one. Snapshots which differ only by the selection
+		 * make a single step.
+		 *
+		 *		var steps = editor.undoManager.getSteps();
+		 *		console.log( steps[ steps.length - 1 ].label ); // e.g. 'Bold'
+		 *
+		 * @since 4.13.0
+		 * @returns {Object[]} The steps.
+		 * @returns {Number} return.index The index of the latest snapshot of the step, which can be passed to {@link #goTo}.
+		 * @returns {String} return.label The label of the step, e.g. the label of the command which made it
+		 * or `undefined` if it is not known.
+		 * @returns {Boolean} return.current Whether the editor content is in this step.
+		 */
+		getSteps: function() {
+			var snapshots = this.snapshots,
+				steps = [],
+				step,
+				i;
+
+			for ( i = 0; i < snapshots.length; i++ ) {
+				if ( !step || !snapshots[ i ].equalsContent( snapshots[ i - 1 ] ) ) {
+					step = { label: snapshots[ i ].label, current: false };
+					steps.push( step );
+				}
+
+				step.index = i;
+				step.current = step.current || i == this.index;
+			}
+
+			return steps;
+		},
+
+		/**
+		 * Sets the editor content to the snapshot with the given index, undoing or redoing all steps
+		 * between the current snapshot and that one.
+		 *
+		 * @since 4.13.0
+		 * @param {Number} index The index of the snapshot in the {@link #snapshots stack}, see {@link #getSteps}.
+		 * @returns {Boolean} `true` if the content was changed.
+		 */
+		goTo: function( index ) {
+			var image;
+
+			if ( !this.enabled ) {
+				return false;
+			}
+
+			this.save( true );
+
+			image = this.snapshots[ index ];
+
+			if ( !image || image.equalsContent( this.currentImage ) ) {
+				return false;
+			}
+
+			image.index = index;
+			this.restoreImage( image );
+
+			return true;
+		},
+
+		/**
+		 * Exports the undo stack, so it can be stored and imported later with {@link #importStack},
+		 * for example after reloading the page. The returned object can be serialized to JSON.
+		 *
+		 *		window.addEventListener( 'beforeunload', function() {
+		 *			sessionStorage.setItem( 'undo', JSON.stringify( editor.undoManager.exportStack() ) );
+		 *		} );
+		 *
+		 * @since 4.13.0
+		 * @returns {Object}
+		 * @returns {Object[]} return.snapshots The snapshots with the `contents`, `bookmarks` and `label` properties.
+		 * @returns {Number} return.index The index of the current snapshot.
+		 */
+		exportStack: function() {
+			return {
+				snapshots: CKEDITOR.tools.array.map( this.snapshots, function( image ) {
+					return {
+						contents: image.getContents(),
+						bookmarks: image.bookmarks || null,
+						label: image.label || null
+					};
+				} ),
+				index: this.index
+			};
+		},
+
+		/**
+		 * Replaces the undo stack with a stack exported by {@link #exportStack}. The editor content is not changed.
+		 * If it differs from the current snapshot of the imported stack, e.g. because the data was changed
+		 * since the stack was exported, it is saved as a new step.
+		 *
+		 *		editor.on( 'instanceReady', function() {
+		 *			var stack = sessionStorage.getItem( 'undo' );
+		 *
+		 *			if ( stack ) {
+		 *				editor.undoManager.importStack( JSON.parse( stack ) );
+		 *			}
+		 *		} );
+		 *
+		 * @since 4.13.0
+		 * @param {Object} stack The exported stack.
+		 */
+		importStack: function( stack ) {
+			var editor = this.editor,
+				snapshots = stack && stack.snapshots || [];
+
+			this.reset();
+
+			this.snapshots = CKEDITOR.tools.array.map( snapshots, function( data ) {
+				var image = CKEDITOR.tools.prototypedCopy( Image.prototype );
+
+				image.editor = editor;
+				image.contents = data.contents;
+
+				if ( data.bookmarks ) {
+					image.bookmarks = data.bookmarks;
+				}
+
+				if ( data.label ) {
+					image.label = data.label;
+				}
+
+				return image;
+			} );
+
+			this.index = Math.min( Math.max( stack && stack.index || 0, 0 ), this.snapshots.length - 1 );
+			this.currentImage = this.snapshots[ this.index ] || null;
+
+			for ( var i = 1; i < this.snapshots.length; i++ ) {
+				diffImage( this, this.snapshots[ i ], this.snapshots[ i - 1 ] );
+			}
+
+			// Only the current image keeps its content, the other ones are restored from differences.
+			CKEDITOR.tools.array.forEach( this.snapshots, function( image ) {
+				if ( image != this.currentImage ) {
+					releaseContents( image );
+				}
+			}, this );
+
+			trimStack( this );
+
+			// Keep the changes made since exporting as a new step.
+			this.save( true, null, false );
+			this.refreshState();
 		}
 	};
 
@@ -786,6 +1006,117 @@
 		return CKEDITOR.env.ie && UndoManager.getKeyGroup( keyCode ) == UndoManager.keyGroups.FUNCTIONAL;
 	};
 
+	// Removes the oldest snapshots above the count and memory limits. The current snapshot is always kept.
+	function trimStack( undoManager ) {
+		var snapshots = undoManager.snapshots,
+			memoryLimit = undoManager.memoryLimit,
+			size = memoryLimit ? undoManager.getSize() : 0;
+
+		while ( undoManager.index > 0 && ( snapshots.length > undoManager.limit || size > memoryLimit ) ) {
+			size -= snapshots.shift().getSize();
+			undoManager.index--;
+
+			// The oldest image has nothing to be restored from, so it gets its full content back.
+			size -= snapshots[ 0 ].getSize();
+			materializeContents( snapshots[ 0 ] );
+			size += snapshots[ 0 ].getSize();
+		}
+	}
+
+	// Stores the content of the image as the difference against the base image, so it can be released later.
+	// Every few images in a row (see UndoManager#keyframeInterval) and for short content nothing is done,
+	// so the image keeps the full content.
+	function diffImage( undoManager, image, base ) {
+		var contents = image.contents,
+			baseContents,
+			depth = ( base._depth || 0 ) + 1,
+			minLength,
+			start = 0,
+			end = 0;
+
+		if ( typeof contents != 'string' || contents.length < undoManager.diffThreshold || depth >= undoManager.keyframeInterval ) {
+			return;
+		}
+
+		baseContents = base.getContents();
+
+		if ( typeof baseContents != 'string' ) {
+			return;
+		}
+
+		minLength = Math.min( contents.length, baseContents.length );
+
+		// Find the common beginning and ending. While typing, the changed part is short, so is the difference.
+		while ( start < minLength && contents.charCodeAt( start ) == baseContents.charCodeAt( start ) ) {
+			start++;
+		}
+
+		while ( end < minLength - start &&
+			contents.charCodeAt( contents.length - end - 1 ) == baseContents.charCodeAt( baseContents.length - end - 1 ) ) {
+			end++;
+		}
+
+		image._base = base;
+		image._diff = {
+			start: start,
+			removed: baseContents.length - start - end,
+			text: contents.substring( start, contents.length - end )
+		};
+		image._depth = depth;
+		image._length = contents.length;
+	}
+
+	// Removes the full content of the image if it can be restored from the difference.
+	function releaseContents( image ) {
+		if ( image._diff ) {
+			delete image.contents;
+		}
+	}
+
+	// Turns the image stored as a difference into the keyframe with the full content.
+	function materializeContents( image ) {
+		if ( image._diff ) {
+			image.contents = image.getContents();
+
+			delete image._base;
+			delete image._diff;
+			delete image._depth;
+			delete image._length;
+		}
+	}
+
+	function copyDiff( source, target ) {
+		if ( source._diff ) {
+			target._base = source._base;
+			target._diff = source._diff;
+			target._depth = source._depth;
+			target._length = source._length;
+		}
+	}
+
+	function isEmptyDiff( diff ) {
+		return !diff.removed && !diff.text;
+	}
+
+	function getContentsLength( image ) {
+		return typeof image.contents == 'string' ? image.contents.length : ( image._length || 0 );
+	}
+
+	// Returns the label of the button or menu item executing the command.
+	function getCommandLabel( editor, commandName ) {
+		var items = [ editor.ui.items, editor._.menuItems || {} ],
+			name,
+			i;
+
+		for ( i = 0; i < items.length; i++ ) {
+			for ( name in items[ i ] ) {
+				if ( items[ i ][ name ].command == commandName && items[ i ][ name ].label ) {
+					return items[ i ][ name ].label;
+				}
+			}
+		}
+	}
+
 	// Helper method called when undoManager.typing val was changed to true.
 	function onTypingStart( undoManager ) {
 		// It's safe to now indicate typing state.
@@ -841,13 +1172,30 @@
 		 * @returns {Boolean} Returns `true` if content in `otherImage` is the same.
 		 */
 		equalsContent: function( otherImage ) {
-			var thisContents = this.contents,
-				otherContents = otherImage.contents;
+			var thisContents,
+				otherContents;
 
 			// For IE7 and IE QM: Comparing only the protected attribute values but not the original ones.(https://dev.ckeditor.com/ticket/4522)
 			if ( CKEDITOR.env.ie && ( CKEDITOR.env.ie7Compat || CKEDITOR.env.quirks ) ) {
-				thisContents = thisContents.replace( protectedAttrs, '' );
-				otherContents = otherContents.replace( protectedAttrs, '' );
+				thisContents = this.getContents().replace( protectedAttrs, '' );
+				otherContents = otherImage.getContents().replace( protectedAttrs, '' );
+			} else {
+				// Avoid restoring the content from differences when the result is known without it.
+				// The difference is trimmed to the changed part, so it is empty only for the same content.
+				if ( this._base == otherImage ) {
+					return isEmptyDiff( this._diff );
+				}
+
+				if ( otherImage._base == this ) {
+					return isEmptyDiff( otherImage._diff );
+				}
+
+				if ( getContentsLength( this ) != getContentsLength( otherImage ) ) {
+					return false;
+				}
+
+				thisContents = this.getContents();
+				otherContents = otherImage.getContents();
 			}
 
 			if ( thisContents != otherContents )
@@ -881,11 +1229,51 @@
 			}
 
 			return true;
+		},
+
+		/**
+		 * Returns the approximate size of the image in bytes.
+		 *
+		 * @since 4.13.0
+		 * @returns {Number}
+		 */
+		getSize: function() {
+			var length = typeof this.contents == 'string' ? this.contents.length : 0;
+
+			if ( this._diff ) {
+				length += this._diff.text.length;
+			}
+
+			return length * 2;
+		},
+
+		/**
+		 * Returns the editor content stored in the image. Unlike the {@link #contents} property,
+		 * it is also available for images stored as the difference against the previous image.
+		 *
+		 * @since 4.13.0
+		 * @returns {String}
+		 */
+		getContents: function() {
+			var diff = this._diff,
+				baseContents;
+
+			if ( typeof this.contents == 'string' || !diff ) {
+				return this.contents;
+			}
+
+			baseContents = this._base.getContents();
+
+			return baseContents.substring( 0, diff.start ) + diff.text + baseContents.substring( diff.start + diff.removed );
 		}
 
 		/**
 		 * Editor content.
 		 *
+		 * **Note:** Since 4.13.0 the images of large content stored in the {@link CKEDITOR.plugins.undo.UndoManager#snapshots stack}
+		 * keep only the difference against the previous image (see {@link CKEDITOR.plugins.undo.UndoManager#diffThreshold}),
+		 * so this property may be `undefined`. Use {@link #getContents} to read the content.
+		 *
 		 * @readonly
 		 * @property {String} contents
 		 */
@@ -896,6 +1284,14 @@
 		 * @readonly
 		 * @property {Object[]} bookmarks Array of bookmark2 objects, see {@link CKEDITOR.dom.range#createBookmark2} for definition.
 		 */
+
+		/**
+		 * The label of the step which produced the image, e.g. the label of the executed command or "Typing".
+		 * It is `undefined` if the step is not known.
+		 *
+		 * @since 4.13.0
+		 * @property {String} [label]
+		 */
 	};
 
 	/**
@@ -980,18 +1376,19 @@
 				this.keyEventsStack.push( keyCode );
 			}
 
+			var saveNeeded = ( UndoManager.isNavigationKey( keyCode ) || this.undoManager.keyGroupChanged( keyCode ) ) &&
+				( undoManager.strokesRecorded[ 0 ] || undoManager.strokesRecorded[ 1 ] );
+
 			// We need to store an image which will be used in case of key group
-			// change.
-			this.lastKeydownImage = new Image( undoManager.editor );
+			// change. Taking the image costs a lot with large content, so it is done only when it is used.
+			this.lastKeydownImage = saveNeeded || UndoManager.ieFunctionalKeysBug( keyCode ) ? new Image( undoManager.editor ) : null;
 
-			if ( UndoManager.isNavigationKey( keyCode ) || this.undoManager.keyGroupChanged( keyCode ) ) {
-				if ( undoManager.strokesRecorded[ 0 ] || undoManager.strokesRecorded[ 1 ] ) {
-					// We already have image, so we'd like to reuse it.
+			if ( saveNeeded ) {
+				// We already have image, so we'd like to reuse it.
 
-					// https://dev.ckeditor.com/ticket/12300
-					undoManager.save( false, this.lastKeydownImage, false );
-					undoManager.resetType();
-				}
+				// https://dev.ckeditor.com/ticket/12300
+				undoManager.save( false, this.lastKeydownImage, false );
+				undoManager.resetType();
 			}
 		},
 
@@ -1304,6 +1701,19 @@
  * @member CKEDITOR.config
  */
 
+/**
+ * The maximum size of undo snapshots in bytes. When the snapshots take more memory, the oldest ones are removed,
+ * even if there are fewer snapshots than the {@link #undoStackSize} limit. This is useful for large documents,
+ * for which a few snapshots may already take a lot of memory. `0` means that the size is not limited.
+ *
+ *		// Limit undo snapshots to about 10 MB.
+ *		config.undoStackMemoryLimit = 10 * 1024 * 1024;
+ *
+ * @since 4.13.0
+ * @cfg {Number} [undoStackMemoryLimit=0]
+ * @member CKEDITOR.config
+ */
+
 /**
  * Fired when the editor is about to save an undo snapshot. This event can be
  * fired by plugins and customizations to make the editor save undo snapshots.
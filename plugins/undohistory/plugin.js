@@ -0,0 +1,111 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @fileOverview The Undo History plugin. Adds the toolbar button opening a panel which lists
+ * the steps of the undo stack (see {@link CKEDITOR.plugins.undo.UndoManager#getSteps}) and moves
+ * the content to the clicked step.
+ */
+
+( function() {
+	'use strict';
+
+	CKEDITOR.plugins.add( 'undohistory', {
+		requires: 'undo,panelbutton,floatpanel',
+		lang: 'en',
+		icons: 'undohistory', // %REMOVE_LINE_CORE%
+		hidpi: true, // %REMOVE_LINE_CORE%
+
+		init: function( editor ) {
+			var lang = editor.lang.undohistory,
+				undoManager = editor.undoManager,
+				historyPanel,
+				panelBlock,
+				clickFn;
+
+			if ( !editor.ui.add ) {
+				return;
+			}
+
+			clickFn = CKEDITOR.tools.addFunction( function( index ) {
+				historyPanel.hide();
+				editor.focus();
+
+				if ( undoManager.goTo( index ) ) {
+					editor.selectionChange();
+				}
+			} );
+
+			editor.on( 'destroy', function() {
+				CKEDITOR.tools.removeFunction( clickFn );
+			} );
+
+			editor.ui.add( 'UndoHistory', CKEDITOR.UI_PANELBUTTON, {
+				label: lang.title,
+				title: lang.title,
+				modes: { wysiwyg: 1 },
+				editorFocus: 0,
+				toolbar: 'undo,25',
+
+				panel: {
+					css: [ CKEDITOR.skin.getPath( 'editor' ), this.path + 'styles/undohistory.css' ],
+					attributes: { role: 'listbox', 'aria-label': lang.title }
+				},
+
+				onBlock: function( panel, block ) {
+					var keys = block.keys;
+
+					historyPanel = panel;
+					panelBlock = block;
+					block.autoSize = true;
+					block.element.addClass( 'cke_undohistory_block' );
+
+					keys[ 40 ] = 'next'; // ARROW-DOWN
+					keys[ 9 ] = 'next'; // TAB
+					keys[ 38 ] = 'prev'; // ARROW-UP
+					keys[ CKEDITOR.SHIFT + 9 ] = 'prev'; // SHIFT + TAB
+					keys[ 13 ] = 'click'; // ENTER
+					keys[ 32 ] = 'click'; // SPACE
+				},
+
+				onOpen: function() {
+					// Include the changes which were not saved yet, e.g. typed text, as the last step.
+					undoManager.save( true );
+
+					panelBlock.element.setHtml( renderSteps( undoManager.getSteps() ) );
+				}
+			} );
+
+			function renderSteps( steps ) {
+				var output = [],
+					redo = false;
+
+				CKEDITOR.tools.array.forEach( steps, function( step, index ) {
+					var label = CKEDITOR.tools.htmlEncode( step.label || ( index ? lang.change : lang.initial ) ),
+						className = 'cke_undohistory_step';
+
+					if ( step.current ) {
+						className += ' cke_undohistory_current';
+					} else if ( redo ) {
+						className += ' cke_undohistory_redo';
+					}
+
+					output.push( '<a class="', className, '" _cke_focus=1 hidefocus=true' +
+						' title="', label, '"' +
+						' draggable="false"' +
+						' ondragstart="return false;"' + // Draggable attribute is buggy on Firefox.
+						' onclick="CKEDITOR.tools.callFunction(', clickFn, ',', step.index, ');return false;"' +
+						' href="javascript:void(\'', label, '\')"' +
+						' role="option" aria-posinset="', index + 1, '" aria-setsize="', steps.length, '"' +
+						' aria-selected="', step.current, '">', label, '</a>' );
+
+					redo = redo || step.current;
+				} );
+
+				return output.join( '' );
+			}
+		}
+	} );
+} )();
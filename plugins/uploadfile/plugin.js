@@ -25,6 +25,9 @@
 			fileTools.addUploadWidget( editor, 'uploadfile', {
 				uploadUrl: fileTools.getUploadUrl( editor.config ),
 
+				// Large files sent in chunks survive the connection problems.
+				uploadAdapter: editor.config.uploadFile_chunkedUpload ? fileTools.chunkedUploadAdapter : null,
+
 				fileToElement: function( file ) {
 					// Show a placeholder with an empty link during the upload.
 					var a = new CKEDITOR.dom.element( 'a' );
@@ -44,3 +47,18 @@
 		}
 	} );
 } )();
+
+/**
+ * Whether files should be uploaded in chunks by {@link CKEDITOR.fileTools.chunkedUploadAdapter}, so the upload
+ * of a large file is retried after a network error and resumed after the page is reloaded. The server must support
+ * chunked uploads, see {@link CKEDITOR.fileTools.chunkedUploadAdapter} for the format of requests and responses.
+ *
+ * The size of chunks and the retries are configured with {@link CKEDITOR.config#fileTools_chunkSize},
+ * {@link CKEDITOR.config#fileTools_chunkRetries} and {@link CKEDITOR.config#fileTools_chunkRetryDelay}.
+ *
+ *		config.uploadFile_chunkedUpload = true;
+ *
+ * @since 4.13.0
+ * @cfg {Boolean} [uploadFile_chunkedUpload=false]
+ * @member CKEDITOR.config
+ */
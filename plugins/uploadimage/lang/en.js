@@ -0,0 +1,8 @@
+/*
+Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+*/
+CKEDITOR.plugins.setLang( 'uploadimage', 'en', {
+	typeError: 'Images of the %1 type cannot be uploaded.',
+	sizeError: 'The image is too big. The maximum size is %1.'
+} );
@@ -29,15 +29,244 @@
 		return 'image-' + CKEDITOR.tools.array.map( dateParts, padNumber ).join( '' ) + '-' + uniqueNameCounter + '.' + type;
 	}
 
+	// Returns the srcset of the image and alternative sources out of image renditions returned by the server.
+	// Renditions can be an array of objects with the url, width and type properties or an object mapping
+	// widths to URLs, like in Easy Image. Renditions without the type or in the format of the uploaded file
+	// make the srcset of the image, the other ones make sources grouped by the format.
+	function getResponsiveSources( renditions, fileType ) {
+		var srcsets = {},
+			result = { srcset: '', sources: [] },
+			list = CKEDITOR.tools.isArray( renditions ) ? renditions.slice() : [],
+			width;
+
+		if ( renditions && !CKEDITOR.tools.isArray( renditions ) ) {
+			for ( width in renditions ) {
+				if ( width != 'default' ) {
+					list.push( { url: renditions[ width ], width: width } );
+				}
+			}
+		}
+
+		list.sort( function( a, b ) {
+			return parseInt( a.width, 10 ) - parseInt( b.width, 10 );
+		} );
+
+		CKEDITOR.tools.array.forEach( list, function( rendition ) {
+			var type = !rendition.type || rendition.type == fileType ? '' : rendition.type;
+
+			if ( !srcsets[ type ] ) {
+				srcsets[ type ] = [];
+
+				if ( type ) {
+					result.sources.push( { type: type } );
+				}
+			}
+
+			width = parseInt( rendition.width, 10 );
+			srcsets[ type ].push( rendition.url + ( width ? ' ' + width + 'w' : '' ) );
+		} );
+
+		result.srcset = ( srcsets[ '' ] || [] ).join( ', ' );
+
+		CKEDITOR.tools.array.forEach( result.sources, function( source ) {
+			source.srcset = srcsets[ source.type ].join( ', ' );
+		} );
+
+		return result;
+	}
+
+	// Returns the message about the image which cannot be uploaded because of its type or size
+	// (see config.uploadImage_allowedTypes and config.uploadImage_maxFileSize) or null if it can be uploaded.
+	function getRejectionMessage( editor, type, size ) {
+		var config = editor.config,
+			lang = editor.lang.uploadimage,
+			allowedTypes = config.uploadImage_allowedTypes,
+			maxFileSize = config.uploadImage_maxFileSize;
+
+		if ( allowedTypes && CKEDITOR.tools.indexOf( allowedTypes, type ) == -1 ) {
+			return lang.typeError.replace( '%1', type );
+		}
+
+		if ( maxFileSize && size > maxFileSize ) {
+			return lang.sizeError.replace( '%1', formatFileSize( maxFileSize ) );
+		}
+
+		return null;
+	}
+
+	// Returns the file size in kilobytes or, for sizes starting from one megabyte, in megabytes.
+	function formatFileSize( size ) {
+		return size < 1048576 ? Math.ceil( size / 1024 ) + ' KB' : Math.round( size / 104857.6 ) / 10 + ' MB';
+	}
+
+	// Returns the options of processing the image of the given type before the upload
+	// or null if the image should be uploaded as it is.
+	function getProcessingOptions( config, type ) {
+		var outputType = config.uploadImage_outputType;
+
+		// Animated GIFs would lose the animation.
+		if ( type == 'image/gif' || !( config.uploadImage_maxWidth || config.uploadImage_maxHeight || outputType ) ) {
+			return null;
+		}
+
+		return {
+			maxWidth: config.uploadImage_maxWidth,
+			maxHeight: config.uploadImage_maxHeight,
+			type: outputType || ( type == 'image/png' ? type : 'image/jpeg' ),
+			quality: config.uploadImage_quality || 0.92
+		};
+	}
+
+	// Reads an unsigned integer from the binary string.
+	function readUint( bytes, offset, length, littleEndian ) {
+		var value = 0,
+			i;
+
+		for ( i = 0; i < length; i++ ) {
+			value += bytes.charCodeAt( offset + ( littleEndian ? i : length - 1 - i ) ) * Math.pow( 256, i );
+		}
+
+		return value;
+	}
+
+	// Reads the orientation tag from the first image file directory of the EXIF data which starts
+	// with the TIFF header at the given offset.
+	function readExifOrientation( bytes, tiffOffset ) {
+		var littleEndian = bytes.substr( tiffOffset, 2 ) == 'II',
+			directoryOffset = tiffOffset + readUint( bytes, tiffOffset + 4, 4, littleEndian ),
+			count = readUint( bytes, directoryOffset, 2, littleEndian ),
+			entryOffset, value, i;
+
+		for ( i = 0; i < count; i++ ) {
+			entryOffset = directoryOffset + 2 + i * 12;
+
+			if ( readUint( bytes, entryOffset, 2, littleEndian ) == 0x0112 ) {
+				value = readUint( bytes, entryOffset + 8, 2, littleEndian );
+
+				return value >= 1 && value <= 8 ? value : 1;
+			}
+		}
+
+		return 1;
+	}
+
+	// Applies the transformation of the canvas context which draws the image in the given EXIF orientation upright.
+	// The width and height are the dimensions of the canvas.
+	function applyOrientation( context, orientation, width, height ) {
+		var matrices = {
+				2: [ -1, 0, 0, 1, width, 0 ],
+				3: [ -1, 0, 0, -1, width, height ],
+				4: [ 1, 0, 0, -1, 0, height ],
+				5: [ 0, 1, 1, 0, 0, 0 ],
+				6: [ 0, 1, -1, 0, width, 0 ],
+				7: [ 0, -1, -1, 0, width, height ],
+				8: [ 0, -1, 1, 0, 0, height ]
+			},
+			matrix = matrices[ orientation ];
+
+		if ( matrix ) {
+			context.transform.apply( context, matrix );
+		}
+	}
+
+	// Fills the transparent parts of the canvas with white, as they would turn black in JPEG.
+	function fillBackground( context, width, height ) {
+		context.setTransform( 1, 0, 0, 1, 0, 0 );
+		context.globalCompositeOperation = 'destination-over';
+		context.fillStyle = '#fff';
+		context.fillRect( 0, 0, width, height );
+	}
+
+	// Transforms Base64 string data into a blob.
+	function dataToBlob( data ) {
+		var parts = data.split( ',' ),
+			bytes = atob( parts[ 1 ] ),
+			array = new Uint8Array( bytes.length ),
+			i;
+
+		for ( i = 0; i < bytes.length; i++ ) {
+			array[ i ] = bytes.charCodeAt( i );
+		}
+
+		return new Blob( [ array ], { type: parts[ 0 ].match( /^data:([^;]*)/ )[ 1 ] } );
+	}
+
 	CKEDITOR.plugins.add( 'uploadimage', {
 		requires: 'uploadwidget',
+		lang: 'en',
 
 		onLoad: function() {
+			var FileLoader = CKEDITOR.fileTools.fileLoader;
+
 			CKEDITOR.addCss(
 				'.cke_upload_uploading img{' +
 					'opacity: 0.3' +
 				'}'
 			);
+
+			/**
+			 * The file loader type used by the Upload Image plugin. Before the upload, it downscales the image,
+			 * converts it to another format and strips its EXIF data according to the
+			 * {@link CKEDITOR.config#uploadImage_maxWidth}, {@link CKEDITOR.config#uploadImage_maxHeight},
+			 * {@link CKEDITOR.config#uploadImage_outputType} and {@link CKEDITOR.config#uploadImage_quality}
+			 * configuration options.
+			 *
+			 * The image is processed only if its data is loaded, so when it is uploaded with
+			 * {@link CKEDITOR.fileTools.fileLoader#loadAndUpload loadAndUpload} or created from a Base64 data string.
+			 *
+			 * Note that this type is defined in the {@link CKEDITOR.pluginDefinition#onLoad plugin.onLoad} method.
+			 *
+			 * @since 4.13.0
+			 * @class CKEDITOR.plugins.uploadimage.imageLoader
+			 * @extends CKEDITOR.fileTools.fileLoader
+			 * @constructor
+			 * @inheritdoc
+			 */
+			function ImageLoader( editor, fileOrData, fileName ) {
+				FileLoader.call( this, editor, fileOrData, fileName );
+			}
+
+			ImageLoader.prototype = CKEDITOR.tools.prototypedCopy( FileLoader.prototype );
+
+			/**
+			 * @method upload
+			 * @inheritdoc
+			 */
+			ImageLoader.prototype.upload = function( url, additionalRequestParameters ) {
+				var loader = this,
+					type = this.file.type,
+					options = this.data && url && getProcessingOptions( this.editor.config, type );
+
+				if ( !options ) {
+					FileLoader.prototype.upload.call( this, url, additionalRequestParameters );
+					return;
+				}
+
+				this.abort = function() {
+					loader.changeStatus( 'abort' );
+				};
+
+				CKEDITOR.plugins.uploadimage.processImage( this.data, options, function( data ) {
+					if ( loader.status == 'abort' ) {
+						return;
+					}
+
+					// The original image is uploaded if it could not be processed.
+					if ( data ) {
+						loader.data = data;
+						loader.file = dataToBlob( data );
+						loader.total = loader.loaded = loader.file.size;
+
+						if ( loader.file.type != type ) {
+							loader.fileName = loader.fileName.replace( /(\.[^.]*)?$/, '.' + loader.file.type.split( '/' )[ 1 ] );
+						}
+					}
+
+					FileLoader.prototype.upload.call( loader, url, additionalRequestParameters );
+				} );
+			};
+
+			CKEDITOR.plugins.uploadimage.imageLoader = ImageLoader;
 		},
 
 		isSupportedEnvironment: function() {
@@ -63,8 +292,18 @@
 
 				uploadUrl: uploadUrl,
 
-				fileToElement: function() {
-					var img = new CKEDITOR.dom.element( 'img' );
+				loaderType: CKEDITOR.plugins.uploadimage.imageLoader,
+
+				fileToElement: function( file ) {
+					var message = getRejectionMessage( editor, file.type, file.size ),
+						img;
+
+					if ( message ) {
+						editor.showNotification( message, 'warning' );
+						return null;
+					}
+
+					img = new CKEDITOR.dom.element( 'img' );
 					img.setAttribute( 'src', loadingImage );
 					return img;
 				},
@@ -82,12 +321,25 @@
 					// Width and height could be returned by server (https://dev.ckeditor.com/ticket/13519).
 					var $img = this.parts.img.$,
 						width = upload.responseData.width || $img.naturalWidth,
-						height = upload.responseData.height || $img.naturalHeight;
+						height = upload.responseData.height || $img.naturalHeight,
+						responsive = getResponsiveSources( upload.responseData.renditions, upload.file && upload.file.type ),
+						html;
 
 					// Set width and height to prevent blinking.
-					this.replaceWith( '<img src="' + upload.url + '" ' +
+					html = '<img src="' + upload.url + '" ' +
 						'width="' + width + '" ' +
-						'height="' + height + '">' );
+						'height="' + height + '"' +
+						( responsive.srcset ? ' srcset="' + CKEDITOR.tools.htmlEncodeAttr( responsive.srcset ) + '"' : '' ) + '>';
+
+					// Renditions in other formats are alternative sources of <picture>.
+					if ( responsive.sources.length ) {
+						html = '<picture>' + CKEDITOR.tools.array.map( responsive.sources, function( source ) {
+							return '<source type="' + CKEDITOR.tools.htmlEncodeAttr( source.type ) + '" ' +
+								'srcset="' + CKEDITOR.tools.htmlEncodeAttr( source.srcset ) + '">';
+						} ).join( '' ) + html + '</picture>';
+					}
+
+					this.replaceWith( html );
 				}
 			} );
 
@@ -126,11 +378,28 @@
 						// Note that normally we'd extract this logic into a separate function, but we should not duplicate this string, as it might
 						// be large.
 						var imgFormat = imgSrc.match( /image\/([a-z]+?);/i ),
+							imgType = imgSrc.match( /^data:([^;,]*)/ )[ 1 ],
+							// Fetch runtime widget definition as it might get changed in editor#widgetDefinition event.
+							def = editor.widgets.registered.uploadimage,
+							// The size of the decoded Base64 data, without the padding.
+							message = getRejectionMessage( editor, imgType,
+								( imgSrc.length - imgSrc.indexOf( ',' ) - 1 ) * 3 / 4 - imgSrc.match( /=*$/ )[ 0 ].length ),
 							loader;
 
+						if ( message ) {
+							img.remove();
+							editor.showNotification( message, 'warning' );
+							continue;
+						}
+
 						imgFormat = ( imgFormat && imgFormat[ 1 ] ) || 'jpg';
 
-						loader = editor.uploadRepository.create( imgSrc, getUniqueImageFileName( imgFormat ) );
+						loader = editor.uploadRepository.create( imgSrc, getUniqueImageFileName( imgFormat ), def.loaderType );
+
+						if ( def.uploadAdapter ) {
+							loader.uploadAdapter = def.uploadAdapter;
+						}
+
 						loader.upload( uploadUrl );
 
 						fileTools.markElement( img, 'uploadimage', loader.id );
@@ -144,11 +413,236 @@
 		}
 	} );
 
+	/**
+	 * Helpers of the Upload Image plugin processing images before the upload.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.uploadimage
+	 * @singleton
+	 */
+	CKEDITOR.plugins.uploadimage = {
+		// Note this type is loaded on runtime.
+		imageLoader: null,
+
+		/**
+		 * Returns the EXIF orientation of the JPEG image, from `1` (upright) to `8`.
+		 *
+		 *		CKEDITOR.plugins.uploadimage.getImageOrientation( loader.data ); // -> 6 (rotated by 90 degrees)
+		 *
+		 * @param {String} data The image data string encoded with Base64.
+		 * @returns {Number} The orientation or `1` if the image is not a JPEG or has no orientation set.
+		 */
+		getImageOrientation: function( data ) {
+			var header = data.match( /^data:image\/jpeg;base64,/i ),
+				offset = 2,
+				bytes, marker;
+
+			if ( !header ) {
+				return 1;
+			}
+
+			// The metadata is at the beginning of the file, so only the first 64 KB is decoded.
+			bytes = atob( data.substr( header[ 0 ].length, 87384 ) );
+
+			if ( readUint( bytes, 0, 2 ) != 0xFFD8 ) {
+				return 1;
+			}
+
+			while ( offset + 4 <= bytes.length ) {
+				marker = readUint( bytes, offset, 2 );
+
+				if ( marker == 0xFFE1 && bytes.substr( offset + 4, 6 ) == 'Exif\x00\x00' ) {
+					return readExifOrientation( bytes, offset + 10 );
+				}
+
+				// The image data starts after the SOS marker, so there is no more metadata.
+				if ( ( marker & 0xFF00 ) != 0xFF00 || marker == 0xFFDA ) {
+					break;
+				}
+
+				offset += 2 + readUint( bytes, offset + 2, 2 );
+			}
+
+			return 1;
+		},
+
+		/**
+		 * Returns the size of the image downscaled proportionally to fit the maximum dimensions.
+		 *
+		 *		CKEDITOR.plugins.uploadimage.getScaledSize( 4000, 3000, 1600 ); // -> { width: 1600, height: 1200 }
+		 *
+		 * @param {Number} width The width of the image.
+		 * @param {Number} height The height of the image.
+		 * @param {Number} [maxWidth] The maximum width. No limit if not set.
+		 * @param {Number} [maxHeight] The maximum height. No limit if not set.
+		 * @returns {Object} The size with the `width` and `height` properties.
+		 */
+		getScaledSize: function( width, height, maxWidth, maxHeight ) {
+			var scale = Math.min( 1, maxWidth ? maxWidth / width : 1, maxHeight ? maxHeight / height : 1 );
+
+			return {
+				width: Math.max( 1, Math.round( width * scale ) ),
+				height: Math.max( 1, Math.round( height * scale ) )
+			};
+		},
+
+		/**
+		 * Draws the image upright according to its EXIF orientation (see {@link #getImageOrientation}), downscales it
+		 * (see {@link #getScaledSize}) and encodes it in the given format. The EXIF data of the image is not copied.
+		 *
+		 * If the browser cannot encode the image in the given format, the JPEG format is used.
+		 *
+		 * @param {String} data The image data string encoded with Base64.
+		 * @param {Object} options
+		 * @param {Number} [options.maxWidth] The maximum width of the image.
+		 * @param {Number} [options.maxHeight] The maximum height of the image.
+		 * @param {String} options.type The MIME type of the result, e.g. `'image/webp'`.
+		 * @param {Number} [options.quality] The quality of the result from `0` to `1`, used by lossy formats.
+		 * @param {Function} callback The function called with the processed image data string or `null` if
+		 * the image could not be processed.
+		 */
+		processImage: function( data, options, callback ) {
+			var helpers = CKEDITOR.plugins.uploadimage,
+				image = new Image(),
+				// Browsers supporting the image-orientation CSS property draw images upright by themselves.
+				orientation = 'imageOrientation' in document.documentElement.style ? 1 : helpers.getImageOrientation( data );
+
+			image.onload = function() {
+				var rotated = orientation > 4,
+					size = helpers.getScaledSize( rotated ? image.naturalHeight : image.naturalWidth,
+						rotated ? image.naturalWidth : image.naturalHeight, options.maxWidth, options.maxHeight ),
+					canvas = CKEDITOR.document.createElement( 'canvas' ).$,
+					context, result;
+
+				canvas.width = size.width;
+				canvas.height = size.height;
+
+				try {
+					context = canvas.getContext( '2d' );
+
+					applyOrientation( context, orientation, size.width, size.height );
+					context.drawImage( image, 0, 0, rotated ? size.height : size.width, rotated ? size.width : size.height );
+
+					if ( options.type == 'image/jpeg' ) {
+						fillBackground( context, size.width, size.height );
+					}
+
+					result = canvas.toDataURL( options.type, options.quality );
+
+					// Browsers which cannot encode the given format return PNG.
+					if ( result.indexOf( 'data:' + options.type + ';' ) !== 0 ) {
+						fillBackground( context, size.width, size.height );
+						result = canvas.toDataURL( 'image/jpeg', options.quality );
+					}
+				} catch ( e ) {
+					result = null;
+				}
+
+				callback( result );
+			};
+
+			image.onerror = function() {
+				callback( null );
+			};
+
+			image.src = data;
+		}
+	};
+
 	/**
 	 * The URL where images should be uploaded.
 	 *
+	 * Besides the `url` of the uploaded image, the server response may contain the `renditions` of the image
+	 * in other sizes and formats (since 4.13.0). They are inserted as the `srcset` of the image and, for formats
+	 * different than the uploaded file, as the `<source>` elements of the `<picture>` element. Renditions
+	 * can be returned as an array or, as in the Easy Image service, an object mapping widths to URLs:
+	 *
+	 *		{
+	 *			"uploaded": 1,
+	 *			"url": "/images/foo.jpg",
+	 *			"renditions": [
+	 *				{ "url": "/images/foo-400.jpg", "width": 400 },
+	 *				{ "url": "/images/foo-800.jpg", "width": 800 },
+	 *				{ "url": "/images/foo-800.webp", "width": 800, "type": "image/webp" }
+	 *			]
+	 *		}
+	 *
+	 * The `sizes` attribute is not set by this plugin. The [Enhanced Image](https://ckeditor.com/cke4/addon/image2)
+	 * plugin generates it from the width of the image.
+	 *
 	 * @since 4.5.0
 	 * @cfg {String} [imageUploadUrl='' (empty string = disabled)]
 	 * @member CKEDITOR.config
 	 */
+
+	/**
+	 * The maximum width of uploaded images. Larger images are downscaled proportionally in the browser before
+	 * the upload, which also removes their EXIF data (see {@link CKEDITOR.plugins.uploadimage.imageLoader}).
+	 * The EXIF orientation of the image is applied to its pixels, so the image is still displayed upright.
+	 *
+	 *		// Downscale photos from phones to at most 1920x1920 pixels.
+	 *		config.uploadImage_maxWidth = 1920;
+	 *		config.uploadImage_maxHeight = 1920;
+	 *
+	 * GIF images are never processed, so their animation is kept.
+	 *
+	 * @since 4.13.0
+	 * @cfg {Number} [uploadImage_maxWidth=0 (no limit)]
+	 * @member CKEDITOR.config
+	 */
+
+	/**
+	 * The maximum height of uploaded images. See {@link CKEDITOR.config#uploadImage_maxWidth}.
+	 *
+	 * @since 4.13.0
+	 * @cfg {Number} [uploadImage_maxHeight=0 (no limit)]
+	 * @member CKEDITOR.config
+	 */
+
+	/**
+	 * The format to which uploaded images are converted in the browser before the upload, for example `'image/webp'`
+	 * or `'image/jpeg'`. If the browser cannot encode images in the given format, JPEG is used.
+	 *
+	 *		config.uploadImage_outputType = 'image/webp';
+	 *		config.uploadImage_quality = 0.8;
+	 *
+	 * If not set, images are converted only if they are downscaled (see {@link CKEDITOR.config#uploadImage_maxWidth}).
+	 * PNG images are then kept as PNG and other ones are converted to JPEG.
+	 *
+	 * @since 4.13.0
+	 * @cfg {String} [uploadImage_outputType='']
+	 * @member CKEDITOR.config
+	 */
+
+	/**
+	 * The quality of converted images from `0` to `1`, used by lossy formats like JPEG and WebP.
+	 * See {@link CKEDITOR.config#uploadImage_outputType}.
+	 *
+	 * @since 4.13.0
+	 * @cfg {Number} [uploadImage_quality=0.92]
+	 * @member CKEDITOR.config
+	 */
+
+	/**
+	 * The MIME types of images which can be uploaded. Other pasted or dropped images are not uploaded and
+	 * a notification is shown instead.
+	 *
+	 *		config.uploadImage_allowedTypes = [ 'image/jpeg', 'image/png' ];
+	 *
+	 * @since 4.13.0
+	 * @cfg {String[]} [uploadImage_allowedTypes=null (all types)]
+	 * @member CKEDITOR.config
+	 */
+
+	/**
+	 * The maximum size of uploaded images in bytes. Larger pasted or dropped images are not uploaded and
+	 * a notification is shown instead. The size of the original image is checked, before it is downscaled.
+	 *
+	 *		// Allow images up to 10 MB.
+	 *		config.uploadImage_maxFileSize = 10 * 1024 * 1024;
+	 *
+	 * @since 4.13.0
+	 * @cfg {Number} [uploadImage_maxFileSize=0 (no limit)]
+	 * @member CKEDITOR.config
+	 */
 } )();
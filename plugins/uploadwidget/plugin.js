@@ -194,9 +194,16 @@
 					// No def.supportedTypes means all types are supported.
 					if ( !def.supportedTypes || fileTools.isTypeSupported( file, def.supportedTypes ) ) {
 						var el = def.fileToElement( file ),
-							loader = uploads.create( file, undefined, def.loaderType );
+							loader;
 
+						// The file could be rejected, so the loader is created only if the element is.
 						if ( el ) {
+							loader = uploads.create( file, undefined, def.loaderType );
+
+							if ( def.uploadAdapter ) {
+								loader.uploadAdapter = def.uploadAdapter;
+							}
+
 							loader[ loadMethod ]( def.uploadUrl, def.additionalRequestParameters );
 
 							CKEDITOR.fileTools.markElement( el, name, loader.id );
@@ -368,7 +375,8 @@
 			 *
 			 * @property {Function} fileToElement
 			 * @param {Blob} file A pasted file to load or upload.
-			 * @returns {CKEDITOR.dom.element} An element which will be transformed into the upload widget.
+			 * @returns {CKEDITOR.dom.element} An element which will be transformed into the upload widget or `null`
+			 * if the file should not be uploaded.
 			 */
 
 			/**
@@ -391,6 +399,14 @@
 			 * @property {Function} [loaderType]
 			 */
 
+			/**
+			 * The {@link CKEDITOR.fileTools.uploadAdapter upload adapter} type used to upload files. If not set,
+			 * {@link CKEDITOR.config#fileTools_uploadAdapter} is used.
+			 *
+			 * @since 4.13.0
+			 * @property {Function} [uploadAdapter]
+			 */
+
 			/**
 			 * An object containing additional data that should be passed to the function defined by {@link #loadMethod}.
 			 *
@@ -0,0 +1,11 @@
+/*
+Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+*/
+CKEDITOR.plugins.setLang( 'wordcount', 'en', {
+	label: 'Word count',
+	words: 'Words: %1',
+	characters: 'Characters: %1',
+	paragraphs: 'Paragraphs: %1',
+	limit: '%1/%2'
+} );
@@ -0,0 +1,544 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @fileOverview The Word Count plugin. Shows the number of words, characters and paragraphs
+ * in the bottom space of the editor and watches the limits set with
+ * {@link CKEDITOR.config#wordCount_softLimits} and {@link CKEDITOR.config#wordCount_hardLimits}.
+ *
+ * The content is counted from the editable, so the syntax of non-HTML data formats, e.g. Markdown or BBCode,
+ * is never counted and the data processor does not run on every change. Temporary elements added by the editor
+ * are skipped. In the source mode the counts of the WYSIWYG content are kept.
+ */
+
+( function() {
+	'use strict';
+
+	var COUNTERS = [ 'words', 'characters', 'paragraphs' ],
+		// Elements which separate words and which are counted as paragraphs when they contain text.
+		blockElements = CKEDITOR.tools.extend( { br: 1 }, CKEDITOR.dtd.$block, CKEDITOR.dtd.$listItem, CKEDITOR.dtd.$tableContent ),
+		// Elements which content is not a text visible to the reader.
+		ignoredElements = { script: 1, style: 1, noscript: 1, template: 1 },
+		// Characters which are not visible and are never counted.
+		invisibleRegex = /[\u200b\u00ad\ufeff]/g,
+		// Entities left after CKEDITOR.tools.htmlDecode, e.g. the ones produced with the entities plugin.
+		entityRegex = /&(?:[a-z][a-z0-9]*|#x[0-9a-f]+|#\d+);/gi,
+		surrogatePairRegex = /[\ud800-\udbff][\udc00-\udfff]/g,
+		whitespaceRegex = /\s+/g,
+		// A word must contain at least one character other than whitespace and punctuation.
+		wordRegex = /[^\s!-\/:-@\[-`{-~\u00a1-\u00bf\u2010-\u2027\u2030-\u205e\u3000-\u303f]/,
+		updateDelay = 200,
+		// This flag prevents appending stylesheet more than once.
+		stylesLoaded = false;
+
+	CKEDITOR.plugins.add( 'wordcount', {
+		lang: 'en',
+
+		init: function( editor ) {
+			var plugin = this,
+				config = editor.config;
+
+			if ( !stylesLoaded ) {
+				CKEDITOR.document.appendStyleSheet( this.path + 'styles/wordcount.css' );
+				stylesLoaded = true;
+			}
+
+			editor._.wordCount = {
+				spaceId: editor.ui.spaceId( 'wordcount' ),
+				counters: getCounters( config.wordCount_counters ),
+				softLimits: config.wordCount_softLimits || {},
+				hardLimits: config.wordCount_hardLimits || {},
+				counts: null,
+				exceeded: {},
+				buffer: CKEDITOR.tools.eventsBuffer( updateDelay, function() {
+					plugin.update( editor );
+				} )
+			};
+
+			// Added after the resizer, so the resizer stays in the corner of the bottom space.
+			editor.on( 'uiSpace', function( evt ) {
+				if ( evt.data.space == 'bottom' ) {
+					evt.data.html += '<span id="' + editor._.wordCount.spaceId + '" class="cke_wordcount" role="status" aria-label="' +
+						CKEDITOR.tools.htmlEncodeAttr( editor.lang.wordcount.label ) + '"></span>';
+				}
+			}, null, null, 101 );
+
+			editor.on( 'change', function() {
+				editor._.wordCount.buffer.input();
+			} );
+
+			editor.on( 'dataReady', function() {
+				editor._.wordCount.buffer.reset();
+				plugin.update( editor );
+			} );
+
+			editor.on( 'destroy', function() {
+				editor._.wordCount.buffer.reset();
+			} );
+
+			if ( config.wordCount_blockInput && editor._.wordCount.hardLimits.characters != null ) {
+				blockInput( editor, plugin );
+			}
+		},
+
+		/**
+		 * Counts words, characters and paragraphs in the current editor content. The HTML of the editable is counted,
+		 * regardless of the data format set with {@link CKEDITOR.editor#dataProcessor}. In the source mode the last counts
+		 * of the WYSIWYG content are returned.
+		 *
+		 *		var counts = editor.plugins.wordcount.getCounts( editor );
+		 *		console.log( counts.words + ' words' );
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.wordcount
+		 * @param {CKEDITOR.editor} editor
+		 * @returns {CKEDITOR.plugins.wordcount.counts}
+		 */
+		getCounts: function( editor ) {
+			var editable = editor.editable(),
+				counts = editor._.wordCount.counts;
+
+			// The source mode editable is a textarea with the data, so it is not counted. The mode itself
+			// is not checked, because it is set only after the data is loaded.
+			if ( !editable || editable.is( 'textarea' ) ) {
+				return counts ? CKEDITOR.tools.extend( {}, counts ) : CKEDITOR.plugins.wordcount.count( '' );
+			}
+
+			return CKEDITOR.plugins.wordcount.count( editable.getHtml(), {
+				countSpaces: editor.config.wordCount_countSpaces !== false
+			} );
+		},
+
+		/**
+		 * Recounts the editor content immediately, updates the counters in the bottom space and fires
+		 * the {@link CKEDITOR.editor#wordCountLimitExceeded} and {@link CKEDITOR.editor#wordCountLimitRestored}
+		 * events for the limits which were crossed since the last update.
+		 *
+		 * The content is recounted automatically shortly after every change, so this method only needs to be called
+		 * when the result is needed right away.
+		 *
+		 * @since 4.13.0
+		 * @member CKEDITOR.plugins.wordcount
+		 * @param {CKEDITOR.editor} editor
+		 * @returns {CKEDITOR.plugins.wordcount.counts}
+		 */
+		update: function( editor ) {
+			var state = editor._.wordCount,
+				counts = this.getCounts( editor );
+
+			state.counts = counts;
+
+			CKEDITOR.tools.array.forEach( COUNTERS, function( counter ) {
+				checkLimit( editor, counter, 'soft', state.softLimits[ counter ], counts[ counter ] );
+				checkLimit( editor, counter, 'hard', state.hardLimits[ counter ], counts[ counter ] );
+			} );
+
+			render( editor );
+
+			editor.fire( 'wordCountUpdate', CKEDITOR.tools.extend( {}, counts ) );
+
+			return counts;
+		}
+	} );
+
+	/**
+	 * The Word Count plugin API.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.wordcount
+	 * @singleton
+	 */
+	CKEDITOR.plugins.wordcount = {
+		/**
+		 * Counts words, characters and paragraphs in an HTML string.
+		 *
+		 *		CKEDITOR.plugins.wordcount.count( '<p>Foo <b>bar</b>.</p><p>Baz</p>' );
+		 *		// -> { words: 3, characters: 11, paragraphs: 2 }
+		 *
+		 * Block elements and `<br>` separate words. Paragraphs are the block elements which contain
+		 * text directly, so for example a list with two items counts as two paragraphs. Whitespace is
+		 * collapsed like it is in the rendered HTML and characters outside of the
+		 * [Basic Multilingual Plane](https://en.wikipedia.org/wiki/Plane_(Unicode)#Basic_Multilingual_Plane),
+		 * like emoji, are counted as a single character. Temporary elements added by the editor, like bookmarks, are skipped.
+		 *
+		 * @param {String} html
+		 * @param {Object} [options]
+		 * @param {Boolean} [options.countSpaces=true] Whether whitespace between words is counted as characters.
+		 * @returns {CKEDITOR.plugins.wordcount.counts}
+		 */
+		count: function( html, options ) {
+			var countSpaces = !options || options.countSpaces !== false,
+				lines = [],
+				counts = {
+					words: 0,
+					characters: 0,
+					paragraphs: 0
+				};
+
+			collect( CKEDITOR.htmlParser.fragment.fromHtml( html ), lines, counts );
+
+			CKEDITOR.tools.array.forEach( lines, function( line ) {
+				line = CKEDITOR.tools.trim( line.replace( whitespaceRegex, ' ' ) );
+
+				if ( !line ) {
+					return;
+				}
+
+				CKEDITOR.tools.array.forEach( line.split( ' ' ), function( word ) {
+					if ( wordRegex.test( word ) ) {
+						counts.words += 1;
+					}
+				} );
+
+				counts.characters += ( countSpaces ? line : line.replace( / /g, '' ) ).length;
+			} );
+
+			return counts;
+		}
+	};
+
+	// Collects the text of the node into lines, where every block element starts a new line.
+	// Returns `true` if the node contains any text outside of nested blocks.
+	function collect( node, lines, counts ) {
+		var hasText = false,
+			i,
+			child,
+			text;
+
+		for ( i = 0; i < node.children.length; i++ ) {
+			child = node.children[ i ];
+
+			if ( child.type == CKEDITOR.NODE_TEXT ) {
+				text = getText( child.value );
+
+				if ( !lines.length ) {
+					lines.push( '' );
+				}
+
+				lines[ lines.length - 1 ] += text;
+				hasText = hasText || /\S/.test( text );
+			} else if ( child.type == CKEDITOR.NODE_ELEMENT && !ignoredElements[ child.name ] && !isTemporary( child ) ) {
+				if ( blockElements[ child.name ] ) {
+					lines.push( '' );
+
+					if ( collect( child, lines, counts ) && child.name != 'br' ) {
+						counts.paragraphs += 1;
+					}
+
+					lines.push( '' );
+				} else {
+					hasText = collect( child, lines, counts ) || hasText;
+				}
+			}
+		}
+
+		// Text which is not wrapped with any block is a paragraph on its own.
+		if ( !node.parent && hasText ) {
+			counts.paragraphs += 1;
+		}
+
+		return hasText;
+	}
+
+	// Temporary elements added by the editor, e.g. bookmarks or the fake selection container, are not a part of the content.
+	function isTemporary( element ) {
+		var attributes = element.attributes;
+
+		return !!( attributes[ 'data-cke-temp' ] || attributes[ 'data-cke-bookmark' ] || attributes[ 'data-cke-hidden-sel' ] );
+	}
+
+	function getText( value ) {
+		return CKEDITOR.tools.htmlDecode( value )
+			.replace( entityRegex, '_' )
+			.replace( invisibleRegex, '' )
+			.replace( surrogatePairRegex, '_' );
+	}
+
+	function getCounters( counters ) {
+		if ( typeof counters != 'string' ) {
+			return COUNTERS.slice();
+		}
+
+		counters = CKEDITOR.tools.array.map( counters.split( ',' ), CKEDITOR.tools.trim );
+
+		return CKEDITOR.tools.array.filter( counters, function( counter ) {
+			return CKEDITOR.tools.indexOf( COUNTERS, counter ) != -1;
+		} );
+	}
+
+	function checkLimit( editor, counter, type, limit, count ) {
+		var exceeded = editor._.wordCount.exceeded,
+			key = counter + ':' + type,
+			wasExceeded = !!exceeded[ key ],
+			isExceeded = limit != null && count > limit;
+
+		if ( wasExceeded == isExceeded ) {
+			return;
+		}
+
+		exceeded[ key ] = isExceeded;
+
+		editor.fire( isExceeded ? 'wordCountLimitExceeded' : 'wordCountLimitRestored', {
+			counter: counter,
+			type: type,
+			limit: limit,
+			count: count
+		} );
+	}
+
+	function render( editor ) {
+		var state = editor._.wordCount,
+			lang = editor.lang.wordcount,
+			space = CKEDITOR.document.getById( state.spaceId ),
+			html = [];
+
+		if ( !space ) {
+			return;
+		}
+
+		CKEDITOR.tools.array.forEach( state.counters, function( counter ) {
+			var limit = state.hardLimits[ counter ] != null ? state.hardLimits[ counter ] : state.softLimits[ counter ],
+				count = state.counts[ counter ],
+				className = 'cke_wordcount_item cke_wordcount_' + counter;
+
+			if ( state.exceeded[ counter + ':hard' ] ) {
+				className += ' cke_wordcount_exceeded';
+			} else if ( state.exceeded[ counter + ':soft' ] ) {
+				className += ' cke_wordcount_warning';
+			}
+
+			html.push( '<span class="' + className + '">' +
+				lang[ counter ].replace( '%1', limit != null ? lang.limit.replace( '%1', count ).replace( '%2', limit ) : count ) +
+				'</span>' );
+		} );
+
+		space.setHtml( html.join( '' ) );
+	}
+
+	// Prevents typing and inserting content which would exceed the hard limit of characters.
+	// Input which replaces selected content is allowed as long as the result fits in the limit.
+	function blockInput( editor, plugin ) {
+		var countSpaces = editor.config.wordCount_countSpaces !== false;
+
+		function exceedsLimit( added, evt ) {
+			var limit = editor._.wordCount.hardLimits.characters,
+				count = plugin.getCounts( editor ).characters + added,
+				removed = 0,
+				selection = editor.getSelection(),
+				ranges = selection && selection.getRanges();
+
+			if ( count <= limit ) {
+				return false;
+			}
+
+			if ( ranges && ranges.length && !ranges[ 0 ].collapsed && !( evt && evt.data && evt.data.range ) ) {
+				removed = CKEDITOR.plugins.wordcount.count( editor.getSelectedHtml( true ), {
+					countSpaces: countSpaces
+				} ).characters;
+			}
+
+			if ( count - removed <= limit ) {
+				return false;
+			}
+
+			editor.fire( 'wordCountInputBlocked', {
+				limit: limit,
+				count: count - removed
+			} );
+
+			return true;
+		}
+
+		function countHtml( html ) {
+			return CKEDITOR.plugins.wordcount.count( html, { countSpaces: countSpaces } ).characters;
+		}
+
+		editor.on( 'contentDom', function() {
+			var editable = editor.editable();
+
+			editable.attachListener( editable, 'keypress', function( evt ) {
+				var $ = evt.data.$,
+					charCode = $.charCode !== undefined ? $.charCode : $.keyCode,
+					character = String.fromCharCode( charCode );
+
+				// Skip control characters and keyboard shortcuts (AltGr is reported as Ctrl+Alt on Windows).
+				if ( charCode < 32 || charCode == 127 || ( ( $.ctrlKey || $.metaKey ) && !$.altKey ) ) {
+					return;
+				}
+
+				if ( !countSpaces && /\s/.test( character ) ) {
+					return;
+				}
+
+				if ( exceedsLimit( 1 ) ) {
+					evt.data.preventDefault();
+				}
+			} );
+		} );
+
+		editor.on( 'insertHtml', function( evt ) {
+			if ( exceedsLimit( countHtml( evt.data.dataValue ), evt ) ) {
+				evt.cancel();
+			}
+		}, null, null, 1 );
+
+		editor.on( 'insertText', function( evt ) {
+			if ( exceedsLimit( countHtml( CKEDITOR.tools.htmlEncode( evt.data ) ) ) ) {
+				evt.cancel();
+			}
+		}, null, null, 1 );
+
+		editor.on( 'insertElement', function( evt ) {
+			if ( exceedsLimit( countHtml( evt.data.getOuterHtml() ) ) ) {
+				evt.cancel();
+			}
+		}, null, null, 1 );
+	}
+
+	/**
+	 * The result of counting the content.
+	 *
+	 * @since 4.13.0
+	 * @class CKEDITOR.plugins.wordcount.counts
+	 * @abstract
+	 */
+
+	/**
+	 * The number of words.
+	 *
+	 * @property {Number} words
+	 */
+
+	/**
+	 * The number of characters. Depends on the {@link CKEDITOR.config#wordCount_countSpaces} option.
+	 *
+	 * @property {Number} characters
+	 */
+
+	/**
+	 * The number of paragraphs, i.e. block elements containing text.
+	 *
+	 * @property {Number} paragraphs
+	 */
+} )();
+
+/**
+ * The counters shown in the bottom space of the editor, as a comma-separated list.
+ * Available counters are `words`, `characters` and `paragraphs`. Limits and events
+ * work also for the counters which are not shown.
+ *
+ *		config.wordCount_counters = 'words,characters';
+ *
+ * @since 4.13.0
+ * @cfg {String} [wordCount_counters='words,characters,paragraphs']
+ * @member CKEDITOR.config
+ */
+
+/**
+ * Whether whitespace between words is counted as characters. Whitespace is collapsed
+ * the same way it is when the HTML is rendered, so a sequence of spaces is counted as a single character.
+ *
+ *		config.wordCount_countSpaces = false;
+ *
+ * @since 4.13.0
+ * @cfg {Boolean} [wordCount_countSpaces=true]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * Soft limits of the counters. Exceeding a soft limit marks the counter as a warning and fires the
+ * {@link CKEDITOR.editor#wordCountLimitExceeded} event, but the content can still be edited freely.
+ *
+ *		config.wordCount_softLimits = { words: 250 };
+ *
+ * @since 4.13.0
+ * @cfg {Object} [wordCount_softLimits={}]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * Hard limits of the counters. Exceeding a hard limit marks the counter as an error and fires the
+ * {@link CKEDITOR.editor#wordCountLimitExceeded} event. The hard limit of characters can also
+ * be enforced with {@link CKEDITOR.config#wordCount_blockInput}.
+ *
+ *		config.wordCount_hardLimits = { words: 300, characters: 2000 };
+ *
+ * @since 4.13.0
+ * @cfg {Object} [wordCount_hardLimits={}]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * Whether typing and inserting content (including pasting and dropping) is blocked when it would
+ * exceed the hard limit of characters set in {@link CKEDITOR.config#wordCount_hardLimits}.
+ * Blocked input fires the {@link CKEDITOR.editor#wordCountInputBlocked} event.
+ *
+ * Note that the content is recounted before every keystroke, which may be noticeable in very long documents,
+ * and that text entered with an input method editor (IME) is not blocked. Content set with
+ * {@link CKEDITOR.editor#setData} is never blocked.
+ *
+ *		config.wordCount_hardLimits = { characters: 140 };
+ *		config.wordCount_blockInput = true;
+ *
+ * @since 4.13.0
+ * @cfg {Boolean} [wordCount_blockInput=false]
+ * @member CKEDITOR.config
+ */
+
+/**
+ * Fired after the content was counted, shortly after every change and when the data is loaded.
+ *
+ * @since 4.13.0
+ * @event wordCountUpdate
+ * @member CKEDITOR.editor
+ * @param {CKEDITOR.editor} editor This editor instance.
+ * @param {CKEDITOR.plugins.wordcount.counts} data
+ */
+
+/**
+ * Fired when a counter exceeds one of its limits.
+ *
+ *		editor.on( 'wordCountLimitExceeded', function( evt ) {
+ *			if ( evt.data.type == 'hard' ) {
+ *				alert( 'The text is too long, please shorten it to ' + evt.data.limit + ' ' + evt.data.counter + '.' );
+ *			}
+ *		} );
+ *
+ * @since 4.13.0
+ * @event wordCountLimitExceeded
+ * @member CKEDITOR.editor
+ * @param {CKEDITOR.editor} editor This editor instance.
+ * @param data
+ * @param {String} data.counter The name of the counter: `words`, `characters` or `paragraphs`.
+ * @param {String} data.type The type of the limit: `soft` or `hard`.
+ * @param {Number} data.limit The limit.
+ * @param {Number} data.count The current value of the counter.
+ */
+
+/**
+ * Fired when a counter which exceeded one of its limits gets back within the limit.
+ *
+ * @since 4.13.0
+ * @event wordCountLimitRestored
+ * @member CKEDITOR.editor
+ * @param {CKEDITOR.editor} editor This editor instance.
+ * @param data
+ * @param {String} data.counter The name of the counter: `words`, `characters` or `paragraphs`.
+ * @param {String} data.type The type of the limit: `soft` or `hard`.
+ * @param {Number} data.limit The limit.
+ * @param {Number} data.count The current value of the counter.
+ */
+
+/**
+ * Fired when typed or inserted content was blocked because of {@link CKEDITOR.config#wordCount_blockInput}.
+ *
+ * @since 4.13.0
+ * @event wordCountInputBlocked
+ * @member CKEDITOR.editor
+ * @param {CKEDITOR.editor} editor This editor instance.
+ * @param data
+ * @param {Number} data.limit The hard limit of characters.
+ * @param {Number} data.count The number of characters the content would have after the input.
+ */
@@ -0,0 +1,177 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,undo,a11ychecker */
+
+( function() {
+	'use strict';
+
+	bender.editor = {
+		config: {
+			allowedContent: true
+		}
+	};
+
+	// Fires the event on the panel, like it was bubbled from the given element.
+	function fire( editor, name, target, data ) {
+		editor.a11yChecker.getElement().fire( name, new CKEDITOR.dom.event( CKEDITOR.tools.extend( { target: target.$ }, data ) ) );
+	}
+
+	function getPanelText( editor, className ) {
+		return editor.a11yChecker.getElement().findOne( '.' + className ).getText();
+	}
+
+	bender.test( {
+		tearDown: function() {
+			this.editor.a11yChecker.hide();
+		},
+
+		'test command toggles the panel': function() {
+			var editor = this.editor,
+				checker = editor.a11yChecker;
+
+			this.editorBot.setHtmlWithSelection( '<p>Fo^o</p>' );
+
+			editor.execCommand( 'a11ychecker' );
+			assert.isTrue( checker.visible, 'Visible' );
+			assert.areSame( '', checker.getElement().getStyle( 'display' ), 'Panel shown' );
+			assert.areSame( CKEDITOR.TRISTATE_ON, editor.getCommand( 'a11ychecker' ).state, 'Command state' );
+			assert.areSame( 'No accessibility issues found', getPanelText( editor, 'cke_a11ychecker_status' ) );
+
+			editor.execCommand( 'a11ychecker' );
+			assert.isFalse( checker.visible, 'Hidden' );
+			assert.areSame( 'none', checker.getElement().getStyle( 'display' ), 'Panel hidden' );
+			assert.areSame( CKEDITOR.TRISTATE_OFF, editor.getCommand( 'a11ychecker' ).state, 'Command state after hide' );
+		},
+
+		'test navigation between issues': function() {
+			var editor = this.editor,
+				checker = editor.a11yChecker;
+
+			this.editorBot.setHtmlWithSelection( '<p>^<img src="foo.png"><a href="#">click here</a></p><h1>Foo</h1><h3>Bar</h3>' );
+			checker.show();
+
+			assert.areSame( 3, checker.issues.length, 'Issues' );
+			assert.areSame( 0, checker.current, 'Current issue' );
+			assert.areSame( 'Issue 1 of 3', getPanelText( editor, 'cke_a11ychecker_status' ) );
+			assert.areSame( 'The image has no alternative text.', getPanelText( editor, 'cke_a11ychecker_message' ) );
+
+			checker.previous();
+			assert.areSame( 2, checker.current, 'Previous' );
+			assert.areSame( 'Issue 3 of 3', getPanelText( editor, 'cke_a11ychecker_status' ) );
+
+			fire( editor, 'click', checker.getElement().findOne( '[data-cke-a11ychecker-action="next"]' ) );
+			assert.areSame( 0, checker.current, 'Next' );
+		},
+
+		'test markers are not a part of the data': function() {
+			var editor = this.editor,
+				checker = editor.a11yChecker,
+				overlay;
+
+			this.editorBot.setHtmlWithSelection( '<p>^<img src="foo.png"><a href="#">click here</a></p>' );
+			checker.show();
+
+			overlay = checker._.overlay.element;
+
+			assert.areSame( 2, overlay.find( '.cke_a11ychecker_marker' ).count(), 'Markers' );
+			assert.areSame( 1, overlay.find( '.cke_a11ychecker_marker_current' ).count(), 'Current marker' );
+			assert.areSame( '<p><img src="foo.png" /><a href="#">click here</a></p>', editor.getData().replace( /\n/g, '' ) );
+
+			checker.hide();
+			assert.isNull( checker._.overlay.element, 'Overlay removed' );
+		},
+
+		'test clicking marker selects issue': function() {
+			var editor = this.editor,
+				checker = editor.a11yChecker,
+				badge;
+
+			this.editorBot.setHtmlWithSelection( '<p>^<img src="foo.png"><a href="#">click here</a></p>' );
+			checker.show();
+
+			badge = checker._.overlay.element.find( '.cke_a11ychecker_badge' ).getItem( 1 );
+			checker._.overlay.element.fire( 'mousedown', new CKEDITOR.dom.event( { target: badge.$ } ) );
+
+			assert.areSame( 1, checker.current );
+		},
+
+		'test fix with input': function() {
+			var editor = this.editor,
+				checker = editor.a11yChecker,
+				field;
+
+			this.editorBot.setHtmlWithSelection( '<p>^<img src="foo.png"></p>' );
+			checker.show();
+
+			field = checker.getElement().findOne( '[data-cke-a11ychecker-field="setAlt"]' );
+			assert.isNotNull( field, 'Fix field' );
+
+			fire( editor, 'click', checker.getElement().findOne( '[data-cke-a11ychecker-fix="setAlt"]' ) );
+			assert.areSame( 1, checker.issues.length, 'Fix without value is not applied' );
+
+			field.setValue( 'A red fox' );
+			fire( editor, 'keydown', field, { keyCode: 13 } );
+
+			assert.areSame( 'A red fox', editor.editable().findOne( 'img' ).getAttribute( 'alt' ), 'Alternative text' );
+			assert.areSame( 0, checker.issues.length, 'Issues after fix' );
+			assert.areSame( 'No accessibility issues found', getPanelText( editor, 'cke_a11ychecker_status' ) );
+		},
+
+		'test fix is undoable': function() {
+			var editor = this.editor,
+				checker = editor.a11yChecker;
+
+			this.editorBot.setHtmlWithSelection( '<h1>Foo</h1><h3>B^ar</h3>' );
+			editor.resetUndo();
+			checker.show();
+
+			assert.isTrue( checker.fix( 'changeLevel' ), 'Fix applied' );
+			assert.areSame( '<h1>Foo</h1><h2>Bar</h2>', editor.getData().replace( /\n/g, '' ) );
+
+			editor.execCommand( 'undo' );
+			assert.areSame( '<h1>Foo</h1><h3>Bar</h3>', editor.getData().replace( /\n/g, '' ) );
+		},
+
+		'test issues are updated after change': function() {
+			var editor = this.editor,
+				checker = editor.a11yChecker;
+
+			this.editorBot.setHtmlWithSelection( '<p>Fo^o</p>' );
+			checker.show();
+
+			editor.editable().findOne( 'p' ).append( CKEDITOR.dom.element.createFromHtml( '<img src="foo.png">', editor.document ) );
+			editor.fire( 'change' );
+
+			wait( function() {
+				assert.areSame( 1, checker.issues.length );
+			}, 400 );
+		},
+
+		'test fixes are disabled in read-only mode': function() {
+			var editor = this.editor,
+				checker = editor.a11yChecker;
+
+			this.editorBot.setHtmlWithSelection( '<p>^<img src="foo.png"></p>' );
+			checker.show();
+			editor.setReadOnly( true );
+
+			try {
+				assert.isTrue( checker.getElement().findOne( '[data-cke-a11ychecker-fix="markDecorative"]' ).$.disabled, 'Button disabled' );
+				assert.isFalse( checker.fix( 'markDecorative' ), 'Fix not applied' );
+			} finally {
+				editor.setReadOnly( false );
+			}
+		},
+
+		'test escape hides the panel': function() {
+			var editor = this.editor,
+				checker = editor.a11yChecker;
+
+			this.editorBot.setHtmlWithSelection( '<p>Fo^o</p>' );
+			checker.show();
+
+			fire( editor, 'keydown', checker.getElement(), { keyCode: 27 } );
+
+			assert.isFalse( checker.visible );
+		}
+	} );
+} )();
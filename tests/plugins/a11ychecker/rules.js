@@ -0,0 +1,193 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,undo,a11ychecker */
+
+( function() {
+	'use strict';
+
+	bender.editor = {
+		config: {
+			allowedContent: true
+		}
+	};
+
+	var a11ychecker;
+
+	function check( editor, html ) {
+		editor.editable().setHtml( html );
+
+		return a11ychecker.check( editor );
+	}
+
+	function getRules( issues ) {
+		return CKEDITOR.tools.array.map( issues, function( issue ) {
+			return issue.rule;
+		} );
+	}
+
+	function getFix( issue, name ) {
+		return CKEDITOR.tools.array.filter( issue.fixes, function( fix ) {
+			return fix.name == name;
+		} )[ 0 ];
+	}
+
+	bender.test( {
+		setUp: function() {
+			a11ychecker = CKEDITOR.plugins.a11ychecker;
+		},
+
+		'test accessible content has no issues': function() {
+			var issues = check( this.editor, '<h1>Title</h1><h2>Section</h2><h3>Subsection</h3><h2>Section</h2>' +
+				'<p><img src="foo.png" alt="A red fox"> <a href="http://ckeditor.com">CKEditor website</a></p>' +
+				'<p><span style="color:#333333">Dark text</span> <span style="background-color:#ffff00">Highlight</span></p>' +
+				'<table><tr><th>Name</th></tr><tr><td>Foo</td></tr></table>' );
+
+			arrayAssert.itemsAreSame( [], getRules( issues ) );
+		},
+
+		'test issues are returned in the document order': function() {
+			var issues = check( this.editor, '<p><a href="#"></a></p><h2>Foo</h2><h4>Bar</h4><p><img src="foo.png"></p>' );
+
+			arrayAssert.itemsAreSame( [ 'emptyLink', 'headingOrder', 'imageAlt' ], getRules( issues ) );
+			assert.isTrue( issues[ 1 ].element.is( 'h4' ), 'Issue element' );
+		},
+
+		'test imageAlt': function() {
+			var issues = check( this.editor, '<p><img src="foo.png"><img src="bar.png" alt="bar.png"><img src="baz.png" alt=""></p>' );
+
+			arrayAssert.itemsAreSame( [ 'imageAlt', 'imageAlt' ], getRules( issues ) );
+			assert.areSame( 'The image has no alternative text.', issues[ 0 ].message );
+			assert.areSame( 'The alternative text of the image is a file name: "bar.png".', issues[ 1 ].message );
+
+			getFix( issues[ 0 ], 'setAlt' ).exec( this.editor, issues[ 0 ].element, 'Foo' );
+			getFix( issues[ 1 ], 'markDecorative' ).exec( this.editor, issues[ 1 ].element );
+
+			assert.areSame( 'Foo', issues[ 0 ].element.getAttribute( 'alt' ), 'Alternative text' );
+			assert.areSame( '', issues[ 1 ].element.getAttribute( 'alt' ), 'Decorative image' );
+			assert.areSame( 0, a11ychecker.check( this.editor ).length, 'Issues after fix' );
+		},
+
+		'test headingOrder': function() {
+			var issues = check( this.editor, '<h3>Foo</h3><h5>Bar</h5><h2>Baz</h2><h4>Qux</h4>' );
+
+			arrayAssert.itemsAreSame( [ 'headingOrder', 'headingOrder' ], getRules( issues ) );
+			assert.areSame( 'Heading 5 follows Heading 3, so a heading level is skipped.', issues[ 0 ].message );
+			assert.areSame( 'Change to Heading 4', issues[ 0 ].fixes[ 0 ].label );
+
+			issues[ 0 ].fixes[ 0 ].exec( this.editor, issues[ 0 ].element );
+
+			assert.areSame( '<h3>Foo</h3><h4>Bar</h4><h2>Baz</h2><h4>Qux</h4>', bender.tools.compatHtml( this.editor.editable().getHtml() ) );
+		},
+
+		'test textContrast': function() {
+			var issues = check( this.editor, '<p><span style="color:#aaaaaa">Light</span> <span style="color:#aaaaaa"></span>' +
+				'<span style="background-color:#000080"><span style="color:rgb(0, 0, 0)">Black on navy</span></span>' +
+				'<span style="color:#777777;font-size:24px">Large</span></p>' );
+
+			arrayAssert.itemsAreSame( [ 'textContrast', 'textContrast', 'textContrast' ], getRules( issues ) );
+			assert.areSame( 'The contrast ratio of the text and its background is 2.32:1, at least 4.5:1 is required.', issues[ 0 ].message );
+			assert.areSame( '', issues[ 1 ].element.getStyle( 'color' ), 'Background color with the default text color' );
+
+			issues[ 0 ].fixes[ 0 ].exec( this.editor, issues[ 0 ].element );
+
+			assert.isNull( issues[ 0 ].element.getParent(), 'The span is removed' );
+			assert.areSame( 'Light', this.editor.editable().getFirst().getFirst().getText(), 'The text is kept' );
+		},
+
+		'test getContrastRatio': function() {
+			assert.areSame( 21, a11ychecker.getContrastRatio( '#000', 'white' ), 'Black on white' );
+			assert.areSame( 1, a11ychecker.getContrastRatio( 'rgb(10, 20, 30)', '#0a141e' ), 'The same color' );
+			assert.areSame( 4.48, a11ychecker.getContrastRatio( '#777777', '#ffffff' ), 'Gray on white' );
+			assert.isNull( a11ychecker.getContrastRatio( 'rgba(0, 0, 0, 0.5)', '#fff' ), 'Transparent color' );
+			assert.isNull( a11ychecker.getContrastRatio( 'inherit', '#fff' ), 'Invalid color' );
+		},
+
+		'test emptyLink': function() {
+			var issues = check( this.editor, '<p><a href="#a"></a><a href="#b"><img src="foo.png" alt="Foo"></a>' +
+				'<a href="#c" title="Foo"></a><a name="anchor"></a><a href="#d"><strong>&#8203;</strong></a></p>' );
+
+			arrayAssert.itemsAreSame( [ 'emptyLink', 'emptyLink' ], getRules( issues ) );
+
+			issues[ 1 ].fixes[ 0 ].exec( this.editor, issues[ 1 ].element );
+
+			assert.areSame( 0, this.editor.editable().find( 'a[href="#d"]' ).count(), 'Link removed' );
+			assert.areSame( 1, this.editor.editable().find( 'strong' ).count(), 'Link content kept' );
+		},
+
+		'test vagueLinkText': function() {
+			var issues = check( this.editor, '<p><a href="#a">Click here</a> <a href="#b">Read more...</a> <a href="#c">here</a>' +
+				' <a href="#d">Read more about lists</a></p>' );
+
+			arrayAssert.itemsAreSame( [ 'vagueLinkText', 'vagueLinkText', 'vagueLinkText' ], getRules( issues ) );
+			assert.areSame( 'The link text "Read more..." does not describe the link target.', issues[ 1 ].message );
+			assert.areSame( 'Link text', issues[ 0 ].fixes[ 0 ].input, 'Fix input' );
+
+			issues[ 0 ].fixes[ 0 ].exec( this.editor, issues[ 0 ].element, 'Getting started guide' );
+
+			assert.areSame( 'Getting started guide', issues[ 0 ].element.getText() );
+		},
+
+		'test vagueLinkText is configurable': function() {
+			var vagueTexts = this.editor.config.a11ychecker_vagueLinkTexts;
+
+			this.editor.config.a11ychecker_vagueLinkTexts = [ 'foo' ];
+
+			try {
+				arrayAssert.itemsAreSame( [ 'vagueLinkText' ],
+					getRules( check( this.editor, '<p><a href="#a">Foo!</a> <a href="#b">Click here</a></p>' ) ) );
+			} finally {
+				this.editor.config.a11ychecker_vagueLinkTexts = vagueTexts;
+			}
+		},
+
+		'test layoutTable': function() {
+			var issues = check( this.editor, '<table><tr><td>Foo</td><td>Bar</td></tr><tr><td>1</td><td>2</td></tr></table>' +
+				'<table role="presentation"><tr><td>Layout</td></tr></table>' );
+
+			arrayAssert.itemsAreSame( [ 'layoutTable', 'layoutTable' ], getRules( issues ) );
+			assert.areSame( 1, issues[ 0 ].fixes.length, 'Fixes of the table without headers' );
+			assert.areSame( 0, issues[ 1 ].fixes.length, 'Fixes of the layout table' );
+
+			issues[ 0 ].fixes[ 0 ].exec( this.editor, issues[ 0 ].element );
+
+			assert.areSame( '<tr><th scope="col">Foo</th><th scope="col">Bar</th></tr><tr><td>1</td><td>2</td></tr>',
+				bender.tools.compatHtml( issues[ 0 ].element.findOne( 'tbody' ).getHtml(), false, true ) );
+		},
+
+		'test disabled rules': function() {
+			this.editor.config.a11ychecker_disabledRules = 'imageAlt, headingOrder';
+
+			try {
+				arrayAssert.itemsAreSame( [ 'emptyLink' ],
+					getRules( check( this.editor, '<h1>Foo</h1><h3>Bar</h3><p><img src="foo.png"><a href="#"></a></p>' ) ) );
+			} finally {
+				delete this.editor.config.a11ychecker_disabledRules;
+			}
+		},
+
+		'test temporary elements are skipped': function() {
+			var issues = check( this.editor, '<p>Foo<span data-cke-temp="1"><img src="foo.png"></span>' +
+				'<span data-cke-bookmark="1" style="display:none"><a href="#"></a></span></p>' );
+
+			assert.areSame( 0, issues.length );
+		},
+
+		'test addRule': function() {
+			a11ychecker.addRule( 'iframeTitle', {
+				elements: { iframe: 1 },
+				check: function( element ) {
+					return element.getAttribute( 'title' ) ? null : { message: 'No title' };
+				}
+			} );
+
+			try {
+				var issues = check( this.editor, '<p>Foo</p><iframe src="about:blank"></iframe>' );
+
+				arrayAssert.itemsAreSame( [ 'iframeTitle' ], getRules( issues ) );
+				assert.areSame( 'No title', issues[ 0 ].message );
+				arrayAssert.isEmpty( issues[ 0 ].fixes );
+			} finally {
+				delete a11ychecker.rules.iframeTitle;
+			}
+		}
+	} );
+} )();
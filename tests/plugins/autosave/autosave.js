@@ -0,0 +1,258 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,undo,autosave */
+
+( function() {
+	'use strict';
+
+	var drafts = {
+			restore: { data: '<p>Draft text added</p>', timestamp: 2000 },
+			discard: { data: '<p>one two three four five SIX seven</p>', timestamp: 2000 },
+			outdated: { data: '<p>Old draft</p>', timestamp: 1000 },
+			identical: { data: '<p>Foo</p>', timestamp: 2000 },
+			offered: { data: '<p>Offered draft</p>', timestamp: 2000 },
+			replaced: { data: '<p>Replaced draft</p>', timestamp: 2000 }
+		},
+		// Synchronous storage, so the drafts are checked before the tests start.
+		storage = {
+			load: function( key, callback ) {
+				callback( drafts[ key ] || null );
+			},
+
+			save: function( key, draft, callback ) {
+				drafts[ key ] = draft;
+				callback( true );
+			},
+
+			remove: function( key, callback ) {
+				delete drafts[ key ];
+				callback( true );
+			}
+		};
+
+	function createEditor( key, startupData, config ) {
+		return {
+			name: key,
+			startupData: startupData,
+			config: CKEDITOR.tools.extend( {
+				autosave_storage: storage,
+				autosave_key: key,
+				autosave_delay: 0
+			}, config || {} )
+		};
+	}
+
+	bender.editors = {
+		restore: createEditor( 'restore', '<p>Draft text</p>' ),
+		discard: createEditor( 'discard', '<p>one two three four five six</p>' ),
+		outdated: createEditor( 'outdated', '<p>Foo</p>', { autosave_dataTimestamp: 1500 } ),
+		identical: createEditor( 'identical', '<p>Foo</p>' ),
+		clean: createEditor( 'clean', '<p>Foo</p>' ),
+		offered: createEditor( 'offered', '<p>Foo</p>' ),
+		replaced: createEditor( 'replaced', '<p>Foo</p>' ),
+		localStorage: {
+			name: 'localStorage',
+			config: {
+				autosave_storage: 'localStorage'
+			}
+		}
+	};
+
+	function click( notification, className ) {
+		notification.element.findOne( '.' + className ).fire( 'click', new CKEDITOR.dom.event( {} ) );
+	}
+
+	bender.test( {
+		'test draft is offered in a notification': function() {
+			var notification = this.editors.restore._.autosave.notification;
+
+			assert.isTrue( notification.isVisible(), 'notification is visible' );
+			assert.areSame( 'warning', notification.type, 'notification type' );
+			assert.areSame( 'Draft text <ins>added</ins>',
+				notification.element.findOne( '.cke_autosave_preview' ).getHtml(), 'preview' );
+		},
+
+		'test preview shows the context of changes': function() {
+			var notification = this.editors.discard._.autosave.notification;
+
+			assert.areSame( '… three four five <del>six</del> <ins>SIX seven</ins>',
+				notification.element.findOne( '.cke_autosave_preview' ).getHtml() );
+		},
+
+		'test restoring the draft': function() {
+			var editor = this.editors.restore,
+				notification = editor._.autosave.notification;
+
+			editor.once( 'autosaveDraftRestore', function( evt ) {
+				resume( function() {
+					assert.areSame( 2000, evt.data.draft.timestamp, 'draft' );
+					assert.areSame( '<p>Draft text added</p>', editor.getData(), 'data' );
+					assert.isFalse( notification.isVisible(), 'notification is hidden' );
+					assert.isNull( editor._.autosave.notification, 'notification is released' );
+				} );
+			} );
+
+			click( notification, 'cke_autosave_restore' );
+			wait();
+		},
+
+		'test discarding the draft': function() {
+			var editor = this.editors.discard,
+				notification = editor._.autosave.notification;
+
+			click( notification, 'cke_autosave_discard' );
+
+			assert.isFalse( notification.isVisible(), 'notification is hidden' );
+			assert.isUndefined( drafts.discard, 'draft is removed' );
+			assert.areSame( '<p>one two three four five six</p>', editor.getData(), 'data' );
+
+			editor.fire( 'change' );
+
+			wait( function() {
+				assert.areSame( '<p>one two three four five six</p>', drafts.discard.data, 'changes are saved again' );
+			}, 20 );
+		},
+
+		'test changes are saved while the draft is offered': function() {
+			var editor = this.editors.offered,
+				notification = editor._.autosave.notification;
+
+			editor.editable().setHtml( '<p>Bar</p>' );
+			editor.fire( 'change' );
+
+			wait( function() {
+				assert.isTrue( notification.isVisible(), 'notification is visible' );
+				assert.areSame( '<p>Bar</p>', drafts.offered.data, 'changes are saved' );
+
+				editor.once( 'autosaveDraftRestore', function() {
+					resume( function() {
+						assert.areSame( '<p>Offered draft</p>', editor.getData(), 'offered draft is restored' );
+					} );
+				} );
+
+				click( notification, 'cke_autosave_restore' );
+				wait();
+			}, 20 );
+		},
+
+		'test discarding the draft keeps the changes saved over it': function() {
+			var editor = this.editors.replaced,
+				notification = editor._.autosave.notification;
+
+			editor.editable().setHtml( '<p>Bar</p>' );
+			editor.fire( 'change' );
+
+			wait( function() {
+				click( notification, 'cke_autosave_discard' );
+
+				assert.isFalse( notification.isVisible(), 'notification is hidden' );
+				assert.areSame( '<p>Bar</p>', drafts.replaced.data, 'changes are kept' );
+			}, 20 );
+		},
+
+		'test outdated draft is removed': function() {
+			var editor = this.editors.outdated;
+
+			assert.isNull( editor._.autosave.notification, 'notification' );
+			assert.isUndefined( drafts.outdated, 'draft' );
+		},
+
+		'test draft identical to the data is not offered': function() {
+			assert.isNull( this.editors.identical._.autosave.notification );
+		},
+
+		'test changes are saved after the delay': function() {
+			var editor = this.editors.clean,
+				saved = [];
+
+			editor.editable().setHtml( '<p>Bar</p>' );
+
+			var listener = editor.on( 'autosave', function( evt ) {
+				saved.push( evt.data.draft );
+			} );
+
+			editor.fire( 'change' );
+			editor.fire( 'change' );
+
+			assert.areSame( 0, saved.length, 'not saved right away' );
+
+			wait( function() {
+				listener.removeListener();
+
+				assert.areSame( 1, saved.length, 'saved once' );
+				assert.areSame( '<p>Bar</p>', saved[ 0 ].data, 'draft data' );
+				assert.isNumber( saved[ 0 ].timestamp, 'draft timestamp' );
+				assert.areSame( saved[ 0 ], drafts.clean, 'stored draft' );
+			}, 20 );
+		},
+
+		'test saving the content removes the draft': function() {
+			var editor = this.editors.clean;
+
+			drafts.clean = { data: '<p>Bar</p>', timestamp: 3000 };
+			editor.fire( 'change' );
+			editor.fire( 'save' );
+
+			wait( function() {
+				assert.isUndefined( drafts.clean );
+			}, 20 );
+		},
+
+		'test cancelling the autosaveDraftFound event': function() {
+			drafts.custom = { data: '<p>Custom</p>', timestamp: 3000 };
+
+			bender.editorBot.create( {
+				name: 'custom',
+				config: {
+					autosave_storage: storage,
+					autosave_key: 'custom',
+					on: {
+						autosaveDraftFound: function( evt ) {
+							evt.cancel();
+						}
+					}
+				}
+			}, function( bot ) {
+				assert.isNull( bot.editor._.autosave.notification, 'notification' );
+				assert.areSame( '<p>Custom</p>', drafts.custom.data, 'draft is kept' );
+				bot.editor.destroy();
+			} );
+		},
+
+		'test the default key': function() {
+			var key = this.editors.localStorage._.autosave.key;
+
+			assert.areSame( 0, key.indexOf( 'ckeditor-autosave:' ), 'prefix' );
+			assert.areSame( key.length - '#localStorage'.length, key.indexOf( '#localStorage' ), 'editor name' );
+		},
+
+		'test the localStorage storage': function() {
+			var localStorage = CKEDITOR.plugins.autosave.localStorage,
+				key = 'ckeditor-autosave-test',
+				draft = { data: '<p>Foo</p>', timestamp: 1000 };
+
+			if ( !window.localStorage ) {
+				assert.ignore();
+			}
+
+			localStorage.save( key, draft, function( success ) {
+				assert.isTrue( success, 'saved' );
+			} );
+
+			localStorage.load( key, function( loaded ) {
+				objectAssert.areEqual( draft, loaded, 'loaded' );
+			} );
+
+			localStorage.remove( key, function( success ) {
+				assert.isTrue( success, 'removed' );
+			} );
+
+			localStorage.load( key, function( loaded ) {
+				assert.isNull( loaded, 'loaded after removing' );
+			} );
+		},
+
+		'test the localStorage storage is used by default': function() {
+			assert.areSame( CKEDITOR.plugins.autosave.localStorage, this.editors.localStorage._.autosave.storage );
+		}
+	} );
+} )();
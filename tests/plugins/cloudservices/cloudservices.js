@@ -79,6 +79,41 @@
 			}
 		},
 
+		'test plugin exposes upload adapter': function() {
+			assert.isInstanceOf( Function, this.cloudservices.cloudServicesUploadAdapter, 'cloudServicesUploadAdapter property type' );
+		},
+
+		'test loader uses cloud services upload adapter': function() {
+			var instance = new this.cloudservices.cloudServicesLoader( this.editor, bender.tools.pngBase64 ),
+				listener = this.editor.once( 'fileUploadRequest', this.commonRequestListener, null, null, 0 );
+
+			try {
+				instance.upload();
+
+				assert.isInstanceOf( this.cloudservices.cloudServicesUploadAdapter, instance.adapter, 'Adapter type' );
+			} finally {
+				listener.removeListener();
+			}
+		},
+
+		'test upload adapter with a plain file loader': function() {
+			var instance = new CKEDITOR.fileTools.fileLoader( this.editor, bender.tools.pngBase64 ),
+				listener = this.editor.once( 'fileUploadRequest', this.commonRequestListener, null, null, 0 );
+
+			instance.uploadAdapter = this.cloudservices.cloudServicesUploadAdapter;
+
+			try {
+				instance.upload( UPLOAD_URL );
+
+				sinon.assert.calledWithExactly( instance.xhr.open, 'POST', UPLOAD_URL, true );
+				sinon.assert.calledWithExactly( instance.xhr.setRequestHeader, 'Authorization', TOKEN_VALUE );
+
+				assert.areSame( 1, instance.xhr.send.callCount, 'Call count' );
+			} finally {
+				listener.removeListener();
+			}
+		},
+
 		'test the token is fetched from cloudServices_tokenUrl': function() {
 			var botDefinition = {
 					startupData: '<p>foo</p>',
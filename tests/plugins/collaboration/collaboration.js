@@ -0,0 +1,158 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,undo,basicstyles,collaboration */
+
+( function() {
+	'use strict';
+
+	bender.editors = {
+		editor1: {
+			name: 'editor1',
+			config: {
+				allowedContent: true
+			}
+		},
+		editor2: {
+			name: 'editor2',
+			config: {
+				allowedContent: true
+			}
+		}
+	};
+
+	function getHtml( editor ) {
+		return editor.editable().getHtml().replace( /​/g, '' );
+	}
+
+	function getText( editor, selector ) {
+		return editor.editable().findOne( selector ).getFirst();
+	}
+
+	// Simulates a change made by the browser.
+	function changeText( editor, selector, value ) {
+		getText( editor, selector ).setText( value );
+		editor.fire( 'change' );
+	}
+
+	bender.test( {
+		setUp: function() {
+			var editors = this.editors,
+				server = this.server = new CKEDITOR.plugins.collaboration.localServer( { autoFlush: false } );
+
+			// Carets are covered by the manual test.
+			this.renderSelections = sinon.stub( CKEDITOR.plugins.collaboration.session.prototype, 'renderSelections' );
+
+			editors.editor1.editable().setHtml( '<p id="a">foo</p><p id="b">bar</p>' );
+			editors.editor2.editable().setHtml( '<p>old</p>' );
+
+			editors.editor1.collaboration.connect( server.createTransport(), { name: 'Alice' } );
+			server.flush();
+			editors.editor2.collaboration.connect( server.createTransport(), { name: 'Bob' } );
+			server.flush();
+		},
+
+		tearDown: function() {
+			this.editors.editor1.collaboration.disconnect();
+			this.editors.editor2.collaboration.disconnect();
+			this.renderSelections.restore();
+		},
+
+		'test the document of the first client is loaded by other clients': function() {
+			var editors = this.editors;
+
+			assert.areSame( '<p id="a">foo</p><p id="b">bar</p>', getHtml( editors.editor2 ) );
+			assert.isTrue( editors.editor2.collaboration.isConnected(), 'connected' );
+			assert.areSame( 0, editors.editor2.collaboration.revision, 'revision' );
+		},
+
+		'test users are listed': function() {
+			var session1 = this.editors.editor1.collaboration,
+				session2 = this.editors.editor2.collaboration;
+
+			assert.areSame( 'Bob', session1.users[ session2.clientId ].user.name, 'joined user' );
+			assert.areSame( 'Alice', session2.users[ session1.clientId ].user.name, 'existing user' );
+
+			session2.disconnect();
+			this.server.flush();
+
+			assert.isUndefined( session1.users[ session2.clientId ], 'left user' );
+		},
+
+		'test local change is sent to other clients': function() {
+			var editors = this.editors;
+
+			changeText( editors.editor1, '#a', 'foxo' );
+			this.server.flush();
+
+			assert.areSame( '<p id="a">foxo</p><p id="b">bar</p>', getHtml( editors.editor2 ) );
+			assert.areSame( 1, editors.editor1.collaboration.revision, 'revision of the sender' );
+			assert.areSame( 1, editors.editor2.collaboration.revision, 'revision of the receiver' );
+		},
+
+		'test concurrent changes converge': function() {
+			var editors = this.editors;
+
+			changeText( editors.editor1, '#a', 'foo1' );
+			editors.editor2.editable().findOne( '#b' ).remove();
+			changeText( editors.editor2, '#a', '2foo' );
+			this.server.flush();
+
+			assert.areSame( '<p id="a">2foo1</p>', getHtml( editors.editor1 ), 'editor1' );
+			assert.areSame( '<p id="a">2foo1</p>', getHtml( editors.editor2 ), 'editor2' );
+			objectAssert.areDeepEqual( this.server.document, editors.editor1.collaboration.model, 'server document' );
+		},
+
+		'test changes made while waiting for acknowledgement are buffered': function() {
+			var editors = this.editors;
+
+			changeText( editors.editor1, '#a', 'foo1' );
+			changeText( editors.editor1, '#a', 'foo12' );
+			changeText( editors.editor2, '#b', 'bar3' );
+			this.server.flush();
+
+			assert.areSame( '<p id="a">foo12</p><p id="b">bar3</p>', getHtml( editors.editor1 ), 'editor1' );
+			assert.areSame( '<p id="a">foo12</p><p id="b">bar3</p>', getHtml( editors.editor2 ), 'editor2' );
+			assert.areSame( 3, this.server.history.length, 'history' );
+		},
+
+		'test local selection is preserved': function() {
+			var editor = this.editors.editor2,
+				range = editor.createRange(),
+				selection;
+
+			editor.focus();
+			range.setStart( getText( editor, '#a' ), 1 );
+			range.setEnd( getText( editor, '#a' ), 2 );
+			editor.getSelection().selectRanges( [ range ] );
+
+			changeText( this.editors.editor1, '#a', 'xyfoo' );
+			this.server.flush();
+
+			selection = editor.getSelection();
+			assert.areSame( '<p id="a">xyfoo</p><p id="b">bar</p>', getHtml( editor ) );
+			assert.areSame( 'o', selection.getSelectedText(), 'selected text' );
+			assert.areSame( 1, editor.editable().findOne( '#a' ).getChildCount(), 'text nodes are merged' );
+			assert.areSame( 0, editor.editable().find( '[data-cke-bookmark]' ).count(), 'no bookmarks' );
+		},
+
+		'test selection of other users': function() {
+			var editor1 = this.editors.editor1,
+				editor2 = this.editors.editor2,
+				range = editor1.createRange(),
+				selection;
+
+			editor1.focus();
+			range.setStart( getText( editor1, '#b' ), 1 );
+			range.collapse( true );
+			editor1.getSelection().selectRanges( [ range ] );
+			editor1.collaboration.sendSelection();
+
+			this.renderSelections.reset();
+			changeText( editor2, '#a', 'xyfoo' );
+			this.server.flush();
+
+			selection = editor2.collaboration.users[ editor1.collaboration.clientId ].selection;
+			assert.isTrue( this.renderSelections.called, 'selections rendered' );
+			objectAssert.areDeepEqual( [ { start: { path: [ 1, 0 ], offset: 1 }, end: { path: [ 1, 0 ], offset: 1 } } ], selection.ranges );
+		}
+	} );
+} )();
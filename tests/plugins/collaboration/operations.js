@@ -0,0 +1,178 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: collaboration */
+
+( function() {
+	'use strict';
+
+	var operations;
+
+	function text( value ) {
+		return { type: CKEDITOR.NODE_TEXT, value: value };
+	}
+
+	function element( name, children, attributes ) {
+		return { type: CKEDITOR.NODE_ELEMENT, name: name, attributes: attributes || {}, children: children || [] };
+	}
+
+	function clone( object ) {
+		return JSON.parse( JSON.stringify( object ) );
+	}
+
+	function applyAll( nodes, ops ) {
+		nodes = clone( nodes );
+
+		for ( var i = 0; i < ops.length; i++ ) {
+			operations.apply( nodes, ops[ i ] );
+		}
+
+		return nodes;
+	}
+
+	// Checks that applying concurrent operations in both orders gives the same result.
+	function assertConverge( nodes, a, b, expected ) {
+		var result = operations.transformLists( a, b, true ),
+			ab = applyAll( applyAll( nodes, a ), result[ 1 ] ),
+			ba = applyAll( applyAll( nodes, b ), result[ 0 ] );
+
+		assert.areSame( JSON.stringify( ab ), JSON.stringify( ba ), 'converged' );
+
+		if ( expected ) {
+			objectAssert.areDeepEqual( expected, ab, 'result' );
+		}
+	}
+
+	bender.test( {
+		setUp: function() {
+			operations = CKEDITOR.plugins.collaboration.operations;
+		},
+
+		'test diff of text': function() {
+			var ops = operations.diff( [ element( 'p', [ text( 'foobar' ) ] ) ], [ element( 'p', [ text( 'fooxbr' ) ] ) ] );
+
+			objectAssert.areDeepEqual( [
+				{ type: 'insertText', path: [ 0, 0 ], offset: 3, text: 'xb' },
+				{ type: 'removeText', path: [ 0, 0 ], offset: 5, text: 'ba' }
+			], ops );
+		},
+
+		'test diff of split paragraph keeps the first one': function() {
+			var ops = operations.diff(
+				[ element( 'p', [ text( 'foobar' ) ] ) ],
+				[ element( 'p', [ text( 'foo' ) ] ), element( 'p', [ text( 'bar' ) ] ) ] );
+
+			objectAssert.areDeepEqual( [
+				{ type: 'removeText', path: [ 0, 0 ], offset: 3, text: 'bar' },
+				{ type: 'insertNode', path: [ 1 ], node: element( 'p', [ text( 'bar' ) ] ) }
+			], ops );
+		},
+
+		'test diff of attributes': function() {
+			var ops = operations.diff(
+				[ element( 'p', [], { title: 'a', dir: 'rtl' } ) ],
+				[ element( 'p', [], { title: 'b', lang: 'en' } ) ] );
+
+			objectAssert.areDeepEqual( [
+				{ type: 'setAttribute', path: [ 0 ], key: 'dir', value: null, oldValue: 'rtl' },
+				{ type: 'setAttribute', path: [ 0 ], key: 'title', value: 'b', oldValue: 'a' },
+				{ type: 'setAttribute', path: [ 0 ], key: 'lang', value: 'en', oldValue: null }
+			], ops );
+		},
+
+		'test applying diff gives the new model': function() {
+			var pairs = [
+				[ [], [ element( 'p', [ text( 'a' ) ] ) ] ],
+				[ [ element( 'p', [ text( 'a' ), element( 'b', [ text( 'b' ) ] ), text( 'c' ) ] ) ], [ element( 'p', [ text( 'ac' ) ] ) ] ],
+				[ [ element( 'p' ), element( 'ul', [ element( 'li' ) ] ) ], [ element( 'ul', [ element( 'li' ), element( 'li' ) ] ) ] ],
+				[ [ element( 'h1', [ text( 'x' ) ] ), element( 'p' ) ], [ element( 'h2', [ text( 'x' ) ] ), element( 'p', [], { 'class': 'y' } ) ] ]
+			];
+
+			for ( var i = 0; i < pairs.length; i++ ) {
+				objectAssert.areDeepEqual( pairs[ i ][ 1 ], applyAll( pairs[ i ][ 0 ], operations.diff( pairs[ i ][ 0 ], pairs[ i ][ 1 ] ) ), 'pair ' + i );
+			}
+		},
+
+		'test concurrent text insertions at the same offset': function() {
+			var nodes = [ element( 'p', [ text( 'ab' ) ] ) ];
+
+			assertConverge( nodes,
+				[ { type: 'insertText', path: [ 0, 0 ], offset: 1, text: 'x' } ],
+				[ { type: 'insertText', path: [ 0, 0 ], offset: 1, text: 'y' } ],
+				[ element( 'p', [ text( 'axyb' ) ] ) ] );
+		},
+
+		'test text insertion inside removed text': function() {
+			var nodes = [ element( 'p', [ text( 'abcdefg' ) ] ) ];
+
+			assertConverge( nodes,
+				[ { type: 'removeText', path: [ 0, 0 ], offset: 2, text: 'cdef' } ],
+				[ { type: 'insertText', path: [ 0, 0 ], offset: 4, text: 'XY' } ],
+				[ element( 'p', [ text( 'abXYg' ) ] ) ] );
+		},
+
+		'test overlapping text removals': function() {
+			var nodes = [ element( 'p', [ text( 'abcdefg' ) ] ) ];
+
+			assertConverge( nodes,
+				[ { type: 'removeText', path: [ 0, 0 ], offset: 1, text: 'bcd' } ],
+				[ { type: 'removeText', path: [ 0, 0 ], offset: 3, text: 'def' } ],
+				[ element( 'p', [ text( 'ag' ) ] ) ] );
+		},
+
+		'test text change inside removed node': function() {
+			var nodes = [ element( 'p', [ text( 'a' ) ] ), element( 'p', [ text( 'b' ) ] ) ];
+
+			assertConverge( nodes,
+				[ { type: 'removeNode', path: [ 0 ] } ],
+				[ { type: 'insertText', path: [ 0, 0 ], offset: 1, text: 'x' } ],
+				[ element( 'p', [ text( 'b' ) ] ) ] );
+		},
+
+		'test node insertions at the same position': function() {
+			var nodes = [ element( 'p' ) ];
+
+			assertConverge( nodes,
+				[ { type: 'insertNode', path: [ 0 ], node: element( 'h1' ) } ],
+				[ { type: 'insertNode', path: [ 0 ], node: element( 'h2' ) } ],
+				[ element( 'h1' ), element( 'h2' ), element( 'p' ) ] );
+		},
+
+		'test node insertion shifts paths of following nodes': function() {
+			var nodes = [ element( 'p', [ text( 'a' ) ] ), element( 'p', [ text( 'b' ) ] ) ];
+
+			assertConverge( nodes,
+				[ { type: 'insertNode', path: [ 1 ], node: element( 'hr' ) } ],
+				[ { type: 'insertText', path: [ 1, 0 ], offset: 0, text: 'x' }, { type: 'removeNode', path: [ 0 ] } ],
+				[ element( 'hr' ), element( 'p', [ text( 'xb' ) ] ) ] );
+		},
+
+		'test concurrent attribute changes': function() {
+			var nodes = [ element( 'p', [], { title: 'a' } ) ];
+
+			assertConverge( nodes,
+				[ { type: 'setAttribute', path: [ 0 ], key: 'title', value: 'b', oldValue: 'a' } ],
+				[ { type: 'setAttribute', path: [ 0 ], key: 'title', value: 'c', oldValue: 'a' } ],
+				[ element( 'p', [], { title: 'b' } ) ] );
+		},
+
+		'test lists of operations': function() {
+			var nodes = [ element( 'p', [ text( 'foo' ) ] ) ],
+				a = operations.diff( nodes, [ element( 'p', [ text( 'fo' ) ] ), element( 'p', [ text( 'o!' ) ] ) ] ),
+				b = operations.diff( nodes, [ element( 'h1', [ text( 'foo' ) ] ), element( 'p', [ text( 'bar' ) ] ) ] );
+
+			assertConverge( nodes, a, b );
+		},
+
+		'test position transformation': function() {
+			var position = { path: [ 1, 0 ], offset: 2 };
+
+			objectAssert.areDeepEqual( { path: [ 2, 0 ], offset: 2 },
+				operations.transformPosition( position, { type: 'insertNode', path: [ 0 ], node: element( 'p' ) } ), 'insertNode' );
+			objectAssert.areDeepEqual( { path: [ 1, 0 ], offset: 4 },
+				operations.transformPosition( position, { type: 'insertText', path: [ 1, 0 ], offset: 1, text: 'xy' } ), 'insertText' );
+			objectAssert.areDeepEqual( { path: [ 1, 0 ], offset: 1 },
+				operations.transformPosition( position, { type: 'removeText', path: [ 1, 0 ], offset: 1, text: 'xyz' } ), 'removeText' );
+			objectAssert.areDeepEqual( { path: [], offset: 1 },
+				operations.transformPosition( position, { type: 'removeNode', path: [ 1 ] } ), 'removeNode' );
+		}
+	} );
+} )();
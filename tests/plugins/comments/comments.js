@@ -0,0 +1,308 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,undo,basicstyles,removeformat,comments */
+
+( function() {
+	'use strict';
+
+	bender.editor = {
+		config: {
+			comments_author: 'Alice'
+		}
+	};
+
+	function anchor( id ) {
+		return '<span data-comment-id="' + id + '">';
+	}
+
+	function clean( html ) {
+		return html.replace( /\u200b/g, '' );
+	}
+
+	bender.test( {
+		setUp: function() {
+			this.plugin = this.editor.plugins.comments;
+			this.editor._.comments.threads = {};
+			this.editor._.comments.removed = {};
+			this.editor._.comments.balloon.hide();
+		},
+
+		'test adding a thread anchors it in the content': function() {
+			var bot = this.editorBot,
+				editor = bot.editor,
+				thread;
+
+			bot.setHtmlWithSelection( '<p>fo[ob]ar</p>' );
+			thread = this.plugin.add( editor, editor.getSelection().getRanges()[ 0 ], 'Rephrase.' );
+
+			assert.areSame( '<p>fo' + anchor( thread.id ) + 'ob</span>ar</p>', editor.getData().replace( /\n/g, '' ) );
+			assert.areSame( 1, thread.comments.length, 'first comment' );
+			assert.areSame( 'Rephrase.', thread.comments[ 0 ].content, 'comment content' );
+			assert.areSame( 'Alice', thread.comments[ 0 ].author, 'comment author' );
+			assert.isFalse( thread.resolved, 'not resolved' );
+			assert.areSame( thread, this.plugin.getThread( editor, thread.id ), 'getThread' );
+			assert.areSame( '<p>fo' + anchor( thread.id ) + '[ob]</span>ar</p>', clean( bot.htmlWithSelection() ), 'selection preserved' );
+		},
+
+		'test adding a thread to a collapsed range does nothing': function() {
+			var bot = this.editorBot,
+				editor = bot.editor;
+
+			bot.setHtmlWithSelection( '<p>fo^obar</p>' );
+
+			assert.isNull( this.plugin.add( editor, editor.getSelection().getRanges()[ 0 ], 'Rephrase.' ) );
+			assert.areSame( '<p>foobar</p>', editor.editable().getHtml() );
+		},
+
+		'test thread spanning multiple blocks': function() {
+			var bot = this.editorBot,
+				editor = bot.editor,
+				thread;
+
+			bot.setHtmlWithSelection( '<p>f[oo</p><p>ba]r</p>' );
+			thread = this.plugin.add( editor, editor.getSelection().getRanges()[ 0 ], 'Both.' );
+
+			assert.areSame( 2, this.plugin.getAnchors( editor, thread.id ).length, 'two anchors' );
+			assert.areSame( 1, this.plugin.getThreads( editor ).length, 'one thread' );
+		},
+
+		'test replying adds a comment and fires commentAdd': function() {
+			var bot = this.editorBot,
+				editor = bot.editor,
+				thread,
+				fired = [],
+				listener = editor.on( 'commentAdd', function( evt ) {
+					fired.push( evt.data );
+				} );
+
+			bot.setHtmlWithSelection( '<p>[foo]</p>' );
+			thread = this.plugin.add( editor, editor.getSelection().getRanges()[ 0 ], 'First.' );
+			this.plugin.reply( editor, thread.id, { content: 'Second.', author: 'Bob' } );
+			listener.removeListener();
+
+			assert.areSame( 2, fired.length, 'two events' );
+			assert.areSame( thread, fired[ 1 ].thread, 'event thread' );
+			assert.areSame( 'Second.', fired[ 1 ].comment.content, 'event comment' );
+			assert.areSame( 'Bob', thread.comments[ 1 ].author, 'custom author' );
+			assert.isNull( this.plugin.reply( editor, 'unknown', 'Third.' ), 'unknown thread' );
+		},
+
+		'test removing a thread': function() {
+			var bot = this.editorBot,
+				editor = bot.editor,
+				thread,
+				removed;
+
+			bot.setHtmlWithSelection( '<p>[foo]bar</p>' );
+			thread = this.plugin.add( editor, editor.getSelection().getRanges()[ 0 ], 'First.' );
+
+			editor.once( 'commentThreadRemove', function( evt ) {
+				removed = evt.data.thread;
+			} );
+
+			assert.isTrue( this.plugin.remove( editor, thread.id ) );
+			assert.areSame( thread, removed, 'event fired' );
+			assert.areSame( '<p>foobar</p>', editor.editable().getHtml(), 'anchor removed' );
+			assert.isNull( this.plugin.getThread( editor, thread.id ), 'thread removed' );
+			assert.isFalse( this.plugin.remove( editor, thread.id ), 'already removed' );
+		},
+
+		'test resolving a thread': function() {
+			var bot = this.editorBot,
+				editor = bot.editor,
+				thread,
+				resolved;
+
+			bot.setHtmlWithSelection( '<p>[foo]bar</p>' );
+			thread = this.plugin.add( editor, editor.getSelection().getRanges()[ 0 ], 'First.' );
+
+			editor.once( 'commentThreadResolve', function( evt ) {
+				resolved = evt.data.thread;
+			} );
+
+			assert.isTrue( this.plugin.resolve( editor, thread.id ) );
+			assert.areSame( thread, resolved, 'event fired' );
+			assert.isTrue( thread.resolved, 'thread resolved' );
+			assert.areSame( '<p>foobar</p>', editor.editable().getHtml(), 'anchor removed' );
+			assert.areSame( thread, this.plugin.getThread( editor, thread.id ), 'thread kept' );
+			assert.isFalse( this.plugin.resolve( editor, thread.id ), 'already resolved' );
+		},
+
+		'test anchors survive undo and redo': function() {
+			var bot = this.editorBot,
+				editor = bot.editor,
+				thread;
+
+			bot.setHtmlWithSelection( '<p>[foo]bar</p>' );
+			editor.resetUndo();
+			thread = this.plugin.add( editor, editor.getSelection().getRanges()[ 0 ], 'First.' );
+			this.plugin.remove( editor, thread.id );
+
+			editor.execCommand( 'undo' );
+			assert.areSame( '<p>' + anchor( thread.id ) + 'foo</span>bar</p>', clean( editor.editable().getHtml() ), 'undo remove' );
+
+			editor.execCommand( 'undo' );
+			assert.areSame( '<p>foobar</p>', clean( editor.editable().getHtml() ), 'undo add' );
+
+			editor.execCommand( 'redo' );
+			assert.areSame( '<p>' + anchor( thread.id ) + 'foo</span>bar</p>', clean( editor.editable().getHtml() ), 'redo add' );
+		},
+
+		'test undoing removal restores the thread': function() {
+			var bot = this.editorBot,
+				editor = bot.editor,
+				thread,
+				restored;
+
+			bot.setHtmlWithSelection( '<p>[foo]bar</p>' );
+			editor.resetUndo();
+			thread = this.plugin.add( editor, editor.getSelection().getRanges()[ 0 ], 'First.' );
+			this.plugin.remove( editor, thread.id );
+
+			editor.once( 'commentThreadRestore', function( evt ) {
+				restored = evt.data.thread;
+			} );
+
+			editor.execCommand( 'undo' );
+			assert.areSame( thread, restored, 'event fired' );
+			assert.areSame( thread, this.plugin.getThread( editor, thread.id ), 'getThread' );
+			assert.areSame( thread, this.plugin.getThreads( editor )[ 0 ], 'getThreads' );
+
+			editor.execCommand( 'redo' );
+			assert.areSame( '<p>foobar</p>', clean( editor.editable().getHtml() ), 'redo remove' );
+
+			editor.execCommand( 'undo' );
+			assert.areSame( '<p>' + anchor( thread.id ) + 'foo</span>bar</p>', clean( editor.editable().getHtml() ), 'undo remove again' );
+			assert.areSame( thread, this.plugin.getThreads( editor )[ 0 ], 'thread anchored again' );
+		},
+
+		'test remove format keeps anchors': function() {
+			var bot = this.editorBot,
+				editor = bot.editor;
+
+			this.plugin.load( editor, [ { id: 't1', comments: [] } ] );
+			bot.setHtmlWithSelection( '<p>[' + anchor( 't1' ) + 'f<strong>oo</strong></span>bar]</p>' );
+			bot.execCommand( 'removeFormat' );
+
+			assert.areSame( '<p>' + anchor( 't1' ) + 'foo</span>bar</p>', editor.getData().replace( /\n/g, '' ) );
+			assert.areSame( 1, this.plugin.getThreads( editor ).length, 'thread anchored' );
+		},
+
+		'test loading threads for existing anchors': function() {
+			var editor = this.editor,
+				plugin = this.plugin,
+				source = {
+					id: 't1',
+					comments: [ { id: 'c1', author: 'Bob', content: 'Hello.', timestamp: 1546300800000 } ]
+				};
+
+			this.editorBot.setData( '<p>' + anchor( 't1' ) + 'foo</span></p>', function() {
+				plugin.load( editor, [ source ] );
+
+				var threads = plugin.getThreads( editor );
+
+				assert.areSame( 1, threads.length, 'thread loaded' );
+				assert.areSame( 'Hello.', threads[ 0 ].comments[ 0 ].content, 'comment loaded' );
+				assert.areNotSame( source.comments[ 0 ], threads[ 0 ].comments[ 0 ], 'comments are copied' );
+				assert.isFalse( threads[ 0 ].resolved, 'not resolved' );
+			} );
+		},
+
+		'test pasting a copy of anchored content strips anchors': function() {
+			var editor = this.editor,
+				data;
+
+			this.editorBot.setHtmlWithSelection( '<p>' + anchor( 't1' ) + 'foo</span>^</p>' );
+			this.plugin.load( editor, [ { id: 't1', comments: [] } ] );
+
+			data = editor.fire( 'paste', { type: 'html', dataValue: '<b>' + anchor( 't1' ) + 'foo</span></b>' } );
+
+			assert.areSame( '<b>foo</b>', data.dataValue );
+		},
+
+		'test pasting anchors of an unknown thread strips them': function() {
+			var editor = this.editor,
+				data;
+
+			this.editorBot.setHtmlWithSelection( '<p>foo^</p>' );
+
+			data = editor.fire( 'paste', { type: 'html', dataValue: anchor( 'unknown' ) + 'foo</span>' } );
+
+			assert.areSame( 'foo', data.dataValue );
+		},
+
+		'test pasting cut anchored content keeps anchors': function() {
+			var editor = this.editor,
+				html = anchor( 't1' ) + 'foo</span>',
+				data;
+
+			this.editorBot.setHtmlWithSelection( '<p>bar^</p>' );
+			this.plugin.load( editor, [ { id: 't1', comments: [] } ] );
+
+			data = editor.fire( 'paste', { type: 'html', dataValue: html } );
+
+			assert.areSame( html, data.dataValue );
+		},
+
+		'test command state depends on selection': function() {
+			var bot = this.editorBot,
+				command = bot.editor.getCommand( 'addComment' );
+
+			bot.setHtmlWithSelection( '<p>fo^o</p>' );
+			bot.editor.selectionChange( true );
+			assert.areSame( CKEDITOR.TRISTATE_DISABLED, command.state, 'collapsed' );
+
+			bot.setHtmlWithSelection( '<p>f[o]o</p>' );
+			bot.editor.selectionChange( true );
+			assert.areSame( CKEDITOR.TRISTATE_OFF, command.state, 'not collapsed' );
+		},
+
+		'test balloon creates a new thread': function() {
+			var bot = this.editorBot,
+				editor = bot.editor,
+				balloon = editor._.comments.balloon,
+				threads;
+
+			bot.setHtmlWithSelection( '<p>f[oo]</p>' );
+			editor.selectionChange( true );
+			editor.execCommand( 'addComment' );
+
+			assert.isTrue( balloon.panel.rect.visible, 'panel visible' );
+
+			balloon.getInput().setValue( 'New <b>thread</b>' );
+			balloon.panel.parts.content.fire( 'click', new CKEDITOR.dom.event( {
+				target: balloon.panel.parts.content.findOne( '[data-cke-comments-action="submit"]' ).$
+			} ) );
+
+			threads = this.plugin.getThreads( editor );
+			assert.areSame( 1, threads.length, 'thread created' );
+			assert.areSame( 'New <b>thread</b>', threads[ 0 ].comments[ 0 ].content, 'comment content' );
+			assert.areSame( '<p>f' + anchor( threads[ 0 ].id ) + 'oo</span></p>', clean( editor.editable().getHtml() ) );
+		},
+
+		'test balloon shows the thread at selection': function() {
+			var bot = this.editorBot,
+				editor = bot.editor,
+				balloon = editor._.comments.balloon,
+				content;
+
+			this.plugin.load( editor, [ {
+				id: 't1',
+				comments: [ { id: 'c1', author: 'Bob', content: '<b>Hi</b>', timestamp: 1546300800000 } ]
+			} ] );
+			bot.setHtmlWithSelection( '<p>' + anchor( 't1' ) + 'fo^o</span></p>' );
+			editor.selectionChange( true );
+
+			content = balloon.panel.parts.content;
+			assert.isTrue( balloon.panel.rect.visible, 'panel visible' );
+			assert.areSame( 1, content.find( 'li' ).count(), 'one comment' );
+			assert.areSame( '<b>Hi</b>', content.findOne( '.cke_comments_content' ).getText(), 'content is encoded' );
+
+			content.fire( 'click', new CKEDITOR.dom.event( {
+				target: content.findOne( '[data-cke-comments-action="resolve"]' ).$
+			} ) );
+
+			assert.isTrue( this.plugin.getThread( editor, 't1' ).resolved, 'resolved' );
+			assert.isFalse( balloon.panel.rect.visible, 'panel hidden' );
+		}
+	} );
+} )();
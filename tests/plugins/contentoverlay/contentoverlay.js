@@ -0,0 +1,116 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,contentoverlay */
+
+( function() {
+	'use strict';
+
+	bender.editors = {
+		classic: {
+			name: 'classic'
+		},
+
+		inline: {
+			name: 'inline',
+			creator: 'inline'
+		}
+	};
+
+	bender.test( {
+		'test overlay is placed next to the body of classic editor': function() {
+			var editor = this.editors.classic,
+				overlay = new CKEDITOR.plugins.contentOverlay.overlay( editor, 'foo_overlay' ),
+				element = overlay.reset( true );
+
+			assert.isTrue( element.getParent().equals( editor.document.getDocumentElement() ), 'Parent' );
+			assert.isTrue( element.hasClass( 'foo_overlay' ), 'Class' );
+			assert.areSame( '1', element.data( 'cke-temp' ), 'Temporary' );
+
+			overlay.remove();
+			assert.isNull( overlay.element, 'Removed' );
+			assert.isNull( element.getParent(), 'Detached' );
+		},
+
+		'test overlay is placed in the main document for inline editor': function() {
+			var editor = this.editors.inline,
+				overlay = new CKEDITOR.plugins.contentOverlay.overlay( editor, 'foo_overlay' ),
+				element = overlay.reset( true );
+
+			assert.isTrue( element.getParent().equals( CKEDITOR.document.getBody() ), 'Parent' );
+
+			overlay.remove();
+		},
+
+		'test reset clears and removes overlay': function() {
+			var overlay = new CKEDITOR.plugins.contentOverlay.overlay( this.editors.classic, 'foo_overlay' ),
+				created = sinon.spy(),
+				element;
+
+			overlay.on( 'create', created );
+
+			element = overlay.reset( true );
+			overlay.draw( { top: 1, left: 2, width: 3 } );
+
+			assert.areSame( element, overlay.reset( true ), 'Element reused' );
+			assert.areSame( 0, element.getChildCount(), 'Element cleared' );
+			assert.areSame( 1, created.callCount, 'Create fired once' );
+			assert.areSame( element, created.firstCall.args[ 0 ].data, 'Event data' );
+
+			assert.isNull( overlay.reset( false ), 'Nothing to draw' );
+			assert.isNull( overlay.element, 'Element removed' );
+		},
+
+		'test draw positions element': function() {
+			var overlay = new CKEDITOR.plugins.contentOverlay.overlay( this.editors.classic, 'foo_overlay' ),
+				marker,
+				box;
+
+			overlay.reset( true );
+			overlay._.scroll = { x: 5, y: 100 };
+
+			marker = overlay.draw( { top: 10, left: 20, width: 30 }, { 'class': 'foo_marker' } );
+			box = overlay.draw( { top: 10, left: 20, width: 30, height: 40 }, null, { 'background-color': 'red' } );
+
+			assert.isTrue( marker.hasClass( 'foo_marker' ), 'Marker class' );
+			assert.areSame( '110px', marker.getStyle( 'top' ), 'Marker top' );
+			assert.areSame( '25px', marker.getStyle( 'left' ), 'Marker left' );
+			assert.areSame( '30px', marker.getStyle( 'width' ), 'Marker width' );
+			assert.areSame( '', marker.getStyle( 'height' ), 'Marker height' );
+			assert.areSame( '40px', box.getStyle( 'height' ), 'Box height' );
+			assert.areSame( 'red', box.getStyle( 'background-color' ), 'Box background' );
+			assert.areSame( 2, overlay.element.getChildCount(), 'Children' );
+
+			overlay.remove();
+		},
+
+		'test overlay is not a part of the data': function() {
+			var editor = this.editors.inline,
+				overlay = new CKEDITOR.plugins.contentOverlay.overlay( editor, 'foo_overlay' );
+
+			editor.editable().setHtml( '<p>foo</p>' );
+			overlay.reset( true );
+			overlay.draw( { top: 0, left: 0, width: 10, height: 10 } );
+
+			assert.areSame( '<p>foo</p>', editor.getData().replace( /\n/g, '' ) );
+
+			overlay.remove();
+		},
+
+		'test isTemporary': function() {
+			var isTemporary = CKEDITOR.plugins.contentOverlay.isTemporary,
+				root = CKEDITOR.dom.element.createFromHtml( '<div><span data-cke-bookmark="1"><b>foo</b></span>' +
+					'<span data-cke-temp="1"></span><span data-cke-hidden-sel="1"></span><span data-cke-widget-drag-handler="1">' +
+					'</span><span class="cke_widget_drag_handler_container"></span><i>bar</i></div>' ),
+				children = root.getChildren(),
+				bold = root.findOne( 'b' );
+
+			for ( var i = 0; i < 5; i++ ) {
+				assert.isTrue( isTemporary( children.getItem( i ) ), 'Element ' + i );
+			}
+
+			assert.isFalse( isTemporary( children.getItem( 5 ) ), 'Content element' );
+			assert.isFalse( isTemporary( bold ), 'Ancestors are not checked without root' );
+			assert.isTrue( isTemporary( bold, root ), 'Ancestors are checked with root' );
+			assert.isFalse( isTemporary( root, root ), 'Root itself' );
+		}
+	} );
+} )();
@@ -0,0 +1,340 @@
+/* bender-tags: editor,clipboard,filetools */
+/* bender-ckeditor-plugins: filetools */
+/* bender-include: _helpers/tools.js */
+/* global fileTools */
+
+'use strict';
+
+( function() {
+	// IE/Edge doesn't support File constructor, so there is a need to mimic it.
+	fileTools.mockFileType();
+
+	var UPLOAD_URL = 'http://url/upload',
+		// The test file has 82 bytes, so it is sent in three chunks.
+		STORAGE_KEY = 'ckeditor-upload:' + UPLOAD_URL + ':name.png:82:',
+		FileLoader, testFile, xhr, requests, chunks,
+		editorMock = {};
+
+	function createLoader() {
+		var loader = new FileLoader( editorMock, testFile );
+
+		loader.uploadAdapter = CKEDITOR.fileTools.chunkedUploadAdapter;
+
+		return loader;
+	}
+
+	// Responds to the last request with the offset of the next chunk.
+	function respondChunk( offset, uploadId ) {
+		requests[ requests.length - 1 ].respond( 200, {}, JSON.stringify( { uploadId: uploadId || 'abc', offset: offset } ) );
+	}
+
+	function respondLastChunk() {
+		requests[ requests.length - 1 ].respond( 200, {}, JSON.stringify( {
+			uploaded: 1,
+			fileName: 'name.png',
+			url: 'http://url/name.png'
+		} ) );
+	}
+
+	function getChunk( index ) {
+		return chunks[ index ].requestData;
+	}
+
+	function clearStorage() {
+		try {
+			window.localStorage.removeItem( STORAGE_KEY );
+		} catch ( e ) {}
+	}
+
+	// For unknown reason plugin is not loaded if the code coverage is enabled
+	// and there is no editor instance.
+	bender.editor = {
+		config: {
+			extraPlugins: 'filetools,clipboard'
+		}
+	};
+
+	bender.test( {
+		init: function() {
+			CKEDITOR.event.implementOn( editorMock );
+			CKEDITOR.plugins.get( 'filetools' ).beforeInit( editorMock );
+
+			editorMock.on( 'fileUploadRequest', function( evt ) {
+				chunks.push( {
+					requestData: CKEDITOR.tools.extend( {}, evt.data.requestData ),
+					chunk: evt.data.chunk
+				} );
+			}, null, null, 998 );
+		},
+
+		setUp: function() {
+			if ( !CKEDITOR.plugins.clipboard.isFileApiSupported || !window.localStorage ) {
+				assert.ignore();
+			}
+
+			FileLoader = CKEDITOR.fileTools.fileLoader;
+			testFile = bender.tools.getTestPngFile();
+			chunks = [];
+			requests = [];
+
+			editorMock.config = {
+				fileTools_chunkSize: 30,
+				fileTools_chunkRetryDelay: 100
+			};
+			editorMock.lang = {
+				filetools: {
+					networkError: 'networkError',
+					httpError: 'httpError %1',
+					responseError: 'responseError'
+				}
+			};
+
+			xhr = sinon.useFakeXMLHttpRequest();
+			xhr.onCreate = function( request ) {
+				requests.push( request );
+			};
+
+			clearStorage();
+		},
+
+		tearDown: function() {
+			xhr.restore();
+			clearStorage();
+		},
+
+		'test adapter is exposed': function() {
+			assert.isFunction( CKEDITOR.fileTools.chunkedUploadAdapter );
+		},
+
+		'test file is uploaded in chunks': function() {
+			var loader = createLoader(),
+				updates = [];
+
+			loader.on( 'update', function() {
+				updates.push( loader.uploaded + '/' + loader.uploadTotal );
+			} );
+
+			loader.upload( UPLOAD_URL, { foo: 'bar' } );
+
+			assert.areSame( 'uploading', loader.status, 'Status' );
+			assert.areSame( 1, requests.length, 'Requests count 1' );
+
+			respondChunk( 30 );
+			respondChunk( 60 );
+
+			assert.areSame( 3, requests.length, 'Requests count 2' );
+			assert.areSame( 'uploading', loader.status, 'Status while uploading' );
+
+			respondLastChunk();
+
+			assert.areSame( 'uploaded', loader.status, 'Status after upload' );
+			assert.areSame( 'http://url/name.png', loader.url, 'URL' );
+			assert.areSame( 82, loader.uploaded, 'Uploaded' );
+
+			// Chunks.
+			assert.areSame( 30, chunks[ 0 ].chunk.size, 'Chunk 1 size' );
+			assert.areSame( 22, chunks[ 2 ].chunk.size, 'Chunk 3 size' );
+			assert.areSame( chunks[ 2 ].chunk, getChunk( 2 ).upload.file, 'Chunk 3 is sent as upload' );
+			assert.areSame( 'name.png', getChunk( 2 ).upload.name, 'Chunk 3 file name' );
+
+			// Request data.
+			assert.areSame( 0, getChunk( 0 ).chunkOffset, 'Chunk 1 offset' );
+			assert.areSame( 82, getChunk( 0 ).totalSize, 'Chunk 1 total size' );
+			assert.areSame( 'bar', getChunk( 0 ).foo, 'Chunk 1 additional data' );
+			assert.isUndefined( getChunk( 0 ).uploadId, 'Chunk 1 upload id' );
+			assert.areSame( 30, getChunk( 1 ).chunkOffset, 'Chunk 2 offset' );
+			assert.areSame( 'abc', getChunk( 1 ).uploadId, 'Chunk 2 upload id' );
+			assert.areSame( 60, getChunk( 2 ).chunkOffset, 'Chunk 3 offset' );
+			assert.areSame( 'bar', getChunk( 2 ).foo, 'Chunk 3 additional data' );
+
+			// Progress.
+			assert.areSame( '0/82', updates[ 0 ], 'First progress' );
+			assert.areNotSame( -1, CKEDITOR.tools.indexOf( updates, '30/82' ), 'Progress after chunk 1' );
+			assert.areNotSame( -1, CKEDITOR.tools.indexOf( updates, '60/82' ), 'Progress after chunk 2' );
+
+			assert.isNull( window.localStorage.getItem( STORAGE_KEY ), 'State is removed' );
+		},
+
+		'test progress within chunk': function() {
+			var loader = createLoader();
+
+			loader.upload( UPLOAD_URL );
+			respondChunk( 30 );
+
+			requests[ 1 ].upload.onprogress( { lengthComputable: true, loaded: 50, total: 100 } );
+
+			assert.areSame( 45, loader.uploaded, 'Uploaded' );
+			assert.areSame( 82, loader.uploadTotal, 'Upload total' );
+		},
+
+		'test server offset is followed': function() {
+			var loader = createLoader();
+
+			loader.upload( UPLOAD_URL );
+			respondChunk( 20 );
+
+			assert.areSame( 20, getChunk( 1 ).chunkOffset, 'Offset' );
+			assert.areSame( 30, chunks[ 1 ].chunk.size, 'Chunk size' );
+		},
+
+		'test state is stored': function() {
+			var loader = createLoader();
+
+			loader.upload( UPLOAD_URL );
+			respondChunk( 30, 'foo' );
+
+			objectAssert.areDeepEqual( { uploadId: 'foo', offset: 30 }, JSON.parse( window.localStorage.getItem( STORAGE_KEY ) ) );
+		},
+
+		'test upload is resumed': function() {
+			var loader = createLoader(),
+				updates = [];
+
+			window.localStorage.setItem( STORAGE_KEY, JSON.stringify( { uploadId: 'foo', offset: 60 } ) );
+
+			loader.on( 'update', function() {
+				updates.push( loader.uploaded );
+			} );
+
+			loader.upload( UPLOAD_URL );
+
+			assert.areSame( 60, getChunk( 0 ).chunkOffset, 'Offset' );
+			assert.areSame( 'foo', getChunk( 0 ).uploadId, 'Upload id' );
+			assert.areSame( 60, updates[ 0 ], 'Progress' );
+
+			respondLastChunk();
+
+			assert.areSame( 'uploaded', loader.status, 'Status' );
+			assert.areSame( 1, requests.length, 'Requests count' );
+		},
+
+		'test invalid stored state is ignored': function() {
+			var loader = createLoader();
+
+			window.localStorage.setItem( STORAGE_KEY, JSON.stringify( { uploadId: 'foo', offset: 100 } ) );
+
+			loader.upload( UPLOAD_URL );
+
+			assert.areSame( 0, getChunk( 0 ).chunkOffset, 'Offset' );
+			assert.isUndefined( getChunk( 0 ).uploadId, 'Upload id' );
+		},
+
+		'test chunk is retried with backoff': function() {
+			var clock = sinon.useFakeTimers(),
+				loader = createLoader();
+
+			try {
+				loader.upload( UPLOAD_URL );
+				respondChunk( 30 );
+
+				requests[ 1 ].respond( 503, {}, '' );
+
+				clock.tick( 99 );
+				assert.areSame( 2, requests.length, 'No retry before the delay' );
+
+				clock.tick( 1 );
+				assert.areSame( 3, requests.length, 'First retry' );
+				assert.areSame( 30, getChunk( 2 ).chunkOffset, 'Retried offset' );
+
+				requests[ 2 ].onerror();
+
+				clock.tick( 199 );
+				assert.areSame( 3, requests.length, 'No second retry before the doubled delay' );
+
+				clock.tick( 1 );
+				assert.areSame( 4, requests.length, 'Second retry' );
+
+				respondChunk( 60 );
+				respondLastChunk();
+
+				assert.areSame( 'uploaded', loader.status, 'Status' );
+			} finally {
+				clock.restore();
+			}
+		},
+
+		'test error after all retries': function() {
+			var clock = sinon.useFakeTimers(),
+				loader = createLoader();
+
+			editorMock.config.fileTools_chunkRetries = 1;
+
+			try {
+				loader.upload( UPLOAD_URL );
+				respondChunk( 30 );
+
+				requests[ 1 ].respond( 500, {}, '' );
+				clock.tick( 100 );
+				requests[ 2 ].respond( 500, {}, '' );
+				clock.tick( 1000 );
+
+				assert.areSame( 3, requests.length, 'Requests count' );
+				assert.areSame( 'error', loader.status, 'Status' );
+				assert.areSame( 'httpError 500', loader.message, 'Message' );
+				assert.isNotNull( window.localStorage.getItem( STORAGE_KEY ), 'State is kept to resume the upload' );
+			} finally {
+				clock.restore();
+			}
+		},
+
+		'test client error is not retried': function() {
+			var loader = createLoader();
+
+			loader.upload( UPLOAD_URL );
+			respondChunk( 30 );
+			requests[ 1 ].respond( 404, {}, '' );
+
+			assert.areSame( 2, requests.length, 'Requests count' );
+			assert.areSame( 'error', loader.status, 'Status' );
+			assert.areSame( 'httpError 404', loader.message, 'Message' );
+			assert.isNull( window.localStorage.getItem( STORAGE_KEY ), 'State is removed' );
+		},
+
+		'test incorrect chunk response': function() {
+			var loader = createLoader();
+
+			loader.upload( UPLOAD_URL );
+			requests[ 0 ].respond( 200, {}, 'foo' );
+
+			assert.areSame( 'error', loader.status, 'Status' );
+			assert.areSame( 'responseError', loader.message, 'Message' );
+		},
+
+		'test abort': function() {
+			var loader = createLoader(),
+				abortCount = 0;
+
+			loader.on( 'abort', function() {
+				abortCount++;
+			} );
+
+			loader.upload( UPLOAD_URL );
+			respondChunk( 30 );
+
+			loader.abort();
+
+			assert.areSame( 'abort', loader.status, 'Status' );
+			assert.areSame( 1, abortCount, 'Abort count' );
+			assert.areSame( 2, requests.length, 'Requests count' );
+			assert.isNull( window.localStorage.getItem( STORAGE_KEY ), 'State is removed' );
+		},
+
+		'test abort during retry delay': function() {
+			var clock = sinon.useFakeTimers(),
+				loader = createLoader();
+
+			try {
+				loader.upload( UPLOAD_URL );
+				requests[ 0 ].onerror();
+
+				loader.abort();
+				clock.tick( 1000 );
+
+				assert.areSame( 'abort', loader.status, 'Status' );
+				assert.areSame( 1, requests.length, 'Requests count' );
+			} finally {
+				clock.restore();
+			}
+		}
+	} );
+} )();
@@ -0,0 +1,301 @@
+/* bender-tags: editor,clipboard,filetools */
+/* bender-ckeditor-plugins: filetools */
+/* bender-include: _helpers/tools.js */
+/* global fileTools */
+
+'use strict';
+
+( function() {
+	// IE/Edge doesn't support File constructor, so there is a need to mimic it.
+	fileTools.mockFileType();
+
+	var FileLoader, testFile, adapters,
+		editorMock = {
+			config: {}
+		};
+
+	// Creates an upload adapter type which records its calls and exposes the loader to the test.
+	function createAdapterType( startResult ) {
+		function TestUploadAdapter( loader ) {
+			this.loader = loader;
+			this.startArgs = null;
+			this.abortCount = 0;
+
+			adapters.push( this );
+		}
+
+		TestUploadAdapter.prototype = {
+			start: function( url, requestData ) {
+				this.startArgs = [ url, requestData ];
+
+				return startResult;
+			},
+
+			abort: function() {
+				this.abortCount++;
+			}
+		};
+
+		return TestUploadAdapter;
+	}
+
+	function observeStatuses( loader ) {
+		var statuses = [];
+
+		CKEDITOR.tools.array.forEach( [ 'uploading', 'uploaded', 'error', 'abort' ], function( name ) {
+			loader.on( name, function() {
+				statuses.push( name );
+			} );
+		} );
+
+		return statuses;
+	}
+
+	// For unknown reason plugin is not loaded if the code coverage is enabled
+	// and there is no editor instance.
+	bender.editor = {
+		config: {
+			extraPlugins: 'filetools,clipboard'
+		}
+	};
+
+	bender.test( {
+		init: function() {
+			CKEDITOR.event.implementOn( editorMock );
+			CKEDITOR.plugins.get( 'filetools' ).beforeInit( editorMock );
+		},
+
+		setUp: function() {
+			if ( !CKEDITOR.plugins.clipboard.isFileApiSupported ) {
+				assert.ignore();
+			}
+
+			FileLoader = CKEDITOR.fileTools.fileLoader;
+			testFile = bender.tools.getTestPngFile();
+			adapters = [];
+
+			editorMock.config = {};
+			editorMock.lang = { filetools: { noUrlError: 'noUrlError' } };
+		},
+
+		'test xhrUploadAdapter is exposed': function() {
+			assert.isFunction( CKEDITOR.fileTools.xhrUploadAdapter );
+		},
+
+		'test custom adapter from config': function() {
+			var loader = new FileLoader( editorMock, testFile ),
+				requestData = { foo: 'bar' },
+				statuses = observeStatuses( loader );
+
+			editorMock.config.fileTools_uploadAdapter = createAdapterType();
+
+			loader.upload( 'http://url/', requestData );
+
+			assert.areSame( 1, adapters.length, 'Adapters count' );
+			assert.areSame( adapters[ 0 ], loader.adapter, 'Loader adapter' );
+			assert.areSame( loader, adapters[ 0 ].loader, 'Adapter loader' );
+			assert.areSame( 'http://url/', adapters[ 0 ].startArgs[ 0 ], 'Upload URL' );
+			assert.areSame( requestData, adapters[ 0 ].startArgs[ 1 ], 'Request data' );
+			assert.areSame( 'http://url/', loader.uploadUrl, 'Loader upload URL' );
+			assert.areSame( 'uploading', loader.status, 'Status' );
+			assert.isUndefined( loader.xhr, 'XHR' );
+			arrayAssert.itemsAreEqual( [ 'uploading' ], statuses, 'Statuses' );
+		},
+
+		'test loader uploadAdapter takes precedence over config': function() {
+			var loader = new FileLoader( editorMock, testFile ),
+				ConfigAdapter = createAdapterType(),
+				LoaderAdapter = createAdapterType();
+
+			editorMock.config.fileTools_uploadAdapter = ConfigAdapter;
+			loader.uploadAdapter = LoaderAdapter;
+
+			loader.upload( 'http://url/' );
+
+			assert.isInstanceOf( LoaderAdapter, loader.adapter );
+		},
+
+		'test empty request data': function() {
+			var loader = new FileLoader( editorMock, testFile );
+
+			loader.uploadAdapter = createAdapterType();
+			loader.upload( 'http://url/' );
+
+			objectAssert.areDeepEqual( {}, adapters[ 0 ].startArgs[ 1 ] );
+		},
+
+		'test no url does not create adapter': function() {
+			var loader = new FileLoader( editorMock, testFile );
+
+			loader.uploadAdapter = createAdapterType();
+			loader.upload();
+
+			assert.areSame( 0, adapters.length, 'Adapters count' );
+			assert.areSame( 'error', loader.status, 'Status' );
+			assert.areSame( 'noUrlError', loader.message, 'Message' );
+		},
+
+		'test start returning false keeps status': function() {
+			var loader = new FileLoader( editorMock, testFile ),
+				statuses = observeStatuses( loader );
+
+			loader.uploadAdapter = createAdapterType( false );
+			loader.upload( 'http://url/' );
+
+			assert.areSame( 'created', loader.status, 'Status' );
+			assert.areSame( 0, statuses.length, 'Statuses' );
+		},
+
+		'test handleUploadProgress': function() {
+			var loader = new FileLoader( editorMock, testFile ),
+				updateCount = 0;
+
+			loader.uploadAdapter = createAdapterType();
+			loader.upload( 'http://url/' );
+
+			loader.on( 'update', function() {
+				updateCount++;
+			} );
+
+			loader.handleUploadProgress( 10, 100 );
+
+			assert.areSame( 10, loader.uploaded, 'Uploaded 1' );
+			assert.areSame( 100, loader.uploadTotal, 'Upload total 1' );
+
+			loader.handleUploadProgress( 50, 120 );
+
+			assert.areSame( 50, loader.uploaded, 'Uploaded 2' );
+			assert.areSame( 100, loader.uploadTotal, 'Upload total is not changed' );
+			assert.areSame( 2, updateCount, 'Update count' );
+		},
+
+		'test handleUploadResponse': function() {
+			var loader = new FileLoader( editorMock, testFile ),
+				statuses = observeStatuses( loader ),
+				response = { url: 'http://url/foo.png', fileName: 'foo.png', message: 'msg', custom: 1 };
+
+			loader.uploadAdapter = createAdapterType();
+			loader.upload( 'http://url/' );
+			loader.handleUploadResponse( response );
+
+			assert.areSame( 'uploaded', loader.status, 'Status' );
+			assert.areSame( 'http://url/foo.png', loader.url, 'URL' );
+			assert.areSame( 'foo.png', loader.fileName, 'File name' );
+			assert.areSame( 'msg', loader.message, 'Message' );
+			assert.areSame( response, loader.responseData, 'Response data' );
+			arrayAssert.itemsAreEqual( [ 'uploading', 'uploaded' ], statuses, 'Statuses' );
+		},
+
+		'test handleUploadResponse with failure': function() {
+			var loader = new FileLoader( editorMock, testFile );
+
+			loader.uploadAdapter = createAdapterType();
+			loader.upload( 'http://url/' );
+			loader.handleUploadResponse( { message: 'Too big.' }, false );
+
+			assert.areSame( 'error', loader.status, 'Status' );
+			assert.areSame( 'Too big.', loader.message, 'Message' );
+		},
+
+		'test handleUploadError': function() {
+			var loader = new FileLoader( editorMock, testFile );
+
+			loader.uploadAdapter = createAdapterType();
+			loader.upload( 'http://url/' );
+			loader.handleUploadError( 'Network error.' );
+
+			assert.areSame( 'error', loader.status, 'Status' );
+			assert.areSame( 'Network error.', loader.message, 'Message' );
+		},
+
+		'test reports after the upload finished are ignored': function() {
+			var loader = new FileLoader( editorMock, testFile ),
+				statuses = observeStatuses( loader );
+
+			loader.uploadAdapter = createAdapterType();
+			loader.upload( 'http://url/' );
+			loader.handleUploadResponse( { url: 'http://url/foo.png' } );
+
+			loader.handleUploadProgress( 10, 100 );
+			loader.handleUploadError( 'Network error.' );
+			loader.handleUploadResponse( { url: 'http://url/bar.png' } );
+
+			assert.areSame( 'uploaded', loader.status, 'Status' );
+			assert.areSame( 'http://url/foo.png', loader.url, 'URL' );
+			assert.areSame( 0, loader.uploaded, 'Uploaded' );
+			arrayAssert.itemsAreEqual( [ 'uploading', 'uploaded' ], statuses, 'Statuses' );
+		},
+
+		'test abort': function() {
+			var loader = new FileLoader( editorMock, testFile ),
+				statuses = observeStatuses( loader );
+
+			loader.uploadAdapter = createAdapterType();
+			loader.upload( 'http://url/' );
+
+			loader.abort();
+			loader.abort();
+			loader.handleUploadResponse( { url: 'http://url/foo.png' } );
+
+			assert.areSame( 1, adapters[ 0 ].abortCount, 'Adapter abort count' );
+			assert.areSame( 'abort', loader.status, 'Status' );
+			arrayAssert.itemsAreEqual( [ 'uploading', 'abort' ], statuses, 'Statuses' );
+		},
+
+		'test abort reported by adapter': function() {
+			var loader = new FileLoader( editorMock, testFile ),
+				statuses = observeStatuses( loader ),
+				Adapter = createAdapterType();
+
+			// The adapter reports the abort of its request back to the loader.
+			Adapter.prototype.abort = function() {
+				this.abortCount++;
+				this.loader.abort();
+			};
+
+			loader.uploadAdapter = Adapter;
+			loader.upload( 'http://url/' );
+			loader.abort();
+
+			assert.areSame( 1, adapters[ 0 ].abortCount, 'Adapter abort count' );
+			arrayAssert.itemsAreEqual( [ 'uploading', 'abort' ], statuses, 'Statuses' );
+		},
+
+		'test adapter finishing synchronously': function() {
+			var loader = new FileLoader( editorMock, testFile ),
+				statuses = observeStatuses( loader ),
+				Adapter = createAdapterType();
+
+			Adapter.prototype.start = function() {
+				this.loader.handleUploadResponse( { url: 'http://url/foo.png' } );
+			};
+
+			loader.uploadAdapter = Adapter;
+			loader.upload( 'http://url/' );
+
+			assert.areSame( 'uploaded', loader.status, 'Status' );
+			arrayAssert.itemsAreEqual( [ 'uploaded' ], statuses, 'Statuses' );
+		},
+
+		'test default xhr adapter': function() {
+			var loader = new FileLoader( editorMock, testFile ),
+				xhr = sinon.useFakeXMLHttpRequest(),
+				requestListener = sinon.spy();
+
+			editorMock.on( 'fileUploadRequest', requestListener );
+
+			try {
+				loader.upload( 'http://url/' );
+
+				assert.isInstanceOf( CKEDITOR.fileTools.xhrUploadAdapter, loader.adapter, 'Adapter type' );
+				assert.areSame( loader.adapter.xhr, loader.xhr, 'XHR' );
+				assert.areSame( loader, loader.adapter.loader, 'Adapter loader' );
+				assert.areSame( 1, requestListener.callCount, 'fileUploadRequest call count' );
+				assert.areSame( 'uploading', loader.status, 'Status' );
+			} finally {
+				editorMock.removeListener( 'fileUploadRequest', requestListener );
+				xhr.restore();
+			}
+		}
+	} );
+} )();
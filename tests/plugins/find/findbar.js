@@ -0,0 +1,462 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,undo,basicstyles,find */
+
+( function() {
+	'use strict';
+
+	bender.editors = {
+		classic: {
+			name: 'classic',
+			config: {
+				find_useBar: true,
+				allowedContent: true
+			}
+		},
+		dialog: {
+			name: 'dialog',
+			config: {
+				allowedContent: true
+			}
+		}
+	};
+
+	var find;
+
+	// Fires the event on the bar, like it was bubbled from the given element.
+	function fire( editor, name, target, data ) {
+		editor.findBar.getElement().fire( name, new CKEDITOR.dom.event( CKEDITOR.tools.extend( { target: target.$ }, data ) ) );
+	}
+
+	function getStatus( editor ) {
+		return editor.findBar.getElement().findOne( '.cke_find_bar_status' ).getText();
+	}
+
+	bender.test( {
+		setUp: function() {
+			find = CKEDITOR.plugins.find;
+
+			// Highlights are covered by the manual test.
+			this.renderHighlights = sinon.stub( find.findBar.prototype, 'renderHighlights' );
+		},
+
+		tearDown: function() {
+			var findBar = this.editors.classic.findBar;
+
+			findBar.visible && findBar.hide();
+			findBar.query = '';
+			findBar.replacement = '';
+
+			CKEDITOR.tools.array.forEach( [ 'matchCase', 'matchWord', 'regex', 'inSelection' ], function( name ) {
+				findBar.setOption( name, false );
+			} );
+
+			this.renderHighlights.restore();
+		},
+
+		'test createPattern escapes the query': function() {
+			var pattern = find.createPattern( 'a.b (c)' );
+
+			assert.isTrue( pattern.test( 'A.B (C)' ), 'Literal match' );
+			pattern.lastIndex = 0;
+			assert.isFalse( pattern.test( 'axb c' ), 'Special characters' );
+			assert.isTrue( pattern.global, 'Global flag' );
+		},
+
+		'test createPattern with regular expression and match case': function() {
+			var pattern = find.createPattern( 'a.b', { regex: true, matchCase: true } );
+
+			assert.isTrue( pattern.test( 'axb' ), 'Regular expression' );
+			pattern.lastIndex = 0;
+			assert.isFalse( pattern.test( 'AXB' ), 'Case sensitive' );
+		},
+
+		'test createPattern throws for invalid regular expression': function() {
+			var error;
+
+			try {
+				find.createPattern( 'a(', { regex: true } );
+			} catch ( e ) {
+				error = e;
+			}
+
+			assert.isInstanceOf( SyntaxError, error );
+		},
+
+		'test expandReplacement': function() {
+			var groups = /(\w+) (\w+)/.exec( 'John Smith' );
+
+			assert.areSame( 'Smith, John', find.expandReplacement( '$2, $1', groups ), 'Groups' );
+			assert.areSame( '[John Smith]', find.expandReplacement( '[$&]', groups ), 'Whole match' );
+			assert.areSame( '$1', find.expandReplacement( '$$1', groups ), 'Dollar sign' );
+			assert.areSame( 'John0', find.expandReplacement( '$10', groups ), 'Two digits' );
+			assert.areSame( '$3', find.expandReplacement( '$3', groups ), 'Missing group' );
+		},
+
+		'test findAll across inline elements': function() {
+			var editor = this.editors.classic,
+				matches;
+
+			editor.editable().setHtml( '<p>fo<strong>o b</strong>ar</p><p>foo</p>' );
+
+			matches = find.findAll( editor.editable(), find.createPattern( 'foo bar' ) );
+
+			assert.areSame( 1, matches.length, 'Number of matches' );
+			assert.areSame( 0, matches[ 0 ].start, 'Start' );
+			assert.areSame( 7, matches[ 0 ].end, 'End' );
+			assert.areSame( 'fo', matches[ 0 ].range.startContainer.getText(), 'Range start' );
+			assert.areSame( 0, matches[ 0 ].range.startOffset, 'Range start offset' );
+			assert.areSame( 'ar', matches[ 0 ].range.endContainer.getText(), 'Range end' );
+			assert.areSame( 2, matches[ 0 ].range.endOffset, 'Range end offset' );
+		},
+
+		'test findAll does not cross blocks': function() {
+			var editor = this.editors.classic,
+				matches;
+
+			editor.editable().setHtml( '<p>foo</p><p>bar</p><p>foo<br>bar</p>' );
+
+			matches = find.findAll( editor.editable(), find.createPattern( 'foo\\s*bar', { regex: true } ) );
+
+			assert.areSame( 0, matches.length );
+		},
+
+		'test findAll with whole words': function() {
+			var editor = this.editors.classic,
+				matches;
+
+			editor.editable().setHtml( '<p>foo foobar, foo.</p><p>foo</p>' );
+
+			matches = find.findAll( editor.editable(), find.createPattern( 'foo' ), { matchWord: true } );
+
+			assert.areSame( 3, matches.length, 'Number of matches' );
+			assert.areSame( 12, matches[ 1 ].start, 'Second match' );
+			assert.areSame( 17, matches[ 2 ].start, 'Match in the second block' );
+		},
+
+		'test findAll skips empty matches': function() {
+			var editor = this.editors.classic,
+				matches;
+
+			editor.editable().setHtml( '<p>baab</p>' );
+
+			matches = find.findAll( editor.editable(), find.createPattern( 'a*', { regex: true } ) );
+
+			assert.areSame( 1, matches.length, 'Number of matches' );
+			assert.areSame( 'aa', matches[ 0 ].groups[ 0 ] );
+		},
+
+		'test getOffset': function() {
+			var editor = this.editors.classic,
+				editable = editor.editable(),
+				paragraph;
+
+			editable.setHtml( '<p>foo</p><p>b<strong>ar</strong></p>' );
+			paragraph = editable.getLast();
+
+			assert.areSame( 2, find.getOffset( editable, editable.getFirst().getFirst(), 2 ), 'Text node' );
+			assert.areSame( 4, find.getOffset( editable, paragraph, 0 ), 'Beginning of a block' );
+			assert.areSame( 5, find.getOffset( editable, paragraph, 1 ), 'Before an element' );
+			assert.areSame( 8, find.getOffset( editable, paragraph, 2 ), 'End of the content' );
+		},
+
+		'test find command shows the bar with the selected text': function() {
+			var editor = this.editors.classic,
+				bot = this.editorBots.classic;
+
+			bot.setHtmlWithSelection( '<p>foo bar</p><p>[bar]</p><p>bar</p>' );
+			editor.execCommand( 'find' );
+
+			assert.isTrue( editor.findBar.visible, 'Visible' );
+			assert.areSame( '', editor.findBar.getElement().getStyle( 'display' ), 'Element visible' );
+			assert.areSame( 'bar', editor.findBar.query, 'Query' );
+			assert.areSame( 'bar', editor.findBar.getField( 'query' ).getValue(), 'Query field' );
+			assert.areSame( 3, editor.findBar.matches.length, 'Number of matches' );
+			assert.areSame( 1, editor.findBar.current, 'The selected match is the current one' );
+			assert.areSame( '2 of 3', getStatus( editor ), 'Status' );
+			assert.areSame( 'none', editor.findBar.getElement().findOne( '.cke_find_bar_replace' ).getStyle( 'display' ),
+				'Replace fields' );
+		},
+
+		'test find command does not open the dialog': function() {
+			var editor = this.editors.classic,
+				spy = sinon.spy( editor, 'openDialog' );
+
+			this.editorBots.classic.setHtmlWithSelection( '<p>[foo]</p>' );
+			editor.execCommand( 'find' );
+			spy.restore();
+
+			assert.isFalse( spy.called );
+		},
+
+		'test dialog is used by default': function() {
+			assert.isUndefined( this.editors.dialog.findBar );
+		},
+
+		'test matches are updated while typing': function() {
+			var editor = this.editors.classic,
+				field;
+
+			this.editorBots.classic.setHtmlWithSelection( '<p>^foo bar baz</p>' );
+			editor.execCommand( 'find' );
+
+			field = editor.findBar.getField( 'query' );
+			field.setValue( 'ba' );
+			fire( editor, 'input', field );
+			editor.findBar.update();
+
+			assert.areSame( 'ba', editor.findBar.query, 'Query' );
+			assert.areSame( '1 of 2', getStatus( editor ), 'Status' );
+		},
+
+		'test next and previous are cyclic': function() {
+			var editor = this.editors.classic,
+				findBar = editor.findBar;
+
+			this.editorBots.classic.setHtmlWithSelection( '<p>^foo foo foo</p>' );
+			findBar.show();
+			findBar.search( 'foo' );
+
+			findBar.next();
+			assert.areSame( 1, findBar.current, 'Next' );
+
+			findBar.next();
+			findBar.next();
+			assert.areSame( 0, findBar.current, 'Next after the last match' );
+
+			findBar.previous();
+			assert.areSame( 2, findBar.current, 'Previous before the first match' );
+			assert.areSame( '3 of 3', getStatus( editor ), 'Status' );
+		},
+
+		'test matches are updated after the content change': function() {
+			var editor = this.editors.classic,
+				findBar = editor.findBar;
+
+			this.editorBots.classic.setHtmlWithSelection( '<p>^foo</p>' );
+			findBar.show();
+			findBar.search( 'foo' );
+
+			editor.editable().getFirst().appendText( ' foo' );
+			editor.fire( 'change' );
+
+			wait( function() {
+				assert.areSame( 2, findBar.matches.length );
+			}, 150 );
+		},
+
+		'test invalid regular expression': function() {
+			var editor = this.editors.classic,
+				findBar = editor.findBar;
+
+			this.editorBots.classic.setHtmlWithSelection( '<p>^foo</p>' );
+			findBar.show();
+			findBar.setOption( 'regex', true );
+			findBar.search( 'fo(' );
+
+			assert.isTrue( findBar.error, 'Error' );
+			assert.areSame( 0, findBar.matches.length, 'Number of matches' );
+			assert.isTrue( findBar.getField( 'query' ).hasClass( 'cke_find_bar_error' ), 'Error class' );
+			assert.areSame( 'Invalid regular expression', getStatus( editor ), 'Status' );
+		},
+
+		'test no results': function() {
+			var editor = this.editors.classic,
+				findBar = editor.findBar;
+
+			this.editorBots.classic.setHtmlWithSelection( '<p>^foo</p>' );
+			findBar.show();
+			findBar.search( 'bar' );
+
+			assert.areSame( -1, findBar.current, 'Current' );
+			assert.areSame( 'No results', getStatus( editor ), 'Status' );
+			assert.isTrue( findBar.getElement().findOne( '.cke_find_bar_next' ).$.disabled, 'Disabled button' );
+		},
+
+		'test replace with captured groups': function() {
+			var editor = this.editors.classic,
+				bot = this.editorBots.classic,
+				findBar = editor.findBar;
+
+			bot.setHtmlWithSelection( '<p>^john@example.com, jane@example.com</p>' );
+			editor.execCommand( 'replace' );
+			findBar.setOption( 'regex', true );
+			findBar.search( '(\\w+)@example\\.com' );
+
+			assert.areSame( '', findBar.getElement().findOne( '.cke_find_bar_replace' ).getStyle( 'display' ), 'Replace fields' );
+			assert.isTrue( findBar.replace( '$1@example.org' ), 'Replaced' );
+
+			assert.areSame( '<p>john@example.org, jane@example.com</p>', bot.getData( false, true ), 'Data' );
+			assert.areSame( 1, findBar.matches.length, 'Number of matches' );
+			assert.areSame( 0, findBar.current, 'The next match is the current one' );
+		},
+
+		'test replace all in the whole document': function() {
+			var editor = this.editors.classic,
+				bot = this.editorBots.classic,
+				findBar = editor.findBar;
+
+			bot.setHtmlWithSelection( '<p>foo <strong>foo</strong></p><p>^foo</p><p>Foo</p>' );
+			findBar.show( 'replace' );
+			findBar.search( 'foo' );
+
+			assert.areSame( 4, findBar.replaceAll( 'barbar' ), 'Number of replaced matches' );
+			assert.areSame( '<p>barbar <strong>barbar</strong></p><p>barbar</p><p>barbar</p>', bot.getData( false, true ), 'Data' );
+			assert.areSame( '4 occurrence(s) replaced.', getStatus( editor ), 'Status' );
+		},
+
+		'test replace all with regular expression': function() {
+			var editor = this.editors.classic,
+				bot = this.editorBots.classic,
+				findBar = editor.findBar;
+
+			bot.setHtmlWithSelection( '<p>^2019-10-01</p><p>2020-01-31</p>' );
+			findBar.show( 'replace' );
+			findBar.setOption( 'regex', true );
+			findBar.search( '(\\d{4})-(\\d\\d)-(\\d\\d)' );
+			findBar.replaceAll( '$3.$2.$1' );
+
+			assert.areSame( '<p>01.10.2019</p><p>31.01.2020</p>', bot.getData( false, true ) );
+		},
+
+		'test literal replacement does not expand groups': function() {
+			var editor = this.editors.classic,
+				bot = this.editorBots.classic,
+				findBar = editor.findBar;
+
+			bot.setHtmlWithSelection( '<p>^price</p>' );
+			findBar.show( 'replace' );
+			findBar.search( 'price' );
+			findBar.replaceAll( '$1' );
+
+			assert.areSame( '<p>$1</p>', bot.getData( false, true ) );
+		},
+
+		'test replace all in selection': function() {
+			var editor = this.editors.classic,
+				bot = this.editorBots.classic,
+				findBar = editor.findBar;
+
+			bot.setHtmlWithSelection( '<p>foo</p><p>[foo foo</p><p>foo]</p><p>foo</p>' );
+			findBar.show( 'replace' );
+			findBar.setOption( 'inSelection', true );
+			findBar.search( 'foo' );
+
+			assert.areSame( 3, findBar.matches.length, 'Number of matches' );
+
+			findBar.replace( 'ba' );
+			assert.areSame( 2, findBar.matches.length, 'Number of matches after replace' );
+
+			findBar.replaceAll( 'x' );
+			assert.areSame( '<p>foo</p><p>ba x</p><p>x</p><p>foo</p>', bot.getData( false, true ), 'Data' );
+
+			findBar.search( 'x' );
+			assert.areSame( 2, findBar.matches.length, 'The scope contains the replaced text' );
+
+			findBar.search( 'foo' );
+			assert.areSame( 0, findBar.matches.length, 'The scope does not contain the text after it' );
+		},
+
+		'test replace all is a single undo step': function() {
+			var editor = this.editors.classic,
+				bot = this.editorBots.classic,
+				findBar = editor.findBar;
+
+			bot.setHtmlWithSelection( '<p>^foo foo</p><p>foo</p>' );
+			editor.resetUndo();
+			findBar.show( 'replace' );
+			findBar.search( 'foo' );
+			findBar.replaceAll( 'bar' );
+
+			editor.execCommand( 'undo' );
+
+			assert.areSame( '<p>foo foo</p><p>foo</p>', bot.getData( false, true ) );
+		},
+
+		'test read-only content is not replaced': function() {
+			var editor = this.editors.classic,
+				bot = this.editorBots.classic,
+				findBar = editor.findBar;
+
+			bot.setHtmlWithSelection( '<p>^foo</p><p contenteditable="false">foo</p>' );
+			findBar.show( 'replace' );
+			findBar.search( 'foo' );
+
+			assert.areSame( 2, findBar.matches.length, 'Number of matches' );
+			assert.areSame( 1, findBar.replaceAll( 'bar' ), 'Number of replaced matches' );
+			assert.areSame( '<p>bar</p><p contenteditable="false">foo</p>', bot.getData( false, true ), 'Data' );
+		},
+
+		'test replace fields are hidden in read-only mode': function() {
+			var editor = this.editors.classic,
+				findBar = editor.findBar;
+
+			this.editorBots.classic.setHtmlWithSelection( '<p>^foo</p>' );
+			findBar.show( 'replace' );
+			editor.setReadOnly( true );
+
+			assert.areSame( 'none', findBar.getElement().findOne( '.cke_find_bar_replace' ).getStyle( 'display' ), 'Replace fields' );
+			assert.areSame( 0, findBar.replaceAll( 'bar' ), 'Number of replaced matches' );
+
+			editor.setReadOnly( false );
+		},
+
+		'test hide selects the current match': function() {
+			var editor = this.editors.classic,
+				bot = this.editorBots.classic,
+				findBar = editor.findBar;
+
+			bot.setHtmlWithSelection( '<p>^foo bar</p>' );
+			findBar.show();
+			findBar.search( 'bar' );
+			findBar.hide();
+
+			assert.isFalse( findBar.visible, 'Visible' );
+			assert.areSame( 'none', findBar.getElement().getStyle( 'display' ), 'Element visible' );
+			assert.areSame( 'bar', editor.getSelection().getSelectedText(), 'Selection' );
+		},
+
+		'test escape hides the bar': function() {
+			var editor = this.editors.classic,
+				findBar = editor.findBar;
+
+			this.editorBots.classic.setHtmlWithSelection( '<p>^foo</p>' );
+			findBar.show();
+
+			fire( editor, 'keydown', findBar.getField( 'query' ), { keyCode: 27 } );
+
+			assert.isFalse( findBar.visible );
+		},
+
+		'test enter moves to the next match': function() {
+			var editor = this.editors.classic,
+				findBar = editor.findBar;
+
+			this.editorBots.classic.setHtmlWithSelection( '<p>^foo foo</p>' );
+			findBar.show();
+			findBar.search( 'foo' );
+
+			fire( editor, 'keydown', findBar.getField( 'query' ), { keyCode: 13 } );
+			assert.areSame( 1, findBar.current, 'Enter' );
+
+			fire( editor, 'keydown', findBar.getField( 'query' ), { keyCode: 13, shiftKey: true } );
+			assert.areSame( 0, findBar.current, 'Shift+Enter' );
+		},
+
+		'test options are toggled with checkboxes': function() {
+			var editor = this.editors.classic,
+				findBar = editor.findBar,
+				checkbox;
+
+			this.editorBots.classic.setHtmlWithSelection( '<p>^Foo foo</p>' );
+			findBar.show();
+			findBar.search( 'foo' );
+
+			checkbox = findBar.getElement().findOne( '[data-cke-find-option="matchCase"]' );
+			checkbox.$.checked = true;
+			fire( editor, 'click', checkbox );
+
+			assert.isTrue( findBar.options.matchCase, 'Option' );
+			assert.areSame( 1, findBar.matches.length, 'Number of matches' );
+		}
+	} );
+} )();
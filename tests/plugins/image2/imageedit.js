@@ -0,0 +1,426 @@
+/* bender-tags: editor,widget */
+/* bender-ckeditor-plugins: wysiwygarea,image2,uploadwidget,toolbar,undo */
+/* global widgetTestsTools */
+
+( function() {
+	'use strict';
+
+	var getWidgetById = widgetTestsTools.getWidgetById,
+		Transformation,
+		EDITED_IMG = bender.tools.pngBase64;
+
+	bender.editors = {
+		classic: {
+			name: 'classic',
+			config: {
+				imageUploadUrl: 'http://foo/upload',
+				extraAllowedContent: 'img[id]',
+				autoParagraph: false
+			}
+		},
+		noUpload: {
+			name: 'noUpload',
+			config: {
+				extraAllowedContent: 'img[id]',
+				autoParagraph: false
+			}
+		}
+	};
+
+	// Returns a canvas context which records the transformations.
+	function createContext() {
+		var context = { calls: [] };
+
+		CKEDITOR.tools.array.forEach( [ 'scale', 'translate', 'rotate', 'drawImage', 'fillRect', 'strokeRect',
+			'beginPath', 'arc', 'stroke' ], function( method ) {
+			context[ method ] = function() {
+				context.calls.push( [ method ].concat( [].slice.call( arguments ) ) );
+			};
+		} );
+
+		return context;
+	}
+
+	// Returns a canvas which gives the edited image synchronously.
+	function createCanvas() {
+		return {
+			toDataURL: sinon.stub().returns( EDITED_IMG ),
+			toBlob: function( callback, type ) {
+				callback( bender.tools.srcToFile( EDITED_IMG ) );
+				this.type = type;
+			}
+		};
+	}
+
+	// Loads images in the dialog immediately with the given size.
+	function mockImage( width, height ) {
+		var OriginalImage = window.Image;
+
+		window.Image = function() {
+			var image = this;
+
+			image.naturalWidth = width;
+			image.naturalHeight = height;
+
+			setTimeout( function() {
+				image.onload();
+			}, 0 );
+		};
+
+		return function() {
+			window.Image = OriginalImage;
+		};
+	}
+
+	function assertData( editor, expected, message ) {
+		assert.areSame( bender.tools.fixHtml( expected ), bender.tools.fixHtml( editor.getData() ), message );
+	}
+
+	function setWidget( bot, html, callback ) {
+		bot.setData( html, function() {
+			var widget = getWidgetById( bot.editor, 'x' );
+
+			bot.editor.resetUndo();
+
+			callback( widget );
+		} );
+	}
+
+	function openDialog( bot, callback ) {
+		var editor = bot.editor,
+			restoreImage = mockImage( 400, 200 );
+
+		setWidget( bot, '<img alt="" id="x" src="foo.png" width="200" />', function( widget ) {
+			editor.once( 'dialogShow', function( evt ) {
+				// Wait for the image to be loaded.
+				setTimeout( function() {
+					resume( function() {
+						restoreImage();
+						callback( evt.data, widget );
+					} );
+				}, 10 );
+			} );
+
+			widget.focus();
+			editor.getCommand( 'imageEdit' ).refresh( editor, editor.elementPath() );
+			editor.execCommand( 'imageEdit' );
+			wait();
+		} );
+	}
+
+	bender.test( {
+		init: function() {
+			Transformation = CKEDITOR.plugins.image2.transformation;
+		},
+
+		setUp: function() {
+			bender.tools.ignoreUnsupportedEnvironment( 'uploadimage' );
+
+			this.upload = sinon.stub( CKEDITOR.fileTools.fileLoader.prototype, 'upload' );
+			this.getContext = sinon.stub( HTMLCanvasElement.prototype, 'getContext', createContext );
+			this.editors.classic.uploadRepository.loaders = [];
+		},
+
+		tearDown: function() {
+			this.upload.restore();
+			this.getContext.restore();
+		},
+
+		'test new transformation does not change the image': function() {
+			var transformation = new Transformation( 400, 200 );
+
+			objectAssert.areDeepEqual( { x: 0, y: 0, width: 400, height: 200 }, transformation.crop, 'Crop' );
+			assert.areSame( 400, transformation.width, 'Width' );
+			assert.areSame( 200, transformation.height, 'Height' );
+			assert.isNull( transformation.focalPoint, 'Focal point' );
+			assert.isFalse( transformation.isChanged(), 'Changed' );
+		},
+
+		'test rotate': function() {
+			var transformation = new Transformation( 400, 200 );
+
+			transformation.setCrop( { x: 10, y: 20, width: 100, height: 50 } );
+			transformation.setFocalPoint( { x: 20, y: 40 } );
+			transformation.rotate( 90 );
+
+			assert.areSame( 90, transformation.rotation, 'Rotation' );
+			objectAssert.areDeepEqual( { width: 200, height: 400 }, transformation.getRotatedSize(), 'Rotated size' );
+			objectAssert.areDeepEqual( { x: 130, y: 10, width: 50, height: 100 }, transformation.crop, 'Crop' );
+			objectAssert.areDeepEqual( { x: 60, y: 20 }, transformation.focalPoint, 'Focal point' );
+			assert.areSame( 50, transformation.width, 'Width' );
+			assert.areSame( 100, transformation.height, 'Height' );
+			assert.isTrue( transformation.isChanged(), 'Changed' );
+		},
+
+		'test rotate counterclockwise': function() {
+			var clockwise = new Transformation( 400, 200 ),
+				counterclockwise = new Transformation( 400, 200 );
+
+			clockwise.setCrop( { x: 10, y: 20, width: 100, height: 50 } );
+			counterclockwise.setCrop( { x: 10, y: 20, width: 100, height: 50 } );
+
+			clockwise.rotate( 270 );
+			counterclockwise.rotate( -90 );
+
+			objectAssert.areDeepEqual( clockwise, counterclockwise, 'Transformations' );
+
+			counterclockwise.rotate( 90 );
+
+			assert.areSame( 0, counterclockwise.rotation, 'Rotation' );
+			objectAssert.areDeepEqual( { x: 10, y: 20, width: 100, height: 50 }, counterclockwise.crop, 'Crop' );
+			assert.isTrue( counterclockwise.isChanged(), 'Cropped image is changed' );
+		},
+
+		'test rotate flipped image': function() {
+			var transformation = new Transformation( 400, 200 );
+
+			transformation.flip();
+			transformation.rotate( 90 );
+
+			assert.isFalse( transformation.flipHorizontal, 'Horizontal flip' );
+			assert.isTrue( transformation.flipVertical, 'Vertical flip' );
+		},
+
+		'test flip': function() {
+			var transformation = new Transformation( 400, 200 );
+
+			transformation.setCrop( { x: 10, y: 20, width: 100, height: 50 } );
+			transformation.setFocalPoint( { x: 20, y: 40 } );
+
+			transformation.flip();
+
+			assert.isTrue( transformation.flipHorizontal, 'Horizontal flip' );
+			objectAssert.areDeepEqual( { x: 290, y: 20, width: 100, height: 50 }, transformation.crop, 'Horizontal crop' );
+			objectAssert.areDeepEqual( { x: 80, y: 40 }, transformation.focalPoint, 'Horizontal focal point' );
+
+			transformation.flip( true );
+
+			assert.isTrue( transformation.flipVertical, 'Vertical flip' );
+			objectAssert.areDeepEqual( { x: 290, y: 130, width: 100, height: 50 }, transformation.crop, 'Vertical crop' );
+			objectAssert.areDeepEqual( { x: 80, y: 60 }, transformation.focalPoint, 'Vertical focal point' );
+		},
+
+		'test setCrop limits the area to the image and keeps the scale': function() {
+			var transformation = new Transformation( 400, 200 );
+
+			transformation.resize( 200 );
+			transformation.setCrop( { x: -10, y: 100.4, width: 500, height: 300 } );
+
+			objectAssert.areDeepEqual( { x: 0, y: 100, width: 400, height: 100 }, transformation.crop, 'Crop' );
+			assert.areSame( 200, transformation.width, 'Width' );
+			assert.areSame( 50, transformation.height, 'Height' );
+		},
+
+		'test setCrop keeps the place of the focal point': function() {
+			var transformation = new Transformation( 400, 200 );
+
+			transformation.setFocalPoint( { x: 50, y: 50 } );
+			transformation.setCrop( { x: 100, y: 0, width: 200, height: 200 } );
+
+			objectAssert.areDeepEqual( { x: 50, y: 50 }, transformation.focalPoint, 'Focal point inside' );
+
+			transformation.setCrop( { x: 0, y: 0, width: 100, height: 100 } );
+
+			objectAssert.areDeepEqual( { x: 100, y: 100 }, transformation.focalPoint, 'Focal point outside' );
+		},
+
+		'test resize keeps the aspect ratio': function() {
+			var transformation = new Transformation( 400, 200 );
+
+			transformation.resize( 100 );
+
+			assert.areSame( 100, transformation.width, 'Width' );
+			assert.areSame( 50, transformation.height, 'Height' );
+			assert.isTrue( transformation.isChanged(), 'Changed' );
+
+			transformation.resize( null, 150 );
+
+			assert.areSame( 300, transformation.width, 'Width by height' );
+			assert.areSame( 150, transformation.height, 'Height by height' );
+
+			transformation.resize( 0.1 );
+
+			assert.areSame( 1, transformation.width, 'Minimal width' );
+			assert.areSame( 1, transformation.height, 'Minimal height' );
+		},
+
+		'test setFocalPoint': function() {
+			var transformation = new Transformation( 400, 200 );
+
+			transformation.setFocalPoint( { x: 33.333, y: 120 } );
+
+			objectAssert.areDeepEqual( { x: 33.3, y: 100 }, transformation.focalPoint, 'Focal point' );
+			assert.isFalse( transformation.isChanged(), 'The focal point does not change the image' );
+
+			transformation.setFocalPoint( null );
+
+			assert.isNull( transformation.focalPoint, 'Removed focal point' );
+		},
+
+		'test draw': function() {
+			var transformation = new Transformation( 400, 200 ),
+				canvas = { getContext: sinon.stub().returns( createContext() ) },
+				image = {};
+
+			transformation.rotate( 90 );
+			transformation.flip();
+			transformation.setCrop( { x: 0, y: 0, width: 100, height: 200 } );
+			transformation.resize( 50 );
+			transformation.draw( image, canvas );
+
+			assert.areSame( 50, canvas.width, 'Width' );
+			assert.areSame( 100, canvas.height, 'Height' );
+			arrayAssert.itemsAreEqual( [
+				'scale,0.5,0.5',
+				'translate,0,0',
+				'translate,100,200',
+				'scale,-1,1',
+				'rotate,' + Math.PI / 2,
+				'drawImage,[object Object],-200,-100'
+			], CKEDITOR.tools.array.map( canvas.getContext.returnValues[ 0 ].calls, String ) );
+		},
+
+		'test focal point upcast and downcast': function() {
+			var bot = this.editorBots.classic;
+
+			setWidget( bot, '<img alt="" data-focal-point="25% 40.5%" id="x" src="foo.png" />', function( widget ) {
+				objectAssert.areDeepEqual( { x: 25, y: 40.5 }, widget.data.focalPoint, 'Focal point' );
+				assertData( bot.editor, '<img alt="" data-focal-point="25% 40.5%" id="x" src="foo.png" />', 'Data' );
+
+				widget.setData( 'focalPoint', null );
+
+				assertData( bot.editor, '<img alt="" id="x" src="foo.png" />', 'Removed focal point' );
+			} );
+		},
+
+		'test invalid focal point is ignored': function() {
+			setWidget( this.editorBots.classic, '<img alt="" data-focal-point="center" id="x" src="foo.png" />', function( widget ) {
+				assert.isNull( widget.data.focalPoint );
+			} );
+		},
+
+		'test image editing requires the upload URL': function() {
+			assert.isObject( this.editors.classic.getCommand( 'imageEdit' ), 'Command with the upload URL' );
+			assert.isObject( this.editors.classic.ui.get( 'ImageEdit' ), 'Button with the upload URL' );
+			assert.isUndefined( this.editors.noUpload.getCommand( 'imageEdit' ), 'Command without the upload URL' );
+			assert.isUndefined( this.editors.noUpload.ui.get( 'ImageEdit' ), 'Button without the upload URL' );
+		},
+
+		'test uploadEditedImage uploads the image': function() {
+			var bot = this.editorBots.classic,
+				editor = bot.editor,
+				upload = this.upload;
+
+			setWidget( bot, '<img alt="" id="x" src="foo.jpg" srcset="foo-400.jpg 400w" width="200" />', function( widget ) {
+				var canvas = createCanvas(),
+					loader;
+
+				CKEDITOR.plugins.image2.uploadEditedImage( widget, canvas, { width: '100', focalPoint: { x: 10, y: 20 } } );
+
+				loader = editor.uploadRepository.loaders[ 0 ];
+
+				assert.areSame( 'image/jpeg', canvas.type, 'Type' );
+				assert.areSame( 'foo.jpg', loader.fileName, 'File name' );
+				assert.areSame( 1, upload.callCount, 'Upload' );
+				assert.areSame( 'http://foo/upload', upload.args[ 0 ][ 0 ], 'Upload URL' );
+				assert.areSame( EDITED_IMG, widget.parts.image.getAttribute( 'src' ), 'Preview' );
+				assert.isFalse( widget.parts.image.hasAttribute( 'srcset' ), 'Renditions of the original image' );
+
+				loader.url = 'http://foo/edited.jpg';
+				loader.changeStatus( 'uploaded' );
+
+				assertData( editor, '<img alt="" data-focal-point="10% 20%" id="x" src="http://foo/edited.jpg" width="100" />', 'Data' );
+
+				editor.execCommand( 'undo' );
+
+				assertData( editor, '<img alt="" id="x" sizes="(max-width: 200px) 100vw, 200px" src="foo.jpg" srcset="foo-400.jpg 400w" width="200" />', 'Undo' );
+
+				editor.execCommand( 'redo' );
+
+				assertData( editor, '<img alt="" data-focal-point="10% 20%" id="x" src="http://foo/edited.jpg" width="100" />', 'Redo' );
+			} );
+		},
+
+		'test uploadEditedImage restores the image when the upload fails': function() {
+			var bot = this.editorBots.classic,
+				editor = bot.editor;
+
+			setWidget( bot, '<img alt="" id="x" src="foo.png" width="200" />', function( widget ) {
+				var loader;
+
+				CKEDITOR.plugins.image2.uploadEditedImage( widget, createCanvas(), { width: '100' } );
+
+				loader = editor.uploadRepository.loaders[ 0 ];
+
+				assert.areSame( 'foo.png', loader.fileName, 'File name' );
+
+				loader.changeStatus( 'error' );
+
+				assertData( editor, '<img alt="" id="x" src="foo.png" width="200" />', 'Data' );
+				assert.isFalse( widget.parts.image.hasAttribute( 'data-cke-upload-id' ), 'Upload marker' );
+			} );
+		},
+
+		'test uploadEditedImage aborts the upload of a removed image': function() {
+			var bot = this.editorBots.classic,
+				editor = bot.editor;
+
+			setWidget( bot, '<img alt="" id="x" src="foo.png" />', function( widget ) {
+				var loader;
+
+				CKEDITOR.plugins.image2.uploadEditedImage( widget, createCanvas() );
+
+				loader = editor.uploadRepository.loaders[ 0 ];
+				sinon.stub( loader, 'abort' );
+
+				editor.editable().setHtml( '<p>Foo</p>' );
+				loader.changeStatus( 'uploading' );
+
+				assert.areSame( 1, loader.abort.callCount, 'Abort' );
+			} );
+		},
+
+		'test dialog sets the focal point without upload': function() {
+			var uploadEditedImage = sinon.spy( CKEDITOR.plugins.image2, 'uploadEditedImage' );
+
+			openDialog( this.editorBots.classic, function( dialog, widget ) {
+				assert.areSame( '400', dialog.getValueOf( 'edit', 'width' ), 'Width' );
+				assert.areSame( '200', dialog.getValueOf( 'edit', 'cropHeight' ), 'Crop height' );
+				assert.areSame( '', dialog.getValueOf( 'edit', 'focalX' ), 'Focal point' );
+
+				dialog.setValueOf( 'edit', 'focalX', '25' );
+				dialog.setValueOf( 'edit', 'focalY', '40' );
+				dialog.getButton( 'ok' ).click();
+				uploadEditedImage.restore();
+
+				assert.areSame( 0, uploadEditedImage.callCount, 'Upload' );
+				objectAssert.areDeepEqual( { x: 25, y: 40 }, widget.data.focalPoint, 'Focal point' );
+				assertData( widget.editor, '<img alt="" data-focal-point="25% 40%" id="x" src="foo.png" width="200" />', 'Data' );
+			} );
+		},
+
+		'test dialog uploads the transformed image': function() {
+			var uploadEditedImage = sinon.stub( CKEDITOR.plugins.image2, 'uploadEditedImage' );
+
+			openDialog( this.editorBots.classic, function( dialog, widget ) {
+				var args;
+
+				dialog.getContentElement( 'edit', 'rotateRight' ).click();
+
+				assert.areSame( '200', dialog.getValueOf( 'edit', 'width' ), 'Width' );
+				assert.areSame( '400', dialog.getValueOf( 'edit', 'height' ), 'Height' );
+
+				dialog.getButton( 'ok' ).click();
+				uploadEditedImage.restore();
+
+				args = uploadEditedImage.args[ 0 ];
+
+				assert.areSame( 1, uploadEditedImage.callCount, 'Upload' );
+				assert.areSame( widget, args[ 0 ], 'Widget' );
+				assert.areSame( 200, args[ 1 ].width, 'Canvas width' );
+				assert.areSame( 400, args[ 1 ].height, 'Canvas height' );
+				objectAssert.areDeepEqual( { focalPoint: null, width: '100', height: '200' }, args[ 2 ], 'Data' );
+			} );
+		}
+	} );
+} )();
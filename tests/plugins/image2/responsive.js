@@ -0,0 +1,220 @@
+/* bender-tags: editor,widget */
+/* bender-ckeditor-plugins: image2,link,toolbar */
+/* global widgetTestsTools */
+
+( function() {
+	'use strict';
+
+	var getWidgetById = widgetTestsTools.getWidgetById,
+		objToArray = bender.tools.objToArray;
+
+	bender.editor = {
+		config: {
+			extraAllowedContent: 'img figure picture[id]',
+			autoParagraph: false
+		}
+	};
+
+	function assertData( bot, html, expected, callback ) {
+		bot.setData( html, function() {
+			var editor = bot.editor;
+
+			assert.areSame( 1, objToArray( editor.widgets.instances ).length, 'A single widget has been initialized' );
+			assert.isNull( editor.editable().findOne( 'picture' ), 'There is no <picture> element in the editor' );
+			assert.areSame( bender.tools.fixHtml( expected ), bender.tools.fixHtml( editor.getData() ), 'Data' );
+
+			callback && callback( editor );
+		} );
+	}
+
+	function openDialog( bot, widgetId, callback ) {
+		var widget = getWidgetById( bot.editor, widgetId );
+
+		bot.editor.once( 'dialogShow', function( evt ) {
+			resume( function() {
+				callback( evt.data, widget );
+			} );
+		} );
+
+		widget.focus();
+		widget.edit();
+		wait();
+	}
+
+	var sources = '<source srcset="foo-400.webp 400w, foo-800.webp 800w" type="image/webp" />';
+
+	bender.test( {
+		'test upcast and downcast standalone picture': function() {
+			var html = '<picture>' + sources + '<img alt="" id="x" src="foo.jpg" srcset="foo-400.jpg 400w" /></picture>',
+				expected = '<picture>' +
+					'<source sizes="100vw" srcset="foo-400.webp 400w, foo-800.webp 800w" type="image/webp" />' +
+					'<img alt="" id="x" sizes="100vw" src="foo.jpg" srcset="foo-400.jpg 400w" />' +
+				'</picture>';
+
+			assertData( this.editorBot, html, expected, function( editor ) {
+				var widget = getWidgetById( editor, 'x' );
+
+				assert.areSame( 'foo-400.jpg 400w', widget.data.srcset, 'Srcset' );
+				assert.areSame( '', widget.data.sizes, 'Sizes' );
+				assert.areSame( 1, widget.data.sources.length, 'Sources' );
+				assert.areSame( 'image/webp', widget.data.sources[ 0 ].type, 'Source type' );
+			} );
+		},
+
+		'test upcast and downcast linked picture': function() {
+			var html = '<a href="http://ckeditor.com"><picture>' + sources + '<img alt="" id="x" src="foo.jpg" /></picture></a>',
+				expected = '<a href="http://ckeditor.com"><picture>' +
+					'<source sizes="100vw" srcset="foo-400.webp 400w, foo-800.webp 800w" type="image/webp" />' +
+					'<img alt="" id="x" src="foo.jpg" />' +
+				'</picture></a>';
+
+			assertData( this.editorBot, html, expected, function( editor ) {
+				assert.areSame( 'ckeditor.com', getWidgetById( editor, 'x' ).data.link.url.url, 'Link' );
+			} );
+		},
+
+		'test upcast and downcast captioned picture': function() {
+			var html = '<figure class="image"><picture>' + sources + '<img alt="" id="x" src="foo.jpg" width="300" /></picture>' +
+					'<figcaption>Foo</figcaption></figure>',
+				expected = '<figure class="image"><picture>' +
+					'<source sizes="(max-width: 300px) 100vw, 300px" srcset="foo-400.webp 400w, foo-800.webp 800w" type="image/webp" />' +
+					'<img alt="" id="x" src="foo.jpg" width="300" />' +
+				'</picture><figcaption>Foo</figcaption></figure>';
+
+			assertData( this.editorBot, html, expected, function( editor ) {
+				assert.isTrue( getWidgetById( editor, 'x' ).data.hasCaption, 'Caption' );
+			} );
+		},
+
+		'test upcast and downcast centered picture': function() {
+			var html = '<p style="text-align:center"><picture>' + sources + '<img alt="" id="x" src="foo.jpg" /></picture></p>',
+				expected = '<p style="text-align:center"><picture>' +
+					'<source sizes="100vw" srcset="foo-400.webp 400w, foo-800.webp 800w" type="image/webp" />' +
+					'<img alt="" id="x" src="foo.jpg" />' +
+				'</picture></p>';
+
+			assertData( this.editorBot, html, expected, function( editor ) {
+				assert.areSame( 'center', getWidgetById( editor, 'x' ).data.align, 'Align' );
+			} );
+		},
+
+		'test explicit sizes are kept': function() {
+			var html = '<picture><source media="(min-width: 800px)" srcset="foo-wide.jpg" />' +
+					'<img alt="" id="x" sizes="50vw" src="foo.jpg" srcset="foo-400.jpg 400w, foo-800.jpg 800w" /></picture>',
+				expected = '<picture><source media="(min-width: 800px)" sizes="50vw" srcset="foo-wide.jpg" />' +
+					'<img alt="" id="x" sizes="50vw" src="foo.jpg" srcset="foo-400.jpg 400w, foo-800.jpg 800w" /></picture>';
+
+			assertData( this.editorBot, html, expected );
+		},
+
+		'test default sizes are generated from the width': function() {
+			var html = '<img alt="" id="x" src="foo.jpg" srcset="foo-400.jpg 400w, foo-800.jpg 800w" width="400" />',
+				expected = '<img alt="" id="x" sizes="(max-width: 400px) 100vw, 400px" src="foo.jpg" ' +
+					'srcset="foo-400.jpg 400w, foo-800.jpg 800w" width="400" />';
+
+			assertData( this.editorBot, html, expected );
+		},
+
+		'test image without srcset has no sizes': function() {
+			assertData( this.editorBot, '<img alt="" id="x" src="foo.jpg" width="400" />',
+				'<img alt="" id="x" src="foo.jpg" width="400" />' );
+		},
+
+		'test parseSrcset': function() {
+			var parseSrcset = CKEDITOR.plugins.image2.parseSrcset;
+
+			objectAssert.areDeepEqual( [
+				{ url: 'foo.jpg', descriptor: '400w' },
+				{ url: 'foo,large.jpg', descriptor: '2x' },
+				{ url: 'bar.jpg', descriptor: '' },
+				{ url: 'baz.jpg', descriptor: '' }
+			], parseSrcset( ' foo.jpg 400w,foo,large.jpg   2x , bar.jpg, baz.jpg' ) );
+
+			objectAssert.areDeepEqual( [], parseSrcset( '' ), 'Empty srcset' );
+			objectAssert.areDeepEqual( [], parseSrcset(), 'No srcset' );
+		},
+
+		'test getRenditions': function() {
+			var renditions = CKEDITOR.plugins.image2.getRenditions( {
+				srcset: 'foo.jpg 1x, foo-2x.jpg 2x',
+				sources: [
+					{ srcset: 'foo.webp', type: 'image/webp' },
+					{ srcset: 'foo-wide.jpg', media: '(min-width: 800px)' }
+				]
+			} );
+
+			objectAssert.areDeepEqual( [
+				{ url: 'foo.jpg', descriptor: '1x', type: '', media: '' },
+				{ url: 'foo-2x.jpg', descriptor: '2x', type: '', media: '' },
+				{ url: 'foo.webp', descriptor: '', type: 'image/webp', media: '' },
+				{ url: 'foo-wide.jpg', descriptor: '', type: '', media: '(min-width: 800px)' }
+			], renditions );
+		},
+
+		'test dialog lists renditions': function() {
+			var bot = this.editorBot,
+				html = '<picture>' + sources + '<img alt="" id="x" src="foo.jpg" srcset="foo-400.jpg 400w" /></picture>';
+
+			bot.setData( html, function() {
+				openDialog( bot, 'x', function( dialog ) {
+					var rows;
+
+					try {
+						assert.areSame( 'foo-400.jpg 400w', dialog.getValueOf( 'info', 'srcset' ), 'Srcset' );
+						assert.areSame( '', dialog.getValueOf( 'info', 'sizes' ), 'Sizes' );
+
+						rows = dialog.getContentElement( 'info', 'renditions' ).getElement().find( 'tr' );
+
+						// Header and three renditions.
+						assert.areSame( 4, rows.count(), 'Renditions' );
+						assert.areSame( 'foo-800.webp', rows.getItem( 3 ).getFirst().getText(), 'Rendition URL' );
+					} finally {
+						dialog.hide();
+					}
+				} );
+			} );
+		},
+
+		'test dialog sets srcset and sizes': function() {
+			var bot = this.editorBot;
+
+			bot.setData( '<img alt="" id="x" src="foo.jpg" />', function() {
+				openDialog( bot, 'x', function( dialog, widget ) {
+					dialog.setValueOf( 'info', 'srcset', 'foo-400.jpg 400w, foo-800.jpg 800w' );
+					dialog.setValueOf( 'info', 'sizes', '50vw' );
+					dialog.getButton( 'ok' ).click();
+
+					assert.areSame( 'foo-400.jpg 400w, foo-800.jpg 800w', widget.parts.image.getAttribute( 'srcset' ), 'Srcset' );
+					assert.areSame( '50vw', widget.parts.image.getAttribute( 'sizes' ), 'Sizes' );
+					assert.areSame( bender.tools.fixHtml( '<img alt="" id="x" sizes="50vw" src="foo.jpg" srcset="foo-400.jpg 400w, foo-800.jpg 800w" />' ),
+						bender.tools.fixHtml( bot.editor.getData() ), 'Data' );
+				} );
+			} );
+		},
+
+		'test dialog clears renditions when the image is changed': function() {
+			var bot = this.editorBot,
+				html = '<picture>' + sources + '<img alt="" id="x" src="foo.jpg" srcset="foo-400.jpg 400w" /></picture>';
+
+			bot.setData( html, function() {
+				openDialog( bot, 'x', function( dialog, widget ) {
+					dialog.setValueOf( 'info', 'src', 'bar.jpg' );
+
+					assert.areSame( '', dialog.getValueOf( 'info', 'srcset' ), 'Srcset is cleared' );
+
+					dialog.setValueOf( 'info', 'src', 'foo.jpg' );
+
+					assert.areSame( 'foo-400.jpg 400w', dialog.getValueOf( 'info', 'srcset' ), 'Srcset is restored' );
+
+					dialog.setValueOf( 'info', 'src', 'bar.jpg' );
+					dialog.getButton( 'ok' ).click();
+
+					assert.isFalse( widget.parts.image.hasAttribute( 'srcset' ), 'Srcset' );
+					assert.areSame( 0, widget.data.sources.length, 'Sources' );
+					assert.areSame( bender.tools.fixHtml( '<img alt="" id="x" src="bar.jpg" />' ),
+						bender.tools.fixHtml( bot.editor.getData() ), 'Data' );
+				} );
+			} );
+		}
+	} );
+} )();
@@ -0,0 +1,323 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,undo,lint */
+
+( function() {
+	'use strict';
+
+	bender.editor = {
+		config: {
+			allowedContent: true,
+			lint_disabledRules: 'noInlineStyles'
+		}
+	};
+
+	function getPanelText( editor, className ) {
+		return editor.lint.getElement().findOne( '.' + className ).getText();
+	}
+
+	function getRules( results ) {
+		return CKEDITOR.tools.array.map( results, function( result ) {
+			return result.rule;
+		} );
+	}
+
+	bender.test( {
+		setUp: function() {
+			// Every range is drawn as a single line, regardless of the browser support for range.getClientRects().
+			this.getClientRects = sinon.stub( CKEDITOR.dom.range.prototype, 'getClientRects' ).returns( [ {
+				top: 10,
+				bottom: 20,
+				left: 10,
+				width: 50
+			} ] );
+		},
+
+		tearDown: function() {
+			this.getClientRects.restore();
+			this.editor.lint.hide();
+			this.editor.lint._.rules = {};
+		},
+
+		'test command toggles the panel': function() {
+			var editor = this.editor,
+				linter = editor.lint;
+
+			this.editorBot.setHtmlWithSelection( '<p>Fo^o</p>' );
+
+			editor.execCommand( 'lint' );
+			assert.isTrue( linter.visible, 'Visible' );
+			assert.areSame( '', linter.getElement().getStyle( 'display' ), 'Panel shown' );
+			assert.areSame( CKEDITOR.TRISTATE_ON, editor.getCommand( 'lint' ).state, 'Command state' );
+			assert.areSame( 'No problems found', getPanelText( editor, 'cke_lint_status' ) );
+
+			editor.execCommand( 'lint' );
+			assert.isFalse( linter.visible, 'Hidden' );
+			assert.areSame( 'none', linter.getElement().getStyle( 'display' ), 'Panel hidden' );
+			assert.areSame( CKEDITOR.TRISTATE_OFF, editor.getCommand( 'lint' ).state, 'Command state after hide' );
+		},
+
+		'test DOM rule reports ranges with severity': function() {
+			var editor = this.editor,
+				results;
+
+			editor.lint.addRule( 'noUnderline', {
+				severity: 'info',
+				check: function( root, context ) {
+					CKEDITOR.tools.array.forEach( root.find( 'u' ).toArray(), function( element ) {
+						context.report( element, 'Underline' );
+						context.report( element.getFirst(), 'Underlined letter', { start: 1, end: 2, severity: 'error' } );
+					} );
+				}
+			} );
+
+			editor.editable().setHtml( '<p>Foo <u>bar</u></p>' );
+			results = editor.lint.run();
+
+			assert.areSame( 2, results.length, 'Results' );
+			assert.areSame( 'noUnderline', results[ 0 ].rule );
+			assert.areSame( 'info', results[ 0 ].severity, 'Default severity' );
+			assert.areSame( 'error', results[ 1 ].severity, 'Severity option' );
+			assert.areSame( '<u>bar</u>', results[ 0 ].range.cloneContents().getHtml(), 'Element range' );
+			assert.areSame( 'a', results[ 1 ].range.cloneContents().getHtml(), 'Text range' );
+		},
+
+		'test fragment rule results are mapped to DOM': function() {
+			var editor = this.editor,
+				fragments = [],
+				results;
+
+			editor.lint.addRule( 'noFonts', {
+				type: 'fragment',
+				check: function( fragment, context ) {
+					fragments.push( fragment );
+
+					fragment.forEach( function( node ) {
+						if ( node.name == 'font' ) {
+							context.report( node, 'Font' );
+						} else if ( node.type == CKEDITOR.NODE_TEXT && node.value.indexOf( 'baz' ) != -1 ) {
+							context.report( node, 'Baz', { start: 5, end: 8 } );
+						}
+					} );
+				}
+			} );
+
+			editor.editable().setHtml( '<p>Foo</p><p><font color="red">bar</font> a &amp; baz</p>' );
+			results = editor.lint.run();
+
+			assert.areSame( 2, fragments.length, 'Every block is checked separately' );
+			assert.areSame( 'p', fragments[ 1 ].children[ 0 ].name, 'The block is the root of the fragment' );
+			assert.areSame( 'red', fragments[ 1 ].children[ 0 ].children[ 0 ].attributes.color, 'Attributes' );
+
+			assert.areSame( 2, results.length, 'Results' );
+			assert.isTrue( results[ 0 ].range.getEnclosedNode().is( 'font' ), 'Element range' );
+			assert.areSame( 'baz', results[ 1 ].range.cloneContents().getHtml(), 'Text range' );
+		},
+
+		'test document rule': function() {
+			var editor = this.editor,
+				roots = [];
+
+			editor.lint.addRule( 'documentRule', {
+				scope: 'document',
+				check: function( root, context ) {
+					roots.push( root );
+					context.report( null, 'Document' );
+				}
+			} );
+
+			editor.editable().setHtml( '<p>Foo</p><p>Bar</p>' );
+			editor.lint.run();
+
+			assert.areSame( 1, roots.length, 'Calls' );
+			assert.isTrue( roots[ 0 ].equals( editor.editable() ), 'Root' );
+			assert.isNull( editor.lint.results[ 0 ].range, 'Range' );
+		},
+
+		'test results are sorted in document order': function() {
+			var editor = this.editor,
+				results;
+
+			editor.lint.addRule( 'document', {
+				scope: 'document',
+				check: function( root, context ) {
+					context.report( null, 'Whole' );
+					context.report( root.findOne( 'i' ), 'Italic' );
+				}
+			} );
+
+			editor.lint.addRule( 'bold', {
+				check: function( root, context ) {
+					CKEDITOR.tools.array.forEach( root.find( 'b' ).toArray(), function( element ) {
+						context.report( element, 'Bold' );
+					} );
+				}
+			} );
+
+			editor.editable().setHtml( '<p><b>Foo</b></p><p><i>Bar</i></p><p><b>Baz</b></p>' );
+			results = editor.lint.run();
+
+			arrayAssert.itemsAreSame( [ 'Bold', 'Italic', 'Bold', 'Whole' ], CKEDITOR.tools.array.map( results, function( result ) {
+				return result.message;
+			} ) );
+		},
+
+		'test only changed blocks are checked again': function() {
+			var editor = this.editor,
+				checked = [];
+
+			editor.lint.addRule( 'counter', {
+				check: function( root ) {
+					checked.push( root.getText() );
+				}
+			} );
+
+			editor.editable().setHtml( '<p>Foo</p><p>Bar</p>' );
+			editor.lint.run();
+			arrayAssert.itemsAreSame( [ 'Foo', 'Bar' ], checked, 'First check' );
+
+			checked = [];
+			editor.editable().getLast().setText( 'Baz' );
+			editor.lint.update();
+			arrayAssert.itemsAreSame( [ 'Baz' ], checked, 'Update' );
+
+			checked = [];
+			editor.lint.run();
+			arrayAssert.itemsAreSame( [ 'Foo', 'Baz' ], checked, 'Run' );
+		},
+
+		'test cached results are kept': function() {
+			var editor = this.editor,
+				results;
+
+			editor.editable().setHtml( '<p>Foo just</p><p>Bar</p>' );
+			editor.config.lint_bannedWords = [ 'just' ];
+
+			try {
+				editor.lint.run();
+				editor.editable().getLast().setText( 'Baz just' );
+				results = editor.lint.update();
+			} finally {
+				delete editor.config.lint_bannedWords;
+			}
+
+			arrayAssert.itemsAreSame( [ 'bannedWords', 'bannedWords' ], getRules( results ) );
+		},
+
+		'test text outside of blocks': function() {
+			var editor = this.editor,
+				roots = [];
+
+			editor.lint.addRule( 'counter', {
+				check: function( root ) {
+					roots.push( root );
+				}
+			} );
+
+			editor.editable().setHtml( 'Foo<br>Bar' );
+			editor.lint.run();
+
+			assert.areSame( 1, roots.length, 'Calls' );
+			assert.isTrue( roots[ 0 ].equals( editor.editable() ), 'Root' );
+		},
+
+		'test lint event': function() {
+			var editor = this.editor,
+				fired = [];
+
+			editor.once( 'lint', function( evt ) {
+				fired.push( evt.data.results );
+			} );
+
+			editor.editable().setHtml( '<p>Foo</p>' );
+			editor.lint.run();
+
+			assert.areSame( 1, fired.length, 'Fired' );
+			assert.areSame( editor.lint.results, fired[ 0 ], 'Results' );
+		},
+
+		'test panel lists results': function() {
+			var editor = this.editor,
+				linter = editor.lint,
+				buttons;
+
+			linter.addRule( 'bold', {
+				severity: 'error',
+				check: function( root, context ) {
+					CKEDITOR.tools.array.forEach( root.find( 'b' ).toArray(), function( element ) {
+						context.report( element, 'Bold' );
+					} );
+				}
+			} );
+
+			this.editorBot.setHtmlWithSelection( '<p>^Foo <b>bar</b></p>' );
+			linter.show();
+
+			buttons = linter.getElement().find( '.cke_lint_result_button' );
+
+			assert.areSame( 'Errors: 1, warnings: 0, suggestions: 0', getPanelText( editor, 'cke_lint_status' ) );
+			assert.areSame( 1, buttons.count(), 'Result buttons' );
+			assert.areSame( 'Error Bold', buttons.getItem( 0 ).getText() );
+
+			linter.getElement().fire( 'click', new CKEDITOR.dom.event( { target: buttons.getItem( 0 ).$ } ) );
+
+			assert.areSame( 'bar', editor.getSelection().getSelectedText(), 'Selected result' );
+		},
+
+		'test markers are not a part of the data': function() {
+			var editor = this.editor,
+				linter = editor.lint;
+
+			linter.addRule( 'bold', {
+				check: function( root, context ) {
+					CKEDITOR.tools.array.forEach( root.find( 'b' ).toArray(), function( element ) {
+						context.report( element, 'Bold' );
+					} );
+				}
+			} );
+
+			this.editorBot.setHtmlWithSelection( '<p>^Foo <b>bar</b></p>' );
+			linter.show();
+
+			assert.areSame( 1, linter._.overlay.element.find( '.cke_lint_marker_warning' ).count(), 'Markers' );
+			assert.areSame( '<p>Foo <b>bar</b></p>', editor.getData().replace( /\n/g, '' ) );
+
+			linter.hide();
+			assert.isNull( linter._.overlay.element, 'Overlay removed' );
+		},
+
+		'test results are updated after change': function() {
+			var editor = this.editor,
+				linter = editor.lint;
+
+			linter.addRule( 'bold', {
+				check: function( root, context ) {
+					CKEDITOR.tools.array.forEach( root.find( 'b' ).toArray(), function( element ) {
+						context.report( element, 'Bold' );
+					} );
+				}
+			} );
+
+			this.editorBot.setHtmlWithSelection( '<p>Fo^o</p>' );
+			linter.show();
+
+			editor.editable().findOne( 'p' ).append( CKEDITOR.dom.element.createFromHtml( '<b>bar</b>', editor.document ) );
+			editor.fire( 'change' );
+
+			wait( function() {
+				assert.areSame( 1, linter.results.length );
+			}, 400 );
+		},
+
+		'test escape hides the panel': function() {
+			var editor = this.editor,
+				linter = editor.lint;
+
+			this.editorBot.setHtmlWithSelection( '<p>Fo^o</p>' );
+			linter.show();
+
+			linter.getElement().fire( 'keydown', new CKEDITOR.dom.event( { target: linter.getElement().$, keyCode: 27 } ) );
+
+			assert.isFalse( linter.visible );
+		}
+	} );
+} )();
@@ -0,0 +1,137 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,undo,lint */
+
+( function() {
+	'use strict';
+
+	bender.editor = {
+		config: {
+			allowedContent: true
+		}
+	};
+
+	function lint( editor, html, config ) {
+		var backup = {},
+			name;
+
+		config = config || {};
+
+		for ( name in config ) {
+			backup[ name ] = editor.config[ name ];
+			editor.config[ name ] = config[ name ];
+		}
+
+		editor.editable().setHtml( html );
+
+		try {
+			return editor.lint.run();
+		} finally {
+			for ( name in backup ) {
+				editor.config[ name ] = backup[ name ];
+			}
+		}
+	}
+
+	function getRules( results ) {
+		return CKEDITOR.tools.array.map( results, function( result ) {
+			return result.rule;
+		} );
+	}
+
+	function getTexts( results ) {
+		return CKEDITOR.tools.array.map( results, function( result ) {
+			return result.range.cloneContents().getHtml();
+		} );
+	}
+
+	bender.test( {
+		'test rules without configuration report nothing': function() {
+			var results = lint( this.editor, '<h1>Foo</h1><p>Simply put, this is a rather long sentence with many words.</p>' );
+
+			arrayAssert.itemsAreSame( [], getRules( results ) );
+		},
+
+		'test bannedWords': function() {
+			var results = lint( this.editor, '<p>Simply, it is just <b>JUST</b> justice.</p><p>just</p>', {
+				lint_bannedWords: [ 'simply', 'just' ]
+			} );
+
+			arrayAssert.itemsAreSame( [ 'bannedWords', 'bannedWords', 'bannedWords', 'bannedWords' ], getRules( results ) );
+			arrayAssert.itemsAreSame( [ 'Simply', 'just', 'JUST', 'just' ], getTexts( results ) );
+			assert.areSame( 'error', results[ 0 ].severity, 'Severity' );
+			assert.areSame( 'Avoid the word "Simply".', results[ 0 ].message, 'Message' );
+		},
+
+		'test bannedWords with adjacent words': function() {
+			var results = lint( this.editor, '<p>just just</p>', {
+				lint_bannedWords: [ 'just' ]
+			} );
+
+			assert.areSame( 2, results.length );
+		},
+
+		'test bannedWords with special characters': function() {
+			var results = lint( this.editor, '<p>Send an e-mail or email.</p>', {
+				lint_bannedWords: [ 'e-mail' ]
+			} );
+
+			arrayAssert.itemsAreSame( [ 'e-mail' ], getTexts( results ) );
+		},
+
+		'test maxSentenceLength': function() {
+			var results = lint( this.editor, '<p>One two three. One <i>two three four</i>? One two</p><ul><li>One two three four five</li></ul>', {
+				lint_maxSentenceLength: 3
+			} );
+
+			arrayAssert.itemsAreSame( [ 'maxSentenceLength', 'maxSentenceLength' ], getRules( results ) );
+			arrayAssert.itemsAreSame( [ 'One <i>two three four</i>?', 'One two three four five' ], getTexts( results ) );
+			assert.areSame( 'This sentence has 4 words, use at most 3.', results[ 0 ].message );
+			assert.areSame( 'warning', results[ 0 ].severity, 'Severity' );
+		},
+
+		'test maxSentenceLength does not join blocks': function() {
+			var results = lint( this.editor, '<table><tr><td>One two</td><td>three four</td></tr></table>', {
+				lint_maxSentenceLength: 3
+			} );
+
+			assert.areSame( 0, results.length );
+		},
+
+		'test noInlineStyles': function() {
+			var results = lint( this.editor, '<p style="color:red">Foo <span style="font-size:20px">bar</span> <b>baz</b></p>' );
+
+			arrayAssert.itemsAreSame( [ 'noInlineStyles', 'noInlineStyles' ], getRules( results ) );
+			assert.areSame( 'Avoid inline styles on the p element, use the predefined styles instead.', results[ 0 ].message );
+			assert.isTrue( results[ 0 ].range.getEnclosedNode().is( 'p' ), 'Range of the block' );
+			assert.isTrue( results[ 1 ].range.getEnclosedNode().is( 'span' ), 'Range of the inline element' );
+		},
+
+		'test requiredHeadings': function() {
+			var results = lint( this.editor, '<h2>  summary </h2><p>Foo</p>', {
+				lint_requiredHeadings: [ 'Summary', 'Next steps' ]
+			} );
+
+			arrayAssert.itemsAreSame( [ 'requiredHeadings' ], getRules( results ) );
+			assert.areSame( 'The "Next steps" heading is missing.', results[ 0 ].message );
+			assert.isNull( results[ 0 ].range, 'Range' );
+		},
+
+		'test disabled rules': function() {
+			var results = lint( this.editor, '<p style="color:red">just</p>', {
+				lint_bannedWords: [ 'just' ],
+				lint_disabledRules: 'noInlineStyles'
+			} );
+
+			arrayAssert.itemsAreSame( [ 'bannedWords' ], getRules( results ) );
+		},
+
+		'test temporary elements are skipped': function() {
+			var results = lint( this.editor, '<p>Foo<span data-cke-bookmark="1" style="display:none">just</span></p>' +
+				'<div data-cke-temp="1" style="color:red">just</div>', {
+				lint_bannedWords: [ 'just' ]
+			} );
+
+			assert.areSame( 0, results.length );
+		}
+	} );
+} )();
@@ -0,0 +1,263 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,list,liststyle,enterkey,undo,toolbar */
+
+( function() {
+	'use strict';
+
+	bender.editor = {
+		config: {
+			enterMode: CKEDITOR.ENTER_P
+		}
+	};
+
+	function getData( bot ) {
+		return bot.getData( false, true ).replace( /\u00a0/g, '&nbsp;' );
+	}
+
+	function fireKey( editor, keyCode ) {
+		editor.editable().fire( 'keydown', new CKEDITOR.dom.event( {
+			keyCode: keyCode
+		} ) );
+	}
+
+	bender.test( {
+		setUp: function() {
+			this.editor.focus();
+		},
+
+		'test apply to-do list': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '[<p>foo</p><p>bar</p>]' );
+			bot.execCommand( 'todolist' );
+
+			assert.areSame( '<ul class="todo-list"><li>foo</li><li>bar</li></ul>', bot.getData( false, true ) );
+			assert.areSame( CKEDITOR.TRISTATE_ON, this.editor.getCommand( 'todolist' ).state, 'todolist state' );
+			assert.areSame( CKEDITOR.TRISTATE_OFF, this.editor.getCommand( 'bulletedlist' ).state, 'bulletedlist state' );
+
+			bot.execCommand( 'todolist' );
+			assert.areSame( '<p>foo</p><p>bar</p>', bot.getData( false, true ) );
+		},
+
+		'test change list type': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<ul><li>[foo</li><li>bar]</li></ul>' );
+			bot.execCommand( 'todolist' );
+			assert.areSame( '<ul class="todo-list"><li>foo</li><li>bar</li></ul>', bot.getData( false, true ), 'bulleted to to-do' );
+
+			bot.setHtmlWithSelection( '<ul class="todo-list"><li data-checked="true">[foo</li><li>bar]</li></ul>' );
+			bot.execCommand( 'bulletedlist' );
+			assert.areSame( '<ul><li>foo</li><li>bar</li></ul>', bot.getData( false, true ), 'to-do to bulleted' );
+
+			bot.setHtmlWithSelection( '<ol><li>[foo]</li><li>bar</li></ol>' );
+			bot.execCommand( 'todolist' );
+			assert.areSame( '<ul class="todo-list"><li>foo</li></ul><ol><li>bar</li></ol>', bot.getData( false, true ), 'numbered to to-do' );
+		},
+
+		'test to-do list is not merged with bulleted list': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<ul><li>foo</li></ul><p>[bar]</p><ul class="todo-list"><li>baz</li></ul>' );
+			bot.execCommand( 'todolist' );
+
+			assert.areSame( '<ul><li>foo</li></ul><ul class="todo-list"><li>bar</li><li>baz</li></ul>', bot.getData( false, true ) );
+		},
+
+		'test checked state round trip': function() {
+			var editor = this.editor,
+				data = '<ul class="todo-list"><li data-checked="true">foo</li><li>bar</li></ul>';
+
+			this.editorBot.setData( data, function() {
+				assert.areSame( data, editor.getData().replace( /\n/g, '' ) );
+			} );
+		},
+
+		'test to-do list does not allow plain bulleted lists': function() {
+			bender.editorBot.create( {
+				name: 'editor_acf',
+				config: {
+					plugins: 'wysiwygarea,toolbar,list',
+					removeButtons: 'BulletedList'
+				}
+			}, function( bot ) {
+				var filter = bot.editor.filter;
+
+				assert.isTrue( filter.check( 'ul(todo-list)' ), 'to-do list' );
+				assert.isTrue( filter.check( 'li[data-checked]' ), 'checked item' );
+				assert.isFalse( filter.check( 'ul', true, true ), 'bulleted list' );
+			} );
+		},
+
+		'test styles are added to the host page only for inline editors': function() {
+			function countStyleSheets() {
+				return CKEDITOR.tools.array.filter( CKEDITOR.document.find( 'link' ).toArray(), function( link ) {
+					return /styles\/todolist\.css$/.test( link.getAttribute( 'href' ) );
+				} ).length;
+			}
+
+			assert.areSame( 0, countStyleSheets(), 'classic editor' );
+
+			bender.editorBot.create( {
+				name: 'editor_inline',
+				creator: 'inline',
+				config: {
+					plugins: 'list'
+				}
+			}, function() {
+				assert.areSame( 1, countStyleSheets(), 'inline editor' );
+			} );
+		},
+
+		'test toggleTodoItem command': function() {
+			var bot = this.editorBot,
+				editor = this.editor;
+
+			bot.setHtmlWithSelection( '<ul class="todo-list"><li>fo^o</li><li>bar</li></ul>' );
+			assert.areSame( CKEDITOR.TRISTATE_OFF, editor.getCommand( 'toggleTodoItem' ).state, 'unchecked state' );
+
+			bot.execCommand( 'toggleTodoItem' );
+			assert.areSame( '<ul class="todo-list"><li data-checked="true">foo</li><li>bar</li></ul>', bot.getData( false, true ), 'check' );
+			assert.areSame( CKEDITOR.TRISTATE_ON, editor.getCommand( 'toggleTodoItem' ).state, 'checked state' );
+
+			bot.execCommand( 'toggleTodoItem' );
+			assert.areSame( '<ul class="todo-list"><li>foo</li><li>bar</li></ul>', bot.getData( false, true ), 'uncheck' );
+
+			bot.setHtmlWithSelection( '<p>fo^o</p>' );
+			assert.areSame( CKEDITOR.TRISTATE_DISABLED, editor.getCommand( 'toggleTodoItem' ).state, 'outside of to-do list' );
+		},
+
+		'test toggleTodoItem command with multiple items selected': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<ul class="todo-list"><li data-checked="true">f[oo</li><li>ba]r</li><li>baz</li></ul>' );
+			bot.execCommand( 'toggleTodoItem' );
+			assert.areSame( '<ul class="todo-list"><li data-checked="true">foo</li><li data-checked="true">bar</li><li>baz</li></ul>',
+				bot.getData( false, true ), 'check all' );
+
+			bot.execCommand( 'toggleTodoItem' );
+			assert.areSame( '<ul class="todo-list"><li>foo</li><li>bar</li><li>baz</li></ul>', bot.getData( false, true ), 'uncheck all' );
+		},
+
+		'test space at the start of item toggles it': function() {
+			var bot = this.editorBot,
+				editor = this.editor;
+
+			bot.setHtmlWithSelection( '<ul class="todo-list"><li>^foo</li></ul>' );
+			fireKey( editor, 32 );
+			assert.areSame( '<ul class="todo-list"><li data-checked="true">foo</li></ul>', bot.getData( false, true ), 'check' );
+
+			editor.execCommand( 'undo' );
+			assert.areSame( '<ul class="todo-list"><li>foo</li></ul>', bot.getData( false, true ), 'undo' );
+		},
+
+		'test space does not toggle item in read-only mode': function() {
+			var bot = this.editorBot,
+				editor = this.editor;
+
+			bot.setHtmlWithSelection( '<ul class="todo-list"><li>^foo</li></ul>' );
+			editor.setReadOnly( true );
+
+			try {
+				fireKey( editor, 32 );
+				assert.areSame( '<ul class="todo-list"><li>foo</li></ul>', bot.getData( false, true ) );
+			} finally {
+				editor.setReadOnly( false );
+			}
+		},
+
+		'test space inside item does not toggle it': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<ul class="todo-list"><li>fo^o</li></ul>' );
+			fireKey( this.editor, 32 );
+			assert.areSame( '<ul class="todo-list"><li>foo</li></ul>', bot.getData( false, true ) );
+		},
+
+		'test clicking checkbox toggles item': function() {
+			var bot = this.editorBot,
+				editor = this.editor;
+
+			bot.setHtmlWithSelection( '<ul class="todo-list"><li>foo^</li><li>bar</li></ul>' );
+
+			editor.editable().fire( 'mousedown', new CKEDITOR.dom.event( {
+				target: editor.editable().find( 'li' ).getItem( 1 ).$,
+				clientX: -1
+			} ) );
+
+			assert.areSame( '<ul class="todo-list"><li>foo</li><li data-checked="true">bar</li></ul>', bot.getData( false, true ) );
+		},
+
+		'test enter at the end of checked item creates unchecked item': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<ul class="todo-list"><li data-checked="true">foo^</li></ul>' );
+			bot.execCommand( 'enter' );
+
+			assert.areSame( '<ul class="todo-list"><li data-checked="true">foo</li><li>&nbsp;</li></ul>', getData( bot ) );
+		},
+
+		'test enter in the middle of checked item': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<ul class="todo-list"><li data-checked="true">fo^o</li></ul>' );
+			bot.execCommand( 'enter' );
+
+			assert.areSame( '<ul class="todo-list"><li data-checked="true">fo</li><li>o</li></ul>', bot.getData( false, true ) );
+		},
+
+		'test enter at the start of checked item': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<ul class="todo-list"><li data-checked="true">^foo</li></ul>' );
+			bot.execCommand( 'enter' );
+
+			assert.areSame( '<ul class="todo-list"><li>&nbsp;</li><li data-checked="true">foo</li></ul>', getData( bot ) );
+		},
+
+		'test indent keeps to-do list type': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<ul class="todo-list"><li>foo</li><li>ba^r</li></ul>' );
+			bot.execCommand( 'indent' );
+
+			assert.areSame( '<ul class="todo-list"><li>foo<ul class="todo-list"><li>bar</li></ul></li></ul>', bot.getData( false, true ) );
+		},
+
+		'test isTodoList': function() {
+			var isTodoList = CKEDITOR.plugins.list.isTodoList;
+
+			assert.isTrue( isTodoList( CKEDITOR.dom.element.createFromHtml( '<ul class="foo todo-list"></ul>' ) ), 'to-do list' );
+			assert.isFalse( isTodoList( CKEDITOR.dom.element.createFromHtml( '<ul></ul>' ) ), 'bulleted list' );
+			assert.isFalse( isTodoList( CKEDITOR.dom.element.createFromHtml( '<ol class="todo-list"></ol>' ) ), 'numbered list' );
+		},
+
+		'test context menu shows to-do list properties': function() {
+			var bot = this.editorBot,
+				editor = this.editor;
+
+			bot.setHtmlWithSelection( '<ul class="todo-list"><li>fo^o</li></ul>' );
+
+			var items = editor.contextMenu._.listeners[ editor.contextMenu._.listeners.length - 1 ]( editor.elementPath().lastElement );
+
+			assert.areSame( CKEDITOR.TRISTATE_OFF, items.todolist );
+			assert.isUndefined( items.bulletedlist );
+		},
+
+		'test to-do list properties dialog': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<ul class="todo-list"><li data-checked="true">fo^o</li><li>bar</li></ul>' );
+
+			bot.dialog( 'todoListStyle', function( dialog ) {
+				assert.areSame( '', dialog.getValueOf( 'info', 'state' ), 'mixed state' );
+
+				dialog.setValueOf( 'info', 'state', 'checked' );
+				dialog.getButton( 'ok' ).click();
+
+				assert.areSame( '<ul class="todo-list"><li data-checked="true">foo</li><li data-checked="true">bar</li></ul>',
+					bot.getData( false, true ) );
+			} );
+		}
+	} );
+} )();
@@ -0,0 +1,168 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,markdown,basicstyles,list,link,image,table,codesnippet,font */
+
+( function() {
+	'use strict';
+
+	function assertToHtml( expected, markdown, msg ) {
+		assert.areSame( expected, new CKEDITOR.markdownDataProcessor().toHtml( markdown ), msg );
+	}
+
+	function assertToMarkdown( expected, html, msg ) {
+		assert.areSame( expected, new CKEDITOR.markdownDataProcessor().toDataFormat( html ), msg );
+	}
+
+	bender.editor = true;
+
+	bender.test( {
+		'test headings to HTML': function() {
+			assertToHtml( '<h1>foo</h1><h3>bar</h3>', '# foo\n\n### bar ###' );
+			assertToHtml( '<h1>foo</h1><h2>bar</h2>', 'foo\n===\n\nbar\n---' );
+		},
+
+		'test paragraphs and line breaks to HTML': function() {
+			assertToHtml( '<p>foo\nbar</p><p>baz</p>', 'foo\nbar\n\nbaz' );
+			assertToHtml( '<p>foo<br />bar<br />baz</p>', 'foo  \nbar\\\nbaz' );
+		},
+
+		'test emphasis to HTML': function() {
+			assertToHtml( '<p><em>a</em> <strong>b</strong> <em><strong>c</strong></em> <s>d</s></p>', '*a* __b__ ***c*** ~~d~~' );
+			assertToHtml( '<p>snake_case_name and 2 * 3 * 4</p>', 'snake_case_name and 2 * 3 * 4' );
+			assertToHtml( '<p><strong>a <em>b</em> c</strong></p>', '**a *b* c**' );
+			assertToHtml( '<p>*not emphasis*</p>', '\\*not emphasis\\*' );
+		},
+
+		'test code to HTML': function() {
+			assertToHtml( '<p><code>a &lt; b</code> and <code>`</code></p>', '`a < b` and `` ` ``' );
+			assertToHtml( '<pre><code class="language-javascript">if ( a &lt; b ) {\n\tfoo();\n}</code></pre>',
+				'```javascript\nif ( a < b ) {\n\tfoo();\n}\n```' );
+			assertToHtml( '<pre><code>indented\ncode</code></pre>', '    indented\n    code' );
+		},
+
+		'test links and images to HTML': function() {
+			assertToHtml( '<p><a href="http://example.com" title="Example">foo</a></p>', '[foo](http://example.com "Example")' );
+			assertToHtml( '<p><a href="http://example.com">http://example.com</a></p>', '<http://example.com>' );
+			assertToHtml( '<p><a href="http://example.com">foo</a> and <a href="http://example.com">bar</a></p>',
+				'[foo] and [bar][foo]\n\n[foo]: http://example.com' );
+			assertToHtml( '<p><img alt="foo bar" src="foo.png" /></p>', '![foo *bar*](foo.png)' );
+		},
+
+		'test lists to HTML': function() {
+			assertToHtml( '<ul><li>a</li><li>b<ul><li>c</li></ul></li></ul>', '- a\n- b\n  - c' );
+			assertToHtml( '<ol start="3"><li>a</li><li>b</li></ol>', '3. a\n4. b' );
+			assertToHtml( '<ul><li><p>a</p></li><li><p>b</p></li></ul>', '* a\n\n* b' );
+		},
+
+		'test blockquote to HTML': function() {
+			assertToHtml( '<blockquote><p>foo\nbar</p><blockquote><p>baz</p></blockquote></blockquote>', '> foo\nbar\n>\n> > baz' );
+		},
+
+		'test table to HTML': function() {
+			assertToHtml( '<table><thead><tr><th style="text-align:left">a</th><th style="text-align:center">b</th></tr></thead>' +
+				'<tbody><tr><td style="text-align:left">1</td><td style="text-align:center">2 | 3</td></tr></tbody></table>',
+				'| a | b |\n| :-- | :-: |\n| 1 | 2 \\| 3 |' );
+		},
+
+		'test HTML to headings and paragraphs': function() {
+			assertToMarkdown( '## foo\n\nbar baz\n\nqux', '<h2>foo</h2><p>bar\n\tbaz</p><p>qux</p>' );
+			assertToMarkdown( 'foo\\\nbar', '<p>foo<br />bar<br /></p>' );
+		},
+
+		'test HTML to inline styles': function() {
+			assertToMarkdown( '**a** *b* ~~c~~ `d`', '<p><strong>a</strong> <em>b</em> <s>c</s> <code>d</code></p>' );
+			assertToMarkdown( 'foo **bar** baz', '<p>foo<strong> bar </strong>baz</p>' );
+			assertToMarkdown( '``a`b``', '<p><code>a`b</code></p>' );
+		},
+
+		'test HTML to adjacent inline styles': function() {
+			var html = '<p><strong>a</strong><strong>b</strong> <em>c</em><b>d</b><i>e</i> <s>f</s><del>g</del></p>',
+				markdown = '**ab** *c***d***e* ~~fg~~';
+
+			assertToMarkdown( markdown, html, 'to Markdown' );
+			assertToHtml( '<p><strong>ab</strong> <em>c</em><strong>d</strong><em>e</em> <s>fg</s></p>', markdown, 'round-trip' );
+			assertToMarkdown( '**ab** *cd*', '<p><strong>a</strong><strong>b</strong> <em>c</em><em>d</em></p>', 'same elements' );
+			assertToMarkdown( '**a b**', '<p><strong>a </strong><b>b</b></p>', 'whitespace' );
+		},
+
+		'test HTML to escaped text': function() {
+			assertToMarkdown( '1\\*2\\_3 \\[x\\] \\<b> & \\&amp;', '<p>1*2_3 [x] &lt;b&gt; &amp; &amp;amp;</p>' );
+			assertToMarkdown( '\\# foo\n\n1\\. bar\n\n\\- baz', '<p># foo</p><p>1. bar</p><p>- baz</p>' );
+		},
+
+		'test HTML to escaped dashes': function() {
+			assertToMarkdown( '\\---', '<p>---</p>', 'thematic break' );
+			assertToMarkdown( '\\--', '<p>--</p>', 'two dashes' );
+			assertToMarkdown( 'foo\\\n\\---', '<p>foo<br />---</p>', 'setext heading' );
+			assertToHtml( '<p>---</p>', '\\---', 'thematic break round-trip' );
+			assertToHtml( '<p>foo<br />---</p>', 'foo\\\n\\---', 'setext heading round-trip' );
+		},
+
+		'test HTML to links and images': function() {
+			assertToMarkdown( '[foo](http://example.com "bar")', '<p><a href="http://example.com" title="bar">foo</a></p>' );
+			assertToMarkdown( '<http://example.com>', '<p><a href="http://example.com">http://example.com</a></p>' );
+			assertToMarkdown( '![foo](<a b.png>)', '<p><img alt="foo" src="a b.png" /></p>' );
+		},
+
+		'test HTML to lists': function() {
+			assertToMarkdown( '- a\n- b\n  - c', '<ul><li>a</li><li>b<ul><li>c</li></ul></li></ul>' );
+			assertToMarkdown( '2. a\n\n3. b\n\n   c', '<ol start="2"><li><p>a</p></li><li><p>b</p><p>c</p></li></ol>' );
+		},
+
+		'test HTML to blockquote': function() {
+			assertToMarkdown( '> foo\n>\n> bar', '<blockquote><p>foo</p><p>bar</p></blockquote>' );
+		},
+
+		'test HTML to code block': function() {
+			assertToMarkdown( '```php\n<?php echo 1;\n```', '<pre><code class="language-php">&lt;?php echo 1;\n</code></pre>' );
+			assertToMarkdown( '````\n```\n````', '<pre>```</pre>' );
+		},
+
+		'test HTML to table': function() {
+			assertToMarkdown( '| a | b\\|c |\n| :---: | --- |\n| 1<br>2 |  |',
+				'<table><thead><tr><th style="text-align:center">a</th><th>b|c</th></tr></thead>' +
+				'<tbody><tr><td colspan="2">1<br />2</td></tr></tbody></table>' );
+		},
+
+		'test editor data is Markdown': function() {
+			var editor = this.editor;
+
+			this.editorBot.setData( '# foo\n\nbar **baz**', function() {
+				assert.areSame( '<h1>foo</h1><p>bar <strong>baz</strong></p>', bender.tools.compatHtml( editor.editable().getHtml(), 0, 1 ) );
+				assert.areSame( '# foo\n\nbar **baz**', editor.getData() );
+			} );
+		},
+
+		'test fenced code is upcasted to code snippet': function() {
+			var editor = this.editor;
+
+			this.editorBot.setData( '```javascript\nvar a = 1;\n```', function() {
+				var widget = editor.widgets.getByElement( editor.editable().findOne( 'pre' ) );
+
+				assert.areSame( 'codeSnippet', widget.name );
+				assert.areSame( 'javascript', widget.data.lang );
+				assert.areSame( '```javascript\nvar a = 1;\n```', editor.getData() );
+			} );
+		},
+
+		'test filter is restricted to Markdown': function() {
+			var filter = this.editor.filter;
+
+			assert.isTrue( filter.check( 'a[href]' ), 'a[href]' );
+			assert.isTrue( filter.check( 'code(language-js)' ), 'code(language-js)' );
+			assert.isFalse( filter.check( 'span{font-family}' ), 'span{font-family}' );
+			assert.isFalse( filter.check( 'u' ), 'u' );
+		},
+
+		'test custom allowedContent is respected': function() {
+			bender.editorBot.create( {
+				name: 'custom_acf',
+				config: {
+					allowedContent: 'p u'
+				}
+			}, function( bot ) {
+				assert.isTrue( bot.editor.filter.check( 'u' ), 'u' );
+				assert.isFalse( bot.editor.filter.check( 'strong' ), 'strong' );
+			} );
+		}
+	} );
+} )();
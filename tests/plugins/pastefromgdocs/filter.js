@@ -0,0 +1,188 @@
+/* bender-tags: editor,clipboard,pastefromgdocs */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,basicstyles,list,link,table,image,pastefromgdocs */
+/* bender-include: ../../../plugins/pastefromgdocs/filter/default.js */
+
+( function() {
+	'use strict';
+
+	bender.editors = {
+		classic: {},
+
+		noFontStyles: {
+			config: {
+				pasteFromGoogleDocs_removeFontStyles: true
+			}
+		},
+
+		noBasicStyles: {
+			config: {
+				removePlugins: 'basicstyles'
+			}
+		}
+	};
+
+	var TEXT_STYLE = 'font-size:11pt;font-family:Arial;color:#000000;background-color:transparent;font-variant:normal;' +
+			'vertical-align:baseline;white-space:pre;white-space:pre-wrap;',
+		P_STYLE = 'line-height:1.38;margin-top:0pt;margin-bottom:0pt;',
+		LI_STYLE = 'font-size:11pt;font-family:Arial;color:#000000;background-color:transparent;font-weight:400;' +
+			'font-style:normal;font-variant:normal;text-decoration:none;vertical-align:baseline;white-space:pre;',
+		CELL_STYLE = 'border-left:solid #000000 1pt;border-right:solid #000000 1pt;border-bottom:solid #000000 1pt;' +
+			'border-top:solid #000000 1pt;vertical-align:top;padding:5pt 5pt 5pt 5pt;overflow:hidden;overflow-wrap:break-word;';
+
+	function wrap( html ) {
+		return '<meta charset="utf-8"><b style="font-weight:normal;" id="docs-internal-guid-1a2b3c4d-7fff-1234-5678-9abcdef01234">' +
+			html + '</b><br class="Apple-interchange-newline">';
+	}
+
+	function text( content, style ) {
+		return '<span style="' + TEXT_STYLE + 'font-weight:400;font-style:normal;text-decoration:none;' + ( style || '' ) + '">' +
+			content + '</span>';
+	}
+
+	function p( content, style ) {
+		return '<p dir="ltr" style="' + P_STYLE + ( style || '' ) + '">' + content + '</p>';
+	}
+
+	function li( content, level, listStyle ) {
+		return '<li dir="ltr" aria-level="' + level + '" style="list-style-type:' + listStyle + ';' + LI_STYLE + '">' +
+			'<p dir="ltr" style="' + P_STYLE + '" role="presentation">' + text( content ) + '</p></li>';
+	}
+
+	function list( name, content ) {
+		return '<' + name + ' style="margin-top:0;margin-bottom:0;padding-inline-start:48px;">' + content + '</' + name + '>';
+	}
+
+	function cell( content, style ) {
+		return '<td style="' + CELL_STYLE + ( style || '' ) + '">' + p( text( content ) ) + '</td>';
+	}
+
+	function assertCleanup( expected, html, editor ) {
+		assert.areSame( expected, CKEDITOR.plugins.pastefromgdocs.cleanup( wrap( html ), editor ) );
+	}
+
+	bender.test( {
+		'test wrappers and default styles are removed': function() {
+			assertCleanup( '<p>Foo bar</p><p>Baz</p>', p( text( 'Foo bar' ) ) + p( text( 'Baz' ) ), this.editors.classic );
+		},
+
+		'test styles are converted into semantic elements': function() {
+			assertCleanup( '<p><strong>Bold</strong> <em>italic</em> <u>underline</u> <s>strike</s> x<sup>2</sup> H<sub>2</sub>O</p>',
+				p( text( 'Bold', 'font-weight:700;' ) + text( ' ' ) + text( 'italic', 'font-style:italic;' ) + text( ' ' ) +
+					text( 'underline', 'text-decoration:underline;' ) + text( ' ' ) + text( 'strike', 'text-decoration:line-through;' ) +
+					text( ' x' ) + text( '2', 'vertical-align:super;font-size:0.6em;' ) + text( ' H' ) +
+					text( '2', 'vertical-align:sub;font-size:0.6em;' ) + text( 'O' ) ),
+				this.editors.classic );
+		},
+
+		'test combined styles': function() {
+			assertCleanup( '<p><span style="color:#ff0000"><strong><em>Foo</em></strong></span></p>',
+				p( text( 'Foo', 'font-weight:700;font-style:italic;color:#ff0000;' ) ), this.editors.classic );
+		},
+
+		'test styles are kept when semantic elements are not allowed': function() {
+			assertCleanup( '<p><span style="font-weight:bold">Foo</span></p>',
+				p( text( 'Foo', 'font-weight:700;' ) ), this.editors.noBasicStyles );
+		},
+
+		'test non-default font styles are kept one per span': function() {
+			assertCleanup( '<p><span style="font-family:Georgia"><span style="font-size:14pt"><span style="color:#ff0000">' +
+				'<span style="background-color:#ffff00">Foo</span></span></span></span></p>',
+				p( '<span style="font-size:14pt;font-family:Georgia;color:#ff0000;background-color:#ffff00;">Foo</span>' ),
+				this.editors.classic );
+		},
+
+		'test removing font styles': function() {
+			assertCleanup( '<p><strong>Foo</strong></p>',
+				p( '<span style="font-size:14pt;font-family:Georgia;color:#ff0000;font-weight:700;">Foo</span>' ),
+				this.editors.noFontStyles );
+		},
+
+		'test sequences of spaces are preserved': function() {
+			assertCleanup( '<p>Foo &nbsp; bar</p>', p( text( 'Foo   bar' ) ), this.editors.classic );
+		},
+
+		'test paragraph alignment is kept': function() {
+			assertCleanup( '<p style="text-align:center">Foo</p><p>Bar</p>',
+				p( text( 'Foo' ), 'text-align:center;' ) + p( text( 'Bar' ), 'text-align:left;' ), this.editors.classic );
+		},
+
+		'test headings': function() {
+			assertCleanup( '<h1>Title</h1><h2><strong>Bold</strong></h2>',
+				'<h1 dir="ltr" id="h.abc123" style="' + P_STYLE + '">' + text( 'Title', 'font-size:20pt;' ) + '</h1>' +
+				'<h2 dir="ltr" style="' + P_STYLE + '">' + text( 'Bold', 'font-size:16pt;font-weight:700;' ) + '</h2>',
+				this.editors.classic );
+		},
+
+		'test links': function() {
+			assertCleanup( '<p><a href="http://example.com">Link</a></p>',
+				p( '<a href="http://example.com" style="text-decoration:none;">' +
+					text( 'Link', 'color:#1155cc;text-decoration:underline;-webkit-text-decoration-skip:none;' ) + '</a>' ),
+				this.editors.classic );
+		},
+
+		'test images': function() {
+			assertCleanup( '<p><img src="http://example.com/image.png" width="200" height="100" /></p>',
+				p( '<span style="border:none;display:inline-block;overflow:hidden;width:200px;height:100px;">' +
+					'<img src="http://example.com/image.png" width="200" height="100" style="margin-left:0px;margin-top:0px;" /></span>' ),
+				this.editors.classic );
+		},
+
+		'test nested lists': function() {
+			assertCleanup( '<ul><li>One<ul><li>Two<ul><li>Three</li></ul></li></ul></li><li>Four</li></ul>',
+				list( 'ul',
+					li( 'One', 1, 'disc' ) +
+					list( 'ul',
+						li( 'Two', 2, 'circle' ) +
+						list( 'ul', li( 'Three', 3, 'square' ) )
+					) +
+					li( 'Four', 1, 'disc' )
+				),
+				this.editors.classic );
+		},
+
+		'test lists split by levels': function() {
+			assertCleanup( '<ol><li>One<ol style="list-style-type:lower-alpha"><li>Two</li></ol></li><li>Three</li></ol>',
+				list( 'ol', li( 'One', 1, 'decimal' ) ) +
+				list( 'ol', li( 'Two', 2, 'lower-alpha' ) ) +
+				list( 'ol', li( 'Three', 1, 'decimal' ) ),
+				this.editors.classic );
+		},
+
+		'test flat lists with levels': function() {
+			assertCleanup( '<ul><li>One<ol><li>Two</li><li>Three</li></ol></li><li>Four</li></ul>',
+				list( 'ul', li( 'One', 1, 'disc' ) + li( 'Two', 2, 'decimal' ) + li( 'Three', 2, 'decimal' ) + li( 'Four', 1, 'disc' ) ),
+				this.editors.classic );
+		},
+
+		'test separate lists are not merged': function() {
+			assertCleanup( '<ul><li>One</li></ul><p>Foo</p><ul><li>Two</li></ul>',
+				list( 'ul', li( 'One', 1, 'disc' ) ) + p( text( 'Foo' ) ) + list( 'ul', li( 'Two', 1, 'disc' ) ),
+				this.editors.classic );
+		},
+
+		'test list item with many paragraphs': function() {
+			assertCleanup( '<ul><li>Foo<br />Bar</li></ul>',
+				list( 'ul', '<li dir="ltr" style="list-style-type:disc;' + LI_STYLE + '">' + p( text( 'Foo' ) ) + p( text( 'Bar' ) ) + '</li>' ),
+				this.editors.classic );
+		},
+
+		'test tables': function() {
+			assertCleanup( '<table border="1"><tbody><tr><td>Foo</td><td style="background-color:#ffff00">Bar</td></tr>' +
+				'<tr><td style="text-align:center">Baz</td><td><p>Qux</p><p>Quux</p></td></tr></tbody></table>',
+				'<div dir="ltr" style="margin-left:0pt;" align="left"><table style="border:none;border-collapse:collapse;">' +
+				'<colgroup><col width="*" /><col width="*" /></colgroup><tbody>' +
+				'<tr style="height:0pt">' + cell( 'Foo' ) + cell( 'Bar', 'background-color:#ffff00;' ) + '</tr>' +
+				'<tr style="height:0pt"><td style="' + CELL_STYLE + '">' + p( text( 'Baz' ), 'text-align:center;' ) + '</td>' +
+				'<td style="' + CELL_STYLE + '">' + p( text( 'Qux' ) ) + p( text( 'Quux' ) ) + '</td></tr>' +
+				'</tbody></table></div>',
+				this.editors.classic );
+		},
+
+		'test tables without borders': function() {
+			assertCleanup( '<table><tbody><tr><td>Foo</td></tr></tbody></table>',
+				'<div dir="ltr" align="left"><table style="border:none;border-collapse:collapse;"><tbody><tr>' +
+				'<td style="vertical-align:top;">' + p( text( 'Foo' ) ) + '</td></tr></tbody></table></div>',
+				this.editors.classic );
+		}
+	} );
+} )();
@@ -0,0 +1,143 @@
+/* bender-tags: editor,clipboard,pastefromgdocs */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,basicstyles,pastefromgdocs */
+
+( function() {
+	'use strict';
+
+	bender.editor = {
+		config: {
+			allowedContent: 'p strong'
+		}
+	};
+
+	function gdocsHtml( content ) {
+		return '<meta charset="utf-8"><b style="font-weight:normal;" id="docs-internal-guid-1a2b3c4d-7fff-1234-5678-9abcdef01234">' +
+			'<p dir="ltr" style="line-height:1.38;margin-top:0pt;margin-bottom:0pt;">' + content + '</p></b>';
+	}
+
+	function bold( text ) {
+		return '<span style="font-size:11pt;font-family:Arial;color:#000000;font-weight:700;white-space:pre-wrap;">' + text + '</span>';
+	}
+
+	function paste( editor, data ) {
+		editor.fire( 'paste', CKEDITOR.tools.extend( data, {
+			type: 'auto',
+			method: 'paste',
+			dataTransfer: CKEDITOR.plugins.clipboard.initPasteDataTransfer()
+		} ) );
+	}
+
+	bender.test( {
+		'test content is cleaned up': function() {
+			var editor = this.editor;
+
+			editor.once( 'afterPasteFromGoogleDocs', function( evt ) {
+				resume( function() {
+					assert.areSame( '<p><strong>Foo</strong></p>', evt.data.dataValue );
+				} );
+			} );
+
+			paste( editor, { dataValue: gdocsHtml( bold( 'Foo' ) ) } );
+
+			wait();
+		},
+
+		'test dataTransfer is used when available': function() {
+			if ( !CKEDITOR.plugins.clipboard.isCustomDataTypesSupported ) {
+				assert.ignore();
+			}
+
+			var editor = this.editor,
+				nativeData = bender.tools.mockNativeDataTransfer();
+
+			nativeData.setData( 'text/html', gdocsHtml( bold( 'Foo' ) ) );
+
+			editor.once( 'afterPasteFromGoogleDocs', function( evt ) {
+				resume( function() {
+					assert.areSame( '<p><strong>Foo</strong></p>', evt.data.dataValue );
+				} );
+			} );
+
+			paste( editor, {
+				dataValue: 'Foo',
+				dataTransfer: new CKEDITOR.plugins.clipboard.dataTransfer( nativeData )
+			} );
+
+			wait();
+		},
+
+		'test cleaned up content is inserted': function() {
+			var editor = this.editor;
+
+			this.editorBot.setHtmlWithSelection( '<p>^</p>' );
+
+			editor.once( 'afterPaste', function() {
+				resume( function() {
+					assert.areSame( '<p><strong>Foo</strong>&nbsp;bar</p>', editor.getData() );
+				} );
+			}, null, null, 999 );
+
+			paste( editor, {
+				dataValue: gdocsHtml( bold( 'Foo' ) + '<span style="font-style:italic;color:#ff0000;">&nbsp;bar</span>' )
+			} );
+
+			wait();
+		},
+
+		'test other content is not processed': function() {
+			var editor = this.editor,
+				spy = sinon.spy();
+
+			editor.once( 'pasteFromGoogleDocs', spy );
+
+			editor.once( 'afterPaste', function() {
+				resume( function() {
+					assert.isFalse( spy.called );
+				} );
+			}, null, null, 999 );
+
+			paste( editor, { dataValue: '<p><b id="foo">Foo</b></p>' } );
+
+			wait();
+		},
+
+		'test canceling pasteFromGoogleDocs': function() {
+			var editor = this.editor,
+				spy = sinon.spy();
+
+			editor.once( 'pasteFromGoogleDocs', function( evt ) {
+				evt.cancel();
+			} );
+
+			editor.once( 'afterPasteFromGoogleDocs', spy );
+
+			editor.once( 'afterPaste', function() {
+				resume( function() {
+					assert.isFalse( spy.called );
+				} );
+			}, null, null, 999 );
+
+			paste( editor, { dataValue: gdocsHtml( bold( 'Foo' ) ) } );
+
+			wait();
+		},
+
+		'test pasteFromGoogleDocs data can be changed': function() {
+			var editor = this.editor;
+
+			editor.once( 'pasteFromGoogleDocs', function( evt ) {
+				evt.data.dataValue = gdocsHtml( bold( 'Bar' ) );
+			} );
+
+			editor.once( 'afterPasteFromGoogleDocs', function( evt ) {
+				resume( function() {
+					assert.areSame( '<p><strong>Bar</strong></p>', evt.data.dataValue );
+				} );
+			} );
+
+			paste( editor, { dataValue: gdocsHtml( bold( 'Foo' ) ) } );
+
+			wait();
+		}
+	} );
+} )();
@@ -0,0 +1,135 @@
+/* bender-tags: editor,clipboard,pastefromword */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,basicstyles,colorbutton,font,list,link,table,image,pastefromword */
+/* bender-include: ../../../plugins/pastefromword/filter/default.js */
+
+( function() {
+	'use strict';
+
+	bender.editors = {
+		classic: {},
+
+		noFontStyles: {
+			config: {
+				pasteFromWordRemoveFontStyles: true
+			}
+		}
+	};
+
+	function writerHtml( body ) {
+		return '<!DOCTYPE HTML PUBLIC "-//W3C//DTD HTML 4.0 Transitional//EN"><html><head>' +
+			'<meta http-equiv="content-type" content="text/html; charset=utf-8"/><title></title>' +
+			'<meta name="generator" content="LibreOffice 6.4.6.2 (Linux)"/><meta name="created" content="2019-08-20T10:00:00.000000000"/>' +
+			'<style type="text/css">@page { size: 21cm 29.7cm; margin: 2cm } p { margin-bottom: 0.25cm; line-height: 115%; ' +
+			'background: transparent } h1 { margin-bottom: 0.21cm; background: transparent; page-break-after: avoid } ' +
+			'h1.western { font-family: "Liberation Serif", serif; font-size: 24pt; font-weight: bold } ' +
+			'a:link { color: #000080; so-language: zxx; text-decoration: underline }</style></head>' +
+			'<body lang="en-US" link="#000080" vlink="#800000" dir="ltr">' + body + '</body></html>';
+	}
+
+	function p( content, attributes ) {
+		return '<p' + ( attributes || '' ) + ' style="margin-bottom: 0cm; line-height: 100%">' + content + '</p>';
+	}
+
+	function assertCleanup( expected, html, editor ) {
+		assert.areSame( expected, CKEDITOR.plugins.pastefromword.libreOffice.cleanup( html, editor ) );
+	}
+
+	bender.test( {
+		'test paragraphs and headings': function() {
+			assertCleanup( '<h1>Title</h1><p>Foo</p><p style="text-align:center">Bar</p><p style="text-align:justify">Baz</p>',
+				writerHtml( '<h1 class="western"><a name="__RefHeading___Toc1_1234"></a>Title</h1>' +
+					p( 'Foo' ) + p( 'Bar', ' align="center"' ) + p( 'Baz', ' class="western" align="justify"' ) ),
+				this.editors.classic );
+		},
+
+		'test text formatting': function() {
+			assertCleanup( '<p><b>Bold</b> <i>italic</i> <u>under</u> <strike>strike</strike> x<sup>2</sup> ' +
+				'<span style="color:#ff0000">red</span> <span style="background-color:#ffff00">marked</span> ' +
+				'<span style="font-family:Liberation Mono,monospace"><span style="font-size:10pt">code</span></span></p>',
+				writerHtml( p( '<b>Bold</b> <i>italic</i> <u>under</u> <strike>strike</strike> x<sup>2</sup> ' +
+					'<font color="#ff0000">red</font> <span style="background: #ffff00">marked</span> ' +
+					'<font face="Liberation Mono, monospace"><font size="2" style="font-size: 10pt">code</font></font>' ) ),
+				this.editors.classic );
+		},
+
+		'test font styles removed': function() {
+			assertCleanup( '<p>red <b>bold</b></p>',
+				writerHtml( p( '<font color="#ff0000">red</font> <b>bold</b>' ) ),
+				this.editors.noFontStyles );
+		},
+
+		'test language spans': function() {
+			assertCleanup( '<p>Foo bar</p>', writerHtml( p( '<span lang="pl-PL">Foo</span> <span lang="en-US">bar</span>' ) ),
+				this.editors.classic );
+		},
+
+		'test links and images': function() {
+			assertCleanup( '<p><a href="https://example.com/">Link</a> <img src="https://example.com/image.png" alt="Alt" ' +
+				'width="100" height="50" /></p>',
+				writerHtml( p( '<a href="https://example.com/">Link</a> <img src="https://example.com/image.png" name="Image1" ' +
+					'alt="Alt" align="bottom" width="100" height="50" border="0"/>' ) ),
+				this.editors.classic );
+		},
+
+		'test nested lists': function() {
+			assertCleanup( '<ul><li>One<ul><li>Two</li></ul></li><li>Three<br />Continued</li></ul>' +
+				'<ol start="3" style="list-style-type:lower-alpha"><li>Four</li></ol>',
+				writerHtml( '<ul><li>' + p( 'One' ) + '</li><ul><li>' + p( 'Two' ) + '</li></ul><li>' + p( 'Three' ) +
+					p( 'Continued' ) + '</li></ul>' + '<ol type="a" start="3"><li>' + p( 'Four' ) + '</li></ol>' ),
+				this.editors.classic );
+		},
+
+		'test tables': function() {
+			var cellStyle = ' style="border-top: 1px solid #000000; border-bottom: 1px solid #000000; border-left: 1px solid #000000; ' +
+				'border-right: none; padding-top: 0.1cm; padding-bottom: 0.1cm; padding-left: 0.1cm; padding-right: 0cm"';
+
+			assertCleanup( '<table border="1" style="width:100%"><tr><td style="width:25%">Foo</td><td style="width:75%; ' +
+				'text-align:center">Bar</td></tr><tr><td style="vertical-align:middle; background-color:#ffff00">Baz</td>' +
+				'<td><p>Qux</p><p>Quux</p></td></tr></table>',
+				writerHtml( '<table width="100%" cellpadding="4" cellspacing="0"><col width="64*"/><col width="192*"/>' +
+					'<tr valign="top"><td width="25%"' + cellStyle + '>' + p( 'Foo' ) + '</td>' +
+					'<td width="75%"' + cellStyle + '>' + p( 'Bar', ' align="center"' ) + '</td></tr>' +
+					'<tr><td bgcolor="#ffff00" valign="middle"' + cellStyle + '>' + p( 'Baz' ) + '</td>' +
+					'<td valign="top"' + cellStyle + '>' + p( 'Qux' ) + p( 'Quux' ) + '</td></tr></table>' ),
+				this.editors.classic );
+		},
+
+		'test tables with relative column widths': function() {
+			assertCleanup( '<table style="width:100%"><tr><td style="width:25%">Foo</td><td style="width:75%">Bar</td></tr></table>',
+				writerHtml( '<table width="100%" cellpadding="4" cellspacing="0"><col width="64*"/><col width="192*"/>' +
+					'<tr valign="top"><td>' + p( 'Foo' ) + '</td><td>' + p( 'Bar' ) + '</td></tr></table>' ),
+				this.editors.classic );
+		},
+
+		'test fields': function() {
+			assertCleanup( '<p>Page 1</p>',
+				writerHtml( p( 'Page <sdfield type=PAGE subtype=RANDOM format=PAGE>1</sdfield>' ) ),
+				this.editors.classic );
+		},
+
+		'test pasting from Writer': function() {
+			var editor = this.editors.classic,
+				source;
+
+			editor.once( 'pasteFromWord', function( evt ) {
+				source = evt.data.source;
+			} );
+
+			editor.once( 'afterPasteFromWord', function( evt ) {
+				resume( function() {
+					assert.areSame( 'libreOfficeWriter', source );
+					assert.areSame( '<h1>Foo</h1><p>Bar</p>', evt.data.dataValue );
+				} );
+			} );
+
+			editor.fire( 'paste', {
+				type: 'auto',
+				method: 'paste',
+				dataValue: writerHtml( '<h1 class="western">Foo</h1>' + p( 'Bar' ) ),
+				dataTransfer: CKEDITOR.plugins.clipboard.initPasteDataTransfer()
+			} );
+
+			wait();
+		}
+	} );
+} )();
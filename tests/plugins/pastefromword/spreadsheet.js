@@ -0,0 +1,318 @@
+/* bender-tags: editor,clipboard,pastefromword */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,basicstyles,colorbutton,table,pastefromword,ajax */
+/* bender-include: ../../../plugins/pastefromword/filter/default.js */
+
+( function() {
+	'use strict';
+
+	bender.editors = {
+		classic: {},
+
+		noFontStyles: {
+			config: {
+				pasteFromWordRemoveFontStyles: true
+			}
+		},
+
+		excelFilter: {
+			config: {
+				pasteFromWord_excelFilter: true
+			}
+		}
+	};
+
+	function excelHtml( styles, rows, columns ) {
+		return '<html xmlns:v="urn:schemas-microsoft-com:vml" xmlns:o="urn:schemas-microsoft-com:office:office" ' +
+			'xmlns:x="urn:schemas-microsoft-com:office:excel" xmlns="http://www.w3.org/TR/REC-html40">' +
+			'<head><meta http-equiv=Content-Type content="text/html; charset=utf-8"><meta name=ProgId content=Excel.Sheet>' +
+			'<meta name=Generator content="Microsoft Excel 15">' +
+			'<link id=Main-File rel=Main-File href="file:///C:/Users/dev/AppData/Local/Temp/msohtmlclip1/01/clip.htm">' +
+			'<style><!--table {mso-displayed-decimal-separator:"\\.";mso-displayed-thousand-separator:"\\,";}' +
+			'@page {margin:.75in .7in .75in .7in;mso-header-margin:.3in;mso-footer-margin:.3in;}' +
+			'tr {mso-height-source:auto;} col {mso-width-source:auto;} br {mso-data-placement:same-cell;}' +
+			'td {padding-top:1px;padding-right:1px;padding-left:1px;mso-ignore:padding;color:black;font-size:11.0pt;' +
+			'font-weight:400;font-style:normal;text-decoration:none;font-family:Calibri, sans-serif;mso-font-charset:0;' +
+			'mso-number-format:General;text-align:general;vertical-align:bottom;border:none;mso-background-source:auto;' +
+			'mso-pattern:auto;mso-protection:locked visible;white-space:nowrap;mso-rotate:0;}' +
+			( styles || '' ) + '--></style></head>' +
+			'<body link="#0563C1" vlink="#954F72">' +
+			'<table border=0 cellpadding=0 cellspacing=0 width=192 style=\'border-collapse:collapse;width:144pt\'>' +
+			( columns || '<col width=64 span=3 style=\'width:48pt\'>' ) +
+			'<!--StartFragment-->' + rows + '<!--EndFragment--></table></body></html>';
+	}
+
+	function calcHtml( rows ) {
+		return '<!DOCTYPE HTML PUBLIC "-//W3C//DTD HTML 4.0 Transitional//EN"><html><head>' +
+			'<meta http-equiv="content-type" content="text/html; charset=utf-8"/><title></title>' +
+			'<meta name="generator" content="LibreOffice 6.4.6.2 (Linux)"/>' +
+			'<style type="text/css">body,div,table,thead,tbody,tfoot,tr,th,td,p { font-family:"Liberation Sans"; font-size:x-small }' +
+			'a.comment-indicator:hover + comment { background:#ffd; position:absolute; display:block; border:1px solid black; padding:0.5em; }' +
+			'</style></head><body><table cellspacing="0" border="0">' +
+			'<colgroup width="85"></colgroup><colgroup span="2" width="120"></colgroup>' + rows + '</table></body></html>';
+	}
+
+	// Wraps the HTML with the default font of Excel cells.
+	function excelFont( html ) {
+		return '<span style="font-family:Calibri,sans-serif"><span style="font-size:11.0pt">' + html + '</span></span>';
+	}
+
+	// Wraps the HTML with the default font of LibreOffice Calc cells.
+	function calcFont( html ) {
+		return '<span style="font-family:&quot;Liberation Sans&quot;"><span style="font-size:x-small">' + html + '</span></span>';
+	}
+
+	function assertCleanup( expected, html, editor ) {
+		assert.areSame( expected, CKEDITOR.plugins.pastefromword.spreadsheet.cleanup( html, editor ) );
+	}
+
+	bender.test( {
+		'test Excel table': function() {
+			assertCleanup( '<table style="width:192px"><tr><td style="width:64px">' + excelFont( 'Name' ) + '</td>' +
+				'<td style="width:64px">' + excelFont( 'Price' ) + '</td><td style="width:64px">' + excelFont( 'Qty' ) + '</td></tr>' +
+				'<tr><td>' + excelFont( 'Foo' ) + '</td><td style="text-align:right">' + excelFont( '1.5' ) + '</td>' +
+				'<td style="text-align:right">' + excelFont( '3' ) + '</td></tr></table>',
+				excelHtml( '', '<tr height=20 style=\'height:15.0pt\'><td height=20 width=64 style=\'height:15.0pt;width:48pt\'>Name</td>' +
+					'<td width=64 style=\'width:48pt\'>Price</td><td width=64 style=\'width:48pt\'>Qty</td></tr>' +
+					'<tr height=20 style=\'height:15.0pt\'><td height=20 style=\'height:15.0pt\'>Foo</td>' +
+					'<td align=right x:num>1.5</td><td align=right x:num>3</td></tr>' ),
+				this.editors.classic );
+		},
+
+		'test Excel cell formatting from classes': function() {
+			assertCleanup( '<table border="1" style="width:192px"><tr><td style="width:64px; text-align:center; background-color:yellow">' +
+				excelFont( '<strong>Bold</strong>' ) + '</td><td style="width:64px">' + excelFont( '<span style="color:red"><em>Red</em></span>' ) +
+				'</td><td style="width:64px; vertical-align:middle">' + excelFont( '<u>Under</u>' ) + '</td></tr></table>',
+				excelHtml( '.xl65 {font-weight:700;text-align:center;background:yellow;mso-pattern:black none;' +
+					'border:.5pt solid windowtext;}.xl66 {color:red;font-style:italic;}.xl67 {text-decoration:underline;' +
+					'text-underline-style:single;vertical-align:middle;}',
+					'<tr height=20><td height=20 class=xl65 width=64>Bold</td><td class=xl66 width=64>Red</td>' +
+					'<td class=xl67 width=64>Under</td></tr>' ),
+				this.editors.classic );
+		},
+
+		'test Excel number formats are kept as text': function() {
+			assertCleanup( '<table style="width:192px"><tr><td style="width:64px">' + excelFont( '00123' ) + '</td>' +
+				'<td style="width:64px; text-align:right">' + excelFont( '50%' ) + '</td>' +
+				'<td style="width:64px; text-align:right">' + excelFont( '$1,234.00' ) + '</td></tr></table>',
+				excelHtml( '.xl65 {mso-number-format:"\\@";}.xl66 {mso-number-format:0%;}' +
+					'.xl67 {mso-number-format:"\\0022$\\0022\\#\\,\\#\\#0\\.00\;\\[Red\\]\\0022$\\0022\\#\\,\\#\\#0\\.00";}',
+					'<tr height=20><td height=20 class=xl65 width=64>00123</td>' +
+					'<td class=xl66 width=64 align=right x:num="0.5">50%</td>' +
+					'<td class=xl67 width=64 align=right x:num="1234">$1,234.00</td></tr>' ),
+				this.editors.classic );
+		},
+
+		'test Excel cell spans': function() {
+			assertCleanup( '<table style="width:192px"><tr><td colspan="2" style="width:128px; text-align:center">' + excelFont( 'Merged' ) +
+				'</td><td rowspan="2" style="width:64px">' + excelFont( 'Tall' ) + '</td></tr>' +
+				'<tr><td>' + excelFont( 'A' ) + '</td><td>' + excelFont( 'B' ) + '</td></tr></table>',
+				excelHtml( '.xl65 {text-align:center;}',
+					'<tr height=20><td colspan=2 height=20 class=xl65 width=128>Merged</td>' +
+					'<td rowspan=2 width=64>Tall</td></tr><tr height=20><td height=20>A</td><td>B</td></tr>' ),
+				this.editors.classic );
+		},
+
+		'test Excel column widths without widths of cells': function() {
+			assertCleanup( '<table style="width:200px"><tr><td style="width:50px">' + excelFont( 'A' ) + '</td>' +
+				'<td style="width:150px">' + excelFont( 'B' ) + '</td></tr></table>',
+				excelHtml( '', '<tr><td>A</td><td>B</td></tr>', '<col width=50><col width=150>' ).replace( 'width=192 ', '' )
+					.replace( 'width:144pt', '' ),
+				this.editors.classic );
+		},
+
+		'test Excel rich text in cells': function() {
+			assertCleanup( '<table style="width:192px"><tr><td style="width:64px">' +
+				excelFont( 'Foo <span style="color:red"><strong>bar</strong></span><br />baz&nbsp;&nbsp;' ) + '</td>' +
+				'<td style="width:64px"></td><td style="width:64px"></td></tr></table>',
+				excelHtml( '.font5 {color:red;font-size:11.0pt;font-weight:700;font-family:Calibri, sans-serif;}',
+					'<tr><td width=64>Foo <font class="font5">bar</font><br>baz<span style=\'mso-spacerun:yes\'>&nbsp;&nbsp;</span></td>' +
+					'<td width=64></td><td width=64></td></tr>' ),
+				this.editors.classic );
+		},
+
+		'test Excel fonts of rich text different from the cell font': function() {
+			assertCleanup( '<table style="width:192px"><tr><td style="width:64px">' +
+				excelFont( 'Foo <span style="font-family:Arial,sans-serif"><span style="font-size:14.0pt">bar</span></span>' ) +
+				'</td><td style="width:64px"></td><td style="width:64px"></td></tr></table>',
+				excelHtml( '.font5 {color:black;font-size:14.0pt;font-family:Arial, sans-serif;}',
+					'<tr><td width=64>Foo <font class="font5">bar</font></td><td width=64></td><td width=64></td></tr>' ),
+				this.editors.classic );
+		},
+
+		'test Excel font styles removed': function() {
+			assertCleanup( '<table style="width:192px"><tr><td style="width:64px"><strong>Bold</strong></td><td style="width:64px"></td>' +
+				'<td style="width:64px"></td></tr></table>',
+				excelHtml( '.xl65 {color:red;font-weight:700;font-size:16.0pt;}',
+					'<tr><td class=xl65 width=64>Bold</td><td width=64></td><td width=64></td></tr>' ),
+				this.editors.noFontStyles );
+		},
+
+		'test Calc table': function() {
+			assertCleanup( '<table border="1" style="width:325px"><tr><td style="background-color:#ffff00; width:85px">' +
+				calcFont( '<b>Name</b>' ) + '</td><td style="text-align:right; width:120px">' + calcFont( '50.00%' ) + '</td>' +
+				'<td style="text-align:center; vertical-align:middle; width:120px">' + calcFont( '<span style="color:#ff0000">Red</span>' ) +
+				'</td></tr><tr><td colspan="2">' + calcFont( 'Merged' ) + '</td><td><br /></td></tr></table>',
+				calcHtml( '<tr><td height="17" align="left" bgcolor="#FFFF00"><b>Name</b></td>' +
+					'<td align="right" sdval="0.5" sdnum="1033;0;0.00%">50.00%</td>' +
+					'<td style="border-top: 1px solid #000000; border-bottom: 1px solid #000000" align="center" valign="middle">' +
+					'<font color="#FF0000">Red</font></td></tr>' +
+					'<tr><td height="17" colspan="2" align="left"><font color="#000000">Merged</font></td><td><br></td></tr>' ),
+				this.editors.classic );
+		},
+
+		'test pasting from Excel': function() {
+			var editor = this.editors.excelFilter,
+				source;
+
+			editor.once( 'pasteFromWord', function( evt ) {
+				source = evt.data.source;
+			} );
+
+			editor.once( 'afterPasteFromWord', function( evt ) {
+				resume( function() {
+					assert.areSame( 'excel', source );
+					assert.areSame( '<table style="width:192px"><tr><td style="width:64px">' + excelFont( 'Foo' ) + '</td></tr></table>',
+						evt.data.dataValue );
+				} );
+			} );
+
+			editor.fire( 'paste', {
+				type: 'auto',
+				method: 'paste',
+				dataValue: excelHtml( '', '<tr><td width=64>Foo</td></tr>' ),
+				dataTransfer: CKEDITOR.plugins.clipboard.initPasteDataTransfer()
+			} );
+
+			wait();
+		},
+
+		'test pasting from Excel uses the Word filter by default': function() {
+			var editor = this.editors.classic,
+				cleanWord = sinon.spy( CKEDITOR, 'cleanWord' ),
+				spreadsheetCleanup = sinon.spy( CKEDITOR.plugins.pastefromword.spreadsheet, 'cleanup' ),
+				source;
+
+			editor.once( 'pasteFromWord', function( evt ) {
+				source = evt.data.source;
+			} );
+
+			editor.once( 'afterPasteFromWord', function() {
+				resume( function() {
+					cleanWord.restore();
+					spreadsheetCleanup.restore();
+
+					assert.areSame( 'excel', source, 'source' );
+					assert.isTrue( cleanWord.calledOnce, 'Word filter' );
+					assert.isFalse( spreadsheetCleanup.called, 'spreadsheet filter' );
+				} );
+			} );
+
+			editor.fire( 'paste', {
+				type: 'auto',
+				method: 'paste',
+				dataValue: excelHtml( '', '<tr><td width=64>Foo</td></tr>' ),
+				dataTransfer: CKEDITOR.plugins.clipboard.initPasteDataTransfer()
+			} );
+
+			wait();
+		},
+
+		'test pasting from Calc': function() {
+			var editor = this.editors.classic,
+				source;
+
+			editor.once( 'pasteFromWord', function( evt ) {
+				source = evt.data.source;
+			} );
+
+			editor.once( 'afterPasteFromWord', function( evt ) {
+				resume( function() {
+					assert.areSame( 'libreOfficeCalc', source );
+					assert.areSame( '<table style="width:325px"><tr><td style="width:85px">' + calcFont( 'Foo' ) + '</td></tr></table>',
+						evt.data.dataValue );
+				} );
+			} );
+
+			editor.fire( 'paste', {
+				type: 'auto',
+				method: 'paste',
+				dataValue: calcHtml( '<tr><td height="17" align="left">Foo</td></tr>' ),
+				dataTransfer: CKEDITOR.plugins.clipboard.initPasteDataTransfer()
+			} );
+
+			wait();
+		},
+
+		// Excel puts only the copied table into the clipboard of IE, so the content can't be recognized and the Word filter
+		// is used, like before. The expected output of these fixtures doesn't depend on the spreadsheet filter then.
+		'test pasting from Excel in IE': function() {
+			var editor = this.editors.classic,
+				fixtures = [
+					'Table_excel/office365/ie.html',
+					'Table_text_attributes/Cell_text/excel2013/ie8.html',
+					'Table_text_attributes/Cell_text/excel2016/ie11.html',
+					'Table_text_attributes/Mixed/excel2013/ie8.html',
+					'Table_text_attributes/Mixed/excel2016/ie11.html'
+				];
+
+			CKEDITOR.tools.promise.all( CKEDITOR.tools.array.map( fixtures, function( fixture ) {
+				return new CKEDITOR.tools.promise( function( resolve ) {
+					CKEDITOR.ajax.load( 'generated/_fixtures/' + fixture, resolve );
+				} );
+			} ) ).then( function( inputs ) {
+				resume( function() {
+					var sources = [],
+						pasteFromWordListener = editor.on( 'pasteFromWord', function( evt ) {
+							sources.push( evt.data.source );
+							evt.cancel();
+						} ),
+						pasteListener = editor.on( 'paste', function( evt ) {
+							evt.cancel();
+						}, null, null, 999 );
+
+					CKEDITOR.tools.array.forEach( inputs, function( input ) {
+						editor.fire( 'paste', {
+							type: 'auto',
+							method: 'paste',
+							dataValue: input,
+							dataTransfer: CKEDITOR.plugins.clipboard.initPasteDataTransfer()
+						} );
+					} );
+
+					pasteFromWordListener.removeListener();
+					pasteListener.removeListener();
+
+					arrayAssert.itemsAreSame( [ 'word', 'word', 'word', 'word', 'word' ], sources );
+				} );
+			} );
+
+			wait();
+		},
+
+		'test changing the source': function() {
+			var editor = this.editors.excelFilter,
+				cleanWord = sinon.spy( CKEDITOR, 'cleanWord' );
+
+			editor.once( 'pasteFromWord', function( evt ) {
+				evt.data.source = 'word';
+			} );
+
+			editor.once( 'afterPasteFromWord', function() {
+				resume( function() {
+					cleanWord.restore();
+
+					assert.isTrue( cleanWord.calledOnce );
+				} );
+			} );
+
+			editor.fire( 'paste', {
+				type: 'auto',
+				method: 'paste',
+				dataValue: excelHtml( '', '<tr><td width=64>Foo</td></tr>' ),
+				dataTransfer: CKEDITOR.plugins.clipboard.initPasteDataTransfer()
+			} );
+
+			wait();
+		}
+	} );
+} )();
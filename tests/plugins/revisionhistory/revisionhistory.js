@@ -0,0 +1,275 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,undo,basicstyles,revisionhistory */
+
+( function() {
+	'use strict';
+
+	var versions = {},
+		// Synchronous storage keeping versions in memory.
+		storage = {
+			list: function( key, callback ) {
+				var list = [];
+
+				for ( var id in versions ) {
+					list.push( versions[ id ] );
+				}
+
+				callback( list );
+			},
+
+			load: function( key, id, callback ) {
+				callback( versions[ id ] || null );
+			},
+
+			save: function( key, version, callback ) {
+				versions[ version.id ] = version;
+				callback( true );
+			},
+
+			remove: function( key, id, callback ) {
+				delete versions[ id ];
+				callback( true );
+			}
+		};
+
+	bender.editors = {
+		classic: {
+			name: 'classic',
+			config: {
+				allowedContent: true,
+				revisionHistory_storage: storage
+			}
+		},
+		localStorage: {
+			name: 'localStorage',
+			config: {
+				revisionHistory_key: 'revisionhistory-test'
+			}
+		}
+	};
+
+	function diff( oldData, newData ) {
+		return CKEDITOR.plugins.revisionhistory.diff( oldData, newData );
+	}
+
+	function addVersion( id, name, data, timestamp ) {
+		versions[ id ] = { id: id, name: name, data: data, timestamp: timestamp };
+	}
+
+	bender.test( {
+		setUp: function() {
+			versions = {};
+		},
+
+		'test diff marks inserted and removed words': function() {
+			assert.areSame( '<p>Foo <del class="cke_revisionhistory_del">bar</del><ins class="cke_revisionhistory_ins">baz</ins> qux</p>',
+				diff( '<p>Foo bar qux</p>', '<p>Foo baz qux</p>' ) );
+		},
+
+		'test diff keeps the structure of the new data': function() {
+			assert.areSame( '<p>Foo <b><ins class="cke_revisionhistory_ins">bar</ins></b></p>',
+				diff( '<p>Foo </p>', '<p>Foo <b>bar</b></p>' ), 'Inserted element' );
+
+			assert.areSame( '<p>Foo <b><del class="cke_revisionhistory_del">bar</del></b></p>',
+				diff( '<p>Foo <b>bar</b></p>', '<p>Foo </p>' ), 'Removed element' );
+
+			assert.areSame( '<p>Foo</p><p><del class="cke_revisionhistory_del">Bar</del></p>',
+				diff( '<p>Foo</p><p>Bar</p>', '<p>Foo</p>' ), 'Removed paragraph' );
+
+			assert.areSame( '<p>Foo bar</p>',
+				diff( '<p>Foo</p><p>bar</p>', '<p>Foo bar</p>' ), 'Merged paragraphs' );
+		},
+
+		'test diff of identical data': function() {
+			assert.areSame( '<p>Foo <b>bar</b></p>', diff( '<p>Foo <b>bar</b></p>', '<p>Foo <b>bar</b></p>' ) );
+		},
+
+		'test diff does not mark unchanged whitespace': function() {
+			assert.areSame( '<p>Hello <b><ins class="cke_revisionhistory_ins">new</ins></b> world</p>',
+				diff( '<p>Hello world</p>', '<p>Hello <b>new</b> world</p>' ) );
+		},
+
+		'test diff marks images': function() {
+			assert.areSame( '<p>Foo<ins class="cke_revisionhistory_ins"><img src="a.png" /></ins></p>',
+				diff( '<p>Foo</p>', '<p>Foo<img src="a.png" /></p>' ) );
+		},
+
+		'test diff does not mark whitespace between tags': function() {
+			assert.areSame( '<table><tr><td>A</td></tr>\n<tr><td><ins class="cke_revisionhistory_ins">B</ins></td></tr></table>',
+				diff( '<table><tr><td>A</td></tr></table>', '<table><tr><td>A</td></tr>\n<tr><td>B</td></tr></table>' ) );
+		},
+
+		'test save and list versions': function() {
+			var editor = this.editors.classic,
+				history = editor.revisionHistory,
+				saved = sinon.spy(),
+				listed;
+
+			editor.on( 'revisionSave', saved );
+			addVersion( 'old', 'Old', '<p>Old</p>', 1000 );
+			bender.tools.selection.setWithHtml( editor, '<p>Fo{}o</p>' );
+
+			history.save( '  Draft  ', function( version ) {
+				assert.areSame( 'Draft', version.name, 'Name' );
+				assert.areSame( '<p>Foo</p>', version.data, 'Data' );
+				assert.isString( version.id, 'ID' );
+			} );
+
+			editor.removeListener( 'revisionSave', saved );
+			assert.areSame( 1, saved.callCount, 'Event fired' );
+
+			history.list( function( list ) {
+				listed = list;
+			} );
+
+			assert.areSame( 2, listed.length, 'Versions' );
+			assert.areSame( 'Draft', listed[ 0 ].name, 'The newest version first' );
+			assert.areSame( 'Old', listed[ 1 ].name, 'The oldest version last' );
+		},
+
+		'test version name defaults to the date': function() {
+			this.editors.classic.revisionHistory.save( '', function( version ) {
+				assert.areSame( new Date( version.timestamp ).toLocaleString(), version.name );
+			} );
+		},
+
+		'test remove version': function() {
+			var history = this.editors.classic.revisionHistory;
+
+			addVersion( 'old', 'Old', '<p>Old</p>', 1000 );
+
+			history.remove( 'old', function( success ) {
+				assert.isTrue( success );
+			} );
+
+			assert.isUndefined( versions.old );
+		},
+
+		'test compare versions': function() {
+			var editor = this.editors.classic,
+				history = editor.revisionHistory,
+				result;
+
+			addVersion( 'a', 'A', '<p>Foo</p>', 1000 );
+			addVersion( 'b', 'B', '<p>Bar</p>', 2000 );
+			bender.tools.selection.setWithHtml( editor, '<p>Foo bar{}</p>' );
+
+			history.compare( 'a', 'b', function( html ) {
+				result = html;
+			} );
+			assert.areSame( '<p><del class="cke_revisionhistory_del">Foo</del><ins class="cke_revisionhistory_ins">Bar</ins></p>', result,
+				'Two versions' );
+
+			history.compare( 'a', null, function( html ) {
+				result = html;
+			} );
+			assert.areSame( '<p>Foo<ins class="cke_revisionhistory_ins"> bar</ins></p>', result, 'Version and the current data' );
+
+			history.compare( 'a', 'missing', function( html ) {
+				result = html;
+			} );
+			assert.isNull( result, 'Missing version' );
+		},
+
+		'test restore is a single undo step': function() {
+			var editor = this.editors.classic,
+				restored = sinon.spy();
+
+			addVersion( 'a', 'A', '<p>Old <b>version</b></p>', 1000 );
+			bender.tools.selection.setWithHtml( editor, '<p>Fo{}o</p>' );
+			editor.resetUndo();
+			editor.once( 'revisionRestore', restored );
+
+			editor.revisionHistory.restore( 'a', function( version ) {
+				resume( function() {
+					assert.areSame( 'a', version.id, 'Version' );
+					assert.areSame( '<p>Old <b>version</b></p>', editor.getData(), 'Restored' );
+					assert.areSame( 1, restored.callCount, 'Event fired' );
+
+					editor.execCommand( 'undo' );
+					assert.areSame( '<p>Foo</p>', editor.getData(), 'Undone' );
+					assert.areSame( CKEDITOR.TRISTATE_DISABLED, editor.getCommand( 'undo' ).state, 'Nothing more to undo' );
+				} );
+			} );
+
+			wait();
+		},
+
+		'test restore of a missing version': function() {
+			var editor = this.editors.classic;
+
+			bender.tools.selection.setWithHtml( editor, '<p>Fo{}o</p>' );
+
+			editor.revisionHistory.restore( 'missing', function( version ) {
+				assert.isNull( version );
+			} );
+
+			assert.areSame( '<p>Foo</p>', editor.getData() );
+		},
+
+		'test localStorage storage': function() {
+			if ( !window.localStorage ) {
+				assert.ignore();
+			}
+
+			var editor = this.editors.localStorage,
+				history = editor.revisionHistory,
+				id;
+
+			window.localStorage.removeItem( 'revisionhistory-test' );
+			editor.setData( '<p>Foo</p>', function() {
+				resume( function() {
+					history.save( 'First', function( version ) {
+						id = version.id;
+					} );
+
+					history.load( id, function( version ) {
+						assert.areSame( '<p>Foo</p>', version.data, 'Loaded' );
+					} );
+
+					history.remove( id );
+
+					history.list( function( list ) {
+						assert.areSame( 0, list.length, 'Removed' );
+					} );
+
+					assert.isNull( window.localStorage.getItem( 'revisionhistory-test' ), 'Item removed' );
+				} );
+			} );
+
+			wait();
+		},
+
+		'test dialog shows the changes': function() {
+			var editor = this.editors.classic,
+				bot = this.editorBots.classic;
+
+			addVersion( 'a', 'A', '<p>Foo</p>', 1000 );
+			addVersion( 'b', 'B', '<p>Foo bar</p>', 2000 );
+			bender.tools.selection.setWithHtml( editor, '<p>Foo bar baz{}</p>' );
+
+			bot.dialog( 'revisionHistory', function( dialog ) {
+				var versionField = dialog.getContentElement( 'info', 'version' ),
+					compareField = dialog.getContentElement( 'info', 'compare' );
+
+				function getInserted() {
+					return dialog.getContentElement( 'info', 'preview' ).getElement().getFrameDocument().getBody().findOne( 'ins' ).getText();
+				}
+
+				assert.areSame( 'b', versionField.getValue(), 'The newest version is selected' );
+				assert.areSame( '', compareField.getValue(), 'Compared with the current content' );
+				assert.areSame( ' baz', getInserted(), 'Changes since the version' );
+
+				versionField.setValue( 'a' );
+				compareField.setValue( 'b' );
+				assert.areSame( ' bar', getInserted(), 'Changes between versions' );
+
+				dialog.getContentElement( 'info', 'restore' ).click();
+
+				wait( function() {
+					assert.areSame( '<p>Foo</p>', editor.getData(), 'Restored' );
+				}, 100 );
+			} );
+		}
+	} );
+} )();
@@ -0,0 +1,291 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,sourcearea,htmlwriter,toolbar */
+
+( function() {
+	'use strict';
+
+	var sourcearea;
+
+	bender.editor = {
+		formattedOutput: true,
+		config: {
+			startupMode: 'source',
+			sourceAreaHighlight: true,
+			allowedContent: 'p ul li b; span(foo); a[!href]'
+		}
+	};
+
+	function setSource( editor, source, caret ) {
+		var editable = editor.editable();
+
+		editable.setData( source );
+
+		if ( caret !== undefined ) {
+			editable.$.setSelectionRange( caret, caret );
+			editable.fire( 'keyup', new CKEDITOR.dom.event( {} ) );
+		}
+
+		return editable.highlighter;
+	}
+
+	function getTexts( highlighter, className ) {
+		return CKEDITOR.tools.array.map( highlighter._.layer.find( '.' + className ).toArray(), function( element ) {
+			return element.getText();
+		} );
+	}
+
+	function getTypes( tokens ) {
+		return CKEDITOR.tools.array.map( tokens, function( token ) {
+			return token.type;
+		} );
+	}
+
+	bender.test( {
+		setUp: function() {
+			if ( CKEDITOR.env.ie ) {
+				assert.ignore();
+			}
+
+			sourcearea = CKEDITOR.plugins.sourcearea;
+		},
+
+		'test tokenize': function() {
+			var tokens = sourcearea.tokenize( '<!DOCTYPE html><p class="a b" hidden>x &amp; y</p><!-- c --><br/>' );
+
+			arrayAssert.itemsAreSame( [ 'declaration', 'tag', 'text', 'entity', 'text', 'tag', 'comment', 'tag' ], getTypes( tokens ) );
+
+			assert.areSame( 'p', tokens[ 1 ].name, 'Tag name' );
+			assert.areSame( 2, tokens[ 1 ].attributes.length, 'Attributes' );
+			assert.areSame( 'class', tokens[ 1 ].attributes[ 0 ].name, 'Attribute name' );
+			assert.areSame( 'a b', tokens[ 1 ].attributes[ 0 ].value, 'Attribute value' );
+			assert.areSame( 18, tokens[ 1 ].attributes[ 0 ].start, 'Attribute start' );
+			assert.areSame( 24, tokens[ 1 ].attributes[ 0 ].valueStart, 'Attribute value start' );
+			assert.areSame( -1, tokens[ 1 ].attributes[ 1 ].valueStart, 'Attribute without a value' );
+			assert.isTrue( tokens[ 5 ].closing, 'End tag' );
+			assert.isTrue( tokens[ 7 ].selfClosing, 'Self-closing tag' );
+			assert.areSame( '&amp;', '<!DOCTYPE html><p class="a b" hidden>x &amp; y</p>'.substring( tokens[ 3 ].start, tokens[ 3 ].end ) );
+		},
+
+		'test tokenize raw text and unclosed tags': function() {
+			var tokens = sourcearea.tokenize( '<script>if ( a<b && c ) {}<' + '/script>a < b<p title="foo' );
+
+			arrayAssert.itemsAreSame( [ 'tag', 'text', 'tag', 'text', 'text', 'text', 'tag' ], getTypes( tokens ) );
+			assert.areSame( 'foo', tokens[ 6 ].attributes[ 0 ].value, 'Unclosed attribute value' );
+			assert.areSame( 53, tokens[ 6 ].end, 'Unclosed tag ends with the source' );
+		},
+
+		'test source is highlighted': function() {
+			var highlighter = setSource( this.editor, '<p class="foo">Foo &amp; bar</p>\n<!-- Baz -->' );
+
+			arrayAssert.itemsAreSame( [ '<p ', 'class', '=', '"foo"', '>', '</p>' ], getTexts( highlighter, 'cke_source_tag' ) );
+			arrayAssert.itemsAreSame( [ 'class' ], getTexts( highlighter, 'cke_source_attribute' ) );
+			arrayAssert.itemsAreSame( [ '"foo"' ], getTexts( highlighter, 'cke_source_value' ) );
+			arrayAssert.itemsAreSame( [ '&amp;' ], getTexts( highlighter, 'cke_source_entity' ) );
+			arrayAssert.itemsAreSame( [ '<!-- Baz -->' ], getTexts( highlighter, 'cke_source_comment' ) );
+			assert.areSame( '<p class="foo">Foo &amp; bar</p>\n<!-- Baz -->\n', highlighter._.layer.getText(), 'Layer text' );
+		},
+
+		'test line numbers': function() {
+			var highlighter = setSource( this.editor, '<p>Foo</p>\n\n<p>Bar</p>' ),
+				lines = highlighter._.gutter.find( '.cke_source_line' );
+
+			assert.areSame( 3, lines.count(), 'Lines' );
+			assert.areSame( '3', lines.getItem( 2 ).getText() );
+		},
+
+		'test source is updated on input': function() {
+			var editor = this.editor,
+				highlighter = setSource( editor, '<p>Foo</p>' );
+
+			editor.editable().$.value = '<p>Foo</p>\n<b>Bar</b>';
+			editor.editable().fire( 'input', new CKEDITOR.dom.event( {} ) );
+
+			assert.areSame( 2, highlighter._.gutter.find( '.cke_source_line' ).count(), 'Lines' );
+			arrayAssert.itemsAreSame( [ '<p>', '</p>', '<b>', '</b>' ], getTexts( highlighter, 'cke_source_tag' ) );
+		},
+
+		'test matching tags': function() {
+			var highlighter = setSource( this.editor, '<p><b>Foo</b> bar</p>', 4 );
+
+			arrayAssert.itemsAreSame( [ '<b>', '</b>' ], getTexts( highlighter, 'cke_source_match' ) );
+
+			// Right after the end tag of the paragraph.
+			setSource( this.editor, '<p><b>Foo</b> bar</p>', 21 );
+			arrayAssert.itemsAreSame( [ '<p>', '</p>' ], getTexts( highlighter, 'cke_source_match' ) );
+
+			setSource( this.editor, '<p>Foo', 1 );
+			arrayAssert.itemsAreSame( [ '<p>' ], getTexts( highlighter, 'cke_source_mismatch' ) );
+
+			setSource( this.editor, '<p>Foo<br></p>', 8 );
+			assert.areSame( 0, highlighter._.layer.find( '.cke_source_match, .cke_source_mismatch' ).count(), 'Void elements' );
+		},
+
+		'test fold and unfold': function() {
+			var source = '<ul>\n\t<li>Foo</li>\n\t<li>Bar</li>\n</ul>\n<p>Baz</p>',
+				highlighter = setSource( this.editor, source ),
+				editable = this.editor.editable();
+
+			assert.areSame( 'fold', highlighter._.gutter.findOne( '.cke_source_toggle' ).data( 'cke-source-toggle' ), 'Toggle' );
+			assert.isFalse( highlighter.fold( 2 ), 'Single line elements are not foldable' );
+			assert.isTrue( highlighter.fold( 1 ), 'Folded' );
+
+			assert.areSame( '<ul>\ue000</ul>\n<p>Baz</p>', editable.getValue(), 'Folded source' );
+			assert.areSame( source, this.editor.getData(), 'Data' );
+			assert.areSame( 2, highlighter._.gutter.find( '.cke_source_line' ).count(), 'Lines' );
+			assert.areSame( 'unfold', highlighter._.gutter.findOne( '.cke_source_toggle' ).data( 'cke-source-toggle' ), 'Toggle' );
+			assert.areSame( 1, highlighter._.layer.find( '.cke_source_fold' ).count(), 'Marker' );
+
+			assert.isTrue( highlighter.unfold( 1 ), 'Unfolded' );
+			assert.areSame( source, editable.getValue(), 'Unfolded source' );
+		},
+
+		'test nested folds': function() {
+			var source = '<ul>\n\t<li>\n\t\tFoo\n\t</li>\n</ul>',
+				highlighter = setSource( this.editor, source );
+
+			highlighter.fold( 2 );
+			highlighter.fold( 1 );
+
+			assert.areSame( '<ul>\ue001</ul>', this.editor.editable().getValue(), 'Folded source' );
+			assert.areSame( source, this.editor.getData(), 'Data' );
+
+			highlighter.unfold( 1 );
+			assert.areSame( '<ul>\n\t<li>\ue000</li>\n</ul>', this.editor.editable().getValue(), 'Inner fold is kept' );
+
+			highlighter.unfoldAll();
+			assert.areSame( source, this.editor.editable().getValue(), 'Unfolded all' );
+		},
+
+		'test fold with the gutter': function() {
+			var highlighter = setSource( this.editor, '<ul>\n\t<li>Foo</li>\n</ul>' ),
+				toggle = highlighter._.gutter.findOne( '.cke_source_toggle' );
+
+			highlighter._.gutter.fire( 'mousedown', new CKEDITOR.dom.event( { target: toggle.$ } ) );
+
+			assert.areSame( '<ul>\ue000</ul>', this.editor.editable().getValue() );
+		},
+
+		'test setting data resets folds': function() {
+			var highlighter = setSource( this.editor, '<ul>\n\t<li>Foo</li>\n</ul>' );
+
+			highlighter.fold( 1 );
+			setSource( this.editor, '<p>Foo</p>' );
+
+			assert.areSame( 0, CKEDITOR.tools.object.keys( highlighter.folds ).length );
+		},
+
+		'test format': function() {
+			var editor = this.editor,
+				highlighter = setSource( editor, '<ul><li>Foo</li><li>Bar</li></ul><p>Baz</p>' );
+
+			editor.execCommand( 'sourceFormat' );
+
+			assert.areSame( '<ul>\n\t<li>Foo</li>\n\t<li>Bar</li>\n</ul>\n\n<p>Baz</p>\n', editor.editable().getValue() );
+			assert.areSame( 7, highlighter._.gutter.find( '.cke_source_line' ).count(), 'Lines' );
+		},
+
+		'test format expands folds': function() {
+			var highlighter = setSource( this.editor, '<ul>\n<li>Foo</li>\n</ul>' );
+
+			highlighter.fold( 1 );
+			highlighter.format();
+
+			assert.areSame( '<ul>\n\t<li>Foo</li>\n</ul>\n', this.editor.editable().getValue() );
+		},
+
+		'test new line is indented': function() {
+			var editable = this.editor.editable();
+
+			setSource( this.editor, '\t<p>Foo', 7 );
+			editable.fire( 'keydown', new CKEDITOR.dom.event( { keyCode: 13 } ) );
+			assert.areSame( '\t<p>Foo\n\t', editable.getValue(), 'Same indentation' );
+
+			setSource( this.editor, '\t<ul></ul>', 5 );
+			editable.fire( 'keydown', new CKEDITOR.dom.event( { keyCode: 13 } ) );
+			assert.areSame( '\t<ul>\n\t\t\n\t</ul>', editable.getValue(), 'Between tags' );
+			assert.areSame( 8, editable.$.selectionStart, 'Caret' );
+
+			setSource( this.editor, '<ul>\n\t<li>Foo<br>', 17 );
+			editable.fire( 'keydown', new CKEDITOR.dom.event( { keyCode: 13 } ) );
+			assert.areSame( '<ul>\n\t<li>Foo<br>\n\t', editable.getValue(), 'Void element' );
+		},
+
+		'test find violations': function() {
+			var violations = sourcearea.findViolations( this.editor,
+				'<p style="color:red"><span class="foo bar">A</span><span class="foo">B</span><i>C</i><a href="#">D</a></p>' );
+
+			arrayAssert.itemsAreSame( [ 'p', 'span', 'i' ], CKEDITOR.tools.array.map( violations, function( violation ) {
+				return violation.element;
+			} ) );
+			arrayAssert.itemsAreSame( [ 'style', 'class', null ], CKEDITOR.tools.array.map( violations, function( violation ) {
+				return violation.attribute;
+			} ) );
+		},
+
+		'test violations are highlighted': function() {
+			var highlighter = setSource( this.editor, '<p data-cke-saved-href="x"><i>Foo</i> <b title="bar">Baz</b></p>' );
+
+			// Attributes are split into the parts highlighted separately.
+			arrayAssert.itemsAreSame( [ '<i>', '</i>', 'title', '=', '"bar"' ], getTexts( highlighter, 'cke_source_violation' ) );
+		},
+
+		'test switching mode with violations': function() {
+			var editor = this.editor,
+				notification = sinon.stub( editor, 'showNotification' );
+
+			setSource( editor, '<ul>\n\t<li><i>Foo</i></li>\n</ul>' ).fold( 1 );
+
+			try {
+				assert.isFalse( editor.execCommand( 'source' ), 'Command result' );
+			} finally {
+				notification.restore();
+			}
+
+			assert.areSame( 'source', editor.mode, 'Mode is not switched' );
+			assert.isTrue( notification.calledOnce, 'Notification' );
+			assert.areSame( 'warning', notification.args[ 0 ][ 1 ], 'Notification type' );
+			assert.areSame( '<ul>\n\t<li><i>Foo</i></li>\n</ul>', editor.editable().getValue(), 'Folds are expanded' );
+
+			editor.once( 'mode', function() {
+				resume( function() {
+					assert.areSame( 'wysiwyg', editor.mode, 'Mode is switched the second time' );
+
+					editor.setMode( 'source', function() {
+						resume( function() {
+							assert.isTrue( !!editor.editable().highlighter, 'Highlighter' );
+						} );
+					} );
+
+					wait();
+				} );
+			} );
+
+			editor.execCommand( 'source' );
+			wait();
+		},
+
+		'test highlighter elements are removed on detach': function() {
+			var editor = this.editor,
+				container = editor.editable().getParent();
+
+			assert.isTrue( container.hasClass( 'cke_source_container' ), 'Container' );
+			assert.areSame( 3, container.getChildCount(), 'Gutter, layer and textarea' );
+
+			editor.setMode( 'wysiwyg', function() {
+				resume( function() {
+					assert.isFalse( editor.ui.space( 'contents' ).contains( container ), 'Container removed' );
+
+					editor.setMode( 'source', function() {
+						resume( function() {
+							assert.isNotNull( editor.ui.space( 'contents' ).findOne( '.cke_source_container' ) );
+						} );
+					} );
+
+					wait();
+				} );
+			} );
+
+			wait();
+		}
+	} );
+} )();
@@ -0,0 +1,377 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,undo,basicstyles,spellchecker */
+
+( function() {
+	'use strict';
+
+	var known = [ 'the', 'a', 'cat', 'sat', 'on', 'mat', 'bold', 'is', 'are', 'cats', 'foo' ],
+		checkedTexts = [];
+
+	// Reports unknown words as spelling problems, with the known words of the same length as suggestions,
+	// and "a cats" as a grammar problem.
+	var adapter = {
+		check: function( texts, language, callback ) {
+			checkedTexts = checkedTexts.concat( texts );
+
+			callback( CKEDITOR.tools.array.map( texts, function( text ) {
+				var problems = [],
+					regex = /[a-z]+/gi,
+					match;
+
+				while ( ( match = regex.exec( text ) ) ) {
+					if ( CKEDITOR.tools.array.indexOf( known, match[ 0 ].toLowerCase() ) == -1 ) {
+						problems.push( {
+							start: match.index,
+							end: match.index + match[ 0 ].length,
+							suggestions: CKEDITOR.tools.array.filter( known, function( word ) {
+								return word.length == match[ 0 ].length;
+							} )
+						} );
+					}
+				}
+
+				if ( ( match = /a cats/.exec( text ) ) ) {
+					problems.push( {
+						start: match.index,
+						end: match.index + 6,
+						type: 'grammar',
+						message: 'Use "a cat" or "cats".',
+						suggestions: [ 'a cat', 'cats' ]
+					} );
+				}
+
+				return problems;
+			} ) );
+		}
+	};
+
+	bender.editor = {
+		config: {
+			allowedContent: true,
+			spellchecker_adapter: adapter,
+			spellchecker_dictionary: [ 'ckeditor' ]
+		}
+	};
+
+	function setHtml( bot, html ) {
+		bot.setHtmlWithSelection( html );
+		bot.editor.spellChecker.update();
+	}
+
+	function getWords( checker ) {
+		return CKEDITOR.tools.array.map( checker.problems, function( problem ) {
+			return problem.word;
+		} );
+	}
+
+	function getMenuItems( editor ) {
+		var listeners = editor.contextMenu._.listeners;
+
+		return listeners[ listeners.length - 1 ]( editor.elementPath().lastElement, editor.getSelection() );
+	}
+
+	bender.test( {
+		setUp: function() {
+			checkedTexts = [];
+			this.checker = this.editor.spellChecker;
+
+			// Every range is drawn as a single line, regardless of the browser support for range.getClientRects().
+			this.getClientRects = sinon.stub( CKEDITOR.dom.range.prototype, 'getClientRects' ).returns( [ {
+				top: 10,
+				bottom: 20,
+				left: 10,
+				width: 50
+			} ] );
+		},
+
+		tearDown: function() {
+			this.checker._.buffer.reset();
+			this.checker.ignored = {};
+			this.checker.dictionary = { ckeditor: true };
+
+			if ( !this.checker.enabled ) {
+				this.checker.enable();
+			}
+
+			this.getClientRects.restore();
+		},
+
+		'test checker is enabled on startup': function() {
+			assert.isTrue( this.checker.enabled, 'Enabled' );
+			assert.areSame( CKEDITOR.TRISTATE_ON, this.editor.getCommand( 'spellchecker' ).state, 'Command state' );
+		},
+
+		'test misspellings are underlined': function() {
+			var checker = this.checker;
+
+			setHtml( this.editorBot, '<p>Teh cat sat on <b>teh</b> mat^</p><p>The catt</p>' );
+
+			arrayAssert.itemsAreSame( [ 'Teh', 'teh', 'catt' ], getWords( checker ) );
+			arrayAssert.itemsAreSame( [ 'the', 'cat', 'sat', 'mat', 'are', 'foo' ], checker.problems[ 0 ].suggestions, 'Suggestions' );
+			assert.areSame( 'spelling', checker.problems[ 0 ].type, 'Type' );
+			assert.areSame( 'teh', checker.problems[ 1 ].range.cloneContents().getHtml(), 'Range' );
+			assert.isTrue( checker.problems[ 1 ].range.startContainer.getParent().is( 'b' ), 'Range container' );
+			assert.areSame( 3, checker._.overlay.element.find( '.cke_spellchecker_marker_spelling' ).count(), 'Markers' );
+		},
+
+		'test markers are not a part of the data': function() {
+			var editor = this.editor;
+
+			setHtml( this.editorBot, '<p>Teh cat^</p>' );
+
+			assert.areSame( 1, this.checker.problems.length, 'Problems' );
+			assert.areSame( '<p>Teh cat</p>', editor.getData().replace( /\n/g, '' ), 'Data' );
+			assert.areSame( '<p>Teh cat</p>', bender.tools.compatHtml( editor.getSnapshot() ), 'Snapshot' );
+		},
+
+		'test words spanning text nodes': function() {
+			setHtml( this.editorBot, '<p>Te<b>hh</b> cat^</p>' );
+
+			arrayAssert.itemsAreSame( [ 'Tehh' ], getWords( this.checker ) );
+			assert.areSame( 'Te<b>hh</b>', this.checker.problems[ 0 ].range.cloneContents().getHtml() );
+		},
+
+		'test unchanged texts are not checked again': function() {
+			var editor = this.editor;
+
+			setHtml( this.editorBot, '<p>Teh cat</p><p>The mat^</p>' );
+			arrayAssert.itemsAreSame( [ 'Teh cat', 'The mat' ], checkedTexts, 'First check' );
+
+			checkedTexts = [];
+			editor.editable().getLast().setText( 'The matt' );
+			this.checker.update();
+
+			arrayAssert.itemsAreSame( [ 'The matt' ], checkedTexts, 'Update' );
+			arrayAssert.itemsAreSame( [ 'Teh', 'matt' ], getWords( this.checker ), 'Problems' );
+		},
+
+		'test asynchronous adapter': function() {
+			var editor = this.editor,
+				checker = this.checker,
+				adapter = editor.config.spellchecker_adapter,
+				callbacks = [],
+				check = adapter.check;
+
+			adapter.check = function( texts, language, callback ) {
+				callbacks.push( function() {
+					check( texts, language, callback );
+				} );
+			};
+
+			try {
+				setHtml( this.editorBot, '<p>Teh dog^</p>' );
+				checker.update();
+			} finally {
+				adapter.check = check;
+			}
+
+			assert.areSame( 1, callbacks.length, 'Pending texts are not sent again' );
+			assert.areSame( 0, checker.problems.length, 'Problems before response' );
+
+			callbacks[ 0 ]();
+
+			arrayAssert.itemsAreSame( [ 'Teh', 'dog' ], getWords( checker ), 'Problems after response' );
+			assert.areSame( '<p>Teh dog</p>', editor.getData().replace( /\n/g, '' ) );
+		},
+
+		'test grammar problems': function() {
+			var checker = this.checker,
+				problem;
+
+			setHtml( this.editorBot, '<p>The cat is a cats^</p>' );
+
+			problem = checker.problems[ 0 ];
+
+			assert.areSame( 1, checker.problems.length, 'Problems' );
+			assert.areSame( 'grammar', problem.type, 'Type' );
+			assert.areSame( 'a cats', problem.word, 'Text' );
+			assert.areSame( 'Use "a cat" or "cats".', problem.message, 'Message' );
+			assert.areSame( 1, checker._.overlay.element.find( '.cke_spellchecker_marker_grammar' ).count(), 'Markers' );
+		},
+
+		'test replace': function() {
+			var editor = this.editor,
+				bot = this.editorBot;
+
+			setHtml( bot, '<p>Teh cat^</p>' );
+			editor.resetUndo();
+
+			assert.isTrue( this.checker.replace( this.checker.problems[ 0 ], 'The' ), 'Replaced' );
+			assert.areSame( '<p>The cat</p>', editor.getData().replace( /\n/g, '' ) );
+			assert.areSame( 0, this.checker.problems.length, 'Problems' );
+
+			editor.execCommand( 'undo' );
+			assert.areSame( '<p>Teh cat</p>', editor.getData().replace( /\n/g, '' ), 'Undo' );
+		},
+
+		'test getProblem': function() {
+			var checker = this.checker;
+
+			setHtml( this.editorBot, '<p>Teh cat t^eh</p>' );
+			assert.areSame( checker.problems[ 1 ], checker.getProblem(), 'Inside the word' );
+
+			setHtml( this.editorBot, '<p>Teh c^at teh</p>' );
+			assert.isNull( checker.getProblem(), 'Correct word' );
+
+			setHtml( this.editorBot, '<p>Teh^ cat</p>' );
+			assert.areSame( checker.problems[ 0 ], checker.getProblem(), 'At the end of the word' );
+		},
+
+		'test context menu': function() {
+			var editor = this.editor,
+				items;
+
+			this.editor.config.spellchecker_maxSuggestions = 2;
+
+			try {
+				setHtml( this.editorBot, '<p>T^eh cat</p>' );
+				items = getMenuItems( editor );
+			} finally {
+				delete this.editor.config.spellchecker_maxSuggestions;
+			}
+
+			assert.areSame( CKEDITOR.TRISTATE_OFF, items.spellcheckerSuggestion0, 'First suggestion' );
+			assert.areSame( CKEDITOR.TRISTATE_OFF, items.spellcheckerSuggestion1, 'Second suggestion' );
+			assert.isUndefined( items.spellcheckerSuggestion2, 'Maximum number of suggestions' );
+			assert.areSame( CKEDITOR.TRISTATE_OFF, items.spellcheckerAddWord, 'Add to dictionary' );
+			assert.areSame( CKEDITOR.TRISTATE_OFF, items.spellcheckerIgnoreAll, 'Ignore all' );
+			assert.areSame( 'the', editor.getMenuItem( 'spellcheckerSuggestion0' ).label, 'Suggestion label' );
+
+			editor.getMenuItem( 'spellcheckerSuggestion1' ).onClick();
+
+			assert.areSame( '<p>cat cat</p>', editor.getData().replace( /\n/g, '' ), 'Suggestion applied' );
+		},
+
+		'test context menu of grammar problem': function() {
+			var items;
+
+			setHtml( this.editorBot, '<p>The cat is a c^ats</p>' );
+			items = getMenuItems( this.editor );
+
+			assert.areSame( CKEDITOR.TRISTATE_DISABLED, items.spellcheckerMessage, 'Message' );
+			assert.areSame( 'Use "a cat" or "cats".', this.editor.getMenuItem( 'spellcheckerMessage' ).label, 'Message label' );
+			assert.isUndefined( items.spellcheckerAddWord, 'Add to dictionary' );
+			assert.areSame( CKEDITOR.TRISTATE_OFF, items.spellcheckerIgnoreAll, 'Ignore all' );
+		},
+
+		'test context menu without problem': function() {
+			setHtml( this.editorBot, '<p>The c^at</p>' );
+
+			assert.isNull( getMenuItems( this.editor ) );
+		},
+
+		'test add to dictionary': function() {
+			var editor = this.editor,
+				adapter = editor.config.spellchecker_adapter,
+				addWord = adapter.addWord = sinon.spy();
+
+			try {
+				setHtml( this.editorBot, '<p>Teh cat t^eh</p>' );
+				editor.execCommand( 'spellcheckerAddWord' );
+			} finally {
+				delete adapter.addWord;
+			}
+
+			assert.isTrue( addWord.calledWith( 'teh', 'en' ), 'Adapter called' );
+			arrayAssert.itemsAreSame( [], getWords( this.checker ), 'Lowercase word accepted in all forms' );
+		},
+
+		'test add to dictionary keeps case': function() {
+			setHtml( this.editorBot, '<p>T^eh cat teh</p>' );
+			this.editor.execCommand( 'spellcheckerAddWord' );
+
+			arrayAssert.itemsAreSame( [ 'teh' ], getWords( this.checker ) );
+		},
+
+		'test ignore all': function() {
+			setHtml( this.editorBot, '<p>Teh cat t^eh teh</p>' );
+			this.editor.execCommand( 'spellcheckerIgnoreAll', { word: 'teh' } );
+
+			arrayAssert.itemsAreSame( [ 'Teh' ], getWords( this.checker ) );
+		},
+
+		'test commands without problem': function() {
+			setHtml( this.editorBot, '<p>The c^at</p>' );
+
+			assert.isFalse( this.editor.execCommand( 'spellcheckerAddWord' ), 'Add to dictionary' );
+			assert.isFalse( this.editor.execCommand( 'spellcheckerIgnoreAll' ), 'Ignore all' );
+		},
+
+		'test dictionary config': function() {
+			setHtml( this.editorBot, '<p>CKEditor cat^</p>' );
+
+			assert.areSame( 0, this.checker.problems.length );
+		},
+
+		'test disable': function() {
+			var editor = this.editor;
+
+			setHtml( this.editorBot, '<p>Teh cat^</p>' );
+			editor.execCommand( 'spellchecker' );
+
+			assert.isFalse( this.checker.enabled, 'Disabled' );
+			assert.areSame( 0, this.checker.problems.length, 'Problems' );
+			assert.isNull( this.checker._.overlay.element, 'Overlay' );
+			assert.areSame( CKEDITOR.TRISTATE_OFF, editor.getCommand( 'spellchecker' ).state, 'Command state' );
+		},
+
+		'test non-editable content is not checked': function() {
+			setHtml( this.editorBot, '<p>Cat^</p><div contenteditable="false">Teh</div>' );
+
+			arrayAssert.itemsAreSame( [ 'Cat' ], checkedTexts );
+		},
+
+		'test http adapter': function() {
+			var post = sinon.stub( CKEDITOR.ajax, 'post', function( url, data, contentType, callback ) {
+					callback( '{ "results": [ [ { "start": 0, "end": 3 } ] ] }' );
+				} ),
+				httpAdapter = new CKEDITOR.plugins.spellchecker.httpAdapter( 'http://localhost/spell' ),
+				results;
+
+			try {
+				httpAdapter.check( [ 'Teh' ], 'en', function( response ) {
+					results = response;
+				} );
+				httpAdapter.addWord( 'Teh', 'en' );
+			} finally {
+				post.restore();
+			}
+
+			assert.areSame( 'http://localhost/spell', post.args[ 0 ][ 0 ], 'URL' );
+			assert.areSame( '{"language":"en","texts":["Teh"]}', post.args[ 0 ][ 1 ], 'Data' );
+			assert.areSame( 'application/json', post.args[ 0 ][ 2 ], 'Content type' );
+			assert.areSame( 3, results[ 0 ][ 0 ].end, 'Results' );
+			assert.areSame( '{"language":"en","addWord":"Teh"}', post.args[ 1 ][ 1 ], 'Added word' );
+		},
+
+		'test http adapter with invalid response': function() {
+			var post = sinon.stub( CKEDITOR.ajax, 'post', function( url, data, contentType, callback ) {
+					callback( 'error' );
+				} ),
+				results;
+
+			try {
+				new CKEDITOR.plugins.spellchecker.httpAdapter( 'http://localhost/spell' ).check( [ 'Teh' ], 'en', function( response ) {
+					results = response;
+				} );
+			} finally {
+				post.restore();
+			}
+
+			assert.isNull( results );
+		},
+
+		'test autoStart': function() {
+			bender.editorBot.create( {
+				name: 'editor_autostart',
+				config: {
+					plugins: 'wysiwygarea,spellchecker',
+					spellchecker_adapter: adapter,
+					spellchecker_autoStart: false
+				}
+			}, function( bot ) {
+				assert.isFalse( bot.editor.spellChecker.enabled );
+			} );
+		}
+	} );
+} )();
@@ -0,0 +1,257 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,undo,basicstyles,splitview */
+
+( function() {
+	'use strict';
+
+	bender.editor = {
+		config: {
+			allowedContent: true,
+			splitView_syncDelay: 10
+		}
+	};
+
+	function setSource( splitView, source, caret ) {
+		var element = splitView.getElement();
+
+		element.setValue( source );
+
+		if ( caret !== undefined ) {
+			element.$.setSelectionRange( caret, caret );
+		}
+	}
+
+	bender.test( {
+		tearDown: function() {
+			this.editor.splitView.hide();
+		},
+
+		'test command toggles the source pane': function() {
+			var editor = this.editor,
+				splitView = editor.splitView,
+				contents = editor.ui.space( 'contents' );
+
+			this.editorBot.setHtmlWithSelection( '<p>Fo^o</p>' );
+
+			editor.execCommand( 'splitView' );
+			assert.isTrue( splitView.visible, 'Visible' );
+			assert.isTrue( splitView.isActive(), 'Active' );
+			assert.isTrue( contents.hasClass( 'cke_splitview_contents' ), 'Contents class' );
+			assert.isTrue( splitView.getElement().getParent().equals( contents ), 'Pane in the contents' );
+			assert.areSame( '<p>Foo</p>', splitView.getElement().getValue(), 'Source' );
+			assert.areSame( CKEDITOR.TRISTATE_ON, editor.getCommand( 'splitView' ).state, 'Command state' );
+
+			editor.execCommand( 'splitView' );
+			assert.isFalse( splitView.visible, 'Hidden' );
+			assert.isNull( splitView.getElement().getParent(), 'Pane removed' );
+			assert.isFalse( contents.hasClass( 'cke_splitview_contents' ), 'Contents class removed' );
+			assert.areSame( CKEDITOR.TRISTATE_OFF, editor.getCommand( 'splitView' ).state, 'Command state after hide' );
+		},
+
+		'test WYSIWYG changes are synchronized': function() {
+			var editor = this.editor,
+				splitView = editor.splitView;
+
+			this.editorBot.setHtmlWithSelection( '<p>Fo^o</p>' );
+			splitView.show();
+
+			editor.editable().findOne( 'p' ).appendText( 'bar' );
+			editor.fire( 'change' );
+
+			assert.areSame( '<p>Foo</p>', splitView.getElement().getValue(), 'Synchronization is delayed' );
+
+			wait( function() {
+				assert.areSame( '<p>Foobar</p>', splitView.getElement().getValue() );
+			}, 50 );
+		},
+
+		'test setting data refreshes the source': function() {
+			var editor = this.editor,
+				splitView = editor.splitView;
+
+			this.editorBot.setHtmlWithSelection( '<p>Fo^o</p>' );
+			splitView.show();
+
+			editor.setData( '<p>Bar</p>', function() {
+				resume( function() {
+					assert.areSame( '<p>Bar</p>', splitView.getElement().getValue() );
+				} );
+			} );
+
+			wait();
+		},
+
+		'test source changes are synchronized': function() {
+			var editor = this.editor,
+				splitView = editor.splitView;
+
+			this.editorBot.setHtmlWithSelection( '<p>Fo^o</p>' );
+			splitView.show();
+
+			setSource( splitView, '<p>Foo <b>bar</b></p>', 12 );
+			splitView.getElement().fire( 'input', new CKEDITOR.dom.event( {} ) );
+
+			wait( function() {
+				assert.areSame( '<p>Foo <b>bar</b></p>', editor.getData() );
+				assert.areSame( 'b', editor.getSelection().getStartElement().getName(), 'Selection is mapped' );
+			}, 50 );
+		},
+
+		'test source changes can be undone': function() {
+			var editor = this.editor,
+				splitView = editor.splitView;
+
+			this.editorBot.setHtmlWithSelection( '<p>Fo^o</p>' );
+			editor.resetUndo();
+			splitView.show();
+
+			setSource( splitView, '<p>Bar</p>' );
+			splitView.apply();
+
+			assert.areSame( '<p>Bar</p>', editor.getData(), 'Applied' );
+
+			editor.execCommand( 'undo' );
+			assert.areSame( '<p>Foo</p>', editor.getData(), 'Undone' );
+			assert.areSame( '<p>Foo</p>', splitView.getElement().getValue(), 'Source refreshed after undo' );
+		},
+
+		'test getData includes pending source changes': function() {
+			var editor = this.editor,
+				splitView = editor.splitView;
+
+			this.editorBot.setHtmlWithSelection( '<p>Fo^o</p>' );
+			splitView.show();
+
+			setSource( splitView, '<p>Bar</p>' );
+			splitView.getElement().fire( 'input', new CKEDITOR.dom.event( {} ) );
+
+			assert.areSame( '<p>Bar</p>', editor.getData() );
+		},
+
+		'test source is not refreshed while it is edited': function() {
+			var editor = this.editor,
+				splitView = editor.splitView,
+				element;
+
+			this.editorBot.setHtmlWithSelection( '<p>Fo^o</p>' );
+			splitView.show();
+			element = splitView.getElement();
+
+			sinon.stub( CKEDITOR.document, 'getActive' ).returns( element );
+
+			try {
+				setSource( splitView, '<p>Foo</p><p>' );
+				editor.fire( 'change' );
+				splitView.refresh();
+			} finally {
+				CKEDITOR.document.getActive.restore();
+			}
+
+			assert.areSame( '<p>Foo</p><p>', element.getValue() );
+		},
+
+		'test getSourceOffset': function() {
+			var editor = this.editor,
+				splitView = editor.splitView;
+
+			this.editorBot.setHtmlWithSelection( '<p>Foo</p><p>B<b>a^r</b> &amp; baz</p>' );
+			splitView.show();
+
+			assert.areSame( '<p>Foo</p><p>B<b>a'.length, splitView.getSourceOffset(), 'Text' );
+
+			this.editorBot.setHtmlWithSelection( '<p>Foo</p><p>[]<b>bar</b></p>' );
+			assert.areSame( '<p>Foo</p><p>'.length, splitView.getSourceOffset(), 'Element' );
+		},
+
+		'test getRange': function() {
+			var editor = this.editor,
+				splitView = editor.splitView,
+				range;
+
+			this.editorBot.setHtmlWithSelection( '<p>Foo</p><p>Bar &amp; baz</p>' );
+			splitView.show();
+
+			range = splitView.getRange( 14 );
+			assert.areSame( 'Bar & baz', range.startContainer.getText(), 'Container' );
+			assert.areSame( 1, range.startOffset, 'Offset' );
+			assert.isTrue( range.collapsed, 'Collapsed' );
+
+			range = splitView.getRange( 1 );
+			assert.areSame( 'Foo', range.startContainer.getText(), 'Inside a tag' );
+			assert.areSame( 0, range.startOffset, 'Offset of the following text' );
+
+			range = splitView.getRange( 18 );
+			assert.areSame( 'Bar & baz', range.startContainer.getText(), 'Character reference' );
+			assert.areSame( 5, range.startOffset, 'Offset after the character reference' );
+
+			range = splitView.getRange( 100 );
+			assert.areSame( 9, range.startOffset, 'After the last text' );
+		},
+
+		'test caret is mapped to the source': function() {
+			var editor = this.editor,
+				splitView = editor.splitView;
+
+			this.editorBot.setHtmlWithSelection( '<p>Foo</p><ul><li>B^ar</li></ul>' );
+			splitView.show();
+			splitView.selectInSource();
+
+			assert.areSame( '<p>Foo</p><ul><li>B'.length, splitView.getElement().$.selectionStart );
+		},
+
+		'test caret is mapped to WYSIWYG': function() {
+			var splitView = this.editor.splitView;
+
+			this.editorBot.setHtmlWithSelection( '<p>^Foo</p><p>Bar</p>' );
+			splitView.show();
+
+			setSource( splitView, '<p>Foo</p><p>Bar</p>', 15 );
+			splitView.getElement().fire( 'keyup', new CKEDITOR.dom.event( {} ) );
+
+			wait( function() {
+				assert.areSame( '<p>Foo</p><p>Ba^r</p>', this.editorBot.htmlWithSelection() );
+			}, 150 );
+		},
+
+		'test pane is hidden in source mode': function() {
+			var editor = this.editor,
+				splitView = editor.splitView;
+
+			this.editorBot.setHtmlWithSelection( '<p>Fo^o</p>' );
+			splitView.show();
+			setSource( splitView, '<p>Bar</p>' );
+
+			editor.setMode( 'source', function() {
+				resume( function() {
+					assert.isNull( splitView.getElement().getParent(), 'Pane removed' );
+					assert.isTrue( splitView.visible, 'Still visible' );
+					assert.areSame( '<p>Bar</p>', editor.getData(), 'Source changes applied before switching' );
+
+					editor.setMode( 'wysiwyg', function() {
+						resume( function() {
+							assert.isTrue( splitView.isActive(), 'Pane shown again' );
+							assert.areSame( '<p>Bar</p>', splitView.getElement().getValue(), 'Source' );
+						} );
+					} );
+
+					wait();
+				} );
+			} );
+
+			wait();
+		},
+
+		'test read-only': function() {
+			var editor = this.editor,
+				splitView = editor.splitView;
+
+			splitView.show();
+
+			editor.setReadOnly( true );
+			assert.isTrue( splitView.getElement().hasAttribute( 'readonly' ), 'Read-only' );
+
+			editor.setReadOnly( false );
+			assert.isFalse( splitView.getElement().hasAttribute( 'readonly' ), 'Editable' );
+		}
+	} );
+} )();
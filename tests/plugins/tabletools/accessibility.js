@@ -0,0 +1,182 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: entities,dialog,table,tabletools,toolbar */
+
+( function() {
+	'use strict';
+
+	var accessibility;
+
+	// Every dialog test uses a separate editor, so each of them opens a fresh dialog.
+	bender.editors = {
+		issues: {
+			name: 'issues',
+			config: {
+				removePlugins: 'tableselection'
+			}
+		},
+		accessibility: {
+			name: 'accessibility',
+			config: {
+				removePlugins: 'tableselection'
+			}
+		},
+		firstColumn: {
+			name: 'firstColumn',
+			config: {
+				removePlugins: 'tableselection'
+			}
+		}
+	};
+
+	bender.test( {
+		setUp: function() {
+			accessibility = CKEDITOR.plugins.tabletools.accessibility;
+		},
+
+		doTest: function( name, fn ) {
+			var playground = CKEDITOR.document.getById( 'playground' );
+
+			bender.tools.testInputOut( name, function( source, expected ) {
+				playground.setHtml( source );
+				fn( playground.findOne( 'table' ) );
+
+				assert.areSame( bender.tools.compatHtml( expected ), bender.tools.compatHtml( playground.getHtml(), false, true ) );
+			} );
+		},
+
+		createTable: function( html ) {
+			var playground = CKEDITOR.document.getById( 'playground' );
+
+			playground.setHtml( html );
+
+			return playground.findOne( 'table' );
+		},
+
+		'test setRowHeaders()': function() {
+			this.doTest( 'row-headers', function( table ) {
+				accessibility.setRowHeaders( table, 1 );
+			} );
+		},
+
+		'test setRowHeaders() reverts row headers': function() {
+			var table = this.createTable( '<table><tbody><tr><th scope="row">a</th><th scope="row">b</th><td>c</td></tr></tbody></table>' );
+
+			accessibility.setRowHeaders( table, 1 );
+
+			assert.areSame( '<table><tbody><tr><th scope="row">a</th><td>b</td><td>c</td></tr></tbody></table>',
+				bender.tools.compatHtml( table.getOuterHtml(), false, true ) );
+		},
+
+		'test getRowHeaders()': function() {
+			assert.areSame( 2, accessibility.getRowHeaders( this.createTable( '<table><thead><tr><td>a</td><td>b</td><td>c</td></tr></thead>' +
+				'<tbody><tr><th>1</th><th>2</th><td>3</td></tr><tr><th colspan="2">4</th><td>5</td></tr></tbody></table>' ) ), 'Two columns' );
+			assert.areSame( 0, accessibility.getRowHeaders( this.createTable( '<table><tbody><tr><td>1</td><th>2</th></tr></tbody></table>' ) ),
+				'Header not in the first column' );
+			assert.areSame( 0, accessibility.getRowHeaders( this.createTable( '<table><thead><tr><th>1</th></tr></thead></table>' ) ),
+				'No body rows' );
+		},
+
+		'test setScopes()': function() {
+			this.doTest( 'scopes', function( table ) {
+				accessibility.setScopes( table );
+			} );
+		},
+
+		'test setHeaders()': function() {
+			this.doTest( 'headers', function( table ) {
+				accessibility.setHeaders( table );
+			} );
+		},
+
+		'test removeHeaders()': function() {
+			var table = this.createTable( '<table><tbody><tr><th id="a">a</th><td headers="a">b</td></tr></tbody></table>' );
+
+			accessibility.removeHeaders( table );
+
+			assert.isNull( table.findOne( '[headers]' ) );
+		},
+
+		'test validate() reports missing headers': function() {
+			var table = this.createTable( '<table><tbody><tr><td>a</td></tr></tbody></table>' ),
+				issues = accessibility.validate( table );
+
+			assert.areSame( 1, issues.length, 'Issues count' );
+			assert.areSame( 'noHeaders', issues[ 0 ].type, 'Issue type' );
+			assert.isTrue( table.equals( issues[ 0 ].element ), 'Issue element' );
+		},
+
+		'test validate() reports ambiguous merged headers': function() {
+			var table = this.createTable( '<table><tbody>' +
+					'<tr><th colspan="2" scope="col">a</th><th colspan="2" scope="colgroup">b</th><th rowspan="2" colspan="2">c</th></tr>' +
+					'<tr><th colspan="2" scope="row">d</th><th id="e" rowspan="2">e</th><td headers="e">f</td></tr>' +
+				'</tbody></table>' ),
+				issues = accessibility.validate( table );
+
+			assert.areSame( 2, issues.length, 'Issues count' );
+			assert.areSame( 'ambiguousHeader', issues[ 0 ].type, 'Issue 1 type' );
+			assert.areSame( 'a', issues[ 0 ].element.getText(), 'Issue 1 element' );
+			assert.areSame( 'ambiguousHeader', issues[ 1 ].type, 'Issue 2 type' );
+			assert.areSame( 'c', issues[ 1 ].element.getText(), 'Issue 2 element' );
+		},
+
+		'test validate() reports missing description': function() {
+			var table = this.createTable( '<p id="desc">Description</p><table aria-describedby="desc missing"><tbody><tr><th>a</th></tr></tbody></table>' ),
+				issues = accessibility.validate( table );
+
+			assert.areSame( 1, issues.length, 'Issues count' );
+			assert.areSame( 'missingDescription', issues[ 0 ].type, 'Issue type' );
+			assert.areSame( 'missing', issues[ 0 ].id, 'Issue id' );
+		},
+
+		'test dialog shows the accessibility issues': function() {
+			var bot = this.editorBots.issues;
+
+			bot.setHtmlWithSelection( '<table><tbody><tr><td>foo^</td></tr></tbody></table>' );
+
+			bot.dialog( 'tableProperties', function( dialog ) {
+				var issues = dialog.getContentElement( 'accessibility', 'issues' ).getElement();
+
+				assert.areSame( bot.editor.lang.table.accessibility.noHeaders, issues.getText() );
+
+				dialog.hide();
+			} );
+		},
+
+		'test dialog sets row headers and headers attributes': function() {
+			var bot = this.editorBots.accessibility;
+
+			bot.setHtmlWithSelection( '<table><thead><tr><th>a</th><th>b</th></tr></thead><tbody><tr><td>foo^</td><td>bar</td></tr></tbody></table>' );
+
+			bot.dialog( 'tableProperties', function( dialog ) {
+				assert.areSame( '0', dialog.getValueOf( 'accessibility', 'txtRowHeaders' ), 'Row headers' );
+				assert.areSame( '', dialog.getValueOf( 'accessibility', 'selAssociation' ), 'Association' );
+
+				dialog.setValueOf( 'accessibility', 'txtRowHeaders', '1' );
+				dialog.setValueOf( 'accessibility', 'selAssociation', 'headers' );
+				dialog.setValueOf( 'accessibility', 'txtDescribedBy', 'desc' );
+
+				dialog.getButton( 'ok' ).click();
+
+				assert.areSame( '<table aria-describedby="desc"><thead><tr>' +
+						'<th id="table-header-1" scope="col">a</th><th id="table-header-2" scope="col">b</th>' +
+					'</tr></thead><tbody><tr>' +
+						'<th id="table-header-3" scope="row">foo</th><td headers="table-header-2 table-header-3">bar</td>' +
+					'</tr></tbody></table>', bot.getData( true ) );
+			} );
+		},
+
+		'test dialog keeps the first column headers set in the "Table Properties" tab': function() {
+			var bot = this.editorBots.firstColumn;
+
+			bot.setHtmlWithSelection( '<table><tbody><tr><td>foo^</td><td>bar</td></tr></tbody></table>' );
+
+			bot.dialog( 'tableProperties', function( dialog ) {
+				dialog.setValueOf( 'info', 'selHeaders', 'col' );
+
+				dialog.getButton( 'ok' ).click();
+
+				assert.areSame( '<table><tbody><tr><th scope="row">foo</th><td>bar</td></tr></tbody></table>', bot.getData( true ) );
+			} );
+		}
+	} );
+} )();
@@ -0,0 +1,159 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: entities,dialog,tabletools,toolbar */
+
+( function() {
+	'use strict';
+
+	bender.editor = {
+		config: {
+			removePlugins: 'tableselection'
+		},
+		allowedForTests: 'table;thead;tfoot;th;td[id,colspan,rowspan]'
+	};
+
+	bender.test( {
+		doTest: function( name, command, data ) {
+			var bot = this.editorBot;
+
+			bender.tools.testInputOut( name, function( source, expected ) {
+				bot.setHtmlWithSelection( source );
+				bot.editor.execCommand( command, data );
+
+				var output = bot.getData( true );
+				output = output.replace( /\u00a0/g, '&nbsp;' );
+				assert.areSame( bender.tools.compatHtml( expected ), output );
+			} );
+		},
+
+		'test move row up': function() {
+			this.doTest( 'move-row-up', 'rowMoveUp' );
+		},
+
+		'test move row up with row span': function() {
+			this.doTest( 'move-row-up-rowspan', 'rowMoveUp' );
+		},
+
+		'test move row up does not move rows to another table section': function() {
+			this.doTest( 'move-row-up-first-body-row', 'rowMoveUp' );
+		},
+
+		'test move multiple rows down': function() {
+			this.doTest( 'move-row-down-multi', 'rowMoveDown' );
+		},
+
+		'test move last row down': function() {
+			this.doTest( 'move-row-down-last', 'rowMoveDown' );
+		},
+
+		'test move column left': function() {
+			this.doTest( 'move-col-left', 'columnMoveLeft' );
+		},
+
+		'test move column left with column span': function() {
+			this.doTest( 'move-col-left-colspan', 'columnMoveLeft' );
+		},
+
+		'test move column right with row span': function() {
+			this.doTest( 'move-col-right-rowspan', 'columnMoveRight' );
+		},
+
+		'test duplicate row': function() {
+			this.doTest( 'duplicate-row', 'rowDuplicate' );
+		},
+
+		'test duplicate row with row span': function() {
+			this.doTest( 'duplicate-row-rowspan', 'rowDuplicate' );
+			this.doTest( 'duplicate-row-covered', 'rowDuplicate' );
+			this.doTest( 'duplicate-row-partial-rowspan', 'rowDuplicate' );
+		},
+
+		'test duplicate column': function() {
+			this.doTest( 'duplicate-col', 'columnDuplicate' );
+		},
+
+		'test duplicate column with column span': function() {
+			this.doTest( 'duplicate-col-colspan', 'columnDuplicate' );
+		},
+
+		'test duplicate places the cursor in the copy': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<table><tbody><tr><td>foo^</td><td>bar</td></tr></tbody></table>' );
+			bot.editor.execCommand( 'rowDuplicate' );
+
+			var cell = bot.editor.getSelection().getStartElement().getAscendant( 'td', true );
+
+			assert.areSame( 1, cell.getParent().$.rowIndex, 'Row index' );
+			assert.areSame( 'foo', cell.getText(), 'Cell text' );
+		},
+
+		'test sort ascending numbers': function() {
+			this.doTest( 'sort-ascending-numbers', 'columnSortAscending' );
+		},
+
+		'test sort descending text': function() {
+			this.doTest( 'sort-descending-text', 'columnSortDescending' );
+		},
+
+		'test sort ascending dates': function() {
+			this.doTest( 'sort-ascending-dates', 'columnSortAscending' );
+		},
+
+		'test sort ascending with row span': function() {
+			this.doTest( 'sort-ascending-rowspan', 'columnSortAscending' );
+		},
+
+		'test sort is stable': function() {
+			this.doTest( 'sort-stable', 'columnSortAscending' );
+		},
+
+		'test sort with forced type': function() {
+			this.doTest( 'sort-stable', 'columnSortAscending', { type: 'text', column: 1 } );
+		},
+
+		'test move keeps the selection': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<table><tbody><tr><td>foo</td></tr><tr><td>b^ar</td></tr></tbody></table>' );
+			bot.editor.execCommand( 'rowMoveUp' );
+
+			var cell = bot.editor.getSelection().getStartElement().getAscendant( 'td', true );
+
+			assert.areSame( 'bar', cell.getText().replace( /\u200b/g, '' ), 'Cell text' );
+			assert.areSame( 0, cell.getParent().$.rowIndex, 'Row index' );
+		},
+
+		'test tabletools.sortRows()': function() {
+			var doc = CKEDITOR.document,
+				playground = doc.getById( 'playground' ),
+				table;
+
+			playground.setHtml( doc.findOne( '#sort-api' ).getValue() );
+			table = playground.findOne( 'table' );
+
+			CKEDITOR.plugins.tabletools.sortRows( table, 0 );
+			assert.areSame( '910100', table.getText().replace( /\s/g, '' ), 'Detected numbers' );
+
+			CKEDITOR.plugins.tabletools.sortRows( table, 0, { type: 'text' } );
+			assert.areSame( '101009', table.getText().replace( /\s/g, '' ), 'Forced text' );
+
+			CKEDITOR.plugins.tabletools.sortRows( table, 0, { order: 'desc' } );
+			assert.areSame( '100109', table.getText().replace( /\s/g, '' ), 'Descending' );
+		},
+
+		'test context menu states': function() {
+			var bot = this.editorBot,
+				editor = bot.editor;
+
+			bot.setHtmlWithSelection( '<table><tbody><tr><td>foo^</td><td>bar</td></tr><tr><td>baz</td><td>qux</td></tr></tbody></table>' );
+
+			var rowItems = editor.getMenuItem( 'tablerow' ).getItems(),
+				columnItems = editor.getMenuItem( 'tablecolumn' ).getItems();
+
+			assert.areSame( CKEDITOR.TRISTATE_DISABLED, rowItems.tablerow_moveUp, 'Move up' );
+			assert.areSame( CKEDITOR.TRISTATE_OFF, rowItems.tablerow_moveDown, 'Move down' );
+			assert.areSame( CKEDITOR.TRISTATE_DISABLED, columnItems.tablecolumn_moveLeft, 'Move left' );
+			assert.areSame( CKEDITOR.TRISTATE_OFF, columnItems.tablecolumn_moveRight, 'Move right' );
+		}
+	} );
+} )();
@@ -83,7 +83,7 @@
 				assert.isTrue( comp( [ 'about' ], editor.toolbar[ 0 ] ) );
 				assert.areSame( '/', editor.toolbar[ 1 ] );
 				assert.areSame( 'test', editor.toolbar[ 2 ].name );
-				assert.isTrue( comp( [ 'bold', 'italic', '-', 'numberedlist' ], editor.toolbar[ 2 ] ) );
+				assert.isTrue( comp( [ 'bold', 'italic', '-', 'numberedlist', 'todolist' ], editor.toolbar[ 2 ] ) );
 
 				bot.assertInputOutput(
 					'<p><strong>A</strong><em>B</em><sup>C</sup></p><ul><li>D</li></ul><ol><li>E</li></ol>',
@@ -0,0 +1,419 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,undo,basicstyles,removeformat,trackchanges */
+
+( function() {
+	'use strict';
+
+	bender.editor = {
+		config: {
+			trackChanges_author: 'Alice',
+			allowedContent: true
+		}
+	};
+
+	// Removes attributes changing between test runs.
+	function clean( html ) {
+		return html.replace( / data-suggestion-(id|timestamp)="[^"]*"/g, '' ).replace( /\u200b/g, '' );
+	}
+
+	function type( editor, text ) {
+		for ( var i = 0; i < text.length; i++ ) {
+			editor.editable().fire( 'keypress', new CKEDITOR.dom.event( {
+				keyCode: text.charCodeAt( i ),
+				charCode: text.charCodeAt( i )
+			} ) );
+		}
+	}
+
+	function pressKey( editor, keyCode ) {
+		var domEvent = new CKEDITOR.dom.event( { keyCode: keyCode } );
+
+		return editor.fire( 'key', { keyCode: keyCode, domEvent: domEvent } );
+	}
+
+	var INS = '<ins data-suggestion-author="Alice">',
+		DEL = '<del data-suggestion-author="Alice">',
+		OWN_INS = '<ins data-suggestion-id="a1" data-suggestion-author="Alice">';
+
+	bender.test( {
+		setUp: function() {
+			this.editor.trackChanges.enable();
+			this.editor.trackChanges.author = 'Alice';
+		},
+
+		'test track changes command toggles the suggestion mode': function() {
+			var editor = this.editor,
+				command = editor.getCommand( 'trackChanges' );
+
+			assert.areSame( CKEDITOR.TRISTATE_ON, command.state, 'enabled in setUp' );
+
+			editor.execCommand( 'trackChanges' );
+			assert.isFalse( editor.trackChanges.enabled, 'disabled' );
+			assert.areSame( CKEDITOR.TRISTATE_OFF, command.state, 'command state off' );
+
+			editor.execCommand( 'trackChanges' );
+			assert.isTrue( editor.trackChanges.enabled, 'enabled again' );
+			assert.areSame( CKEDITOR.TRISTATE_ON, command.state, 'command state on' );
+		},
+
+		'test typing is recorded as an insertion': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>fo^o</p>' );
+			type( bot.editor, 'xy' );
+
+			assert.areSame( '<p>fo' + INS + 'xy^</ins>o</p>', clean( bot.htmlWithSelection() ) );
+			assert.areSame( 1, bot.editor.trackChanges.getSuggestions().length, 'one suggestion' );
+		},
+
+		'test typing after own insertion extends it': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>foo' + OWN_INS + 'x</ins>^bar</p>' );
+			type( bot.editor, 'y' );
+
+			assert.areSame( '<p>foo' + INS + 'xy^</ins>bar</p>', clean( bot.htmlWithSelection() ) );
+		},
+
+		'test typing after insertion of another author creates a new suggestion': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>foo<ins data-suggestion-id="1" data-suggestion-author="Bob">x</ins>^</p>' );
+			type( bot.editor, 'y' );
+
+			assert.areSame( '<p>foo<ins data-suggestion-author="Bob">x</ins>' + INS + 'y^</ins></p>',
+				clean( bot.htmlWithSelection() ) );
+			assert.areSame( 2, bot.editor.trackChanges.getSuggestions().length );
+		},
+
+		'test typed spaces stay visible': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>foo^</p>' );
+			type( bot.editor, 'a b ' );
+
+			assert.areSame( '<p>foo' + INS + 'a b&nbsp;</ins></p>', clean( bot.editor.editable().getHtml() ) );
+		},
+
+		'test typing over selection suggests deletion of selected text': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>f[oo]bar</p>' );
+			type( bot.editor, 'x' );
+
+			assert.areSame( '<p>f' + DEL + 'oo</del>' + INS + 'x^</ins>bar</p>', clean( bot.htmlWithSelection() ) );
+		},
+
+		'test backspace is recorded as a deletion': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>foo^bar</p>' );
+
+			assert.isFalse( pressKey( bot.editor, 8 ), 'key event canceled' );
+			pressKey( bot.editor, 8 );
+
+			assert.areSame( '<p>f^' + DEL + 'oo</del>bar</p>', clean( bot.htmlWithSelection() ) );
+			assert.areSame( 1, bot.editor.trackChanges.getSuggestions().length, 'deletions merged' );
+		},
+
+		'test delete key is recorded as a deletion': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>foo^bar</p>' );
+
+			pressKey( bot.editor, 46 );
+			pressKey( bot.editor, 46 );
+
+			assert.areSame( '<p>foo' + DEL + 'ba</del>^r</p>', clean( bot.htmlWithSelection() ) );
+		},
+
+		'test backspace skips text suggested for deletion': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>foo<del data-suggestion-id="1" data-suggestion-author="Bob">bar</del>^</p>' );
+			pressKey( bot.editor, 8 );
+
+			assert.areSame( '<p>fo^' + DEL + 'o</del><del data-suggestion-author="Bob">bar</del></p>',
+				clean( bot.htmlWithSelection() ) );
+		},
+
+		'test backspace removes own insertion': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>foo' + OWN_INS + 'xy</ins>^bar</p>' );
+			pressKey( bot.editor, 8 );
+			assert.areSame( '<p>foo' + INS + 'x^</ins>bar</p>', clean( bot.htmlWithSelection() ), 'character removed' );
+
+			pressKey( bot.editor, 8 );
+			assert.areSame( '<p>foo^bar</p>', bot.htmlWithSelection().replace( /<\/?ins[^>]*>/g, '' ), 'insertion removed' );
+			assert.areSame( 0, bot.editor.trackChanges.getSuggestions().length, 'no suggestions left' );
+		},
+
+		'test backspace at the start of block does nothing': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>foo</p><p>^bar</p>' );
+
+			assert.isFalse( pressKey( bot.editor, 8 ), 'key event canceled' );
+			assert.areSame( '<p>foo</p><p>^bar</p>', bot.htmlWithSelection() );
+		},
+
+		'test deleting text inserted by another author': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p><ins data-suggestion-id="1" data-suggestion-author="Bob">foo^</ins></p>' );
+			pressKey( bot.editor, 8 );
+
+			assert.areSame( '<p><ins data-suggestion-author="Bob">fo' + DEL + 'o</del></ins></p>',
+				clean( bot.editor.editable().getHtml() ) );
+		},
+
+		'test backspace is not intercepted when the suggestion mode is disabled': function() {
+			var bot = this.editorBot;
+
+			bot.editor.trackChanges.disable();
+			bot.setHtmlWithSelection( '<p>foo^</p>' );
+
+			assert.areNotSame( false, pressKey( bot.editor, 8 ) );
+			assert.areSame( '<p>foo</p>', bot.editor.editable().getHtml() );
+		},
+
+		'test changes are not tracked in read-only mode': function() {
+			var editor = this.editor;
+
+			editor.setReadOnly( true );
+			assert.isFalse( editor.trackChanges.isTracking() );
+			editor.setReadOnly( false );
+			assert.isTrue( editor.trackChanges.isTracking() );
+		},
+
+		'test insertHtml is recorded as an insertion': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>foo^bar</p>' );
+			bot.editor.insertHtml( 'x<strong>y</strong>' );
+
+			assert.areSame( '<p>foo' + INS + 'x</ins><strong>' + INS + 'y</ins></strong>bar</p>',
+				clean( bot.editor.editable().getHtml() ) );
+		},
+
+		'test insertHtml replacing selection': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>f[oo]bar</p>' );
+			bot.editor.insertHtml( 'x' );
+
+			assert.areSame( '<p>f' + DEL + 'oo</del>' + INS + 'x</ins>bar</p>', clean( bot.editor.editable().getHtml() ) );
+		},
+
+		'test insertText is recorded as an insertion': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>foo^</p>' );
+			bot.editor.insertText( 'bar' );
+
+			assert.areSame( '<p>foo' + INS + 'bar</ins></p>', clean( bot.editor.editable().getHtml() ) );
+		},
+
+		'test insertHtmlIntoRange is recorded as an insertion': function() {
+			var editor = this.editor,
+				range;
+
+			this.editorBot.setHtmlWithSelection( '<p>foo^</p>' );
+			range = editor.getSelection().getRanges()[ 0 ];
+
+			editor.editable().insertHtmlIntoRange( 'bar', range );
+
+			assert.areSame( '<p>foo' + INS + 'bar</ins></p>', clean( editor.editable().getHtml() ) );
+		},
+
+		'test inline insertElement is recorded as an insertion': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>foo^</p>' );
+			bot.editor.insertElement( CKEDITOR.dom.element.createFromHtml( '<span class="x">bar</span>', bot.editor.document ) );
+
+			assert.areSame( '<p>foo' + INS + '<span class="x">bar</span></ins></p>', clean( bot.editor.editable().getHtml() ) );
+		},
+
+		'test extractHtmlFromRange is recorded as a deletion': function() {
+			var bot = this.editorBot,
+				extracted;
+
+			bot.setHtmlWithSelection( '<p>f[oo]bar</p>' );
+			extracted = bot.editor.extractSelectedHtml( true );
+
+			assert.areSame( 'oo', extracted, 'extracted html' );
+			assert.areSame( '<p>f' + DEL + 'oo</del>bar</p>', clean( bot.editor.editable().getHtml() ) );
+		},
+
+		'test deletion across blocks': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>f[oo</p><p>ba]r</p>' );
+			pressKey( bot.editor, 46 );
+
+			assert.areSame( '<p>f' + DEL + 'oo</del></p><p>' + DEL + 'ba</del>r</p>', clean( bot.editor.editable().getHtml() ) );
+			assert.areSame( 1, bot.editor.trackChanges.getSuggestions().length, 'one suggestion' );
+		},
+
+		'test getSuggestions': function() {
+			var editor = this.editor,
+				suggestions;
+
+			this.editorBot.setHtmlWithSelection( '<p>^a<ins data-suggestion-id="s1" data-suggestion-author="Bob" ' +
+				'data-suggestion-timestamp="1000">b</ins><del data-suggestion-id="s2" data-suggestion-author="Alice">c</del></p>' );
+
+			suggestions = editor.trackChanges.getSuggestions();
+
+			assert.areSame( 2, suggestions.length );
+			assert.areSame( 's1', suggestions[ 0 ].id );
+			assert.areSame( 'insertion', suggestions[ 0 ].type );
+			assert.areSame( 'Bob', suggestions[ 0 ].author );
+			assert.areSame( 1000, suggestions[ 0 ].timestamp );
+			assert.areSame( 1, suggestions[ 0 ].elements.length );
+			assert.areSame( 'deletion', suggestions[ 1 ].type );
+			assert.areSame( 's2', editor.trackChanges.getSuggestion( 's2' ).id );
+			assert.isNull( editor.trackChanges.getSuggestion( 'missing' ) );
+		},
+
+		'test accept and reject single suggestions': function() {
+			var editor = this.editor;
+
+			this.editorBot.setHtmlWithSelection( '<p>^a<ins data-suggestion-id="s1">b</ins><del data-suggestion-id="s2">c</del>' +
+				'<ins data-suggestion-id="s3">d</ins><del data-suggestion-id="s4">e</del></p>' );
+
+			assert.isTrue( editor.trackChanges.accept( 's1' ), 'accept insertion' );
+			assert.isTrue( editor.trackChanges.accept( 's2' ), 'accept deletion' );
+			assert.isTrue( editor.trackChanges.reject( 's3' ), 'reject insertion' );
+			assert.isTrue( editor.trackChanges.reject( 's4' ), 'reject deletion' );
+			assert.isFalse( editor.trackChanges.accept( 's1' ), 'no such suggestion' );
+
+			assert.areSame( '<p>abe</p>', clean( editor.editable().getHtml() ) );
+		},
+
+		'test accept and reject all suggestions': function() {
+			var editor = this.editor,
+				html = '<p>^a<ins data-suggestion-id="s1">b</ins><del data-suggestion-id="s2">c</del></p>';
+
+			this.editorBot.setHtmlWithSelection( html );
+			editor.execCommand( 'acceptAllSuggestions' );
+			assert.areSame( '<p>ab</p>', clean( editor.editable().getHtml() ), 'accepted' );
+
+			this.editorBot.setHtmlWithSelection( html );
+			editor.execCommand( 'rejectAllSuggestions' );
+			assert.areSame( '<p>ac</p>', clean( editor.editable().getHtml() ), 'rejected' );
+		},
+
+		'test accepting deletion of whole paragraph removes the paragraph': function() {
+			var editor = this.editor;
+
+			this.editorBot.setHtmlWithSelection( '<p>^foo</p><p><del data-suggestion-id="s1">bar</del></p>' );
+			editor.trackChanges.accept( 's1' );
+
+			assert.areSame( '<p>foo</p>', clean( editor.editable().getHtml() ) );
+		},
+
+		'test accept suggestion command uses the suggestion at selection': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>a<ins data-suggestion-id="s1">b^</ins><ins data-suggestion-id="s2">c</ins></p>' );
+
+			assert.areSame( CKEDITOR.TRISTATE_OFF, bot.editor.getCommand( 'rejectSuggestion' ).state, 'command enabled' );
+
+			bot.execCommand( 'rejectSuggestion' );
+			assert.areSame( '<p>a<ins>c</ins></p>', clean( bot.editor.editable().getHtml() ) );
+		},
+
+		'test accept suggestion command with the suggestion id': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>a<ins data-suggestion-id="s1">b^</ins><ins data-suggestion-id="s2">c</ins></p>' );
+
+			bot.editor.execCommand( 'acceptSuggestion', { id: 's2' } );
+			assert.areSame( '<p>a<ins>b</ins>c</p>', clean( bot.editor.editable().getHtml() ) );
+		},
+
+		'test suggestion data survives getData and setData': function() {
+			var bot = this.editorBot,
+				data = '<p>a<ins data-suggestion-author="Bob" data-suggestion-id="s1" data-suggestion-timestamp="1000">b</ins>' +
+					'<del data-suggestion-author="Bob" data-suggestion-id="s2" data-suggestion-timestamp="1000">c</del></p>';
+
+			bot.setData( data, function() {
+				assert.areSame( data, bot.editor.getData() );
+				assert.areSame( 2, bot.editor.trackChanges.getSuggestions().length );
+			} );
+		},
+
+		'test remove format keeps suggestions': function() {
+			var bot = this.editorBot;
+
+			bot.setHtmlWithSelection( '<p>[a<ins data-suggestion-author="Bob" data-suggestion-id="s1"><strong>b</strong></ins>' +
+				'<del data-suggestion-author="Bob" data-suggestion-id="s2"><em>c</em></del>]</p>' );
+			bot.execCommand( 'removeFormat' );
+
+			assert.areSame( '<p>a<ins data-suggestion-author="Bob">b</ins><del data-suggestion-author="Bob">c</del></p>',
+				clean( bot.editor.getData() ) );
+			assert.areSame( 2, bot.editor.trackChanges.getSuggestions().length, 'suggestions' );
+		},
+
+		'test suggestion markup is allowed by the content filter': function() {
+			var filter = this.editor.filter;
+
+			assert.isTrue( filter.check( 'ins[data-suggestion-id,data-suggestion-author,data-suggestion-timestamp]' ), 'ins' );
+			assert.isTrue( filter.check( 'del[data-suggestion-id,data-suggestion-author,data-suggestion-timestamp]' ), 'del' );
+		},
+
+		'test suggestions are recorded in undo snapshots': function() {
+			var bot = this.editorBot,
+				editor = bot.editor;
+
+			bot.setHtmlWithSelection( '<p>foo^</p>' );
+			editor.resetUndo();
+
+			editor.insertHtml( 'bar' );
+			assert.isTrue( editor.undoManager.undoable(), 'undoable' );
+
+			editor.execCommand( 'undo' );
+			assert.areSame( '<p>foo</p>', clean( editor.editable().getHtml() ), 'after undo' );
+
+			editor.execCommand( 'redo' );
+			assert.areSame( '<p>foo' + INS + 'bar</ins></p>', clean( editor.editable().getHtml() ), 'after redo' );
+		},
+
+		'test accepting suggestion is undoable': function() {
+			var bot = this.editorBot,
+				editor = bot.editor,
+				html = '<p>a<ins data-suggestion-id="s1">b^</ins></p>';
+
+			bot.setHtmlWithSelection( html );
+			editor.resetUndo();
+
+			bot.execCommand( 'acceptSuggestion' );
+			editor.execCommand( 'undo' );
+
+			assert.areSame( '<p>a<ins>b</ins></p>', clean( editor.editable().getHtml() ) );
+		},
+
+		'test balloon panel is shown for the suggestion at selection': function() {
+			var bot = this.editorBot,
+				editor = bot.editor,
+				panel;
+
+			bot.setHtmlWithSelection( '<p>a<ins data-suggestion-id="s1" data-suggestion-author="Bob">b^</ins></p>' );
+			editor.selectionChange( true );
+
+			panel = CKEDITOR.document.findOne( '.cke_balloon.cke_editor_' + editor.name );
+			assert.isNotNull( panel, 'panel created' );
+			assert.areNotSame( 'none', panel.getStyle( 'display' ), 'panel visible' );
+			assert.areSame( 'Bob', panel.findOne( '.cke_suggestion_author' ).getText() );
+
+			panel.findOne( '.cke_balloon_content' ).fire( 'click', new CKEDITOR.dom.event( {
+				target: panel.findOne( '.cke_suggestion_accept' ).$
+			} ) );
+
+			assert.areSame( '<p>ab</p>', clean( editor.editable().getHtml() ), 'accepted' );
+			assert.areSame( 'none', panel.getStyle( 'display' ), 'panel hidden' );
+		}
+	} );
+} )();
@@ -0,0 +1,226 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,undo */
+
+( function() {
+	'use strict';
+
+	bender.editors = {
+		classic: {
+			name: 'classic',
+			config: {
+				allowedContent: true
+			}
+		},
+		limited: {
+			name: 'limited',
+			config: {
+				allowedContent: true,
+				undoStackSize: 3
+			}
+		}
+	};
+
+	// Makes a step changing the content.
+	function change( editor, html ) {
+		editor.fire( 'saveSnapshot' );
+		editor.editable().setHtml( html );
+		editor.fire( 'saveSnapshot' );
+	}
+
+	function keyEvent( keyCode ) {
+		return { data: new CKEDITOR.dom.event( { keyCode: keyCode } ) };
+	}
+
+	bender.test( {
+		setUp: function() {
+			for ( var name in this.editors ) {
+				this.editors[ name ].undoManager.diffThreshold = 0;
+				this.editors[ name ].undoManager.keyframeInterval = 10;
+			}
+		},
+
+		'test snapshots are stored as differences': function() {
+			var editor = this.editors.classic,
+				snapshots;
+
+			bender.tools.selection.setWithHtml( editor, '<p>{}Foo</p>' );
+			editor.resetUndo();
+			snapshots = editor.undoManager.snapshots;
+			change( editor, '<p>Foo bar</p>' );
+			change( editor, '<p>Foo bar baz</p>' );
+
+			assert.areSame( 3, snapshots.length, 'Snapshots' );
+			assert.areSame( '<p>Foo</p>', snapshots[ 0 ].contents, 'The first snapshot has nothing to be compared with' );
+			assert.isUndefined( snapshots[ 1 ].contents, 'The content of the previous snapshot is released' );
+			assert.areSame( '<p>Foo bar baz</p>', snapshots[ 2 ].contents, 'The current snapshot keeps the content' );
+
+			assert.areSame( '<p>Foo bar</p>', snapshots[ 1 ].getContents(), 'Restored content' );
+			assert.areSame( ' bar'.length * 2, snapshots[ 1 ].getSize(), 'Size of the difference' );
+		},
+
+		'test short snapshots are stored in full': function() {
+			var editor = this.editors.classic,
+				snapshots;
+
+			editor.undoManager.diffThreshold = '<p>Foo bar baz</p>'.length;
+
+			bender.tools.selection.setWithHtml( editor, '<p>{}Foo</p>' );
+			editor.resetUndo();
+			snapshots = editor.undoManager.snapshots;
+			change( editor, '<p>Foo bar</p>' );
+			change( editor, '<p>Foo bar baz</p>' );
+			change( editor, '<p>Foo</p>' );
+
+			assert.areSame( '<p>Foo bar</p>', snapshots[ 1 ].contents, 'Short snapshot' );
+			assert.isUndefined( snapshots[ 2 ].contents, 'Long snapshot' );
+		},
+
+		'test keyframes keep the full content': function() {
+			var editor = this.editors.classic,
+				snapshots,
+				i;
+
+			editor.undoManager.keyframeInterval = 3;
+
+			bender.tools.selection.setWithHtml( editor, '<p>{}Foo</p>' );
+			editor.resetUndo();
+			snapshots = editor.undoManager.snapshots;
+
+			for ( i = 1; i <= 5; i++ ) {
+				change( editor, '<p>Foo ' + i + '</p>' );
+			}
+
+			assert.isUndefined( snapshots[ 1 ].contents, 'Difference 1' );
+			assert.isUndefined( snapshots[ 2 ].contents, 'Difference 2' );
+			assert.areSame( '<p>Foo 3</p>', snapshots[ 3 ].contents, 'Keyframe' );
+			assert.isUndefined( snapshots[ 4 ].contents, 'Difference after the keyframe' );
+
+			for ( i = 1; i <= 5; i++ ) {
+				assert.areSame( '<p>Foo ' + i + '</p>', snapshots[ i ].getContents(), 'Content ' + i );
+			}
+		},
+
+		'test undo and redo': function() {
+			var editor = this.editors.classic;
+
+			bender.tools.selection.setWithHtml( editor, '<p>{}Foo</p>' );
+			editor.resetUndo();
+			change( editor, '<p>Foo bar</p>' );
+			change( editor, '<p>Bar</p>' );
+
+			editor.execCommand( 'undo' );
+			assert.areSame( '<p>Foo bar</p>', editor.getData(), 'Undo' );
+
+			editor.execCommand( 'undo' );
+			assert.areSame( '<p>Foo</p>', editor.getData(), 'Undo to the first snapshot' );
+
+			editor.execCommand( 'redo' );
+			editor.execCommand( 'redo' );
+			assert.areSame( '<p>Bar</p>', editor.getData(), 'Redo' );
+
+			editor.execCommand( 'undo' );
+			change( editor, '<p>Baz</p>' );
+			editor.execCommand( 'undo' );
+			assert.areSame( '<p>Foo bar</p>', editor.getData(), 'Undo after dropping the redo steps' );
+		},
+
+		'test equalsContent': function() {
+			var editor = this.editors.classic,
+				undoManager = editor.undoManager,
+				snapshots;
+
+			bender.tools.selection.setWithHtml( editor, '<p>{}Foo</p>' );
+			editor.resetUndo();
+			snapshots = undoManager.snapshots;
+			change( editor, '<p>Bar</p>' );
+			bender.tools.selection.setWithHtml( editor, '<p>Ba{}r</p>' );
+			undoManager.save();
+			change( editor, '<p>Foo</p>' );
+
+			assert.areSame( 4, snapshots.length, 'Snapshots' );
+			assert.isFalse( snapshots[ 1 ].equalsContent( snapshots[ 0 ] ), 'Different content' );
+			assert.isTrue( snapshots[ 2 ].equalsContent( snapshots[ 1 ] ), 'Snapshot differing by the selection' );
+			assert.isTrue( snapshots[ 1 ].equalsContent( snapshots[ 2 ] ), 'Snapshot differing by the selection (reversed)' );
+			assert.isTrue( snapshots[ 3 ].equalsContent( snapshots[ 0 ] ), 'Same content' );
+			assert.areSame( 3, undoManager.getSteps().length, 'Steps' );
+		},
+
+		'test the oldest snapshot gets the full content': function() {
+			var editor = this.editors.limited,
+				snapshots;
+
+			bender.tools.selection.setWithHtml( editor, '<p>{}Foo</p>' );
+			editor.resetUndo();
+			snapshots = editor.undoManager.snapshots;
+			change( editor, '<p>Foo 1</p>' );
+			change( editor, '<p>Foo 2</p>' );
+			change( editor, '<p>Foo 3</p>' );
+
+			assert.areSame( 3, snapshots.length, 'Snapshots' );
+			assert.areSame( '<p>Foo 1</p>', snapshots[ 0 ].contents, 'The oldest snapshot' );
+
+			editor.execCommand( 'undo' );
+			editor.execCommand( 'undo' );
+			assert.areSame( '<p>Foo 1</p>', editor.getData(), 'Undone' );
+		},
+
+		'test export and import': function() {
+			var editor = this.editors.classic,
+				undoManager = editor.undoManager,
+				stack;
+
+			bender.tools.selection.setWithHtml( editor, '<p>{}Foo</p>' );
+			editor.resetUndo();
+			change( editor, '<p>Foo bar</p>' );
+			change( editor, '<p>Foo bar baz</p>' );
+			editor.execCommand( 'undo' );
+
+			stack = undoManager.exportStack();
+
+			assert.areSame( '<p>Foo bar</p>', stack.snapshots[ 1 ].contents, 'Exported content' );
+
+			editor.resetUndo();
+			undoManager.importStack( stack );
+
+			assert.areSame( 3, undoManager.snapshots.length, 'Snapshots' );
+			assert.areSame( '<p>Foo bar</p>', undoManager.currentImage.contents, 'The current snapshot keeps the content' );
+			assert.isUndefined( undoManager.snapshots[ 2 ].contents, 'Other snapshots are stored as differences' );
+
+			editor.execCommand( 'redo' );
+			assert.areSame( '<p>Foo bar baz</p>', editor.getData(), 'Redo' );
+
+			editor.execCommand( 'undo' );
+			editor.execCommand( 'undo' );
+			assert.areSame( '<p>Foo</p>', editor.getData(), 'Undo' );
+		},
+
+		'test keydown takes the image only when it is saved': function() {
+			var editor = this.editors.classic,
+				handler = editor.undoManager.editingHandler,
+				imageTaken = sinon.spy();
+
+			if ( CKEDITOR.plugins.undo.UndoManager.ieFunctionalKeysBug( 8 ) ) {
+				assert.ignore();
+			}
+
+			bender.tools.selection.setWithHtml( editor, '<p>Foo{}</p>' );
+			editor.resetUndo();
+			editor.on( 'beforeUndoImage', imageTaken );
+
+			handler.onKeydown( keyEvent( 65 ) );
+			editor.editable().findOne( 'p' ).appendText( 'a' );
+			handler.onInput();
+			handler.onKeyup( keyEvent( 65 ) );
+
+			assert.areSame( 0, imageTaken.callCount, 'Typing' );
+
+			handler.onKeydown( keyEvent( 8 ) );
+
+			editor.removeListener( 'beforeUndoImage', imageTaken );
+			assert.areSame( 1, imageTaken.callCount, 'Key group changed' );
+			assert.areSame( 2, editor.undoManager.snapshots.length, 'Typing saved' );
+
+			handler.onKeyup( keyEvent( 8 ) );
+		}
+	} );
+} )();
@@ -0,0 +1,251 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,undo,basicstyles */
+
+( function() {
+	'use strict';
+
+	bender.editors = {
+		classic: {
+			name: 'classic',
+			config: {
+				allowedContent: true
+			}
+		},
+		limited: {
+			name: 'limited',
+			config: {
+				allowedContent: true,
+				// Fits three snapshots of '<p>xxxxxxxxxx</p>'.
+				undoStackMemoryLimit: 17 * 2 * 3
+			}
+		}
+	};
+
+	// Makes a step changing the content.
+	function change( editor, html ) {
+		editor.fire( 'saveSnapshot' );
+		editor.editable().setHtml( html );
+		editor.fire( 'saveSnapshot' );
+	}
+
+	bender.test( {
+		'test steps are labelled with commands': function() {
+			var editor = this.editors.classic,
+				steps;
+
+			bender.tools.selection.setWithHtml( editor, '<p>{Foo}</p>' );
+			editor.resetUndo();
+
+			editor.execCommand( 'bold' );
+			editor.execCommand( 'italic' );
+
+			steps = editor.undoManager.getSteps();
+
+			assert.areSame( 3, steps.length, 'Steps' );
+			assert.isUndefined( steps[ 0 ].label, 'Initial step' );
+			assert.areSame( editor.lang.basicstyles.bold, steps[ 1 ].label, 'Bold' );
+			assert.areSame( editor.lang.basicstyles.italic, steps[ 2 ].label, 'Italic' );
+			assert.isTrue( steps[ 2 ].current, 'The last step is current' );
+			assert.isFalse( steps[ 1 ].current, 'Other steps are not current' );
+		},
+
+		'test steps are labelled with typing': function() {
+			var editor = this.editors.classic,
+				undoManager = editor.undoManager,
+				keyGroups = CKEDITOR.plugins.undo.UndoManager.keyGroups,
+				steps;
+
+			bender.tools.selection.setWithHtml( editor, '<p>Foo{}</p>' );
+			editor.resetUndo();
+
+			undoManager.type( 65 );
+			editor.editable().findOne( 'p' ).appendText( 'a' );
+			undoManager.save();
+
+			undoManager.type( 8 );
+			undoManager.previousKeyGroup = keyGroups.FUNCTIONAL;
+			editor.editable().findOne( 'p' ).setText( 'Fo' );
+			undoManager.save();
+
+			steps = undoManager.getSteps();
+
+			assert.areSame( editor.lang.undo.typing, steps[ 1 ].label, 'Typing' );
+			assert.areSame( editor.lang.undo.deleting, steps[ 2 ].label, 'Deleting' );
+		},
+
+		'test label is kept when the snapshot is updated': function() {
+			var editor = this.editors.classic,
+				undoManager = editor.undoManager;
+
+			bender.tools.selection.setWithHtml( editor, '<p>{Foo}</p>' );
+			editor.resetUndo();
+			editor.execCommand( 'bold' );
+
+			editor.editable().findOne( 'p' ).appendText( 'bar' );
+			undoManager.update();
+
+			assert.areSame( editor.lang.basicstyles.bold, undoManager.currentImage.label );
+		},
+
+		'test snapshots differing by the selection make a single step': function() {
+			var editor = this.editors.classic,
+				undoManager = editor.undoManager,
+				steps;
+
+			bender.tools.selection.setWithHtml( editor, '<p>Fo{}o</p>' );
+			editor.resetUndo();
+			bender.tools.selection.setWithHtml( editor, '<p>F{}oo</p>' );
+			undoManager.save();
+
+			steps = undoManager.getSteps();
+
+			assert.areSame( 2, undoManager.snapshots.length, 'Snapshots' );
+			assert.areSame( 1, steps.length, 'Steps' );
+			assert.areSame( 1, steps[ 0 ].index, 'The latest snapshot of the step' );
+			assert.isTrue( steps[ 0 ].current, 'Current' );
+		},
+
+		'test goTo': function() {
+			var editor = this.editors.classic,
+				undoManager = editor.undoManager,
+				steps;
+
+			bender.tools.selection.setWithHtml( editor, '<p>{}Foo</p>' );
+			editor.resetUndo();
+			change( editor, '<p>Bar</p>' );
+			change( editor, '<p>Baz</p>' );
+
+			steps = undoManager.getSteps();
+
+			assert.isTrue( undoManager.goTo( steps[ 0 ].index ), 'Moved to the first step' );
+			assert.areSame( '<p>Foo</p>', editor.getData(), 'Content of the first step' );
+			assert.isTrue( undoManager.redoable(), 'Redoable' );
+			assert.isFalse( undoManager.undoable(), 'Not undoable' );
+
+			assert.isTrue( undoManager.goTo( steps[ 2 ].index ), 'Moved to the last step' );
+			assert.areSame( '<p>Baz</p>', editor.getData(), 'Content of the last step' );
+
+			assert.isFalse( undoManager.goTo( steps[ 2 ].index ), 'Current step' );
+			assert.isFalse( undoManager.goTo( 100 ), 'Not existing step' );
+		},
+
+		'test export and import the stack': function() {
+			var editor = this.editors.classic,
+				undoManager = editor.undoManager,
+				stack;
+
+			bender.tools.selection.setWithHtml( editor, '<p>{Foo}</p>' );
+			editor.resetUndo();
+			editor.execCommand( 'bold' );
+
+			// Check that the stack can be serialized.
+			stack = JSON.parse( JSON.stringify( undoManager.exportStack() ) );
+
+			assert.areSame( 2, stack.snapshots.length, 'Exported snapshots' );
+			assert.areSame( 1, stack.index, 'Exported index' );
+
+			editor.resetUndo();
+			assert.isFalse( undoManager.undoable(), 'Reset' );
+
+			undoManager.importStack( stack );
+
+			assert.areSame( 2, undoManager.snapshots.length, 'Imported snapshots' );
+			assert.areSame( editor.lang.basicstyles.bold, undoManager.currentImage.label, 'Imported label' );
+			assert.isTrue( undoManager.undoable(), 'Undoable' );
+			assert.areSame( CKEDITOR.TRISTATE_OFF, editor.getCommand( 'undo' ).state, 'Undo command state' );
+
+			editor.execCommand( 'undo' );
+			assert.areSame( '<p>Foo</p>', editor.getData(), 'Undone' );
+			assert.areSame( 'Foo', editor.getSelection().getSelectedText(), 'Selection restored' );
+		},
+
+		'test import saves the changed content as a new step': function() {
+			var editor = this.editors.classic,
+				undoManager = editor.undoManager,
+				stack;
+
+			bender.tools.selection.setWithHtml( editor, '<p>{}Foo</p>' );
+			editor.resetUndo();
+			change( editor, '<p>Bar</p>' );
+			stack = undoManager.exportStack();
+
+			editor.editable().setHtml( '<p>Baz</p>' );
+			undoManager.importStack( stack );
+
+			assert.areSame( 3, undoManager.snapshots.length, 'Snapshots' );
+			assert.areSame( 2, undoManager.index, 'Index' );
+
+			editor.execCommand( 'undo' );
+			assert.areSame( '<p>Bar</p>', editor.getData() );
+		},
+
+		'test import keeps redo steps': function() {
+			var editor = this.editors.classic,
+				undoManager = editor.undoManager,
+				stack;
+
+			bender.tools.selection.setWithHtml( editor, '<p>{}Foo</p>' );
+			editor.resetUndo();
+			change( editor, '<p>Bar</p>' );
+			editor.execCommand( 'undo' );
+			stack = undoManager.exportStack();
+
+			editor.resetUndo();
+			undoManager.importStack( stack );
+
+			assert.areSame( 0, undoManager.index, 'Index' );
+			assert.isTrue( undoManager.redoable(), 'Redoable' );
+
+			editor.execCommand( 'redo' );
+			assert.areSame( '<p>Bar</p>', editor.getData() );
+		},
+
+		'test getSize': function() {
+			var editor = this.editors.classic,
+				undoManager = editor.undoManager;
+
+			bender.tools.selection.setWithHtml( editor, '<p>{}Foo</p>' );
+			editor.resetUndo();
+
+			assert.areSame( '<p>Foo</p>'.length * 2, undoManager.currentImage.getSize(), 'Image' );
+
+			change( editor, '<p>Foobar</p>' );
+			assert.areSame( ( '<p>Foo</p>'.length + '<p>Foobar</p>'.length ) * 2, undoManager.getSize(), 'Stack' );
+		},
+
+		'test memory limit removes the oldest snapshots': function() {
+			var editor = this.editors.limited,
+				undoManager = editor.undoManager;
+
+			bender.tools.selection.setWithHtml( editor, '<p>{}aaaaaaaaaa</p>' );
+			editor.resetUndo();
+			change( editor, '<p>bbbbbbbbbb</p>' );
+			change( editor, '<p>cccccccccc</p>' );
+
+			assert.areSame( 3, undoManager.snapshots.length, 'Snapshots within the limit' );
+
+			change( editor, '<p>dddddddddd</p>' );
+
+			assert.areSame( 3, undoManager.snapshots.length, 'Snapshots above the limit are removed' );
+			assert.areSame( 2, undoManager.index, 'Index' );
+			assert.isTrue( undoManager.getSize() <= undoManager.memoryLimit, 'Size' );
+
+			editor.execCommand( 'undo' );
+			editor.execCommand( 'undo' );
+			assert.areSame( '<p>bbbbbbbbbb</p>', editor.getData(), 'The oldest snapshot' );
+			assert.isFalse( undoManager.undoable(), 'Not undoable' );
+		},
+
+		'test memory limit keeps the current snapshot': function() {
+			var editor = this.editors.limited,
+				undoManager = editor.undoManager;
+
+			bender.tools.selection.setWithHtml( editor, '<p>{}Foo</p>' );
+			editor.resetUndo();
+			change( editor, '<p>' + new Array( 100 ).join( 'x' ) + '</p>' );
+
+			assert.areSame( 1, undoManager.snapshots.length, 'Snapshots' );
+			assert.areSame( 0, undoManager.index, 'Index' );
+		}
+	} );
+} )();
@@ -0,0 +1,87 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,undo,basicstyles,undohistory */
+
+( function() {
+	'use strict';
+
+	bender.editor = {
+		config: {
+			allowedContent: true
+		}
+	};
+
+	function getBlock( button ) {
+		return button._.panel.getBlock( button._.id ).element;
+	}
+
+	bender.test( {
+		tearDown: function() {
+			var button = this.editor.ui.get( 'UndoHistory' );
+
+			if ( button._.panel ) {
+				button._.panel.hide();
+			}
+		},
+
+		'test panel lists the steps': function() {
+			var editor = this.editor,
+				button = editor.ui.get( 'UndoHistory' ),
+				steps;
+
+			this.editorBot.setHtmlWithSelection( '<p>[Foo]</p>' );
+			editor.resetUndo();
+			editor.execCommand( 'bold' );
+			editor.execCommand( 'undo' );
+
+			button.click( editor );
+			steps = getBlock( button ).find( 'a' );
+
+			assert.areSame( 2, steps.count(), 'Steps' );
+			assert.areSame( editor.lang.undohistory.initial, steps.getItem( 0 ).getText(), 'Initial step' );
+			assert.areSame( editor.lang.basicstyles.bold, steps.getItem( 1 ).getText(), 'Command step' );
+			assert.isTrue( steps.getItem( 0 ).hasClass( 'cke_undohistory_current' ), 'Current step' );
+			assert.areSame( 'true', steps.getItem( 0 ).getAttribute( 'aria-selected' ), 'Current step is selected' );
+			assert.isTrue( steps.getItem( 1 ).hasClass( 'cke_undohistory_redo' ), 'Step which can be redone' );
+		},
+
+		'test clicking a step moves to it': function() {
+			var editor = this.editor,
+				button = editor.ui.get( 'UndoHistory' );
+
+			this.editorBot.setHtmlWithSelection( '<p>[Foo]</p>' );
+			editor.resetUndo();
+			editor.execCommand( 'bold' );
+			editor.execCommand( 'italic' );
+
+			editor.once( 'panelShow', function() {
+				resume( function() {
+					getBlock( button ).find( 'a' ).getItem( 0 ).$.click();
+
+					assert.areSame( '<p>Foo</p>', editor.getData(), 'Content of the initial step' );
+					assert.areSame( CKEDITOR.TRISTATE_OFF, editor.getCommand( 'bold' ).state, 'Command states are refreshed' );
+					assert.areSame( CKEDITOR.TRISTATE_OFF, editor.getCommand( 'redo' ).state, 'Redo is enabled' );
+				} );
+			} );
+
+			button.click( editor );
+
+			wait();
+		},
+
+		'test panel includes unsaved changes': function() {
+			var editor = this.editor,
+				button = editor.ui.get( 'UndoHistory' ),
+				steps;
+
+			this.editorBot.setHtmlWithSelection( '<p>Foo{}</p>' );
+			editor.resetUndo();
+			editor.editable().findOne( 'p' ).appendText( 'bar' );
+
+			button.click( editor );
+			steps = getBlock( button ).find( 'a' );
+
+			assert.areSame( 2, steps.count(), 'Steps' );
+			assert.areSame( editor.lang.undohistory.change, steps.getItem( 1 ).getText(), 'Step without a label' );
+		}
+	} );
+} )();
@@ -32,6 +32,15 @@ bender.editors = {
 			pasteFilter: null
 		}
 	},
+	chunked: {
+		name: 'chunked',
+		creator: 'inline',
+		config: {
+			extraPlugins: 'uploadfile',
+			uploadUrl: 'http://foo/upload',
+			uploadFile_chunkedUpload: true
+		}
+	},
 	disposableEditor: {
 		name: 'disposableEditor',
 		creator: 'inline',
@@ -133,6 +142,28 @@ bender.test( {
 		assert.areSame( 'http://foo/upload', lastUploadUrl );
 	},
 
+	'test chunked upload': function() {
+		var editor = this.editors.chunked,
+			rng = editor.createRange();
+
+		// Fix possible case, when there might be no ranges in Firefox 66 (#2971).
+		rng.setStartAt( editor.editable().getFirst(), CKEDITOR.POSITION_AFTER_START );
+		rng.select();
+
+		pasteFiles( editor, [ bender.tools.getTestTxtFile() ] );
+
+		assert.areSame( 1, loadAndUploadCount, 'Upload count' );
+		assert.areSame( CKEDITOR.fileTools.chunkedUploadAdapter, editor.uploadRepository.loaders[ 0 ].uploadAdapter, 'Upload adapter' );
+	},
+
+	'test no chunked upload by default': function() {
+		var editor = this.editors.uploadfile;
+
+		pasteFiles( editor, [ bender.tools.getTestTxtFile() ] );
+
+		assert.isUndefined( editor.uploadRepository.loaders[ 0 ].uploadAdapter, 'Upload adapter' );
+	},
+
 	'test pasting files in the editor with uploadfile and uploadimage plugins': function() {
 		var editor = this.editors.uploadfileAndUploadimage;
 
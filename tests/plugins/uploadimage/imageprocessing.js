@@ -0,0 +1,298 @@
+/* bender-tags: editor,clipboard,widget */
+/* bender-ckeditor-plugins: wysiwygarea,uploadwidget,uploadimage */
+/* bender-include: %BASE_PATH%/plugins/clipboard/_helpers/pasting.js */
+/* global pasteFiles */
+
+'use strict';
+
+( function() {
+	var CONFIG_NAMES = [ 'uploadImage_maxWidth', 'uploadImage_maxHeight', 'uploadImage_outputType',
+			'uploadImage_quality', 'uploadImage_allowedTypes', 'uploadImage_maxFileSize' ],
+		WEBP_DATA = 'data:image/webp;base64,' + btoa( 'RIFF\x00\x00\x00\x00WEBPVP8 ' ),
+		stubs;
+
+	bender.editor = {
+		config: {
+			imageUploadUrl: 'http://foo/upload',
+			// Disable pasteFilter on Webkits (pasteFilter defaults semantic-text on Webkits).
+			pasteFilter: null
+		}
+	};
+
+	function getBytes( value, length, littleEndian ) {
+		var bytes = '',
+			i;
+
+		for ( i = 0; i < length; i++ ) {
+			bytes += String.fromCharCode( ( value >> ( 8 * ( littleEndian ? i : length - 1 - i ) ) ) & 255 );
+		}
+
+		return bytes;
+	}
+
+	// Creates the data of a JPEG file with the JFIF and EXIF segments, without the image data.
+	function createJpegData( orientation, littleEndian ) {
+		function uint16( value ) {
+			return getBytes( value, 2, littleEndian );
+		}
+
+		function uint32( value ) {
+			return getBytes( value, 4, littleEndian );
+		}
+
+		var tiff = ( littleEndian ? 'II' : 'MM' ) + uint16( 42 ) + uint32( 8 ) +
+				uint16( 2 ) +
+				// The camera make, stored inside the entry.
+				uint16( 0x010F ) + uint16( 2 ) + uint32( 4 ) + 'Foo\x00' +
+				uint16( 0x0112 ) + uint16( 3 ) + uint32( 1 ) + uint16( orientation ) + uint16( 0 ) +
+				uint32( 0 ),
+			exif = 'Exif\x00\x00' + tiff,
+			jfif = 'JFIF\x00\x01\x01\x00\x00\x01\x00\x01\x00\x00';
+
+		return 'data:image/jpeg;base64,' + btoa( '\xFF\xD8' +
+			'\xFF\xE0' + getBytes( jfif.length + 2, 2 ) + jfif +
+			( orientation ? '\xFF\xE1' + getBytes( exif.length + 2, 2 ) + exif : '' ) +
+			'\xFF\xDA\x00\x02\xFF\xD9' );
+	}
+
+	function stub( object, method, func ) {
+		var result = sinon.stub( object, method, func );
+
+		stubs.push( result );
+
+		return result;
+	}
+
+	// Stubs the image processing, which needs canvas, with the function calling back with the given data.
+	function stubProcessImage( result ) {
+		return stub( CKEDITOR.plugins.uploadimage, 'processImage', function( data, options, callback ) {
+			if ( result !== undefined ) {
+				callback( result );
+			}
+		} );
+	}
+
+	bender.test( {
+		setUp: function() {
+			bender.tools.ignoreUnsupportedEnvironment( 'uploadimage' );
+
+			var editor = this.editor;
+
+			stubs = [];
+
+			CKEDITOR.tools.array.forEach( CONFIG_NAMES, function( name ) {
+				delete editor.config[ name ];
+			} );
+
+			editor.uploadRepository.loaders = [];
+
+			stub( CKEDITOR.fileTools.fileLoader.prototype, 'upload' );
+			stub( CKEDITOR.fileTools.fileLoader.prototype, 'load' );
+			stub( editor, 'showNotification' );
+		},
+
+		tearDown: function() {
+			CKEDITOR.tools.array.forEach( stubs, function( stub ) {
+				stub.restore();
+			} );
+		},
+
+		'test getScaledSize': function() {
+			var getScaledSize = CKEDITOR.plugins.uploadimage.getScaledSize;
+
+			objectAssert.areEqual( { width: 1600, height: 1200 }, getScaledSize( 4000, 3000, 1600 ), 'Max width' );
+			objectAssert.areEqual( { width: 800, height: 600 }, getScaledSize( 4000, 3000, 1600, 600 ), 'Max height' );
+			objectAssert.areEqual( { width: 300, height: 400 }, getScaledSize( 300, 400, 1600, 1600 ), 'Small image' );
+			objectAssert.areEqual( { width: 4000, height: 3000 }, getScaledSize( 4000, 3000 ), 'No limits' );
+			objectAssert.areEqual( { width: 100, height: 1 }, getScaledSize( 10000, 10, 100 ), 'Minimum size' );
+		},
+
+		'test getImageOrientation': function() {
+			var getImageOrientation = CKEDITOR.plugins.uploadimage.getImageOrientation;
+
+			assert.areSame( 6, getImageOrientation( createJpegData( 6 ) ), 'Big endian' );
+			assert.areSame( 8, getImageOrientation( createJpegData( 8, true ) ), 'Little endian' );
+			assert.areSame( 1, getImageOrientation( createJpegData( 0 ) ), 'No EXIF' );
+			assert.areSame( 1, getImageOrientation( createJpegData( 12 ) ), 'Invalid orientation' );
+			assert.areSame( 1, getImageOrientation( bender.tools.pngBase64 ), 'PNG' );
+		},
+
+		'test image is processed before upload': function() {
+			var editor = this.editor,
+				processImage = stubProcessImage(),
+				upload = CKEDITOR.fileTools.fileLoader.prototype.upload,
+				loader = new CKEDITOR.plugins.uploadimage.imageLoader( editor, bender.tools.pngBase64, 'name.png' ),
+				options;
+
+			editor.config.uploadImage_maxWidth = 1000;
+			editor.config.uploadImage_outputType = 'image/webp';
+			editor.config.uploadImage_quality = 0.7;
+
+			loader.upload( 'http://foo/upload', { foo: 'bar' } );
+
+			assert.areSame( 1, processImage.callCount, 'processImage call count' );
+			assert.areSame( bender.tools.pngBase64, processImage.args[ 0 ][ 0 ], 'Processed data' );
+
+			options = processImage.args[ 0 ][ 1 ];
+			assert.areSame( 1000, options.maxWidth, 'Max width' );
+			assert.isUndefined( options.maxHeight, 'Max height' );
+			assert.areSame( 'image/webp', options.type, 'Type' );
+			assert.areSame( 0.7, options.quality, 'Quality' );
+			assert.areSame( 0, upload.callCount, 'Upload is not started before the image is processed' );
+
+			processImage.args[ 0 ][ 2 ]( WEBP_DATA );
+
+			assert.areSame( 1, upload.callCount, 'Upload call count' );
+			assert.areSame( loader, upload.thisValues[ 0 ], 'Uploaded loader' );
+			assert.areSame( 'http://foo/upload', upload.args[ 0 ][ 0 ], 'Upload URL' );
+			assert.areSame( 'bar', upload.args[ 0 ][ 1 ].foo, 'Additional request parameters' );
+
+			assert.areSame( WEBP_DATA, loader.data, 'Data' );
+			assert.areSame( 'image/webp', loader.file.type, 'File type' );
+			assert.areSame( loader.file.size, loader.total, 'Total' );
+			assert.areSame( 'name.webp', loader.fileName, 'File name' );
+		},
+
+		'test default processing options': function() {
+			var editor = this.editor,
+				processImage = stubProcessImage(),
+				loader = new CKEDITOR.plugins.uploadimage.imageLoader( editor, bender.tools.pngBase64 );
+
+			editor.config.uploadImage_maxHeight = 1000;
+
+			loader.upload( 'http://foo/upload' );
+
+			assert.areSame( 'image/png', processImage.args[ 0 ][ 1 ].type, 'PNG is kept' );
+			assert.areSame( 0.92, processImage.args[ 0 ][ 1 ].quality, 'Quality' );
+		},
+
+		'test image is not processed without options': function() {
+			var processImage = stubProcessImage(),
+				upload = CKEDITOR.fileTools.fileLoader.prototype.upload,
+				loader = new CKEDITOR.plugins.uploadimage.imageLoader( this.editor, bender.tools.pngBase64, 'name.png' );
+
+			loader.upload( 'http://foo/upload' );
+
+			assert.areSame( 0, processImage.callCount, 'processImage call count' );
+			assert.areSame( 1, upload.callCount, 'Upload call count' );
+			assert.areSame( bender.tools.pngBase64, loader.data, 'Data' );
+		},
+
+		'test GIF image is not processed': function() {
+			var processImage = stubProcessImage(),
+				loader = new CKEDITOR.plugins.uploadimage.imageLoader( this.editor,
+					'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7' );
+
+			this.editor.config.uploadImage_maxWidth = 1000;
+
+			loader.upload( 'http://foo/upload' );
+
+			assert.areSame( 0, processImage.callCount, 'processImage call count' );
+			assert.areSame( 1, CKEDITOR.fileTools.fileLoader.prototype.upload.callCount, 'Upload call count' );
+		},
+
+		'test original image is uploaded if it cannot be processed': function() {
+			var loader = new CKEDITOR.plugins.uploadimage.imageLoader( this.editor, bender.tools.pngBase64, 'name.png' );
+
+			stubProcessImage( null );
+			this.editor.config.uploadImage_maxWidth = 1000;
+
+			loader.upload( 'http://foo/upload' );
+
+			assert.areSame( 1, CKEDITOR.fileTools.fileLoader.prototype.upload.callCount, 'Upload call count' );
+			assert.areSame( bender.tools.pngBase64, loader.data, 'Data' );
+			assert.areSame( 'name.png', loader.fileName, 'File name' );
+		},
+
+		'test abort while processing': function() {
+			var processImage = stubProcessImage(),
+				loader = new CKEDITOR.plugins.uploadimage.imageLoader( this.editor, bender.tools.pngBase64 ),
+				abortCount = 0;
+
+			this.editor.config.uploadImage_maxWidth = 1000;
+
+			loader.on( 'abort', function() {
+				abortCount++;
+			} );
+
+			loader.upload( 'http://foo/upload' );
+			loader.abort();
+			processImage.args[ 0 ][ 2 ]( WEBP_DATA );
+
+			assert.areSame( 'abort', loader.status, 'Status' );
+			assert.areSame( 1, abortCount, 'Abort count' );
+			assert.areSame( 0, CKEDITOR.fileTools.fileLoader.prototype.upload.callCount, 'Upload call count' );
+			assert.areSame( bender.tools.pngBase64, loader.data, 'Data' );
+		},
+
+		'test pasted file uses image loader': function() {
+			var editor = this.editor;
+
+			stub( CKEDITOR.fileTools.fileLoader.prototype, 'loadAndUpload' );
+
+			pasteFiles( editor, [ bender.tools.getTestPngFile() ] );
+
+			assert.areSame( 1, editor.uploadRepository.loaders.length, 'Loaders count' );
+			assert.isInstanceOf( CKEDITOR.plugins.uploadimage.imageLoader, editor.uploadRepository.loaders[ 0 ] );
+			assert.areSame( 0, editor.showNotification.callCount, 'Notifications count' );
+		},
+
+		'test pasted file of not allowed type is rejected': function() {
+			var editor = this.editor;
+
+			editor.config.uploadImage_allowedTypes = [ 'image/jpeg' ];
+
+			bender.tools.resumeAfter( editor, 'paste', function( evt ) {
+				assert.areSame( '', evt.data.dataValue, 'Pasted data' );
+				assert.areSame( 0, editor.uploadRepository.loaders.length, 'Loaders count' );
+				assert.areSame( 1, editor.showNotification.callCount, 'Notifications count' );
+				assert.areSame( 'Images of the image/png type cannot be uploaded.', editor.showNotification.args[ 0 ][ 0 ], 'Message' );
+				assert.areSame( 'warning', editor.showNotification.args[ 0 ][ 1 ], 'Notification type' );
+			} );
+
+			pasteFiles( editor, [ bender.tools.getTestPngFile() ] );
+
+			wait();
+		},
+
+		'test pasted file which is too big is rejected': function() {
+			var editor = this.editor;
+
+			editor.config.uploadImage_maxFileSize = 50;
+
+			bender.tools.resumeAfter( editor, 'paste', function( evt ) {
+				assert.areSame( '', evt.data.dataValue, 'Pasted data' );
+				assert.areSame( 0, editor.uploadRepository.loaders.length, 'Loaders count' );
+				assert.areSame( 'The image is too big. The maximum size is 1 KB.', editor.showNotification.args[ 0 ][ 0 ], 'Message' );
+			} );
+
+			pasteFiles( editor, [ bender.tools.getTestPngFile() ] );
+
+			wait();
+		},
+
+		'test pasted Base64 image which is too big is rejected': function() {
+			var editor = this.editor;
+
+			editor.config.uploadImage_maxFileSize = 100;
+			editor.config.uploadImage_allowedTypes = [ 'image/png' ];
+
+			bender.tools.resumeAfter( editor, 'paste', function( evt ) {
+				var imgs = CKEDITOR.dom.element.createFromHtml( '<div>' + evt.data.dataValue + '</div>' ).find( 'img' );
+
+				assert.areSame( 1, imgs.count(), 'Images count' );
+				assert.areSame( 'uploadimage', imgs.getItem( 0 ).getAttribute( 'data-widget' ), 'Uploaded image' );
+				assert.areSame( 1, editor.uploadRepository.loaders.length, 'Loaders count' );
+				assert.isInstanceOf( CKEDITOR.plugins.uploadimage.imageLoader, editor.uploadRepository.loaders[ 0 ] );
+				assert.areSame( 'The image is too big. The maximum size is 1 KB.', editor.showNotification.args[ 0 ][ 0 ], 'Message' );
+			} );
+
+			editor.fire( 'paste', {
+				dataValue: '<p>x<img src="' + bender.tools.pngBase64 + '">' +
+					'<img src="data:image/png;base64,' + new Array( 41 ).join( 'AAAA' ) + '">x</p>'
+			} );
+
+			wait();
+		}
+	} );
+} )();
@@ -242,6 +242,77 @@
 			} );
 		},
 
+		'test setting image renditions via response (integration test)': function() {
+			var bot = this.editorBots.inline,
+				editor = this.editors.inline,
+				sizes = '(max-width: 555px) 100vw, 555px';
+
+			bot.setData( '', function() {
+				pasteFiles( editor, [ bender.tools.getTestPngFile() ] );
+
+				var loader = editor.uploadRepository.loaders[ 0 ];
+
+				loader.data = bender.tools.pngBase64;
+				loader.uploadTotal = 10;
+				loader.changeStatus( 'uploading' );
+
+				loader.responseData.width = 555;
+				loader.responseData.height = 444;
+				loader.responseData.renditions = [
+					{ url: 'http://foo/logo-800.png', width: 800 },
+					{ url: 'http://foo/logo-400.png', width: 400, type: 'image/png' },
+					{ url: 'http://foo/logo-800.webp', width: 800, type: 'image/webp' }
+				];
+
+				resumeAfter( loader, 'uploaded', function() {
+					assert.sameData( '<p><picture>' +
+							'<source sizes="' + sizes + '" srcset="http://foo/logo-800.webp 800w" type="image/webp" />' +
+							'<img alt="" height="444" sizes="' + sizes + '" src="' + IMG_URL + '" ' +
+								'srcset="http://foo/logo-400.png 400w, http://foo/logo-800.png 800w" width="555" />' +
+						'</picture></p>', editor.getData() );
+					assert.areSame( 1, editor.editable().find( 'img[data-widget="image"]' ).count() );
+				} );
+
+				loader.url = IMG_URL;
+				loader.changeStatus( 'uploaded' );
+
+				wait();
+			} );
+		},
+
+		'test setting image renditions via response in Easy Image format (integration test)': function() {
+			var bot = this.editorBots.inline,
+				editor = this.editors.inline;
+
+			bot.setData( '', function() {
+				pasteFiles( editor, [ bender.tools.getTestPngFile() ] );
+
+				var loader = editor.uploadRepository.loaders[ 0 ];
+
+				loader.data = bender.tools.pngBase64;
+				loader.uploadTotal = 10;
+				loader.changeStatus( 'uploading' );
+
+				loader.responseData.width = 555;
+				loader.responseData.height = 444;
+				loader.responseData.renditions = {
+					'default': IMG_URL,
+					800: 'http://foo/logo-800.png',
+					400: 'http://foo/logo-400.png'
+				};
+
+				resumeAfter( loader, 'uploaded', function() {
+					assert.sameData( '<p><img alt="" height="444" sizes="(max-width: 555px) 100vw, 555px" src="' + IMG_URL + '" ' +
+						'srcset="http://foo/logo-400.png 400w, http://foo/logo-800.png 800w" width="555" /></p>', editor.getData() );
+				} );
+
+				loader.url = IMG_URL;
+				loader.changeStatus( 'uploaded' );
+
+				wait();
+			} );
+		},
+
 		'test supportedTypes png': function() {
 			var bot = this.editorBots.classic,
 				editor = this.editors.classic;
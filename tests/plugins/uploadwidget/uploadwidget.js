@@ -618,6 +618,26 @@
 			wait();
 		},
 
+		'test custom def.uploadAdapter': function() {
+			var editor = mockEditorForPaste();
+
+			function CustomUploadAdapter() {}
+
+			addTestUploadWidget( editor, 'customUploadAdapter', {
+				uploadAdapter: CustomUploadAdapter,
+				loadMethod: 'upload'
+			} );
+
+			resumeAfter( editor, 'paste', function() {
+				assert.areSame( 1, uploadCount, 'Upload call count' );
+				assert.areSame( CustomUploadAdapter, editor.uploadRepository.loaders[ 0 ].uploadAdapter, 'Upload adapter' );
+			} );
+
+			pasteFiles( editor, [ bender.tools.getTestPngFile( 'test1.png' ) ] );
+
+			wait();
+		},
+
 		'test paste multiple files': function() {
 			var editor = mockEditorForPaste();
 
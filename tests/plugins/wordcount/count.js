@@ -0,0 +1,84 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wordcount */
+
+( function() {
+	'use strict';
+
+	function assertCounts( expected, html, options ) {
+		var counts = CKEDITOR.plugins.wordcount.count( html, options );
+
+		assert.areSame( expected[ 0 ], counts.words, 'words' );
+		assert.areSame( expected[ 1 ], counts.characters, 'characters' );
+		assert.areSame( expected[ 2 ], counts.paragraphs, 'paragraphs' );
+	}
+
+	bender.test( {
+		'test empty content': function() {
+			assertCounts( [ 0, 0, 0 ], '' );
+			assertCounts( [ 0, 0, 0 ], '<p>&nbsp;</p>' );
+			assertCounts( [ 0, 0, 0 ], '<p><br></p><p> </p>' );
+		},
+
+		'test simple paragraphs': function() {
+			assertCounts( [ 3, 11, 2 ], '<p>Foo <b>bar</b>.</p><p>Baz</p>' );
+		},
+
+		'test inline elements do not separate words': function() {
+			assertCounts( [ 1, 6, 1 ], '<p>fo<b>ob</b><i>ar</i></p>' );
+		},
+
+		'test block elements and line breaks separate words': function() {
+			assertCounts( [ 2, 6, 2 ], '<p>foo</p><p>bar</p>' );
+			assertCounts( [ 2, 6, 1 ], '<p>foo<br>bar</p>' );
+			assertCounts( [ 2, 6, 2 ], '<ul><li>foo</li><li>bar</li></ul>' );
+			assertCounts( [ 2, 6, 2 ], '<table><tbody><tr><td>foo</td><td>bar</td></tr></tbody></table>' );
+		},
+
+		'test whitespace is collapsed': function() {
+			assertCounts( [ 2, 7, 1 ], '<p>  foo \n\t &nbsp;bar </p>' );
+			assertCounts( [ 2, 6, 2 ], '<p>foo</p>\n\n<p>bar</p>\n' );
+		},
+
+		'test spaces are not counted with countSpaces set to false': function() {
+			assertCounts( [ 3, 9, 1 ], '<p>foo bar&nbsp;baz</p>', { countSpaces: false } );
+		},
+
+		'test punctuation is not a word': function() {
+			assertCounts( [ 2, 9, 1 ], '<p>foo &ndash; bar</p>' );
+			assertCounts( [ 2, 9, 1 ], '<p>foo \u2014 bar</p>' );
+			assertCounts( [ 1, 10, 1 ], '<p>well-known</p>' );
+			assertCounts( [ 0, 3, 1 ], '<p>...</p>' );
+		},
+
+		'test entities are counted as single characters': function() {
+			assertCounts( [ 1, 5, 1 ], '<p>&lt;a&amp;&gt;&eacute;</p>' );
+		},
+
+		'test characters outside of the BMP are counted once': function() {
+			assertCounts( [ 1, 3, 1 ], '<p>a\ud83d\ude00b</p>' );
+		},
+
+		'test invisible characters are not counted': function() {
+			assertCounts( [ 1, 3, 1 ], '<p>f\u200boo&shy;</p>' );
+		},
+
+		'test content of scripts and styles is not counted': function() {
+			assertCounts( [ 1, 3, 1 ], '<p>foo</p><script>var a = 1;<\/script><style>p { color: red }</style><!-- comment -->' );
+		},
+
+		'test temporary elements are not counted': function() {
+			assertCounts( [ 1, 3, 1 ], '<p>foo<span data-cke-bookmark="1">&nbsp;</span></p><div data-cke-hidden-sel="1">&nbsp;</div>' +
+				'<span data-cke-temp="1">bar</span>' );
+		},
+
+		'test nested blocks': function() {
+			assertCounts( [ 3, 9, 3 ], '<blockquote><p>foo</p><p>bar</p></blockquote><div><p>baz</p></div>' );
+			assertCounts( [ 2, 6, 2 ], '<div>foo<p>bar</p></div>' );
+		},
+
+		'test text outside of blocks is a paragraph': function() {
+			assertCounts( [ 2, 7, 1 ], 'foo <b>bar</b>' );
+			assertCounts( [ 2, 6, 2 ], 'foo<p>bar</p>' );
+		}
+	} );
+} )();
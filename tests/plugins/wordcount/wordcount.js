@@ -0,0 +1,271 @@
+/* bender-tags: editor */
+/* bender-ckeditor-plugins: wysiwygarea,toolbar,elementspath,undo,basicstyles,sourcearea,wordcount */
+
+( function() {
+	'use strict';
+
+	bender.editors = {
+		classic: {
+			config: {
+				wordCount_softLimits: { words: 3 },
+				wordCount_hardLimits: { characters: 20 }
+			}
+		},
+
+		counters: {
+			config: {
+				wordCount_counters: 'characters, words, foo'
+			}
+		},
+
+		blocking: {
+			config: {
+				wordCount_hardLimits: { characters: 10 },
+				wordCount_blockInput: true
+			}
+		},
+
+		bbcode: {
+			config: {
+				extraPlugins: 'bbcode'
+			}
+		}
+	};
+
+	function getSpace( editor ) {
+		return CKEDITOR.document.getById( editor._.wordCount.spaceId );
+	}
+
+	function keypress( editor, charCode ) {
+		var prevented = false;
+
+		editor.editable().fire( 'keypress', new CKEDITOR.dom.event( {
+			charCode: charCode,
+			keyCode: 0,
+			preventDefault: function() {
+				prevented = true;
+			}
+		} ) );
+
+		return prevented;
+	}
+
+	bender.test( {
+		'test counters are shown in the bottom space': function() {
+			var bot = this.editorBots.classic;
+
+			bot.setData( '<p>Foo bar.</p><p>Baz</p>', function() {
+				var items = getSpace( bot.editor ).find( '.cke_wordcount_item' );
+
+				assert.areSame( 3, items.count(), 'items count' );
+				assert.areSame( 'Words: 3/3', items.getItem( 0 ).getText(), 'words' );
+				assert.areSame( 'Characters: 11/20', items.getItem( 1 ).getText(), 'characters' );
+				assert.areSame( 'Paragraphs: 2', items.getItem( 2 ).getText(), 'paragraphs' );
+			} );
+		},
+
+		'test the wordcount_counters option': function() {
+			var bot = this.editorBots.counters;
+
+			bot.setData( '<p>Foo bar.</p>', function() {
+				var items = getSpace( bot.editor ).find( '.cke_wordcount_item' );
+
+				assert.areSame( 2, items.count(), 'items count' );
+				assert.areSame( 'Characters: 8', items.getItem( 0 ).getText(), 'characters' );
+				assert.areSame( 'Words: 2', items.getItem( 1 ).getText(), 'words' );
+			} );
+		},
+
+		'test getCounts': function() {
+			var bot = this.editorBots.classic;
+
+			bot.setData( '<p>Foo <strong>bar</strong></p>', function() {
+				objectAssert.areEqual( { words: 2, characters: 7, paragraphs: 1 }, bot.editor.plugins.wordcount.getCounts( bot.editor ) );
+			} );
+		},
+
+		'test syntax of non-HTML data format is not counted': function() {
+			var bot = this.editorBots.bbcode,
+				editor = bot.editor;
+
+			bot.setData( '[b]Foo[/b] [url=http://example.com]bar[/url]', function() {
+				var toDataFormat = sinon.spy( editor.dataProcessor, 'toDataFormat' ),
+					counts = editor.plugins.wordcount.getCounts( editor );
+
+				toDataFormat.restore();
+
+				objectAssert.areEqual( { words: 2, characters: 7, paragraphs: 1 }, counts );
+				assert.areSame( 0, toDataFormat.callCount, 'data is not processed' );
+			} );
+		},
+
+		'test counts are kept in source mode': function() {
+			var bot = this.editorBots.classic,
+				editor = bot.editor;
+
+			bot.setData( '<p>Foo <strong>bar</strong></p>', function() {
+				editor.setMode( 'source', function() {
+					resume( function() {
+						var counts = editor.plugins.wordcount.getCounts( editor );
+
+						editor.setMode( 'wysiwyg', function() {
+							resume( function() {
+								objectAssert.areEqual( { words: 2, characters: 7, paragraphs: 1 }, counts );
+							} );
+						} );
+
+						wait();
+					} );
+				} );
+
+				wait();
+			} );
+		},
+
+		'test counters are updated after a change': function() {
+			var bot = this.editorBots.classic,
+				editor = bot.editor,
+				updates = 0;
+
+			bot.setData( '<p>Foo</p>', function() {
+				var listener = editor.on( 'wordCountUpdate', function( evt ) {
+					updates += 1;
+					assert.areSame( 2, evt.data.words, 'words' );
+				} );
+
+				editor.editable().setHtml( '<p>Foo bar</p>' );
+				editor.fire( 'change' );
+				editor.fire( 'change' );
+
+				wait( function() {
+					listener.removeListener();
+
+					assert.areSame( 1, updates, 'updates are buffered' );
+					assert.areSame( 'Words: 2/3', getSpace( editor ).findOne( '.cke_wordcount_words' ).getText() );
+				}, 300 );
+			} );
+		},
+
+		'test limit events': function() {
+			var bot = this.editorBots.classic,
+				editor = bot.editor,
+				plugin = editor.plugins.wordcount,
+				events = [];
+
+			function log( evt ) {
+				events.push( [ evt.name, evt.data.counter, evt.data.type, evt.data.limit, evt.data.count ] );
+			}
+
+			bot.setData( '<p>Foo</p>', function() {
+				var listeners = [ editor.on( 'wordCountLimitExceeded', log ), editor.on( 'wordCountLimitRestored', log ) ];
+
+				editor.editable().setHtml( '<p>One two three four</p>' );
+				plugin.update( editor );
+				assert.areSame( 1, events.length, 'soft limit exceeded' );
+				arrayAssert.itemsAreEqual( [ 'wordCountLimitExceeded', 'words', 'soft', 3, 4 ], events[ 0 ] );
+
+				editor.editable().setHtml( '<p>One two three four five six</p>' );
+				plugin.update( editor );
+				assert.areSame( 2, events.length, 'hard limit exceeded, soft limit not fired again' );
+				arrayAssert.itemsAreEqual( [ 'wordCountLimitExceeded', 'characters', 'hard', 20, 27 ], events[ 1 ] );
+
+				editor.editable().setHtml( '<p>One</p>' );
+				plugin.update( editor );
+
+				CKEDITOR.tools.array.forEach( listeners, function( listener ) {
+					listener.removeListener();
+				} );
+
+				assert.areSame( 4, events.length, 'limits restored' );
+				arrayAssert.itemsAreEqual( [ 'wordCountLimitRestored', 'words', 'soft', 3, 1 ], events[ 2 ] );
+				arrayAssert.itemsAreEqual( [ 'wordCountLimitRestored', 'characters', 'hard', 20, 3 ], events[ 3 ] );
+			} );
+		},
+
+		'test exceeded limits are marked in the bottom space': function() {
+			var bot = this.editorBots.classic;
+
+			bot.setData( '<p>One two three four</p>', function() {
+				var space = getSpace( bot.editor );
+
+				assert.isTrue( space.findOne( '.cke_wordcount_words' ).hasClass( 'cke_wordcount_warning' ), 'words warning' );
+				assert.isFalse( space.findOne( '.cke_wordcount_characters' ).hasClass( 'cke_wordcount_exceeded' ), 'characters' );
+
+				bot.setData( '<p>One two three four five six</p>', function() {
+					space = getSpace( bot.editor );
+
+					assert.isTrue( space.findOne( '.cke_wordcount_characters' ).hasClass( 'cke_wordcount_exceeded' ), 'characters exceeded' );
+				} );
+			} );
+		},
+
+		'test input is not blocked by default': function() {
+			var bot = this.editorBots.classic,
+				editor = bot.editor;
+
+			bot.setHtmlWithSelection( '<p>One two three four five six^</p>' );
+			assert.isFalse( keypress( editor, 97 ), 'keypress' );
+
+			editor.insertText( 'foo' );
+			assert.areSame( '<p>One two three four five sixfoo</p>', editor.getData(), 'insertText' );
+		},
+
+		'test typing is blocked at the hard limit': function() {
+			var bot = this.editorBots.blocking,
+				editor = bot.editor,
+				blocked = 0;
+
+			editor.once( 'wordCountInputBlocked', function( evt ) {
+				blocked += 1;
+				assert.areSame( 10, evt.data.limit, 'limit' );
+				assert.areSame( 11, evt.data.count, 'count' );
+			} );
+
+			bot.setHtmlWithSelection( '<p>foo bar^</p>' );
+			assert.isFalse( keypress( editor, 97 ), 'below the limit' );
+
+			bot.setHtmlWithSelection( '<p>foo barbaz^</p>' );
+			assert.isTrue( keypress( editor, 97 ), 'at the limit' );
+			assert.areSame( 1, blocked, 'event fired' );
+
+			assert.isFalse( keypress( editor, 8 ), 'control characters' );
+			assert.isFalse( keypress( editor, 0 ), 'keys without characters' );
+		},
+
+		'test typing over a selection is allowed at the hard limit': function() {
+			var bot = this.editorBots.blocking;
+
+			bot.setHtmlWithSelection( '<p>foo [ba]rbaz</p>' );
+			assert.isFalse( keypress( bot.editor, 97 ) );
+		},
+
+		'test inserting is blocked when exceeding the hard limit': function() {
+			var bot = this.editorBots.blocking,
+				editor = bot.editor;
+
+			bot.setHtmlWithSelection( '<p>foo^</p>' );
+
+			editor.insertHtml( '<b>barbazqux</b>' );
+			assert.areSame( '<p>foo</p>', editor.getData(), 'insertHtml blocked' );
+
+			editor.insertText( 'barbazqux' );
+			assert.areSame( '<p>foo</p>', editor.getData(), 'insertText blocked' );
+
+			editor.insertElement( CKEDITOR.dom.element.createFromHtml( '<b>barbazqux</b>' ) );
+			assert.areSame( '<p>foo</p>', editor.getData(), 'insertElement blocked' );
+
+			editor.insertText( 'barbaz' );
+			assert.areSame( '<p>foobarbaz</p>', editor.getData(), 'insertText within the limit' );
+		},
+
+		'test inserting over a selection counts the replaced content': function() {
+			var bot = this.editorBots.blocking,
+				editor = bot.editor;
+
+			bot.setHtmlWithSelection( '<p>foo [bar]</p>' );
+
+			editor.insertText( 'bazqux' );
+			assert.areSame( '<p>foo bazqux</p>', editor.getData() );
+		}
+	} );
+} )();